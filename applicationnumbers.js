@@ -0,0 +1,32 @@
+// Parses application numbers into their sequence number and year, so that the variants in which
+// the registers print the same application number (for example, "141/17", "141 / 17", "0141/17",
+// "141/2017" and "DA 141/17") are all stored in one canonical form ("141/17").
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// Finds the sequence number and the (two or four digit) year of an application number, ignoring
+// any prefix (such as "DA" or a council code) and whitespace around the separator.
+const ApplicationNumberPattern = /(?:^|[^0-9])([0-9]{1,6})\s*\/\s*([0-9]{4}|[0-9]{2})(?![0-9])/;
+// Parses an application number.  A two digit year is taken to be in the current century unless
+// that would be in the future (so "7/99" was numbered in 1999).  Returns undefined if the text
+// does not contain an application number.
+function parseApplicationNumber(text) {
+    let original = text.replace(/\s+/g, " ").trim();
+    let match = ApplicationNumberPattern.exec(original);
+    if (match === null)
+        return undefined;
+    let sequence = Number(match[1]);
+    let year = Number(match[2]);
+    if (match[2].length === 2)
+        year += (2000 + year > new Date().getFullYear()) ? 1900 : 2000;
+    if (year < 1900 || year > 2099)
+        return undefined;
+    return { original: original, sequence: sequence, year: year, canonical: formatApplicationNumber(sequence, year) };
+}
+exports.parseApplicationNumber = parseApplicationNumber;
+// Formats an application number in the canonical form (the sequence number without leading zeros
+// and a two digit year, for example, "141/17").
+function formatApplicationNumber(sequence, year) {
+    return `${sequence}/${(year % 100).toString().padStart(2, "0")}`;
+}
+exports.formatApplicationNumber = formatApplicationNumber;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYXBwbGljYXRpb25udW1iZXJzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiYXBwbGljYXRpb25udW1iZXJzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGdHQUFnRztBQUNoRyxpR0FBaUc7QUFDakcsK0VBQStFO0FBRS9FLFlBQVksQ0FBQzs7QUFXYixnR0FBZ0c7QUFDaEcsbUZBQW1GO0FBRW5GLE1BQU0sd0JBQXdCLEdBQUcsOERBQThELENBQUM7QUFFaEcsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRiwwQ0FBMEM7QUFFMUMsU0FBZ0Isc0JBQXNCLENBQUMsSUFBWTtJQUMvQyxJQUFJLFFBQVEsR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUNoRCxJQUFJLEtBQUssR0FBRyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDcEQsSUFBSSxLQUFLLEtBQUssSUFBSTtRQUNkLE9BQU8sU0FBUyxDQUFDO0lBRXJCLElBQUksUUFBUSxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNoQyxJQUFJLElBQUksR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDNUIsSUFBSSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDckIsSUFBSSxJQUFJLENBQUMsSUFBSSxHQUFHLElBQUksR0FBRyxJQUFJLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQ25FLElBQUksSUFBSSxHQUFHLElBQUksSUFBSSxJQUFJLEdBQUcsSUFBSTtRQUMxQixPQUFPLFNBQVMsQ0FBQztJQUVyQixPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLHVCQUF1QixDQUFDLFFBQVEsRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDO0FBQ3RILENBQUM7QUFkRCx3REFjQztBQUVELGlHQUFpRztBQUNqRyxnREFBZ0Q7QUFFaEQsU0FBZ0IsdUJBQXVCLENBQUMsUUFBZ0IsRUFBRSxJQUFZO0lBQ2xFLE9BQU8sR0FBRyxRQUFRLElBQUksQ0FBQyxJQUFJLEdBQUcsR0FBRyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsRUFBRSxDQUFDO0FBQ3JFLENBQUM7QUFGRCwwREFFQyJ9
\ No newline at end of file
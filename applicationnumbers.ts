@@ -0,0 +1,46 @@
+// Parses application numbers into their sequence number and year, so that the variants in which
+// the registers print the same application number (for example, "141/17", "141 / 17", "0141/17",
+// "141/2017" and "DA 141/17") are all stored in one canonical form ("141/17").
+
+"use strict";
+
+// A parsed application number.
+
+export interface ApplicationNumber {
+    original: string,  // as it appeared in the register (for example, "DA 141/2017")
+    sequence: number,  // for example, 141
+    year: number,  // for example, 2017
+    canonical: string  // for example, "141/17"
+}
+
+// Finds the sequence number and the (two or four digit) year of an application number, ignoring
+// any prefix (such as "DA" or a council code) and whitespace around the separator.
+
+const ApplicationNumberPattern = /(?:^|[^0-9])([0-9]{1,6})\s*\/\s*([0-9]{4}|[0-9]{2})(?![0-9])/;
+
+// Parses an application number.  A two digit year is taken to be in the current century unless
+// that would be in the future (so "7/99" was numbered in 1999).  Returns undefined if the text
+// does not contain an application number.
+
+export function parseApplicationNumber(text: string): ApplicationNumber {
+    let original = text.replace(/\s+/g, " ").trim();
+    let match = ApplicationNumberPattern.exec(original);
+    if (match === null)
+        return undefined;
+
+    let sequence = Number(match[1]);
+    let year = Number(match[2]);
+    if (match[2].length === 2)
+        year += (2000 + year > new Date().getFullYear()) ? 1900 : 2000;
+    if (year < 1900 || year > 2099)
+        return undefined;
+
+    return { original: original, sequence: sequence, year: year, canonical: formatApplicationNumber(sequence, year) };
+}
+
+// Formats an application number in the canonical form (the sequence number without leading zeros
+// and a two digit year, for example, "141/17").
+
+export function formatApplicationNumber(sequence: number, year: number) {
+    return `${sequence}/${(year % 100).toString().padStart(2, "0")}`;
+}
@@ -0,0 +1,69 @@
+// Saves downloaded register pages and PDF documents to a local archive (recording the original
+// URL of each file alongside it) and reads them back again so that they can be re-parsed later
+// without accessing the network.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const urlparser = require("url");
+const moment = require("moment");
+// The extension of the file that records the original URL of an archived file.
+const UrlFileExtension = ".url";
+// Determines a file name for an archived copy of the specified URL (the date is included so
+// that successive copies of the same document do not overwrite each other).
+function getArchiveFileName(url, extension) {
+    let name = decodeURIComponent(new urlparser.URL(url).pathname.split("/").filter(token => token !== "").pop() || "index");
+    name = name.replace(/[^A-Za-z0-9_.() -]/g, "_");
+    if (!name.toLowerCase().endsWith(extension))
+        name += extension;
+    return `${moment().format("YYYY-MM-DD")} ${name}`;
+}
+// Saves the contents of the specified URL to the archive directory, along with a file containing
+// the original URL.  Returns the path of the archived file.
+function archiveFile(directory, url, contents, type) {
+    fs.mkdirSync(directory, { recursive: true });
+    let filePath = path.join(directory, getArchiveFileName(url, (type === "pdf") ? ".pdf" : ".html"));
+    fs.writeFileSync(filePath, contents);
+    fs.writeFileSync(filePath + UrlFileExtension, url + "\n");
+    console.log(`Archived ${url} to ${filePath}.`);
+    return filePath;
+}
+exports.archiveFile = archiveFile;
+// Determines whether a file is a PDF document or a saved HTML page (based on the extension and,
+// failing that, the first few bytes of the file).
+function getArchivedFileType(filePath) {
+    let extension = path.extname(filePath).toLowerCase();
+    if (extension === ".pdf")
+        return "pdf";
+    if (extension === ".html" || extension === ".htm")
+        return "html";
+    let header = fs.readFileSync(filePath).slice(0, 5).toString();
+    return (header === "%PDF-") ? "pdf" : "html";
+}
+// Reads the archived files from the specified paths (each path may be either a file or a
+// directory of files).  Files for which no original URL was recorded are ignored.
+function readArchivedFiles(paths) {
+    let filePaths = [];
+    for (let archivePath of paths) {
+        if (fs.statSync(archivePath).isDirectory()) {
+            for (let name of fs.readdirSync(archivePath).sort())
+                if (!name.endsWith(UrlFileExtension) && fs.statSync(path.join(archivePath, name)).isFile())
+                    filePaths.push(path.join(archivePath, name));
+        }
+        else if (!archivePath.endsWith(UrlFileExtension))
+            filePaths.push(archivePath);
+    }
+    let archivedFiles = [];
+    for (let filePath of filePaths) {
+        let urlFilePath = filePath + UrlFileExtension;
+        if (!fs.existsSync(urlFilePath)) {
+            console.log(`Ignoring archived file ${filePath} because its original URL was not recorded in ${urlFilePath}.`);
+            continue;
+        }
+        let url = fs.readFileSync(urlFilePath).toString().trim();
+        archivedFiles.push({ path: filePath, url: url, type: getArchivedFileType(filePath) });
+    }
+    return archivedFiles;
+}
+exports.readArchivedFiles = readArchivedFiles;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYXJjaGl2ZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImFyY2hpdmUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRixpQ0FBaUM7QUFFakMsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0IsaUNBQWlDO0FBQ2pDLGlDQUFpQztBQUVqQywrRUFBK0U7QUFFL0UsTUFBTSxnQkFBZ0IsR0FBRyxNQUFNLENBQUM7QUFVaEMsNEZBQTRGO0FBQzVGLDRFQUE0RTtBQUU1RSxTQUFTLGtCQUFrQixDQUFDLEdBQVcsRUFBRSxTQUFpQjtJQUN0RCxJQUFJLElBQUksR0FBRyxrQkFBa0IsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLEtBQUssRUFBRSxDQUFDLENBQUMsR0FBRyxFQUFFLElBQUksT0FBTyxDQUFDLENBQUM7SUFDekgsSUFBSSxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMscUJBQXFCLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFDaEQsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDO1FBQ3ZDLElBQUksSUFBSSxTQUFTLENBQUM7SUFDdEIsT0FBTyxHQUFHLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsSUFBSSxJQUFJLEVBQUUsQ0FBQztBQUN0RCxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLDREQUE0RDtBQUU1RCxTQUFnQixXQUFXLENBQUMsU0FBaUIsRUFBRSxHQUFXLEVBQUUsUUFBeUIsRUFBRSxJQUFvQjtJQUN2RyxFQUFFLENBQUMsU0FBUyxDQUFDLFNBQVMsRUFBRSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQzdDLElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLGtCQUFrQixDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQ2xHLEVBQUUsQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxDQUFDO0lBQ3JDLEVBQUUsQ0FBQyxhQUFhLENBQUMsUUFBUSxHQUFHLGdCQUFnQixFQUFFLEdBQUcsR0FBRyxJQUFJLENBQUMsQ0FBQztJQUMxRCxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksR0FBRyxPQUFPLFFBQVEsR0FBRyxDQUFDLENBQUM7SUFDL0MsT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQVBELGtDQU9DO0FBRUQsZ0dBQWdHO0FBQ2hHLGtEQUFrRDtBQUVsRCxTQUFTLG1CQUFtQixDQUFDLFFBQWdCO0lBQ3pDLElBQUksU0FBUyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDckQsSUFBSSxTQUFTLEtBQUssTUFBTTtRQUNwQixPQUFPLEtBQUssQ0FBQztJQUNqQixJQUFJLFNBQVMsS0FBSyxPQUFPLElBQUksU0FBUyxLQUFLLE1BQU07UUFDN0MsT0FBTyxNQUFNLENBQUM7SUFDbEIsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzlELE9BQU8sQ0FBQyxNQUFNLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO0FBQ2pELENBQUM7QUFFRCx5RkFBeUY7QUFDekYsa0ZBQWtGO0FBRWxGLFNBQWdCLGlCQUFpQixDQUFDLEtBQWU7SUFDN0MsSUFBSSxTQUFTLEdBQWEsRUFBRSxDQUFDO0lBQzdCLEtBQUssSUFBSSxXQUFXLElBQUksS0FBSyxFQUFFO1FBQzNCLElBQUksRUFBRSxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUMsQ0FBQyxXQUFXLEVBQUUsRUFBRTtZQUN4QyxLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxXQUFXLENBQUMsV0FBVyxDQUFDLENBQUMsSUFBSSxFQUFFO2dCQUMvQyxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUU7b0JBQ3RGLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztTQUN4RDthQUFNLElBQUksQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLGdCQUFnQixDQUFDO1lBQzlDLFNBQVMsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUM7S0FDbkM7SUFFRCxJQUFJLGFBQWEsR0FBbUIsRUFBRSxDQUFDO0lBQ3ZDLEtBQUssSUFBSSxRQUFRLElBQUksU0FBUyxFQUFFO1FBQzVCLElBQUksV0FBVyxHQUFHLFFBQVEsR0FBRyxnQkFBZ0IsQ0FBQztRQUM5QyxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxXQUFXLENBQUMsRUFBRTtZQUM3QixPQUFPLENBQUMsR0FBRyxDQUFDLDBCQUEwQixRQUFRLGlEQUFpRCxXQUFXLEdBQUcsQ0FBQyxDQUFDO1lBQy9HLFNBQVM7U0FDWjtRQUNELElBQUksR0FBRyxHQUFHLEVBQUUsQ0FBQyxZQUFZLENBQUMsV0FBVyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDekQsYUFBYSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsbUJBQW1CLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0tBQ3pGO0lBRUQsT0FBTyxhQUFhLENBQUM7QUFDekIsQ0FBQztBQXZCRCw4Q0F1QkMifQ==
\ No newline at end of file
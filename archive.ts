@@ -0,0 +1,86 @@
+// Saves downloaded register pages and PDF documents to a local archive (recording the original
+// URL of each file alongside it) and reads them back again so that they can be re-parsed later
+// without accessing the network.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as urlparser from "url";
+import * as moment from "moment";
+
+// The extension of the file that records the original URL of an archived file.
+
+const UrlFileExtension = ".url";
+
+// An archived file (either a saved register page or a PDF document).
+
+export interface ArchivedFile {
+    path: string,
+    url: string,
+    type: "html" | "pdf"
+}
+
+// Determines a file name for an archived copy of the specified URL (the date is included so
+// that successive copies of the same document do not overwrite each other).
+
+function getArchiveFileName(url: string, extension: string) {
+    let name = decodeURIComponent(new urlparser.URL(url).pathname.split("/").filter(token => token !== "").pop() || "index");
+    name = name.replace(/[^A-Za-z0-9_.() -]/g, "_");
+    if (!name.toLowerCase().endsWith(extension))
+        name += extension;
+    return `${moment().format("YYYY-MM-DD")} ${name}`;
+}
+
+// Saves the contents of the specified URL to the archive directory, along with a file containing
+// the original URL.  Returns the path of the archived file.
+
+export function archiveFile(directory: string, url: string, contents: string | Buffer, type: "html" | "pdf") {
+    fs.mkdirSync(directory, { recursive: true });
+    let filePath = path.join(directory, getArchiveFileName(url, (type === "pdf") ? ".pdf" : ".html"));
+    fs.writeFileSync(filePath, contents);
+    fs.writeFileSync(filePath + UrlFileExtension, url + "\n");
+    console.log(`Archived ${url} to ${filePath}.`);
+    return filePath;
+}
+
+// Determines whether a file is a PDF document or a saved HTML page (based on the extension and,
+// failing that, the first few bytes of the file).
+
+function getArchivedFileType(filePath: string): "html" | "pdf" {
+    let extension = path.extname(filePath).toLowerCase();
+    if (extension === ".pdf")
+        return "pdf";
+    if (extension === ".html" || extension === ".htm")
+        return "html";
+    let header = fs.readFileSync(filePath).slice(0, 5).toString();
+    return (header === "%PDF-") ? "pdf" : "html";
+}
+
+// Reads the archived files from the specified paths (each path may be either a file or a
+// directory of files).  Files for which no original URL was recorded are ignored.
+
+export function readArchivedFiles(paths: string[]) {
+    let filePaths: string[] = [];
+    for (let archivePath of paths) {
+        if (fs.statSync(archivePath).isDirectory()) {
+            for (let name of fs.readdirSync(archivePath).sort())
+                if (!name.endsWith(UrlFileExtension) && fs.statSync(path.join(archivePath, name)).isFile())
+                    filePaths.push(path.join(archivePath, name));
+        } else if (!archivePath.endsWith(UrlFileExtension))
+            filePaths.push(archivePath);
+    }
+
+    let archivedFiles: ArchivedFile[] = [];
+    for (let filePath of filePaths) {
+        let urlFilePath = filePath + UrlFileExtension;
+        if (!fs.existsSync(urlFilePath)) {
+            console.log(`Ignoring archived file ${filePath} because its original URL was not recorded in ${urlFilePath}.`);
+            continue;
+        }
+        let url = fs.readFileSync(urlFilePath).toString().trim();
+        archivedFiles.push({ path: filePath, url: url, type: getArchivedFileType(filePath) });
+    }
+
+    return archivedFiles;
+}
@@ -0,0 +1,38 @@
+// The councils whose development application registers can be scraped.  Each council adapter
+// describes everything that is specific to one council (where its register is published, how the
+// PDF documents are linked from the register page, the column headings of the documents, the
+// rules used to normalise descriptions and the gazetteer used to correct the addresses), while
+// the grid reconstruction and the parsing of each row are shared by every council.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// The District Council of Grant.
+exports.GrantCouncil = {
+    name: "grant",
+    authorityName: "District Council of Grant",
+    registerUrl: "https://www.dcgrant.sa.gov.au/services/planning-and-development/developmentregister",
+    linkSelector: "h3.generic-list__title a",
+    commentUrl: "mailto:info@dcgrant.sa.gov.au",
+    layoutPath: "layout.json",
+    descriptionRulesPath: "descriptionrules.txt",
+    gazetteer: {
+        streetNamesPath: "streetnames.txt",
+        streetSuffixesPath: "streetsuffixes.txt",
+        suburbNamesPath: "suburbnames.txt"
+    }
+};
+// All the councils (the first is the council scraped by default).
+exports.Councils = [exports.GrantCouncil];
+// Finds the councils with the specified names ("all" selects every council).  An error is thrown
+// if any name is not recognised.
+function findCouncils(names, councils = exports.Councils) {
+    if (names.includes("all"))
+        return councils.slice();
+    return names.map(name => {
+        let council = councils.find(council => council.name === name.toLowerCase());
+        if (council === undefined)
+            throw new Error(`Unrecognised council "${name}".  The council must be one of ${councils.map(council => council.name).join(", ")} or all.`);
+        return council;
+    });
+}
+exports.findCouncils = findCouncils;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY291bmNpbHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJjb3VuY2lscy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSw2RkFBNkY7QUFDN0YsaUdBQWlHO0FBQ2pHLDZGQUE2RjtBQUM3RiwrRkFBK0Y7QUFDL0YsbUZBQW1GO0FBRW5GLFlBQVksQ0FBQzs7QUFxQmIsaUNBQWlDO0FBRXBCLFFBQUEsWUFBWSxHQUFtQjtJQUN4QyxJQUFJLEVBQUUsT0FBTztJQUNiLGFBQWEsRUFBRSwyQkFBMkI7SUFDMUMsV0FBVyxFQUFFLHFGQUFxRjtJQUNsRyxZQUFZLEVBQUUsMEJBQTBCO0lBQ3hDLFVBQVUsRUFBRSwrQkFBK0I7SUFDM0MsVUFBVSxFQUFFLGFBQWE7SUFDekIsb0JBQW9CLEVBQUUsc0JBQXNCO0lBQzVDLFNBQVMsRUFBRTtRQUNQLGVBQWUsRUFBRSxpQkFBaUI7UUFDbEMsa0JBQWtCLEVBQUUsb0JBQW9CO1FBQ3hDLGVBQWUsRUFBRSxpQkFBaUI7S0FDckM7Q0FDSixDQUFDO0FBRUYsa0VBQWtFO0FBRXJELFFBQUEsUUFBUSxHQUFxQixDQUFFLG9CQUFZLENBQUUsQ0FBQztBQUUzRCxpR0FBaUc7QUFDakcsaUNBQWlDO0FBRWpDLFNBQWdCLFlBQVksQ0FBQyxLQUFlLEVBQUUsV0FBNkIsZ0JBQVE7SUFDL0UsSUFBSSxLQUFLLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQztRQUNyQixPQUFPLFFBQVEsQ0FBQyxLQUFLLEVBQUUsQ0FBQztJQUM1QixPQUFPLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDcEIsSUFBSSxPQUFPLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7UUFDNUUsSUFBSSxPQUFPLEtBQUssU0FBUztZQUNyQixNQUFNLElBQUksS0FBSyxDQUFDLHlCQUF5QixJQUFJLGtDQUFrQyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDL0ksT0FBTyxPQUFPLENBQUM7SUFDbkIsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBVEQsb0NBU0MifQ==
\ No newline at end of file
@@ -0,0 +1,61 @@
+// The councils whose development application registers can be scraped.  Each council adapter
+// describes everything that is specific to one council (where its register is published, how the
+// PDF documents are linked from the register page, the column headings of the documents, the
+// rules used to normalise descriptions and the gazetteer used to correct the addresses), while
+// the grid reconstruction and the parsing of each row are shared by every council.
+
+"use strict";
+
+// The description of a council (and its register of development applications).
+
+export interface CouncilAdapter {
+    name: string,  // the short name used on the command line and in the "authority_label" column (for example, "grant")
+    authorityName: string,  // the full name of the council (for example, "District Council of Grant")
+    registerUrl: string,  // the page from which the PDF documents are linked
+    linkSelector: string,  // selects the links to the PDF documents on the register page
+    commentUrl: string,  // where comments on a development application may be sent
+    layoutPath: string,  // the column layout file (see layout.ts)
+    descriptionRulesPath: string,  // the rules used to normalise and categorise descriptions (see descriptions.ts)
+    caPath?: string,  // additional trusted certificates for the register (for example, a missing intermediate certificate)
+    insecure?: boolean,  // true if the TLS certificates of the register cannot be verified (so verification is disabled)
+    gazetteer: {
+        streetNamesPath: string,  // street names (and the suburb of each)
+        streetSuffixesPath: string,  // street suffixes (and their expansions)
+        suburbNamesPath: string  // suburb names (with their state and post code, and the hundreds in which they lie)
+    }
+}
+
+// The District Council of Grant.
+
+export const GrantCouncil: CouncilAdapter = {
+    name: "grant",
+    authorityName: "District Council of Grant",
+    registerUrl: "https://www.dcgrant.sa.gov.au/services/planning-and-development/developmentregister",
+    linkSelector: "h3.generic-list__title a",
+    commentUrl: "mailto:info@dcgrant.sa.gov.au",
+    layoutPath: "layout.json",
+    descriptionRulesPath: "descriptionrules.txt",
+    gazetteer: {
+        streetNamesPath: "streetnames.txt",
+        streetSuffixesPath: "streetsuffixes.txt",
+        suburbNamesPath: "suburbnames.txt"
+    }
+};
+
+// All the councils (the first is the council scraped by default).
+
+export const Councils: CouncilAdapter[] = [ GrantCouncil ];
+
+// Finds the councils with the specified names ("all" selects every council).  An error is thrown
+// if any name is not recognised.
+
+export function findCouncils(names: string[], councils: CouncilAdapter[] = Councils) {
+    if (names.includes("all"))
+        return councils.slice();
+    return names.map(name => {
+        let council = councils.find(council => council.name === name.toLowerCase());
+        if (council === undefined)
+            throw new Error(`Unrecognised council "${name}".  The council must be one of ${councils.map(council => council.name).join(", ")} or all.`);
+        return council;
+    });
+}
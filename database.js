@@ -0,0 +1,33 @@
+// Runs SQL statements and queries against an sqlite database (wrapping the callbacks of the
+// sqlite3 package in promises).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// Runs an SQL statement that does not return any rows.
+function runSql(database, sql, parameters = []) {
+    return new Promise((resolve, reject) => {
+        database.run(sql, parameters, function (error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else
+                resolve(this);
+        });
+    });
+}
+exports.runSql = runSql;
+// Runs an SQL query and returns all of the resulting rows.
+function getRows(database, sql, parameters = []) {
+    return new Promise((resolve, reject) => {
+        database.all(sql, parameters, function (error, rows) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else
+                resolve(rows);
+        });
+    });
+}
+exports.getRows = getRows;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGF0YWJhc2UuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJkYXRhYmFzZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSw0RkFBNEY7QUFDNUYsZ0NBQWdDO0FBRWhDLFlBQVksQ0FBQzs7QUFFYix1REFBdUQ7QUFFdkQsU0FBZ0IsTUFBTSxDQUFDLFFBQVEsRUFBRSxHQUFXLEVBQUUsYUFBb0IsRUFBRTtJQUNoRSxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25DLFFBQVEsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFVBQVUsRUFBRSxVQUFTLEtBQUs7WUFDeEMsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCOztnQkFDRyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdEIsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFWRCx3QkFVQztBQUVELDJEQUEyRDtBQUUzRCxTQUFnQixPQUFPLENBQUMsUUFBUSxFQUFFLEdBQVcsRUFBRSxhQUFvQixFQUFFO0lBQ2pFLE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDbkMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsVUFBVSxFQUFFLFVBQVMsS0FBSyxFQUFFLElBQUk7WUFDOUMsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCOztnQkFDRyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdEIsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFWRCwwQkFVQyJ9
\ No newline at end of file
@@ -0,0 +1,32 @@
+// Runs SQL statements and queries against an sqlite database (wrapping the callbacks of the
+// sqlite3 package in promises).
+
+"use strict";
+
+// Runs an SQL statement that does not return any rows.
+
+export function runSql(database, sql: string, parameters: any[] = []) {
+    return new Promise((resolve, reject) => {
+        database.run(sql, parameters, function(error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(this);
+        });
+    });
+}
+
+// Runs an SQL query and returns all of the resulting rows.
+
+export function getRows(database, sql: string, parameters: any[] = []): Promise<any[]> {
+    return new Promise((resolve, reject) => {
+        database.all(sql, parameters, function(error, rows) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
@@ -0,0 +1,63 @@
+// Parses the received date of a development application.  The registers use several formats (for
+// example, "5/03/2017", "5/3/2017", "05/03/17", "5-03-2017", "5.03.2017" and "5 Mar 2017"), a date
+// is sometimes split across several text elements (for example, "5/03/" and "2017") and stray
+// characters sometimes appear in or around a date (for example, "5/03/2017*" or "'5 /03/2017").
+//
+// A date in the future or before the earliest plausible year is rejected, and the year of the
+// date is cross-checked against the year in the application number (for example, "141/17" was
+// lodged in 2017).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const moment = require("moment");
+const applicationnumbers_1 = require("./applicationnumbers");
+// The formats of the received dates (day first, as in all Australian registers).
+exports.ReceivedDateFormats = ["D/M/YYYY", "D/M/YY", "D-M-YYYY", "D-M-YY", "D.M.YYYY", "D.M.YY", "D MMM YYYY", "D MMMM YYYY", "D-MMM-YYYY", "D-MMM-YY", "YYYY-MM-DD"];
+// The earliest plausible year of a received date (an earlier date is assumed to be a mistake).
+exports.EarliestReceivedYear = 2000;
+// Finds text that looks like a date (numeric or with a month name) within a longer piece of text.
+const DatePattern = /[0-9]{1,2}[\/.-][0-9]{1,2}[\/.-][0-9]{2,4}|[0-9]{1,2}[ -][A-Z]{3,9}[ -][0-9]{2,4}|[0-9]{4}-[0-9]{2}-[0-9]{2}/;
+// Cleans the text of a received date: removes stray characters and the spaces around separators
+// (which appear when a date is split across several text elements).
+function cleanDateText(text) {
+    return text.toUpperCase().replace(/[^0-9A-Z\/.\- ]/g, " ").replace(/\s+/g, " ").replace(/\s*([\/.-])\s*/g, "$1").replace(/^[\/.\- ]+|[\/.\- ]+$/g, "");
+}
+// Parses a received date from the text of one or more elements (which are joined).  Returns the
+// date in "YYYY-MM-DD" form (or an empty string if there is no valid date) along with any
+// problems encountered.  The date is compared against the specified current date (today, by
+// default).
+function parseReceivedDate(texts, applicationNumber, today = moment()) {
+    let issues = [];
+    let text = texts.map(text => text.trim()).filter(text => text !== "" && text !== "-").join(" ");
+    if (text === "") {
+        issues.push({ field: "receivedDate", code: "missing-received-date", message: "no received date was found" });
+        return { receivedDate: "", issues: issues };
+    }
+    // Parse the whole text or, failing that, the first part of the text that looks like a date.
+    let cleanedText = cleanDateText(text);
+    let date = moment(cleanedText, exports.ReceivedDateFormats, true);
+    if (!date.isValid()) {
+        let match = DatePattern.exec(cleanedText);
+        if (match !== null)
+            date = moment(match[0], exports.ReceivedDateFormats, true);
+    }
+    if (!date.isValid()) {
+        issues.push({ field: "receivedDate", code: "invalid-received-date", message: `received date "${text}" could not be parsed` });
+        return { receivedDate: "", issues: issues };
+    }
+    // Reject dates that cannot be correct.
+    if (date.isAfter(today, "day")) {
+        issues.push({ field: "receivedDate", code: "future-received-date", message: `received date "${text}" is in the future` });
+        return { receivedDate: "", issues: issues };
+    }
+    if (date.year() < exports.EarliestReceivedYear) {
+        issues.push({ field: "receivedDate", code: "implausible-received-date", message: `received date "${text}" is before ${exports.EarliestReceivedYear}` });
+        return { receivedDate: "", issues: issues };
+    }
+    // Cross-check the year against the application number (the date is kept if they differ).
+    let parsedApplicationNumber = applicationnumbers_1.parseApplicationNumber(applicationNumber);
+    if (parsedApplicationNumber !== undefined && parsedApplicationNumber.year !== date.year())
+        issues.push({ field: "receivedDate", code: "received-date-year-mismatch", message: `received date "${text}" is in ${date.year()} but application "${applicationNumber}" was numbered in ${parsedApplicationNumber.year}` });
+    return { receivedDate: date.format("YYYY-MM-DD"), issues: issues };
+}
+exports.parseReceivedDate = parseReceivedDate;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGF0ZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJkYXRlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxpR0FBaUc7QUFDakcsbUdBQW1HO0FBQ25HLDhGQUE4RjtBQUM5RixnR0FBZ0c7QUFDaEcsRUFBRTtBQUNGLDhGQUE4RjtBQUM5Riw4RkFBOEY7QUFDOUYsbUJBQW1CO0FBRW5CLFlBQVksQ0FBQzs7QUFFYixpQ0FBaUM7QUFFakMsNkRBQThEO0FBRTlELGlGQUFpRjtBQUVwRSxRQUFBLG1CQUFtQixHQUFHLENBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLGFBQWEsRUFBRSxZQUFZLEVBQUUsVUFBVSxFQUFFLFlBQVksQ0FBRSxDQUFDO0FBRTdLLCtGQUErRjtBQUVsRixRQUFBLG9CQUFvQixHQUFHLElBQUksQ0FBQztBQUV6QyxrR0FBa0c7QUFFbEcsTUFBTSxXQUFXLEdBQUcsOEdBQThHLENBQUM7QUFFbkksZ0dBQWdHO0FBQ2hHLG9FQUFvRTtBQUVwRSxTQUFTLGFBQWEsQ0FBQyxJQUFZO0lBQy9CLE9BQU8sSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxrQkFBa0IsRUFBRSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsRUFBRSxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsd0JBQXdCLEVBQUUsRUFBRSxDQUFDLENBQUM7QUFDM0osQ0FBQztBQUVELGdHQUFnRztBQUNoRywwRkFBMEY7QUFDMUYsNEZBQTRGO0FBQzVGLFlBQVk7QUFFWixTQUFnQixpQkFBaUIsQ0FBQyxLQUFlLEVBQUUsaUJBQXlCLEVBQUUsUUFBdUIsTUFBTSxFQUFFO0lBQ3pHLElBQUksTUFBTSxHQUFtQixFQUFFLENBQUM7SUFDaEMsSUFBSSxJQUFJLEdBQUcsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksS0FBSyxFQUFFLElBQUksSUFBSSxLQUFLLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNoRyxJQUFJLElBQUksS0FBSyxFQUFFLEVBQUU7UUFDYixNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLGNBQWMsRUFBRSxJQUFJLEVBQUUsdUJBQXVCLEVBQUUsT0FBTyxFQUFFLDRCQUE0QixFQUFFLENBQUMsQ0FBQztRQUM3RyxPQUFPLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLENBQUM7S0FDL0M7SUFFRCw0RkFBNEY7SUFFNUYsSUFBSSxXQUFXLEdBQUcsYUFBYSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ3RDLElBQUksSUFBSSxHQUFHLE1BQU0sQ0FBQyxXQUFXLEVBQUUsMkJBQW1CLEVBQUUsSUFBSSxDQUFDLENBQUM7SUFDMUQsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUUsRUFBRTtRQUNqQixJQUFJLEtBQUssR0FBRyxXQUFXLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBQzFDLElBQUksS0FBSyxLQUFLLElBQUk7WUFDZCxJQUFJLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRSwyQkFBbUIsRUFBRSxJQUFJLENBQUMsQ0FBQztLQUMxRDtJQUNELElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLEVBQUU7UUFDakIsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLHVCQUF1QixFQUFFLE9BQU8sRUFBRSxrQkFBa0IsSUFBSSx1QkFBdUIsRUFBRSxDQUFDLENBQUM7UUFDOUgsT0FBTyxFQUFFLFlBQVksRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxDQUFDO0tBQy9DO0lBRUQsdUNBQXVDO0lBRXZDLElBQUksSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLEVBQUU7UUFDNUIsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLHNCQUFzQixFQUFFLE9BQU8sRUFBRSxrQkFBa0IsSUFBSSxvQkFBb0IsRUFBRSxDQUFDLENBQUM7UUFDMUgsT0FBTyxFQUFFLFlBQVksRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxDQUFDO0tBQy9DO0lBQ0QsSUFBSSxJQUFJLENBQUMsSUFBSSxFQUFFLEdBQUcsNEJBQW9CLEVBQUU7UUFDcEMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLDJCQUEyQixFQUFFLE9BQU8sRUFBRSxrQkFBa0IsSUFBSSxlQUFlLDRCQUFvQixFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ2hKLE9BQU8sRUFBRSxZQUFZLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsQ0FBQztLQUMvQztJQUVELHlGQUF5RjtJQUV6RixJQUFJLHVCQUF1QixHQUFHLDJDQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7SUFDeEUsSUFBSSx1QkFBdUIsS0FBSyxTQUFTLElBQUksdUJBQXVCLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxJQUFJLEVBQUU7UUFDckYsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLDZCQUE2QixFQUFFLE9BQU8sRUFBRSxrQkFBa0IsSUFBSSxXQUFXLElBQUksQ0FBQyxJQUFJLEVBQUUscUJBQXFCLGlCQUFpQixxQkFBcUIsdUJBQXVCLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBRWhPLE9BQU8sRUFBRSxZQUFZLEVBQUUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLENBQUM7QUFDdkUsQ0FBQztBQXhDRCw4Q0F3Q0MifQ==
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Parses the received date of a development application.  The registers use several formats (for
+// example, "5/03/2017", "5/3/2017", "05/03/17", "5-03-2017", "5.03.2017" and "5 Mar 2017"), a date
+// is sometimes split across several text elements (for example, "5/03/" and "2017") and stray
+// characters sometimes appear in or around a date (for example, "5/03/2017*" or "'5 /03/2017").
+//
+// A date in the future or before the earliest plausible year is rejected, and the year of the
+// date is cross-checked against the year in the application number (for example, "141/17" was
+// lodged in 2017).
+
+"use strict";
+
+import * as moment from "moment";
+import { QualityIssue } from "./quality";
+import { parseApplicationNumber } from "./applicationnumbers";
+
+// The formats of the received dates (day first, as in all Australian registers).
+
+export const ReceivedDateFormats = [ "D/M/YYYY", "D/M/YY", "D-M-YYYY", "D-M-YY", "D.M.YYYY", "D.M.YY", "D MMM YYYY", "D MMMM YYYY", "D-MMM-YYYY", "D-MMM-YY", "YYYY-MM-DD" ];
+
+// The earliest plausible year of a received date (an earlier date is assumed to be a mistake).
+
+export const EarliestReceivedYear = 2000;
+
+// Finds text that looks like a date (numeric or with a month name) within a longer piece of text.
+
+const DatePattern = /[0-9]{1,2}[\/.-][0-9]{1,2}[\/.-][0-9]{2,4}|[0-9]{1,2}[ -][A-Z]{3,9}[ -][0-9]{2,4}|[0-9]{4}-[0-9]{2}-[0-9]{2}/;
+
+// Cleans the text of a received date: removes stray characters and the spaces around separators
+// (which appear when a date is split across several text elements).
+
+function cleanDateText(text: string) {
+    return text.toUpperCase().replace(/[^0-9A-Z\/.\- ]/g, " ").replace(/\s+/g, " ").replace(/\s*([\/.-])\s*/g, "$1").replace(/^[\/.\- ]+|[\/.\- ]+$/g, "");
+}
+
+// Parses a received date from the text of one or more elements (which are joined).  Returns the
+// date in "YYYY-MM-DD" form (or an empty string if there is no valid date) along with any
+// problems encountered.  The date is compared against the specified current date (today, by
+// default).
+
+export function parseReceivedDate(texts: string[], applicationNumber: string, today: moment.Moment = moment()) {
+    let issues: QualityIssue[] = [];
+    let text = texts.map(text => text.trim()).filter(text => text !== "" && text !== "-").join(" ");
+    if (text === "") {
+        issues.push({ field: "receivedDate", code: "missing-received-date", message: "no received date was found" });
+        return { receivedDate: "", issues: issues };
+    }
+
+    // Parse the whole text or, failing that, the first part of the text that looks like a date.
+
+    let cleanedText = cleanDateText(text);
+    let date = moment(cleanedText, ReceivedDateFormats, true);
+    if (!date.isValid()) {
+        let match = DatePattern.exec(cleanedText);
+        if (match !== null)
+            date = moment(match[0], ReceivedDateFormats, true);
+    }
+    if (!date.isValid()) {
+        issues.push({ field: "receivedDate", code: "invalid-received-date", message: `received date "${text}" could not be parsed` });
+        return { receivedDate: "", issues: issues };
+    }
+
+    // Reject dates that cannot be correct.
+
+    if (date.isAfter(today, "day")) {
+        issues.push({ field: "receivedDate", code: "future-received-date", message: `received date "${text}" is in the future` });
+        return { receivedDate: "", issues: issues };
+    }
+    if (date.year() < EarliestReceivedYear) {
+        issues.push({ field: "receivedDate", code: "implausible-received-date", message: `received date "${text}" is before ${EarliestReceivedYear}` });
+        return { receivedDate: "", issues: issues };
+    }
+
+    // Cross-check the year against the application number (the date is kept if they differ).
+
+    let parsedApplicationNumber = parseApplicationNumber(applicationNumber);
+    if (parsedApplicationNumber !== undefined && parsedApplicationNumber.year !== date.year())
+        issues.push({ field: "receivedDate", code: "received-date-year-mismatch", message: `received date "${text}" is in ${date.year()} but application "${applicationNumber}" was numbered in ${parsedApplicationNumber.year}` });
+
+    return { receivedDate: date.format("YYYY-MM-DD"), issues: issues };
+}
@@ -0,0 +1,143 @@
+// Normalises the descriptions of development applications using the rules in a rules file (see
+// descriptionrules.txt).  Words that were broken apart when the register was typeset (for example,
+// "DW ELLING" or "VERAN- DAH") are repaired against a dictionary, common abbreviations are
+// expanded, a trailing consent type (such as "BUILDING RULES ONLY") is removed and recorded
+// separately, and the development is assigned a category (such as "dwelling" or "land division").
+//
+// Each line of the rules file is one of the following (ignoring case, except for the consent
+// types and categories, which are recorded as written):
+//
+//     Word,DWELLING                               a word in the dictionary (plurals ending in "S" or
+//                                                 "ES" are also accepted)
+//     Abbreviation,ADDN,ADDITION                  an abbreviation and its expansion
+//     Consent,BUILDING RULES ONLY,building rules  a trailing phrase and the consent type it denotes
+//     Category,shed,SHED;GARAGE;CARPORT           a category and the words or phrases that identify it
+//
+// When the words or phrases of several categories appear in a description, the category named
+// earliest in the description is chosen (and then the category listed first in the rules file).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+// The description used when a development application has no description.
+exports.MissingDescription = "NO DESCRIPTION PROVIDED";
+// The category of a description that does not match any other category.
+exports.OtherCategory = "other";
+// The punctuation that may follow a word (and is kept when the word is repaired or expanded).
+const TrailingPunctuationPattern = /^(.*?)([.,;:)]*)$/;
+// Reads and validates a description rules file.
+function readDescriptionRules(filePath = "descriptionrules.txt") {
+    let rules = { words: new Set(), abbreviations: new Map(), consentTypes: [], categories: [] };
+    let lineNumber = 0;
+    for (let line of fs.readFileSync(filePath).toString().replace(/\r/g, "").trim().split("\n")) {
+        lineNumber++;
+        let tokens = line.split(",").map(token => token.trim());
+        let kind = tokens[0].toUpperCase();
+        if (kind === "WORD" && tokens.length === 2 && tokens[1] !== "")
+            rules.words.add(tokens[1].toUpperCase());
+        else if (kind === "ABBREVIATION" && tokens.length === 3 && tokens[1] !== "" && tokens[2] !== "")
+            rules.abbreviations.set(tokens[1].toUpperCase().replace(/\.$/, ""), tokens[2].toUpperCase());
+        else if (kind === "CONSENT" && tokens.length === 3 && tokens[1] !== "" && tokens[2] !== "")
+            rules.consentTypes.push({ phrase: tokens[1].toUpperCase(), consentType: tokens[2] });
+        else if (kind === "CATEGORY" && tokens.length === 3 && tokens[1] !== "" && tokens[2] !== "")
+            rules.categories.push({ category: tokens[1], phrases: tokens[2].split(";").map(phrase => phrase.trim().toUpperCase()).filter(phrase => phrase !== "") });
+        else
+            throw new Error(`Line ${lineNumber} of the description rules file ${filePath} is not a valid "Word", "Abbreviation", "Consent" or "Category" rule: ${line}`);
+    }
+    return rules;
+}
+exports.readDescriptionRules = readDescriptionRules;
+// Escapes text for inclusion in a regular expression (allowing any whitespace between words).
+function escapePattern(text) {
+    return text.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&").replace(/\s+/g, "\\s+");
+}
+// Determines whether a word (in upper case) is in the dictionary, allowing for plurals.
+function isWord(rules, word) {
+    return rules.words.has(word) || (word.endsWith("S") && rules.words.has(word.slice(0, -1))) || (word.endsWith("ES") && rules.words.has(word.slice(0, -2)));
+}
+// Converts a replacement to the case of the original text (replacements are upper case).
+function matchCase(replacement, original) {
+    return (original === original.toUpperCase()) ? replacement : replacement.toLowerCase();
+}
+// Repairs words that were broken into two or three pieces (possibly with a hyphen at the end of a
+// line).  The pieces are only joined when they form a word in the dictionary and at least one of
+// the pieces is not itself a word in the dictionary.
+function repairBrokenWords(tokens, rules, corrections) {
+    let repairedTokens = [];
+    for (let index = 0; index < tokens.length; index++) {
+        let repaired = false;
+        for (let count = 3; count >= 2 && !repaired; count--) {
+            if (index + count > tokens.length)
+                continue;
+            let pieces = tokens.slice(index, index + count);
+            let [, lastPiece, punctuation] = TrailingPunctuationPattern.exec(pieces[count - 1]);
+            let cores = [...pieces.slice(0, -1).map(piece => piece.replace(/-$/, "")), lastPiece];
+            if (!cores.every(core => /^[a-z]+$/i.test(core)))
+                continue;
+            let word = cores.join("");
+            if (isWord(rules, word.toUpperCase()) && !cores.every(core => isWord(rules, core.toUpperCase()))) {
+                corrections.push(`${pieces.join(" ")} to ${word}`);
+                repairedTokens.push(word + punctuation);
+                index += count - 1;
+                repaired = true;
+            }
+        }
+        if (!repaired)
+            repairedTokens.push(tokens[index]);
+    }
+    return repairedTokens;
+}
+// Expands the abbreviations in a description (an abbreviation may be followed by a full stop).
+function expandAbbreviations(tokens, rules, corrections) {
+    return tokens.map(token => {
+        let [, word, punctuation] = TrailingPunctuationPattern.exec(token);
+        let opening = word.startsWith("(") ? "(" : "";
+        word = word.substring(opening.length);
+        let expansion = rules.abbreviations.get(word.toUpperCase());
+        if (expansion === undefined)
+            return token;
+        corrections.push(`${word}${punctuation.startsWith(".") ? "." : ""} to ${expansion}`);
+        return opening + matchCase(expansion, word) + punctuation.replace(/^\./, "");
+    });
+}
+// Removes a trailing consent type from a description (for example, " - BUILDING RULES ONLY"),
+// unless that would leave the description empty.  Returns the description and the consent type.
+function removeConsentType(description, rules) {
+    for (let { phrase, consentType } of rules.consentTypes) {
+        let pattern = new RegExp(`(\\s*-\\s*|\\s*\\(\\s*)?\\b${escapePattern(phrase)}\\s*\\)?$`, "i");
+        if (pattern.test(description)) {
+            let truncatedDescription = description.replace(pattern, "").trim();
+            return { description: (truncatedDescription === "") ? description : truncatedDescription, consentType: consentType };
+        }
+    }
+    return { description: description, consentType: "" };
+}
+// Determines the category of a description (the category whose word or phrase appears earliest).
+function categorise(description, rules) {
+    if (description === "")
+        return "";
+    let developmentCategory = exports.OtherCategory;
+    let earliestIndex = Number.MAX_VALUE;
+    for (let { category, phrases } of rules.categories) {
+        for (let phrase of phrases) {
+            let match = new RegExp(`\\b${escapePattern(phrase)}(S|ES)?\\b`, "i").exec(description);
+            if (match !== null && match.index < earliestIndex) {
+                earliestIndex = match.index;
+                developmentCategory = category;
+            }
+        }
+    }
+    return developmentCategory;
+}
+// Normalises a description: repairs broken words, removes and records any trailing consent type,
+// expands abbreviations and determines the category of the development.
+function normaliseDescription(description, rules) {
+    let corrections = [];
+    let tokens = description.replace(/\s+/g, " ").trim().split(" ").filter(token => token !== "");
+    tokens = repairBrokenWords(tokens, rules, corrections);
+    let { description: truncatedDescription, consentType } = removeConsentType(tokens.join(" "), rules);
+    tokens = expandAbbreviations(truncatedDescription.split(" ").filter(token => token !== ""), rules, corrections);
+    let normalisedDescription = tokens.join(" ");
+    return { description: normalisedDescription, consentType: consentType, developmentCategory: categorise(normalisedDescription, rules), corrections: corrections };
+}
+exports.normaliseDescription = normaliseDescription;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGVzY3JpcHRpb25zLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZGVzY3JpcHRpb25zLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLCtGQUErRjtBQUMvRixtR0FBbUc7QUFDbkcsMkZBQTJGO0FBQzNGLDRGQUE0RjtBQUM1RixrR0FBa0c7QUFDbEcsRUFBRTtBQUNGLDZGQUE2RjtBQUM3Rix3REFBd0Q7QUFDeEQsRUFBRTtBQUNGLHFHQUFxRztBQUNyRywwRUFBMEU7QUFDMUUsb0ZBQW9GO0FBQ3BGLG9HQUFvRztBQUNwRyx1R0FBdUc7QUFDdkcsRUFBRTtBQUNGLDhGQUE4RjtBQUM5RixnR0FBZ0c7QUFFaEcsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQW9CekIsMEVBQTBFO0FBRTdELFFBQUEsa0JBQWtCLEdBQUcseUJBQXlCLENBQUM7QUFFNUQsd0VBQXdFO0FBRTNELFFBQUEsYUFBYSxHQUFHLE9BQU8sQ0FBQztBQUVyQyw4RkFBOEY7QUFFOUYsTUFBTSwwQkFBMEIsR0FBRyxtQkFBbUIsQ0FBQztBQUV2RCxnREFBZ0Q7QUFFaEQsU0FBZ0Isb0JBQW9CLENBQUMsV0FBbUIsc0JBQXNCO0lBQzFFLElBQUksS0FBSyxHQUFxQixFQUFFLEtBQUssRUFBRSxJQUFJLEdBQUcsRUFBRSxFQUFFLGFBQWEsRUFBRSxJQUFJLEdBQUcsRUFBRSxFQUFFLFlBQVksRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxDQUFDO0lBQy9HLElBQUksVUFBVSxHQUFHLENBQUMsQ0FBQztJQUNuQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDekYsVUFBVSxFQUFFLENBQUM7UUFDYixJQUFJLE1BQU0sR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQ3hELElBQUksSUFBSSxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztRQUNuQyxJQUFJLElBQUksS0FBSyxNQUFNLElBQUksTUFBTSxDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUU7WUFDMUQsS0FBSyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7YUFDeEMsSUFBSSxJQUFJLEtBQUssY0FBYyxJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUU7WUFDM0YsS0FBSyxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7YUFDNUYsSUFBSSxJQUFJLEtBQUssU0FBUyxJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUU7WUFDdEYsS0FBSyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxFQUFFLFdBQVcsRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO2FBQ3BGLElBQUksSUFBSSxLQUFLLFVBQVUsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxNQUFNLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBRSxJQUFJLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFO1lBQ3ZGLEtBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLEtBQUssRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDOztZQUV6SixNQUFNLElBQUksS0FBSyxDQUFDLFFBQVEsVUFBVSxrQ0FBa0MsUUFBUSx5RUFBeUUsSUFBSSxFQUFFLENBQUMsQ0FBQztLQUNwSztJQUNELE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUFuQkQsb0RBbUJDO0FBRUQsOEZBQThGO0FBRTlGLFNBQVMsYUFBYSxDQUFDLElBQVk7SUFDL0IsT0FBTyxJQUFJLENBQUMsT0FBTyxDQUFDLHVCQUF1QixFQUFFLE1BQU0sQ0FBQyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLENBQUM7QUFDakYsQ0FBQztBQUVELHdGQUF3RjtBQUV4RixTQUFTLE1BQU0sQ0FBQyxLQUF1QixFQUFFLElBQVk7SUFDakQsT0FBTyxLQUFLLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksS0FBSyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQzlKLENBQUM7QUFFRCx5RkFBeUY7QUFFekYsU0FBUyxTQUFTLENBQUMsV0FBbUIsRUFBRSxRQUFnQjtJQUNwRCxPQUFPLENBQUMsUUFBUSxLQUFLLFFBQVEsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxXQUFXLEVBQUUsQ0FBQztBQUMzRixDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLGlHQUFpRztBQUNqRyxxREFBcUQ7QUFFckQsU0FBUyxpQkFBaUIsQ0FBQyxNQUFnQixFQUFFLEtBQXVCLEVBQUUsV0FBcUI7SUFDdkYsSUFBSSxjQUFjLEdBQWEsRUFBRSxDQUFDO0lBQ2xDLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxNQUFNLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ2hELElBQUksUUFBUSxHQUFHLEtBQUssQ0FBQztRQUNyQixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLEtBQUssRUFBRSxFQUFFO1lBQ2xELElBQUksS0FBSyxHQUFHLEtBQUssR0FBRyxNQUFNLENBQUMsTUFBTTtnQkFDN0IsU0FBUztZQUNiLElBQUksTUFBTSxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsS0FBSyxFQUFFLEtBQUssR0FBRyxLQUFLLENBQUMsQ0FBQztZQUNoRCxJQUFJLENBQUUsQUFBRCxFQUFHLFNBQVMsRUFBRSxXQUFXLENBQUUsR0FBRywwQkFBMEIsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3RGLElBQUksS0FBSyxHQUFHLENBQUUsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLEVBQUUsU0FBUyxDQUFFLENBQUM7WUFDeEYsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO2dCQUM1QyxTQUFTO1lBQ2IsSUFBSSxJQUFJLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUMxQixJQUFJLE1BQU0sQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxFQUFFO2dCQUM5RixXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDO2dCQUNuRCxjQUFjLENBQUMsSUFBSSxDQUFDLElBQUksR0FBRyxXQUFXLENBQUMsQ0FBQztnQkFDeEMsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLENBQUM7Z0JBQ25CLFFBQVEsR0FBRyxJQUFJLENBQUM7YUFDbkI7U0FDSjtRQUNELElBQUksQ0FBQyxRQUFRO1lBQ1QsY0FBYyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztLQUMxQztJQUNELE9BQU8sY0FBYyxDQUFDO0FBQzFCLENBQUM7QUFFRCwrRkFBK0Y7QUFFL0YsU0FBUyxtQkFBbUIsQ0FBQyxNQUFnQixFQUFFLEtBQXVCLEVBQUUsV0FBcUI7SUFDekYsT0FBTyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFO1FBQ3RCLElBQUksQ0FBRSxBQUFELEVBQUcsSUFBSSxFQUFFLFdBQVcsQ0FBRSxHQUFHLDBCQUEwQixDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNyRSxJQUFJLE9BQU8sR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUM5QyxJQUFJLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDdEMsSUFBSSxTQUFTLEdBQUcsS0FBSyxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7UUFDNUQsSUFBSSxTQUFTLEtBQUssU0FBUztZQUN2QixPQUFPLEtBQUssQ0FBQztRQUNqQixXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxHQUFHLFdBQVcsQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxPQUFPLFNBQVMsRUFBRSxDQUFDLENBQUM7UUFDckYsT0FBTyxPQUFPLEdBQUcsU0FBUyxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQztJQUNqRixDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCw4RkFBOEY7QUFDOUYsZ0dBQWdHO0FBRWhHLFNBQVMsaUJBQWlCLENBQUMsV0FBbUIsRUFBRSxLQUF1QjtJQUNuRSxLQUFLLElBQUksRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLElBQUksS0FBSyxDQUFDLFlBQVksRUFBRTtRQUNwRCxJQUFJLE9BQU8sR0FBRyxJQUFJLE1BQU0sQ0FBQyw4QkFBOEIsYUFBYSxDQUFDLE1BQU0sQ0FBQyxXQUFXLEVBQUUsR0FBRyxDQUFDLENBQUM7UUFDOUYsSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxFQUFFO1lBQzNCLElBQUksb0JBQW9CLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDbkUsT0FBTyxFQUFFLFdBQVcsRUFBRSxDQUFDLG9CQUFvQixLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLG9CQUFvQixFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsQ0FBQztTQUN4SDtLQUNKO0lBQ0QsT0FBTyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLEVBQUUsRUFBRSxDQUFDO0FBQ3pELENBQUM7QUFFRCxpR0FBaUc7QUFFakcsU0FBUyxVQUFVLENBQUMsV0FBbUIsRUFBRSxLQUF1QjtJQUM1RCxJQUFJLFdBQVcsS0FBSyxFQUFFO1FBQ2xCLE9BQU8sRUFBRSxDQUFDO0lBQ2QsSUFBSSxtQkFBbUIsR0FBRyxxQkFBYSxDQUFDO0lBQ3hDLElBQUksYUFBYSxHQUFHLE1BQU0sQ0FBQyxTQUFTLENBQUM7SUFDckMsS0FBSyxJQUFJLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxJQUFJLEtBQUssQ0FBQyxVQUFVLEVBQUU7UUFDaEQsS0FBSyxJQUFJLE1BQU0sSUFBSSxPQUFPLEVBQUU7WUFDeEIsSUFBSSxLQUFLLEdBQUcsSUFBSSxNQUFNLENBQUMsTUFBTSxhQUFhLENBQUMsTUFBTSxDQUFDLFlBQVksRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUM7WUFDdkYsSUFBSSxLQUFLLEtBQUssSUFBSSxJQUFJLEtBQUssQ0FBQyxLQUFLLEdBQUcsYUFBYSxFQUFFO2dCQUMvQyxhQUFhLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQztnQkFDNUIsbUJBQW1CLEdBQUcsUUFBUSxDQUFDO2FBQ2xDO1NBQ0o7S0FDSjtJQUNELE9BQU8sbUJBQW1CLENBQUM7QUFDL0IsQ0FBQztBQUVELGlHQUFpRztBQUNqRyx3RUFBd0U7QUFFeEUsU0FBZ0Isb0JBQW9CLENBQUMsV0FBbUIsRUFBRSxLQUF1QjtJQUM3RSxJQUFJLFdBQVcsR0FBYSxFQUFFLENBQUM7SUFDL0IsSUFBSSxNQUFNLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssS0FBSyxFQUFFLENBQUMsQ0FBQztJQUM5RixNQUFNLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxXQUFXLENBQUMsQ0FBQztJQUN2RCxJQUFJLEVBQUUsV0FBVyxFQUFFLG9CQUFvQixFQUFFLFdBQVcsRUFBRSxHQUFHLGlCQUFpQixDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFDcEcsTUFBTSxHQUFHLG1CQUFtQixDQUFDLG9CQUFvQixDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLEtBQUssRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLFdBQVcsQ0FBQyxDQUFDO0lBQ2hILElBQUkscUJBQXFCLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUM3QyxPQUFPLEVBQUUsV0FBVyxFQUFFLHFCQUFxQixFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsbUJBQW1CLEVBQUUsVUFBVSxDQUFDLHFCQUFxQixFQUFFLEtBQUssQ0FBQyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsQ0FBQztBQUNySyxDQUFDO0FBUkQsb0RBUUMifQ==
\ No newline at end of file
@@ -0,0 +1,183 @@
+// Normalises the descriptions of development applications using the rules in a rules file (see
+// descriptionrules.txt).  Words that were broken apart when the register was typeset (for example,
+// "DW ELLING" or "VERAN- DAH") are repaired against a dictionary, common abbreviations are
+// expanded, a trailing consent type (such as "BUILDING RULES ONLY") is removed and recorded
+// separately, and the development is assigned a category (such as "dwelling" or "land division").
+//
+// Each line of the rules file is one of the following (ignoring case, except for the consent
+// types and categories, which are recorded as written):
+//
+//     Word,DWELLING                               a word in the dictionary (plurals ending in "S" or
+//                                                 "ES" are also accepted)
+//     Abbreviation,ADDN,ADDITION                  an abbreviation and its expansion
+//     Consent,BUILDING RULES ONLY,building rules  a trailing phrase and the consent type it denotes
+//     Category,shed,SHED;GARAGE;CARPORT           a category and the words or phrases that identify it
+//
+// When the words or phrases of several categories appear in a description, the category named
+// earliest in the description is chosen (and then the category listed first in the rules file).
+
+"use strict";
+
+import * as fs from "fs";
+
+// The rules used to normalise descriptions.
+
+export interface DescriptionRules {
+    words: Set<string>,
+    abbreviations: Map<string, string>,
+    consentTypes: { phrase: string, consentType: string }[],
+    categories: { category: string, phrases: string[] }[]
+}
+
+// A normalised description.
+
+export interface NormalisedDescription {
+    description: string,
+    consentType: string,  // an empty string if no consent type was stated
+    developmentCategory: string,  // "other" if no category applies (or an empty string if there is no description)
+    corrections: string[]  // the words that were repaired or expanded (for example, "DW ELLING" to "DWELLING")
+}
+
+// The description used when a development application has no description.
+
+export const MissingDescription = "NO DESCRIPTION PROVIDED";
+
+// The category of a description that does not match any other category.
+
+export const OtherCategory = "other";
+
+// The punctuation that may follow a word (and is kept when the word is repaired or expanded).
+
+const TrailingPunctuationPattern = /^(.*?)([.,;:)]*)$/;
+
+// Reads and validates a description rules file.
+
+export function readDescriptionRules(filePath: string = "descriptionrules.txt"): DescriptionRules {
+    let rules: DescriptionRules = { words: new Set(), abbreviations: new Map(), consentTypes: [], categories: [] };
+    let lineNumber = 0;
+    for (let line of fs.readFileSync(filePath).toString().replace(/\r/g, "").trim().split("\n")) {
+        lineNumber++;
+        let tokens = line.split(",").map(token => token.trim());
+        let kind = tokens[0].toUpperCase();
+        if (kind === "WORD" && tokens.length === 2 && tokens[1] !== "")
+            rules.words.add(tokens[1].toUpperCase());
+        else if (kind === "ABBREVIATION" && tokens.length === 3 && tokens[1] !== "" && tokens[2] !== "")
+            rules.abbreviations.set(tokens[1].toUpperCase().replace(/\.$/, ""), tokens[2].toUpperCase());
+        else if (kind === "CONSENT" && tokens.length === 3 && tokens[1] !== "" && tokens[2] !== "")
+            rules.consentTypes.push({ phrase: tokens[1].toUpperCase(), consentType: tokens[2] });
+        else if (kind === "CATEGORY" && tokens.length === 3 && tokens[1] !== "" && tokens[2] !== "")
+            rules.categories.push({ category: tokens[1], phrases: tokens[2].split(";").map(phrase => phrase.trim().toUpperCase()).filter(phrase => phrase !== "") });
+        else
+            throw new Error(`Line ${lineNumber} of the description rules file ${filePath} is not a valid "Word", "Abbreviation", "Consent" or "Category" rule: ${line}`);
+    }
+    return rules;
+}
+
+// Escapes text for inclusion in a regular expression (allowing any whitespace between words).
+
+function escapePattern(text: string) {
+    return text.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&").replace(/\s+/g, "\\s+");
+}
+
+// Determines whether a word (in upper case) is in the dictionary, allowing for plurals.
+
+function isWord(rules: DescriptionRules, word: string) {
+    return rules.words.has(word) || (word.endsWith("S") && rules.words.has(word.slice(0, -1))) || (word.endsWith("ES") && rules.words.has(word.slice(0, -2)));
+}
+
+// Converts a replacement to the case of the original text (replacements are upper case).
+
+function matchCase(replacement: string, original: string) {
+    return (original === original.toUpperCase()) ? replacement : replacement.toLowerCase();
+}
+
+// Repairs words that were broken into two or three pieces (possibly with a hyphen at the end of a
+// line).  The pieces are only joined when they form a word in the dictionary and at least one of
+// the pieces is not itself a word in the dictionary.
+
+function repairBrokenWords(tokens: string[], rules: DescriptionRules, corrections: string[]) {
+    let repairedTokens: string[] = [];
+    for (let index = 0; index < tokens.length; index++) {
+        let repaired = false;
+        for (let count = 3; count >= 2 && !repaired; count--) {
+            if (index + count > tokens.length)
+                continue;
+            let pieces = tokens.slice(index, index + count);
+            let [ , lastPiece, punctuation ] = TrailingPunctuationPattern.exec(pieces[count - 1]);
+            let cores = [ ...pieces.slice(0, -1).map(piece => piece.replace(/-$/, "")), lastPiece ];
+            if (!cores.every(core => /^[a-z]+$/i.test(core)))
+                continue;
+            let word = cores.join("");
+            if (isWord(rules, word.toUpperCase()) && !cores.every(core => isWord(rules, core.toUpperCase()))) {
+                corrections.push(`${pieces.join(" ")} to ${word}`);
+                repairedTokens.push(word + punctuation);
+                index += count - 1;
+                repaired = true;
+            }
+        }
+        if (!repaired)
+            repairedTokens.push(tokens[index]);
+    }
+    return repairedTokens;
+}
+
+// Expands the abbreviations in a description (an abbreviation may be followed by a full stop).
+
+function expandAbbreviations(tokens: string[], rules: DescriptionRules, corrections: string[]) {
+    return tokens.map(token => {
+        let [ , word, punctuation ] = TrailingPunctuationPattern.exec(token);
+        let opening = word.startsWith("(") ? "(" : "";
+        word = word.substring(opening.length);
+        let expansion = rules.abbreviations.get(word.toUpperCase());
+        if (expansion === undefined)
+            return token;
+        corrections.push(`${word}${punctuation.startsWith(".") ? "." : ""} to ${expansion}`);
+        return opening + matchCase(expansion, word) + punctuation.replace(/^\./, "");
+    });
+}
+
+// Removes a trailing consent type from a description (for example, " - BUILDING RULES ONLY"),
+// unless that would leave the description empty.  Returns the description and the consent type.
+
+function removeConsentType(description: string, rules: DescriptionRules) {
+    for (let { phrase, consentType } of rules.consentTypes) {
+        let pattern = new RegExp(`(\\s*-\\s*|\\s*\\(\\s*)?\\b${escapePattern(phrase)}\\s*\\)?$`, "i");
+        if (pattern.test(description)) {
+            let truncatedDescription = description.replace(pattern, "").trim();
+            return { description: (truncatedDescription === "") ? description : truncatedDescription, consentType: consentType };
+        }
+    }
+    return { description: description, consentType: "" };
+}
+
+// Determines the category of a description (the category whose word or phrase appears earliest).
+
+function categorise(description: string, rules: DescriptionRules) {
+    if (description === "")
+        return "";
+    let developmentCategory = OtherCategory;
+    let earliestIndex = Number.MAX_VALUE;
+    for (let { category, phrases } of rules.categories) {
+        for (let phrase of phrases) {
+            let match = new RegExp(`\\b${escapePattern(phrase)}(S|ES)?\\b`, "i").exec(description);
+            if (match !== null && match.index < earliestIndex) {
+                earliestIndex = match.index;
+                developmentCategory = category;
+            }
+        }
+    }
+    return developmentCategory;
+}
+
+// Normalises a description: repairs broken words, removes and records any trailing consent type,
+// expands abbreviations and determines the category of the development.
+
+export function normaliseDescription(description: string, rules: DescriptionRules): NormalisedDescription {
+    let corrections: string[] = [];
+    let tokens = description.replace(/\s+/g, " ").trim().split(" ").filter(token => token !== "");
+    tokens = repairBrokenWords(tokens, rules, corrections);
+    let { description: truncatedDescription, consentType } = removeConsentType(tokens.join(" "), rules);
+    tokens = expandAbbreviations(truncatedDescription.split(" ").filter(token => token !== ""), rules, corrections);
+    let normalisedDescription = tokens.join(" ");
+    return { description: normalisedDescription, consentType: consentType, developmentCategory: categorise(normalisedDescription, rules), corrections: corrections };
+}
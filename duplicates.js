@@ -0,0 +1,86 @@
+// Detects the same development application appearing in several register PDFs (possibly with
+// differently printed application numbers, such as "141/17" and "DA 141/2017", which are parsed to
+// the same canonical form).  A field that is missing from one occurrence is filled in from another
+// occurrence, and any field with conflicting values in different occurrences is reported.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const quality_1 = require("./quality");
+const descriptions_1 = require("./descriptions");
+// The fields that are merged (each along with the other properties that are derived from the
+// field, which are always merged together with the field).
+const MergedFields = [
+    { field: "address", properties: ["address", "structuredAddress"] },
+    { field: "description", properties: ["description", "consentType", "developmentCategory"] },
+    { field: "receivedDate", properties: ["receivedDate"] },
+    { field: "legalDescription", properties: ["legalDescription", "legalParcel"] }
+];
+// Constructs a tracker (optionally with a function that finds a development application saved by
+// an earlier run, so that duplicates in documents parsed by different runs are also detected).
+function createDuplicateTracker(findStoredApplication) {
+    return { occurrences: new Map(), duplicateKeys: new Set(), conflicts: [], findStoredApplication: findStoredApplication };
+}
+exports.createDuplicateTracker = createDuplicateTracker;
+// Determines whether the value of a field is missing.
+function isMissing(value) {
+    return value === undefined || value === null || value.trim() === "" || value === descriptions_1.MissingDescription;
+}
+// Merges a development application with an earlier occurrence of the same development
+// application found in a different document: any missing field is copied from the earlier
+// occurrence (along with the quality issues of that field) and any conflicting field is recorded.
+function mergeOccurrence(tracker, developmentApplication, previousOccurrence) {
+    let issues = developmentApplication.quality.issues;
+    for (let { field, properties } of MergedFields) {
+        let value = developmentApplication[field];
+        let previousValue = previousOccurrence[field];
+        if (isMissing(previousValue))
+            continue;
+        if (isMissing(value)) {
+            for (let property of properties)
+                developmentApplication[property] = previousOccurrence[property];
+            let previousIssues = (previousOccurrence.quality === undefined) ? [] : previousOccurrence.quality.issues;
+            issues = issues.filter(issue => issue.field !== field).concat(previousIssues.filter(issue => issue.field === field));
+            console.log(`Copied the ${field} of application "${developmentApplication.applicationNumber}" from document: ${previousOccurrence.informationUrl}`);
+        }
+        else if (value !== previousValue) {
+            let conflict = tracker.conflicts.find(conflict => conflict.authorityLabel === developmentApplication.authorityLabel && conflict.applicationNumber === developmentApplication.applicationNumber && conflict.field === field);
+            if (conflict === undefined) {
+                conflict = { authorityLabel: developmentApplication.authorityLabel, applicationNumber: developmentApplication.applicationNumber, field: field, values: [] };
+                tracker.conflicts.push(conflict);
+            }
+            for (let occurrence of [previousOccurrence, developmentApplication])
+                if (!conflict.values.some(conflictValue => conflictValue.value === occurrence[field] && conflictValue.url === occurrence.informationUrl))
+                    conflict.values.push({ value: occurrence[field], url: occurrence.informationUrl, originalApplicationNumber: occurrence.originalApplicationNumber });
+            console.log(`Conflicting ${field} for application "${developmentApplication.applicationNumber}": "${previousValue}" in ${previousOccurrence.informationUrl} but "${value}" in ${developmentApplication.informationUrl}.`);
+        }
+    }
+    developmentApplication.quality = quality_1.createQualityRecord(issues);
+}
+// Merges each of the development applications parsed from a document with any earlier occurrence
+// of the same development application (in another document parsed during this run or, failing
+// that, saved by an earlier run from a different document).  The development applications are
+// updated in place.
+async function mergeDuplicates(tracker, developmentApplications, url) {
+    for (let developmentApplication of developmentApplications) {
+        let key = `${developmentApplication.authorityLabel}\n${developmentApplication.applicationNumber}`;
+        let previousOccurrence = tracker.occurrences.get(key);
+        if (previousOccurrence === undefined && tracker.findStoredApplication !== undefined) {
+            previousOccurrence = await tracker.findStoredApplication(developmentApplication.authorityLabel, developmentApplication.applicationNumber);
+            if (previousOccurrence !== undefined && previousOccurrence.informationUrl === url)
+                previousOccurrence = undefined; // an earlier version of the same document (not a duplicate)
+        }
+        if (previousOccurrence !== undefined) {
+            tracker.duplicateKeys.add(key);
+            if (previousOccurrence.originalApplicationNumber !== developmentApplication.originalApplicationNumber)
+                console.log(`Application "${developmentApplication.originalApplicationNumber}" is the same as application "${previousOccurrence.originalApplicationNumber}" in document: ${previousOccurrence.informationUrl}`);
+            mergeOccurrence(tracker, developmentApplication, previousOccurrence);
+        }
+        tracker.occurrences.set(key, developmentApplication);
+    }
+}
+exports.mergeDuplicates = mergeDuplicates;
+// Summarises the duplicates found during a run.
+function getDuplicateReport(tracker) {
+    return { duplicateApplicationCount: tracker.duplicateKeys.size, conflicts: tracker.conflicts };
+}
+exports.getDuplicateReport = getDuplicateReport;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHVwbGljYXRlcy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImR1cGxpY2F0ZXMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsNkZBQTZGO0FBQzdGLG1HQUFtRztBQUNuRyxtR0FBbUc7QUFDbkcsMEZBQTBGO0FBRTFGLFlBQVksQ0FBQzs7QUFFYix1Q0FBOEQ7QUFDOUQsaURBQW9EO0FBMkJwRCw2RkFBNkY7QUFDN0YsMkRBQTJEO0FBRTNELE1BQU0sWUFBWSxHQUE2RDtJQUMzRSxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLENBQUUsU0FBUyxFQUFFLG1CQUFtQixDQUFFLEVBQUU7SUFDcEUsRUFBRSxLQUFLLEVBQUUsYUFBYSxFQUFFLFVBQVUsRUFBRSxDQUFFLGFBQWEsRUFBRSxhQUFhLEVBQUUscUJBQXFCLENBQUUsRUFBRTtJQUM3RixFQUFFLEtBQUssRUFBRSxjQUFjLEVBQUUsVUFBVSxFQUFFLENBQUUsY0FBYyxDQUFFLEVBQUU7SUFDekQsRUFBRSxLQUFLLEVBQUUsa0JBQWtCLEVBQUUsVUFBVSxFQUFFLENBQUUsa0JBQWtCLEVBQUUsYUFBYSxDQUFFLEVBQUU7Q0FDbkYsQ0FBQztBQUVGLGlHQUFpRztBQUNqRywrRkFBK0Y7QUFFL0YsU0FBZ0Isc0JBQXNCLENBQUMscUJBQTJGO0lBQzlILE9BQU8sRUFBRSxXQUFXLEVBQUUsSUFBSSxHQUFHLEVBQUUsRUFBRSxhQUFhLEVBQUUsSUFBSSxHQUFHLEVBQUUsRUFBRSxTQUFTLEVBQUUsRUFBRSxFQUFFLHFCQUFxQixFQUFFLHFCQUFxQixFQUFFLENBQUM7QUFDN0gsQ0FBQztBQUZELHdEQUVDO0FBRUQsc0RBQXNEO0FBRXRELFNBQVMsU0FBUyxDQUFDLEtBQWE7SUFDNUIsT0FBTyxLQUFLLEtBQUssU0FBUyxJQUFJLEtBQUssS0FBSyxJQUFJLElBQUksS0FBSyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxLQUFLLEtBQUssaUNBQWtCLENBQUM7QUFDeEcsQ0FBQztBQUVELHNGQUFzRjtBQUN0RiwwRkFBMEY7QUFDMUYsa0dBQWtHO0FBRWxHLFNBQVMsZUFBZSxDQUFDLE9BQXlCLEVBQUUsc0JBQXNCLEVBQUUsa0JBQWtCO0lBQzFGLElBQUksTUFBTSxHQUFtQixzQkFBc0IsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDO0lBQ25FLEtBQUssSUFBSSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUsSUFBSSxZQUFZLEVBQUU7UUFDNUMsSUFBSSxLQUFLLEdBQUcsc0JBQXNCLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDMUMsSUFBSSxhQUFhLEdBQUcsa0JBQWtCLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDOUMsSUFBSSxTQUFTLENBQUMsYUFBYSxDQUFDO1lBQ3hCLFNBQVM7UUFFYixJQUFJLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUNsQixLQUFLLElBQUksUUFBUSxJQUFJLFVBQVU7Z0JBQzNCLHNCQUFzQixDQUFDLFFBQVEsQ0FBQyxHQUFHLGtCQUFrQixDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBQ3BFLElBQUksY0FBYyxHQUFtQixDQUFDLGtCQUFrQixDQUFDLE9BQU8sS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxrQkFBa0IsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDO1lBQ3pILE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxLQUFLLEtBQUssS0FBSyxDQUFDLENBQUMsQ0FBQztZQUNySCxPQUFPLENBQUMsR0FBRyxDQUFDLGNBQWMsS0FBSyxvQkFBb0Isc0JBQXNCLENBQUMsaUJBQWlCLG9CQUFvQixrQkFBa0IsQ0FBQyxjQUFjLEVBQUUsQ0FBQyxDQUFDO1NBQ3ZKO2FBQU0sSUFBSSxLQUFLLEtBQUssYUFBYSxFQUFFO1lBQ2hDLElBQUksUUFBUSxHQUFHLE9BQU8sQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLGNBQWMsS0FBSyxzQkFBc0IsQ0FBQyxjQUFjLElBQUksUUFBUSxDQUFDLGlCQUFpQixLQUFLLHNCQUFzQixDQUFDLGlCQUFpQixJQUFJLFFBQVEsQ0FBQyxLQUFLLEtBQUssS0FBSyxDQUFDLENBQUM7WUFDNU4sSUFBSSxRQUFRLEtBQUssU0FBUyxFQUFFO2dCQUN4QixRQUFRLEdBQUcsRUFBRSxjQUFjLEVBQUUsc0JBQXNCLENBQUMsY0FBYyxFQUFFLGlCQUFpQixFQUFFLHNCQUFzQixDQUFDLGlCQUFpQixFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLEVBQUUsRUFBRSxDQUFDO2dCQUM1SixPQUFPLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQzthQUNwQztZQUNELEtBQUssSUFBSSxVQUFVLElBQUksQ0FBRSxrQkFBa0IsRUFBRSxzQkFBc0IsQ0FBRTtnQkFDakUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxFQUFFLENBQUMsYUFBYSxDQUFDLEtBQUssS0FBSyxVQUFVLENBQUMsS0FBSyxDQUFDLElBQUksYUFBYSxDQUFDLEdBQUcsS0FBSyxVQUFVLENBQUMsY0FBYyxDQUFDO29CQUNwSSxRQUFRLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxVQUFVLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxFQUFFLFVBQVUsQ0FBQyxjQUFjLEVBQUUseUJBQXlCLEVBQUUsVUFBVSxDQUFDLHlCQUF5QixFQUFFLENBQUMsQ0FBQztZQUM1SixPQUFPLENBQUMsR0FBRyxDQUFDLGVBQWUsS0FBSyxxQkFBcUIsc0JBQXNCLENBQUMsaUJBQWlCLE9BQU8sYUFBYSxRQUFRLGtCQUFrQixDQUFDLGNBQWMsU0FBUyxLQUFLLFFBQVEsc0JBQXNCLENBQUMsY0FBYyxHQUFHLENBQUMsQ0FBQztTQUM3TjtLQUNKO0lBQ0Qsc0JBQXNCLENBQUMsT0FBTyxHQUFHLDZCQUFtQixDQUFDLE1BQU0sQ0FBQyxDQUFDO0FBQ2pFLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsOEZBQThGO0FBQzlGLDhGQUE4RjtBQUM5RixvQkFBb0I7QUFFYixLQUFLLFVBQVUsZUFBZSxDQUFDLE9BQXlCLEVBQUUsdUJBQThCLEVBQUUsR0FBVztJQUN4RyxLQUFLLElBQUksc0JBQXNCLElBQUksdUJBQXVCLEVBQUU7UUFDeEQsSUFBSSxHQUFHLEdBQUcsR0FBRyxzQkFBc0IsQ0FBQyxjQUFjLEtBQUssc0JBQXNCLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztRQUNsRyxJQUFJLGtCQUFrQixHQUFHLE9BQU8sQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3RELElBQUksa0JBQWtCLEtBQUssU0FBUyxJQUFJLE9BQU8sQ0FBQyxxQkFBcUIsS0FBSyxTQUFTLEVBQUU7WUFDakYsa0JBQWtCLEdBQUcsTUFBTSxPQUFPLENBQUMscUJBQXFCLENBQUMsc0JBQXNCLENBQUMsY0FBYyxFQUFFLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7WUFDMUksSUFBSSxrQkFBa0IsS0FBSyxTQUFTLElBQUksa0JBQWtCLENBQUMsY0FBYyxLQUFLLEdBQUc7Z0JBQzdFLGtCQUFrQixHQUFHLFNBQVMsQ0FBQyxDQUFFLDREQUE0RDtTQUNwRztRQUVELElBQUksa0JBQWtCLEtBQUssU0FBUyxFQUFFO1lBQ2xDLE9BQU8sQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQy9CLElBQUksa0JBQWtCLENBQUMseUJBQXlCLEtBQUssc0JBQXNCLENBQUMseUJBQXlCO2dCQUNqRyxPQUFPLENBQUMsR0FBRyxDQUFDLGdCQUFnQixzQkFBc0IsQ0FBQyx5QkFBeUIsaUNBQWlDLGtCQUFrQixDQUFDLHlCQUF5QixrQkFBa0Isa0JBQWtCLENBQUMsY0FBYyxFQUFFLENBQUMsQ0FBQztZQUNwTixlQUFlLENBQUMsT0FBTyxFQUFFLHNCQUFzQixFQUFFLGtCQUFrQixDQUFDLENBQUM7U0FDeEU7UUFDRCxPQUFPLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsc0JBQXNCLENBQUMsQ0FBQztLQUN4RDtBQUNMLENBQUM7QUFsQkQsMENBa0JDO0FBRUQsZ0RBQWdEO0FBRWhELFNBQWdCLGtCQUFrQixDQUFDLE9BQXlCO0lBQ3hELE9BQU8sRUFBRSx5QkFBeUIsRUFBRSxPQUFPLENBQUMsYUFBYSxDQUFDLElBQUksRUFBRSxTQUFTLEVBQUUsT0FBTyxDQUFDLFNBQVMsRUFBRSxDQUFDO0FBQ25HLENBQUM7QUFGRCxnREFFQyJ9
\ No newline at end of file
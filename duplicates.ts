@@ -0,0 +1,121 @@
+// Detects the same development application appearing in several register PDFs (possibly with
+// differently printed application numbers, such as "141/17" and "DA 141/2017", which are parsed to
+// the same canonical form).  A field that is missing from one occurrence is filled in from another
+// occurrence, and any field with conflicting values in different occurrences is reported.
+
+"use strict";
+
+import { QualityIssue, createQualityRecord } from "./quality";
+import { MissingDescription } from "./descriptions";
+
+// A field with different values in different occurrences of the same development application.
+
+export interface Conflict {
+    authorityLabel: string,
+    applicationNumber: string,  // the canonical application number
+    field: string,
+    values: { value: string, url: string, originalApplicationNumber: string }[]
+}
+
+// The duplicates found during a run.
+
+export interface DuplicateReport {
+    duplicateApplicationCount: number,  // the number of development applications that appeared more than once
+    conflicts: Conflict[]
+}
+
+// Tracks the occurrences of each development application during a run.
+
+export interface DuplicateTracker {
+    occurrences: Map<string, any>,  // the most recent occurrence of each development application
+    duplicateKeys: Set<string>,
+    conflicts: Conflict[],
+    findStoredApplication?: (authorityLabel: string, applicationNumber: string) => Promise<any>  // finds an occurrence saved by an earlier run
+}
+
+// The fields that are merged (each along with the other properties that are derived from the
+// field, which are always merged together with the field).
+
+const MergedFields: { field: QualityIssue["field"], properties: string[] }[] = [
+    { field: "address", properties: [ "address", "structuredAddress" ] },
+    { field: "description", properties: [ "description", "consentType", "developmentCategory" ] },
+    { field: "receivedDate", properties: [ "receivedDate" ] },
+    { field: "legalDescription", properties: [ "legalDescription", "legalParcel" ] }
+];
+
+// Constructs a tracker (optionally with a function that finds a development application saved by
+// an earlier run, so that duplicates in documents parsed by different runs are also detected).
+
+export function createDuplicateTracker(findStoredApplication?: (authorityLabel: string, applicationNumber: string) => Promise<any>): DuplicateTracker {
+    return { occurrences: new Map(), duplicateKeys: new Set(), conflicts: [], findStoredApplication: findStoredApplication };
+}
+
+// Determines whether the value of a field is missing.
+
+function isMissing(value: string) {
+    return value === undefined || value === null || value.trim() === "" || value === MissingDescription;
+}
+
+// Merges a development application with an earlier occurrence of the same development
+// application found in a different document: any missing field is copied from the earlier
+// occurrence (along with the quality issues of that field) and any conflicting field is recorded.
+
+function mergeOccurrence(tracker: DuplicateTracker, developmentApplication, previousOccurrence) {
+    let issues: QualityIssue[] = developmentApplication.quality.issues;
+    for (let { field, properties } of MergedFields) {
+        let value = developmentApplication[field];
+        let previousValue = previousOccurrence[field];
+        if (isMissing(previousValue))
+            continue;
+
+        if (isMissing(value)) {
+            for (let property of properties)
+                developmentApplication[property] = previousOccurrence[property];
+            let previousIssues: QualityIssue[] = (previousOccurrence.quality === undefined) ? [] : previousOccurrence.quality.issues;
+            issues = issues.filter(issue => issue.field !== field).concat(previousIssues.filter(issue => issue.field === field));
+            console.log(`Copied the ${field} of application "${developmentApplication.applicationNumber}" from document: ${previousOccurrence.informationUrl}`);
+        } else if (value !== previousValue) {
+            let conflict = tracker.conflicts.find(conflict => conflict.authorityLabel === developmentApplication.authorityLabel && conflict.applicationNumber === developmentApplication.applicationNumber && conflict.field === field);
+            if (conflict === undefined) {
+                conflict = { authorityLabel: developmentApplication.authorityLabel, applicationNumber: developmentApplication.applicationNumber, field: field, values: [] };
+                tracker.conflicts.push(conflict);
+            }
+            for (let occurrence of [ previousOccurrence, developmentApplication ])
+                if (!conflict.values.some(conflictValue => conflictValue.value === occurrence[field] && conflictValue.url === occurrence.informationUrl))
+                    conflict.values.push({ value: occurrence[field], url: occurrence.informationUrl, originalApplicationNumber: occurrence.originalApplicationNumber });
+            console.log(`Conflicting ${field} for application "${developmentApplication.applicationNumber}": "${previousValue}" in ${previousOccurrence.informationUrl} but "${value}" in ${developmentApplication.informationUrl}.`);
+        }
+    }
+    developmentApplication.quality = createQualityRecord(issues);
+}
+
+// Merges each of the development applications parsed from a document with any earlier occurrence
+// of the same development application (in another document parsed during this run or, failing
+// that, saved by an earlier run from a different document).  The development applications are
+// updated in place.
+
+export async function mergeDuplicates(tracker: DuplicateTracker, developmentApplications: any[], url: string) {
+    for (let developmentApplication of developmentApplications) {
+        let key = `${developmentApplication.authorityLabel}\n${developmentApplication.applicationNumber}`;
+        let previousOccurrence = tracker.occurrences.get(key);
+        if (previousOccurrence === undefined && tracker.findStoredApplication !== undefined) {
+            previousOccurrence = await tracker.findStoredApplication(developmentApplication.authorityLabel, developmentApplication.applicationNumber);
+            if (previousOccurrence !== undefined && previousOccurrence.informationUrl === url)
+                previousOccurrence = undefined;  // an earlier version of the same document (not a duplicate)
+        }
+
+        if (previousOccurrence !== undefined) {
+            tracker.duplicateKeys.add(key);
+            if (previousOccurrence.originalApplicationNumber !== developmentApplication.originalApplicationNumber)
+                console.log(`Application "${developmentApplication.originalApplicationNumber}" is the same as application "${previousOccurrence.originalApplicationNumber}" in document: ${previousOccurrence.informationUrl}`);
+            mergeOccurrence(tracker, developmentApplication, previousOccurrence);
+        }
+        tracker.occurrences.set(key, developmentApplication);
+    }
+}
+
+// Summarises the duplicates found during a run.
+
+export function getDuplicateReport(tracker: DuplicateTracker): DuplicateReport {
+    return { duplicateApplicationCount: tracker.duplicateKeys.size, conflicts: tracker.conflicts };
+}
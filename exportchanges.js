@@ -0,0 +1,92 @@
+// Exports the development applications that are new or changed since a given run of the scraper
+// (or since a given date) from the database, as JSON or CSV, so that an alerting system can
+// consume only the changes (see runs.ts).  The last run included in the export is reported, and
+// should be given as "--since" for the next export.
+//
+// Usage:
+//
+//     node exportchanges.js --since <run ID or date> [--format json|csv] [--output <file>] [--council <name>] [--database <file>]
+//
+// where "--since" is either a run ID (the changes made in later runs are exported) or a date such
+// as "2019-03-01" (the changes made in the runs started on or after that date are exported),
+// "--format" selects JSON (the default) or CSV, "--output" selects the file to write (standard
+// output by default), "--council" exports only the development applications of one council and
+// "--database" selects the database (data.sqlite by default).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const councils_1 = require("./councils");
+const sinks_1 = require("./sinks");
+const runs_1 = require("./runs");
+const scraper_1 = require("./scraper");
+// The usage of the tool.
+const Usage = "Usage: node exportchanges.js --since <run ID or date> [--format json|csv] [--output <file>] [--council <name>] [--database <file>]";
+// The columns of an exported CSV file.
+const ChangeColumns = ["change", ...sinks_1.CsvColumns, ...runs_1.RunColumns];
+// Parses the command line arguments.
+function parseArguments(argv) {
+    let options = { since: undefined, format: "json", outputPath: undefined, authorityLabel: undefined, databasePath: "data.sqlite" };
+    for (let index = 0; index < argv.length; index++) {
+        let argument = argv[index];
+        if (argument === "--since" && index + 1 < argv.length)
+            options.since = argv[++index];
+        else if (argument === "--format" && index + 1 < argv.length && ["json", "csv"].includes(argv[index + 1]))
+            options.format = argv[++index];
+        else if (argument === "--output" && index + 1 < argv.length)
+            options.outputPath = argv[++index];
+        else if (argument === "--council" && index + 1 < argv.length)
+            options.authorityLabel = councils_1.findCouncils([argv[++index]])[0].name;
+        else if (argument === "--database" && index + 1 < argv.length)
+            options.databasePath = argv[++index];
+        else
+            throw new Error(`Unrecognised command line argument "${argument}".  ${Usage}`);
+    }
+    if (options.since === undefined)
+        throw new Error(`A run ID or date must be specified with "--since".  ${Usage}`);
+    if (!fs.existsSync(options.databasePath))
+        throw new Error(`The database ${options.databasePath} does not exist.`);
+    return options;
+}
+// Formats the changes as JSON (along with the range of runs that they cover).
+function formatJson(changes, sinceRunId, untilRunId) {
+    let applications = changes.map(change => {
+        let application = {};
+        for (let column of ChangeColumns)
+            application[column] = change[column];
+        return application;
+    });
+    return JSON.stringify({ since_run: sinceRunId, until_run: untilRunId, applications: applications }, null, 4) + "\n";
+}
+// Formats the changes as CSV (with one development application per line).
+function formatCsv(changes) {
+    let lines = [ChangeColumns.join(",")];
+    for (let change of changes)
+        lines.push(ChangeColumns.map(column => sinks_1.quoteCsvValue(change[column])).join(","));
+    return lines.join("\n") + "\n";
+}
+// Exports the changes.
+async function main() {
+    let options = parseArguments(process.argv.slice(2));
+    // Log to standard error when the changes are being written to standard output.
+    if (options.outputPath === undefined)
+        console.log = console.error;
+    let database = await scraper_1.initializeDatabase(options.databasePath);
+    try {
+        let sinceRunId = await runs_1.resolveSinceRun(database, options.since);
+        if (sinceRunId === undefined)
+            throw new Error(`The "--since" value "${options.since}" is neither a run ID nor a date (such as 2019-03-01).`);
+        let { untilRunId, changes } = await runs_1.readChanges(database, sinceRunId, options.authorityLabel);
+        let text = (options.format === "csv") ? formatCsv(changes) : formatJson(changes, sinceRunId, untilRunId);
+        if (options.outputPath === undefined)
+            process.stdout.write(text);
+        else
+            fs.writeFileSync(options.outputPath, text);
+        let newCount = changes.filter(change => change.change === "new").length;
+        console.log(`Exported ${newCount} new and ${changes.length - newCount} changed development application(s) from the runs after run ${sinceRunId} up to run ${untilRunId} (give "--since ${untilRunId}" for the next export).`);
+    }
+    finally {
+        database.close();
+    }
+}
+main().catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXhwb3J0Y2hhbmdlcy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImV4cG9ydGNoYW5nZXMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsZ0dBQWdHO0FBQ2hHLDRGQUE0RjtBQUM1RixnR0FBZ0c7QUFDaEcsb0RBQW9EO0FBQ3BELEVBQUU7QUFDRixTQUFTO0FBQ1QsRUFBRTtBQUNGLGtJQUFrSTtBQUNsSSxFQUFFO0FBQ0Ysa0dBQWtHO0FBQ2xHLDZGQUE2RjtBQUM3RiwrRkFBK0Y7QUFDL0YsK0ZBQStGO0FBQy9GLDhEQUE4RDtBQUU5RCxZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLHlDQUEwQztBQUMxQyxtQ0FBb0Q7QUFDcEQsaUNBQTBFO0FBQzFFLHVDQUErQztBQUkvQyx5QkFBeUI7QUFFekIsTUFBTSxLQUFLLEdBQUcsb0lBQW9JLENBQUM7QUFFbkosdUNBQXVDO0FBRXZDLE1BQU0sYUFBYSxHQUFHLENBQUUsUUFBUSxFQUFFLEdBQUcsa0JBQVUsRUFBRSxHQUFHLGlCQUFVLENBQUUsQ0FBQztBQUVqRSxxQ0FBcUM7QUFFckMsU0FBUyxjQUFjLENBQUMsSUFBYztJQUNsQyxJQUFJLE9BQU8sR0FBRyxFQUFFLEtBQUssRUFBRSxTQUFtQixFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsVUFBVSxFQUFFLFNBQW1CLEVBQUUsY0FBYyxFQUFFLFNBQW1CLEVBQUUsWUFBWSxFQUFFLGFBQWEsRUFBRSxDQUFDO0lBQ2hLLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzlDLElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMzQixJQUFJLFFBQVEsS0FBSyxTQUFTLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUNqRCxPQUFPLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO2FBQzdCLElBQUksUUFBUSxLQUFLLFVBQVUsSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLElBQUksQ0FBRSxNQUFNLEVBQUUsS0FBSyxDQUFFLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDdEcsT0FBTyxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQzthQUM5QixJQUFJLFFBQVEsS0FBSyxVQUFVLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUN2RCxPQUFPLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO2FBQ2xDLElBQUksUUFBUSxLQUFLLFdBQVcsSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNO1lBQ3hELE9BQU8sQ0FBQyxjQUFjLEdBQUcsdUJBQVksQ0FBQyxDQUFFLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7YUFDaEUsSUFBSSxRQUFRLEtBQUssWUFBWSxJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU07WUFDekQsT0FBTyxDQUFDLFlBQVksR0FBRyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQzs7WUFFckMsTUFBTSxJQUFJLEtBQUssQ0FBQyx1Q0FBdUMsUUFBUSxPQUFPLEtBQUssRUFBRSxDQUFDLENBQUM7S0FDdEY7SUFFRCxJQUFJLE9BQU8sQ0FBQyxLQUFLLEtBQUssU0FBUztRQUMzQixNQUFNLElBQUksS0FBSyxDQUFDLHVEQUF1RCxLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBQ3BGLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUM7UUFDcEMsTUFBTSxJQUFJLEtBQUssQ0FBQyxnQkFBZ0IsT0FBTyxDQUFDLFlBQVksa0JBQWtCLENBQUMsQ0FBQztJQUM1RSxPQUFPLE9BQU8sQ0FBQztBQUNuQixDQUFDO0FBRUQsOEVBQThFO0FBRTlFLFNBQVMsVUFBVSxDQUFDLE9BQWlCLEVBQUUsVUFBa0IsRUFBRSxVQUFrQjtJQUN6RSxJQUFJLFlBQVksR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1FBQ3BDLElBQUksV0FBVyxHQUFHLEVBQUUsQ0FBQztRQUNyQixLQUFLLElBQUksTUFBTSxJQUFJLGFBQWE7WUFDNUIsV0FBVyxDQUFDLE1BQU0sQ0FBQyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUN6QyxPQUFPLFdBQVcsQ0FBQztJQUN2QixDQUFDLENBQUMsQ0FBQztJQUNILE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLFNBQVMsRUFBRSxVQUFVLEVBQUUsU0FBUyxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQztBQUN4SCxDQUFDO0FBRUQsMEVBQTBFO0FBRTFFLFNBQVMsU0FBUyxDQUFDLE9BQWlCO0lBQ2hDLElBQUksS0FBSyxHQUFHLENBQUUsYUFBYSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBRSxDQUFDO0lBQ3hDLEtBQUssSUFBSSxNQUFNLElBQUksT0FBTztRQUN0QixLQUFLLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxxQkFBYSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQVcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDL0YsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQztBQUNuQyxDQUFDO0FBRUQsdUJBQXVCO0FBRXZCLEtBQUssVUFBVSxJQUFJO0lBQ2YsSUFBSSxPQUFPLEdBQUcsY0FBYyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFcEQsK0VBQStFO0lBRS9FLElBQUksT0FBTyxDQUFDLFVBQVUsS0FBSyxTQUFTO1FBQ2hDLE9BQU8sQ0FBQyxHQUFHLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQztJQUVoQyxJQUFJLFFBQVEsR0FBRyxNQUFNLDRCQUFrQixDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUM5RCxJQUFJO1FBQ0EsSUFBSSxVQUFVLEdBQUcsTUFBTSxzQkFBZSxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDaEUsSUFBSSxVQUFVLEtBQUssU0FBUztZQUN4QixNQUFNLElBQUksS0FBSyxDQUFDLHdCQUF3QixPQUFPLENBQUMsS0FBSyx3REFBd0QsQ0FBQyxDQUFDO1FBRW5ILElBQUksRUFBRSxVQUFVLEVBQUUsT0FBTyxFQUFFLEdBQUcsTUFBTSxrQkFBVyxDQUFDLFFBQVEsRUFBRSxVQUFVLEVBQUUsT0FBTyxDQUFDLGNBQWMsQ0FBQyxDQUFDO1FBQzlGLElBQUksSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsT0FBTyxFQUFFLFVBQVUsRUFBRSxVQUFVLENBQUMsQ0FBQztRQUN6RyxJQUFJLE9BQU8sQ0FBQyxVQUFVLEtBQUssU0FBUztZQUNoQyxPQUFPLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQzs7WUFFM0IsRUFBRSxDQUFDLGFBQWEsQ0FBQyxPQUFPLENBQUMsVUFBVSxFQUFFLElBQUksQ0FBQyxDQUFDO1FBRS9DLElBQUksUUFBUSxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxLQUFLLEtBQUssQ0FBQyxDQUFDLE1BQU0sQ0FBQztRQUN4RSxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksUUFBUSxZQUFZLE9BQU8sQ0FBQyxNQUFNLEdBQUcsUUFBUSwrREFBK0QsVUFBVSxjQUFjLFVBQVUsbUJBQW1CLFVBQVUseUJBQXlCLENBQUMsQ0FBQztLQUNqTztZQUFTO1FBQ04sUUFBUSxDQUFDLEtBQUssRUFBRSxDQUFDO0tBQ3BCO0FBQ0wsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsRUFBRSxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDIn0=
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Exports the development applications that are new or changed since a given run of the scraper
+// (or since a given date) from the database, as JSON or CSV, so that an alerting system can
+// consume only the changes (see runs.ts).  The last run included in the export is reported, and
+// should be given as "--since" for the next export.
+//
+// Usage:
+//
+//     node exportchanges.js --since <run ID or date> [--format json|csv] [--output <file>] [--council <name>] [--database <file>]
+//
+// where "--since" is either a run ID (the changes made in later runs are exported) or a date such
+// as "2019-03-01" (the changes made in the runs started on or after that date are exported),
+// "--format" selects JSON (the default) or CSV, "--output" selects the file to write (standard
+// output by default), "--council" exports only the development applications of one council and
+// "--database" selects the database (data.sqlite by default).
+
+"use strict";
+
+import * as fs from "fs";
+import { findCouncils } from "./councils";
+import { CsvColumns, quoteCsvValue } from "./sinks";
+import { RunColumns, Change, resolveSinceRun, readChanges } from "./runs";
+import { initializeDatabase } from "./scraper";
+
+declare const process: any;
+
+// The usage of the tool.
+
+const Usage = "Usage: node exportchanges.js --since <run ID or date> [--format json|csv] [--output <file>] [--council <name>] [--database <file>]";
+
+// The columns of an exported CSV file.
+
+const ChangeColumns = [ "change", ...CsvColumns, ...RunColumns ];
+
+// Parses the command line arguments.
+
+function parseArguments(argv: string[]) {
+    let options = { since: undefined as string, format: "json", outputPath: undefined as string, authorityLabel: undefined as string, databasePath: "data.sqlite" };
+    for (let index = 0; index < argv.length; index++) {
+        let argument = argv[index];
+        if (argument === "--since" && index + 1 < argv.length)
+            options.since = argv[++index];
+        else if (argument === "--format" && index + 1 < argv.length && [ "json", "csv" ].includes(argv[index + 1]))
+            options.format = argv[++index];
+        else if (argument === "--output" && index + 1 < argv.length)
+            options.outputPath = argv[++index];
+        else if (argument === "--council" && index + 1 < argv.length)
+            options.authorityLabel = findCouncils([ argv[++index] ])[0].name;
+        else if (argument === "--database" && index + 1 < argv.length)
+            options.databasePath = argv[++index];
+        else
+            throw new Error(`Unrecognised command line argument "${argument}".  ${Usage}`);
+    }
+
+    if (options.since === undefined)
+        throw new Error(`A run ID or date must be specified with "--since".  ${Usage}`);
+    if (!fs.existsSync(options.databasePath))
+        throw new Error(`The database ${options.databasePath} does not exist.`);
+    return options;
+}
+
+// Formats the changes as JSON (along with the range of runs that they cover).
+
+function formatJson(changes: Change[], sinceRunId: number, untilRunId: number) {
+    let applications = changes.map(change => {
+        let application = {};
+        for (let column of ChangeColumns)
+            application[column] = change[column];
+        return application;
+    });
+    return JSON.stringify({ since_run: sinceRunId, until_run: untilRunId, applications: applications }, null, 4) + "\n";
+}
+
+// Formats the changes as CSV (with one development application per line).
+
+function formatCsv(changes: Change[]) {
+    let lines = [ ChangeColumns.join(",") ];
+    for (let change of changes)
+        lines.push(ChangeColumns.map(column => quoteCsvValue(change[column] as string)).join(","));
+    return lines.join("\n") + "\n";
+}
+
+// Exports the changes.
+
+async function main() {
+    let options = parseArguments(process.argv.slice(2));
+
+    // Log to standard error when the changes are being written to standard output.
+
+    if (options.outputPath === undefined)
+        console.log = console.error;
+
+    let database = await initializeDatabase(options.databasePath);
+    try {
+        let sinceRunId = await resolveSinceRun(database, options.since);
+        if (sinceRunId === undefined)
+            throw new Error(`The "--since" value "${options.since}" is neither a run ID nor a date (such as 2019-03-01).`);
+
+        let { untilRunId, changes } = await readChanges(database, sinceRunId, options.authorityLabel);
+        let text = (options.format === "csv") ? formatCsv(changes) : formatJson(changes, sinceRunId, untilRunId);
+        if (options.outputPath === undefined)
+            process.stdout.write(text);
+        else
+            fs.writeFileSync(options.outputPath, text);
+
+        let newCount = changes.filter(change => change.change === "new").length;
+        console.log(`Exported ${newCount} new and ${changes.length - newCount} changed development application(s) from the runs after run ${sinceRunId} up to run ${untilRunId} (give "--since ${untilRunId}" for the next export).`);
+    } finally {
+        database.close();
+    }
+}
+
+main().catch(error => { console.error(error); process.exitCode = 1; });
@@ -0,0 +1,126 @@
+// Retrieves register pages and PDF documents over HTTP.  Transient failures (network errors,
+// timeouts and "408", "429" and "5xx" responses) are retried with exponential backoff, every
+// request has a timeout and each response is kept in an on-disk cache along with its ETag and
+// Last-Modified headers, so that subsequent requests are conditional and an unchanged page or
+// document is never downloaded again (the server instead responds "304 Not Modified" and the
+// cached copy is used).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const request = require("request-promise-native");
+// The default options.
+exports.DefaultFetchOptions = {
+    retryCount: 4,
+    retryDelay: 2000,
+    maximumRetryDelay: 60000,
+    timeout: 60000,
+    delay: 2000,
+    cacheDirectory: undefined,
+    rejectUnauthorized: true,
+    ca: undefined,
+    proxy: undefined
+};
+// The error codes of TLS certificate failures (which are not transient, so are never retried).
+const CertificateErrorPattern = /CERT|SELF_SIGNED|UNABLE_TO_VERIFY|UNABLE_TO_GET_ISSUER/;
+// Pauses for the specified number of milliseconds.
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+// Gets the paths of the files that hold the cached body and cache entry of a URL.
+function getCachePaths(cacheDirectory, url) {
+    let name = crypto.createHash("sha256").update(url).digest("hex");
+    return { bodyPath: path.join(cacheDirectory, name), entryPath: path.join(cacheDirectory, name + ".json") };
+}
+// Reads the cached body and cache entry of a URL (if any).
+function readCache(cacheDirectory, url) {
+    if (cacheDirectory === undefined)
+        return undefined;
+    let { bodyPath, entryPath } = getCachePaths(cacheDirectory, url);
+    if (!fs.existsSync(bodyPath) || !fs.existsSync(entryPath))
+        return undefined;
+    let entry = JSON.parse(fs.readFileSync(entryPath).toString());
+    return (entry.url === url) ? { entry: entry, body: fs.readFileSync(bodyPath) } : undefined;
+}
+// Writes the body and cache entry of a URL to the cache.  The body is written first so that an
+// interrupted write never leaves a cache entry without its body.
+function writeCache(cacheDirectory, url, body, headers) {
+    if (cacheDirectory === undefined)
+        return;
+    if (headers.etag === undefined && headers["last-modified"] === undefined)
+        return; // the response cannot be validated by a conditional request
+    fs.mkdirSync(cacheDirectory, { recursive: true });
+    let { bodyPath, entryPath } = getCachePaths(cacheDirectory, url);
+    let entry = { url: url, etag: headers.etag, lastModified: headers["last-modified"], retrieved: new Date().toISOString() };
+    fs.writeFileSync(bodyPath, body);
+    fs.writeFileSync(entryPath, JSON.stringify(entry, null, 4) + "\n");
+}
+// Determines whether a failed request may succeed if it is retried.
+function isTransientError(error) {
+    let code = (error.cause && error.cause.code) || error.code || "";
+    return !CertificateErrorPattern.test(code) && !/certificate/i.test(error.message || "");
+}
+// Determines whether a response status indicates a failure that may not recur if the request is
+// retried.
+function isTransientStatus(statusCode) {
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+// Determines the delay before a retry (honouring any "Retry-After" header, in seconds, as long as
+// it is within the maximum delay).
+function getRetryDelay(attempt, options, response) {
+    let retryAfter = (response === undefined) ? NaN : Number(response.headers["retry-after"]);
+    if (!isNaN(retryAfter) && retryAfter >= 0)
+        return Math.min(retryAfter * 1000, options.maximumRetryDelay);
+    return Math.min(options.retryDelay * Math.pow(2, attempt), options.maximumRetryDelay);
+}
+// Retrieves the contents of a URL.  A cached copy is used if the server responds that it has not
+// changed.  Transient failures are retried (with exponential backoff) and an error is thrown
+// once all the retries have failed.
+async function fetchUrl(url, options = exports.DefaultFetchOptions) {
+    let cached = readCache(options.cacheDirectory, url);
+    let headers = {};
+    if (cached !== undefined && cached.entry.etag !== undefined)
+        headers["If-None-Match"] = cached.entry.etag;
+    if (cached !== undefined && cached.entry.lastModified !== undefined)
+        headers["If-Modified-Since"] = cached.entry.lastModified;
+    for (let attempt = 0;; attempt++) {
+        let response = undefined;
+        let failure;
+        try {
+            response = await request({
+                url: url,
+                headers: headers,
+                encoding: null,
+                timeout: options.timeout,
+                rejectUnauthorized: options.rejectUnauthorized,
+                ca: options.ca,
+                proxy: options.proxy,
+                resolveWithFullResponse: true,
+                simple: false
+            });
+        }
+        catch (error) {
+            if (!isTransientError(error) || attempt >= options.retryCount)
+                throw new Error(`Could not retrieve ${url} after ${attempt + 1} attempt(s): ${error.message}`);
+            failure = `the request failed (${error.message})`;
+        }
+        if (response !== undefined) {
+            await sleep(options.delay + Math.random() * options.delay * 2.5); // pause so as not to overload the server
+            if (response.statusCode === 304 && cached !== undefined)
+                return { body: cached.body, fromCache: true };
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                writeCache(options.cacheDirectory, url, response.body, response.headers);
+                return { body: response.body, fromCache: false };
+            }
+            if (!isTransientStatus(response.statusCode) || attempt >= options.retryCount)
+                throw new Error(`Could not retrieve ${url} after ${attempt + 1} attempt(s): the server responded with status ${response.statusCode}.`);
+            failure = `the server responded with status ${response.statusCode}`;
+        }
+        let retryDelay = getRetryDelay(attempt, options, response);
+        console.log(`Retrying ${url} in ${Math.round(retryDelay / 1000)} second(s) because ${failure} (attempt ${attempt + 1} of ${options.retryCount + 1}).`);
+        await sleep(retryDelay);
+    }
+}
+exports.fetchUrl = fetchUrl;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmV0Y2hlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImZldGNoZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsNkZBQTZGO0FBQzdGLDZGQUE2RjtBQUM3Riw4RkFBOEY7QUFDOUYsOEZBQThGO0FBQzlGLDZGQUE2RjtBQUM3Rix3QkFBd0I7QUFFeEIsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0IsaUNBQWlDO0FBQ2pDLGtEQUFrRDtBQWdCbEQsdUJBQXVCO0FBRVYsUUFBQSxtQkFBbUIsR0FBaUI7SUFDN0MsVUFBVSxFQUFFLENBQUM7SUFDYixVQUFVLEVBQUUsSUFBSTtJQUNoQixpQkFBaUIsRUFBRSxLQUFLO0lBQ3hCLE9BQU8sRUFBRSxLQUFLO0lBQ2QsS0FBSyxFQUFFLElBQUk7SUFDWCxjQUFjLEVBQUUsU0FBUztJQUN6QixrQkFBa0IsRUFBRSxJQUFJO0lBQ3hCLEVBQUUsRUFBRSxTQUFTO0lBQ2IsS0FBSyxFQUFFLFNBQVM7Q0FDbkIsQ0FBQztBQWtCRiwrRkFBK0Y7QUFFL0YsTUFBTSx1QkFBdUIsR0FBRyx3REFBd0QsQ0FBQztBQUV6RixtREFBbUQ7QUFFbkQsU0FBUyxLQUFLLENBQUMsWUFBb0I7SUFDL0IsT0FBTyxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQztBQUNyRSxDQUFDO0FBRUQsa0ZBQWtGO0FBRWxGLFNBQVMsYUFBYSxDQUFDLGNBQXNCLEVBQUUsR0FBVztJQUN0RCxJQUFJLElBQUksR0FBRyxNQUFNLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDakUsT0FBTyxFQUFFLFFBQVEsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUFDLGNBQWMsRUFBRSxJQUFJLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxjQUFjLEVBQUUsSUFBSSxHQUFHLE9BQU8sQ0FBQyxFQUFFLENBQUM7QUFDL0csQ0FBQztBQUVELDJEQUEyRDtBQUUzRCxTQUFTLFNBQVMsQ0FBQyxjQUFzQixFQUFFLEdBQVc7SUFDbEQsSUFBSSxjQUFjLEtBQUssU0FBUztRQUM1QixPQUFPLFNBQVMsQ0FBQztJQUNyQixJQUFJLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRSxHQUFHLGFBQWEsQ0FBQyxjQUFjLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFDakUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQztRQUNyRCxPQUFPLFNBQVMsQ0FBQztJQUNyQixJQUFJLEtBQUssR0FBZSxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsU0FBUyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztJQUMxRSxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztBQUMvRixDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLGlFQUFpRTtBQUVqRSxTQUFTLFVBQVUsQ0FBQyxjQUFzQixFQUFFLEdBQVcsRUFBRSxJQUFZLEVBQUUsT0FBTztJQUMxRSxJQUFJLGNBQWMsS0FBSyxTQUFTO1FBQzVCLE9BQU87SUFDWCxJQUFJLE9BQU8sQ0FBQyxJQUFJLEtBQUssU0FBUyxJQUFJLE9BQU8sQ0FBQyxlQUFlLENBQUMsS0FBSyxTQUFTO1FBQ3BFLE9BQU8sQ0FBRSw0REFBNEQ7SUFDekUsRUFBRSxDQUFDLFNBQVMsQ0FBQyxjQUFjLEVBQUUsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUNsRCxJQUFJLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRSxHQUFHLGFBQWEsQ0FBQyxjQUFjLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFDakUsSUFBSSxLQUFLLEdBQWUsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxPQUFPLENBQUMsSUFBSSxFQUFFLFlBQVksRUFBRSxPQUFPLENBQUMsZUFBZSxDQUFDLEVBQUUsU0FBUyxFQUFFLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLEVBQUUsQ0FBQztJQUN0SSxFQUFFLENBQUMsYUFBYSxDQUFDLFFBQVEsRUFBRSxJQUFJLENBQUMsQ0FBQztJQUNqQyxFQUFFLENBQUMsYUFBYSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7QUFDdkUsQ0FBQztBQUVELG9FQUFvRTtBQUVwRSxTQUFTLGdCQUFnQixDQUFDLEtBQUs7SUFDM0IsSUFBSSxJQUFJLEdBQUcsQ0FBQyxLQUFLLENBQUMsS0FBSyxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksS0FBSyxDQUFDLElBQUksSUFBSSxFQUFFLENBQUM7SUFDakUsT0FBTyxDQUFDLHVCQUF1QixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sSUFBSSxFQUFFLENBQUMsQ0FBQztBQUM1RixDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLFdBQVc7QUFFWCxTQUFTLGlCQUFpQixDQUFDLFVBQWtCO0lBQ3pDLE9BQU8sVUFBVSxLQUFLLEdBQUcsSUFBSSxVQUFVLEtBQUssR0FBRyxJQUFJLFVBQVUsSUFBSSxHQUFHLENBQUM7QUFDekUsQ0FBQztBQUVELGtHQUFrRztBQUNsRyxtQ0FBbUM7QUFFbkMsU0FBUyxhQUFhLENBQUMsT0FBZSxFQUFFLE9BQXFCLEVBQUUsUUFBUztJQUNwRSxJQUFJLFVBQVUsR0FBRyxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDO0lBQzFGLElBQUksQ0FBQyxLQUFLLENBQUMsVUFBVSxDQUFDLElBQUksVUFBVSxJQUFJLENBQUM7UUFDckMsT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsR0FBRyxJQUFJLEVBQUUsT0FBTyxDQUFDLGlCQUFpQixDQUFDLENBQUM7SUFDbEUsT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxVQUFVLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsT0FBTyxDQUFDLEVBQUUsT0FBTyxDQUFDLGlCQUFpQixDQUFDLENBQUM7QUFDMUYsQ0FBQztBQUVELGlHQUFpRztBQUNqRyw2RkFBNkY7QUFDN0Ysb0NBQW9DO0FBRTdCLEtBQUssVUFBVSxRQUFRLENBQUMsR0FBVyxFQUFFLFVBQXdCLDJCQUFtQjtJQUNuRixJQUFJLE1BQU0sR0FBRyxTQUFTLENBQUMsT0FBTyxDQUFDLGNBQWMsRUFBRSxHQUFHLENBQUMsQ0FBQztJQUNwRCxJQUFJLE9BQU8sR0FBRyxFQUFFLENBQUM7SUFDakIsSUFBSSxNQUFNLEtBQUssU0FBUyxJQUFJLE1BQU0sQ0FBQyxLQUFLLENBQUMsSUFBSSxLQUFLLFNBQVM7UUFDdkQsT0FBTyxDQUFDLGVBQWUsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDO0lBQ2pELElBQUksTUFBTSxLQUFLLFNBQVMsSUFBSSxNQUFNLENBQUMsS0FBSyxDQUFDLFlBQVksS0FBSyxTQUFTO1FBQy9ELE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsWUFBWSxDQUFDO0lBRTdELEtBQUssSUFBSSxPQUFPLEdBQUcsQ0FBQyxHQUFJLE9BQU8sRUFBRSxFQUFFO1FBQy9CLElBQUksUUFBUSxHQUFHLFNBQVMsQ0FBQztRQUN6QixJQUFJLE9BQWUsQ0FBQztRQUNwQixJQUFJO1lBQ0EsUUFBUSxHQUFHLE1BQU0sT0FBTyxDQUFDO2dCQUNyQixHQUFHLEVBQUUsR0FBRztnQkFDUixPQUFPLEVBQUUsT0FBTztnQkFDaEIsUUFBUSxFQUFFLElBQUk7Z0JBQ2QsT0FBTyxFQUFFLE9BQU8sQ0FBQyxPQUFPO2dCQUN4QixrQkFBa0IsRUFBRSxPQUFPLENBQUMsa0JBQWtCO2dCQUM5QyxFQUFFLEVBQUUsT0FBTyxDQUFDLEVBQUU7Z0JBQ2QsS0FBSyxFQUFFLE9BQU8sQ0FBQyxLQUFLO2dCQUNwQix1QkFBdUIsRUFBRSxJQUFJO2dCQUM3QixNQUFNLEVBQUUsS0FBSzthQUNoQixDQUFDLENBQUM7U0FDTjtRQUFDLE9BQU8sS0FBSyxFQUFFO1lBQ1osSUFBSSxDQUFDLGdCQUFnQixDQUFDLEtBQUssQ0FBQyxJQUFJLE9BQU8sSUFBSSxPQUFPLENBQUMsVUFBVTtnQkFDekQsTUFBTSxJQUFJLEtBQUssQ0FBQyxzQkFBc0IsR0FBRyxVQUFVLE9BQU8sR0FBRyxDQUFDLGdCQUFnQixLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztZQUNuRyxPQUFPLEdBQUcsdUJBQXVCLEtBQUssQ0FBQyxPQUFPLEdBQUcsQ0FBQztTQUNyRDtRQUVELElBQUksUUFBUSxLQUFLLFNBQVMsRUFBRTtZQUN4QixNQUFNLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxHQUFHLEdBQUcsQ0FBQyxDQUFDLENBQUUseUNBQXlDO1lBRTVHLElBQUksUUFBUSxDQUFDLFVBQVUsS0FBSyxHQUFHLElBQUksTUFBTSxLQUFLLFNBQVM7Z0JBQ25ELE9BQU8sRUFBRSxJQUFJLEVBQUUsTUFBTSxDQUFDLElBQUksRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUM7WUFDbEQsSUFBSSxRQUFRLENBQUMsVUFBVSxJQUFJLEdBQUcsSUFBSSxRQUFRLENBQUMsVUFBVSxHQUFHLEdBQUcsRUFBRTtnQkFDekQsVUFBVSxDQUFDLE9BQU8sQ0FBQyxjQUFjLEVBQUUsR0FBRyxFQUFFLFFBQVEsQ0FBQyxJQUFJLEVBQUUsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUN6RSxPQUFPLEVBQUUsSUFBSSxFQUFFLFFBQVEsQ0FBQyxJQUFJLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxDQUFDO2FBQ3BEO1lBQ0QsSUFBSSxDQUFDLGlCQUFpQixDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUMsSUFBSSxPQUFPLElBQUksT0FBTyxDQUFDLFVBQVU7Z0JBQ3hFLE1BQU0sSUFBSSxLQUFLLENBQUMsc0JBQXNCLEdBQUcsVUFBVSxPQUFPLEdBQUcsQ0FBQyxpREFBaUQsUUFBUSxDQUFDLFVBQVUsR0FBRyxDQUFDLENBQUM7WUFDM0ksT0FBTyxHQUFHLG9DQUFvQyxRQUFRLENBQUMsVUFBVSxFQUFFLENBQUM7U0FDdkU7UUFFRCxJQUFJLFVBQVUsR0FBRyxhQUFhLENBQUMsT0FBTyxFQUFFLE9BQU8sRUFBRSxRQUFRLENBQUMsQ0FBQztRQUMzRCxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksR0FBRyxPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQyxzQkFBc0IsT0FBTyxhQUFhLE9BQU8sR0FBRyxDQUFDLE9BQU8sT0FBTyxDQUFDLFVBQVUsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3ZKLE1BQU0sS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDO0tBQzNCO0FBQ0wsQ0FBQztBQS9DRCw0QkErQ0MifQ==
\ No newline at end of file
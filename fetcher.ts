@@ -0,0 +1,178 @@
+// Retrieves register pages and PDF documents over HTTP.  Transient failures (network errors,
+// timeouts and "408", "429" and "5xx" responses) are retried with exponential backoff, every
+// request has a timeout and each response is kept in an on-disk cache along with its ETag and
+// Last-Modified headers, so that subsequent requests are conditional and an unchanged page or
+// document is never downloaded again (the server instead responds "304 Not Modified" and the
+// cached copy is used).
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as crypto from "crypto";
+import * as request from "request-promise-native";
+
+// The options that control how requests are made.
+
+export interface FetchOptions {
+    retryCount: number,  // the number of times a failed request is retried
+    retryDelay: number,  // the delay before the first retry, in milliseconds (doubled for each subsequent retry)
+    maximumRetryDelay: number,  // the longest delay before any retry, in milliseconds
+    timeout: number,  // the time to wait for a connection or for data, in milliseconds
+    delay: number,  // the minimum pause after each request (so as not to overload the server), in milliseconds
+    cacheDirectory: string,  // the directory in which responses are cached (undefined if there is no cache)
+    rejectUnauthorized: boolean,  // whether TLS certificates are verified
+    ca: string | Buffer,  // additional trusted certificates (for example, a missing intermediate certificate)
+    proxy: string
+}
+
+// The default options.
+
+export const DefaultFetchOptions: FetchOptions = {
+    retryCount: 4,
+    retryDelay: 2000,
+    maximumRetryDelay: 60000,
+    timeout: 60000,
+    delay: 2000,
+    cacheDirectory: undefined,
+    rejectUnauthorized: true,
+    ca: undefined,
+    proxy: undefined
+};
+
+// The result of a request.
+
+export interface FetchResult {
+    body: Buffer,
+    fromCache: boolean  // true if the server responded that the cached copy was unchanged
+}
+
+// The information recorded about a cached response.
+
+interface CacheEntry {
+    url: string,
+    etag: string,
+    lastModified: string,
+    retrieved: string
+}
+
+// The error codes of TLS certificate failures (which are not transient, so are never retried).
+
+const CertificateErrorPattern = /CERT|SELF_SIGNED|UNABLE_TO_VERIFY|UNABLE_TO_GET_ISSUER/;
+
+// Pauses for the specified number of milliseconds.
+
+function sleep(milliseconds: number) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// Gets the paths of the files that hold the cached body and cache entry of a URL.
+
+function getCachePaths(cacheDirectory: string, url: string) {
+    let name = crypto.createHash("sha256").update(url).digest("hex");
+    return { bodyPath: path.join(cacheDirectory, name), entryPath: path.join(cacheDirectory, name + ".json") };
+}
+
+// Reads the cached body and cache entry of a URL (if any).
+
+function readCache(cacheDirectory: string, url: string) {
+    if (cacheDirectory === undefined)
+        return undefined;
+    let { bodyPath, entryPath } = getCachePaths(cacheDirectory, url);
+    if (!fs.existsSync(bodyPath) || !fs.existsSync(entryPath))
+        return undefined;
+    let entry: CacheEntry = JSON.parse(fs.readFileSync(entryPath).toString());
+    return (entry.url === url) ? { entry: entry, body: fs.readFileSync(bodyPath) } : undefined;
+}
+
+// Writes the body and cache entry of a URL to the cache.  The body is written first so that an
+// interrupted write never leaves a cache entry without its body.
+
+function writeCache(cacheDirectory: string, url: string, body: Buffer, headers) {
+    if (cacheDirectory === undefined)
+        return;
+    if (headers.etag === undefined && headers["last-modified"] === undefined)
+        return;  // the response cannot be validated by a conditional request
+    fs.mkdirSync(cacheDirectory, { recursive: true });
+    let { bodyPath, entryPath } = getCachePaths(cacheDirectory, url);
+    let entry: CacheEntry = { url: url, etag: headers.etag, lastModified: headers["last-modified"], retrieved: new Date().toISOString() };
+    fs.writeFileSync(bodyPath, body);
+    fs.writeFileSync(entryPath, JSON.stringify(entry, null, 4) + "\n");
+}
+
+// Determines whether a failed request may succeed if it is retried.
+
+function isTransientError(error) {
+    let code = (error.cause && error.cause.code) || error.code || "";
+    return !CertificateErrorPattern.test(code) && !/certificate/i.test(error.message || "");
+}
+
+// Determines whether a response status indicates a failure that may not recur if the request is
+// retried.
+
+function isTransientStatus(statusCode: number) {
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// Determines the delay before a retry (honouring any "Retry-After" header, in seconds, as long as
+// it is within the maximum delay).
+
+function getRetryDelay(attempt: number, options: FetchOptions, response?) {
+    let retryAfter = (response === undefined) ? NaN : Number(response.headers["retry-after"]);
+    if (!isNaN(retryAfter) && retryAfter >= 0)
+        return Math.min(retryAfter * 1000, options.maximumRetryDelay);
+    return Math.min(options.retryDelay * Math.pow(2, attempt), options.maximumRetryDelay);
+}
+
+// Retrieves the contents of a URL.  A cached copy is used if the server responds that it has not
+// changed.  Transient failures are retried (with exponential backoff) and an error is thrown
+// once all the retries have failed.
+
+export async function fetchUrl(url: string, options: FetchOptions = DefaultFetchOptions): Promise<FetchResult> {
+    let cached = readCache(options.cacheDirectory, url);
+    let headers = {};
+    if (cached !== undefined && cached.entry.etag !== undefined)
+        headers["If-None-Match"] = cached.entry.etag;
+    if (cached !== undefined && cached.entry.lastModified !== undefined)
+        headers["If-Modified-Since"] = cached.entry.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+        let response = undefined;
+        let failure: string;
+        try {
+            response = await request({
+                url: url,
+                headers: headers,
+                encoding: null,
+                timeout: options.timeout,
+                rejectUnauthorized: options.rejectUnauthorized,
+                ca: options.ca,
+                proxy: options.proxy,
+                resolveWithFullResponse: true,
+                simple: false
+            });
+        } catch (error) {
+            if (!isTransientError(error) || attempt >= options.retryCount)
+                throw new Error(`Could not retrieve ${url} after ${attempt + 1} attempt(s): ${error.message}`);
+            failure = `the request failed (${error.message})`;
+        }
+
+        if (response !== undefined) {
+            await sleep(options.delay + Math.random() * options.delay * 2.5);  // pause so as not to overload the server
+
+            if (response.statusCode === 304 && cached !== undefined)
+                return { body: cached.body, fromCache: true };
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                writeCache(options.cacheDirectory, url, response.body, response.headers);
+                return { body: response.body, fromCache: false };
+            }
+            if (!isTransientStatus(response.statusCode) || attempt >= options.retryCount)
+                throw new Error(`Could not retrieve ${url} after ${attempt + 1} attempt(s): the server responded with status ${response.statusCode}.`);
+            failure = `the server responded with status ${response.statusCode}`;
+        }
+
+        let retryDelay = getRetryDelay(attempt, options, response);
+        console.log(`Retrying ${url} in ${Math.round(retryDelay / 1000)} second(s) because ${failure} (attempt ${attempt + 1} of ${options.retryCount + 1}).`);
+        await sleep(retryDelay);
+    }
+}
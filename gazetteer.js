@@ -0,0 +1,122 @@
+// An index of gazetteer names (street, suburb or hundred names) that is built once and then
+// supports fast exact, token-level and bounded edit distance lookups.
+//
+// The edit distance lookups return the same results as a linear didYouMean scan of the names
+// (the Levenshtein distance, ignoring case and redundant whitespace, with ties resolved in favour
+// of the name that appears first) but only examine the names whose lengths are within the allowed
+// edit distance, and abandon each comparison as soon as the allowed edit distance is exceeded.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// Normalises a name or text for comparison (ignoring case and redundant whitespace).
+function normalise(text) {
+    return text.trim().replace(/\s+/g, " ").toUpperCase();
+}
+// Constructs an index of the specified names.
+function createGazetteerIndex(names) {
+    let index = { names: [], normalisedNames: [], positions: new Map(), compactPositions: new Map(), lengthPositions: new Map() };
+    for (let name of names) {
+        let normalisedName = normalise(name);
+        if (index.positions.has(normalisedName))
+            continue;
+        let position = index.names.length;
+        index.names.push(name);
+        index.normalisedNames.push(normalisedName);
+        index.positions.set(normalisedName, position);
+        let compactName = normalisedName.replace(/ /g, "");
+        if (!index.compactPositions.has(compactName))
+            index.compactPositions.set(compactName, position);
+        let positions = index.lengthPositions.get(normalisedName.length);
+        if (positions === undefined)
+            index.lengthPositions.set(normalisedName.length, positions = []);
+        positions.push(position);
+    }
+    return index;
+}
+exports.createGazetteerIndex = createGazetteerIndex;
+// Finds the name that exactly matches the text (ignoring case and redundant whitespace).
+function findExactName(index, text) {
+    let position = index.positions.get(normalise(text));
+    return (position === undefined) ? undefined : index.names[position];
+}
+exports.findExactName = findExactName;
+// Finds the name that matches the text when the tokens of both are joined together without any
+// spaces.  This allows for errant spaces within words (for example, "ADM ELLA STREET") and for
+// missing spaces between words (for example, "PORTMACDONNELL").
+function findCompactName(index, text) {
+    let position = index.compactPositions.get(normalise(text).replace(/ /g, ""));
+    return (position === undefined) ? undefined : index.names[position];
+}
+exports.findCompactName = findCompactName;
+// Calculates the Levenshtein edit distance between two strings.  If the distance exceeds the
+// maximum distance then the calculation is abandoned and the maximum distance plus one is
+// returned instead.
+function getBoundedEditDistance(text1, text2, maximumDistance) {
+    if (Math.abs(text1.length - text2.length) > maximumDistance)
+        return maximumDistance + 1;
+    let previousRow = [];
+    for (let index2 = 0; index2 <= text2.length; index2++)
+        previousRow.push(index2);
+    for (let index1 = 1; index1 <= text1.length; index1++) {
+        let currentRow = [index1];
+        let rowMinimum = index1;
+        for (let index2 = 1; index2 <= text2.length; index2++) {
+            let cost = (text1[index1 - 1] === text2[index2 - 1]) ? 0 : 1;
+            let distance = Math.min(previousRow[index2] + 1, currentRow[index2 - 1] + 1, previousRow[index2 - 1] + cost);
+            currentRow.push(distance);
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+        if (rowMinimum > maximumDistance)
+            return maximumDistance + 1; // every subsequent row can only be further away
+        previousRow = currentRow;
+    }
+    return Math.min(previousRow[text2.length], maximumDistance + 1);
+}
+exports.getBoundedEditDistance = getBoundedEditDistance;
+// Gets the positions of the names whose lengths are within the maximum edit distance of the
+// length of the text (in ascending order).  No other name can be within the maximum edit distance.
+function getCandidatePositions(index, normalisedText, maximumDistance) {
+    let positions = [];
+    for (let length = normalisedText.length - maximumDistance; length <= normalisedText.length + maximumDistance; length++)
+        positions.push(...(index.lengthPositions.get(length) || []));
+    return positions.sort((a, b) => a - b);
+}
+// Finds all the names within the maximum edit distance of the text, sorted by edit distance (and
+// then by the order in which the names appear).
+function findMatchingNames(index, text, maximumDistance) {
+    let normalisedText = normalise(text);
+    let positions = getCandidatePositions(index, normalisedText, maximumDistance);
+    let matches = [];
+    for (let position of positions) {
+        let distance = getBoundedEditDistance(normalisedText, index.normalisedNames[position], maximumDistance);
+        if (distance <= maximumDistance)
+            matches.push({ position: position, distance: distance });
+    }
+    matches.sort((a, b) => (a.distance - b.distance) || (a.position - b.position));
+    return matches.map(match => ({ name: index.names[match.position], distance: match.distance }));
+}
+exports.findMatchingNames = findMatchingNames;
+// Finds the closest name within the maximum edit distance of the text (the first such name if
+// several are equally close).  Returns null if there is no such name.
+function findClosestName(index, text, maximumDistance) {
+    let normalisedText = normalise(text);
+    let exactPosition = index.positions.get(normalisedText);
+    if (exactPosition !== undefined)
+        return index.names[exactPosition]; // an exact match is always the closest
+    let positions = getCandidatePositions(index, normalisedText, maximumDistance);
+    // Each name only needs to be compared closely enough to determine whether it is strictly
+    // closer than the closest name so far (because, for equally close names, the first wins).
+    let closestPosition = undefined;
+    let closestDistance = maximumDistance + 1;
+    for (let position of positions) {
+        let distance = getBoundedEditDistance(normalisedText, index.normalisedNames[position], closestDistance - 1);
+        if (distance < closestDistance) {
+            closestPosition = position;
+            closestDistance = distance;
+            if (closestDistance === 1)
+                break; // nothing can be closer (other than an exact match, which was checked above)
+        }
+    }
+    return (closestPosition === undefined) ? null : index.names[closestPosition];
+}
+exports.findClosestName = findClosestName;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ2F6ZXR0ZWVyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZ2F6ZXR0ZWVyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDRGQUE0RjtBQUM1RixzRUFBc0U7QUFDdEUsRUFBRTtBQUNGLDZGQUE2RjtBQUM3RixrR0FBa0c7QUFDbEcsa0dBQWtHO0FBQ2xHLCtGQUErRjtBQUUvRixZQUFZLENBQUM7O0FBbUJiLHFGQUFxRjtBQUVyRixTQUFTLFNBQVMsQ0FBQyxJQUFZO0lBQzNCLE9BQU8sSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7QUFDMUQsQ0FBQztBQUVELDhDQUE4QztBQUU5QyxTQUFnQixvQkFBb0IsQ0FBQyxLQUFlO0lBQ2hELElBQUksS0FBSyxHQUFtQixFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsZUFBZSxFQUFFLEVBQUUsRUFBRSxTQUFTLEVBQUUsSUFBSSxHQUFHLEVBQUUsRUFBRSxnQkFBZ0IsRUFBRSxJQUFJLEdBQUcsRUFBRSxFQUFFLGVBQWUsRUFBRSxJQUFJLEdBQUcsRUFBRSxFQUFFLENBQUM7SUFDOUksS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLLEVBQUU7UUFDcEIsSUFBSSxjQUFjLEdBQUcsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3JDLElBQUksS0FBSyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDO1lBQ25DLFNBQVM7UUFDYixJQUFJLFFBQVEsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQztRQUNsQyxLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN2QixLQUFLLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQztRQUMzQyxLQUFLLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxjQUFjLEVBQUUsUUFBUSxDQUFDLENBQUM7UUFFOUMsSUFBSSxXQUFXLEdBQUcsY0FBYyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDbkQsSUFBSSxDQUFDLEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDO1lBQ3hDLEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFFLFFBQVEsQ0FBQyxDQUFDO1FBRXRELElBQUksU0FBUyxHQUFHLEtBQUssQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNqRSxJQUFJLFNBQVMsS0FBSyxTQUFTO1lBQ3ZCLEtBQUssQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxNQUFNLEVBQUUsU0FBUyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1FBQ3JFLFNBQVMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7S0FDNUI7SUFDRCxPQUFPLEtBQUssQ0FBQztBQUNqQixDQUFDO0FBckJELG9EQXFCQztBQUVELHlGQUF5RjtBQUV6RixTQUFnQixhQUFhLENBQUMsS0FBcUIsRUFBRSxJQUFZO0lBQzdELElBQUksUUFBUSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBQ3BELE9BQU8sQ0FBQyxRQUFRLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQztBQUN4RSxDQUFDO0FBSEQsc0NBR0M7QUFFRCwrRkFBK0Y7QUFDL0YsK0ZBQStGO0FBQy9GLGdFQUFnRTtBQUVoRSxTQUFnQixlQUFlLENBQUMsS0FBcUIsRUFBRSxJQUFZO0lBQy9ELElBQUksUUFBUSxHQUFHLEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUM3RSxPQUFPLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUM7QUFDeEUsQ0FBQztBQUhELDBDQUdDO0FBRUQsNkZBQTZGO0FBQzdGLDBGQUEwRjtBQUMxRixvQkFBb0I7QUFFcEIsU0FBZ0Isc0JBQXNCLENBQUMsS0FBYSxFQUFFLEtBQWEsRUFBRSxlQUF1QjtJQUN4RixJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLEdBQUcsZUFBZTtRQUN2RCxPQUFPLGVBQWUsR0FBRyxDQUFDLENBQUM7SUFFL0IsSUFBSSxXQUFXLEdBQWEsRUFBRSxDQUFDO0lBQy9CLEtBQUssSUFBSSxNQUFNLEdBQUcsQ0FBQyxFQUFFLE1BQU0sSUFBSSxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRTtRQUNqRCxXQUFXLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBRTdCLEtBQUssSUFBSSxNQUFNLEdBQUcsQ0FBQyxFQUFFLE1BQU0sSUFBSSxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25ELElBQUksVUFBVSxHQUFHLENBQUUsTUFBTSxDQUFFLENBQUM7UUFDNUIsSUFBSSxVQUFVLEdBQUcsTUFBTSxDQUFDO1FBQ3hCLEtBQUssSUFBSSxNQUFNLEdBQUcsQ0FBQyxFQUFFLE1BQU0sSUFBSSxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxFQUFFO1lBQ25ELElBQUksSUFBSSxHQUFHLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsS0FBSyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzdELElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO1lBQzdHLFVBQVUsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDMUIsVUFBVSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxFQUFFLFFBQVEsQ0FBQyxDQUFDO1NBQy9DO1FBQ0QsSUFBSSxVQUFVLEdBQUcsZUFBZTtZQUM1QixPQUFPLGVBQWUsR0FBRyxDQUFDLENBQUMsQ0FBRSxnREFBZ0Q7UUFDakYsV0FBVyxHQUFHLFVBQVUsQ0FBQztLQUM1QjtJQUVELE9BQU8sSUFBSSxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxFQUFFLGVBQWUsR0FBRyxDQUFDLENBQUMsQ0FBQztBQUNwRSxDQUFDO0FBdkJELHdEQXVCQztBQUVELDRGQUE0RjtBQUM1RixtR0FBbUc7QUFFbkcsU0FBUyxxQkFBcUIsQ0FBQyxLQUFxQixFQUFFLGNBQXNCLEVBQUUsZUFBdUI7SUFDakcsSUFBSSxTQUFTLEdBQWEsRUFBRSxDQUFDO0lBQzdCLEtBQUssSUFBSSxNQUFNLEdBQUcsY0FBYyxDQUFDLE1BQU0sR0FBRyxlQUFlLEVBQUUsTUFBTSxJQUFJLGNBQWMsQ0FBQyxNQUFNLEdBQUcsZUFBZSxFQUFFLE1BQU0sRUFBRTtRQUNsSCxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ2pFLE9BQU8sU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztBQUMzQyxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLGdEQUFnRDtBQUVoRCxTQUFnQixpQkFBaUIsQ0FBQyxLQUFxQixFQUFFLElBQVksRUFBRSxlQUF1QjtJQUMxRixJQUFJLGNBQWMsR0FBRyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDckMsSUFBSSxTQUFTLEdBQUcscUJBQXFCLENBQUMsS0FBSyxFQUFFLGNBQWMsRUFBRSxlQUFlLENBQUMsQ0FBQztJQUM5RSxJQUFJLE9BQU8sR0FBNkMsRUFBRSxDQUFDO0lBQzNELEtBQUssSUFBSSxRQUFRLElBQUksU0FBUyxFQUFFO1FBQzVCLElBQUksUUFBUSxHQUFHLHNCQUFzQixDQUFDLGNBQWMsRUFBRSxLQUFLLENBQUMsZUFBZSxDQUFDLFFBQVEsQ0FBQyxFQUFFLGVBQWUsQ0FBQyxDQUFDO1FBQ3hHLElBQUksUUFBUSxJQUFJLGVBQWU7WUFDM0IsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxDQUFDLENBQUM7S0FDaEU7SUFFRCxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7SUFDL0UsT0FBTyxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUMsQ0FBQztBQUNuRyxDQUFDO0FBWkQsOENBWUM7QUFFRCw4RkFBOEY7QUFDOUYsc0VBQXNFO0FBRXRFLFNBQWdCLGVBQWUsQ0FBQyxLQUFxQixFQUFFLElBQVksRUFBRSxlQUF1QjtJQUN4RixJQUFJLGNBQWMsR0FBRyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDckMsSUFBSSxhQUFhLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDLENBQUM7SUFDeEQsSUFBSSxhQUFhLEtBQUssU0FBUztRQUMzQixPQUFPLEtBQUssQ0FBQyxLQUFLLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBRSx1Q0FBdUM7SUFFL0UsSUFBSSxTQUFTLEdBQUcscUJBQXFCLENBQUMsS0FBSyxFQUFFLGNBQWMsRUFBRSxlQUFlLENBQUMsQ0FBQztJQUU5RSx5RkFBeUY7SUFDekYsMEZBQTBGO0lBRTFGLElBQUksZUFBZSxHQUFXLFNBQVMsQ0FBQztJQUN4QyxJQUFJLGVBQWUsR0FBRyxlQUFlLEdBQUcsQ0FBQyxDQUFDO0lBQzFDLEtBQUssSUFBSSxRQUFRLElBQUksU0FBUyxFQUFFO1FBQzVCLElBQUksUUFBUSxHQUFHLHNCQUFzQixDQUFDLGNBQWMsRUFBRSxLQUFLLENBQUMsZUFBZSxDQUFDLFFBQVEsQ0FBQyxFQUFFLGVBQWUsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUM1RyxJQUFJLFFBQVEsR0FBRyxlQUFlLEVBQUU7WUFDNUIsZUFBZSxHQUFHLFFBQVEsQ0FBQztZQUMzQixlQUFlLEdBQUcsUUFBUSxDQUFDO1lBQzNCLElBQUksZUFBZSxLQUFLLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBRSw2RUFBNkU7U0FDNUY7S0FDSjtJQUVELE9BQU8sQ0FBQyxlQUFlLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxlQUFlLENBQUMsQ0FBQztBQUNqRixDQUFDO0FBeEJELDBDQXdCQyJ9
\ No newline at end of file
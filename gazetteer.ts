@@ -0,0 +1,158 @@
+// An index of gazetteer names (street, suburb or hundred names) that is built once and then
+// supports fast exact, token-level and bounded edit distance lookups.
+//
+// The edit distance lookups return the same results as a linear didYouMean scan of the names
+// (the Levenshtein distance, ignoring case and redundant whitespace, with ties resolved in favour
+// of the name that appears first) but only examine the names whose lengths are within the allowed
+// edit distance, and abandon each comparison as soon as the allowed edit distance is exceeded.
+
+"use strict";
+
+// An index of names.
+
+export interface GazetteerIndex {
+    names: string[],  // the names in their original order (as they appear in the gazetteer)
+    normalisedNames: string[],  // the normalised names (in the same order)
+    positions: Map<string, number>,  // the position of each (normalised) name
+    compactPositions: Map<string, number>,  // the position of the first name with each compact form (ie. without spaces)
+    lengthPositions: Map<number, number[]>  // the positions of the names of each length (in ascending order)
+}
+
+// A name that matched, along with its edit distance from the text being looked up.
+
+export interface GazetteerMatch {
+    name: string,
+    distance: number
+}
+
+// Normalises a name or text for comparison (ignoring case and redundant whitespace).
+
+function normalise(text: string) {
+    return text.trim().replace(/\s+/g, " ").toUpperCase();
+}
+
+// Constructs an index of the specified names.
+
+export function createGazetteerIndex(names: string[]): GazetteerIndex {
+    let index: GazetteerIndex = { names: [], normalisedNames: [], positions: new Map(), compactPositions: new Map(), lengthPositions: new Map() };
+    for (let name of names) {
+        let normalisedName = normalise(name);
+        if (index.positions.has(normalisedName))
+            continue;
+        let position = index.names.length;
+        index.names.push(name);
+        index.normalisedNames.push(normalisedName);
+        index.positions.set(normalisedName, position);
+
+        let compactName = normalisedName.replace(/ /g, "");
+        if (!index.compactPositions.has(compactName))
+            index.compactPositions.set(compactName, position);
+
+        let positions = index.lengthPositions.get(normalisedName.length);
+        if (positions === undefined)
+            index.lengthPositions.set(normalisedName.length, positions = []);
+        positions.push(position);
+    }
+    return index;
+}
+
+// Finds the name that exactly matches the text (ignoring case and redundant whitespace).
+
+export function findExactName(index: GazetteerIndex, text: string) {
+    let position = index.positions.get(normalise(text));
+    return (position === undefined) ? undefined : index.names[position];
+}
+
+// Finds the name that matches the text when the tokens of both are joined together without any
+// spaces.  This allows for errant spaces within words (for example, "ADM ELLA STREET") and for
+// missing spaces between words (for example, "PORTMACDONNELL").
+
+export function findCompactName(index: GazetteerIndex, text: string) {
+    let position = index.compactPositions.get(normalise(text).replace(/ /g, ""));
+    return (position === undefined) ? undefined : index.names[position];
+}
+
+// Calculates the Levenshtein edit distance between two strings.  If the distance exceeds the
+// maximum distance then the calculation is abandoned and the maximum distance plus one is
+// returned instead.
+
+export function getBoundedEditDistance(text1: string, text2: string, maximumDistance: number) {
+    if (Math.abs(text1.length - text2.length) > maximumDistance)
+        return maximumDistance + 1;
+
+    let previousRow: number[] = [];
+    for (let index2 = 0; index2 <= text2.length; index2++)
+        previousRow.push(index2);
+
+    for (let index1 = 1; index1 <= text1.length; index1++) {
+        let currentRow = [ index1 ];
+        let rowMinimum = index1;
+        for (let index2 = 1; index2 <= text2.length; index2++) {
+            let cost = (text1[index1 - 1] === text2[index2 - 1]) ? 0 : 1;
+            let distance = Math.min(previousRow[index2] + 1, currentRow[index2 - 1] + 1, previousRow[index2 - 1] + cost);
+            currentRow.push(distance);
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+        if (rowMinimum > maximumDistance)
+            return maximumDistance + 1;  // every subsequent row can only be further away
+        previousRow = currentRow;
+    }
+
+    return Math.min(previousRow[text2.length], maximumDistance + 1);
+}
+
+// Gets the positions of the names whose lengths are within the maximum edit distance of the
+// length of the text (in ascending order).  No other name can be within the maximum edit distance.
+
+function getCandidatePositions(index: GazetteerIndex, normalisedText: string, maximumDistance: number) {
+    let positions: number[] = [];
+    for (let length = normalisedText.length - maximumDistance; length <= normalisedText.length + maximumDistance; length++)
+        positions.push(...(index.lengthPositions.get(length) || []));
+    return positions.sort((a, b) => a - b);
+}
+
+// Finds all the names within the maximum edit distance of the text, sorted by edit distance (and
+// then by the order in which the names appear).
+
+export function findMatchingNames(index: GazetteerIndex, text: string, maximumDistance: number): GazetteerMatch[] {
+    let normalisedText = normalise(text);
+    let positions = getCandidatePositions(index, normalisedText, maximumDistance);
+    let matches: { position: number, distance: number }[] = [];
+    for (let position of positions) {
+        let distance = getBoundedEditDistance(normalisedText, index.normalisedNames[position], maximumDistance);
+        if (distance <= maximumDistance)
+            matches.push({ position: position, distance: distance });
+    }
+
+    matches.sort((a, b) => (a.distance - b.distance) || (a.position - b.position));
+    return matches.map(match => ({ name: index.names[match.position], distance: match.distance }));
+}
+
+// Finds the closest name within the maximum edit distance of the text (the first such name if
+// several are equally close).  Returns null if there is no such name.
+
+export function findClosestName(index: GazetteerIndex, text: string, maximumDistance: number) {
+    let normalisedText = normalise(text);
+    let exactPosition = index.positions.get(normalisedText);
+    if (exactPosition !== undefined)
+        return index.names[exactPosition];  // an exact match is always the closest
+
+    let positions = getCandidatePositions(index, normalisedText, maximumDistance);
+
+    // Each name only needs to be compared closely enough to determine whether it is strictly
+    // closer than the closest name so far (because, for equally close names, the first wins).
+
+    let closestPosition: number = undefined;
+    let closestDistance = maximumDistance + 1;
+    for (let position of positions) {
+        let distance = getBoundedEditDistance(normalisedText, index.normalisedNames[position], closestDistance - 1);
+        if (distance < closestDistance) {
+            closestPosition = position;
+            closestDistance = distance;
+            if (closestDistance === 1)
+                break;  // nothing can be closer (other than an exact match, which was checked above)
+        }
+    }
+
+    return (closestPosition === undefined) ? null : index.names[closestPosition];
+}
@@ -0,0 +1,274 @@
+// Reads and validates the gazetteer files of a council (the street names, street suffixes and
+// suburb names files), reporting the line of each problem, and reads the streets and localities of
+// an address extract (a CSV or GeoJSON file, such as a G-NAF or state government extract) so that
+// they can be imported into the gazetteer files.  Each line of the gazetteer files is one of the
+// following:
+//
+//     ADMELLA STREET,PORT MACDONNELL                           (street names) a street and its suburb
+//     St,Street                                                (street suffixes) a suffix and its expansion
+//     Port MacDonnell,Port MacDonnell SA 5291,MacDonnell;Young (suburb names) a suburb, the suburb
+//                                                              with its state and post code, and the
+//                                                              hundreds (if any) in which it lies
+//
+// An error (such as a line without a comma, which would otherwise crash the scraper) prevents the
+// gazetteer from being used.  A warning (such as a duplicate line, stray spaces or a street in an
+// unknown suburb) indicates a line that is ignored or that may quietly prevent an address from
+// being matched.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+// The form of the suburb name with its state and post code (for example, "Port MacDonnell SA 5291").
+const FormattedSuburbPattern = /^(.*?)\s+([A-Z]{2,3})\s+([0-9]{4})$/i;
+// The names of the fields of an address extract (in order of preference, ignoring case).  The
+// street name and locality fields are required.
+const AddressExtractFields = {
+    streetName: ["STREET_NAME", "STREETNAME", "ST_NAME", "ROAD_NAME", "STREET"],
+    streetType: ["STREET_TYPE_CODE", "STREET_TYPE", "STREETTYPE", "ST_TYPE", "ROAD_TYPE"],
+    streetSuffix: ["STREET_SUFFIX_CODE", "STREET_SUFFIX", "ST_SUFFIX", "ROAD_SUFFIX"],
+    locality: ["LOCALITY_NAME", "LOCALITY", "SUBURB_NAME", "SUBURB", "SUBURBNAME", "TOWN"],
+    state: ["STATE_ABBREVIATION", "STATE_CODE", "STATE"],
+    postcode: ["POSTCODE", "POST_CODE"]
+};
+// The street suffix codes used by address extracts that are not in the street suffixes file.
+const CompassSuffixCodes = { N: "NORTH", S: "SOUTH", E: "EAST", W: "WEST" };
+// Reads the lines of a gazetteer file, splitting each line into its comma-separated values.  A
+// line with fewer than the required or more than the allowed number of values (or an empty
+// required value) is an error and is omitted from the returned lines.
+function readGazetteerLines(filePath, requiredCount, allowedCount, problems) {
+    let report = (lineNumber, severity, message) => problems.push({ filePath: filePath, lineNumber: lineNumber, severity: severity, message: message });
+    let lines = [];
+    let texts = fs.readFileSync(filePath).toString().replace(/\r/g, "").split("\n");
+    while (texts.length > 0 && texts[texts.length - 1].trim() === "")
+        texts.pop(); // ignore any blank lines at the end of the file
+    texts.forEach((text, index) => {
+        let lineNumber = index + 1;
+        if (text.trim() === "") {
+            report(lineNumber, "warning", "the line is blank (so it is ignored)");
+            return;
+        }
+        let values = text.split(",");
+        if (values.length < requiredCount || values.length > allowedCount) {
+            let expected = (requiredCount === allowedCount) ? `${requiredCount}` : `${requiredCount} or ${allowedCount}`;
+            report(lineNumber, "error", `expected ${expected} comma-separated values but found ${values.length}: ${text}`);
+            return;
+        }
+        if (values.slice(0, requiredCount).some(value => value.trim() === "")) {
+            report(lineNumber, "error", `a value is empty: ${text}`);
+            return;
+        }
+        for (let value of values) {
+            if (value !== value.trim())
+                report(lineNumber, "warning", `"${value}" has leading or trailing spaces`);
+            if (/\s\s/.test(value.trim()))
+                report(lineNumber, "warning", `"${value.trim()}" has repeated spaces (so it will not match exactly)`);
+        }
+        lines.push({ lineNumber: lineNumber, values: values.map(value => value.trim()) });
+    });
+    return lines;
+}
+// Reads and validates the gazetteer files of a council.
+function readGazetteer(gazetteerPaths) {
+    let gazetteer = { streets: [], streetSuffixes: [], suburbs: [], problems: [] };
+    let report = (filePath, lineNumber, severity, message) => gazetteer.problems.push({ filePath: filePath, lineNumber: lineNumber, severity: severity, message: message });
+    // Read the suburb names (the suburbs are referred to by the street names).
+    let suburbLineNumbers = new Map();
+    for (let { lineNumber, values } of readGazetteerLines(gazetteerPaths.suburbNamesPath, 2, 3, gazetteer.problems)) {
+        let [suburbName, formattedName, hundredsText] = values.map(value => value.toUpperCase());
+        let hundredTexts = (hundredsText === undefined || hundredsText === "") ? [] : hundredsText.split(";").map(hundred => hundred.trim());
+        let formattedMatch = FormattedSuburbPattern.exec(formattedName);
+        if (suburbLineNumbers.has(suburbName)) {
+            report(gazetteerPaths.suburbNamesPath, lineNumber, "warning", `suburb "${values[0]}" is a duplicate of line ${suburbLineNumbers.get(suburbName)} (so it is ignored)`);
+            continue;
+        }
+        if (formattedMatch === null)
+            report(gazetteerPaths.suburbNamesPath, lineNumber, "warning", `"${values[1]}" is not a suburb followed by a state and post code (for example, "Port MacDonnell SA 5291")`);
+        else if (formattedMatch[1].replace(/\s/g, "") !== suburbName.replace(/\s/g, "")) // allowing for spacing (for example, "O B Flat" and "OB Flat SA 5291")
+            report(gazetteerPaths.suburbNamesPath, lineNumber, "warning", `"${values[1]}" does not begin with the suburb "${values[0]}"`);
+        if (hundredTexts.some(hundred => hundred === ""))
+            report(gazetteerPaths.suburbNamesPath, lineNumber, "warning", `the hundreds "${values[2]}" include an empty name`);
+        suburbLineNumbers.set(suburbName, lineNumber);
+        gazetteer.suburbs.push({ suburbName: suburbName, formattedName: formattedName, hundreds: hundredTexts.filter(hundred => hundred !== "") });
+    }
+    // Read the street names.
+    let streetLineNumbers = new Map();
+    for (let { lineNumber, values } of readGazetteerLines(gazetteerPaths.streetNamesPath, 2, 2, gazetteer.problems)) {
+        let [streetName, suburbName] = values.map(value => value.toUpperCase());
+        let key = `${streetName},${suburbName}`;
+        if (streetLineNumbers.has(key)) {
+            report(gazetteerPaths.streetNamesPath, lineNumber, "warning", `street "${values[0]}" in "${values[1]}" is a duplicate of line ${streetLineNumbers.get(key)} (so it is ignored)`);
+            continue;
+        }
+        if (!suburbLineNumbers.has(suburbName))
+            report(gazetteerPaths.streetNamesPath, lineNumber, "warning", `suburb "${values[1]}" is not in ${path.basename(gazetteerPaths.suburbNamesPath)} (so the street cannot help to select the suburb)`);
+        streetLineNumbers.set(key, lineNumber);
+        gazetteer.streets.push({ streetName: streetName, suburbName: suburbName });
+    }
+    // Read the street suffixes (a suffix with two different expansions is ambiguous).
+    let suffixLines = new Map();
+    for (let { lineNumber, values } of readGazetteerLines(gazetteerPaths.streetSuffixesPath, 2, 2, gazetteer.problems)) {
+        let [suffix, expansion] = values.map(value => value.toUpperCase());
+        let previousLine = suffixLines.get(suffix);
+        if (previousLine !== undefined && previousLine.expansion !== expansion)
+            report(gazetteerPaths.streetSuffixesPath, lineNumber, "error", `suffix "${values[0]}" is expanded differently on line ${previousLine.lineNumber}`);
+        else if (previousLine !== undefined)
+            report(gazetteerPaths.streetSuffixesPath, lineNumber, "warning", `suffix "${values[0]}" is a duplicate of line ${previousLine.lineNumber} (so it is ignored)`);
+        else {
+            suffixLines.set(suffix, { lineNumber: lineNumber, expansion: expansion });
+            gazetteer.streetSuffixes.push({ suffix: suffix, expansion: expansion });
+        }
+    }
+    gazetteer.problems.sort((a, b) => a.filePath.localeCompare(b.filePath) || (a.lineNumber - b.lineNumber));
+    return gazetteer;
+}
+exports.readGazetteer = readGazetteer;
+// Formats a problem found in a gazetteer file (for example, "streetnames.txt:12: error: ...").
+function formatGazetteerProblem(problem) {
+    return `${problem.filePath}:${problem.lineNumber}: ${problem.severity}: ${problem.message}`;
+}
+exports.formatGazetteerProblem = formatGazetteerProblem;
+// Parses CSV text into records (allowing for quoted values that contain commas, quotes and line
+// breaks).  The first record holds the names of the fields.
+function parseCsv(text) {
+    let records = [];
+    let record = [];
+    let value = "";
+    let isQuoted = false;
+    for (let index = 0; index < text.length; index++) {
+        let character = text[index];
+        if (isQuoted) {
+            if (character === "\"" && text[index + 1] === "\"") {
+                value += "\"";
+                index++;
+            }
+            else if (character === "\"")
+                isQuoted = false;
+            else
+                value += character;
+        }
+        else if (character === "\"")
+            isQuoted = true;
+        else if (character === ",") {
+            record.push(value);
+            value = "";
+        }
+        else if (character === "\n" || character === "\r") {
+            if (character === "\r" && text[index + 1] === "\n")
+                index++;
+            record.push(value);
+            records.push(record);
+            record = [];
+            value = "";
+        }
+        else
+            value += character;
+    }
+    if (value !== "" || record.length > 0) {
+        record.push(value);
+        records.push(record);
+    }
+    return records.filter(record => record.some(value => value.trim() !== ""));
+}
+// Reads the records of an address extract (a CSV file with a heading line, or a GeoJSON feature
+// collection whose features have the fields as properties).
+function readAddressRecords(filePath) {
+    let text = fs.readFileSync(filePath).toString().replace(/^\uFEFF/, "");
+    if (/\.(geo)?json$/i.test(filePath)) {
+        let featureCollection = JSON.parse(text);
+        if (!Array.isArray(featureCollection.features))
+            throw new Error(`The address extract ${filePath} is not a GeoJSON feature collection.`);
+        return featureCollection.features.map(feature => feature.properties || {});
+    }
+    let [fieldNames, ...rows] = parseCsv(text);
+    if (fieldNames === undefined)
+        return [];
+    return rows.map(row => {
+        let record = {};
+        fieldNames.forEach((fieldName, index) => record[fieldName.trim()] = row[index]);
+        return record;
+    });
+}
+// Finds the name of a field of an address extract (the first of the candidate names that is
+// present, ignoring case).
+function findFieldName(fieldNames, candidateNames) {
+    for (let candidateName of candidateNames) {
+        let fieldName = fieldNames.find(fieldName => fieldName.toUpperCase() === candidateName);
+        if (fieldName !== undefined)
+            return fieldName;
+    }
+    return undefined;
+}
+// Reads the distinct streets and localities of an address extract.  Abbreviated street types and
+// suffixes (for example, "RD" or "N") are expanded using the street suffixes of the gazetteer.
+function readAddressExtract(filePath, gazetteer) {
+    let records = readAddressRecords(filePath);
+    let fieldNames = Array.from(new Set([].concat(...records.slice(0, 100).map(record => Object.keys(record)))));
+    let fields = {};
+    for (let field of Object.keys(AddressExtractFields))
+        fields[field] = findFieldName(fieldNames, AddressExtractFields[field]);
+    if (fields.streetName === undefined || fields.locality === undefined)
+        throw new Error(`The address extract ${filePath} must have a street name field (one of ${AddressExtractFields.streetName.join(", ")}) and a locality field (one of ${AddressExtractFields.locality.join(", ")}).  Its fields are: ${fieldNames.join(", ")}`);
+    let expansions = new Map(gazetteer.streetSuffixes.map(streetSuffix => [streetSuffix.suffix, streetSuffix.expansion]));
+    let getValue = (record, field) => (field === undefined || record[field] === undefined || record[field] === null) ? "" : String(record[field]).replace(/[,\s]+/g, " ").trim().toUpperCase(); // a comma would split the line
+    let expand = (text) => expansions.get(text) || CompassSuffixCodes[text] || text;
+    let extract = { streets: [], localities: [], recordCount: records.length };
+    let streetKeys = new Set();
+    let localityKeys = new Set();
+    for (let record of records) {
+        let suburbName = getValue(record, fields.locality);
+        let streetName = [getValue(record, fields.streetName), expand(getValue(record, fields.streetType)), expand(getValue(record, fields.streetSuffix))].filter(text => text !== "").join(" ");
+        if (suburbName === "")
+            continue;
+        if (!localityKeys.has(suburbName)) {
+            localityKeys.add(suburbName);
+            extract.localities.push({ suburbName: suburbName, state: getValue(record, fields.state), postcode: getValue(record, fields.postcode) });
+        }
+        if (streetName !== "" && !streetKeys.has(`${streetName},${suburbName}`)) {
+            streetKeys.add(`${streetName},${suburbName}`);
+            extract.streets.push({ streetName: streetName, suburbName: suburbName });
+        }
+    }
+    return extract;
+}
+exports.readAddressExtract = readAddressExtract;
+// Converts a name to title case (as used in the suburb names file, for example, "Port Macdonnell").
+function toTitleCase(text) {
+    return text.toLowerCase().replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+// Gets the lines to add to the street names and suburb names files for the streets and localities
+// of an address extract that are not already in the gazetteer.  A locality without a state or
+// post code cannot be added, and nor can its streets (the reason is included in the returned
+// messages).
+function getGazetteerAdditions(gazetteer, extract) {
+    let streetKeys = new Set(gazetteer.streets.map(street => `${street.streetName},${street.suburbName}`));
+    let suburbNames = new Set(gazetteer.suburbs.map(suburb => suburb.suburbName));
+    let suburbLines = [];
+    let messages = [];
+    for (let locality of extract.localities.filter(locality => !suburbNames.has(locality.suburbName))) {
+        if (locality.state === "" || locality.postcode === "") {
+            messages.push(`Locality "${locality.suburbName}" has no state or post code in the address extract (so neither it nor its streets were added).`);
+            continue;
+        }
+        suburbLines.push(`${toTitleCase(locality.suburbName)},${toTitleCase(locality.suburbName)} ${locality.state} ${locality.postcode}`);
+        suburbNames.add(locality.suburbName);
+    }
+    let streetLines = extract.streets
+        .filter(street => suburbNames.has(street.suburbName) && !streetKeys.has(`${street.streetName},${street.suburbName}`))
+        .map(street => `${street.streetName},${street.suburbName}`);
+    return { streetLines: streetLines, suburbLines: suburbLines, messages: messages };
+}
+exports.getGazetteerAdditions = getGazetteerAdditions;
+// Adds lines to a gazetteer file.  Each line is inserted before the first existing line that sorts
+// after it (so that the existing lines keep their order and a sorted file remains sorted).
+function addGazetteerLines(filePath, newLines) {
+    let lines = fs.readFileSync(filePath).toString().replace(/\r/g, "").split("\n");
+    while (lines.length > 0 && lines[lines.length - 1].trim() === "")
+        lines.pop();
+    for (let newLine of newLines) {
+        let index = lines.findIndex(line => line.localeCompare(newLine, "en", { sensitivity: "base" }) > 0);
+        lines.splice((index < 0) ? lines.length : index, 0, newLine);
+    }
+    fs.writeFileSync(filePath, lines.join("\n") + "\n");
+}
+exports.addGazetteerLines = addGazetteerLines;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ2F6ZXR0ZWVyZmlsZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJnYXpldHRlZXJmaWxlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSw4RkFBOEY7QUFDOUYsbUdBQW1HO0FBQ25HLGtHQUFrRztBQUNsRyxpR0FBaUc7QUFDakcsYUFBYTtBQUNiLEVBQUU7QUFDRixzR0FBc0c7QUFDdEcsNEdBQTRHO0FBQzVHLG1HQUFtRztBQUNuRyxxR0FBcUc7QUFDckcsa0dBQWtHO0FBQ2xHLEVBQUU7QUFDRixrR0FBa0c7QUFDbEcsa0dBQWtHO0FBQ2xHLCtGQUErRjtBQUMvRixpQkFBaUI7QUFFakIsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUE2QjdCLHFHQUFxRztBQUVyRyxNQUFNLHNCQUFzQixHQUFHLHNDQUFzQyxDQUFDO0FBRXRFLDhGQUE4RjtBQUM5RixnREFBZ0Q7QUFFaEQsTUFBTSxvQkFBb0IsR0FBRztJQUN6QixVQUFVLEVBQUUsQ0FBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxXQUFXLEVBQUUsUUFBUSxDQUFFO0lBQzdFLFVBQVUsRUFBRSxDQUFFLGtCQUFrQixFQUFFLGFBQWEsRUFBRSxZQUFZLEVBQUUsU0FBUyxFQUFFLFdBQVcsQ0FBRTtJQUN2RixZQUFZLEVBQUUsQ0FBRSxvQkFBb0IsRUFBRSxlQUFlLEVBQUUsV0FBVyxFQUFFLGFBQWEsQ0FBRTtJQUNuRixRQUFRLEVBQUUsQ0FBRSxlQUFlLEVBQUUsVUFBVSxFQUFFLGFBQWEsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLE1BQU0sQ0FBRTtJQUN4RixLQUFLLEVBQUUsQ0FBRSxvQkFBb0IsRUFBRSxZQUFZLEVBQUUsT0FBTyxDQUFFO0lBQ3RELFFBQVEsRUFBRSxDQUFFLFVBQVUsRUFBRSxXQUFXLENBQUU7Q0FDeEMsQ0FBQztBQUVGLDZGQUE2RjtBQUU3RixNQUFNLGtCQUFrQixHQUErQixFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFFLE9BQU8sRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsQ0FBQztBQUV4RywrRkFBK0Y7QUFDL0YsMkZBQTJGO0FBQzNGLHNFQUFzRTtBQUV0RSxTQUFTLGtCQUFrQixDQUFDLFFBQWdCLEVBQUUsYUFBcUIsRUFBRSxZQUFvQixFQUFFLFFBQTRCO0lBQ25ILElBQUksTUFBTSxHQUFHLENBQUMsVUFBa0IsRUFBRSxRQUE2QixFQUFFLE9BQWUsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBQ3pMLElBQUksS0FBSyxHQUErQyxFQUFFLENBQUM7SUFDM0QsSUFBSSxLQUFLLEdBQUcsRUFBRSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNoRixPQUFPLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUU7UUFDNUQsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUUsZ0RBQWdEO0lBRWxFLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDMUIsSUFBSSxVQUFVLEdBQUcsS0FBSyxHQUFHLENBQUMsQ0FBQztRQUMzQixJQUFJLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLEVBQUU7WUFDcEIsTUFBTSxDQUFDLFVBQVUsRUFBRSxTQUFTLEVBQUUsc0NBQXNDLENBQUMsQ0FBQztZQUN0RSxPQUFPO1NBQ1Y7UUFFRCxJQUFJLE1BQU0sR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzdCLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxhQUFhLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxZQUFZLEVBQUU7WUFDL0QsSUFBSSxRQUFRLEdBQUcsQ0FBQyxhQUFhLEtBQUssWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsYUFBYSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsYUFBYSxPQUFPLFlBQVksRUFBRSxDQUFDO1lBQzdHLE1BQU0sQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLFlBQVksUUFBUSxxQ0FBcUMsTUFBTSxDQUFDLE1BQU0sS0FBSyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1lBQy9HLE9BQU87U0FDVjtRQUNELElBQUksTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsYUFBYSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFO1lBQ25FLE1BQU0sQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLHFCQUFxQixJQUFJLEVBQUUsQ0FBQyxDQUFDO1lBQ3pELE9BQU87U0FDVjtRQUNELEtBQUssSUFBSSxLQUFLLElBQUksTUFBTSxFQUFFO1lBQ3RCLElBQUksS0FBSyxLQUFLLEtBQUssQ0FBQyxJQUFJLEVBQUU7Z0JBQ3RCLE1BQU0sQ0FBQyxVQUFVLEVBQUUsU0FBUyxFQUFFLElBQUksS0FBSyxrQ0FBa0MsQ0FBQyxDQUFDO1lBQy9FLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLENBQUM7Z0JBQ3pCLE1BQU0sQ0FBQyxVQUFVLEVBQUUsU0FBUyxFQUFFLElBQUksS0FBSyxDQUFDLElBQUksRUFBRSxzREFBc0QsQ0FBQyxDQUFDO1NBQzdHO1FBQ0QsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDdEYsQ0FBQyxDQUFDLENBQUM7SUFDSCxPQUFPLEtBQUssQ0FBQztBQUNqQixDQUFDO0FBRUQsd0RBQXdEO0FBRXhELFNBQWdCLGFBQWEsQ0FBQyxjQUEyQztJQUNyRSxJQUFJLFNBQVMsR0FBYyxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsY0FBYyxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsQ0FBQztJQUMxRixJQUFJLE1BQU0sR0FBRyxDQUFDLFFBQWdCLEVBQUUsVUFBa0IsRUFBRSxRQUE2QixFQUFFLE9BQWUsRUFBRSxFQUFFLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQztJQUVyTiwyRUFBMkU7SUFFM0UsSUFBSSxpQkFBaUIsR0FBRyxJQUFJLEdBQUcsRUFBa0IsQ0FBQztJQUNsRCxLQUFLLElBQUksRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLElBQUksa0JBQWtCLENBQUMsY0FBYyxDQUFDLGVBQWUsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxRQUFRLENBQUMsRUFBRTtRQUM3RyxJQUFJLENBQUUsVUFBVSxFQUFFLGFBQWEsRUFBRSxZQUFZLENBQUUsR0FBRyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7UUFDM0YsSUFBSSxZQUFZLEdBQUcsQ0FBQyxZQUFZLEtBQUssU0FBUyxJQUFJLFlBQVksS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQ3JJLElBQUksY0FBYyxHQUFHLHNCQUFzQixDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUNoRSxJQUFJLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRTtZQUNuQyxNQUFNLENBQUMsY0FBYyxDQUFDLGVBQWUsRUFBRSxVQUFVLEVBQUUsU0FBUyxFQUFFLFdBQVcsTUFBTSxDQUFDLENBQUMsQ0FBQyw0QkFBNEIsaUJBQWlCLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1lBQ3RLLFNBQVM7U0FDWjtRQUNELElBQUksY0FBYyxLQUFLLElBQUk7WUFDdkIsTUFBTSxDQUFDLGNBQWMsQ0FBQyxlQUFlLEVBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRSxJQUFJLE1BQU0sQ0FBQyxDQUFDLENBQUMsOEZBQThGLENBQUMsQ0FBQzthQUMxSyxJQUFJLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLFVBQVUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxFQUFHLHVFQUF1RTtZQUNySixNQUFNLENBQUMsY0FBYyxDQUFDLGVBQWUsRUFBRSxVQUFVLEVBQUUsU0FBUyxFQUFFLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQyxxQ0FBcUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNsSSxJQUFJLFlBQVksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLEtBQUssRUFBRSxDQUFDO1lBQzVDLE1BQU0sQ0FBQyxjQUFjLENBQUMsZUFBZSxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsaUJBQWlCLE1BQU0sQ0FBQyxDQUFDLENBQUMseUJBQXlCLENBQUMsQ0FBQztRQUN2SCxpQkFBaUIsQ0FBQyxHQUFHLENBQUMsVUFBVSxFQUFFLFVBQVUsQ0FBQyxDQUFDO1FBQzlDLFNBQVMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxhQUFhLEVBQUUsYUFBYSxFQUFFLFFBQVEsRUFBRSxZQUFZLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQztLQUM5STtJQUVELHlCQUF5QjtJQUV6QixJQUFJLGlCQUFpQixHQUFHLElBQUksR0FBRyxFQUFrQixDQUFDO0lBQ2xELEtBQUssSUFBSSxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsSUFBSSxrQkFBa0IsQ0FBQyxjQUFjLENBQUMsZUFBZSxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLFFBQVEsQ0FBQyxFQUFFO1FBQzdHLElBQUksQ0FBRSxVQUFVLEVBQUUsVUFBVSxDQUFFLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO1FBQzFFLElBQUksR0FBRyxHQUFHLEdBQUcsVUFBVSxJQUFJLFVBQVUsRUFBRSxDQUFDO1FBQ3hDLElBQUksaUJBQWlCLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1lBQzVCLE1BQU0sQ0FBQyxjQUFjLENBQUMsZUFBZSxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsV0FBVyxNQUFNLENBQUMsQ0FBQyxDQUFDLFNBQVMsTUFBTSxDQUFDLENBQUMsQ0FBQyw0QkFBNEIsaUJBQWlCLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1lBQ2pMLFNBQVM7U0FDWjtRQUNELElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDO1lBQ2xDLE1BQU0sQ0FBQyxjQUFjLENBQUMsZUFBZSxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsV0FBVyxNQUFNLENBQUMsQ0FBQyxDQUFDLGVBQWUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxjQUFjLENBQUMsZUFBZSxDQUFDLG1EQUFtRCxDQUFDLENBQUM7UUFDdk0saUJBQWlCLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxVQUFVLENBQUMsQ0FBQztRQUN2QyxTQUFTLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxDQUFDLENBQUM7S0FDOUU7SUFFRCxrRkFBa0Y7SUFFbEYsSUFBSSxXQUFXLEdBQUcsSUFBSSxHQUFHLEVBQXFELENBQUM7SUFDL0UsS0FBSyxJQUFJLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxJQUFJLGtCQUFrQixDQUFDLGNBQWMsQ0FBQyxrQkFBa0IsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxRQUFRLENBQUMsRUFBRTtRQUNoSCxJQUFJLENBQUUsTUFBTSxFQUFFLFNBQVMsQ0FBRSxHQUFHLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztRQUNyRSxJQUFJLFlBQVksR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQzNDLElBQUksWUFBWSxLQUFLLFNBQVMsSUFBSSxZQUFZLENBQUMsU0FBUyxLQUFLLFNBQVM7WUFDbEUsTUFBTSxDQUFDLGNBQWMsQ0FBQyxrQkFBa0IsRUFBRSxVQUFVLEVBQUUsT0FBTyxFQUFFLFdBQVcsTUFBTSxDQUFDLENBQUMsQ0FBQyxxQ0FBcUMsWUFBWSxDQUFDLFVBQVUsRUFBRSxDQUFDLENBQUM7YUFDbEosSUFBSSxZQUFZLEtBQUssU0FBUztZQUMvQixNQUFNLENBQUMsY0FBYyxDQUFDLGtCQUFrQixFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsV0FBVyxNQUFNLENBQUMsQ0FBQyxDQUFDLDRCQUE0QixZQUFZLENBQUMsVUFBVSxxQkFBcUIsQ0FBQyxDQUFDO2FBQzlKO1lBQ0QsV0FBVyxDQUFDLEdBQUcsQ0FBQyxNQUFNLEVBQUUsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsQ0FBQyxDQUFDO1lBQzFFLFNBQVMsQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLENBQUMsQ0FBQztTQUMzRTtLQUNKO0lBRUQsU0FBUyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsVUFBVSxHQUFHLENBQUMsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQ3pHLE9BQU8sU0FBUyxDQUFDO0FBQ3JCLENBQUM7QUEzREQsc0NBMkRDO0FBRUQsK0ZBQStGO0FBRS9GLFNBQWdCLHNCQUFzQixDQUFDLE9BQXlCO0lBQzVELE9BQU8sR0FBRyxPQUFPLENBQUMsUUFBUSxJQUFJLE9BQU8sQ0FBQyxVQUFVLEtBQUssT0FBTyxDQUFDLFFBQVEsS0FBSyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7QUFDaEcsQ0FBQztBQUZELHdEQUVDO0FBRUQsZ0dBQWdHO0FBQ2hHLDREQUE0RDtBQUU1RCxTQUFTLFFBQVEsQ0FBQyxJQUFZO0lBQzFCLElBQUksT0FBTyxHQUFlLEVBQUUsQ0FBQztJQUM3QixJQUFJLE1BQU0sR0FBYSxFQUFFLENBQUM7SUFDMUIsSUFBSSxLQUFLLEdBQUcsRUFBRSxDQUFDO0lBQ2YsSUFBSSxRQUFRLEdBQUcsS0FBSyxDQUFDO0lBQ3JCLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzlDLElBQUksU0FBUyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUM1QixJQUFJLFFBQVEsRUFBRTtZQUNWLElBQUksU0FBUyxLQUFLLElBQUksSUFBSSxJQUFJLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxLQUFLLElBQUksRUFBRTtnQkFDaEQsS0FBSyxJQUFJLElBQUksQ0FBQztnQkFDZCxLQUFLLEVBQUUsQ0FBQzthQUNYO2lCQUFNLElBQUksU0FBUyxLQUFLLElBQUk7Z0JBQ3pCLFFBQVEsR0FBRyxLQUFLLENBQUM7O2dCQUVqQixLQUFLLElBQUksU0FBUyxDQUFDO1NBQzFCO2FBQU0sSUFBSSxTQUFTLEtBQUssSUFBSTtZQUN6QixRQUFRLEdBQUcsSUFBSSxDQUFDO2FBQ2YsSUFBSSxTQUFTLEtBQUssR0FBRyxFQUFFO1lBQ3hCLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDbkIsS0FBSyxHQUFHLEVBQUUsQ0FBQztTQUNkO2FBQU0sSUFBSSxTQUFTLEtBQUssSUFBSSxJQUFJLFNBQVMsS0FBSyxJQUFJLEVBQUU7WUFDakQsSUFBSSxTQUFTLEtBQUssSUFBSSxJQUFJLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEtBQUssSUFBSTtnQkFDOUMsS0FBSyxFQUFFLENBQUM7WUFDWixNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ25CLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDckIsTUFBTSxHQUFHLEVBQUUsQ0FBQztZQUNaLEtBQUssR0FBRyxFQUFFLENBQUM7U0FDZDs7WUFDRyxLQUFLLElBQUksU0FBUyxDQUFDO0tBQzFCO0lBQ0QsSUFBSSxLQUFLLEtBQUssRUFBRSxJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1FBQ25DLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbkIsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztLQUN4QjtJQUNELE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztBQUMvRSxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLDREQUE0RDtBQUU1RCxTQUFTLGtCQUFrQixDQUFDLFFBQWdCO0lBQ3hDLElBQUksSUFBSSxHQUFHLEVBQUUsQ0FBQyxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN2RSxJQUFJLGdCQUFnQixDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRTtRQUNqQyxJQUFJLGlCQUFpQixHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDekMsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsaUJBQWlCLENBQUMsUUFBUSxDQUFDO1lBQzFDLE1BQU0sSUFBSSxLQUFLLENBQUMsdUJBQXVCLFFBQVEsdUNBQXVDLENBQUMsQ0FBQztRQUM1RixPQUFPLGlCQUFpQixDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsVUFBVSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0tBQzlFO0lBRUQsSUFBSSxDQUFFLFVBQVUsRUFBRSxHQUFHLElBQUksQ0FBRSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUM3QyxJQUFJLFVBQVUsS0FBSyxTQUFTO1FBQ3hCLE9BQU8sRUFBRSxDQUFDO0lBQ2QsT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1FBQ2xCLElBQUksTUFBTSxHQUFnQyxFQUFFLENBQUM7UUFDN0MsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLFNBQVMsRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLENBQUMsR0FBRyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNoRixPQUFPLE1BQU0sQ0FBQztJQUNsQixDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCw0RkFBNEY7QUFDNUYsMkJBQTJCO0FBRTNCLFNBQVMsYUFBYSxDQUFDLFVBQW9CLEVBQUUsY0FBd0I7SUFDakUsS0FBSyxJQUFJLGFBQWEsSUFBSSxjQUFjLEVBQUU7UUFDdEMsSUFBSSxTQUFTLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxXQUFXLEVBQUUsS0FBSyxhQUFhLENBQUMsQ0FBQztRQUN4RixJQUFJLFNBQVMsS0FBSyxTQUFTO1lBQ3ZCLE9BQU8sU0FBUyxDQUFDO0tBQ3hCO0lBQ0QsT0FBTyxTQUFTLENBQUM7QUFDckIsQ0FBQztBQUVELGlHQUFpRztBQUNqRywrRkFBK0Y7QUFFL0YsU0FBZ0Isa0JBQWtCLENBQUMsUUFBZ0IsRUFBRSxTQUFvQjtJQUNyRSxJQUFJLE9BQU8sR0FBRyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUMzQyxJQUFJLFVBQVUsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksR0FBRyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDN0csSUFBSSxNQUFNLEdBQThELEVBQUUsQ0FBQztJQUMzRSxLQUFLLElBQUksS0FBSyxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsb0JBQW9CLENBQUM7UUFDL0MsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLGFBQWEsQ0FBQyxVQUFVLEVBQUUsb0JBQW9CLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztJQUMzRSxJQUFJLE1BQU0sQ0FBQyxVQUFVLEtBQUssU0FBUyxJQUFJLE1BQU0sQ0FBQyxRQUFRLEtBQUssU0FBUztRQUNoRSxNQUFNLElBQUksS0FBSyxDQUFDLHVCQUF1QixRQUFRLDBDQUEwQyxvQkFBb0IsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxrQ0FBa0Msb0JBQW9CLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsdUJBQXVCLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0lBRWpRLElBQUksVUFBVSxHQUFHLElBQUksR0FBRyxDQUFDLFNBQVMsQ0FBQyxjQUFjLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsQ0FBRSxZQUFZLENBQUMsTUFBTSxFQUFFLFlBQVksQ0FBQyxTQUFTLENBQXdCLENBQUMsQ0FBQyxDQUFDO0lBQzlJLElBQUksUUFBUSxHQUFHLENBQUMsTUFBTSxFQUFFLEtBQWEsRUFBRSxFQUFFLENBQUMsQ0FBQyxLQUFLLEtBQUssU0FBUyxJQUFJLE1BQU0sQ0FBQyxLQUFLLENBQUMsS0FBSyxTQUFTLElBQUksTUFBTSxDQUFDLEtBQUssQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUUsK0JBQStCO0lBQ3BPLElBQUksTUFBTSxHQUFHLENBQUMsSUFBWSxFQUFFLEVBQUUsQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLGtCQUFrQixDQUFDLElBQUksQ0FBQyxJQUFJLElBQUksQ0FBQztJQUV4RixJQUFJLE9BQU8sR0FBbUIsRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFLFVBQVUsRUFBRSxFQUFFLEVBQUUsV0FBVyxFQUFFLE9BQU8sQ0FBQyxNQUFNLEVBQUUsQ0FBQztJQUMzRixJQUFJLFVBQVUsR0FBRyxJQUFJLEdBQUcsRUFBVSxDQUFDO0lBQ25DLElBQUksWUFBWSxHQUFHLElBQUksR0FBRyxFQUFVLENBQUM7SUFDckMsS0FBSyxJQUFJLE1BQU0sSUFBSSxPQUFPLEVBQUU7UUFDeEIsSUFBSSxVQUFVLEdBQUcsUUFBUSxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDbkQsSUFBSSxVQUFVLEdBQUcsQ0FBRSxRQUFRLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxVQUFVLENBQUMsRUFBRSxNQUFNLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUMsRUFBRSxNQUFNLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksS0FBSyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDM0wsSUFBSSxVQUFVLEtBQUssRUFBRTtZQUNqQixTQUFTO1FBQ2IsSUFBSSxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLEVBQUU7WUFDL0IsWUFBWSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUM3QixPQUFPLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFFLFFBQVEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLFFBQVEsRUFBRSxRQUFRLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7U0FDM0k7UUFDRCxJQUFJLFVBQVUsS0FBSyxFQUFFLElBQUksQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLEdBQUcsVUFBVSxJQUFJLFVBQVUsRUFBRSxDQUFDLEVBQUU7WUFDckUsVUFBVSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFVBQVUsSUFBSSxVQUFVLEVBQUUsQ0FBQyxDQUFDO1lBQzlDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLENBQUMsQ0FBQztTQUM1RTtLQUNKO0lBQ0QsT0FBTyxPQUFPLENBQUM7QUFDbkIsQ0FBQztBQS9CRCxnREErQkM7QUFFRCxvR0FBb0c7QUFFcEcsU0FBUyxXQUFXLENBQUMsSUFBWTtJQUM3QixPQUFPLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxPQUFPLENBQUMsbUJBQW1CLEVBQUUsQ0FBQyxLQUFLLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsU0FBUyxHQUFHLE1BQU0sQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0FBQzNILENBQUM7QUFFRCxrR0FBa0c7QUFDbEcsOEZBQThGO0FBQzlGLDZGQUE2RjtBQUM3RixhQUFhO0FBRWIsU0FBZ0IscUJBQXFCLENBQUMsU0FBb0IsRUFBRSxPQUF1QjtJQUMvRSxJQUFJLFVBQVUsR0FBRyxJQUFJLEdBQUcsQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEdBQUcsTUFBTSxDQUFDLFVBQVUsSUFBSSxNQUFNLENBQUMsVUFBVSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ3ZHLElBQUksV0FBVyxHQUFHLElBQUksR0FBRyxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7SUFDOUUsSUFBSSxXQUFXLEdBQWEsRUFBRSxDQUFDO0lBQy9CLElBQUksUUFBUSxHQUFhLEVBQUUsQ0FBQztJQUM1QixLQUFLLElBQUksUUFBUSxJQUFJLE9BQU8sQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFO1FBQy9GLElBQUksUUFBUSxDQUFDLEtBQUssS0FBSyxFQUFFLElBQUksUUFBUSxDQUFDLFFBQVEsS0FBSyxFQUFFLEVBQUU7WUFDbkQsUUFBUSxDQUFDLElBQUksQ0FBQyxhQUFhLFFBQVEsQ0FBQyxVQUFVLGdHQUFnRyxDQUFDLENBQUM7WUFDaEosU0FBUztTQUNaO1FBQ0QsV0FBVyxDQUFDLElBQUksQ0FBQyxHQUFHLFdBQVcsQ0FBQyxRQUFRLENBQUMsVUFBVSxDQUFDLElBQUksV0FBVyxDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUMsSUFBSSxRQUFRLENBQUMsS0FBSyxJQUFJLFFBQVEsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO1FBQ25JLFdBQVcsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0tBQ3hDO0lBQ0QsSUFBSSxXQUFXLEdBQUcsT0FBTyxDQUFDLE9BQU87U0FDNUIsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLEdBQUcsTUFBTSxDQUFDLFVBQVUsSUFBSSxNQUFNLENBQUMsVUFBVSxFQUFFLENBQUMsQ0FBQztTQUNwSCxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxVQUFVLElBQUksTUFBTSxDQUFDLFVBQVUsRUFBRSxDQUFDLENBQUM7SUFDaEUsT0FBTyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLENBQUM7QUFDdEYsQ0FBQztBQWpCRCxzREFpQkM7QUFFRCxtR0FBbUc7QUFDbkcsMkZBQTJGO0FBRTNGLFNBQWdCLGlCQUFpQixDQUFDLFFBQWdCLEVBQUUsUUFBa0I7SUFDbEUsSUFBSSxLQUFLLEdBQUcsRUFBRSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNoRixPQUFPLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUU7UUFDNUQsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ2hCLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxFQUFFO1FBQzFCLElBQUksS0FBSyxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLE9BQU8sRUFBRSxJQUFJLEVBQUUsRUFBRSxXQUFXLEVBQUUsTUFBTSxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNwRyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0tBQ2hFO0lBQ0QsRUFBRSxDQUFDLGFBQWEsQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztBQUN4RCxDQUFDO0FBVEQsOENBU0MifQ==
\ No newline at end of file
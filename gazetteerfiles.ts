@@ -0,0 +1,330 @@
+// Reads and validates the gazetteer files of a council (the street names, street suffixes and
+// suburb names files), reporting the line of each problem, and reads the streets and localities of
+// an address extract (a CSV or GeoJSON file, such as a G-NAF or state government extract) so that
+// they can be imported into the gazetteer files.  Each line of the gazetteer files is one of the
+// following:
+//
+//     ADMELLA STREET,PORT MACDONNELL                           (street names) a street and its suburb
+//     St,Street                                                (street suffixes) a suffix and its expansion
+//     Port MacDonnell,Port MacDonnell SA 5291,MacDonnell;Young (suburb names) a suburb, the suburb
+//                                                              with its state and post code, and the
+//                                                              hundreds (if any) in which it lies
+//
+// An error (such as a line without a comma, which would otherwise crash the scraper) prevents the
+// gazetteer from being used.  A warning (such as a duplicate line, stray spaces or a street in an
+// unknown suburb) indicates a line that is ignored or that may quietly prevent an address from
+// being matched.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import { CouncilAdapter } from "./councils";
+
+// A problem found in a gazetteer file.
+
+export interface GazetteerProblem {
+    filePath: string,
+    lineNumber: number,
+    severity: "error" | "warning",
+    message: string
+}
+
+// The contents of the gazetteer files of a council (all names are in upper case).
+
+export interface Gazetteer {
+    streets: { streetName: string, suburbName: string }[],
+    streetSuffixes: { suffix: string, expansion: string }[],
+    suburbs: { suburbName: string, formattedName: string, hundreds: string[] }[],
+    problems: GazetteerProblem[]
+}
+
+// The streets and localities of an address extract (all names are in upper case).
+
+export interface AddressExtract {
+    streets: { streetName: string, suburbName: string }[],
+    localities: { suburbName: string, state: string, postcode: string }[],
+    recordCount: number
+}
+
+// The form of the suburb name with its state and post code (for example, "Port MacDonnell SA 5291").
+
+const FormattedSuburbPattern = /^(.*?)\s+([A-Z]{2,3})\s+([0-9]{4})$/i;
+
+// The names of the fields of an address extract (in order of preference, ignoring case).  The
+// street name and locality fields are required.
+
+const AddressExtractFields = {
+    streetName: [ "STREET_NAME", "STREETNAME", "ST_NAME", "ROAD_NAME", "STREET" ],
+    streetType: [ "STREET_TYPE_CODE", "STREET_TYPE", "STREETTYPE", "ST_TYPE", "ROAD_TYPE" ],
+    streetSuffix: [ "STREET_SUFFIX_CODE", "STREET_SUFFIX", "ST_SUFFIX", "ROAD_SUFFIX" ],
+    locality: [ "LOCALITY_NAME", "LOCALITY", "SUBURB_NAME", "SUBURB", "SUBURBNAME", "TOWN" ],
+    state: [ "STATE_ABBREVIATION", "STATE_CODE", "STATE" ],
+    postcode: [ "POSTCODE", "POST_CODE" ]
+};
+
+// The street suffix codes used by address extracts that are not in the street suffixes file.
+
+const CompassSuffixCodes: { [code: string]: string } = { N: "NORTH", S: "SOUTH", E: "EAST", W: "WEST" };
+
+// Reads the lines of a gazetteer file, splitting each line into its comma-separated values.  A
+// line with fewer than the required or more than the allowed number of values (or an empty
+// required value) is an error and is omitted from the returned lines.
+
+function readGazetteerLines(filePath: string, requiredCount: number, allowedCount: number, problems: GazetteerProblem[]) {
+    let report = (lineNumber: number, severity: "error" | "warning", message: string) => problems.push({ filePath: filePath, lineNumber: lineNumber, severity: severity, message: message });
+    let lines: { lineNumber: number, values: string[] }[] = [];
+    let texts = fs.readFileSync(filePath).toString().replace(/\r/g, "").split("\n");
+    while (texts.length > 0 && texts[texts.length - 1].trim() === "")
+        texts.pop();  // ignore any blank lines at the end of the file
+
+    texts.forEach((text, index) => {
+        let lineNumber = index + 1;
+        if (text.trim() === "") {
+            report(lineNumber, "warning", "the line is blank (so it is ignored)");
+            return;
+        }
+
+        let values = text.split(",");
+        if (values.length < requiredCount || values.length > allowedCount) {
+            let expected = (requiredCount === allowedCount) ? `${requiredCount}` : `${requiredCount} or ${allowedCount}`;
+            report(lineNumber, "error", `expected ${expected} comma-separated values but found ${values.length}: ${text}`);
+            return;
+        }
+        if (values.slice(0, requiredCount).some(value => value.trim() === "")) {
+            report(lineNumber, "error", `a value is empty: ${text}`);
+            return;
+        }
+        for (let value of values) {
+            if (value !== value.trim())
+                report(lineNumber, "warning", `"${value}" has leading or trailing spaces`);
+            if (/\s\s/.test(value.trim()))
+                report(lineNumber, "warning", `"${value.trim()}" has repeated spaces (so it will not match exactly)`);
+        }
+        lines.push({ lineNumber: lineNumber, values: values.map(value => value.trim()) });
+    });
+    return lines;
+}
+
+// Reads and validates the gazetteer files of a council.
+
+export function readGazetteer(gazetteerPaths: CouncilAdapter["gazetteer"]): Gazetteer {
+    let gazetteer: Gazetteer = { streets: [], streetSuffixes: [], suburbs: [], problems: [] };
+    let report = (filePath: string, lineNumber: number, severity: "error" | "warning", message: string) => gazetteer.problems.push({ filePath: filePath, lineNumber: lineNumber, severity: severity, message: message });
+
+    // Read the suburb names (the suburbs are referred to by the street names).
+
+    let suburbLineNumbers = new Map<string, number>();
+    for (let { lineNumber, values } of readGazetteerLines(gazetteerPaths.suburbNamesPath, 2, 3, gazetteer.problems)) {
+        let [ suburbName, formattedName, hundredsText ] = values.map(value => value.toUpperCase());
+        let hundredTexts = (hundredsText === undefined || hundredsText === "") ? [] : hundredsText.split(";").map(hundred => hundred.trim());
+        let formattedMatch = FormattedSuburbPattern.exec(formattedName);
+        if (suburbLineNumbers.has(suburbName)) {
+            report(gazetteerPaths.suburbNamesPath, lineNumber, "warning", `suburb "${values[0]}" is a duplicate of line ${suburbLineNumbers.get(suburbName)} (so it is ignored)`);
+            continue;
+        }
+        if (formattedMatch === null)
+            report(gazetteerPaths.suburbNamesPath, lineNumber, "warning", `"${values[1]}" is not a suburb followed by a state and post code (for example, "Port MacDonnell SA 5291")`);
+        else if (formattedMatch[1].replace(/\s/g, "") !== suburbName.replace(/\s/g, ""))  // allowing for spacing (for example, "O B Flat" and "OB Flat SA 5291")
+            report(gazetteerPaths.suburbNamesPath, lineNumber, "warning", `"${values[1]}" does not begin with the suburb "${values[0]}"`);
+        if (hundredTexts.some(hundred => hundred === ""))
+            report(gazetteerPaths.suburbNamesPath, lineNumber, "warning", `the hundreds "${values[2]}" include an empty name`);
+        suburbLineNumbers.set(suburbName, lineNumber);
+        gazetteer.suburbs.push({ suburbName: suburbName, formattedName: formattedName, hundreds: hundredTexts.filter(hundred => hundred !== "") });
+    }
+
+    // Read the street names.
+
+    let streetLineNumbers = new Map<string, number>();
+    for (let { lineNumber, values } of readGazetteerLines(gazetteerPaths.streetNamesPath, 2, 2, gazetteer.problems)) {
+        let [ streetName, suburbName ] = values.map(value => value.toUpperCase());
+        let key = `${streetName},${suburbName}`;
+        if (streetLineNumbers.has(key)) {
+            report(gazetteerPaths.streetNamesPath, lineNumber, "warning", `street "${values[0]}" in "${values[1]}" is a duplicate of line ${streetLineNumbers.get(key)} (so it is ignored)`);
+            continue;
+        }
+        if (!suburbLineNumbers.has(suburbName))
+            report(gazetteerPaths.streetNamesPath, lineNumber, "warning", `suburb "${values[1]}" is not in ${path.basename(gazetteerPaths.suburbNamesPath)} (so the street cannot help to select the suburb)`);
+        streetLineNumbers.set(key, lineNumber);
+        gazetteer.streets.push({ streetName: streetName, suburbName: suburbName });
+    }
+
+    // Read the street suffixes (a suffix with two different expansions is ambiguous).
+
+    let suffixLines = new Map<string, { lineNumber: number, expansion: string }>();
+    for (let { lineNumber, values } of readGazetteerLines(gazetteerPaths.streetSuffixesPath, 2, 2, gazetteer.problems)) {
+        let [ suffix, expansion ] = values.map(value => value.toUpperCase());
+        let previousLine = suffixLines.get(suffix);
+        if (previousLine !== undefined && previousLine.expansion !== expansion)
+            report(gazetteerPaths.streetSuffixesPath, lineNumber, "error", `suffix "${values[0]}" is expanded differently on line ${previousLine.lineNumber}`);
+        else if (previousLine !== undefined)
+            report(gazetteerPaths.streetSuffixesPath, lineNumber, "warning", `suffix "${values[0]}" is a duplicate of line ${previousLine.lineNumber} (so it is ignored)`);
+        else {
+            suffixLines.set(suffix, { lineNumber: lineNumber, expansion: expansion });
+            gazetteer.streetSuffixes.push({ suffix: suffix, expansion: expansion });
+        }
+    }
+
+    gazetteer.problems.sort((a, b) => a.filePath.localeCompare(b.filePath) || (a.lineNumber - b.lineNumber));
+    return gazetteer;
+}
+
+// Formats a problem found in a gazetteer file (for example, "streetnames.txt:12: error: ...").
+
+export function formatGazetteerProblem(problem: GazetteerProblem) {
+    return `${problem.filePath}:${problem.lineNumber}: ${problem.severity}: ${problem.message}`;
+}
+
+// Parses CSV text into records (allowing for quoted values that contain commas, quotes and line
+// breaks).  The first record holds the names of the fields.
+
+function parseCsv(text: string) {
+    let records: string[][] = [];
+    let record: string[] = [];
+    let value = "";
+    let isQuoted = false;
+    for (let index = 0; index < text.length; index++) {
+        let character = text[index];
+        if (isQuoted) {
+            if (character === "\"" && text[index + 1] === "\"") {
+                value += "\"";
+                index++;
+            } else if (character === "\"")
+                isQuoted = false;
+            else
+                value += character;
+        } else if (character === "\"")
+            isQuoted = true;
+        else if (character === ",") {
+            record.push(value);
+            value = "";
+        } else if (character === "\n" || character === "\r") {
+            if (character === "\r" && text[index + 1] === "\n")
+                index++;
+            record.push(value);
+            records.push(record);
+            record = [];
+            value = "";
+        } else
+            value += character;
+    }
+    if (value !== "" || record.length > 0) {
+        record.push(value);
+        records.push(record);
+    }
+    return records.filter(record => record.some(value => value.trim() !== ""));
+}
+
+// Reads the records of an address extract (a CSV file with a heading line, or a GeoJSON feature
+// collection whose features have the fields as properties).
+
+function readAddressRecords(filePath: string): { [field: string]: string }[] {
+    let text = fs.readFileSync(filePath).toString().replace(/^\uFEFF/, "");
+    if (/\.(geo)?json$/i.test(filePath)) {
+        let featureCollection = JSON.parse(text);
+        if (!Array.isArray(featureCollection.features))
+            throw new Error(`The address extract ${filePath} is not a GeoJSON feature collection.`);
+        return featureCollection.features.map(feature => feature.properties || {});
+    }
+
+    let [ fieldNames, ...rows ] = parseCsv(text);
+    if (fieldNames === undefined)
+        return [];
+    return rows.map(row => {
+        let record: { [field: string]: string } = {};
+        fieldNames.forEach((fieldName, index) => record[fieldName.trim()] = row[index]);
+        return record;
+    });
+}
+
+// Finds the name of a field of an address extract (the first of the candidate names that is
+// present, ignoring case).
+
+function findFieldName(fieldNames: string[], candidateNames: string[]) {
+    for (let candidateName of candidateNames) {
+        let fieldName = fieldNames.find(fieldName => fieldName.toUpperCase() === candidateName);
+        if (fieldName !== undefined)
+            return fieldName;
+    }
+    return undefined;
+}
+
+// Reads the distinct streets and localities of an address extract.  Abbreviated street types and
+// suffixes (for example, "RD" or "N") are expanded using the street suffixes of the gazetteer.
+
+export function readAddressExtract(filePath: string, gazetteer: Gazetteer): AddressExtract {
+    let records = readAddressRecords(filePath);
+    let fieldNames = Array.from(new Set([].concat(...records.slice(0, 100).map(record => Object.keys(record)))));
+    let fields: { [field in keyof typeof AddressExtractFields]?: string } = {};
+    for (let field of Object.keys(AddressExtractFields))
+        fields[field] = findFieldName(fieldNames, AddressExtractFields[field]);
+    if (fields.streetName === undefined || fields.locality === undefined)
+        throw new Error(`The address extract ${filePath} must have a street name field (one of ${AddressExtractFields.streetName.join(", ")}) and a locality field (one of ${AddressExtractFields.locality.join(", ")}).  Its fields are: ${fieldNames.join(", ")}`);
+
+    let expansions = new Map(gazetteer.streetSuffixes.map(streetSuffix => [ streetSuffix.suffix, streetSuffix.expansion ] as [ string, string ]));
+    let getValue = (record, field: string) => (field === undefined || record[field] === undefined || record[field] === null) ? "" : String(record[field]).replace(/[,\s]+/g, " ").trim().toUpperCase();  // a comma would split the line
+    let expand = (text: string) => expansions.get(text) || CompassSuffixCodes[text] || text;
+
+    let extract: AddressExtract = { streets: [], localities: [], recordCount: records.length };
+    let streetKeys = new Set<string>();
+    let localityKeys = new Set<string>();
+    for (let record of records) {
+        let suburbName = getValue(record, fields.locality);
+        let streetName = [ getValue(record, fields.streetName), expand(getValue(record, fields.streetType)), expand(getValue(record, fields.streetSuffix)) ].filter(text => text !== "").join(" ");
+        if (suburbName === "")
+            continue;
+        if (!localityKeys.has(suburbName)) {
+            localityKeys.add(suburbName);
+            extract.localities.push({ suburbName: suburbName, state: getValue(record, fields.state), postcode: getValue(record, fields.postcode) });
+        }
+        if (streetName !== "" && !streetKeys.has(`${streetName},${suburbName}`)) {
+            streetKeys.add(`${streetName},${suburbName}`);
+            extract.streets.push({ streetName: streetName, suburbName: suburbName });
+        }
+    }
+    return extract;
+}
+
+// Converts a name to title case (as used in the suburb names file, for example, "Port Macdonnell").
+
+function toTitleCase(text: string) {
+    return text.toLowerCase().replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+// Gets the lines to add to the street names and suburb names files for the streets and localities
+// of an address extract that are not already in the gazetteer.  A locality without a state or
+// post code cannot be added, and nor can its streets (the reason is included in the returned
+// messages).
+
+export function getGazetteerAdditions(gazetteer: Gazetteer, extract: AddressExtract) {
+    let streetKeys = new Set(gazetteer.streets.map(street => `${street.streetName},${street.suburbName}`));
+    let suburbNames = new Set(gazetteer.suburbs.map(suburb => suburb.suburbName));
+    let suburbLines: string[] = [];
+    let messages: string[] = [];
+    for (let locality of extract.localities.filter(locality => !suburbNames.has(locality.suburbName))) {
+        if (locality.state === "" || locality.postcode === "") {
+            messages.push(`Locality "${locality.suburbName}" has no state or post code in the address extract (so neither it nor its streets were added).`);
+            continue;
+        }
+        suburbLines.push(`${toTitleCase(locality.suburbName)},${toTitleCase(locality.suburbName)} ${locality.state} ${locality.postcode}`);
+        suburbNames.add(locality.suburbName);
+    }
+    let streetLines = extract.streets
+        .filter(street => suburbNames.has(street.suburbName) && !streetKeys.has(`${street.streetName},${street.suburbName}`))
+        .map(street => `${street.streetName},${street.suburbName}`);
+    return { streetLines: streetLines, suburbLines: suburbLines, messages: messages };
+}
+
+// Adds lines to a gazetteer file.  Each line is inserted before the first existing line that sorts
+// after it (so that the existing lines keep their order and a sorted file remains sorted).
+
+export function addGazetteerLines(filePath: string, newLines: string[]) {
+    let lines = fs.readFileSync(filePath).toString().replace(/\r/g, "").split("\n");
+    while (lines.length > 0 && lines[lines.length - 1].trim() === "")
+        lines.pop();
+    for (let newLine of newLines) {
+        let index = lines.findIndex(line => line.localeCompare(newLine, "en", { sensitivity: "base" }) > 0);
+        lines.splice((index < 0) ? lines.length : index, 0, newLine);
+    }
+    fs.writeFileSync(filePath, lines.join("\n") + "\n");
+}
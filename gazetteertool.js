@@ -0,0 +1,137 @@
+// Maintains the gazetteer files of a council (see gazetteerfiles.ts).  The "validate" command
+// reports the line of each problem in the street names, street suffixes and suburb names files,
+// the "import" command adds the streets and localities of an address extract (a CSV or GeoJSON
+// file) that are not already in the files, and the "unknown-streets" command parses PDF documents
+// and lists the streets that were not found in the gazetteer (so that they can be reviewed and
+// added).
+//
+// Usage:
+//
+//     node gazetteertool.js validate [--council <name>]
+//     node gazetteertool.js import <csv or geojson file> [--council <name>] [--dry-run]
+//     node gazetteertool.js unknown-streets <pdf file or directory>... [--council <name>]
+//
+// where "--council" selects the council whose gazetteer files are used (the District Council of
+// Grant by default) and "--dry-run" reports the streets and localities that would be imported
+// without changing the files.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const councils_1 = require("./councils");
+const gazetteerfiles_1 = require("./gazetteerfiles");
+const scraper_1 = require("./scraper");
+// The usage of the tool.
+const Usage = "Usage: node gazetteertool.js validate|import <csv or geojson file>|unknown-streets <pdf file or directory>... [--council <name>] [--dry-run]";
+// Parses the command line arguments.
+function parseArguments(argv) {
+    let options = { command: argv[0], paths: [], council: councils_1.Councils[0], dryRun: false };
+    for (let index = 1; index < argv.length; index++) {
+        let argument = argv[index];
+        if (argument === "--council" && index + 1 < argv.length)
+            options.council = councils_1.findCouncils([argv[++index]])[0];
+        else if (argument === "--dry-run")
+            options.dryRun = true;
+        else if (!argument.startsWith("--"))
+            options.paths.push(argument);
+        else
+            throw new Error(`Unrecognised command line argument "${argument}".  ${Usage}`);
+    }
+    if (!["validate", "import", "unknown-streets"].includes(options.command))
+        throw new Error(`Unrecognised command "${options.command}".  ${Usage}`);
+    if (options.command === "validate" && options.paths.length > 0)
+        throw new Error(`The "validate" command does not accept any files.  ${Usage}`);
+    if (options.command === "import" && options.paths.length !== 1)
+        throw new Error(`The "import" command requires a single CSV or GeoJSON file.  ${Usage}`);
+    if (options.command === "unknown-streets" && options.paths.length === 0)
+        throw new Error(`The "unknown-streets" command requires at least one PDF file or directory.  ${Usage}`);
+    return options;
+}
+// Reports the problems in the gazetteer files of a council.  Returns the number of errors.
+function validate(council) {
+    let gazetteer = gazetteerfiles_1.readGazetteer(council.gazetteer);
+    for (let problem of gazetteer.problems)
+        console.log(gazetteerfiles_1.formatGazetteerProblem(problem));
+    let errorCount = gazetteer.problems.filter(problem => problem.severity === "error").length;
+    console.log(`Found ${errorCount} error(s) and ${gazetteer.problems.length - errorCount} warning(s) in the gazetteer files of the ${council.authorityName} (${gazetteer.streets.length} street(s), ${gazetteer.streetSuffixes.length} street suffix(es) and ${gazetteer.suburbs.length} suburb(s)).`);
+    return errorCount;
+}
+// Adds the streets and localities of an address extract to the gazetteer files of a council.
+// Returns the number of errors.
+function importAddressExtract(council, filePath, dryRun) {
+    let gazetteer = gazetteerfiles_1.readGazetteer(council.gazetteer);
+    if (gazetteer.problems.some(problem => problem.severity === "error")) {
+        console.log("The gazetteer files must be corrected before importing (run the \"validate\" command for details).");
+        return 1;
+    }
+    let extract = gazetteerfiles_1.readAddressExtract(filePath, gazetteer);
+    let { streetLines, suburbLines, messages } = gazetteerfiles_1.getGazetteerAdditions(gazetteer, extract);
+    console.log(`Read ${extract.streets.length} distinct street(s) in ${extract.localities.length} localit${(extract.localities.length === 1) ? "y" : "ies"} from ${extract.recordCount} record(s) in ${filePath}.`);
+    for (let message of messages)
+        console.log(message);
+    for (let suburbLine of suburbLines)
+        console.log(`${dryRun ? "Would add" : "Adding"} to ${council.gazetteer.suburbNamesPath}: ${suburbLine}`);
+    for (let streetLine of streetLines)
+        console.log(`${dryRun ? "Would add" : "Adding"} to ${council.gazetteer.streetNamesPath}: ${streetLine}`);
+    if (!dryRun) {
+        gazetteerfiles_1.addGazetteerLines(council.gazetteer.suburbNamesPath, suburbLines);
+        gazetteerfiles_1.addGazetteerLines(council.gazetteer.streetNamesPath, streetLines);
+    }
+    console.log(`${dryRun ? "Would add" : "Added"} ${suburbLines.length} suburb(s) and ${streetLines.length} street(s) to the gazetteer files of the ${council.authorityName}.`);
+    return dryRun ? 0 : validate(council);
+}
+// Gets the street and suburb of a development application whose street was not found in the
+// gazetteer, in the form used by the street names file (for example, "ADMELA STREET,PORT
+// MACDONNELL").  The street suffix is expanded and, if the suburb was not found either, the suburb
+// is taken to be the text after the last comma of the address.
+function getUnknownStreet(developmentApplication, expansions) {
+    let structuredAddress = developmentApplication.structuredAddress;
+    let street = [structuredAddress.streetName, structuredAddress.streetType, structuredAddress.streetSuffix].filter(text => text !== "").join(" ");
+    let suburb = structuredAddress.suburb;
+    if (suburb === "" && street.includes(",")) {
+        suburb = street.substring(street.lastIndexOf(",") + 1).trim();
+        street = street.substring(0, street.lastIndexOf(",")).trim();
+    }
+    let tokens = street.split(" ");
+    let lastToken = tokens.pop();
+    tokens.push(expansions.get(lastToken) || lastToken);
+    return `${tokens.join(" ")},${suburb}`;
+}
+// Parses PDF documents and lists the streets that were not found in the gazetteer of a council
+// (along with the suburb, where one was found, and the applications in which each appeared).
+async function listUnknownStreets(council, paths) {
+    let pdfPaths = [];
+    for (let pdfPath of paths) {
+        if (fs.statSync(pdfPath).isDirectory())
+            pdfPaths.push(...fs.readdirSync(pdfPath).sort().filter(name => name.toLowerCase().endsWith(".pdf")).map(name => path.join(pdfPath, name)));
+        else
+            pdfPaths.push(pdfPath);
+    }
+    scraper_1.readAddressInformation(council);
+    let expansions = new Map(gazetteerfiles_1.readGazetteer(council.gazetteer).streetSuffixes.map(streetSuffix => [streetSuffix.suffix, streetSuffix.expansion]));
+    let unknownStreets = new Map(); // the application numbers (keyed by street and suburb)
+    for (let pdfPath of pdfPaths) {
+        let { developmentApplications } = await scraper_1.parsePdf(fs.readFileSync(pdfPath), "file://" + path.resolve(pdfPath), council, undefined, () => { }); // without the messages written while parsing
+        console.log(`Parsed ${developmentApplications.length} development application(s) from ${pdfPath}.`);
+        for (let developmentApplication of developmentApplications.filter(developmentApplication => developmentApplication.quality.issues.some(issue => issue.code === "street-not-found"))) {
+            let key = getUnknownStreet(developmentApplication, expansions);
+            (unknownStreets.get(key) || unknownStreets.set(key, []).get(key)).push(developmentApplication.applicationNumber);
+        }
+    }
+    let keys = Array.from(unknownStreets.keys()).sort((a, b) => (unknownStreets.get(b).length - unknownStreets.get(a).length) || a.localeCompare(b));
+    for (let key of keys)
+        console.log(`${key} (in ${unknownStreets.get(key).length} application(s): ${unknownStreets.get(key).join(", ")})`);
+    console.log(`Found ${keys.length} street(s) that are not in ${council.gazetteer.streetNamesPath}.`);
+}
+// Runs the selected command.
+async function main() {
+    let options = parseArguments(process.argv.slice(2));
+    if (options.command === "validate")
+        process.exitCode = (validate(options.council) === 0) ? 0 : 1;
+    else if (options.command === "import")
+        process.exitCode = (importAddressExtract(options.council, options.paths[0], options.dryRun) === 0) ? 0 : 1;
+    else
+        await listUnknownStreets(options.council, options.paths);
+}
+main().catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ2F6ZXR0ZWVydG9vbC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImdhemV0dGVlcnRvb2wudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsOEZBQThGO0FBQzlGLGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0Ysa0dBQWtHO0FBQ2xHLCtGQUErRjtBQUMvRixVQUFVO0FBQ1YsRUFBRTtBQUNGLFNBQVM7QUFDVCxFQUFFO0FBQ0Ysd0RBQXdEO0FBQ3hELHdGQUF3RjtBQUN4RiwwRkFBMEY7QUFDMUYsRUFBRTtBQUNGLGdHQUFnRztBQUNoRyw4RkFBOEY7QUFDOUYsOEJBQThCO0FBRTlCLFlBQVksQ0FBQzs7QUFFYix5QkFBeUI7QUFDekIsNkJBQTZCO0FBQzdCLHlDQUFvRTtBQUNwRSxxREFBdUk7QUFDdkksdUNBQTZEO0FBSTdELHlCQUF5QjtBQUV6QixNQUFNLEtBQUssR0FBRyw4SUFBOEksQ0FBQztBQUU3SixxQ0FBcUM7QUFFckMsU0FBUyxjQUFjLENBQUMsSUFBYztJQUNsQyxJQUFJLE9BQU8sR0FBRyxFQUFFLE9BQU8sRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEVBQWMsRUFBRSxPQUFPLEVBQUUsbUJBQVEsQ0FBQyxDQUFDLENBQW1CLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxDQUFDO0lBQ2pILEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzlDLElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMzQixJQUFJLFFBQVEsS0FBSyxXQUFXLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUNuRCxPQUFPLENBQUMsT0FBTyxHQUFHLHVCQUFZLENBQUMsQ0FBRSxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDcEQsSUFBSSxRQUFRLEtBQUssV0FBVztZQUM3QixPQUFPLENBQUMsTUFBTSxHQUFHLElBQUksQ0FBQzthQUNyQixJQUFJLENBQUMsUUFBUSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUM7WUFDL0IsT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7O1lBRTdCLE1BQU0sSUFBSSxLQUFLLENBQUMsdUNBQXVDLFFBQVEsT0FBTyxLQUFLLEVBQUUsQ0FBQyxDQUFDO0tBQ3RGO0lBRUQsSUFBSSxDQUFDLENBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSxpQkFBaUIsQ0FBRSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDO1FBQ3RFLE1BQU0sSUFBSSxLQUFLLENBQUMseUJBQXlCLE9BQU8sQ0FBQyxPQUFPLE9BQU8sS0FBSyxFQUFFLENBQUMsQ0FBQztJQUM1RSxJQUFJLE9BQU8sQ0FBQyxPQUFPLEtBQUssVUFBVSxJQUFJLE9BQU8sQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUM7UUFDMUQsTUFBTSxJQUFJLEtBQUssQ0FBQyxzREFBc0QsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUNuRixJQUFJLE9BQU8sQ0FBQyxPQUFPLEtBQUssUUFBUSxJQUFJLE9BQU8sQ0FBQyxLQUFLLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDMUQsTUFBTSxJQUFJLEtBQUssQ0FBQyxnRUFBZ0UsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUM3RixJQUFJLE9BQU8sQ0FBQyxPQUFPLEtBQUssaUJBQWlCLElBQUksT0FBTyxDQUFDLEtBQUssQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUNuRSxNQUFNLElBQUksS0FBSyxDQUFDLCtFQUErRSxLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBQzVHLE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7QUFFRCwyRkFBMkY7QUFFM0YsU0FBUyxRQUFRLENBQUMsT0FBdUI7SUFDckMsSUFBSSxTQUFTLEdBQUcsOEJBQWEsQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDakQsS0FBSyxJQUFJLE9BQU8sSUFBSSxTQUFTLENBQUMsUUFBUTtRQUNsQyxPQUFPLENBQUMsR0FBRyxDQUFDLHVDQUFzQixDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFFakQsSUFBSSxVQUFVLEdBQUcsU0FBUyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxLQUFLLE9BQU8sQ0FBQyxDQUFDLE1BQU0sQ0FBQztJQUMzRixPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsVUFBVSxpQkFBaUIsU0FBUyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsVUFBVSw2Q0FBNkMsT0FBTyxDQUFDLGFBQWEsS0FBSyxTQUFTLENBQUMsT0FBTyxDQUFDLE1BQU0sZUFBZSxTQUFTLENBQUMsY0FBYyxDQUFDLE1BQU0sMEJBQTBCLFNBQVMsQ0FBQyxPQUFPLENBQUMsTUFBTSxjQUFjLENBQUMsQ0FBQztJQUNyUyxPQUFPLFVBQVUsQ0FBQztBQUN0QixDQUFDO0FBRUQsNkZBQTZGO0FBQzdGLGdDQUFnQztBQUVoQyxTQUFTLG9CQUFvQixDQUFDLE9BQXVCLEVBQUUsUUFBZ0IsRUFBRSxNQUFlO0lBQ3BGLElBQUksU0FBUyxHQUFHLDhCQUFhLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQ2pELElBQUksU0FBUyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxLQUFLLE9BQU8sQ0FBQyxFQUFFO1FBQ2xFLE9BQU8sQ0FBQyxHQUFHLENBQUMsb0dBQW9HLENBQUMsQ0FBQztRQUNsSCxPQUFPLENBQUMsQ0FBQztLQUNaO0lBRUQsSUFBSSxPQUFPLEdBQUcsbUNBQWtCLENBQUMsUUFBUSxFQUFFLFNBQVMsQ0FBQyxDQUFDO0lBQ3RELElBQUksRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLFFBQVEsRUFBRSxHQUFHLHNDQUFxQixDQUFDLFNBQVMsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUN2RixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsT0FBTyxDQUFDLE9BQU8sQ0FBQyxNQUFNLDBCQUEwQixPQUFPLENBQUMsVUFBVSxDQUFDLE1BQU0sV0FBVyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssU0FBUyxPQUFPLENBQUMsV0FBVyxpQkFBaUIsUUFBUSxHQUFHLENBQUMsQ0FBQztJQUNqTixLQUFLLElBQUksT0FBTyxJQUFJLFFBQVE7UUFDeEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUN6QixLQUFLLElBQUksVUFBVSxJQUFJLFdBQVc7UUFDOUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxRQUFRLE9BQU8sT0FBTyxDQUFDLFNBQVMsQ0FBQyxlQUFlLEtBQUssVUFBVSxFQUFFLENBQUMsQ0FBQztJQUM3RyxLQUFLLElBQUksVUFBVSxJQUFJLFdBQVc7UUFDOUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxRQUFRLE9BQU8sT0FBTyxDQUFDLFNBQVMsQ0FBQyxlQUFlLEtBQUssVUFBVSxFQUFFLENBQUMsQ0FBQztJQUU3RyxJQUFJLENBQUMsTUFBTSxFQUFFO1FBQ1Qsa0NBQWlCLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxlQUFlLEVBQUUsV0FBVyxDQUFDLENBQUM7UUFDbEUsa0NBQWlCLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxlQUFlLEVBQUUsV0FBVyxDQUFDLENBQUM7S0FDckU7SUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLE9BQU8sSUFBSSxXQUFXLENBQUMsTUFBTSxrQkFBa0IsV0FBVyxDQUFDLE1BQU0sNENBQTRDLE9BQU8sQ0FBQyxhQUFhLEdBQUcsQ0FBQyxDQUFDO0lBQzdLLE9BQU8sTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQztBQUMxQyxDQUFDO0FBRUQsNEZBQTRGO0FBQzVGLHlGQUF5RjtBQUN6RixtR0FBbUc7QUFDbkcsK0RBQStEO0FBRS9ELFNBQVMsZ0JBQWdCLENBQUMsc0JBQXNCLEVBQUUsVUFBK0I7SUFDN0UsSUFBSSxpQkFBaUIsR0FBRyxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBQztJQUNqRSxJQUFJLE1BQU0sR0FBRyxDQUFFLGlCQUFpQixDQUFDLFVBQVUsRUFBRSxpQkFBaUIsQ0FBQyxVQUFVLEVBQUUsaUJBQWlCLENBQUMsWUFBWSxDQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxLQUFLLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNsSixJQUFJLE1BQU0sR0FBRyxpQkFBaUIsQ0FBQyxNQUFNLENBQUM7SUFDdEMsSUFBSSxNQUFNLEtBQUssRUFBRSxJQUFJLE1BQU0sQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLEVBQUU7UUFDdkMsTUFBTSxHQUFHLE1BQU0sQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUM5RCxNQUFNLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0tBQ2hFO0lBQ0QsSUFBSSxNQUFNLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUMvQixJQUFJLFNBQVMsR0FBRyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUM7SUFDN0IsTUFBTSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxDQUFDO0lBQ3BELE9BQU8sR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLE1BQU0sRUFBRSxDQUFDO0FBQzNDLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsNkZBQTZGO0FBRTdGLEtBQUssVUFBVSxrQkFBa0IsQ0FBQyxPQUF1QixFQUFFLEtBQWU7SUFDdEUsSUFBSSxRQUFRLEdBQWEsRUFBRSxDQUFDO0lBQzVCLEtBQUssSUFBSSxPQUFPLElBQUksS0FBSyxFQUFFO1FBQ3ZCLElBQUksRUFBRSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxXQUFXLEVBQUU7WUFDbEMsUUFBUSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQzs7WUFFM0ksUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztLQUM5QjtJQUVELGdDQUFzQixDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ2hDLElBQUksVUFBVSxHQUFHLElBQUksR0FBRyxDQUFDLDhCQUFhLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLEVBQUUsQ0FBQyxDQUFFLFlBQVksQ0FBQyxNQUFNLEVBQUUsWUFBWSxDQUFDLFNBQVMsQ0FBd0IsQ0FBQyxDQUFDLENBQUM7SUFDckssSUFBSSxjQUFjLEdBQUcsSUFBSSxHQUFHLEVBQW9CLENBQUMsQ0FBRSx1REFBdUQ7SUFDMUcsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLEVBQUU7UUFDMUIsSUFBSSxFQUFFLHVCQUF1QixFQUFFLEdBQUcsTUFBTSxrQkFBUSxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsU0FBUyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxHQUFHLEVBQUUsR0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFFLDZDQUE2QztRQUMzTCxPQUFPLENBQUMsR0FBRyxDQUFDLFVBQVUsdUJBQXVCLENBQUMsTUFBTSxvQ0FBb0MsT0FBTyxHQUFHLENBQUMsQ0FBQztRQUVwRyxLQUFLLElBQUksc0JBQXNCLElBQUksdUJBQXVCLENBQUMsTUFBTSxDQUFDLHNCQUFzQixDQUFDLEVBQUUsQ0FBQyxzQkFBc0IsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEtBQUssa0JBQWtCLENBQUMsQ0FBQyxFQUFFO1lBQ2pMLElBQUksR0FBRyxHQUFHLGdCQUFnQixDQUFDLHNCQUFzQixFQUFFLFVBQVUsQ0FBQyxDQUFDO1lBQy9ELENBQUMsY0FBYyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxjQUFjLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsaUJBQWlCLENBQUMsQ0FBQztTQUNwSDtLQUNKO0lBRUQsSUFBSSxJQUFJLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxHQUFHLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2pKLEtBQUssSUFBSSxHQUFHLElBQUksSUFBSTtRQUNoQixPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsR0FBRyxRQUFRLGNBQWMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxvQkFBb0IsY0FBYyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3ZILE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxJQUFJLENBQUMsTUFBTSw4QkFBOEIsT0FBTyxDQUFDLFNBQVMsQ0FBQyxlQUFlLEdBQUcsQ0FBQyxDQUFDO0FBQ3hHLENBQUM7QUFFRCw2QkFBNkI7QUFFN0IsS0FBSyxVQUFVLElBQUk7SUFDZixJQUFJLE9BQU8sR0FBRyxjQUFjLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwRCxJQUFJLE9BQU8sQ0FBQyxPQUFPLEtBQUssVUFBVTtRQUM5QixPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDNUQsSUFBSSxPQUFPLENBQUMsT0FBTyxLQUFLLFFBQVE7UUFDakMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLG9CQUFvQixDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDOztRQUUzRyxNQUFNLGtCQUFrQixDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDO0FBQ2pFLENBQUM7QUFFRCxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
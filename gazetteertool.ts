@@ -0,0 +1,161 @@
+// Maintains the gazetteer files of a council (see gazetteerfiles.ts).  The "validate" command
+// reports the line of each problem in the street names, street suffixes and suburb names files,
+// the "import" command adds the streets and localities of an address extract (a CSV or GeoJSON
+// file) that are not already in the files, and the "unknown-streets" command parses PDF documents
+// and lists the streets that were not found in the gazetteer (so that they can be reviewed and
+// added).
+//
+// Usage:
+//
+//     node gazetteertool.js validate [--council <name>]
+//     node gazetteertool.js import <csv or geojson file> [--council <name>] [--dry-run]
+//     node gazetteertool.js unknown-streets <pdf file or directory>... [--council <name>]
+//
+// where "--council" selects the council whose gazetteer files are used (the District Council of
+// Grant by default) and "--dry-run" reports the streets and localities that would be imported
+// without changing the files.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import { CouncilAdapter, Councils, findCouncils } from "./councils";
+import { readGazetteer, formatGazetteerProblem, readAddressExtract, getGazetteerAdditions, addGazetteerLines } from "./gazetteerfiles";
+import { parsePdf, readAddressInformation } from "./scraper";
+
+declare const process: any;
+
+// The usage of the tool.
+
+const Usage = "Usage: node gazetteertool.js validate|import <csv or geojson file>|unknown-streets <pdf file or directory>... [--council <name>] [--dry-run]";
+
+// Parses the command line arguments.
+
+function parseArguments(argv: string[]) {
+    let options = { command: argv[0], paths: [] as string[], council: Councils[0] as CouncilAdapter, dryRun: false };
+    for (let index = 1; index < argv.length; index++) {
+        let argument = argv[index];
+        if (argument === "--council" && index + 1 < argv.length)
+            options.council = findCouncils([ argv[++index] ])[0];
+        else if (argument === "--dry-run")
+            options.dryRun = true;
+        else if (!argument.startsWith("--"))
+            options.paths.push(argument);
+        else
+            throw new Error(`Unrecognised command line argument "${argument}".  ${Usage}`);
+    }
+
+    if (![ "validate", "import", "unknown-streets" ].includes(options.command))
+        throw new Error(`Unrecognised command "${options.command}".  ${Usage}`);
+    if (options.command === "validate" && options.paths.length > 0)
+        throw new Error(`The "validate" command does not accept any files.  ${Usage}`);
+    if (options.command === "import" && options.paths.length !== 1)
+        throw new Error(`The "import" command requires a single CSV or GeoJSON file.  ${Usage}`);
+    if (options.command === "unknown-streets" && options.paths.length === 0)
+        throw new Error(`The "unknown-streets" command requires at least one PDF file or directory.  ${Usage}`);
+    return options;
+}
+
+// Reports the problems in the gazetteer files of a council.  Returns the number of errors.
+
+function validate(council: CouncilAdapter) {
+    let gazetteer = readGazetteer(council.gazetteer);
+    for (let problem of gazetteer.problems)
+        console.log(formatGazetteerProblem(problem));
+
+    let errorCount = gazetteer.problems.filter(problem => problem.severity === "error").length;
+    console.log(`Found ${errorCount} error(s) and ${gazetteer.problems.length - errorCount} warning(s) in the gazetteer files of the ${council.authorityName} (${gazetteer.streets.length} street(s), ${gazetteer.streetSuffixes.length} street suffix(es) and ${gazetteer.suburbs.length} suburb(s)).`);
+    return errorCount;
+}
+
+// Adds the streets and localities of an address extract to the gazetteer files of a council.
+// Returns the number of errors.
+
+function importAddressExtract(council: CouncilAdapter, filePath: string, dryRun: boolean) {
+    let gazetteer = readGazetteer(council.gazetteer);
+    if (gazetteer.problems.some(problem => problem.severity === "error")) {
+        console.log("The gazetteer files must be corrected before importing (run the \"validate\" command for details).");
+        return 1;
+    }
+
+    let extract = readAddressExtract(filePath, gazetteer);
+    let { streetLines, suburbLines, messages } = getGazetteerAdditions(gazetteer, extract);
+    console.log(`Read ${extract.streets.length} distinct street(s) in ${extract.localities.length} localit${(extract.localities.length === 1) ? "y" : "ies"} from ${extract.recordCount} record(s) in ${filePath}.`);
+    for (let message of messages)
+        console.log(message);
+    for (let suburbLine of suburbLines)
+        console.log(`${dryRun ? "Would add" : "Adding"} to ${council.gazetteer.suburbNamesPath}: ${suburbLine}`);
+    for (let streetLine of streetLines)
+        console.log(`${dryRun ? "Would add" : "Adding"} to ${council.gazetteer.streetNamesPath}: ${streetLine}`);
+
+    if (!dryRun) {
+        addGazetteerLines(council.gazetteer.suburbNamesPath, suburbLines);
+        addGazetteerLines(council.gazetteer.streetNamesPath, streetLines);
+    }
+    console.log(`${dryRun ? "Would add" : "Added"} ${suburbLines.length} suburb(s) and ${streetLines.length} street(s) to the gazetteer files of the ${council.authorityName}.`);
+    return dryRun ? 0 : validate(council);
+}
+
+// Gets the street and suburb of a development application whose street was not found in the
+// gazetteer, in the form used by the street names file (for example, "ADMELA STREET,PORT
+// MACDONNELL").  The street suffix is expanded and, if the suburb was not found either, the suburb
+// is taken to be the text after the last comma of the address.
+
+function getUnknownStreet(developmentApplication, expansions: Map<string, string>) {
+    let structuredAddress = developmentApplication.structuredAddress;
+    let street = [ structuredAddress.streetName, structuredAddress.streetType, structuredAddress.streetSuffix ].filter(text => text !== "").join(" ");
+    let suburb = structuredAddress.suburb;
+    if (suburb === "" && street.includes(",")) {
+        suburb = street.substring(street.lastIndexOf(",") + 1).trim();
+        street = street.substring(0, street.lastIndexOf(",")).trim();
+    }
+    let tokens = street.split(" ");
+    let lastToken = tokens.pop();
+    tokens.push(expansions.get(lastToken) || lastToken);
+    return `${tokens.join(" ")},${suburb}`;
+}
+
+// Parses PDF documents and lists the streets that were not found in the gazetteer of a council
+// (along with the suburb, where one was found, and the applications in which each appeared).
+
+async function listUnknownStreets(council: CouncilAdapter, paths: string[]) {
+    let pdfPaths: string[] = [];
+    for (let pdfPath of paths) {
+        if (fs.statSync(pdfPath).isDirectory())
+            pdfPaths.push(...fs.readdirSync(pdfPath).sort().filter(name => name.toLowerCase().endsWith(".pdf")).map(name => path.join(pdfPath, name)));
+        else
+            pdfPaths.push(pdfPath);
+    }
+
+    readAddressInformation(council);
+    let expansions = new Map(readGazetteer(council.gazetteer).streetSuffixes.map(streetSuffix => [ streetSuffix.suffix, streetSuffix.expansion ] as [ string, string ]));
+    let unknownStreets = new Map<string, string[]>();  // the application numbers (keyed by street and suburb)
+    for (let pdfPath of pdfPaths) {
+        let { developmentApplications } = await parsePdf(fs.readFileSync(pdfPath), "file://" + path.resolve(pdfPath), council, undefined, () => {});  // without the messages written while parsing
+        console.log(`Parsed ${developmentApplications.length} development application(s) from ${pdfPath}.`);
+
+        for (let developmentApplication of developmentApplications.filter(developmentApplication => developmentApplication.quality.issues.some(issue => issue.code === "street-not-found"))) {
+            let key = getUnknownStreet(developmentApplication, expansions);
+            (unknownStreets.get(key) || unknownStreets.set(key, []).get(key)).push(developmentApplication.applicationNumber);
+        }
+    }
+
+    let keys = Array.from(unknownStreets.keys()).sort((a, b) => (unknownStreets.get(b).length - unknownStreets.get(a).length) || a.localeCompare(b));
+    for (let key of keys)
+        console.log(`${key} (in ${unknownStreets.get(key).length} application(s): ${unknownStreets.get(key).join(", ")})`);
+    console.log(`Found ${keys.length} street(s) that are not in ${council.gazetteer.streetNamesPath}.`);
+}
+
+// Runs the selected command.
+
+async function main() {
+    let options = parseArguments(process.argv.slice(2));
+    if (options.command === "validate")
+        process.exitCode = (validate(options.council) === 0) ? 0 : 1;
+    else if (options.command === "import")
+        process.exitCode = (importAddressExtract(options.council, options.paths[0], options.dryRun) === 0) ? 0 : 1;
+    else
+        await listUnknownStreets(options.council, options.paths);
+}
+
+main().catch(error => { console.error(error); process.exitCode = 1; });
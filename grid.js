@@ -0,0 +1,354 @@
+// Reconstructs the grid of a page of a PDF register (the cells formed by the ruled lines, grouped
+// into rows, and the text elements owned by each cell).  The grid reconstruction does not depend
+// on the council that published the register, so it is shared by every council adapter.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const pdfjs = require("pdfjs-dist");
+// The distance within which two lines are considered to be at the same position.
+const LineTolerance = 2;
+// Constructs a rectangle based on the intersection of the two specified rectangles.
+function intersect(rectangle1, rectangle2) {
+    let x1 = Math.max(rectangle1.x, rectangle2.x);
+    let y1 = Math.max(rectangle1.y, rectangle2.y);
+    let x2 = Math.min(rectangle1.x + rectangle1.width, rectangle2.x + rectangle2.width);
+    let y2 = Math.min(rectangle1.y + rectangle1.height, rectangle2.y + rectangle2.height);
+    if (x2 >= x1 && y2 >= y1)
+        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+    else
+        return { x: 0, y: 0, width: 0, height: 0 };
+}
+exports.intersect = intersect;
+// Calculates the fraction of an element that lies within a cell (as a percentage).  For example,
+// if a quarter of the specifed element lies within the specified cell then this would return 25.
+function getPercentageOfElementInCell(element, cell) {
+    let elementArea = getArea(element);
+    let intersectionArea = getArea(intersect(cell, element));
+    return (elementArea === 0) ? 0 : ((intersectionArea * 100) / elementArea);
+}
+exports.getPercentageOfElementInCell = getPercentageOfElementInCell;
+// Calculates the area of a rectangle.
+function getArea(rectangle) {
+    return rectangle.width * rectangle.height;
+}
+exports.getArea = getArea;
+// Gets the percentage of horizontal overlap between two rectangles (0 means no overlap and 100
+// means 100% overlap).
+function getHorizontalOverlapPercentage(rectangle1, rectangle2) {
+    if (rectangle1 === undefined || rectangle2 === undefined)
+        return 0;
+    let startX1 = rectangle1.x;
+    let endX1 = rectangle1.x + rectangle1.width;
+    let startX2 = rectangle2.x;
+    let endX2 = rectangle2.x + rectangle2.width;
+    if (startX1 >= endX2 || endX1 <= startX2 || rectangle1.width === 0 || rectangle2.width === 0)
+        return 0;
+    let intersectionWidth = Math.min(endX1, endX2) - Math.max(startX1, startX2);
+    let unionWidth = Math.max(endX1, endX2) - Math.min(startX1, startX2);
+    return (intersectionWidth * 100) / unionWidth;
+}
+exports.getHorizontalOverlapPercentage = getHorizontalOverlapPercentage;
+// Gets the percentage of the width of the first rectangle that lies horizontally within the second
+// rectangle (a rectangle with no width is either 0% or 100% within the second rectangle).
+function getHorizontalContainmentPercentage(rectangle1, rectangle2) {
+    if (rectangle1 === undefined || rectangle2 === undefined)
+        return 0;
+    if (rectangle1.width === 0)
+        return (rectangle1.x >= rectangle2.x && rectangle1.x <= rectangle2.x + rectangle2.width) ? 100 : 0;
+    let intersectionWidth = Math.min(rectangle1.x + rectangle1.width, rectangle2.x + rectangle2.width) - Math.max(rectangle1.x, rectangle2.x);
+    return (Math.max(0, intersectionWidth) * 100) / rectangle1.width;
+}
+exports.getHorizontalContainmentPercentage = getHorizontalContainmentPercentage;
+// Gets the cell of a row that lies in the column of the specified heading cell.  A row may have
+// several cells in the column (when another cell of the row spans several rows of the grid) and
+// these are combined into a single cell.  When a cell of the row spans several columns only the
+// elements of that cell which lie mostly within the column are included.  Returns undefined if
+// there is no cell in the column.
+function getColumnCell(row, headingCell) {
+    if (headingCell === undefined)
+        return undefined;
+    let columnCells = row.filter(cell => getHorizontalOverlapPercentage(cell, headingCell) > 90 || getHorizontalContainmentPercentage(headingCell, cell) > 90);
+    if (columnCells.length === 0)
+        return undefined;
+    columnCells.sort((a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : 0));
+    let elements = [];
+    for (let cell of columnCells) {
+        if (getHorizontalOverlapPercentage(cell, headingCell) > 90)
+            elements.push(...cell.elements);
+        else
+            elements.push(...cell.elements.filter(element => getHorizontalContainmentPercentage(element, headingCell) > 50));
+    }
+    let x = Math.min(...columnCells.map(cell => cell.x));
+    let y = Math.min(...columnCells.map(cell => cell.y));
+    let width = Math.max(...columnCells.map(cell => cell.x + cell.width)) - x;
+    let height = Math.max(...columnCells.map(cell => cell.y + cell.height)) - y;
+    return { elements: elements, x: x, y: y, width: width, height: height };
+}
+exports.getColumnCell = getColumnCell;
+// Examines all the lines in a page of a PDF and constructs cells (ie. rectangles) based on those
+// lines.  Adjacent cells are merged wherever no line has been drawn between them.  The
+// classification of the lines is recorded in the specified object (if any).
+async function parseCells(page, gridLines) {
+    let operators = await page.getOperatorList();
+    // Find the lines.  Each line is actually constructed using a rectangle with a very short
+    // height or a very narrow width.
+    let lines = [];
+    let previousRectangle = undefined;
+    let transformStack = [];
+    let transform = [1, 0, 0, 1, 0, 0];
+    transformStack.push(transform);
+    for (let index = 0; index < operators.fnArray.length; index++) {
+        let argsArray = operators.argsArray[index];
+        if (operators.fnArray[index] === pdfjs.OPS.restore)
+            transform = transformStack.pop();
+        else if (operators.fnArray[index] === pdfjs.OPS.save)
+            transformStack.push(transform);
+        else if (operators.fnArray[index] === pdfjs.OPS.transform)
+            transform = pdfjs.Util.transform(transform, argsArray);
+        else if (operators.fnArray[index] === pdfjs.OPS.constructPath) {
+            let argumentIndex = 0;
+            for (let operationIndex = 0; operationIndex < argsArray[0].length; operationIndex++) {
+                if (argsArray[0][operationIndex] === pdfjs.OPS.moveTo)
+                    argumentIndex += 2;
+                else if (argsArray[0][operationIndex] === pdfjs.OPS.lineTo)
+                    argumentIndex += 2;
+                else if (argsArray[0][operationIndex] === pdfjs.OPS.rectangle) {
+                    let x1 = argsArray[1][argumentIndex++];
+                    let y1 = argsArray[1][argumentIndex++];
+                    let width = argsArray[1][argumentIndex++];
+                    let height = argsArray[1][argumentIndex++];
+                    let x2 = x1 + width;
+                    let y2 = y1 + height;
+                    [x1, y1] = pdfjs.Util.applyTransform([x1, y1], transform);
+                    [x2, y2] = pdfjs.Util.applyTransform([x2, y2], transform);
+                    width = x2 - x1;
+                    height = y2 - y1;
+                    previousRectangle = { x: x1, y: y1, width: width, height: height };
+                }
+            }
+        }
+        else if ((operators.fnArray[index] === pdfjs.OPS.fill || operators.fnArray[index] === pdfjs.OPS.eoFill) && previousRectangle !== undefined) {
+            lines.push(previousRectangle);
+            previousRectangle = undefined;
+        }
+    }
+    // Determine the horizontal and vertical line segments that make up the grid.  A line may be
+    // drawn as a single long rectangle or as several shorter segments (for example, one segment
+    // per cell, or with gaps where cells have been merged).  The header is typically a filled
+    // rectangle that extends across the width of the page; it is converted into two horizontal
+    // lines and the vertical lines are assumed to continue through it (because any rules drawn
+    // over a filled header are not necessarily visible in the operator list).
+    let horizontalLines = [];
+    let verticalLines = [];
+    let headerBands = [];
+    let ignoredLines = [];
+    for (let line of lines) {
+        if (line.width < 0)
+            line = { x: line.x + line.width, y: line.y, width: -line.width, height: line.height };
+        if (line.height < 0)
+            line = { x: line.x, y: line.y + line.height, width: line.width, height: -line.height };
+        if (line.height <= 2 && line.width >= 2)
+            horizontalLines.push(line);
+        else if (line.width <= 2 && line.height >= 5)
+            verticalLines.push(line);
+        else if (line.height >= 5 && line.width >= 200) {
+            horizontalLines.push({ x: line.x, y: line.y, width: line.width, height: 1 });
+            horizontalLines.push({ x: line.x, y: line.y + line.height, width: line.width, height: 1 });
+            headerBands.push(line);
+        }
+        else
+            ignoredLines.push(line);
+    }
+    // Ignore the short lines and small rectangles that make up the logo at the top left of the
+    // page (otherwise these would cause additional cells to be constructed).  The segments of a
+    // horizontal line of the grid typically extend across the width of the page in total and the
+    // vertical lines of the grid lie between the top and bottom horizontal lines.
+    let horizontalLineYs = getLinePositions(horizontalLines.map(line => line.y)).filter(y => horizontalLines.filter(line => Math.abs(line.y - y) < LineTolerance).reduce((total, line) => total + line.width, 0) >= 200);
+    ignoredLines.push(...horizontalLines.filter(line => !horizontalLineYs.some(y => Math.abs(line.y - y) < LineTolerance)));
+    horizontalLines = horizontalLines.filter(line => horizontalLineYs.some(y => Math.abs(line.y - y) < LineTolerance));
+    if (horizontalLines.length === 0) {
+        recordGridLines(gridLines, [], [], headerBands, ignoredLines.concat(verticalLines));
+        return [];
+    }
+    let gridLeft = Math.min(...horizontalLines.map(line => line.x)) - LineTolerance;
+    let gridRight = Math.max(...horizontalLines.map(line => line.x + line.width)) + LineTolerance;
+    let gridBottom = horizontalLineYs[0] - LineTolerance;
+    let gridTop = horizontalLineYs[horizontalLineYs.length - 1] + LineTolerance;
+    let isInGrid = (line) => line.x >= gridLeft && line.x <= gridRight && line.y < gridTop && line.y + line.height > gridBottom;
+    ignoredLines.push(...verticalLines.filter(line => !isInGrid(line)));
+    verticalLines = verticalLines.filter(isInGrid);
+    let verticalLineXs = getLinePositions(verticalLines.map(line => line.x));
+    recordGridLines(gridLines, horizontalLines, verticalLines, headerBands, ignoredLines);
+    // Construct the smallest possible cells from every pairing of adjacent horizontal and vertical
+    // lines (as if every line extended across the whole grid).
+    let rowCount = horizontalLineYs.length - 1;
+    let columnCount = verticalLineXs.length - 1;
+    if (rowCount <= 0 || columnCount <= 0)
+        return [];
+    // Merge adjacent cells wherever the line segment between them has not actually been drawn
+    // (so that a merged cell, which may span several rows or columns, becomes a single cell).
+    let parents = Array.from({ length: rowCount * columnCount }, (value, index) => index);
+    let findRoot = (index) => {
+        while (parents[index] !== index)
+            index = parents[index] = parents[parents[index]];
+        return index;
+    };
+    for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+        for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+            let index = rowIndex * columnCount + columnIndex;
+            let middleX = (verticalLineXs[columnIndex] + verticalLineXs[columnIndex + 1]) / 2;
+            let middleY = (horizontalLineYs[rowIndex] + horizontalLineYs[rowIndex + 1]) / 2;
+            if (columnIndex + 1 < columnCount && !isLineDrawn(verticalLines, headerBands, "vertical", verticalLineXs[columnIndex + 1], middleY))
+                parents[findRoot(index + 1)] = findRoot(index);
+            if (rowIndex + 1 < rowCount && !isLineDrawn(horizontalLines, [], "horizontal", horizontalLineYs[rowIndex + 1], middleX))
+                parents[findRoot(index + columnCount)] = findRoot(index);
+        }
+    }
+    // Construct a cell for each group of merged cells.  A group that is not rectangular (which
+    // would be unusual) is instead left as its individual cells.
+    let groups = new Map();
+    for (let index = 0; index < parents.length; index++) {
+        let root = findRoot(index);
+        if (groups.has(root))
+            groups.get(root).push(index);
+        else
+            groups.set(root, [index]);
+    }
+    let cells = [];
+    let createCell = (firstRowIndex, firstColumnIndex, lastRowIndex, lastColumnIndex) => ({
+        elements: [],
+        x: verticalLineXs[firstColumnIndex],
+        y: horizontalLineYs[firstRowIndex],
+        width: verticalLineXs[lastColumnIndex + 1] - verticalLineXs[firstColumnIndex],
+        height: horizontalLineYs[lastRowIndex + 1] - horizontalLineYs[firstRowIndex]
+    });
+    for (let indexes of groups.values()) {
+        let rowIndexes = indexes.map(index => Math.floor(index / columnCount));
+        let columnIndexes = indexes.map(index => index % columnCount);
+        let firstRowIndex = Math.min(...rowIndexes);
+        let lastRowIndex = Math.max(...rowIndexes);
+        let firstColumnIndex = Math.min(...columnIndexes);
+        let lastColumnIndex = Math.max(...columnIndexes);
+        if (indexes.length === (lastRowIndex - firstRowIndex + 1) * (lastColumnIndex - firstColumnIndex + 1))
+            cells.push(createCell(firstRowIndex, firstColumnIndex, lastRowIndex, lastColumnIndex));
+        else
+            for (let index of indexes)
+                cells.push(createCell(Math.floor(index / columnCount), index % columnCount, Math.floor(index / columnCount), index % columnCount));
+    }
+    return cells;
+}
+exports.parseCells = parseCells;
+// Records the classification of the lines of a page (if requested).
+function recordGridLines(gridLines, horizontalLines, verticalLines, headerBands, ignoredLines) {
+    if (gridLines !== undefined) {
+        gridLines.horizontal.push(...horizontalLines);
+        gridLines.vertical.push(...verticalLines);
+        gridLines.headerBands.push(...headerBands);
+        gridLines.ignored.push(...ignoredLines);
+    }
+}
+// Groups the co-ordinates of lines that are at approximately the same position (returning the
+// lowest co-ordinate of each group, in ascending order).
+function getLinePositions(coordinates) {
+    let positions = [];
+    for (let coordinate of coordinates.slice().sort((a, b) => a - b))
+        if (positions.length === 0 || coordinate - positions[positions.length - 1] >= LineTolerance)
+            positions.push(coordinate);
+    return positions;
+}
+// Determines whether a line segment has been drawn at the specified position (an X co-ordinate
+// for a vertical line or a Y co-ordinate for a horizontal line) through the specified point along
+// the line (or whether the point lies within one of the specified bands, through which the line
+// is assumed to be drawn).
+function isLineDrawn(lines, bands, orientation, position, point) {
+    if (orientation === "vertical")
+        return bands.some(band => point >= band.y && point <= band.y + band.height) ||
+            lines.some(line => Math.abs(line.x - position) < LineTolerance && point >= line.y && point <= line.y + line.height);
+    else
+        return bands.some(band => point >= band.x && point <= band.x + band.width) ||
+            lines.some(line => Math.abs(line.y - position) < LineTolerance && point >= line.x && point <= line.x + line.width);
+}
+// Parses the text elements from a page of a PDF.
+async function parseElements(page) {
+    let textContent = await page.getTextContent();
+    // Find all the text elements.
+    let elements = textContent.items.map(item => {
+        let transform = item.transform;
+        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
+        // exaggerated).  The problem seems to be that the height value is too large in some
+        // PDFs.  Provide an alternative, more accurate height value by using a calculation
+        // based on the transform matrix.
+        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+        let x = transform[4];
+        let y = transform[5];
+        let width = item.width;
+        let height = workaroundHeight;
+        return { text: item.str, x: x, y: y, width: width, height: height };
+    });
+    return elements;
+}
+exports.parseElements = parseElements;
+// Reconstructs the grid of a page of a PDF.  The returned cells and elements use inverted Y
+// co-ordinates (so that Y increases down the page) and the rows are in the order in which the
+// cells were sorted (approximately by Y co-ordinate and then by X co-ordinate).  The
+// classification of the lines is recorded in the specified object (if any, also with inverted Y
+// co-ordinates).
+async function parseGrid(page, gridLines) {
+    // Construct cells (ie. rectangles) based on the horizontal and vertical line segments
+    // in the PDF page.
+    let cells = await parseCells(page, gridLines);
+    // Construct elements based on the text in the PDF page.
+    let elements = await parseElements(page);
+    // Release the resources used by the page (the cells and elements are all that is needed
+    // from this point onwards).
+    page.cleanup();
+    // The co-ordinate system used in a PDF is typically "upside down" so invert the
+    // co-ordinates (and so this makes the subsequent logic easier to understand).
+    for (let cell of cells)
+        cell.y = -(cell.y + cell.height);
+    for (let element of elements)
+        element.y = -(element.y + element.height);
+    if (gridLines !== undefined)
+        for (let line of [...gridLines.horizontal, ...gridLines.vertical, ...gridLines.headerBands, ...gridLines.ignored])
+            line.y = -(line.y + line.height);
+    // Sort the cells by approximate Y co-ordinate and then by X co-ordinate.
+    let cellComparer = (a, b) => (Math.abs(a.y - b.y) < 2) ? ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)) : ((a.y > b.y) ? 1 : -1);
+    cells.sort(cellComparer);
+    // Sort the text elements by approximate Y co-ordinate and then by X co-ordinate.
+    let elementComparer = (a, b) => (Math.abs(a.y - b.y) < 1) ? ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)) : ((a.y > b.y) ? 1 : -1);
+    elements.sort(elementComparer);
+    // Allocate each element to an "owning" cell.  This is normally the cell that holds more than
+    // 50% of the element, but an element that straddles several cells (without more than 50% in
+    // any one) is allocated to the cell holding the largest part of it rather than being dropped.
+    for (let element of elements) {
+        let ownerCell = cells.find(cell => getPercentageOfElementInCell(element, cell) > 50);
+        if (ownerCell === undefined) {
+            let largestPercentage = 0;
+            for (let cell of cells) {
+                let percentage = getPercentageOfElementInCell(element, cell);
+                if (percentage > largestPercentage) {
+                    largestPercentage = percentage;
+                    ownerCell = cell;
+                }
+            }
+        }
+        if (ownerCell !== undefined)
+            ownerCell.elements.push(element);
+    }
+    // Group the cells into rows.  A merged cell that spans several rows of the grid joins those
+    // rows into a single row (so that, for example, an application number cell that spans two
+    // rows of descriptions is grouped with both descriptions).
+    let rows = [];
+    let rowBottom = 0;
+    for (let cell of cells) {
+        if (rows.length > 0 && cell.y < rowBottom - 2) // approximate Y co-ordinate match (the cell starts above the bottom of the current row)
+            rows[rows.length - 1].push(cell); // add to the current row
+        else {
+            rows.push([cell]); // start a new row
+            rowBottom = cell.y + cell.height;
+        }
+        rowBottom = Math.max(rowBottom, cell.y + cell.height);
+    }
+    return { cells: cells, elements: elements, rows: rows };
+}
+exports.parseGrid = parseGrid;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ3JpZC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImdyaWQudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsa0dBQWtHO0FBQ2xHLGlHQUFpRztBQUNqRyx3RkFBd0Y7QUFFeEYsWUFBWSxDQUFDOztBQUViLG9DQUFvQztBQWtDcEMsaUZBQWlGO0FBRWpGLE1BQU0sYUFBYSxHQUFHLENBQUMsQ0FBQztBQUV4QixvRkFBb0Y7QUFFcEYsU0FBZ0IsU0FBUyxDQUFDLFVBQXFCLEVBQUUsVUFBcUI7SUFDbEUsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM5QyxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzlDLElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUMsS0FBSyxFQUFFLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3BGLElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUMsTUFBTSxFQUFFLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ3RGLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRTtRQUNwQixPQUFPLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxFQUFFLEdBQUcsRUFBRSxFQUFFLE1BQU0sRUFBRSxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUM7O1FBRXpELE9BQU8sRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLENBQUM7QUFDbkQsQ0FBQztBQVRELDhCQVNDO0FBRUQsaUdBQWlHO0FBQ2pHLGlHQUFpRztBQUVqRyxTQUFnQiw0QkFBNEIsQ0FBQyxPQUFnQixFQUFFLElBQVU7SUFDckUsSUFBSSxXQUFXLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ25DLElBQUksZ0JBQWdCLEdBQUcsT0FBTyxDQUFDLFNBQVMsQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLENBQUMsQ0FBQztJQUN6RCxPQUFPLENBQUMsV0FBVyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxnQkFBZ0IsR0FBRyxHQUFHLENBQUMsR0FBRyxXQUFXLENBQUMsQ0FBQztBQUM5RSxDQUFDO0FBSkQsb0VBSUM7QUFFRCxzQ0FBc0M7QUFFdEMsU0FBZ0IsT0FBTyxDQUFDLFNBQW9CO0lBQ3hDLE9BQU8sU0FBUyxDQUFDLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDO0FBQzlDLENBQUM7QUFGRCwwQkFFQztBQUVELCtGQUErRjtBQUMvRix1QkFBdUI7QUFFdkIsU0FBZ0IsOEJBQThCLENBQUMsVUFBcUIsRUFBRSxVQUFxQjtJQUN2RixJQUFJLFVBQVUsS0FBSyxTQUFTLElBQUksVUFBVSxLQUFLLFNBQVM7UUFDcEQsT0FBTyxDQUFDLENBQUM7SUFFYixJQUFJLE9BQU8sR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQzNCLElBQUksS0FBSyxHQUFHLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQztJQUU1QyxJQUFJLE9BQU8sR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQzNCLElBQUksS0FBSyxHQUFHLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQztJQUU1QyxJQUFJLE9BQU8sSUFBSSxLQUFLLElBQUksS0FBSyxJQUFJLE9BQU8sSUFBSSxVQUFVLENBQUMsS0FBSyxLQUFLLENBQUMsSUFBSSxVQUFVLENBQUMsS0FBSyxLQUFLLENBQUM7UUFDeEYsT0FBTyxDQUFDLENBQUM7SUFFYixJQUFJLGlCQUFpQixHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQzVFLElBQUksVUFBVSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBRXJFLE9BQU8sQ0FBQyxpQkFBaUIsR0FBRyxHQUFHLENBQUMsR0FBRyxVQUFVLENBQUM7QUFDbEQsQ0FBQztBQWpCRCx3RUFpQkM7QUFFRCxtR0FBbUc7QUFDbkcsMEZBQTBGO0FBRTFGLFNBQWdCLGtDQUFrQyxDQUFDLFVBQXFCLEVBQUUsVUFBcUI7SUFDM0YsSUFBSSxVQUFVLEtBQUssU0FBUyxJQUFJLFVBQVUsS0FBSyxTQUFTO1FBQ3BELE9BQU8sQ0FBQyxDQUFDO0lBQ2IsSUFBSSxVQUFVLENBQUMsS0FBSyxLQUFLLENBQUM7UUFDdEIsT0FBTyxDQUFDLFVBQVUsQ0FBQyxDQUFDLElBQUksVUFBVSxDQUFDLENBQUMsSUFBSSxVQUFVLENBQUMsQ0FBQyxJQUFJLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN2RyxJQUFJLGlCQUFpQixHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUMsS0FBSyxFQUFFLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDMUksT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLGlCQUFpQixDQUFDLEdBQUcsR0FBRyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQztBQUNyRSxDQUFDO0FBUEQsZ0ZBT0M7QUFFRCxnR0FBZ0c7QUFDaEcsZ0dBQWdHO0FBQ2hHLGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0Ysa0NBQWtDO0FBRWxDLFNBQWdCLGFBQWEsQ0FBQyxHQUFXLEVBQUUsV0FBaUI7SUFDeEQsSUFBSSxXQUFXLEtBQUssU0FBUztRQUN6QixPQUFPLFNBQVMsQ0FBQztJQUVyQixJQUFJLFdBQVcsR0FBRyxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsOEJBQThCLENBQUMsSUFBSSxFQUFFLFdBQVcsQ0FBQyxHQUFHLEVBQUUsSUFBSSxrQ0FBa0MsQ0FBQyxXQUFXLEVBQUUsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUM7SUFDM0osSUFBSSxXQUFXLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDeEIsT0FBTyxTQUFTLENBQUM7SUFDckIsV0FBVyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUVyRSxJQUFJLFFBQVEsR0FBYyxFQUFFLENBQUM7SUFDN0IsS0FBSyxJQUFJLElBQUksSUFBSSxXQUFXLEVBQUU7UUFDMUIsSUFBSSw4QkFBOEIsQ0FBQyxJQUFJLEVBQUUsV0FBVyxDQUFDLEdBQUcsRUFBRTtZQUN0RCxRQUFRLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDOztZQUVoQyxRQUFRLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxrQ0FBa0MsQ0FBQyxPQUFPLEVBQUUsV0FBVyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQztLQUN4SDtJQUVELElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDckQsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNyRCxJQUFJLEtBQUssR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzFFLElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDNUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxDQUFDO0FBQzVFLENBQUM7QUF0QkQsc0NBc0JDO0FBRUQsaUdBQWlHO0FBQ2pHLHVGQUF1RjtBQUN2Riw0RUFBNEU7QUFFckUsS0FBSyxVQUFVLFVBQVUsQ0FBQyxJQUFJLEVBQUUsU0FBcUI7SUFDeEQsSUFBSSxTQUFTLEdBQUcsTUFBTSxJQUFJLENBQUMsZUFBZSxFQUFFLENBQUM7SUFFN0MseUZBQXlGO0lBQ3pGLGlDQUFpQztJQUVqQyxJQUFJLEtBQUssR0FBZ0IsRUFBRSxDQUFDO0lBRTVCLElBQUksaUJBQWlCLEdBQUcsU0FBUyxDQUFDO0lBQ2xDLElBQUksY0FBYyxHQUFHLEVBQUUsQ0FBQztJQUN4QixJQUFJLFNBQVMsR0FBRyxDQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFFLENBQUM7SUFDckMsY0FBYyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUUvQixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsU0FBUyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDM0QsSUFBSSxTQUFTLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUUzQyxJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxPQUFPO1lBQzlDLFNBQVMsR0FBRyxjQUFjLENBQUMsR0FBRyxFQUFFLENBQUM7YUFDaEMsSUFBSSxTQUFTLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSTtZQUNoRCxjQUFjLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO2FBQzlCLElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxLQUFLLENBQUMsR0FBRyxDQUFDLFNBQVM7WUFDckQsU0FBUyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFNBQVMsRUFBRSxTQUFTLENBQUMsQ0FBQzthQUN0RCxJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxhQUFhLEVBQUU7WUFDM0QsSUFBSSxhQUFhLEdBQUcsQ0FBQyxDQUFDO1lBQ3RCLEtBQUssSUFBSSxjQUFjLEdBQUcsQ0FBQyxFQUFFLGNBQWMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLGNBQWMsRUFBRSxFQUFFO2dCQUNqRixJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxjQUFjLENBQUMsS0FBSyxLQUFLLENBQUMsR0FBRyxDQUFDLE1BQU07b0JBQ2pELGFBQWEsSUFBSSxDQUFDLENBQUM7cUJBQ2xCLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxLQUFLLEtBQUssQ0FBQyxHQUFHLENBQUMsTUFBTTtvQkFDdEQsYUFBYSxJQUFJLENBQUMsQ0FBQztxQkFDbEIsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxTQUFTLEVBQUU7b0JBQzNELElBQUksRUFBRSxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxhQUFhLEVBQUUsQ0FBQyxDQUFDO29CQUN2QyxJQUFJLEVBQUUsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsYUFBYSxFQUFFLENBQUMsQ0FBQztvQkFDdkMsSUFBSSxLQUFLLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsRUFBRSxDQUFDLENBQUM7b0JBQzFDLElBQUksTUFBTSxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxhQUFhLEVBQUUsQ0FBQyxDQUFDO29CQUMzQyxJQUFJLEVBQUUsR0FBRyxFQUFFLEdBQUcsS0FBSyxDQUFDO29CQUNwQixJQUFJLEVBQUUsR0FBRyxFQUFFLEdBQUcsTUFBTSxDQUFDO29CQUNyQixDQUFDLEVBQUUsRUFBRSxFQUFFLENBQUMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxFQUFFLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztvQkFDMUQsQ0FBQyxFQUFFLEVBQUUsRUFBRSxDQUFDLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7b0JBQzFELEtBQUssR0FBRyxFQUFFLEdBQUcsRUFBRSxDQUFDO29CQUNoQixNQUFNLEdBQUcsRUFBRSxHQUFHLEVBQUUsQ0FBQztvQkFDakIsaUJBQWlCLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLENBQUM7aUJBQ3RFO2FBQ0o7U0FDSjthQUFNLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxpQkFBaUIsS0FBSyxTQUFTLEVBQUU7WUFDMUksS0FBSyxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1lBQzlCLGlCQUFpQixHQUFHLFNBQVMsQ0FBQztTQUNqQztLQUNKO0lBRUQsNEZBQTRGO0lBQzVGLDRGQUE0RjtJQUM1RiwwRkFBMEY7SUFDMUYsMkZBQTJGO0lBQzNGLDJGQUEyRjtJQUMzRiwwRUFBMEU7SUFFMUUsSUFBSSxlQUFlLEdBQWdCLEVBQUUsQ0FBQztJQUN0QyxJQUFJLGFBQWEsR0FBZ0IsRUFBRSxDQUFDO0lBQ3BDLElBQUksV0FBVyxHQUFnQixFQUFFLENBQUM7SUFDbEMsSUFBSSxZQUFZLEdBQWdCLEVBQUUsQ0FBQztJQUVuQyxLQUFLLElBQUksSUFBSSxJQUFJLEtBQUssRUFBRTtRQUNwQixJQUFJLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQztZQUNkLElBQUksR0FBRyxFQUFFLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUMsSUFBSSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDO1FBQzFGLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDO1lBQ2YsSUFBSSxHQUFHLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsSUFBSSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUM7UUFFM0YsSUFBSSxJQUFJLENBQUMsTUFBTSxJQUFJLENBQUMsSUFBSSxJQUFJLENBQUMsS0FBSyxJQUFJLENBQUM7WUFDbkMsZUFBZSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUMxQixJQUFJLElBQUksQ0FBQyxLQUFLLElBQUksQ0FBQyxJQUFJLElBQUksQ0FBQyxNQUFNLElBQUksQ0FBQztZQUN4QyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO2FBQ3hCLElBQUksSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksSUFBSSxDQUFDLEtBQUssSUFBSSxHQUFHLEVBQUU7WUFDNUMsZUFBZSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQzdFLGVBQWUsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQzNGLFdBQVcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDMUI7O1lBQ0csWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztLQUMvQjtJQUVELDJGQUEyRjtJQUMzRiw0RkFBNEY7SUFDNUYsNkZBQTZGO0lBQzdGLDhFQUE4RTtJQUU5RSxJQUFJLGdCQUFnQixHQUFHLGdCQUFnQixDQUFDLGVBQWUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxlQUFlLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsRUFBRSxDQUFDLEtBQUssR0FBRyxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDO0lBQ3JOLFlBQVksQ0FBQyxJQUFJLENBQUMsR0FBRyxlQUFlLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3hILGVBQWUsR0FBRyxlQUFlLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxDQUFDLENBQUM7SUFDbkgsSUFBSSxlQUFlLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUM5QixlQUFlLENBQUMsU0FBUyxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsV0FBVyxFQUFFLFlBQVksQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQztRQUNwRixPQUFPLEVBQUUsQ0FBQztLQUNiO0lBRUQsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUM7SUFDaEYsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQztJQUM5RixJQUFJLFVBQVUsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUM7SUFDckQsSUFBSSxPQUFPLEdBQUcsZ0JBQWdCLENBQUMsZ0JBQWdCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQztJQUM1RSxJQUFJLFFBQVEsR0FBRyxDQUFDLElBQWUsRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxRQUFRLElBQUksSUFBSSxDQUFDLENBQUMsSUFBSSxTQUFTLElBQUksSUFBSSxDQUFDLENBQUMsR0FBRyxPQUFPLElBQUksSUFBSSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxHQUFHLFVBQVUsQ0FBQztJQUN2SSxZQUFZLENBQUMsSUFBSSxDQUFDLEdBQUcsYUFBYSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwRSxhQUFhLEdBQUcsYUFBYSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUMvQyxJQUFJLGNBQWMsR0FBRyxnQkFBZ0IsQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDekUsZUFBZSxDQUFDLFNBQVMsRUFBRSxlQUFlLEVBQUUsYUFBYSxFQUFFLFdBQVcsRUFBRSxZQUFZLENBQUMsQ0FBQztJQUV0RiwrRkFBK0Y7SUFDL0YsMkRBQTJEO0lBRTNELElBQUksUUFBUSxHQUFHLGdCQUFnQixDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7SUFDM0MsSUFBSSxXQUFXLEdBQUcsY0FBYyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7SUFDNUMsSUFBSSxRQUFRLElBQUksQ0FBQyxJQUFJLFdBQVcsSUFBSSxDQUFDO1FBQ2pDLE9BQU8sRUFBRSxDQUFDO0lBRWQsMEZBQTBGO0lBQzFGLDBGQUEwRjtJQUUxRixJQUFJLE9BQU8sR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsTUFBTSxFQUFFLFFBQVEsR0FBRyxXQUFXLEVBQUUsRUFBRSxDQUFDLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3RGLElBQUksUUFBUSxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUU7UUFDN0IsT0FBTyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSztZQUMzQixLQUFLLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNyRCxPQUFPLEtBQUssQ0FBQztJQUNqQixDQUFDLENBQUM7SUFFRixLQUFLLElBQUksUUFBUSxHQUFHLENBQUMsRUFBRSxRQUFRLEdBQUcsUUFBUSxFQUFFLFFBQVEsRUFBRSxFQUFFO1FBQ3BELEtBQUssSUFBSSxXQUFXLEdBQUcsQ0FBQyxFQUFFLFdBQVcsR0FBRyxXQUFXLEVBQUUsV0FBVyxFQUFFLEVBQUU7WUFDaEUsSUFBSSxLQUFLLEdBQUcsUUFBUSxHQUFHLFdBQVcsR0FBRyxXQUFXLENBQUM7WUFDakQsSUFBSSxPQUFPLEdBQUcsQ0FBQyxjQUFjLENBQUMsV0FBVyxDQUFDLEdBQUcsY0FBYyxDQUFDLFdBQVcsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUNsRixJQUFJLE9BQU8sR0FBRyxDQUFDLGdCQUFnQixDQUFDLFFBQVEsQ0FBQyxHQUFHLGdCQUFnQixDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUNoRixJQUFJLFdBQVcsR0FBRyxDQUFDLEdBQUcsV0FBVyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsRUFBRSxXQUFXLEVBQUUsVUFBVSxFQUFFLGNBQWMsQ0FBQyxXQUFXLEdBQUcsQ0FBQyxDQUFDLEVBQUUsT0FBTyxDQUFDO2dCQUMvSCxPQUFPLENBQUMsUUFBUSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNuRCxJQUFJLFFBQVEsR0FBRyxDQUFDLEdBQUcsUUFBUSxJQUFJLENBQUMsV0FBVyxDQUFDLGVBQWUsRUFBRSxFQUFFLEVBQUUsWUFBWSxFQUFFLGdCQUFnQixDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUM7Z0JBQ25ILE9BQU8sQ0FBQyxRQUFRLENBQUMsS0FBSyxHQUFHLFdBQVcsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDO1NBQ2hFO0tBQ0o7SUFFRCwyRkFBMkY7SUFDM0YsNkRBQTZEO0lBRTdELElBQUksTUFBTSxHQUFHLElBQUksR0FBRyxFQUFvQixDQUFDO0lBQ3pDLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxPQUFPLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ2pELElBQUksSUFBSSxHQUFHLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMzQixJQUFJLE1BQU0sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDO1lBQ2hCLE1BQU0sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDOztZQUU3QixNQUFNLENBQUMsR0FBRyxDQUFDLElBQUksRUFBRSxDQUFFLEtBQUssQ0FBRSxDQUFDLENBQUM7S0FDbkM7SUFFRCxJQUFJLEtBQUssR0FBVyxFQUFFLENBQUM7SUFDdkIsSUFBSSxVQUFVLEdBQUcsQ0FBQyxhQUFxQixFQUFFLGdCQUF3QixFQUFFLFlBQW9CLEVBQUUsZUFBdUIsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUNsSCxRQUFRLEVBQUUsRUFBRTtRQUNaLENBQUMsRUFBRSxjQUFjLENBQUMsZ0JBQWdCLENBQUM7UUFDbkMsQ0FBQyxFQUFFLGdCQUFnQixDQUFDLGFBQWEsQ0FBQztRQUNsQyxLQUFLLEVBQUUsY0FBYyxDQUFDLGVBQWUsR0FBRyxDQUFDLENBQUMsR0FBRyxjQUFjLENBQUMsZ0JBQWdCLENBQUM7UUFDN0UsTUFBTSxFQUFFLGdCQUFnQixDQUFDLFlBQVksR0FBRyxDQUFDLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxhQUFhLENBQUM7S0FDL0UsQ0FBQyxDQUFDO0lBRUgsS0FBSyxJQUFJLE9BQU8sSUFBSSxNQUFNLENBQUMsTUFBTSxFQUFFLEVBQUU7UUFDakMsSUFBSSxVQUFVLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUM7UUFDdkUsSUFBSSxhQUFhLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssR0FBRyxXQUFXLENBQUMsQ0FBQztRQUM5RCxJQUFJLGFBQWEsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUM7UUFDNUMsSUFBSSxZQUFZLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxDQUFDO1FBQzNDLElBQUksZ0JBQWdCLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxDQUFDO1FBQ2xELElBQUksZUFBZSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQztRQUNqRCxJQUFJLE9BQU8sQ0FBQyxNQUFNLEtBQUssQ0FBQyxZQUFZLEdBQUcsYUFBYSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsZUFBZSxHQUFHLGdCQUFnQixHQUFHLENBQUMsQ0FBQztZQUNoRyxLQUFLLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxhQUFhLEVBQUUsZ0JBQWdCLEVBQUUsWUFBWSxFQUFFLGVBQWUsQ0FBQyxDQUFDLENBQUM7O1lBRXZGLEtBQUssSUFBSSxLQUFLLElBQUksT0FBTztnQkFDckIsS0FBSyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLEdBQUcsV0FBVyxDQUFDLEVBQUUsS0FBSyxHQUFHLFdBQVcsRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssR0FBRyxXQUFXLENBQUMsRUFBRSxLQUFLLEdBQUcsV0FBVyxDQUFDLENBQUMsQ0FBQztLQUM5STtJQUVELE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUF4S0QsZ0NBd0tDO0FBRUQsb0VBQW9FO0FBRXBFLFNBQVMsZUFBZSxDQUFDLFNBQW9CLEVBQUUsZUFBNEIsRUFBRSxhQUEwQixFQUFFLFdBQXdCLEVBQUUsWUFBeUI7SUFDeEosSUFBSSxTQUFTLEtBQUssU0FBUyxFQUFFO1FBQ3pCLFNBQVMsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEdBQUcsZUFBZSxDQUFDLENBQUM7UUFDOUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQztRQUMxQyxTQUFTLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxHQUFHLFdBQVcsQ0FBQyxDQUFDO1FBQzNDLFNBQVMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUM7S0FDM0M7QUFDTCxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLHlEQUF5RDtBQUV6RCxTQUFTLGdCQUFnQixDQUFDLFdBQXFCO0lBQzNDLElBQUksU0FBUyxHQUFhLEVBQUUsQ0FBQztJQUM3QixLQUFLLElBQUksVUFBVSxJQUFJLFdBQVcsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzVELElBQUksU0FBUyxDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksVUFBVSxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxJQUFJLGFBQWE7WUFDdkYsU0FBUyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUNuQyxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLGtHQUFrRztBQUNsRyxnR0FBZ0c7QUFDaEcsMkJBQTJCO0FBRTNCLFNBQVMsV0FBVyxDQUFDLEtBQWtCLEVBQUUsS0FBa0IsRUFBRSxXQUFzQyxFQUFFLFFBQWdCLEVBQUUsS0FBYTtJQUNoSSxJQUFJLFdBQVcsS0FBSyxVQUFVO1FBQzFCLE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEtBQUssSUFBSSxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssSUFBSSxJQUFJLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUM7WUFDdkUsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsR0FBRyxhQUFhLElBQUksS0FBSyxJQUFJLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLElBQUksQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDOztRQUV4SCxPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxLQUFLLElBQUksSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLElBQUksSUFBSSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDO1lBQ3RFLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEdBQUcsYUFBYSxJQUFJLEtBQUssSUFBSSxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssSUFBSSxJQUFJLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztBQUMvSCxDQUFDO0FBRUQsaURBQWlEO0FBRTFDLEtBQUssVUFBVSxhQUFhLENBQUMsSUFBSTtJQUNwQyxJQUFJLFdBQVcsR0FBRyxNQUFNLElBQUksQ0FBQyxjQUFjLEVBQUUsQ0FBQztJQUU5Qyw4QkFBOEI7SUFFOUIsSUFBSSxRQUFRLEdBQWMsV0FBVyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDbkQsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztRQUUvQixtRkFBbUY7UUFDbkYsb0ZBQW9GO1FBQ3BGLG1GQUFtRjtRQUNuRixpQ0FBaUM7UUFFakMsSUFBSSxnQkFBZ0IsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBRTVGLElBQUksQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNyQixJQUFJLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDckIsSUFBSSxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQztRQUN2QixJQUFJLE1BQU0sR0FBRyxnQkFBZ0IsQ0FBQztRQUU5QixPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxDQUFDO0lBQ3hFLENBQUMsQ0FBQyxDQUFDO0lBRUgsT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQXhCRCxzQ0F3QkM7QUFFRCw0RkFBNEY7QUFDNUYsOEZBQThGO0FBQzlGLHFGQUFxRjtBQUNyRixnR0FBZ0c7QUFDaEcsaUJBQWlCO0FBRVYsS0FBSyxVQUFVLFNBQVMsQ0FBQyxJQUFJLEVBQUUsU0FBcUI7SUFDdkQsc0ZBQXNGO0lBQ3RGLG1CQUFtQjtJQUVuQixJQUFJLEtBQUssR0FBRyxNQUFNLFVBQVUsQ0FBQyxJQUFJLEVBQUUsU0FBUyxDQUFDLENBQUM7SUFFOUMsd0RBQXdEO0lBRXhELElBQUksUUFBUSxHQUFHLE1BQU0sYUFBYSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBRXpDLHdGQUF3RjtJQUN4Riw0QkFBNEI7SUFFNUIsSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDO0lBRWYsZ0ZBQWdGO0lBQ2hGLDhFQUE4RTtJQUU5RSxLQUFLLElBQUksSUFBSSxJQUFJLEtBQUs7UUFDbEIsSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7SUFFckMsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRO1FBQ3hCLE9BQU8sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBRTlDLElBQUksU0FBUyxLQUFLLFNBQVM7UUFDdkIsS0FBSyxJQUFJLElBQUksSUFBSSxDQUFFLEdBQUcsU0FBUyxDQUFDLFVBQVUsRUFBRSxHQUFHLFNBQVMsQ0FBQyxRQUFRLEVBQUUsR0FBRyxTQUFTLENBQUMsV0FBVyxFQUFFLEdBQUcsU0FBUyxDQUFDLE9BQU8sQ0FBRTtZQUMvRyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUV6Qyx5RUFBeUU7SUFFekUsSUFBSSxZQUFZLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM3SCxLQUFLLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDO0lBRXpCLGlGQUFpRjtJQUVqRixJQUFJLGVBQWUsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2hJLFFBQVEsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUM7SUFFL0IsNkZBQTZGO0lBQzdGLDRGQUE0RjtJQUM1Riw4RkFBOEY7SUFFOUYsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLEVBQUU7UUFDMUIsSUFBSSxTQUFTLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLDRCQUE0QixDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQztRQUNyRixJQUFJLFNBQVMsS0FBSyxTQUFTLEVBQUU7WUFDekIsSUFBSSxpQkFBaUIsR0FBRyxDQUFDLENBQUM7WUFDMUIsS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLLEVBQUU7Z0JBQ3BCLElBQUksVUFBVSxHQUFHLDRCQUE0QixDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsQ0FBQztnQkFDN0QsSUFBSSxVQUFVLEdBQUcsaUJBQWlCLEVBQUU7b0JBQ2hDLGlCQUFpQixHQUFHLFVBQVUsQ0FBQztvQkFDL0IsU0FBUyxHQUFHLElBQUksQ0FBQztpQkFDcEI7YUFDSjtTQUNKO1FBQ0QsSUFBSSxTQUFTLEtBQUssU0FBUztZQUN2QixTQUFTLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztLQUN4QztJQUVELDRGQUE0RjtJQUM1RiwwRkFBMEY7SUFDMUYsMkRBQTJEO0lBRTNELElBQUksSUFBSSxHQUFhLEVBQUUsQ0FBQztJQUN4QixJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUM7SUFFbEIsS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLLEVBQUU7UUFDcEIsSUFBSSxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxHQUFHLFNBQVMsR0FBRyxDQUFDLEVBQUcsd0ZBQXdGO1lBQ3BJLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFFLHlCQUF5QjthQUMzRDtZQUNELElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBRSxJQUFJLENBQUUsQ0FBQyxDQUFDLENBQUUsa0JBQWtCO1lBQ3hDLFNBQVMsR0FBRyxJQUFJLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUM7U0FDcEM7UUFDRCxTQUFTLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7S0FDekQ7SUFFRCxPQUFPLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQztBQUM1RCxDQUFDO0FBNUVELDhCQTRFQyJ9
\ No newline at end of file
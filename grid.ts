@@ -0,0 +1,457 @@
+// Reconstructs the grid of a page of a PDF register (the cells formed by the ruled lines, grouped
+// into rows, and the text elements owned by each cell).  The grid reconstruction does not depend
+// on the council that published the register, so it is shared by every council adapter.
+
+"use strict";
+
+import * as pdfjs from "pdfjs-dist";
+
+// A bounding rectangle.
+
+export interface Rectangle {
+    x: number,
+    y: number,
+    width: number,
+    height: number
+}
+
+// An element (consisting of text and intersecting cells) in a PDF document.
+
+export interface Element extends Rectangle {
+    text: string
+}
+
+// A cell in a grid (owning zero, one or more elements).  A cell may have been merged from several
+// adjacent cells (and so may span several rows or columns of the grid).
+
+export interface Cell extends Rectangle {
+    elements: Element[]
+}
+
+// The line segments of a page as classified when constructing the cells (recorded only on request,
+// for example, by the debug visualiser in visualise.ts).
+
+export interface GridLines {
+    horizontal: Rectangle[],  // including the top and bottom edges of each header band
+    vertical: Rectangle[],
+    headerBands: Rectangle[],  // filled rectangles through which the vertical lines are assumed to continue
+    ignored: Rectangle[]  // lines and rectangles that are not part of the grid (such as those of a logo)
+}
+
+// The distance within which two lines are considered to be at the same position.
+
+const LineTolerance = 2;
+
+// Constructs a rectangle based on the intersection of the two specified rectangles.
+
+export function intersect(rectangle1: Rectangle, rectangle2: Rectangle): Rectangle {
+    let x1 = Math.max(rectangle1.x, rectangle2.x);
+    let y1 = Math.max(rectangle1.y, rectangle2.y);
+    let x2 = Math.min(rectangle1.x + rectangle1.width, rectangle2.x + rectangle2.width);
+    let y2 = Math.min(rectangle1.y + rectangle1.height, rectangle2.y + rectangle2.height);
+    if (x2 >= x1 && y2 >= y1)
+        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+    else
+        return { x: 0, y: 0, width: 0, height: 0 };
+}
+
+// Calculates the fraction of an element that lies within a cell (as a percentage).  For example,
+// if a quarter of the specifed element lies within the specified cell then this would return 25.
+
+export function getPercentageOfElementInCell(element: Element, cell: Cell) {
+    let elementArea = getArea(element);
+    let intersectionArea = getArea(intersect(cell, element));
+    return (elementArea === 0) ? 0 : ((intersectionArea * 100) / elementArea);
+}
+
+// Calculates the area of a rectangle.
+
+export function getArea(rectangle: Rectangle) {
+    return rectangle.width * rectangle.height;
+}
+
+// Gets the percentage of horizontal overlap between two rectangles (0 means no overlap and 100
+// means 100% overlap).
+
+export function getHorizontalOverlapPercentage(rectangle1: Rectangle, rectangle2: Rectangle) {
+    if (rectangle1 === undefined || rectangle2 === undefined)
+        return 0;
+
+    let startX1 = rectangle1.x;
+    let endX1 = rectangle1.x + rectangle1.width;
+
+    let startX2 = rectangle2.x;
+    let endX2 = rectangle2.x + rectangle2.width;
+
+    if (startX1 >= endX2 || endX1 <= startX2 || rectangle1.width === 0 || rectangle2.width === 0)
+        return 0;
+
+    let intersectionWidth = Math.min(endX1, endX2) - Math.max(startX1, startX2);
+    let unionWidth = Math.max(endX1, endX2) - Math.min(startX1, startX2);
+
+    return (intersectionWidth * 100) / unionWidth;
+}
+
+// Gets the percentage of the width of the first rectangle that lies horizontally within the second
+// rectangle (a rectangle with no width is either 0% or 100% within the second rectangle).
+
+export function getHorizontalContainmentPercentage(rectangle1: Rectangle, rectangle2: Rectangle) {
+    if (rectangle1 === undefined || rectangle2 === undefined)
+        return 0;
+    if (rectangle1.width === 0)
+        return (rectangle1.x >= rectangle2.x && rectangle1.x <= rectangle2.x + rectangle2.width) ? 100 : 0;
+    let intersectionWidth = Math.min(rectangle1.x + rectangle1.width, rectangle2.x + rectangle2.width) - Math.max(rectangle1.x, rectangle2.x);
+    return (Math.max(0, intersectionWidth) * 100) / rectangle1.width;
+}
+
+// Gets the cell of a row that lies in the column of the specified heading cell.  A row may have
+// several cells in the column (when another cell of the row spans several rows of the grid) and
+// these are combined into a single cell.  When a cell of the row spans several columns only the
+// elements of that cell which lie mostly within the column are included.  Returns undefined if
+// there is no cell in the column.
+
+export function getColumnCell(row: Cell[], headingCell: Cell): Cell {
+    if (headingCell === undefined)
+        return undefined;
+
+    let columnCells = row.filter(cell => getHorizontalOverlapPercentage(cell, headingCell) > 90 || getHorizontalContainmentPercentage(headingCell, cell) > 90);
+    if (columnCells.length === 0)
+        return undefined;
+    columnCells.sort((a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : 0));
+
+    let elements: Element[] = [];
+    for (let cell of columnCells) {
+        if (getHorizontalOverlapPercentage(cell, headingCell) > 90)
+            elements.push(...cell.elements);
+        else
+            elements.push(...cell.elements.filter(element => getHorizontalContainmentPercentage(element, headingCell) > 50));
+    }
+
+    let x = Math.min(...columnCells.map(cell => cell.x));
+    let y = Math.min(...columnCells.map(cell => cell.y));
+    let width = Math.max(...columnCells.map(cell => cell.x + cell.width)) - x;
+    let height = Math.max(...columnCells.map(cell => cell.y + cell.height)) - y;
+    return { elements: elements, x: x, y: y, width: width, height: height };
+}
+
+// Examines all the lines in a page of a PDF and constructs cells (ie. rectangles) based on those
+// lines.  Adjacent cells are merged wherever no line has been drawn between them.  The
+// classification of the lines is recorded in the specified object (if any).
+
+export async function parseCells(page, gridLines?: GridLines) {
+    let operators = await page.getOperatorList();
+
+    // Find the lines.  Each line is actually constructed using a rectangle with a very short
+    // height or a very narrow width.
+
+    let lines: Rectangle[] = [];
+
+    let previousRectangle = undefined;
+    let transformStack = [];
+    let transform = [ 1, 0, 0, 1, 0, 0 ];
+    transformStack.push(transform);
+
+    for (let index = 0; index < operators.fnArray.length; index++) {
+        let argsArray = operators.argsArray[index];
+
+        if (operators.fnArray[index] === pdfjs.OPS.restore)
+            transform = transformStack.pop();
+        else if (operators.fnArray[index] === pdfjs.OPS.save)
+            transformStack.push(transform);
+        else if (operators.fnArray[index] === pdfjs.OPS.transform)
+            transform = pdfjs.Util.transform(transform, argsArray);
+        else if (operators.fnArray[index] === pdfjs.OPS.constructPath) {
+            let argumentIndex = 0;
+            for (let operationIndex = 0; operationIndex < argsArray[0].length; operationIndex++) {
+                if (argsArray[0][operationIndex] === pdfjs.OPS.moveTo)
+                    argumentIndex += 2;
+                else if (argsArray[0][operationIndex] === pdfjs.OPS.lineTo)
+                    argumentIndex += 2;
+                else if (argsArray[0][operationIndex] === pdfjs.OPS.rectangle) {
+                    let x1 = argsArray[1][argumentIndex++];
+                    let y1 = argsArray[1][argumentIndex++];
+                    let width = argsArray[1][argumentIndex++];
+                    let height = argsArray[1][argumentIndex++];
+                    let x2 = x1 + width;
+                    let y2 = y1 + height;
+                    [x1, y1] = pdfjs.Util.applyTransform([x1, y1], transform);
+                    [x2, y2] = pdfjs.Util.applyTransform([x2, y2], transform);
+                    width = x2 - x1;
+                    height = y2 - y1;
+                    previousRectangle = { x: x1, y: y1, width: width, height: height };
+                }
+            }
+        } else if ((operators.fnArray[index] === pdfjs.OPS.fill || operators.fnArray[index] === pdfjs.OPS.eoFill) && previousRectangle !== undefined) {
+            lines.push(previousRectangle);
+            previousRectangle = undefined;
+        }
+    }
+
+    // Determine the horizontal and vertical line segments that make up the grid.  A line may be
+    // drawn as a single long rectangle or as several shorter segments (for example, one segment
+    // per cell, or with gaps where cells have been merged).  The header is typically a filled
+    // rectangle that extends across the width of the page; it is converted into two horizontal
+    // lines and the vertical lines are assumed to continue through it (because any rules drawn
+    // over a filled header are not necessarily visible in the operator list).
+
+    let horizontalLines: Rectangle[] = [];
+    let verticalLines: Rectangle[] = [];
+    let headerBands: Rectangle[] = [];
+    let ignoredLines: Rectangle[] = [];
+
+    for (let line of lines) {
+        if (line.width < 0)
+            line = { x: line.x + line.width, y: line.y, width: -line.width, height: line.height };
+        if (line.height < 0)
+            line = { x: line.x, y: line.y + line.height, width: line.width, height: -line.height };
+
+        if (line.height <= 2 && line.width >= 2)
+            horizontalLines.push(line);
+        else if (line.width <= 2 && line.height >= 5)
+            verticalLines.push(line);
+        else if (line.height >= 5 && line.width >= 200) {
+            horizontalLines.push({ x: line.x, y: line.y, width: line.width, height: 1 });
+            horizontalLines.push({ x: line.x, y: line.y + line.height, width: line.width, height: 1 });
+            headerBands.push(line);
+        } else
+            ignoredLines.push(line);
+    }
+
+    // Ignore the short lines and small rectangles that make up the logo at the top left of the
+    // page (otherwise these would cause additional cells to be constructed).  The segments of a
+    // horizontal line of the grid typically extend across the width of the page in total and the
+    // vertical lines of the grid lie between the top and bottom horizontal lines.
+
+    let horizontalLineYs = getLinePositions(horizontalLines.map(line => line.y)).filter(y => horizontalLines.filter(line => Math.abs(line.y - y) < LineTolerance).reduce((total, line) => total + line.width, 0) >= 200);
+    ignoredLines.push(...horizontalLines.filter(line => !horizontalLineYs.some(y => Math.abs(line.y - y) < LineTolerance)));
+    horizontalLines = horizontalLines.filter(line => horizontalLineYs.some(y => Math.abs(line.y - y) < LineTolerance));
+    if (horizontalLines.length === 0) {
+        recordGridLines(gridLines, [], [], headerBands, ignoredLines.concat(verticalLines));
+        return [];
+    }
+
+    let gridLeft = Math.min(...horizontalLines.map(line => line.x)) - LineTolerance;
+    let gridRight = Math.max(...horizontalLines.map(line => line.x + line.width)) + LineTolerance;
+    let gridBottom = horizontalLineYs[0] - LineTolerance;
+    let gridTop = horizontalLineYs[horizontalLineYs.length - 1] + LineTolerance;
+    let isInGrid = (line: Rectangle) => line.x >= gridLeft && line.x <= gridRight && line.y < gridTop && line.y + line.height > gridBottom;
+    ignoredLines.push(...verticalLines.filter(line => !isInGrid(line)));
+    verticalLines = verticalLines.filter(isInGrid);
+    let verticalLineXs = getLinePositions(verticalLines.map(line => line.x));
+    recordGridLines(gridLines, horizontalLines, verticalLines, headerBands, ignoredLines);
+
+    // Construct the smallest possible cells from every pairing of adjacent horizontal and vertical
+    // lines (as if every line extended across the whole grid).
+
+    let rowCount = horizontalLineYs.length - 1;
+    let columnCount = verticalLineXs.length - 1;
+    if (rowCount <= 0 || columnCount <= 0)
+        return [];
+
+    // Merge adjacent cells wherever the line segment between them has not actually been drawn
+    // (so that a merged cell, which may span several rows or columns, becomes a single cell).
+
+    let parents = Array.from({ length: rowCount * columnCount }, (value, index) => index);
+    let findRoot = (index: number) => {
+        while (parents[index] !== index)
+            index = parents[index] = parents[parents[index]];
+        return index;
+    };
+
+    for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+        for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+            let index = rowIndex * columnCount + columnIndex;
+            let middleX = (verticalLineXs[columnIndex] + verticalLineXs[columnIndex + 1]) / 2;
+            let middleY = (horizontalLineYs[rowIndex] + horizontalLineYs[rowIndex + 1]) / 2;
+            if (columnIndex + 1 < columnCount && !isLineDrawn(verticalLines, headerBands, "vertical", verticalLineXs[columnIndex + 1], middleY))
+                parents[findRoot(index + 1)] = findRoot(index);
+            if (rowIndex + 1 < rowCount && !isLineDrawn(horizontalLines, [], "horizontal", horizontalLineYs[rowIndex + 1], middleX))
+                parents[findRoot(index + columnCount)] = findRoot(index);
+        }
+    }
+
+    // Construct a cell for each group of merged cells.  A group that is not rectangular (which
+    // would be unusual) is instead left as its individual cells.
+
+    let groups = new Map<number, number[]>();
+    for (let index = 0; index < parents.length; index++) {
+        let root = findRoot(index);
+        if (groups.has(root))
+            groups.get(root).push(index);
+        else
+            groups.set(root, [ index ]);
+    }
+
+    let cells: Cell[] = [];
+    let createCell = (firstRowIndex: number, firstColumnIndex: number, lastRowIndex: number, lastColumnIndex: number) => ({
+        elements: [],
+        x: verticalLineXs[firstColumnIndex],
+        y: horizontalLineYs[firstRowIndex],
+        width: verticalLineXs[lastColumnIndex + 1] - verticalLineXs[firstColumnIndex],
+        height: horizontalLineYs[lastRowIndex + 1] - horizontalLineYs[firstRowIndex]
+    });
+
+    for (let indexes of groups.values()) {
+        let rowIndexes = indexes.map(index => Math.floor(index / columnCount));
+        let columnIndexes = indexes.map(index => index % columnCount);
+        let firstRowIndex = Math.min(...rowIndexes);
+        let lastRowIndex = Math.max(...rowIndexes);
+        let firstColumnIndex = Math.min(...columnIndexes);
+        let lastColumnIndex = Math.max(...columnIndexes);
+        if (indexes.length === (lastRowIndex - firstRowIndex + 1) * (lastColumnIndex - firstColumnIndex + 1))
+            cells.push(createCell(firstRowIndex, firstColumnIndex, lastRowIndex, lastColumnIndex));
+        else
+            for (let index of indexes)
+                cells.push(createCell(Math.floor(index / columnCount), index % columnCount, Math.floor(index / columnCount), index % columnCount));
+    }
+
+    return cells;
+}
+
+// Records the classification of the lines of a page (if requested).
+
+function recordGridLines(gridLines: GridLines, horizontalLines: Rectangle[], verticalLines: Rectangle[], headerBands: Rectangle[], ignoredLines: Rectangle[]) {
+    if (gridLines !== undefined) {
+        gridLines.horizontal.push(...horizontalLines);
+        gridLines.vertical.push(...verticalLines);
+        gridLines.headerBands.push(...headerBands);
+        gridLines.ignored.push(...ignoredLines);
+    }
+}
+
+// Groups the co-ordinates of lines that are at approximately the same position (returning the
+// lowest co-ordinate of each group, in ascending order).
+
+function getLinePositions(coordinates: number[]) {
+    let positions: number[] = [];
+    for (let coordinate of coordinates.slice().sort((a, b) => a - b))
+        if (positions.length === 0 || coordinate - positions[positions.length - 1] >= LineTolerance)
+            positions.push(coordinate);
+    return positions;
+}
+
+// Determines whether a line segment has been drawn at the specified position (an X co-ordinate
+// for a vertical line or a Y co-ordinate for a horizontal line) through the specified point along
+// the line (or whether the point lies within one of the specified bands, through which the line
+// is assumed to be drawn).
+
+function isLineDrawn(lines: Rectangle[], bands: Rectangle[], orientation: "horizontal" | "vertical", position: number, point: number) {
+    if (orientation === "vertical")
+        return bands.some(band => point >= band.y && point <= band.y + band.height) ||
+            lines.some(line => Math.abs(line.x - position) < LineTolerance && point >= line.y && point <= line.y + line.height);
+    else
+        return bands.some(band => point >= band.x && point <= band.x + band.width) ||
+            lines.some(line => Math.abs(line.y - position) < LineTolerance && point >= line.x && point <= line.x + line.width);
+}
+
+// Parses the text elements from a page of a PDF.
+
+export async function parseElements(page) {
+    let textContent = await page.getTextContent();
+
+    // Find all the text elements.
+
+    let elements: Element[] = textContent.items.map(item => {
+        let transform = item.transform;
+
+        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
+        // exaggerated).  The problem seems to be that the height value is too large in some
+        // PDFs.  Provide an alternative, more accurate height value by using a calculation
+        // based on the transform matrix.
+
+        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+
+        let x = transform[4];
+        let y = transform[5];
+        let width = item.width;
+        let height = workaroundHeight;
+
+        return { text: item.str, x: x, y: y, width: width, height: height };
+    });
+
+    return elements;
+}
+
+// Reconstructs the grid of a page of a PDF.  The returned cells and elements use inverted Y
+// co-ordinates (so that Y increases down the page) and the rows are in the order in which the
+// cells were sorted (approximately by Y co-ordinate and then by X co-ordinate).  The
+// classification of the lines is recorded in the specified object (if any, also with inverted Y
+// co-ordinates).
+
+export async function parseGrid(page, gridLines?: GridLines) {
+    // Construct cells (ie. rectangles) based on the horizontal and vertical line segments
+    // in the PDF page.
+
+    let cells = await parseCells(page, gridLines);
+
+    // Construct elements based on the text in the PDF page.
+
+    let elements = await parseElements(page);
+
+    // Release the resources used by the page (the cells and elements are all that is needed
+    // from this point onwards).
+
+    page.cleanup();
+
+    // The co-ordinate system used in a PDF is typically "upside down" so invert the
+    // co-ordinates (and so this makes the subsequent logic easier to understand).
+
+    for (let cell of cells)
+        cell.y = -(cell.y + cell.height);
+
+    for (let element of elements)
+        element.y = -(element.y + element.height);
+
+    if (gridLines !== undefined)
+        for (let line of [ ...gridLines.horizontal, ...gridLines.vertical, ...gridLines.headerBands, ...gridLines.ignored ])
+            line.y = -(line.y + line.height);
+
+    // Sort the cells by approximate Y co-ordinate and then by X co-ordinate.
+
+    let cellComparer = (a, b) => (Math.abs(a.y - b.y) < 2) ? ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)) : ((a.y > b.y) ? 1 : -1);
+    cells.sort(cellComparer);
+
+    // Sort the text elements by approximate Y co-ordinate and then by X co-ordinate.
+
+    let elementComparer = (a, b) => (Math.abs(a.y - b.y) < 1) ? ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)) : ((a.y > b.y) ? 1 : -1);
+    elements.sort(elementComparer);
+
+    // Allocate each element to an "owning" cell.  This is normally the cell that holds more than
+    // 50% of the element, but an element that straddles several cells (without more than 50% in
+    // any one) is allocated to the cell holding the largest part of it rather than being dropped.
+
+    for (let element of elements) {
+        let ownerCell = cells.find(cell => getPercentageOfElementInCell(element, cell) > 50);
+        if (ownerCell === undefined) {
+            let largestPercentage = 0;
+            for (let cell of cells) {
+                let percentage = getPercentageOfElementInCell(element, cell);
+                if (percentage > largestPercentage) {
+                    largestPercentage = percentage;
+                    ownerCell = cell;
+                }
+            }
+        }
+        if (ownerCell !== undefined)
+            ownerCell.elements.push(element);
+    }
+
+    // Group the cells into rows.  A merged cell that spans several rows of the grid joins those
+    // rows into a single row (so that, for example, an application number cell that spans two
+    // rows of descriptions is grouped with both descriptions).
+
+    let rows: Cell[][] = [];
+    let rowBottom = 0;
+
+    for (let cell of cells) {
+        if (rows.length > 0 && cell.y < rowBottom - 2)  // approximate Y co-ordinate match (the cell starts above the bottom of the current row)
+            rows[rows.length - 1].push(cell);  // add to the current row
+        else {
+            rows.push([ cell ]);  // start a new row
+            rowBottom = cell.y + cell.height;
+        }
+        rowBottom = Math.max(rowBottom, cell.y + cell.height);
+    }
+
+    return { cells: cells, elements: elements, rows: rows };
+}
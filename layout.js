@@ -0,0 +1,78 @@
+// Reads the column layout of the development application registers (the column headings that
+// identify each field) and finds the heading cell of each column on a page.
+//
+// The layout file has the following form (see layout.json), where each column lists one or more
+// heading aliases:
+//
+//     {
+//         "fuzzyRatio": 0.15,
+//         "columns": {
+//             "applicationNumber": { "required": true, "headings": [ "APPLICATION", "APP NO." ] },
+//             "houseNumber": { "match": "cell", "headings": [ "NO." ] },
+//             ...
+//         }
+//     }
+//
+// A heading matches when it is equal to the text of one of the elements in a cell (or, when the
+// "match" is "cell", to the text of all the elements in the cell), ignoring case and whitespace.
+// Spelling errors are allowed in proportion to the length of the heading (the "fuzzyRatio"), so
+// that short headings such as "LOT" and "NO." must always match exactly.  A page on which any
+// "required" column heading is missing is treated as a continuation page.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const didyoumean2_1 = require("didyoumean2"), didyoumean = didyoumean2_1;
+// Reads and validates a column layout file.
+function readColumnLayout(filePath = "layout.json") {
+    let layout = JSON.parse(fs.readFileSync(filePath).toString());
+    if (layout.columns === undefined || typeof layout.columns !== "object")
+        throw new Error(`The column layout file ${filePath} does not contain any "columns".`);
+    for (let field of Object.keys(layout.columns)) {
+        let headings = layout.columns[field].headings;
+        if (!Array.isArray(headings) || headings.length === 0 || headings.some(heading => typeof heading !== "string" || heading.trim() === ""))
+            throw new Error(`The "${field}" column in the column layout file ${filePath} must have at least one non-empty heading.`);
+    }
+    if (layout.fuzzyRatio === undefined)
+        layout.fuzzyRatio = 0;
+    return layout;
+}
+exports.readColumnLayout = readColumnLayout;
+// Normalises text for comparison with a heading (ignoring case and whitespace).
+function normaliseHeading(text) {
+    return text.replace(/\s/g, "").toUpperCase();
+}
+// Determines whether the text matches any of the headings of a column (allowing for spelling
+// errors in proportion to the length of each heading).
+function matchesHeading(text, column, fuzzyRatio) {
+    let normalisedText = normaliseHeading(text);
+    if (normalisedText === "")
+        return false;
+    return column.headings.some(heading => {
+        let normalisedHeading = normaliseHeading(heading);
+        let threshold = Math.floor(normalisedHeading.length * fuzzyRatio);
+        if (threshold === 0)
+            return normalisedText === normalisedHeading;
+        return didyoumean2_1.default(normalisedText, [normalisedHeading], { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: threshold }) !== null;
+    });
+}
+// Finds the heading cell of each column in the layout (the first cell, in the order given, that
+// matches one of the headings of the column).  Columns whose headings are not found are omitted.
+function findHeadingCells(cells, layout) {
+    let headingCells = {};
+    for (let field of Object.keys(layout.columns)) {
+        let column = layout.columns[field];
+        let headingCell = (column.match === "cell") ?
+            cells.find(cell => matchesHeading(cell.elements.map(element => element.text).join(""), column, layout.fuzzyRatio)) :
+            cells.find(cell => cell.elements.some(element => matchesHeading(element.text, column, layout.fuzzyRatio)));
+        if (headingCell !== undefined)
+            headingCells[field] = headingCell;
+    }
+    return headingCells;
+}
+exports.findHeadingCells = findHeadingCells;
+// Gets the fields of the required columns whose headings were not found.
+function getMissingRequiredFields(headingCells, layout) {
+    return Object.keys(layout.columns).filter(field => layout.columns[field].required && headingCells[field] === undefined);
+}
+exports.getMissingRequiredFields = getMissingRequiredFields;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGF5b3V0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsibGF5b3V0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDZGQUE2RjtBQUM3Riw0RUFBNEU7QUFDNUUsRUFBRTtBQUNGLGdHQUFnRztBQUNoRyxtQkFBbUI7QUFDbkIsRUFBRTtBQUNGLFFBQVE7QUFDUiw4QkFBOEI7QUFDOUIsdUJBQXVCO0FBQ3ZCLG1HQUFtRztBQUNuRyx5RUFBeUU7QUFDekUsa0JBQWtCO0FBQ2xCLFlBQVk7QUFDWixRQUFRO0FBQ1IsRUFBRTtBQUNGLGdHQUFnRztBQUNoRyxpR0FBaUc7QUFDakcsZ0dBQWdHO0FBQ2hHLDhGQUE4RjtBQUM5RiwwRUFBMEU7QUFFMUUsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qix5RUFBc0Q7QUFxQnRELDRDQUE0QztBQUU1QyxTQUFnQixnQkFBZ0IsQ0FBQyxXQUFtQixhQUFhO0lBQzdELElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0lBQzlELElBQUksTUFBTSxDQUFDLE9BQU8sS0FBSyxTQUFTLElBQUksT0FBTyxNQUFNLENBQUMsT0FBTyxLQUFLLFFBQVE7UUFDbEUsTUFBTSxJQUFJLEtBQUssQ0FBQywwQkFBMEIsUUFBUSxrQ0FBa0MsQ0FBQyxDQUFDO0lBQzFGLEtBQUssSUFBSSxLQUFLLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUU7UUFDM0MsSUFBSSxRQUFRLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQyxRQUFRLENBQUM7UUFDOUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLElBQUksUUFBUSxDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sT0FBTyxLQUFLLFFBQVEsSUFBSSxPQUFPLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxDQUFDO1lBQ25JLE1BQU0sSUFBSSxLQUFLLENBQUMsUUFBUSxLQUFLLHNDQUFzQyxRQUFRLDRDQUE0QyxDQUFDLENBQUM7S0FDaEk7SUFDRCxJQUFJLE1BQU0sQ0FBQyxVQUFVLEtBQUssU0FBUztRQUMvQixNQUFNLENBQUMsVUFBVSxHQUFHLENBQUMsQ0FBQztJQUMxQixPQUFPLE1BQU0sQ0FBQztBQUNsQixDQUFDO0FBWkQsNENBWUM7QUFFRCxnRkFBZ0Y7QUFFaEYsU0FBUyxnQkFBZ0IsQ0FBQyxJQUFZO0lBQ2xDLE9BQU8sSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7QUFDakQsQ0FBQztBQUVELDZGQUE2RjtBQUM3Rix1REFBdUQ7QUFFdkQsU0FBUyxjQUFjLENBQUMsSUFBWSxFQUFFLE1BQXdCLEVBQUUsVUFBa0I7SUFDOUUsSUFBSSxjQUFjLEdBQUcsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDNUMsSUFBSSxjQUFjLEtBQUssRUFBRTtRQUNyQixPQUFPLEtBQUssQ0FBQztJQUNqQixPQUFPLE1BQU0sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFO1FBQ2xDLElBQUksaUJBQWlCLEdBQUcsZ0JBQWdCLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDbEQsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxpQkFBaUIsQ0FBQyxNQUFNLEdBQUcsVUFBVSxDQUFDLENBQUM7UUFDbEUsSUFBSSxTQUFTLEtBQUssQ0FBQztZQUNmLE9BQU8sY0FBYyxLQUFLLGlCQUFpQixDQUFDO1FBQ2hELE9BQU8scUJBQVUsQ0FBQyxjQUFjLEVBQUUsQ0FBRSxpQkFBaUIsQ0FBRSxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUsVUFBVSxDQUFDLGVBQWUsQ0FBQyxtQkFBbUIsRUFBRSxhQUFhLEVBQUUsVUFBVSxDQUFDLGtCQUFrQixDQUFDLGFBQWEsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLENBQUMsS0FBSyxJQUFJLENBQUM7SUFDOU8sQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLGlHQUFpRztBQUVqRyxTQUFnQixnQkFBZ0IsQ0FBNkMsS0FBVSxFQUFFLE1BQW9CO0lBQ3pHLElBQUksWUFBWSxHQUFtQyxFQUFFLENBQUM7SUFDdEQsS0FBSyxJQUFJLEtBQUssSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQWtCLEVBQUU7UUFDNUQsSUFBSSxNQUFNLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNuQyxJQUFJLFdBQVcsR0FBRyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEtBQUssTUFBTSxDQUFDLENBQUMsQ0FBQztZQUN6QyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNwSCxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxjQUFjLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUMvRyxJQUFJLFdBQVcsS0FBSyxTQUFTO1lBQ3pCLFlBQVksQ0FBQyxLQUFLLENBQUMsR0FBRyxXQUFXLENBQUM7S0FDekM7SUFDRCxPQUFPLFlBQVksQ0FBQztBQUN4QixDQUFDO0FBWEQsNENBV0M7QUFFRCx5RUFBeUU7QUFFekUsU0FBZ0Isd0JBQXdCLENBQUMsWUFBOEMsRUFBRSxNQUFvQjtJQUN6RyxPQUFRLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBbUIsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLFFBQVEsSUFBSSxZQUFZLENBQUMsS0FBSyxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7QUFDL0ksQ0FBQztBQUZELDREQUVDIn0=
\ No newline at end of file
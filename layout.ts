@@ -0,0 +1,104 @@
+// Reads the column layout of the development application registers (the column headings that
+// identify each field) and finds the heading cell of each column on a page.
+//
+// The layout file has the following form (see layout.json), where each column lists one or more
+// heading aliases:
+//
+//     {
+//         "fuzzyRatio": 0.15,
+//         "columns": {
+//             "applicationNumber": { "required": true, "headings": [ "APPLICATION", "APP NO." ] },
+//             "houseNumber": { "match": "cell", "headings": [ "NO." ] },
+//             ...
+//         }
+//     }
+//
+// A heading matches when it is equal to the text of one of the elements in a cell (or, when the
+// "match" is "cell", to the text of all the elements in the cell), ignoring case and whitespace.
+// Spelling errors are allowed in proportion to the length of the heading (the "fuzzyRatio"), so
+// that short headings such as "LOT" and "NO." must always match exactly.  A page on which any
+// "required" column heading is missing is treated as a continuation page.
+
+"use strict";
+
+import * as fs from "fs";
+import didYouMean, * as didyoumean from "didyoumean2";
+
+// The fields that may be identified by a column heading.
+
+export type ColumnField = "applicationNumber" | "receivedDate" | "houseNumber" | "lot" | "section" | "address" | "description";
+
+// The headings of a single column.
+
+export interface ColumnDefinition {
+    headings: string[],
+    match?: "element" | "cell",
+    required?: boolean
+}
+
+// The layout of all the columns.
+
+export interface ColumnLayout {
+    fuzzyRatio: number,
+    columns: { [field in ColumnField]?: ColumnDefinition }
+}
+
+// Reads and validates a column layout file.
+
+export function readColumnLayout(filePath: string = "layout.json"): ColumnLayout {
+    let layout = JSON.parse(fs.readFileSync(filePath).toString());
+    if (layout.columns === undefined || typeof layout.columns !== "object")
+        throw new Error(`The column layout file ${filePath} does not contain any "columns".`);
+    for (let field of Object.keys(layout.columns)) {
+        let headings = layout.columns[field].headings;
+        if (!Array.isArray(headings) || headings.length === 0 || headings.some(heading => typeof heading !== "string" || heading.trim() === ""))
+            throw new Error(`The "${field}" column in the column layout file ${filePath} must have at least one non-empty heading.`);
+    }
+    if (layout.fuzzyRatio === undefined)
+        layout.fuzzyRatio = 0;
+    return layout;
+}
+
+// Normalises text for comparison with a heading (ignoring case and whitespace).
+
+function normaliseHeading(text: string) {
+    return text.replace(/\s/g, "").toUpperCase();
+}
+
+// Determines whether the text matches any of the headings of a column (allowing for spelling
+// errors in proportion to the length of each heading).
+
+function matchesHeading(text: string, column: ColumnDefinition, fuzzyRatio: number) {
+    let normalisedText = normaliseHeading(text);
+    if (normalisedText === "")
+        return false;
+    return column.headings.some(heading => {
+        let normalisedHeading = normaliseHeading(heading);
+        let threshold = Math.floor(normalisedHeading.length * fuzzyRatio);
+        if (threshold === 0)
+            return normalisedText === normalisedHeading;
+        return didYouMean(normalisedText, [ normalisedHeading ], { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: threshold }) !== null;
+    });
+}
+
+// Finds the heading cell of each column in the layout (the first cell, in the order given, that
+// matches one of the headings of the column).  Columns whose headings are not found are omitted.
+
+export function findHeadingCells<T extends { elements: { text: string }[] }>(cells: T[], layout: ColumnLayout) {
+    let headingCells: { [field in ColumnField]?: T } = {};
+    for (let field of Object.keys(layout.columns) as ColumnField[]) {
+        let column = layout.columns[field];
+        let headingCell = (column.match === "cell") ?
+            cells.find(cell => matchesHeading(cell.elements.map(element => element.text).join(""), column, layout.fuzzyRatio)) :
+            cells.find(cell => cell.elements.some(element => matchesHeading(element.text, column, layout.fuzzyRatio)));
+        if (headingCell !== undefined)
+            headingCells[field] = headingCell;
+    }
+    return headingCells;
+}
+
+// Gets the fields of the required columns whose headings were not found.
+
+export function getMissingRequiredFields(headingCells: { [field in ColumnField]?: any }, layout: ColumnLayout) {
+    return (Object.keys(layout.columns) as ColumnField[]).filter(field => layout.columns[field].required && headingCells[field] === undefined);
+}
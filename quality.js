@@ -0,0 +1,74 @@
+// Records the quality of the parsed development applications (the problems encountered with each
+// field and the resulting confidence in each field) and summarises the quality of each parsed
+// document in a machine-readable report.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+// The problems that may be encountered when parsing a field, along with the confidence in the
+// field that remains when each problem is encountered.
+exports.QualityIssueConfidences = {
+    "fuzzy-street-match": "medium",
+    "street-not-found": "low",
+    "suburb-not-found": "low",
+    "fuzzy-suburb-match": "medium",
+    "suburb-selected-by-hundred": "medium",
+    "suburb-hundred-mismatch": "medium",
+    "street-suburb-mismatch": "medium",
+    "unknown-hundred": "medium",
+    "missing-received-date": "low",
+    "invalid-received-date": "low",
+    "future-received-date": "low",
+    "implausible-received-date": "low",
+    "received-date-year-mismatch": "medium",
+    "no-description": "low" // no description was present (so "NO DESCRIPTION PROVIDED" was used)
+};
+// Constructs the quality record for a development application from the problems encountered
+// (the confidence in each field is that of the most severe problem with the field).
+function createQualityRecord(issues) {
+    let getConfidence = (field) => {
+        let confidences = issues.filter(issue => issue.field === field).map(issue => exports.QualityIssueConfidences[issue.code]);
+        return confidences.includes("low") ? "low" : (confidences.includes("medium") ? "medium" : "high");
+    };
+    return {
+        confidence: {
+            address: getConfidence("address"),
+            description: getConfidence("description"),
+            receivedDate: getConfidence("receivedDate"),
+            legalDescription: getConfidence("legalDescription")
+        },
+        issues: issues
+    };
+}
+exports.createQualityRecord = createQualityRecord;
+// Constructs the quality report for a parsed document.
+function createDocumentReport(url, pageCount, developmentApplications, rejections) {
+    let issueCounts = {};
+    for (let developmentApplication of developmentApplications)
+        for (let issue of developmentApplication.quality.issues)
+            issueCounts[issue.code] = (issueCounts[issue.code] || 0) + 1;
+    let lowConfidenceApplications = developmentApplications
+        .filter(developmentApplication => Object.values(developmentApplication.quality.confidence).includes("low"))
+        .map(developmentApplication => developmentApplication.applicationNumber);
+    return {
+        url: url,
+        pageCount: pageCount,
+        applicationCount: developmentApplications.length,
+        rejectedRowCount: rejections.filter(rejection => rejection.scope === "row").length,
+        rejectedPageCount: rejections.filter(rejection => rejection.scope === "page").length,
+        issueCounts: issueCounts,
+        lowConfidenceApplications: lowConfidenceApplications,
+        rejections: rejections
+    };
+}
+exports.createDocumentReport = createDocumentReport;
+// Writes the quality reports of all the documents parsed during a run (along with the development
+// applications that appeared more than once and any conflicting values) to a JSON file.
+function writeReport(reportPath, documentReports, duplicateReport) {
+    fs.writeFileSync(reportPath, JSON.stringify({ documents: documentReports, duplicates: duplicateReport }, null, 4) + "\n");
+    let rejectionCount = documentReports.reduce((count, documentReport) => count + documentReport.rejectedRowCount + documentReport.rejectedPageCount, 0);
+    console.log(`Wrote the quality report for ${documentReports.length} document(s) (with ${rejectionCount} rejected row(s) and page(s)) to ${reportPath}.`);
+    if (duplicateReport !== undefined)
+        console.log(`Found ${duplicateReport.duplicateApplicationCount} development application(s) in more than one document (with ${duplicateReport.conflicts.length} conflicting field(s)).`);
+}
+exports.writeReport = writeReport;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicXVhbGl0eS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInF1YWxpdHkudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsaUdBQWlHO0FBQ2pHLDhGQUE4RjtBQUM5Rix5Q0FBeUM7QUFFekMsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQU96Qiw4RkFBOEY7QUFDOUYsdURBQXVEO0FBRTFDLFFBQUEsdUJBQXVCLEdBQW1DO0lBQ25FLG9CQUFvQixFQUFFLFFBQVE7SUFDOUIsa0JBQWtCLEVBQUUsS0FBSztJQUN6QixrQkFBa0IsRUFBRSxLQUFLO0lBQ3pCLG9CQUFvQixFQUFFLFFBQVE7SUFDOUIsNEJBQTRCLEVBQUUsUUFBUTtJQUN0Qyx5QkFBeUIsRUFBRSxRQUFRO0lBQ25DLHdCQUF3QixFQUFFLFFBQVE7SUFDbEMsaUJBQWlCLEVBQUUsUUFBUTtJQUMzQix1QkFBdUIsRUFBRSxLQUFLO0lBQzlCLHVCQUF1QixFQUFFLEtBQUs7SUFDOUIsc0JBQXNCLEVBQUUsS0FBSztJQUM3QiwyQkFBMkIsRUFBRSxLQUFLO0lBQ2xDLDZCQUE2QixFQUFFLFFBQVE7SUFDdkMsZ0JBQWdCLEVBQUUsS0FBSyxDQUFFLHFFQUFxRTtDQUNqRyxDQUFDO0FBNENGLDRGQUE0RjtBQUM1RixvRkFBb0Y7QUFFcEYsU0FBZ0IsbUJBQW1CLENBQUMsTUFBc0I7SUFDdEQsSUFBSSxhQUFhLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRTtRQUNsQyxJQUFJLFdBQVcsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQywrQkFBdUIsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUNsSCxPQUFPLFdBQVcsQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ3RHLENBQUMsQ0FBQztJQUVGLE9BQU87UUFDSCxVQUFVLEVBQUU7WUFDUixPQUFPLEVBQUUsYUFBYSxDQUFDLFNBQVMsQ0FBQztZQUNqQyxXQUFXLEVBQUUsYUFBYSxDQUFDLGFBQWEsQ0FBQztZQUN6QyxZQUFZLEVBQUUsYUFBYSxDQUFDLGNBQWMsQ0FBQztZQUMzQyxnQkFBZ0IsRUFBRSxhQUFhLENBQUMsa0JBQWtCLENBQUM7U0FDdEQ7UUFDRCxNQUFNLEVBQUUsTUFBTTtLQUNqQixDQUFDO0FBQ04sQ0FBQztBQWZELGtEQWVDO0FBRUQsdURBQXVEO0FBRXZELFNBQWdCLG9CQUFvQixDQUFDLEdBQVcsRUFBRSxTQUFpQixFQUFFLHVCQUE4QixFQUFFLFVBQXVCO0lBQ3hILElBQUksV0FBVyxHQUErQixFQUFFLENBQUM7SUFDakQsS0FBSyxJQUFJLHNCQUFzQixJQUFJLHVCQUF1QjtRQUN0RCxLQUFLLElBQUksS0FBSyxJQUFJLHNCQUFzQixDQUFDLE9BQU8sQ0FBQyxNQUFNO1lBQ25ELFdBQVcsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUVyRSxJQUFJLHlCQUF5QixHQUFHLHVCQUF1QjtTQUNsRCxNQUFNLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsc0JBQXNCLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQztTQUMxRyxHQUFHLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7SUFFN0UsT0FBTztRQUNILEdBQUcsRUFBRSxHQUFHO1FBQ1IsU0FBUyxFQUFFLFNBQVM7UUFDcEIsZ0JBQWdCLEVBQUUsdUJBQXVCLENBQUMsTUFBTTtRQUNoRCxnQkFBZ0IsRUFBRSxVQUFVLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLEtBQUssS0FBSyxLQUFLLENBQUMsQ0FBQyxNQUFNO1FBQ2xGLGlCQUFpQixFQUFFLFVBQVUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsS0FBSyxLQUFLLE1BQU0sQ0FBQyxDQUFDLE1BQU07UUFDcEYsV0FBVyxFQUFFLFdBQVc7UUFDeEIseUJBQXlCLEVBQUUseUJBQXlCO1FBQ3BELFVBQVUsRUFBRSxVQUFVO0tBQ3pCLENBQUM7QUFDTixDQUFDO0FBcEJELG9EQW9CQztBQUVELGtHQUFrRztBQUNsRyx3RkFBd0Y7QUFFeEYsU0FBZ0IsV0FBVyxDQUFDLFVBQWtCLEVBQUUsZUFBaUMsRUFBRSxlQUFpQztJQUNoSCxFQUFFLENBQUMsYUFBYSxDQUFDLFVBQVUsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsU0FBUyxFQUFFLGVBQWUsRUFBRSxVQUFVLEVBQUUsZUFBZSxFQUFFLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO0lBQzFILElBQUksY0FBYyxHQUFHLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsY0FBYyxFQUFFLEVBQUUsQ0FBQyxLQUFLLEdBQUcsY0FBYyxDQUFDLGdCQUFnQixHQUFHLGNBQWMsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUN0SixPQUFPLENBQUMsR0FBRyxDQUFDLGdDQUFnQyxlQUFlLENBQUMsTUFBTSxzQkFBc0IsY0FBYyxvQ0FBb0MsVUFBVSxHQUFHLENBQUMsQ0FBQztJQUN6SixJQUFJLGVBQWUsS0FBSyxTQUFTO1FBQzdCLE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxlQUFlLENBQUMseUJBQXlCLCtEQUErRCxlQUFlLENBQUMsU0FBUyxDQUFDLE1BQU0seUJBQXlCLENBQUMsQ0FBQztBQUNoTSxDQUFDO0FBTkQsa0NBTUMifQ==
\ No newline at end of file
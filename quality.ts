@@ -0,0 +1,129 @@
+// Records the quality of the parsed development applications (the problems encountered with each
+// field and the resulting confidence in each field) and summarises the quality of each parsed
+// document in a machine-readable report.
+
+"use strict";
+
+import * as fs from "fs";
+import { DuplicateReport } from "./duplicates";
+
+// The confidence in a parsed field.
+
+export type Confidence = "high" | "medium" | "low";
+
+// The problems that may be encountered when parsing a field, along with the confidence in the
+// field that remains when each problem is encountered.
+
+export const QualityIssueConfidences: { [code: string]: Confidence } = {
+    "fuzzy-street-match": "medium",  // the street name was matched allowing for spelling errors
+    "street-not-found": "low",  // the street name is not in the street names file
+    "suburb-not-found": "low",  // no suburb name was found (so the address was left as it appeared)
+    "fuzzy-suburb-match": "medium",  // the suburb name was matched allowing for spelling errors
+    "suburb-selected-by-hundred": "medium",  // the closest spelling of the suburb was overridden by the hundred or street
+    "suburb-hundred-mismatch": "medium",  // the suburb does not lie within the stated hundred
+    "street-suburb-mismatch": "medium",  // the street is not known in the suburb
+    "unknown-hundred": "medium",  // the stated hundred is not in the suburb names file
+    "missing-received-date": "low",  // no received date was present
+    "invalid-received-date": "low",  // the received date could not be parsed
+    "future-received-date": "low",  // the received date is in the future (so it was discarded)
+    "implausible-received-date": "low",  // the received date is implausibly far in the past (so it was discarded)
+    "received-date-year-mismatch": "medium",  // the year of the received date differs from the year in the application number
+    "no-description": "low"  // no description was present (so "NO DESCRIPTION PROVIDED" was used)
+};
+
+// A problem encountered when parsing a field of a development application.
+
+export interface QualityIssue {
+    field: "address" | "description" | "receivedDate" | "legalDescription",
+    code: string,
+    message: string
+}
+
+// The quality of a parsed development application.
+
+export interface QualityRecord {
+    confidence: {
+        address: Confidence,
+        description: Confidence,
+        receivedDate: Confidence,
+        legalDescription: Confidence
+    },
+    issues: QualityIssue[]
+}
+
+// A row or page that was rejected by the parser (along with the raw text that was rejected).
+
+export interface Rejection {
+    pageNumber: number,
+    scope: "row" | "page",
+    reason: string,
+    rawText: string
+}
+
+// The quality report for a single parsed document.
+
+export interface DocumentReport {
+    url: string,
+    pageCount: number,
+    applicationCount: number,
+    rejectedRowCount: number,
+    rejectedPageCount: number,
+    issueCounts: { [code: string]: number },
+    lowConfidenceApplications: string[],
+    rejections: Rejection[]
+}
+
+// Constructs the quality record for a development application from the problems encountered
+// (the confidence in each field is that of the most severe problem with the field).
+
+export function createQualityRecord(issues: QualityIssue[]): QualityRecord {
+    let getConfidence = (field: string) => {
+        let confidences = issues.filter(issue => issue.field === field).map(issue => QualityIssueConfidences[issue.code]);
+        return confidences.includes("low") ? "low" : (confidences.includes("medium") ? "medium" : "high");
+    };
+
+    return {
+        confidence: {
+            address: getConfidence("address"),
+            description: getConfidence("description"),
+            receivedDate: getConfidence("receivedDate"),
+            legalDescription: getConfidence("legalDescription")
+        },
+        issues: issues
+    };
+}
+
+// Constructs the quality report for a parsed document.
+
+export function createDocumentReport(url: string, pageCount: number, developmentApplications: any[], rejections: Rejection[]): DocumentReport {
+    let issueCounts: { [code: string]: number } = {};
+    for (let developmentApplication of developmentApplications)
+        for (let issue of developmentApplication.quality.issues)
+            issueCounts[issue.code] = (issueCounts[issue.code] || 0) + 1;
+
+    let lowConfidenceApplications = developmentApplications
+        .filter(developmentApplication => Object.values(developmentApplication.quality.confidence).includes("low"))
+        .map(developmentApplication => developmentApplication.applicationNumber);
+
+    return {
+        url: url,
+        pageCount: pageCount,
+        applicationCount: developmentApplications.length,
+        rejectedRowCount: rejections.filter(rejection => rejection.scope === "row").length,
+        rejectedPageCount: rejections.filter(rejection => rejection.scope === "page").length,
+        issueCounts: issueCounts,
+        lowConfidenceApplications: lowConfidenceApplications,
+        rejections: rejections
+    };
+}
+
+// Writes the quality reports of all the documents parsed during a run (along with the development
+// applications that appeared more than once and any conflicting values) to a JSON file.
+
+export function writeReport(reportPath: string, documentReports: DocumentReport[], duplicateReport?: DuplicateReport) {
+    fs.writeFileSync(reportPath, JSON.stringify({ documents: documentReports, duplicates: duplicateReport }, null, 4) + "\n");
+    let rejectionCount = documentReports.reduce((count, documentReport) => count + documentReport.rejectedRowCount + documentReport.rejectedPageCount, 0);
+    console.log(`Wrote the quality report for ${documentReports.length} document(s) (with ${rejectionCount} rejected row(s) and page(s)) to ${reportPath}.`);
+    if (duplicateReport !== undefined)
+        console.log(`Found ${duplicateReport.duplicateApplicationCount} development application(s) in more than one document (with ${duplicateReport.conflicts.length} conflicting field(s)).`);
+}
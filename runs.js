@@ -0,0 +1,88 @@
+// Records each run of the scraper (when it started and finished, the documents that it processed
+// and the number of development applications that it found to be new or changed) and the runs in
+// which each development application was first seen, last seen and last changed.  This allows the
+// development applications that are new or changed since a given run (or date) to be exported as a
+// change feed (see exportchanges.ts), which the "date_scraped" column cannot provide because it is
+// rewritten every time that a document is parsed again.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const moment = require("moment");
+const database_1 = require("./database");
+// The columns of the data table that record the runs in which a development application was
+// first seen, last seen and last changed (these are null for a development application saved
+// before runs were recorded, until it is next seen).
+exports.RunColumns = ["first_seen_run", "last_seen_run", "last_changed_run"];
+// Creates the runs and run documents tables and adds the run columns to the data table and the
+// run in which each version was saved to the history table (if they are missing).
+async function createRunTables(database) {
+    await database_1.runSql(database, "create table if not exists [runs] ([run_id] integer primary key autoincrement, [started_at] text, [finished_at] text, [status] text, [mode] text, [councils] text, [document_count] integer, [application_count] integer, [new_count] integer, [changed_count] integer, [rejection_count] integer)");
+    await database_1.runSql(database, "create table if not exists [run_documents] ([run_id] integer, [url] text, [outcome] text, [application_count] integer, [rejection_count] integer, primary key ([run_id], [url]))");
+    let columns = await database_1.getRows(database, "pragma table_info([data])");
+    for (let runColumn of exports.RunColumns)
+        if (!columns.some(column => column.name === runColumn))
+            await database_1.runSql(database, `alter table [data] add column [${runColumn}] integer`);
+    if (!(await database_1.getRows(database, "pragma table_info([history])")).some(column => column.name === "run_id"))
+        await database_1.runSql(database, "alter table [history] add column [run_id] integer");
+}
+exports.createRunTables = createRunTables;
+// Records the start of a run (in which development applications are either retrieved from the
+// registers of the specified councils or replayed from an archive).  Returns the run ID.
+async function startRun(database, mode, councils) {
+    let result = await database_1.runSql(database, "insert into [runs] ([started_at], [status], [mode], [councils]) values (?, ?, ?, ?)", [moment().format(), "running", mode, councils.map(council => council.name).join(", ")]);
+    console.log(`Started run ${result.lastID}.`);
+    return result.lastID;
+}
+exports.startRun = startRun;
+// Records that a document was processed in a run (along with the number of development
+// applications found in it and the number of rows and pages rejected from it, if it was parsed).
+async function recordRunDocument(database, runId, url, outcome, applicationCount, rejectionCount) {
+    await database_1.runSql(database, "insert or replace into [run_documents] ([run_id], [url], [outcome], [application_count], [rejection_count]) values (?, ?, ?, ?, ?)", [runId, url, outcome, applicationCount, rejectionCount]);
+}
+exports.recordRunDocument = recordRunDocument;
+// Records the end of a run, counting the documents processed and the development applications
+// seen in the run (and how many of those were new or changed).
+async function finishRun(database, runId, status) {
+    let documentRows = await database_1.getRows(database, "select count(*) as [document_count], ifnull(sum([rejection_count]), 0) as [rejection_count] from [run_documents] where [run_id] = ?", [runId]);
+    let applicationRows = await database_1.getRows(database, "select count(*) as [application_count], ifnull(sum([first_seen_run] = ?), 0) as [new_count], ifnull(sum([last_changed_run] = ? and ifnull([first_seen_run], 0) <> ?), 0) as [changed_count] from [data] where [last_seen_run] = ?", [runId, runId, runId, runId]);
+    let { document_count, rejection_count } = documentRows[0];
+    let { application_count, new_count, changed_count } = applicationRows[0];
+    await database_1.runSql(database, "update [runs] set [finished_at] = ?, [status] = ?, [document_count] = ?, [application_count] = ?, [new_count] = ?, [changed_count] = ?, [rejection_count] = ? where [run_id] = ?", [moment().format(), status, document_count, application_count, new_count, changed_count, rejection_count, runId]);
+    console.log(`Finished run ${runId} (${status}): processed ${document_count} document(s) and saw ${application_count} development application(s), of which ${new_count} were new and ${changed_count} were changed.`);
+}
+exports.finishRun = finishRun;
+// Gets the values of the run columns of the data table for a development application that has
+// just been saved in a run (given the existing row, if any, and the outcome of saving it).
+function getRunColumnValues(existingRow, runId, status) {
+    return {
+        first_seen_run: (existingRow === undefined) ? runId : existingRow.first_seen_run,
+        last_seen_run: runId,
+        last_changed_run: (status === "unchanged") ? existingRow.last_changed_run : runId
+    };
+}
+exports.getRunColumnValues = getRunColumnValues;
+// Determines the run after which changes are to be exported, given either a run ID or a date (or
+// date and time).  For a date this is the last run that started before that date, so that every
+// run started on or after the date is included.  Returns undefined if the text is neither.
+async function resolveSinceRun(database, since) {
+    if (/^[0-9]+$/.test(since))
+        return Number(since);
+    let sinceDate = moment(since, moment.ISO_8601, true);
+    if (!sinceDate.isValid())
+        return undefined;
+    let runIds = (await database_1.getRows(database, "select [run_id], [started_at] from [runs]")).filter(row => moment(row.started_at).isBefore(sinceDate)).map(row => row.run_id);
+    return Math.max(0, ...runIds);
+}
+exports.resolveSinceRun = resolveSinceRun;
+// Reads the development applications that are new or changed in the runs after the specified run
+// (optionally only those of one council).  Only the runs up to the last run that is no longer in
+// progress are included, so that a run that is still saving development applications is exported
+// in full once it has finished.  Returns the changes and the last run included (which should be
+// given as the starting run of the next export).
+async function readChanges(database, sinceRunId, authorityLabel) {
+    let untilRunId = (await database_1.getRows(database, "select ifnull(max([run_id]), 0) as [run_id] from [runs] where [status] <> 'running'"))[0].run_id;
+    let rows = await database_1.getRows(database, `select * from [data] where (([first_seen_run] > ? and [first_seen_run] <= ?) or ([last_changed_run] > ? and [last_changed_run] <= ?))${(authorityLabel === undefined) ? "" : " and [authority_label] = ?"} order by [last_changed_run], [authority_label], [council_reference]`, [sinceRunId, untilRunId, sinceRunId, untilRunId, ...((authorityLabel === undefined) ? [] : [authorityLabel])]);
+    let changes = rows.map(row => (Object.assign({ change: (row.first_seen_run > sinceRunId && row.first_seen_run <= untilRunId) ? "new" : "changed" }, row)));
+    return { sinceRunId: sinceRunId, untilRunId: Math.max(sinceRunId, untilRunId), changes: changes };
+}
+exports.readChanges = readChanges;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicnVucy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInJ1bnMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsaUdBQWlHO0FBQ2pHLGlHQUFpRztBQUNqRyxrR0FBa0c7QUFDbEcsbUdBQW1HO0FBQ25HLG1HQUFtRztBQUNuRyx3REFBd0Q7QUFFeEQsWUFBWSxDQUFDOztBQUViLGlDQUFpQztBQUNqQyx5Q0FBNkM7QUFJN0MsNEZBQTRGO0FBQzVGLDZGQUE2RjtBQUM3RixxREFBcUQ7QUFFeEMsUUFBQSxVQUFVLEdBQUcsQ0FBRSxnQkFBZ0IsRUFBRSxlQUFlLEVBQUUsa0JBQWtCLENBQUUsQ0FBQztBQWlCcEYsK0ZBQStGO0FBQy9GLGtGQUFrRjtBQUUzRSxLQUFLLFVBQVUsZUFBZSxDQUFDLFFBQVE7SUFDMUMsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxvU0FBb1MsQ0FBQyxDQUFDO0lBQzdULE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsa0xBQWtMLENBQUMsQ0FBQztJQUUzTSxJQUFJLE9BQU8sR0FBRyxNQUFNLGtCQUFPLENBQUMsUUFBUSxFQUFFLDJCQUEyQixDQUFDLENBQUM7SUFDbkUsS0FBSyxJQUFJLFNBQVMsSUFBSSxrQkFBVTtRQUM1QixJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDO1lBQ2xELE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsa0NBQWtDLFNBQVMsV0FBVyxDQUFDLENBQUM7SUFDdkYsSUFBSSxDQUFDLENBQUMsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSw4QkFBOEIsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksS0FBSyxRQUFRLENBQUM7UUFDbkcsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxtREFBbUQsQ0FBQyxDQUFDO0FBQ3BGLENBQUM7QUFWRCwwQ0FVQztBQUVELDhGQUE4RjtBQUM5Rix5RkFBeUY7QUFFbEYsS0FBSyxVQUFVLFFBQVEsQ0FBQyxRQUFRLEVBQUUsSUFBd0IsRUFBRSxRQUEwQjtJQUN6RixJQUFJLE1BQU0sR0FBUSxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLHFGQUFxRixFQUFFLENBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxFQUFFLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBRSxDQUFDLENBQUM7SUFDMU4sT0FBTyxDQUFDLEdBQUcsQ0FBQyxlQUFlLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0lBQzdDLE9BQU8sTUFBTSxDQUFDLE1BQWdCLENBQUM7QUFDbkMsQ0FBQztBQUpELDRCQUlDO0FBRUQsdUZBQXVGO0FBQ3ZGLGlHQUFpRztBQUUxRixLQUFLLFVBQVUsaUJBQWlCLENBQUMsUUFBUSxFQUFFLEtBQWEsRUFBRSxHQUFXLEVBQUUsT0FBd0IsRUFBRSxnQkFBeUIsRUFBRSxjQUF1QjtJQUN0SixNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLG9JQUFvSSxFQUFFLENBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLEVBQUUsY0FBYyxDQUFFLENBQUMsQ0FBQztBQUM1TixDQUFDO0FBRkQsOENBRUM7QUFFRCw4RkFBOEY7QUFDOUYsK0RBQStEO0FBRXhELEtBQUssVUFBVSxTQUFTLENBQUMsUUFBUSxFQUFFLEtBQWEsRUFBRSxNQUE2QjtJQUNsRixJQUFJLFlBQVksR0FBRyxNQUFNLGtCQUFPLENBQUMsUUFBUSxFQUFFLHFJQUFxSSxFQUFFLENBQUUsS0FBSyxDQUFFLENBQUMsQ0FBQztJQUM3TCxJQUFJLGVBQWUsR0FBRyxNQUFNLGtCQUFPLENBQUMsUUFBUSxFQUFFLG1PQUFtTyxFQUFFLENBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFFLENBQUMsQ0FBQztJQUNuVCxJQUFJLEVBQUUsY0FBYyxFQUFFLGVBQWUsRUFBRSxHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUMxRCxJQUFJLEVBQUUsaUJBQWlCLEVBQUUsU0FBUyxFQUFFLGFBQWEsRUFBRSxHQUFHLGVBQWUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN6RSxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLGtMQUFrTCxFQUFFLENBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxFQUFFLEVBQUUsTUFBTSxFQUFFLGNBQWMsRUFBRSxpQkFBaUIsRUFBRSxTQUFTLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxLQUFLLENBQUUsQ0FBQyxDQUFDO0lBQy9ULE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLEtBQUssS0FBSyxNQUFNLGdCQUFnQixjQUFjLHdCQUF3QixpQkFBaUIseUNBQXlDLFNBQVMsaUJBQWlCLGFBQWEsZ0JBQWdCLENBQUMsQ0FBQztBQUN6TixDQUFDO0FBUEQsOEJBT0M7QUFFRCw4RkFBOEY7QUFDOUYsMkZBQTJGO0FBRTNGLFNBQWdCLGtCQUFrQixDQUFDLFdBQVcsRUFBRSxLQUFhLEVBQUUsTUFBa0I7SUFDN0UsT0FBTztRQUNILGNBQWMsRUFBRSxDQUFDLFdBQVcsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsY0FBYztRQUNoRixhQUFhLEVBQUUsS0FBSztRQUNwQixnQkFBZ0IsRUFBRSxDQUFDLE1BQU0sS0FBSyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxLQUFLO0tBQ3BGLENBQUM7QUFDTixDQUFDO0FBTkQsZ0RBTUM7QUFFRCxpR0FBaUc7QUFDakcsZ0dBQWdHO0FBQ2hHLDJGQUEyRjtBQUVwRixLQUFLLFVBQVUsZUFBZSxDQUFDLFFBQVEsRUFBRSxLQUFhO0lBQ3pELElBQUksVUFBVSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUM7UUFDdEIsT0FBTyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7SUFFekIsSUFBSSxTQUFTLEdBQUcsTUFBTSxDQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxDQUFDO0lBQ3JELElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxFQUFFO1FBQ3BCLE9BQU8sU0FBUyxDQUFDO0lBQ3JCLElBQUksTUFBTSxHQUFHLENBQUMsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSwyQ0FBMkMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDckssT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxHQUFHLE1BQU0sQ0FBQyxDQUFDO0FBQ2xDLENBQUM7QUFURCwwQ0FTQztBQUVELGlHQUFpRztBQUNqRyxpR0FBaUc7QUFDakcsaUdBQWlHO0FBQ2pHLGdHQUFnRztBQUNoRyxpREFBaUQ7QUFFMUMsS0FBSyxVQUFVLFdBQVcsQ0FBQyxRQUFRLEVBQUUsVUFBa0IsRUFBRSxjQUF1QjtJQUNuRixJQUFJLFVBQVUsR0FBVyxDQUFDLE1BQU0sa0JBQU8sQ0FBQyxRQUFRLEVBQUUscUZBQXFGLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztJQUNwSixJQUFJLElBQUksR0FBRyxNQUFNLGtCQUFPLENBQUMsUUFBUSxFQUFFLHdJQUF3SSxDQUFDLGNBQWMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyw0QkFBNEIsc0VBQXNFLEVBQUUsQ0FBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsR0FBRyxDQUFDLENBQUMsY0FBYyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUUsY0FBYyxDQUFFLENBQUMsQ0FBRSxDQUFDLENBQUM7SUFDeGEsSUFBSSxPQUFPLEdBQWEsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGlCQUFHLE1BQU0sRUFBRSxDQUFDLEdBQUcsQ0FBQyxjQUFjLEdBQUcsVUFBVSxJQUFJLEdBQUcsQ0FBQyxjQUFjLElBQUksVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsU0FBUyxJQUFLLEdBQUcsRUFBRyxDQUFDLENBQUM7SUFDekosT0FBTyxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxFQUFFLFVBQVUsQ0FBQyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsQ0FBQztBQUN0RyxDQUFDO0FBTEQsa0NBS0MifQ==
\ No newline at end of file
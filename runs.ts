@@ -0,0 +1,116 @@
+// Records each run of the scraper (when it started and finished, the documents that it processed
+// and the number of development applications that it found to be new or changed) and the runs in
+// which each development application was first seen, last seen and last changed.  This allows the
+// development applications that are new or changed since a given run (or date) to be exported as a
+// change feed (see exportchanges.ts), which the "date_scraped" column cannot provide because it is
+// rewritten every time that a document is parsed again.
+
+"use strict";
+
+import * as moment from "moment";
+import { runSql, getRows } from "./database";
+import { CouncilAdapter } from "./councils";
+import { SaveStatus } from "./sinks";
+
+// The columns of the data table that record the runs in which a development application was
+// first seen, last seen and last changed (these are null for a development application saved
+// before runs were recorded, until it is next seen).
+
+export const RunColumns = [ "first_seen_run", "last_seen_run", "last_changed_run" ];
+
+// The outcome of processing a document in a run: "parsed" (the development applications were
+// saved), "unchanged" (the content had not changed since the document was last parsed, or since
+// it was found to be impossible to parse) or "failed" (the document could not be retrieved or
+// parsed).
+
+export type DocumentOutcome = "parsed" | "unchanged" | "failed";
+
+// A development application that is new or changed since a given run (the values of the columns
+// of the data table, along with whether the development application is new or changed).
+
+export interface Change {
+    change: "new" | "changed",
+    [column: string]: string | number
+}
+
+// Creates the runs and run documents tables and adds the run columns to the data table and the
+// run in which each version was saved to the history table (if they are missing).
+
+export async function createRunTables(database) {
+    await runSql(database, "create table if not exists [runs] ([run_id] integer primary key autoincrement, [started_at] text, [finished_at] text, [status] text, [mode] text, [councils] text, [document_count] integer, [application_count] integer, [new_count] integer, [changed_count] integer, [rejection_count] integer)");
+    await runSql(database, "create table if not exists [run_documents] ([run_id] integer, [url] text, [outcome] text, [application_count] integer, [rejection_count] integer, primary key ([run_id], [url]))");
+
+    let columns = await getRows(database, "pragma table_info([data])");
+    for (let runColumn of RunColumns)
+        if (!columns.some(column => column.name === runColumn))
+            await runSql(database, `alter table [data] add column [${runColumn}] integer`);
+    if (!(await getRows(database, "pragma table_info([history])")).some(column => column.name === "run_id"))
+        await runSql(database, "alter table [history] add column [run_id] integer");
+}
+
+// Records the start of a run (in which development applications are either retrieved from the
+// registers of the specified councils or replayed from an archive).  Returns the run ID.
+
+export async function startRun(database, mode: "crawl" | "replay", councils: CouncilAdapter[]) {
+    let result: any = await runSql(database, "insert into [runs] ([started_at], [status], [mode], [councils]) values (?, ?, ?, ?)", [ moment().format(), "running", mode, councils.map(council => council.name).join(", ") ]);
+    console.log(`Started run ${result.lastID}.`);
+    return result.lastID as number;
+}
+
+// Records that a document was processed in a run (along with the number of development
+// applications found in it and the number of rows and pages rejected from it, if it was parsed).
+
+export async function recordRunDocument(database, runId: number, url: string, outcome: DocumentOutcome, applicationCount?: number, rejectionCount?: number) {
+    await runSql(database, "insert or replace into [run_documents] ([run_id], [url], [outcome], [application_count], [rejection_count]) values (?, ?, ?, ?, ?)", [ runId, url, outcome, applicationCount, rejectionCount ]);
+}
+
+// Records the end of a run, counting the documents processed and the development applications
+// seen in the run (and how many of those were new or changed).
+
+export async function finishRun(database, runId: number, status: "complete" | "failed") {
+    let documentRows = await getRows(database, "select count(*) as [document_count], ifnull(sum([rejection_count]), 0) as [rejection_count] from [run_documents] where [run_id] = ?", [ runId ]);
+    let applicationRows = await getRows(database, "select count(*) as [application_count], ifnull(sum([first_seen_run] = ?), 0) as [new_count], ifnull(sum([last_changed_run] = ? and ifnull([first_seen_run], 0) <> ?), 0) as [changed_count] from [data] where [last_seen_run] = ?", [ runId, runId, runId, runId ]);
+    let { document_count, rejection_count } = documentRows[0];
+    let { application_count, new_count, changed_count } = applicationRows[0];
+    await runSql(database, "update [runs] set [finished_at] = ?, [status] = ?, [document_count] = ?, [application_count] = ?, [new_count] = ?, [changed_count] = ?, [rejection_count] = ? where [run_id] = ?", [ moment().format(), status, document_count, application_count, new_count, changed_count, rejection_count, runId ]);
+    console.log(`Finished run ${runId} (${status}): processed ${document_count} document(s) and saw ${application_count} development application(s), of which ${new_count} were new and ${changed_count} were changed.`);
+}
+
+// Gets the values of the run columns of the data table for a development application that has
+// just been saved in a run (given the existing row, if any, and the outcome of saving it).
+
+export function getRunColumnValues(existingRow, runId: number, status: SaveStatus) {
+    return {
+        first_seen_run: (existingRow === undefined) ? runId : existingRow.first_seen_run,
+        last_seen_run: runId,
+        last_changed_run: (status === "unchanged") ? existingRow.last_changed_run : runId
+    };
+}
+
+// Determines the run after which changes are to be exported, given either a run ID or a date (or
+// date and time).  For a date this is the last run that started before that date, so that every
+// run started on or after the date is included.  Returns undefined if the text is neither.
+
+export async function resolveSinceRun(database, since: string) {
+    if (/^[0-9]+$/.test(since))
+        return Number(since);
+
+    let sinceDate = moment(since, moment.ISO_8601, true);
+    if (!sinceDate.isValid())
+        return undefined;
+    let runIds = (await getRows(database, "select [run_id], [started_at] from [runs]")).filter(row => moment(row.started_at).isBefore(sinceDate)).map(row => row.run_id);
+    return Math.max(0, ...runIds);
+}
+
+// Reads the development applications that are new or changed in the runs after the specified run
+// (optionally only those of one council).  Only the runs up to the last run that is no longer in
+// progress are included, so that a run that is still saving development applications is exported
+// in full once it has finished.  Returns the changes and the last run included (which should be
+// given as the starting run of the next export).
+
+export async function readChanges(database, sinceRunId: number, authorityLabel?: string) {
+    let untilRunId: number = (await getRows(database, "select ifnull(max([run_id]), 0) as [run_id] from [runs] where [status] <> 'running'"))[0].run_id;
+    let rows = await getRows(database, `select * from [data] where (([first_seen_run] > ? and [first_seen_run] <= ?) or ([last_changed_run] > ? and [last_changed_run] <= ?))${(authorityLabel === undefined) ? "" : " and [authority_label] = ?"} order by [last_changed_run], [authority_label], [council_reference]`, [ sinceRunId, untilRunId, sinceRunId, untilRunId, ...((authorityLabel === undefined) ? [] : [ authorityLabel ]) ]);
+    let changes: Change[] = rows.map(row => ({ change: (row.first_seen_run > sinceRunId && row.first_seen_run <= untilRunId) ? "new" : "changed", ...row }));
+    return { sinceRunId: sinceRunId, untilRunId: Math.max(sinceRunId, untilRunId), changes: changes };
+}
@@ -6,124 +6,298 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 const fs = require("fs");
+const crypto = require("crypto");
 const cheerio = require("cheerio");
-const request = require("request-promise-native");
 const sqlite3 = require("sqlite3");
 const urlparser = require("url");
 const moment = require("moment");
 const pdfjs = require("pdfjs-dist");
-const didyoumean2_1 = require("didyoumean2"), didyoumean = didyoumean2_1;
+const archive_1 = require("./archive");
+const database_1 = require("./database");
+const runs_1 = require("./runs");
+const fetcher_1 = require("./fetcher");
+const grid_1 = require("./grid");
+const councils_1 = require("./councils");
+const dates_1 = require("./dates");
+const descriptions_1 = require("./descriptions");
+const applicationnumbers_1 = require("./applicationnumbers");
+const duplicates_1 = require("./duplicates");
+const layout_1 = require("./layout");
+const gazetteer_1 = require("./gazetteer");
+const gazetteerfiles_1 = require("./gazetteerfiles");
+const quality_1 = require("./quality");
+const sinks_1 = require("./sinks");
 sqlite3.verbose();
-const DevelopmentApplicationsUrl = "https://www.dcgrant.sa.gov.au/services/planning-and-development/developmentregister";
-const CommentUrl = "mailto:info@dcgrant.sa.gov.au";
+// The default limits on the time taken and the memory used by a single run (morph.io terminates
+// any process that uses more than 512 MB).  Any PDF documents not processed within these limits
+// are processed in subsequent runs.
+const DefaultTimeBudget = 30; // minutes
+const DefaultMemoryBudget = 400; // megabytes
+// The default file to which the quality report of the documents parsed in a run is written.
+const DefaultReportPath = "report.json";
+// The default directory in which downloaded register pages and PDF documents are cached (so that
+// they are only downloaded again if they have changed).
+const DefaultCacheDirectory = "cache";
+// The compass directions that may follow a street type (for example, "TERRACE EAST").
+const CompassDirections = ["NORTH", "SOUTH", "EAST", "WEST"];
 // Address information.
 let StreetNames = null;
 let StreetSuffixes = null;
+let StreetTypes = null;
 let SuburbNames = null;
-// Sets up an sqlite database.
-async function initializeDatabase() {
-    return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
-        database.serialize(() => {
-            database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text)");
-            resolve(database);
-        });
-    });
+let SuburbHundreds = null;
+let HundredNames = null;
+// Indexes of the street, suburb and hundred names (built once, when the address information is
+// read, so that each spelling correction does not have to scan every name).
+let StreetNameIndex = null;
+let SuburbNameIndex = null;
+let HundredNameIndex = null;
+// The columns that hold the structured address, the legal parcel, the consent type, the
+// development category and the application number as it appeared in the register (the
+// "council_reference" column holds the canonical form) of each development application.  These
+// follow the PlanningAlerts compatible columns in the data table (and are added to an existing
+// data table if necessary).
+const StructuredColumns = ["house_number", "street_name", "street_type", "street_suffix", "suburb", "state", "postcode", "lots", "sections", "hundred", "consent_type", "development_category", "original_council_reference"];
+// Sets up an sqlite database.  The data and history tables of a database created before the
+// "authority_label" column was introduced (when only the District Council of Grant was scraped)
+// are rebuilt with that column as part of their primary keys, the tables that record each run are
+// added (see runs.ts) and the council references of a database created before application
+// numbers were canonicalised are converted.
+async function initializeDatabase(databasePath = "data.sqlite") {
+    let database = new sqlite3.Database(databasePath);
+    await database_1.runSql(database, "create table if not exists [data] ([authority_label] text, [council_reference] text, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text, primary key ([authority_label], [council_reference]))");
+    await database_1.runSql(database, "create table if not exists [history] ([authority_label] text, [council_reference] text, [version] integer, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text, [scraped_at] text, [changed_fields] text, primary key ([authority_label], [council_reference], [version]))");
+    await database_1.runSql(database, "create table if not exists [quarantine] ([info_url] text, [page_number] integer, [scope] text, [reason] text, [raw_text] text, [date_scraped] text)");
+    await database_1.runSql(database, "create table if not exists [documents] ([url] text primary key, [content_hash] text, [first_seen] text, [last_seen] text, [last_checked] text, [last_parsed] text, [application_count] integer)");
+    // Add the structured address, legal parcel, consent type and development category columns (if
+    // they are missing).
+    let columns = await database_1.getRows(database, "pragma table_info([data])");
+    for (let structuredColumn of StructuredColumns)
+        if (!columns.some(column => column.name === structuredColumn))
+            await database_1.runSql(database, `alter table [data] add column [${structuredColumn}] text`);
+    await addAuthorityLabel(database, "data", ["council_reference"]);
+    await addAuthorityLabel(database, "history", ["council_reference", "version"]);
+    await runs_1.createRunTables(database);
+    await canonicaliseCouncilReferences(database);
+    return database;
 }
-// Inserts a row in the database if the row does not already exist.
-async function insertRow(database, developmentApplication) {
-    return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?, ?)");
-        sqlStatement.run([
-            developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
-            developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
-            developmentApplication.scrapeDate,
-            developmentApplication.receivedDate,
-            developmentApplication.legalDescription
-        ], function (error, row) {
-            if (error) {
-                console.error(error);
-                reject(error);
-            }
-            else {
-                console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\", legal description \"${developmentApplication.legalDescription}\" and received date \"${developmentApplication.receivedDate}\" to the database.`);
-                sqlStatement.finalize(); // releases any locks
-                resolve(row);
-            }
-        });
-    });
+exports.initializeDatabase = initializeDatabase;
+// Rebuilds a table without an "authority_label" column so that it has that column (as the first
+// part of its primary key).  Every existing row is labelled with the default council.
+async function addAuthorityLabel(database, table, keyColumns) {
+    let columns = (await database_1.getRows(database, `pragma table_info([${table}])`)).map(column => column.name);
+    if (columns.includes("authority_label"))
+        return;
+    console.log(`Adding the authority_label column to the ${table} table (labelling the existing rows "${councils_1.Councils[0].name}").`);
+    let columnList = columns.map(column => `[${column}]`).join(", ");
+    let primaryKey = ["authority_label", ...keyColumns].map(column => `[${column}]`).join(", ");
+    await database_1.runSql(database, "begin transaction");
+    await database_1.runSql(database, `create table [${table}_migrated] ([authority_label] text, ${columns.map(column => `[${column}] ${(column === "version") ? "integer" : "text"}`).join(", ")}, primary key (${primaryKey}))`);
+    await database_1.runSql(database, `insert into [${table}_migrated] ([authority_label], ${columnList}) select ?, ${columnList} from [${table}]`, [councils_1.Councils[0].name]);
+    await database_1.runSql(database, `drop table [${table}]`);
+    await database_1.runSql(database, `alter table [${table}_migrated] rename to [${table}]`);
+    await database_1.runSql(database, "commit");
+}
+// Converts each council reference that is not in the canonical form (for example, "DA 141/2017")
+// to the canonical form ("141/17"), keeping the original in the "original_council_reference"
+// column.  When a row with the canonical council reference already exists the history of the
+// other row is appended to the history of that row, followed by the other row itself (as a version
+// whose changed fields name the merged council reference, so that its details are not lost), and
+// the other row is removed.
+async function canonicaliseCouncilReferences(database) {
+    await database_1.runSql(database, "update [data] set [original_council_reference] = [council_reference] where [original_council_reference] is null");
+    let variantRows = [];
+    for (let row of await database_1.getRows(database, "select [authority_label], [council_reference] from [data]")) {
+        let parsedApplicationNumber = applicationnumbers_1.parseApplicationNumber(row.council_reference);
+        if (parsedApplicationNumber !== undefined && parsedApplicationNumber.canonical !== row.council_reference)
+            variantRows.push({ authorityLabel: row.authority_label, councilReference: row.council_reference, canonical: parsedApplicationNumber.canonical });
+    }
+    if (variantRows.length === 0)
+        return;
+    console.log(`Converting ${variantRows.length} council reference(s) to the canonical form (for example, "${variantRows[0].councilReference}" to "${variantRows[0].canonical}").`);
+    await database_1.runSql(database, "begin transaction");
+    for (let { authorityLabel, councilReference, canonical } of variantRows) {
+        let canonicalRows = await database_1.getRows(database, "select ifnull(max([version]), 0) as [version] from [history] where [authority_label] = ? and [council_reference] = ?", [authorityLabel, canonical]);
+        let versionOffset = canonicalRows[0].version;
+        await database_1.runSql(database, "update [history] set [council_reference] = ?, [version] = [version] + ? where [authority_label] = ? and [council_reference] = ?", [canonical, versionOffset, authorityLabel, councilReference]);
+        if ((await database_1.getRows(database, "select 1 from [data] where [authority_label] = ? and [council_reference] = ?", [authorityLabel, canonical])).length > 0) {
+            let variantRow = (await database_1.getRows(database, "select * from [data] where [authority_label] = ? and [council_reference] = ?", [authorityLabel, councilReference]))[0];
+            await insertHistoryRow(database, authorityLabel, canonical, Object.assign({}, variantRow, { scraped_at: variantRow.date_scraped }), [`merged from "${councilReference}"`], variantRow.last_changed_run);
+            await database_1.runSql(database, "delete from [data] where [authority_label] = ? and [council_reference] = ?", [authorityLabel, councilReference]);
+            console.log(`Merged application "${councilReference}" into application "${canonical}" (its address "${variantRow.address}", description "${variantRow.description}" and received date "${variantRow.date_received}" are kept in the history of "${canonical}").`);
+        }
+        else
+            await database_1.runSql(database, "update [data] set [council_reference] = ? where [authority_label] = ? and [council_reference] = ?", [canonical, authorityLabel, councilReference]);
+    }
+    await database_1.runSql(database, "commit");
+}
+// The fields of a development application that are tracked in the history table (the database
+// column name and the corresponding development application property).
+const HistoryFields = [
+    { column: "address", property: "address" },
+    { column: "description", property: "description" },
+    { column: "date_received", property: "receivedDate" },
+    { column: "legal_description", property: "legalDescription" }
+];
+// Appends a version of a development application (saved in the specified run) to the history
+// table.
+async function insertHistoryRow(database, authorityLabel, councilReference, row, changedFields, runId) {
+    await database_1.runSql(database, "insert into [history] ([authority_label], [council_reference], [version], [address], [description], [info_url], [comment_url], [date_scraped], [date_received], [legal_description], [scraped_at], [changed_fields], [run_id]) values (?, ?, (select ifnull(max([version]), 0) + 1 from [history] where [authority_label] = ? and [council_reference] = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+        authorityLabel,
+        councilReference,
+        authorityLabel,
+        councilReference,
+        row.address,
+        row.description,
+        row.info_url,
+        row.comment_url,
+        row.date_scraped,
+        row.date_received,
+        row.legal_description,
+        row.scraped_at,
+        changedFields.join(", "),
+        runId
+    ]);
+}
+// Inserts or updates a row in the database.  Each distinct version of a development application
+// is also recorded in the history table (along with the fields that changed), so that an earlier
+// address, description, received date or legal description is never lost when a later PDF
+// contains different details for the same application.  The runs in which the application was
+// first seen, last seen and last changed are also recorded.  Returns "new", "changed" or
+// "unchanged".
+async function insertRow(database, developmentApplication, runId) {
+    let row = {
+        address: developmentApplication.address,
+        description: developmentApplication.description,
+        info_url: developmentApplication.informationUrl,
+        comment_url: developmentApplication.commentUrl,
+        date_scraped: developmentApplication.scrapeDate,
+        date_received: developmentApplication.receivedDate,
+        legal_description: developmentApplication.legalDescription,
+        scraped_at: moment().format()
+    };
+    let authorityLabel = developmentApplication.authorityLabel;
+    let councilReference = developmentApplication.applicationNumber;
+    let existingRow = (await database_1.getRows(database, "select * from [data] where [authority_label] = ? and [council_reference] = ?", [authorityLabel, councilReference]))[0];
+    let changedFields = (existingRow === undefined) ? [] : HistoryFields.filter(field => existingRow[field.column] !== row[field.column]).map(field => field.column);
+    let status = (existingRow === undefined) ? "new" : ((changedFields.length > 0) ? "changed" : "unchanged");
+    if (status === "changed") {
+        // Ensure that the previous version is in the history (it will not be if it was scraped
+        // before the history table existed).
+        let historyRows = await database_1.getRows(database, "select [version] from [history] where [authority_label] = ? and [council_reference] = ? limit 1", [authorityLabel, councilReference]);
+        if (historyRows.length === 0)
+            await insertHistoryRow(database, authorityLabel, councilReference, Object.assign({}, existingRow, { scraped_at: null }), [], existingRow.last_changed_run);
+    }
+    if (status !== "unchanged")
+        await insertHistoryRow(database, authorityLabel, councilReference, row, changedFields, runId);
+    let values = Object.assign({}, sinks_1.getColumnValues(developmentApplication), runs_1.getRunColumnValues(existingRow, runId, status));
+    let columns = Object.keys(values);
+    await database_1.runSql(database, `insert or replace into [data] (${columns.map(column => `[${column}]`).join(", ")}) values (${columns.map(() => "?").join(", ")})`, columns.map(column => values[column]));
+    return status;
+}
+// Replaces any rows and pages previously quarantined from a document with the rows and pages
+// that were rejected when the document was most recently parsed.
+async function insertQuarantineRows(database, url, rejections) {
+    await database_1.runSql(database, "delete from [quarantine] where [info_url] = ?", [url]);
+    for (let rejection of rejections)
+        await database_1.runSql(database, "insert into [quarantine] values (?, ?, ?, ?, ?, ?)", [url, rejection.pageNumber, rejection.scope, rejection.reason, rejection.rawText, moment().format("YYYY-MM-DD")]);
+    if (rejections.length > 0)
+        console.log(`Quarantined ${rejections.length} rejected row(s) and page(s) from document: ${url}`);
+}
+// Constructs a sink that saves development applications to the database (recording the history
+// of each development application, the run in which it was saved and quarantining any rejected
+// rows and pages).
+function createDatabaseSink(database, runId) {
+    return {
+        name: "the database",
+        write: developmentApplication => insertRow(database, developmentApplication, runId),
+        writeRejections: (url, rejections) => insertQuarantineRows(database, url, rejections),
+        close: async () => { }
+    };
 }
-// Reads all the address information into global objects.
-function readAddressInformation() {
-    // Read the street names.
+exports.createDatabaseSink = createDatabaseSink;
+// Finds a development application previously saved to the database (returns undefined if there
+// is none).
+async function findStoredApplication(database, authorityLabel, councilReference) {
+    let row = (await database_1.getRows(database, "select * from [data] where [authority_label] = ? and [council_reference] = ?", [authorityLabel, councilReference]))[0];
+    return (row === undefined) ? undefined : sinks_1.getDevelopmentApplication(row);
+}
+// Reads the records of all the PDF documents that have been seen on the register (keyed by URL).
+async function readDocuments(database) {
+    let documents = new Map();
+    for (let row of await database_1.getRows(database, "select * from [documents]"))
+        documents.set(row.url, row);
+    return documents;
+}
+// Records that a PDF document is currently linked from the register.
+async function recordDocumentSeen(database, url) {
+    let now = moment().format();
+    await database_1.runSql(database, "insert or ignore into [documents] ([url], [first_seen]) values (?, ?)", [url, now]);
+    await database_1.runSql(database, "update [documents] set [last_seen] = ? where [url] = ?", [now, url]);
+}
+// Records that a PDF document was downloaded and checked for changes (along with the hash of its
+// content and, if it was parsed, the number of development applications found in it).
+async function recordDocumentChecked(database, url, contentHash, applicationCount) {
+    let now = moment().format();
+    if (applicationCount === undefined)
+        await database_1.runSql(database, "update [documents] set [content_hash] = ?, [last_checked] = ? where [url] = ?", [contentHash, now, url]);
+    else
+        await database_1.runSql(database, "update [documents] set [content_hash] = ?, [last_checked] = ?, [last_parsed] = ?, [application_count] = ? where [url] = ?", [contentHash, now, now, applicationCount, url]);
+}
+// Writes the messages to the console (whichever function console.log is at the time, so that the
+// messages follow any redirection of the log to standard error).
+const ConsoleLog = message => console.log(message);
+// Reads all the address information of a council into global objects (replacing the address
+// information of any council that was read previously).  An error is thrown if the gazetteer
+// files contain errors (see gazetteerfiles.ts).
+function readAddressInformation(council = councils_1.GrantCouncil) {
+    // Read and validate the gazetteer files (a file with errors cannot be used, whereas a warning
+    // only affects the matching of some addresses).
+    let gazetteer = gazetteerfiles_1.readGazetteer(council.gazetteer);
+    let errors = gazetteer.problems.filter(problem => problem.severity === "error");
+    if (errors.length > 0)
+        throw new Error(`The gazetteer files of the ${council.authorityName} contain ${errors.length} error(s):\n${errors.map(gazetteerfiles_1.formatGazetteerProblem).join("\n")}`);
+    if (gazetteer.problems.length > 0)
+        console.log(`The gazetteer files of the ${council.authorityName} contain ${gazetteer.problems.length} warning(s) (run "node gazetteertool.js validate --council ${council.name}" for details).`);
+    // Index the street names.
     StreetNames = {};
-    for (let line of fs.readFileSync("streetnames.txt").toString().replace(/\r/g, "").trim().split("\n")) {
-        let streetNameTokens = line.toUpperCase().split(",");
-        let streetName = streetNameTokens[0].trim();
-        let suburbName = streetNameTokens[1].trim();
+    for (let { streetName, suburbName } of gazetteer.streets)
         (StreetNames[streetName] || (StreetNames[streetName] = [])).push(suburbName); // several suburbs may exist for the same street name
-    }
-    // Read the street suffixes.
+    // Index the street suffixes.
     StreetSuffixes = {};
-    for (let line of fs.readFileSync("streetsuffixes.txt").toString().replace(/\r/g, "").trim().split("\n")) {
-        let streetSuffixTokens = line.toUpperCase().split(",");
-        StreetSuffixes[streetSuffixTokens[0].trim()] = streetSuffixTokens[1].trim();
-    }
-    // Read the suburb names.
+    for (let { suffix, expansion } of gazetteer.streetSuffixes)
+        StreetSuffixes[suffix] = expansion;
+    // Determine the street types (the expanded street suffixes other than compass directions,
+    // such as "ROAD" and "STREET").
+    StreetTypes = Object.values(StreetSuffixes).filter((streetType, index, streetTypes) => !CompassDirections.includes(streetType) && streetTypes.indexOf(streetType) === index);
+    // Index the suburb names.
     SuburbNames = {};
-    for (let line of fs.readFileSync("suburbnames.txt").toString().replace(/\r/g, "").trim().split("\n")) {
-        let suburbTokens = line.toUpperCase().split(",");
-        let suburbName = suburbTokens[0].trim();
-        SuburbNames[suburbName] = suburbTokens[1].trim();
+    SuburbHundreds = {};
+    HundredNames = [];
+    for (let { suburbName, formattedName, hundreds } of gazetteer.suburbs) {
+        SuburbNames[suburbName] = formattedName;
+        SuburbHundreds[suburbName] = hundreds;
         if (suburbName.startsWith("MOUNT ")) {
-            SuburbNames["MT " + suburbName.substring("MOUNT ".length)] = suburbTokens[1].trim();
-            SuburbNames["MT." + suburbName.substring("MOUNT ".length)] = suburbTokens[1].trim();
-            SuburbNames["MT. " + suburbName.substring("MOUNT ".length)] = suburbTokens[1].trim();
+            SuburbNames["MT " + suburbName.substring("MOUNT ".length)] = formattedName;
+            SuburbNames["MT." + suburbName.substring("MOUNT ".length)] = formattedName;
+            SuburbNames["MT. " + suburbName.substring("MOUNT ".length)] = formattedName;
+            SuburbHundreds["MT " + suburbName.substring("MOUNT ".length)] = hundreds;
+            SuburbHundreds["MT." + suburbName.substring("MOUNT ".length)] = hundreds;
+            SuburbHundreds["MT. " + suburbName.substring("MOUNT ".length)] = hundreds;
         }
+        for (let hundred of hundreds)
+            if (!HundredNames.includes(hundred))
+                HundredNames.push(hundred);
     }
+    // Index the names for spelling correction.
+    StreetNameIndex = gazetteer_1.createGazetteerIndex(Object.keys(StreetNames));
+    SuburbNameIndex = gazetteer_1.createGazetteerIndex(Object.keys(SuburbNames));
+    HundredNameIndex = gazetteer_1.createGazetteerIndex(HundredNames);
 }
-// Constructs a rectangle based on the intersection of the two specified rectangles.
-function intersect(rectangle1, rectangle2) {
-    let x1 = Math.max(rectangle1.x, rectangle2.x);
-    let y1 = Math.max(rectangle1.y, rectangle2.y);
-    let x2 = Math.min(rectangle1.x + rectangle1.width, rectangle2.x + rectangle2.width);
-    let y2 = Math.min(rectangle1.y + rectangle1.height, rectangle2.y + rectangle2.height);
-    if (x2 >= x1 && y2 >= y1)
-        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
-    else
-        return { x: 0, y: 0, width: 0, height: 0 };
-}
-// Calculates the fraction of an element that lies within a cell (as a percentage).  For example,
-// if a quarter of the specifed element lies within the specified cell then this would return 25.
-function getPercentageOfElementInCell(element, cell) {
-    let elementArea = getArea(element);
-    let intersectionArea = getArea(intersect(cell, element));
-    return (elementArea === 0) ? 0 : ((intersectionArea * 100) / elementArea);
-}
-// Calculates the area of a rectangle.
-function getArea(rectangle) {
-    return rectangle.width * rectangle.height;
-}
-// Gets the percentage of horizontal overlap between two rectangles (0 means no overlap and 100
-// means 100% overlap).
-function getHorizontalOverlapPercentage(rectangle1, rectangle2) {
-    if (rectangle1 === undefined || rectangle2 === undefined)
-        return 0;
-    let startX1 = rectangle1.x;
-    let endX1 = rectangle1.x + rectangle1.width;
-    let startX2 = rectangle2.x;
-    let endX2 = rectangle2.x + rectangle2.width;
-    if (startX1 >= endX2 || endX1 <= startX2 || rectangle1.width === 0 || rectangle2.width === 0)
-        return 0;
-    let intersectionWidth = Math.min(endX1, endX2) - Math.max(startX1, startX2);
-    let unionWidth = Math.max(endX1, endX2) - Math.min(startX1, startX2);
-    return (intersectionWidth * 100) / unionWidth;
-}
-// Formats the text as a street.
-function formatStreetName(text) {
+exports.readAddressInformation = readAddressInformation;
+// Formats the text as a street.  Any spelling correction of the street name (or failure to find
+// the street name) is added to the quality issues.
+function formatStreetName(text, issues) {
     if (text === undefined)
         return text;
     let tokens = text.trim().toUpperCase().split(" ");
@@ -138,347 +312,706 @@ function formatStreetName(text) {
     for (let index = 6; index >= 2; index--)
         if (StreetNames[tokens.slice(-index).join(" ")] !== undefined)
             return tokens.join(" "); // reconstruct the street with the leading house number (and any other prefix text)
+    // Extract tokens from the end of the array until a valid street name is encountered when the
+    // spaces are ignored (this allows for errant spaces within words, such as "ADM ELLA STREET",
+    // and for missing spaces between words).
+    for (let index = 6; index >= 1; index--) {
+        let streetNameMatch = gazetteer_1.findCompactName(StreetNameIndex, tokens.slice(-index).join(" "));
+        if (streetNameMatch !== undefined) {
+            issues.push({ field: "address", code: "fuzzy-street-match", message: `street "${tokens.slice(-index).join(" ")}" was taken to be ${streetNameMatch}` });
+            tokens.splice(-index, index); // remove elements from the end of the array
+            return (tokens.join(" ") + " " + streetNameMatch).trim(); // reconstruct the street with any other original prefix text
+        }
+    }
     // Extract tokens from the end of the array until a valid street name is encountered (this
     // allows for a spelling error).
     for (let index = 6; index >= 2; index--) {
         let threshold = 7 - index; // set the number of allowed spelling errors proportional to the number of words
-        let streetNameMatch = didyoumean2_1.default(tokens.slice(-index).join(" "), Object.keys(StreetNames), { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: threshold, trimSpaces: true });
+        let streetNameMatch = gazetteer_1.findClosestName(StreetNameIndex, tokens.slice(-index).join(" "), threshold);
         if (streetNameMatch !== null) {
-            tokens.splice(-index, index); // remove elements from the end of the array
+            issues.push({ field: "address", code: "fuzzy-street-match", message: `street "${tokens.slice(-index).join(" ")}" was taken to be ${streetNameMatch}` });
+            tokens.splice(-index, index); // remove elements from the end of the array           
             return (tokens.join(" ") + " " + streetNameMatch).trim(); // reconstruct the street with any other original prefix text
         }
     }
+    issues.push({ field: "address", code: "street-not-found", message: `street "${text.trim()}" was not found` });
     return text;
 }
-// Formats the address, ensuring that it has a valid suburb, state and post code.
-function formatAddress(address) {
+// Finds the street name (as it appears in the street names file) at the end of the specified
+// text (which may have a leading house number or other prefix text).
+function findStreetName(text) {
+    let tokens = text.trim().toUpperCase().split(" ");
+    for (let index = 6; index >= 2; index--)
+        if (StreetNames[tokens.slice(-index).join(" ")] !== undefined)
+            return tokens.slice(-index).join(" ");
+    return undefined;
+}
+// Determines the hundred (as it appears in the suburb names file) from the hundred name that was
+// extracted from an address (allowing for a spelling error).
+function findHundredName(hundred) {
+    if (hundred === undefined || hundred.trim() === "")
+        return undefined;
+    let hundredName = gazetteer_1.findClosestName(HundredNameIndex, hundred, 2);
+    return (hundredName === null) ? undefined : hundredName;
+}
+// Selects the suburb name that best matches the specified text.  Every suburb name within the
+// allowed number of spelling errors is considered and preference is given to a suburb that lies
+// within the specified hundred and that contains the specified street (so that the closest
+// spelling does not always win when several suburbs are spelled similarly).  Any inconsistency
+// between the selected suburb and the hundred or street is added to the quality issues.
+function selectSuburbName(text, hundredName, streetName, issues) {
+    let suburbNameMatches = gazetteer_1.findMatchingNames(SuburbNameIndex, text, 2).map(match => match.name);
+    if (suburbNameMatches.length === 0)
+        return null;
+    let streetSuburbs = (streetName === undefined) ? [] : StreetNames[streetName].map(suburbName => SuburbNames[suburbName]);
+    let isInHundred = (suburbName) => hundredName !== undefined && SuburbHundreds[suburbName].includes(hundredName);
+    let hasStreet = (suburbName) => streetSuburbs.includes(SuburbNames[suburbName]);
+    // The matches are sorted by edit distance, so the first of the most consistent matches is
+    // also the closest spelling among them.
+    let getScore = (suburbName) => (isInHundred(suburbName) ? 1 : 0) + (hasStreet(suburbName) ? 1 : 0);
+    let suburbName = suburbNameMatches.reduce((best, suburbName) => (getScore(suburbName) > getScore(best)) ? suburbName : best, suburbNameMatches[0]);
+    if (suburbName === suburbNameMatches[0] && suburbName !== text.trim().toUpperCase())
+        issues.push({ field: "address", code: "fuzzy-suburb-match", message: `suburb "${text.trim()}" was taken to be ${SuburbNames[suburbName]}` });
+    else if (suburbName !== suburbNameMatches[0])
+        issues.push({ field: "address", code: "suburb-selected-by-hundred", message: `suburb "${text.trim()}" was taken to be ${SuburbNames[suburbName]} rather than ${SuburbNames[suburbNameMatches[0]]} (based on the hundred and street)` });
+    if (hundredName !== undefined && !isInHundred(suburbName))
+        issues.push({ field: "address", code: "suburb-hundred-mismatch", message: `suburb ${SuburbNames[suburbName]} does not lie within the Hundred of ${hundredName} (it lies within ${SuburbHundreds[suburbName].join(", ")})` });
+    if (streetName !== undefined && !hasStreet(suburbName))
+        issues.push({ field: "address", code: "street-suburb-mismatch", message: `street ${streetName} is not known in suburb ${SuburbNames[suburbName]} (it is known in ${StreetNames[streetName].join(", ")})` });
+    return suburbName;
+}
+// Formats the address, ensuring that it has a valid suburb, state and post code.  The hundred
+// (if any) that was stated alongside the address is used to select between similarly spelled
+// suburbs.  Any problems found in the address are added to the quality issues.
+function formatAddress(address, hundred, issues) {
     // Allow for a few special cases (eg. road type suffixes).
     address = address.replace(/ TCE NTH/g, " TERRACE NORTH").replace(/ TCE STH/g, " TERRACE SOUTH").replace(/ TCE EAST/g, " TERRACE EAST").replace(/ TCE WEST/g, " TERRACE WEST");
     // Break the address up based on commas (the main components of the address are almost always
     // separated by commas).
     let commaIndex = address.lastIndexOf(",");
-    if (commaIndex < 0)
+    if (commaIndex < 0) {
+        issues.push({ field: "address", code: "suburb-not-found", message: `no suburb was found in address "${address}"` });
         return address;
+    }
     let streetName = address.substring(0, commaIndex);
     let suburbName = address.substring(commaIndex + 1);
+    // Determine the hundred and the street (these are used to select the suburb).
+    let hundredName = findHundredName(hundred);
+    if (hundred !== undefined && hundred.trim() !== "" && hundredName === undefined)
+        issues.push({ field: "address", code: "unknown-hundred", message: `the Hundred of ${hundred.trim()} is not known` });
+    let formattedStreetName = formatStreetName(streetName, issues);
     // Add the state and post code to the suburb name.
-    suburbName = didyoumean2_1.default(suburbName, Object.keys(SuburbNames), { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: 2, trimSpaces: true });
-    if (suburbName === null)
+    let suburbText = suburbName;
+    suburbName = selectSuburbName(suburbName, hundredName, findStreetName(formattedStreetName), issues);
+    if (suburbName === null) {
+        issues.push({ field: "address", code: "suburb-not-found", message: `suburb "${suburbText.trim()}" was not found` });
         return address;
+    }
     // Reconstruct the full address using the formatted street name and determined suburb name.
-    return formatStreetName(streetName) + ", " + SuburbNames[suburbName];
-}
-// Examines all the lines in a page of a PDF and constructs cells (ie. rectangles) based on those
-// lines.
-async function parseCells(page) {
-    let operators = await page.getOperatorList();
-    // Find the lines.  Each line is actually constructed using a rectangle with a very short
-    // height or a very narrow width.
-    let lines = [];
-    let previousRectangle = undefined;
-    let transformStack = [];
-    let transform = [1, 0, 0, 1, 0, 0];
-    transformStack.push(transform);
-    for (let index = 0; index < operators.fnArray.length; index++) {
-        let argsArray = operators.argsArray[index];
-        if (operators.fnArray[index] === pdfjs.OPS.restore)
-            transform = transformStack.pop();
-        else if (operators.fnArray[index] === pdfjs.OPS.save)
-            transformStack.push(transform);
-        else if (operators.fnArray[index] === pdfjs.OPS.transform)
-            transform = pdfjs.Util.transform(transform, argsArray);
-        else if (operators.fnArray[index] === pdfjs.OPS.constructPath) {
-            let argumentIndex = 0;
-            for (let operationIndex = 0; operationIndex < argsArray[0].length; operationIndex++) {
-                if (argsArray[0][operationIndex] === pdfjs.OPS.moveTo)
-                    argumentIndex += 2;
-                else if (argsArray[0][operationIndex] === pdfjs.OPS.lineTo)
-                    argumentIndex += 2;
-                else if (argsArray[0][operationIndex] === pdfjs.OPS.rectangle) {
-                    let x1 = argsArray[1][argumentIndex++];
-                    let y1 = argsArray[1][argumentIndex++];
-                    let width = argsArray[1][argumentIndex++];
-                    let height = argsArray[1][argumentIndex++];
-                    let x2 = x1 + width;
-                    let y2 = y1 + height;
-                    [x1, y1] = pdfjs.Util.applyTransform([x1, y1], transform);
-                    [x2, y2] = pdfjs.Util.applyTransform([x2, y2], transform);
-                    width = x2 - x1;
-                    height = y2 - y1;
-                    previousRectangle = { x: x1, y: y1, width: width, height: height };
-                }
-            }
-        }
-        else if ((operators.fnArray[index] === pdfjs.OPS.fill || operators.fnArray[index] === pdfjs.OPS.eoFill) && previousRectangle !== undefined) {
-            lines.push(previousRectangle);
-            previousRectangle = undefined;
-        }
+    return formattedStreetName + ", " + SuburbNames[suburbName];
+}
+// Splits a formatted address (as returned by formatAddress) into its components.
+function parseStructuredAddress(houseNumber, address) {
+    let structuredAddress = { houseNumber: houseNumber, streetName: "", streetType: "", streetSuffix: "", suburb: "", state: "", postcode: "" };
+    // Extract the suburb, state and post code (for example, "PORT MACDONNELL SA 5291").
+    let commaIndex = address.lastIndexOf(",");
+    let street = (commaIndex < 0) ? address : address.substring(0, commaIndex);
+    let suburbMatch = (commaIndex < 0) ? null : /^(.*?)\s+([A-Z]{2,3})\s+([0-9]{4})$/.exec(address.substring(commaIndex + 1).trim());
+    if (suburbMatch !== null) {
+        structuredAddress.suburb = suburbMatch[1];
+        structuredAddress.state = suburbMatch[2];
+        structuredAddress.postcode = suburbMatch[3];
     }
-    // Determine all the horizontal lines and vertical lines that make up the grid.  The following
-    // is careful to ignore the short lines and small rectangles that make up the logo at the top
-    // left of the page (otherwise these would cause problems due to the additional cells that
-    // they would cause to be constructed later).
-    let horizontalLines = [];
-    let verticalLines = [];
-    for (let line of lines) {
-        if (line.height <= 2 && line.width >= 200) {
-            // Identify a horizontal line (these typically extend across the width of the page).
-            horizontalLines.push(line);
-        }
-        else if (line.width <= 2 && line.height >= 10) {
-            // Identify a vertical line (note that these might not be very tall if there are not
-            // many development applications in the grid).
-            verticalLines.push(line);
-        }
-        else if (line.height >= 5 && line.width >= 200) {
-            // Convert the header into two horizonal lines (the header is typically a rectangle
-            // that extends across the width of the page).
-            horizontalLines.push({ x: line.x, y: line.y, width: line.width, height: 1 });
-            horizontalLines.push({ x: line.x, y: line.y + line.height, width: line.width, height: 1 });
-        }
+    else
+        street = address; // the suburb was not found so the address was left as it appeared
+    // Extract the street type and any compass direction that follows it (preferring the street
+    // name as it appears in the street names file, so that any other leading text is ignored).
+    let tokens = (findStreetName(street) || street.trim().toUpperCase()).split(" ").filter(token => token !== "");
+    if (tokens.length > 1 && CompassDirections.includes(tokens[tokens.length - 1]) && StreetTypes.includes(tokens[tokens.length - 2]))
+        structuredAddress.streetSuffix = tokens.pop();
+    if (tokens.length > 1 && StreetTypes.includes(tokens[tokens.length - 1]))
+        structuredAddress.streetType = tokens.pop();
+    structuredAddress.streetName = tokens.join(" ");
+    return structuredAddress;
+}
+// Splits the text of a lot or section cell into the individual lot or section numbers (for
+// example, "1 & 2" becomes [ "1", "2" ]).
+function splitParcelNumbers(text) {
+    return text.split(/\s*(?:&|,|\bAND\b)\s*/i).map(token => token.trim()).filter(token => token !== "" && token !== "-");
+}
+// Parses a PDF document.  The specified URL is the original location of the PDF document (and
+// is used as the information URL of each development application).  The column layout of the
+// council defines the headings used to identify each column and the description rules of the
+// council are used to normalise each description (the address information of the council must
+// already have been read).  Returns the development applications (each with a
+// quality record) and a quality report for the document (which includes any rows and pages that
+// were rejected).  The intermediate results of parsing each page are appended to the specified
+// trace (if any) and the progress and warnings are written to the specified log (the console by
+// default).
+async function parsePdf(buffer, url, council = councils_1.GrantCouncil, trace, log = ConsoleLog) {
+    log(`Reading development applications from ${url}.`);
+    // Parse the PDF.  Note that the buffer is copied because pdf.js reads the entire underlying
+    // memory of the buffer (and a buffer read from a small file may be a slice of a larger, shared
+    // memory pool).  The document is always destroyed afterwards so that the memory used by its
+    // pages is released before the next document is parsed.
+    let pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer), disableFontFace: true, ignoreErrors: true });
+    try {
+        return await parsePdfPages(pdf, url, council, layout_1.readColumnLayout(council.layoutPath), descriptions_1.readDescriptionRules(council.descriptionRulesPath), trace, log);
     }
-    let verticalLineComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
-    verticalLines.sort(verticalLineComparer);
-    let horizontalLineComparer = (a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : 0);
-    horizontalLines.sort(horizontalLineComparer);
-    // Construct cells based on the grid of lines.
-    let cells = [];
-    for (let horizontalLineIndex = 0; horizontalLineIndex < horizontalLines.length - 1; horizontalLineIndex++) {
-        for (let verticalLineIndex = 0; verticalLineIndex < verticalLines.length - 1; verticalLineIndex++) {
-            let horizontalLine = horizontalLines[horizontalLineIndex];
-            let nextHorizontalLine = horizontalLines[horizontalLineIndex + 1];
-            let verticalLine = verticalLines[verticalLineIndex];
-            let nextVerticalLine = verticalLines[verticalLineIndex + 1];
-            cells.push({ elements: [], x: verticalLine.x, y: horizontalLine.y, width: nextVerticalLine.x - verticalLine.x, height: nextHorizontalLine.y - horizontalLine.y });
-        }
+    finally {
+        await pdf.destroy();
+    }
+}
+exports.parsePdf = parsePdf;
+// Parses a retrieved or archived document (see parsePdf).  A document that cannot be parsed at
+// all (for example, an HTML error page returned in place of the PDF document) is reported as a
+// single rejected page instead of stopping the run.  The column layout and description rules are
+// read beforehand so that an error in those files still stops the run.  Returns the development
+// applications, the quality report and whether the document could be parsed.
+async function parseDocument(buffer, url, council) {
+    layout_1.readColumnLayout(council.layoutPath);
+    descriptions_1.readDescriptionRules(council.descriptionRulesPath);
+    try {
+        return Object.assign({}, (await parsePdf(buffer, url, council)), { parsed: true });
+    }
+    catch (error) {
+        console.log(`Rejecting document because it could not be parsed: ${error.message}`);
+        let rejection = { pageNumber: 0, scope: "page", reason: `the document could not be parsed (${error.message})`, rawText: buffer.slice(0, 200).toString() }; // no page could be read (so the raw text is the start of the content)
+        return { developmentApplications: [], report: quality_1.createDocumentReport(url, 0, [], [rejection]), parsed: false };
     }
-    return cells;
-}
-// Parses the text elements from a page of a PDF.
-async function parseElements(page) {
-    let textContent = await page.getTextContent();
-    // Find all the text elements.
-    let elements = textContent.items.map(item => {
-        let transform = item.transform;
-        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
-        // exaggerated).  The problem seems to be that the height value is too large in some
-        // PDFs.  Provide an alternative, more accurate height value by using a calculation
-        // based on the transform matrix.
-        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
-        let x = transform[4];
-        let y = transform[5];
-        let width = item.width;
-        let height = workaroundHeight;
-        return { text: item.str, x: x, y: y, width: width, height: height };
-    });
-    return elements;
 }
-// Parses a PDF document.
-async function parsePdf(url) {
-    console.log(`Reading development applications from ${url}.`);
+// Parses the pages of a PDF document.  Each page has the details of multiple applications.
+async function parsePdfPages(pdf, url, council, layout, descriptionRules, trace, log) {
     let developmentApplications = [];
-    // Read the PDF.
-    let buffer = await request({ url: url, encoding: null, proxy: process.env.MORPH_PROXY });
-    await sleep(2000 + getRandom(0, 5) * 1000);
-    // Parse the PDF.  Each page has the details of multiple applications.
-    let pdf = await pdfjs.getDocument({ data: buffer, disableFontFace: true, ignoreErrors: true });
+    let rejections = [];
+    let previousHeadingCells = undefined; // the column geometry of the previous page
+    let applicationRows = [];
+    let previousApplicationRow = undefined; // the row to which a continuation row is joined
     for (let pageIndex = 0; pageIndex < pdf.numPages; pageIndex++) {
-        console.log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
+        log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
         let page = await pdf.getPage(pageIndex + 1);
-        // Construct cells (ie. rectangles) based on the horizontal and vertical line segments
-        // in the PDF page.
-        let cells = await parseCells(page);
-        // Construct elements based on the text in the PDF page.
-        let elements = await parseElements(page);
-        // The co-ordinate system used in a PDF is typically "upside down" so invert the
-        // co-ordinates (and so this makes the subsequent logic easier to understand).
-        for (let cell of cells)
-            cell.y = -(cell.y + cell.height);
-        for (let element of elements)
-            element.y = -(element.y + element.height);
-        // Sort the cells by approximate Y co-ordinate and then by X co-ordinate.
-        let cellComparer = (a, b) => (Math.abs(a.y - b.y) < 2) ? ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)) : ((a.y > b.y) ? 1 : -1);
-        cells.sort(cellComparer);
-        // Sort the text elements by approximate Y co-ordinate and then by X co-ordinate.
-        let elementComparer = (a, b) => (Math.abs(a.y - b.y) < 1) ? ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)) : ((a.y > b.y) ? 1 : -1);
-        elements.sort(elementComparer);
-        // Allocate each element to an "owning" cell.
-        for (let element of elements) {
-            let ownerCell = cells.find(cell => getPercentageOfElementInCell(element, cell) > 50); // at least 50% of the element must be within the cell deemed to be the owner
-            if (ownerCell !== undefined)
-                ownerCell.elements.push(element);
-        }
-        // Group the cells into rows.
-        let rows = [];
-        for (let cell of cells) {
-            let row = rows.find(row => Math.abs(row[0].y - cell.y) < 2); // approximate Y co-ordinate match
-            if (row === undefined)
-                rows.push([cell]); // start a new row
-            else
-                row.push(cell); // add to an existing row
+        // Reconstruct the grid of cells (grouped into rows) and the text elements that they own
+        // (recording the intermediate results if the parsing is being traced).
+        let pageTrace = undefined;
+        let gridLines = (trace === undefined) ? undefined : { horizontal: [], vertical: [], headerBands: [], ignored: [] };
+        let view = page.view;
+        let { cells, elements, rows } = await grid_1.parseGrid(page, gridLines);
+        if (trace !== undefined) {
+            pageTrace = { pageNumber: pageIndex + 1, view: view, gridLines: gridLines, cells: cells, elements: elements, elementCellIndexes: elements.map(element => cells.findIndex(cell => cell.elements.includes(element))), headingCells: undefined, inheritedHeadings: false, rows: [] };
+            trace.push(pageTrace);
         }
         // Check that there is at least one row (even if it is just the heading row).
         if (rows.length === 0) {
             let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because no rows were found (based on the grid).  Elements: ${elementSummary}`);
+            log(`No development applications can be parsed from the current page because no rows were found (based on the grid).  Elements: ${elementSummary}`);
+            rejections.push({ pageNumber: pageIndex + 1, scope: "page", reason: "no rows were found (based on the grid)", rawText: elementSummary });
+            previousApplicationRow = undefined;
             continue;
         }
         // Ensure the rows are sorted by Y co-ordinate and that the cells in each row are sorted
-        // by X co-ordinate (this is really just a safety precaution because the earlier sorting
-        // of cells in the parseCells function should have already ensured this).
+        // by X co-ordinate and then by Y co-ordinate (this is really just a safety precaution
+        // because the earlier sorting of cells in the parseGrid function should have already
+        // ensured that the rows are sorted; the cells of a row that contains a merged cell are
+        // sorted by X co-ordinate here).
         let rowComparer = (a, b) => (a[0].y > b[0].y) ? 1 : ((a[0].y < b[0].y) ? -1 : 0);
         rows.sort(rowComparer);
-        let rowCellComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
+        let rowCellComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : ((a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : 0)));
         for (let row of rows)
             row.sort(rowCellComparer);
-        // Find the heading cells.
-        let applicationNumberCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "APPLICATION"));
-        let receivedDateCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "RECEIPT"));
-        let houseNumberCell = cells.find(cell => cell.elements.map(element => element.text).join("").replace(/\s/g, "") === "NO.");
-        let lotCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "LOT"));
-        let sectionCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "SECTION/"));
-        let addressCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "PROPERTYADDRESS"));
-        let descriptionCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "DESCRIPTION"));
-        if (applicationNumberCell === undefined) {
-            let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the "APPLICATION" column heading was not found.  Elements: ${elementSummary}`);
-            continue;
+        // Find the heading cells (as defined by the column layout).  A page without the required
+        // headings is assumed to be a continuation of the previous page of the same document and
+        // so the column geometry (ie. the heading cells) of the previous page is used instead.
+        let headingCells = layout_1.findHeadingCells(cells, layout);
+        let missingFields = layout_1.getMissingRequiredFields(headingCells, layout);
+        if (missingFields.length === 0)
+            previousHeadingCells = headingCells;
+        else if (previousHeadingCells !== undefined) {
+            log(`Using the column headings of the previous page because the required "${missingFields.join("\", \"")}" column heading(s) were not found on the current page.`);
+            headingCells = previousHeadingCells;
+            if (pageTrace !== undefined)
+                pageTrace.inheritedHeadings = true;
         }
-        if (addressCell === undefined) {
+        else {
             let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the "PROPERTY ADDRESS" column heading was not found.  Elements: ${elementSummary}`);
+            log(`No development applications can be parsed from the current page because the required "${missingFields.join("\", \"")}" column heading(s) were not found (and there is no previous page from which to use the column headings).  Elements: ${elementSummary}`);
+            rejections.push({ pageNumber: pageIndex + 1, scope: "page", reason: `the required "${missingFields.join("\", \"")}" column heading(s) were not found`, rawText: elementSummary });
+            previousApplicationRow = undefined;
             continue;
         }
-        // Try to extract a development application from each row (some rows, such as the heading
-        // row, will not actually contain a development application).
+        // Collect the cells of each row (one cell for each column, as identified by the heading
+        // cells).  Some rows, such as the heading row, will not contain a development application
+        // and a row that continues the development application above it (possibly on the previous
+        // page) is joined to that row.
+        if (pageTrace !== undefined)
+            pageTrace.headingCells = headingCells;
         for (let row of rows) {
-            let rowApplicationNumberCell = row.find(cell => getHorizontalOverlapPercentage(cell, applicationNumberCell) > 90);
-            let rowReceivedDateCell = row.find(cell => getHorizontalOverlapPercentage(cell, receivedDateCell) > 90);
-            let rowHouseNumberCell = row.find(cell => getHorizontalOverlapPercentage(cell, houseNumberCell) > 90);
-            let rowLotCell = row.find(cell => getHorizontalOverlapPercentage(cell, lotCell) > 90);
-            let rowSectionCell = row.find(cell => getHorizontalOverlapPercentage(cell, sectionCell) > 90);
-            let rowAddressCell = row.find(cell => getHorizontalOverlapPercentage(cell, addressCell) > 90);
-            let rowDescriptionCell = row.find(cell => getHorizontalOverlapPercentage(cell, descriptionCell) > 90);
-            // Construct the application number.
-            if (rowApplicationNumberCell === undefined)
-                continue;
-            let applicationNumber = rowApplicationNumberCell.elements.map(element => element.text).join("").trim();
-            if (!/[0-9]+\/[0-9]+/.test(applicationNumber)) // an application number must be present, for example, "141/17"
-                continue;
-            // Construct the address.
-            if (rowAddressCell === undefined)
-                continue;
-            let hundred = ""; // used in the legal description later
-            let hundredElement = rowAddressCell.elements.pop();
-            if (hundredElement.text.trim().startsWith("HD ") || hundredElement.text.trim().toUpperCase().startsWith("HUNDRED "))
-                hundred = hundredElement.text.replace(/^HD /, "").replace(/^HUNDRED /i, "").trim(); // extract the hundred name from the last element
-            else
-                rowAddressCell.elements.push(hundredElement);
-            let address = rowAddressCell.elements.map(element => element.text).join(", ").replace(/\s\s+/g, " ").trim();
-            address = formatAddress(address);
-            if (address === "" || address.trim() === "-") // an address must be present
-                continue;
-            let houseNumber = "";
-            if (rowHouseNumberCell !== undefined)
-                houseNumber = rowHouseNumberCell.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
-            address = (houseNumber + " " + address).trim();
-            // Construct the description.
-            let description = "";
-            if (rowDescriptionCell !== undefined) {
-                description = rowDescriptionCell.elements.map(element => element.text).join(" ").replace(/\s\s+/g, " ").trim();
-                let truncatedDescription = description.replace(/( - )?BUILDING RULES ONLY$/i, "").replace(/( - )?BUILDING ONLY$/i, "").replace(/( - )?PLANNING ONLY$/i, "").trim();
-                if (truncatedDescription !== "")
-                    description = truncatedDescription;
-                description = description.replace(/\bDW ELLING\b/gi, "DWELLING"); // correct a common problem (an extra space)
+            let rowTrace = { cells: row, outcome: "application" };
+            if (pageTrace !== undefined)
+                pageTrace.rows.push(rowTrace);
+            if (row.includes(headingCells.applicationNumber)) {
+                rowTrace.outcome = "heading";
+                continue; // ignore the heading row
             }
-            // Construct the received date.
-            let receivedDate = moment.invalid();
-            if (rowReceivedDateCell !== undefined && rowReceivedDateCell.elements.length > 0)
-                receivedDate = moment(rowReceivedDateCell.elements[0].text.trim(), "D/MM/YYYY", true);
-            // Construct the legal description.
-            let legalElements = [];
-            let lot = "";
-            if (rowLotCell !== undefined) {
-                lot = rowLotCell.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
-                if (lot !== "")
-                    legalElements.push(`Lot ${lot}`);
+            let applicationRow = { pageNumber: pageIndex + 1, cells: {}, cellTexts: row.map(getCellText), trace: rowTrace };
+            for (let field of Object.keys(headingCells))
+                applicationRow.cells[field] = grid_1.getColumnCell(row, headingCells[field]);
+            if (applicationRow.cells.applicationNumber === undefined || applicationRow.cellTexts.every(cellText => cellText === "")) {
+                rowTrace.outcome = "empty";
+                continue; // ignore any empty rows
             }
-            let section = "";
-            if (rowSectionCell !== undefined) {
-                section = rowSectionCell.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
-                if (section !== "")
-                    legalElements.push(`Section ${section}`);
+            if (previousApplicationRow !== undefined && isContinuationRow(applicationRow)) {
+                log(`Joining a continuation row on page ${pageIndex + 1} to application "${getCellText(previousApplicationRow.cells.applicationNumber)}" above it.`);
+                joinContinuationRow(previousApplicationRow, applicationRow);
+                rowTrace.outcome = "continuation";
+                continue;
             }
-            if (hundred !== "") // extracted from the address earlier
-                legalElements.push(`Hundred ${hundred}`);
-            let legalDescription = legalElements.join(", ");
-            developmentApplications.push({
-                applicationNumber: applicationNumber,
-                address: address,
-                description: ((description === "") ? "NO DESCRIPTION PROVIDED" : description),
-                informationUrl: url,
-                commentUrl: CommentUrl,
-                scrapeDate: moment().format("YYYY-MM-DD"),
-                receivedDate: receivedDate.isValid() ? receivedDate.format("YYYY-MM-DD") : "",
-                legalDescription: legalDescription
-            });
+            applicationRows.push(applicationRow);
+            previousApplicationRow = applicationRow;
         }
     }
-    return developmentApplications;
+    // Try to extract a development application from each row.
+    for (let applicationRow of applicationRows) {
+        let developmentApplication = parseApplicationRow(applicationRow, url, council, descriptionRules, rejections, log);
+        if (developmentApplication !== undefined)
+            developmentApplications.push(developmentApplication);
+        else {
+            applicationRow.trace.outcome = "rejected";
+            applicationRow.trace.reason = rejections[rejections.length - 1].reason;
+        }
+        applicationRow.trace.developmentApplication = developmentApplication;
+    }
+    return { developmentApplications: developmentApplications, report: quality_1.createDocumentReport(url, pdf.numPages, developmentApplications, rejections) };
 }
-// Gets a random integer in the specified range: [minimum, maximum).
-function getRandom(minimum, maximum) {
-    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
+// Gets the text of all the elements in a cell.
+function getCellText(cell) {
+    return (cell === undefined) ? "" : cell.elements.map(element => element.text).join(" ").replace(/\s\s+/g, " ").trim();
 }
-// Pauses for the specified number of milliseconds.
-function sleep(milliseconds) {
-    return new Promise(resolve => setTimeout(resolve, milliseconds));
+// Determines whether a row continues the development application in the row above it.  The
+// details of a development application sometimes wrap onto a second row of the grid, in which
+// case the second row has neither an application number nor a received date.
+function isContinuationRow(applicationRow) {
+    return getCellText(applicationRow.cells.applicationNumber) === "" && getCellText(applicationRow.cells.receivedDate) === "";
 }
-// Parses the development applications.
-async function main() {
-    // Ensure that the database exists.
-    let database = await initializeDatabase();
-    // Read all street, street suffix and suburb information.
-    readAddressInformation();
-    // Read the main page of development applications.
-    console.log(`Retrieving page: ${DevelopmentApplicationsUrl}`);
-    let body = await request({ url: DevelopmentApplicationsUrl, rejectUnauthorized: false, proxy: process.env.MORPH_PROXY });
-    await sleep(2000 + getRandom(0, 5) * 1000);
+// Joins a continuation row to the row above it (appending the elements of each cell of the
+// continuation row to the corresponding cell of the row above).
+function joinContinuationRow(applicationRow, continuationRow) {
+    for (let field of Object.keys(continuationRow.cells)) {
+        let cell = continuationRow.cells[field];
+        if (cell === undefined)
+            continue;
+        if (applicationRow.cells[field] === undefined)
+            applicationRow.cells[field] = cell;
+        else
+            applicationRow.cells[field].elements.push(...cell.elements);
+    }
+    applicationRow.cellTexts.push(...continuationRow.cellTexts);
+}
+// Parses a development application from the cells of a row.  Returns undefined (and records the
+// rejection of the row) if the row does not contain a valid development application.
+function parseApplicationRow(row, url, council, descriptionRules, rejections, log) {
+    let reject = (reason) => rejections.push({ pageNumber: row.pageNumber, scope: "row", reason: reason, rawText: JSON.stringify(row.cellTexts) });
+    // Construct the application number (in its canonical form, for example, "141/17", so that
+    // variants such as "DA 141/2017" are stored as the same development application).
+    let parsedApplicationNumber = applicationnumbers_1.parseApplicationNumber(row.cells.applicationNumber.elements.map(element => element.text).join(""));
+    if (parsedApplicationNumber === undefined) { // an application number must be present
+        reject("no application number was found");
+        return undefined;
+    }
+    let applicationNumber = parsedApplicationNumber.canonical;
+    // Construct the address.
+    let addressCell = row.cells.address;
+    if (addressCell === undefined) {
+        reject("no address cell was found");
+        return undefined;
+    }
+    let hundred = ""; // used in the legal description later
+    let hundredElement = addressCell.elements[addressCell.elements.length - 1];
+    if (hundredElement !== undefined && (hundredElement.text.trim().startsWith("HD ") || hundredElement.text.trim().toUpperCase().startsWith("HUNDRED "))) {
+        hundred = hundredElement.text.replace(/^HD /, "").replace(/^HUNDRED /i, "").trim(); // extract the hundred name from the last element
+        addressCell.elements.pop();
+    }
+    let address = addressCell.elements.map(element => element.text).join(", ").replace(/\s\s+/g, " ").trim();
+    if (address === "" || address === "-") { // an address must be present
+        reject("no address was found");
+        return undefined;
+    }
+    let issues = [];
+    address = formatAddress(address, hundred, issues);
+    let houseNumber = "";
+    if (row.cells.houseNumber !== undefined)
+        houseNumber = row.cells.houseNumber.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
+    let structuredAddress = parseStructuredAddress(houseNumber, address);
+    address = (houseNumber + " " + address).trim();
+    // Construct the description.
+    let descriptionText = (row.cells.description === undefined) ? "" : row.cells.description.elements.map(element => element.text).join(" ");
+    let { description, consentType, developmentCategory, corrections } = descriptions_1.normaliseDescription(descriptionText, descriptionRules);
+    if (corrections.length > 0)
+        log(`Corrected the description of application "${applicationNumber}": ${corrections.join(", ")}.`);
+    // Construct the received date.
+    let receivedDateTexts = (row.cells.receivedDate === undefined) ? [] : row.cells.receivedDate.elements.map(element => element.text);
+    let { receivedDate, issues: receivedDateIssues } = dates_1.parseReceivedDate(receivedDateTexts, applicationNumber);
+    issues.push(...receivedDateIssues);
+    // Construct the legal description.
+    let legalElements = [];
+    let lot = "";
+    if (row.cells.lot !== undefined) {
+        lot = row.cells.lot.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
+        if (lot !== "")
+            legalElements.push(`Lot ${lot}`);
+    }
+    let section = "";
+    if (row.cells.section !== undefined) {
+        section = row.cells.section.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
+        if (section !== "")
+            legalElements.push(`Section ${section}`);
+    }
+    if (hundred !== "") // extracted from the address earlier
+        legalElements.push(`Hundred ${hundred}`);
+    let legalDescription = legalElements.join(", ");
+    let hundredName = findHundredName(hundred);
+    let legalParcel = { lots: splitParcelNumbers(lot), sections: splitParcelNumbers(section), hundred: (hundredName === undefined) ? hundred.toUpperCase() : hundredName };
+    // Record the quality of the development application.
+    if (description === "")
+        issues.push({ field: "description", code: "no-description", message: "no description was found" });
+    for (let issue of issues)
+        log(`Warning for application "${applicationNumber}" (${quality_1.QualityIssueConfidences[issue.code]} confidence in the ${issue.field}): ${issue.message}.`);
+    return {
+        authorityLabel: council.name,
+        applicationNumber: applicationNumber,
+        originalApplicationNumber: parsedApplicationNumber.original,
+        address: address,
+        description: ((description === "") ? descriptions_1.MissingDescription : description),
+        consentType: consentType,
+        developmentCategory: developmentCategory,
+        informationUrl: url,
+        commentUrl: council.commentUrl,
+        scrapeDate: moment().format("YYYY-MM-DD"),
+        receivedDate: receivedDate,
+        legalDescription: legalDescription,
+        structuredAddress: structuredAddress,
+        legalParcel: legalParcel,
+        quality: quality_1.createQualityRecord(issues)
+    };
+}
+// Parses the command line arguments.  For example,
+//
+//     node scraper.js --council all
+//     node scraper.js --time-budget 20 --memory-budget 300
+//     node scraper.js --report report.json
+//     node scraper.js --archive archive
+//     node scraper.js --replay archive --output stdout
+//     node scraper.js --output database csv ndjson:applications.ndjson planningalerts:feed.xml
+//     node scraper.js --retries 6 --timeout 120 --delay 5 --cache cache --ca-file intermediate.pem
+//     node scraper.js --replay "archive/2019-02-16 developmentregister.html" "archive/2019-02-16 DA Register.pdf"
+//
+// where "--council" selects one or more councils to scrape (see councils.ts; the District Council
+// of Grant by default), "--archive" saves every downloaded register page and PDF document (along
+// with its original URL) to the specified directory, "--replay" parses previously archived files
+// (or directories of files) instead of accessing the network, "--output" selects one or more
+// sinks to which the development applications are written (the database by default; see
+// sinks.ts), each optionally followed by a colon and a file name, "--time-budget" (in minutes)
+// and "--memory-budget" (in megabytes) limit how many PDF documents are processed in a single
+// run, "--report" selects where the quality report is written and the remaining options control
+// the requests: "--retries" is the number of times a failed request is retried, "--timeout" (in
+// seconds) limits the wait for each response, "--delay" (in seconds) is the minimum pause after
+// each request, "--cache" selects the directory in which responses are cached ("--no-cache"
+// disables the cache), "--ca-file" adds trusted certificates and "--insecure" disables the
+// verification of TLS certificates.
+function parseArguments(argv) {
+    let options = { archiveDirectory: undefined, replayPaths: [], outputs: [], timeBudget: DefaultTimeBudget, memoryBudget: DefaultMemoryBudget, reportPath: DefaultReportPath, councils: [], fetchOptions: Object.assign({}, fetcher_1.DefaultFetchOptions, { cacheDirectory: DefaultCacheDirectory, proxy: process.env.MORPH_PROXY }) };
+    for (let index = 0; index < argv.length; index++) {
+        let argument = argv[index];
+        if (argument === "--archive" && index + 1 < argv.length)
+            options.archiveDirectory = argv[++index];
+        else if (argument === "--council") {
+            while (index + 1 < argv.length && !argv[index + 1].startsWith("--"))
+                options.councils.push(...councils_1.findCouncils([argv[++index]]));
+        }
+        else if (argument === "--replay") {
+            while (index + 1 < argv.length && !argv[index + 1].startsWith("--"))
+                options.replayPaths.push(argv[++index]);
+        }
+        else if (argument === "--output") {
+            while (index + 1 < argv.length && !argv[index + 1].startsWith("--")) {
+                let output = sinks_1.parseOutputSpecification(argv[++index]);
+                if (output === undefined)
+                    throw new Error(`Unrecognised output "${argv[index]}".  Each output must be one of database, stdout, csv[:<file>], ndjson[:<file>] or planningalerts[:<file>].`);
+                options.outputs.push(output);
+            }
+        }
+        else if (argument === "--time-budget" && index + 1 < argv.length && Number(argv[index + 1]) > 0)
+            options.timeBudget = Number(argv[++index]);
+        else if (argument === "--memory-budget" && index + 1 < argv.length && Number(argv[index + 1]) > 0)
+            options.memoryBudget = Number(argv[++index]);
+        else if (argument === "--report" && index + 1 < argv.length)
+            options.reportPath = argv[++index];
+        else if (argument === "--retries" && index + 1 < argv.length && Number.isInteger(Number(argv[index + 1])) && Number(argv[index + 1]) >= 0)
+            options.fetchOptions.retryCount = Number(argv[++index]);
+        else if (argument === "--timeout" && index + 1 < argv.length && Number(argv[index + 1]) > 0)
+            options.fetchOptions.timeout = Number(argv[++index]) * 1000;
+        else if (argument === "--delay" && index + 1 < argv.length && Number(argv[index + 1]) >= 0)
+            options.fetchOptions.delay = Number(argv[++index]) * 1000;
+        else if (argument === "--cache" && index + 1 < argv.length)
+            options.fetchOptions.cacheDirectory = argv[++index];
+        else if (argument === "--no-cache")
+            options.fetchOptions.cacheDirectory = undefined;
+        else if (argument === "--ca-file" && index + 1 < argv.length)
+            options.fetchOptions.ca = fs.readFileSync(argv[++index]);
+        else if (argument === "--insecure")
+            options.fetchOptions.rejectUnauthorized = false;
+        else
+            throw new Error(`Unrecognised command line argument "${argument}".  Usage: node scraper.js [--council <name>...|all] [--archive <directory>] [--replay <file or directory>...] [--output database|stdout|csv[:<file>]|ndjson[:<file>]|planningalerts[:<file>]...] [--time-budget <minutes>] [--memory-budget <megabytes>] [--report <file>] [--retries <count>] [--timeout <seconds>] [--delay <seconds>] [--cache <directory>|--no-cache] [--ca-file <file>] [--insecure]`);
+    }
+    if (argv.includes("--replay") && options.replayPaths.length === 0)
+        throw new Error("At least one file or directory must be specified after \"--replay\".");
+    if (argv.includes("--output") && options.outputs.length === 0)
+        throw new Error("At least one output must be specified after \"--output\".");
+    if (options.outputs.length === 0)
+        options.outputs.push({ type: "database", filePath: undefined });
+    if (argv.includes("--council") && options.councils.length === 0)
+        throw new Error("At least one council (or \"all\") must be specified after \"--council\".");
+    if (options.councils.length === 0)
+        options.councils.push(councils_1.Councils[0]);
+    options.councils = options.councils.filter((council, index) => options.councils.indexOf(council) === index); // ignore any council selected twice
+    return options;
+}
+// Extracts the URLs of the PDF documents linked from the main page of development applications
+// of a council (the page URL is used to resolve relative links).
+function parseDevelopmentApplicationsPage(body, pageUrl, council) {
     let $ = cheerio.load(body);
     let pdfUrls = [];
-    for (let element of $("h3.generic-list__title a").get()) {
-        let pdfUrl = new urlparser.URL(element.attribs.href, DevelopmentApplicationsUrl).href;
+    for (let element of $(council.linkSelector).get()) {
+        let pdfUrl = new urlparser.URL(element.attribs.href, pageUrl).href;
         if (pdfUrl.toLowerCase().includes(".pdf"))
             if (!pdfUrls.some(url => url === pdfUrl)) // avoid duplicates
                 pdfUrls.push(pdfUrl);
     }
-    // Always parse the most recent PDF file and randomly select one other PDF file to parse.
+    return pdfUrls;
+}
+// Constructs the sinks for the selected outputs.
+function createSinks(database, runId, outputs, councils) {
+    return outputs.map(output => {
+        if (output.type === "database")
+            return createDatabaseSink(database, runId);
+        else if (output.type === "stdout")
+            return sinks_1.createStandardOutputSink();
+        // Each file holds the full register of the selected councils (when there is a database).
+        let sink;
+        if (output.type === "csv")
+            sink = sinks_1.createCsvSink(output.filePath);
+        else if (output.type === "ndjson")
+            sink = sinks_1.createNdjsonSink(output.filePath);
+        else
+            sink = sinks_1.createPlanningAlertsSink(output.filePath, councils);
+        return (database === undefined) ? sink : sinks_1.createRegisterSink(sink, () => readStoredApplications(database, councils));
+    });
+}
+// Reads every development application stored for the specified councils (in the order that they
+// were first stored).
+async function readStoredApplications(database, councils) {
+    let rows = await database_1.getRows(database, `select * from [data] where [authority_label] in (${councils.map(() => "?").join(", ")}) order by [rowid]`, councils.map(council => council.name));
+    return rows.map(sinks_1.getDevelopmentApplication);
+}
+// Selects the archived files of a council (those retrieved from the same host as the register of
+// the council).  When only a single council is selected every archived file is assumed to belong
+// to that council.
+function selectArchivedFiles(archivedFiles, council, councils) {
+    if (councils.length === 1)
+        return archivedFiles;
+    let host = new urlparser.URL(council.registerUrl).host;
+    return archivedFiles.filter(archivedFile => new urlparser.URL(archivedFile.url).host === host);
+}
+exports.selectArchivedFiles = selectArchivedFiles;
+// Parses the development applications of a council from previously archived register pages and
+// PDF documents (without accessing the network).  Each parsed document is recorded against the
+// run (unless there is no database).
+async function replay(council, archivedFiles, database, runId, sinks, progress, reports, tracker) {
+    let archivedPdfFiles = archivedFiles.filter(archivedFile => archivedFile.type === "pdf");
+    // Extract the PDF links from any archived register pages and parse the corresponding archived
+    // PDF documents in the same order that they appear on the register page.  Any remaining PDF
+    // documents (that were specified explicitly or are not linked from a register page) are then
+    // parsed afterwards.
+    let selectedPdfFiles = [];
+    for (let archivedFile of archivedFiles.filter(archivedFile => archivedFile.type === "html")) {
+        console.log(`Reading archived page: ${archivedFile.path} (originally ${archivedFile.url})`);
+        let pdfUrls = parseDevelopmentApplicationsPage(fs.readFileSync(archivedFile.path).toString(), archivedFile.url, council);
+        console.log(`Found ${pdfUrls.length} PDF file(s) linked from the archived page.`);
+        for (let pdfUrl of pdfUrls) {
+            let archivedPdfFile = archivedPdfFiles.find(archivedPdfFile => archivedPdfFile.url === pdfUrl);
+            if (archivedPdfFile === undefined)
+                console.log(`Ignoring ${pdfUrl} because it has not been archived.`);
+            else if (!selectedPdfFiles.includes(archivedPdfFile))
+                selectedPdfFiles.push(archivedPdfFile);
+        }
+    }
+    for (let archivedPdfFile of archivedPdfFiles)
+        if (!selectedPdfFiles.includes(archivedPdfFile))
+            selectedPdfFiles.push(archivedPdfFile);
+    if (selectedPdfFiles.length === 0) {
+        console.log(`No archived PDF files were found for the ${council.authorityName}.`);
+        return;
+    }
+    for (let archivedPdfFile of selectedPdfFiles) {
+        console.log(`Parsing archived document: ${archivedPdfFile.path} (originally ${archivedPdfFile.url})`);
+        let { developmentApplications, report, parsed } = await parseDocument(fs.readFileSync(archivedPdfFile.path), archivedPdfFile.url, council);
+        reports.push(report);
+        console.log(`Parsed ${developmentApplications.length} development ${(developmentApplications.length == 1) ? "application" : "applications"} from document: ${archivedPdfFile.url}`);
+        if (global.gc)
+            global.gc();
+        await duplicates_1.mergeDuplicates(tracker, developmentApplications, report.url);
+        await sinks_1.saveToSinks(sinks, report.url, developmentApplications, report.rejections, progress);
+        if (database !== undefined)
+            await runs_1.recordRunDocument(database, runId, archivedPdfFile.url, parsed ? "parsed" : "failed", developmentApplications.length, report.rejections.length);
+    }
+}
+exports.replay = replay;
+// Parses the development applications.
+async function main() {
+    let options = parseArguments(process.argv.slice(2));
+    // Log to standard error when the development applications themselves are being written to
+    // standard output (so that the two do not become intermingled).
+    if (options.outputs.some(output => output.type === "stdout"))
+        console.log = console.error;
+    // Read any archived files first (so that a missing archive is reported before any output is
+    // started).
+    let archivedFiles = (options.replayPaths.length > 0) ? archive_1.readArchivedFiles(options.replayPaths) : undefined;
+    // Ensure that the database exists (this also records which PDF documents have been parsed,
+    // so it is only omitted when replaying archived files to outputs other than the database).
+    let database = (options.outputs.some(output => output.type === "database") || options.replayPaths.length === 0) ? await initializeDatabase() : undefined;
+    let runId = (database === undefined) ? undefined : await runs_1.startRun(database, (options.replayPaths.length > 0) ? "replay" : "crawl", options.councils);
+    let sinks = createSinks(database, runId, options.outputs, options.councils);
+    // Scrape each selected council in turn (after reading all the street, street suffix and
+    // suburb information of the council).  Parse previously archived files if requested (instead
+    // of accessing the network).  Finish by closing the sinks (which completes the output files
+    // and logs a summary of the progress of each sink) and writing a quality report for the
+    // parsed documents.  The sinks are closed and the report is written even if an error stops
+    // the run (so that the applications saved before the error are not lost), in which case the
+    // run is recorded as failed.
+    let startTime = Date.now();
+    let progress = sinks_1.createProgress(sinks);
+    let reports = [];
+    let tracker = duplicates_1.createDuplicateTracker((database === undefined) ? undefined : (authorityLabel, applicationNumber) => findStoredApplication(database, authorityLabel, applicationNumber));
+    let status = "failed";
+    try {
+        for (let council of options.councils) {
+            console.log(`Scraping the ${council.authorityName}.`);
+            readAddressInformation(council);
+            if (archivedFiles !== undefined)
+                await replay(council, selectArchivedFiles(archivedFiles, council, options.councils), database, runId, sinks, progress, reports, tracker);
+            else
+                await crawl(council, database, runId, options, startTime, sinks, progress, reports, tracker);
+        }
+        status = "complete";
+    }
+    finally {
+        await sinks_1.closeSinks(sinks, progress);
+        quality_1.writeReport(options.reportPath, reports, duplicates_1.getDuplicateReport(tracker));
+        if (database !== undefined)
+            await runs_1.finishRun(database, runId, status);
+    }
+}
+// Gets the options used to retrieve the register of a council.  The trusted certificates or the
+// disabled verification of TLS certificates configured for the council apply unless certificates
+// were supplied on the command line (with "--ca-file").
+function getCouncilFetchOptions(council, fetchOptions) {
+    if (fetchOptions.ca !== undefined)
+        return fetchOptions;
+    if (council.caPath !== undefined)
+        return Object.assign({}, fetchOptions, { ca: fs.readFileSync(council.caPath) });
+    if (council.insecure && fetchOptions.rejectUnauthorized) {
+        console.log(`Not verifying TLS certificates for the ${council.authorityName} (as configured in councils.ts).`);
+        return Object.assign({}, fetchOptions, { rejectUnauthorized: false });
+    }
+    return fetchOptions;
+}
+// Parses the development applications from the PDF documents linked from the main page of
+// development applications (recording each document processed against the run).
+async function crawl(council, database, runId, options, startTime, sinks, progress, reports, tracker) {
+    // Read the main page of development applications.
+    console.log(`Retrieving page: ${council.registerUrl}`);
+    let fetchOptions = getCouncilFetchOptions(council, options.fetchOptions);
+    let body = (await fetcher_1.fetchUrl(council.registerUrl, fetchOptions)).body.toString();
+    if (options.archiveDirectory !== undefined)
+        archive_1.archiveFile(options.archiveDirectory, council.registerUrl, body, "html");
+    let pdfUrls = parseDevelopmentApplicationsPage(body, council.registerUrl, council);
     if (pdfUrls.length === 0) {
         console.log("No PDF URLs were found on the page.");
         return;
     }
-    console.log(`Found ${pdfUrls.length} PDF file(s).  Selecting two to parse.`);
-    // Select the most recent PDF.  And randomly select one other PDF (avoid processing all PDFs
-    // at once because this may use too much memory, resulting in morph.io terminating the current
-    // process).
-    let selectedPdfUrls = [];
-    selectedPdfUrls.push(pdfUrls.shift());
-    if (pdfUrls.length > 0)
-        selectedPdfUrls.push(pdfUrls[getRandom(0, pdfUrls.length)]);
-    if (getRandom(0, 2) === 0)
-        selectedPdfUrls.reverse();
+    // Determine the order in which to process the PDF documents.  Documents that have never been
+    // parsed are processed first (in the order that they appear on the register, so the most
+    // recent first).  Then previously parsed documents are checked for changes (those checked
+    // least recently first), along with any documents that could not be parsed (so that a
+    // corrupt document is not retried ahead of the others in every run).  Only as many documents
+    // as fit within the time and memory budgets are processed, so the remaining documents are
+    // processed in subsequent runs.
+    for (let pdfUrl of pdfUrls)
+        await recordDocumentSeen(database, pdfUrl);
+    let documents = await readDocuments(database);
+    let unparsedPdfUrls = pdfUrls.filter(pdfUrl => documents.get(pdfUrl).last_checked === null);
+    let parsedPdfUrls = pdfUrls.filter(pdfUrl => documents.get(pdfUrl).last_checked !== null);
+    parsedPdfUrls.sort((a, b) => documents.get(a).last_checked.localeCompare(documents.get(b).last_checked));
+    let selectedPdfUrls = unparsedPdfUrls.concat(parsedPdfUrls);
+    console.log(`Found ${pdfUrls.length} PDF file(s), of which ${unparsedPdfUrls.length} have not yet been parsed.  Processing within a budget of ${options.timeBudget} minute(s) and ${options.memoryBudget} MB.`);
+    let processedCount = 0;
     for (let pdfUrl of selectedPdfUrls) {
+        // Stop once the time or memory budget has been exhausted (but always process at least one
+        // document so that every run makes progress).
+        let elapsedMinutes = (Date.now() - startTime) / (60 * 1000); // since the run started (the budgets are shared by all the councils)
+        let memoryUsage = process.memoryUsage().rss / (1024 * 1024); // the resident set size (which, unlike the heap, includes the buffers of the documents and is what morph.io limits)
+        if (processedCount > 0 && (elapsedMinutes >= options.timeBudget || memoryUsage >= options.memoryBudget)) {
+            console.log(`Stopping after ${processedCount} of ${selectedPdfUrls.length} PDF file(s) because the budget has been reached (${Math.round(elapsedMinutes)} minute(s) elapsed and ${Math.round(memoryUsage)} MB in use).  The remaining files will be processed in a subsequent run.`);
+            break;
+        }
+        processedCount++;
+        console.log(`Retrieving document: ${pdfUrl}`);
+        // A document that cannot be retrieved (even after retrying) is skipped, so that it is
+        // retrieved again in a subsequent run (because it has not been recorded as checked).
+        let buffer;
+        let fromCache;
+        try {
+            ({ body: buffer, fromCache } = await fetcher_1.fetchUrl(pdfUrl, fetchOptions));
+        }
+        catch (error) {
+            console.log(`Skipping document because it could not be retrieved: ${error.message}`);
+            await runs_1.recordRunDocument(database, runId, pdfUrl, "failed");
+            continue;
+        }
+        if (fromCache)
+            console.log(`Using the cached copy of the document because it has not changed on the server: ${pdfUrl}`);
+        if (options.archiveDirectory !== undefined)
+            archive_1.archiveFile(options.archiveDirectory, pdfUrl, buffer, "pdf");
+        // Avoid parsing a document again if its content has not changed since it was last parsed
+        // (or since it was found to be impossible to parse).
+        let contentHash = crypto.createHash("sha256").update(buffer).digest("hex");
+        let document = documents.get(pdfUrl);
+        if (document.content_hash === contentHash) {
+            if (document.last_parsed === null)
+                console.log(`Ignoring document because it could not be parsed when it was checked on ${document.last_checked} and has not changed since: ${pdfUrl}`);
+            else
+                console.log(`Ignoring document because it has not changed since it was parsed on ${document.last_parsed}: ${pdfUrl}`);
+            await recordDocumentChecked(database, pdfUrl, contentHash);
+            await runs_1.recordRunDocument(database, runId, pdfUrl, "unchanged");
+            continue;
+        }
         console.log(`Parsing document: ${pdfUrl}`);
-        let developmentApplications = await parsePdf(pdfUrl);
+        let { developmentApplications, report, parsed } = await parseDocument(buffer, pdfUrl, council);
+        reports.push(report);
+        buffer = undefined;
         console.log(`Parsed ${developmentApplications.length} development ${(developmentApplications.length == 1) ? "application" : "applications"} from document: ${pdfUrl}`);
         // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the
         // current process being terminated by morph.io).
         if (global.gc)
             global.gc();
-        console.log("Inserting development applications into the database.");
-        for (let developmentApplication of developmentApplications)
-            await insertRow(database, developmentApplication);
+        await duplicates_1.mergeDuplicates(tracker, developmentApplications, report.url);
+        await sinks_1.saveToSinks(sinks, report.url, developmentApplications, report.rejections, progress);
+        await recordDocumentChecked(database, pdfUrl, contentHash, parsed ? developmentApplications.length : undefined);
+        await runs_1.recordRunDocument(database, runId, pdfUrl, parsed ? "parsed" : "failed", developmentApplications.length, report.rejections.length);
     }
 }
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsaUdBQWlHO0FBQ2pHLGlDQUFpQztBQUNqQyxFQUFFO0FBQ0YsZUFBZTtBQUNmLHFCQUFxQjtBQUVyQixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLG1DQUFtQztBQUNuQyxrREFBa0Q7QUFDbEQsbUNBQW1DO0FBQ25DLGlDQUFpQztBQUNqQyxpQ0FBaUM7QUFDakMsb0NBQW9DO0FBQ3BDLHlFQUFzRDtBQUV0RCxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7QUFFbEIsTUFBTSwwQkFBMEIsR0FBRyxxRkFBcUYsQ0FBQztBQUN6SCxNQUFNLFVBQVUsR0FBRywrQkFBK0IsQ0FBQztBQUluRCx1QkFBdUI7QUFFdkIsSUFBSSxXQUFXLEdBQUcsSUFBSSxDQUFDO0FBQ3ZCLElBQUksY0FBYyxHQUFJLElBQUksQ0FBQztBQUMzQixJQUFJLFdBQVcsR0FBRyxJQUFJLENBQUM7QUFFdkIsOEJBQThCO0FBRTlCLEtBQUssVUFBVSxrQkFBa0I7SUFDN0IsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuQyxJQUFJLFFBQVEsR0FBRyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDbkQsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUU7WUFDcEIsUUFBUSxDQUFDLEdBQUcsQ0FBQyx3TkFBd04sQ0FBQyxDQUFDO1lBQ3ZPLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUN0QixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELG1FQUFtRTtBQUVuRSxLQUFLLFVBQVUsU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0I7SUFDckQsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuQyxJQUFJLFlBQVksR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLCtEQUErRCxDQUFDLENBQUM7UUFDckcsWUFBWSxDQUFDLEdBQUcsQ0FBQztZQUNiLHNCQUFzQixDQUFDLGlCQUFpQjtZQUN4QyxzQkFBc0IsQ0FBQyxPQUFPO1lBQzlCLHNCQUFzQixDQUFDLFdBQVc7WUFDbEMsc0JBQXNCLENBQUMsY0FBYztZQUNyQyxzQkFBc0IsQ0FBQyxVQUFVO1lBQ2pDLHNCQUFzQixDQUFDLFVBQVU7WUFDakMsc0JBQXNCLENBQUMsWUFBWTtZQUNuQyxzQkFBc0IsQ0FBQyxnQkFBZ0I7U0FDMUMsRUFBRSxVQUFTLEtBQUssRUFBRSxHQUFHO1lBQ2xCLElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjtpQkFBTTtnQkFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLDJCQUEyQixzQkFBc0IsQ0FBQyxpQkFBaUIscUJBQXFCLHNCQUFzQixDQUFDLE9BQU8scUJBQXFCLHNCQUFzQixDQUFDLFdBQVcsMkJBQTJCLHNCQUFzQixDQUFDLGdCQUFnQiwwQkFBMEIsc0JBQXNCLENBQUMsWUFBWSxxQkFBcUIsQ0FBQyxDQUFDO2dCQUMvVSxZQUFZLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBRSxxQkFBcUI7Z0JBQy9DLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNoQjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBdUJELHlEQUF5RDtBQUV6RCxTQUFTLHNCQUFzQjtJQUMzQix5QkFBeUI7SUFFekIsV0FBVyxHQUFHLEVBQUUsQ0FBQTtJQUNoQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNsRyxJQUFJLGdCQUFnQixHQUFHLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDckQsSUFBSSxVQUFVLEdBQUcsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDNUMsSUFBSSxVQUFVLEdBQUcsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDNUMsQ0FBQyxXQUFXLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsVUFBVSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBRSxxREFBcUQ7S0FDdkk7SUFFRCw0QkFBNEI7SUFFNUIsY0FBYyxHQUFHLEVBQUUsQ0FBQztJQUNwQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsb0JBQW9CLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNyRyxJQUFJLGtCQUFrQixHQUFHLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDdkQsY0FBYyxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEdBQUcsa0JBQWtCLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7S0FDL0U7SUFFRCx5QkFBeUI7SUFFekIsV0FBVyxHQUFHLEVBQUUsQ0FBQztJQUNqQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNsRyxJQUFJLFlBQVksR0FBRyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBRWpELElBQUksVUFBVSxHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUN4QyxXQUFXLENBQUMsVUFBVSxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ2pELElBQUksVUFBVSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsRUFBRTtZQUNqQyxXQUFXLENBQUMsS0FBSyxHQUFHLFVBQVUsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1lBQ3BGLFdBQVcsQ0FBQyxLQUFLLEdBQUcsVUFBVSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDcEYsV0FBVyxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztTQUN4RjtLQUNKO0FBQ0wsQ0FBQztBQUVELG9GQUFvRjtBQUVwRixTQUFTLFNBQVMsQ0FBQyxVQUFxQixFQUFFLFVBQXFCO0lBQzNELElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUMsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM5QyxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssRUFBRSxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNwRixJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLE1BQU0sRUFBRSxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN0RixJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUU7UUFDcEIsT0FBTyxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxNQUFNLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDOztRQUV6RCxPQUFPLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0FBQ25ELENBQUM7QUFFRCxpR0FBaUc7QUFDakcsaUdBQWlHO0FBRWpHLFNBQVMsNEJBQTRCLENBQUMsT0FBZ0IsRUFBRSxJQUFVO0lBQzlELElBQUksV0FBVyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUNuQyxJQUFJLGdCQUFnQixHQUFHLE9BQU8sQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDekQsT0FBTyxDQUFDLFdBQVcsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsZ0JBQWdCLEdBQUcsR0FBRyxDQUFDLEdBQUcsV0FBVyxDQUFDLENBQUM7QUFDOUUsQ0FBQztBQUVELHNDQUFzQztBQUV0QyxTQUFTLE9BQU8sQ0FBQyxTQUFvQjtJQUNqQyxPQUFPLFNBQVMsQ0FBQyxLQUFLLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQztBQUM5QyxDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLHVCQUF1QjtBQUV2QixTQUFTLDhCQUE4QixDQUFDLFVBQXFCLEVBQUUsVUFBcUI7SUFDaEYsSUFBSSxVQUFVLEtBQUssU0FBUyxJQUFJLFVBQVUsS0FBSyxTQUFTO1FBQ3BELE9BQU8sQ0FBQyxDQUFDO0lBRWIsSUFBSSxPQUFPLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQztJQUMzQixJQUFJLEtBQUssR0FBRyxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUM7SUFFNUMsSUFBSSxPQUFPLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQztJQUMzQixJQUFJLEtBQUssR0FBRyxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUM7SUFFNUMsSUFBSSxPQUFPLElBQUksS0FBSyxJQUFJLEtBQUssSUFBSSxPQUFPLElBQUksVUFBVSxDQUFDLEtBQUssS0FBSyxDQUFDLElBQUksVUFBVSxDQUFDLEtBQUssS0FBSyxDQUFDO1FBQ3hGLE9BQU8sQ0FBQyxDQUFDO0lBRWIsSUFBSSxpQkFBaUIsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQztJQUM1RSxJQUFJLFVBQVUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQztJQUVyRSxPQUFPLENBQUMsaUJBQWlCLEdBQUcsR0FBRyxDQUFDLEdBQUcsVUFBVSxDQUFDO0FBQ2xELENBQUM7QUFFRCxnQ0FBZ0M7QUFFaEMsU0FBUyxnQkFBZ0IsQ0FBQyxJQUFZO0lBQ2xDLElBQUksSUFBSSxLQUFLLFNBQVM7UUFDbEIsT0FBTyxJQUFJLENBQUM7SUFFaEIsSUFBSSxNQUFNLEdBQUcsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUVsRCwwRUFBMEU7SUFFMUUsSUFBSSxLQUFLLEdBQUcsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ3pCLElBQUksWUFBWSxHQUFHLGNBQWMsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUN6QyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsWUFBWSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDO0lBRWpFLDBGQUEwRjtJQUMxRiwwRkFBMEY7SUFDMUYsMkZBQTJGO0lBQzNGLG9CQUFvQjtJQUVwQixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRTtRQUNuQyxJQUFJLFdBQVcsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssU0FBUztZQUN6RCxPQUFPLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBRSxtRkFBbUY7SUFFckgsMEZBQTBGO0lBQzFGLGdDQUFnQztJQUVoQyxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3JDLElBQUksU0FBUyxHQUFHLENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBRSxnRkFBZ0Y7UUFDNUcsSUFBSSxlQUFlLEdBQVcscUJBQVUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLEVBQUUsRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLFVBQVUsRUFBRSxVQUFVLENBQUMsZUFBZSxDQUFDLG1CQUFtQixFQUFFLGFBQWEsRUFBRSxVQUFVLENBQUMsa0JBQWtCLENBQUMsYUFBYSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7UUFDN1IsSUFBSSxlQUFlLEtBQUssSUFBSSxFQUFFO1lBQzFCLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBRSx1REFBdUQ7WUFDdEYsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsR0FBRyxHQUFHLGVBQWUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUUsNkRBQTZEO1NBQzNIO0tBQ0o7SUFFRCxPQUFPLElBQUksQ0FBQztBQUNoQixDQUFDO0FBRUQsaUZBQWlGO0FBRWpGLFNBQVMsYUFBYSxDQUFDLE9BQWU7SUFDbEMsMERBQTBEO0lBRTFELE9BQU8sR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLFdBQVcsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLGVBQWUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxZQUFZLEVBQUUsZUFBZSxDQUFDLENBQUM7SUFFOUssNkZBQTZGO0lBQzdGLHdCQUF3QjtJQUV4QixJQUFJLFVBQVUsR0FBRyxPQUFPLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzFDLElBQUksVUFBVSxHQUFHLENBQUM7UUFDZCxPQUFPLE9BQU8sQ0FBQztJQUNuQixJQUFJLFVBQVUsR0FBRyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQztJQUNsRCxJQUFJLFVBQVUsR0FBRyxPQUFPLENBQUMsU0FBUyxDQUFDLFVBQVUsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUVuRCxrREFBa0Q7SUFFbEQsVUFBVSxHQUFXLHFCQUFVLENBQUMsVUFBVSxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLEVBQUUsRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLFVBQVUsRUFBRSxVQUFVLENBQUMsZUFBZSxDQUFDLG1CQUFtQixFQUFFLGFBQWEsRUFBRSxVQUFVLENBQUMsa0JBQWtCLENBQUMsYUFBYSxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7SUFDeFAsSUFBSSxVQUFVLEtBQUssSUFBSTtRQUNuQixPQUFPLE9BQU8sQ0FBQztJQUVuQiwyRkFBMkY7SUFFM0YsT0FBTyxnQkFBZ0IsQ0FBQyxVQUFVLENBQUMsR0FBRyxJQUFJLEdBQUcsV0FBVyxDQUFDLFVBQVUsQ0FBQyxDQUFDO0FBQ3pFLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsU0FBUztBQUVULEtBQUssVUFBVSxVQUFVLENBQUMsSUFBSTtJQUMxQixJQUFJLFNBQVMsR0FBRyxNQUFNLElBQUksQ0FBQyxlQUFlLEVBQUUsQ0FBQztJQUU3Qyx5RkFBeUY7SUFDekYsaUNBQWlDO0lBRWpDLElBQUksS0FBSyxHQUFnQixFQUFFLENBQUM7SUFFNUIsSUFBSSxpQkFBaUIsR0FBRyxTQUFTLENBQUM7SUFDbEMsSUFBSSxjQUFjLEdBQUcsRUFBRSxDQUFDO0lBQ3hCLElBQUksU0FBUyxHQUFHLENBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUUsQ0FBQztJQUNyQyxjQUFjLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBRS9CLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxTQUFTLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUMzRCxJQUFJLFNBQVMsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBRTNDLElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxLQUFLLENBQUMsR0FBRyxDQUFDLE9BQU87WUFDOUMsU0FBUyxHQUFHLGNBQWMsQ0FBQyxHQUFHLEVBQUUsQ0FBQzthQUNoQyxJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJO1lBQ2hELGNBQWMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7YUFDOUIsSUFBSSxTQUFTLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLEtBQUssQ0FBQyxHQUFHLENBQUMsU0FBUztZQUNyRCxTQUFTLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsU0FBUyxFQUFFLFNBQVMsQ0FBQyxDQUFDO2FBQ3RELElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxLQUFLLENBQUMsR0FBRyxDQUFDLGFBQWEsRUFBRTtZQUMzRCxJQUFJLGFBQWEsR0FBRyxDQUFDLENBQUM7WUFDdEIsS0FBSyxJQUFJLGNBQWMsR0FBRyxDQUFDLEVBQUUsY0FBYyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsY0FBYyxFQUFFLEVBQUU7Z0JBQ2pGLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxLQUFLLEtBQUssQ0FBQyxHQUFHLENBQUMsTUFBTTtvQkFDakQsYUFBYSxJQUFJLENBQUMsQ0FBQztxQkFDbEIsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxNQUFNO29CQUN0RCxhQUFhLElBQUksQ0FBQyxDQUFDO3FCQUNsQixJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxjQUFjLENBQUMsS0FBSyxLQUFLLENBQUMsR0FBRyxDQUFDLFNBQVMsRUFBRTtvQkFDM0QsSUFBSSxFQUFFLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsRUFBRSxDQUFDLENBQUM7b0JBQ3ZDLElBQUksRUFBRSxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxhQUFhLEVBQUUsQ0FBQyxDQUFDO29CQUN2QyxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsYUFBYSxFQUFFLENBQUMsQ0FBQztvQkFDMUMsSUFBSSxNQUFNLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsRUFBRSxDQUFDLENBQUM7b0JBQzNDLElBQUksRUFBRSxHQUFHLEVBQUUsR0FBRyxLQUFLLENBQUM7b0JBQ3BCLElBQUksRUFBRSxHQUFHLEVBQUUsR0FBRyxNQUFNLENBQUM7b0JBQ3JCLENBQUMsRUFBRSxFQUFFLEVBQUUsQ0FBQyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLENBQUMsRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO29CQUMxRCxDQUFDLEVBQUUsRUFBRSxFQUFFLENBQUMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxFQUFFLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztvQkFDMUQsS0FBSyxHQUFHLEVBQUUsR0FBRyxFQUFFLENBQUM7b0JBQ2hCLE1BQU0sR0FBRyxFQUFFLEdBQUcsRUFBRSxDQUFDO29CQUNqQixpQkFBaUIsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsQ0FBQztpQkFDdEU7YUFDSjtTQUNKO2FBQU0sSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxLQUFLLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFpQixLQUFLLFNBQVMsRUFBRTtZQUMxSSxLQUFLLENBQUMsSUFBSSxDQUFDLGlCQUFpQixDQUFDLENBQUM7WUFDOUIsaUJBQWlCLEdBQUcsU0FBUyxDQUFDO1NBQ2pDO0tBQ0o7SUFFRCw4RkFBOEY7SUFDOUYsNkZBQTZGO0lBQzdGLDBGQUEwRjtJQUMxRiw2Q0FBNkM7SUFFN0MsSUFBSSxlQUFlLEdBQWdCLEVBQUUsQ0FBQztJQUN0QyxJQUFJLGFBQWEsR0FBZ0IsRUFBRSxDQUFDO0lBRXBDLEtBQUssSUFBSSxJQUFJLElBQUksS0FBSyxFQUFFO1FBQ3BCLElBQUksSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksSUFBSSxDQUFDLEtBQUssSUFBSSxHQUFHLEVBQUU7WUFDdkMsb0ZBQW9GO1lBRXBGLGVBQWUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDOUI7YUFBTSxJQUFJLElBQUksQ0FBQyxLQUFLLElBQUksQ0FBQyxJQUFJLElBQUksQ0FBQyxNQUFNLElBQUksRUFBRSxFQUFFO1lBQzdDLG9GQUFvRjtZQUNwRiw4Q0FBOEM7WUFFOUMsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUM1QjthQUFNLElBQUksSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksSUFBSSxDQUFDLEtBQUssSUFBSSxHQUFHLEVBQUU7WUFDOUMsbUZBQW1GO1lBQ25GLDhDQUE4QztZQUU5QyxlQUFlLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDN0UsZUFBZSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUM7U0FDOUY7S0FDSjtJQUVELElBQUksb0JBQW9CLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzlFLGFBQWEsQ0FBQyxJQUFJLENBQUMsb0JBQW9CLENBQUMsQ0FBQztJQUV6QyxJQUFJLHNCQUFzQixHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNoRixlQUFlLENBQUMsSUFBSSxDQUFDLHNCQUFzQixDQUFDLENBQUM7SUFFN0MsOENBQThDO0lBRTlDLElBQUksS0FBSyxHQUFXLEVBQUUsQ0FBQztJQUV2QixLQUFLLElBQUksbUJBQW1CLEdBQUcsQ0FBQyxFQUFFLG1CQUFtQixHQUFHLGVBQWUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLG1CQUFtQixFQUFFLEVBQUU7UUFDdkcsS0FBSyxJQUFJLGlCQUFpQixHQUFHLENBQUMsRUFBRSxpQkFBaUIsR0FBRyxhQUFhLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxpQkFBaUIsRUFBRSxFQUFFO1lBQy9GLElBQUksY0FBYyxHQUFHLGVBQWUsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO1lBQzFELElBQUksa0JBQWtCLEdBQUcsZUFBZSxDQUFDLG1CQUFtQixHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQ2xFLElBQUksWUFBWSxHQUFHLGFBQWEsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1lBQ3BELElBQUksZ0JBQWdCLEdBQUcsYUFBYSxDQUFDLGlCQUFpQixHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQzVELEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxjQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUMsRUFBRSxNQUFNLEVBQUUsa0JBQWtCLENBQUMsQ0FBQyxHQUFHLGNBQWMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1NBQ3JLO0tBQ0o7SUFFRCxPQUFPLEtBQUssQ0FBQztBQUNqQixDQUFDO0FBRUQsaURBQWlEO0FBRWpELEtBQUssVUFBVSxhQUFhLENBQUMsSUFBSTtJQUM3QixJQUFJLFdBQVcsR0FBRyxNQUFNLElBQUksQ0FBQyxjQUFjLEVBQUUsQ0FBQztJQUU5Qyw4QkFBOEI7SUFFOUIsSUFBSSxRQUFRLEdBQWMsV0FBVyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDbkQsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztRQUUvQixtRkFBbUY7UUFDbkYsb0ZBQW9GO1FBQ3BGLG1GQUFtRjtRQUNuRixpQ0FBaUM7UUFFakMsSUFBSSxnQkFBZ0IsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBRTVGLElBQUksQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNyQixJQUFJLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDckIsSUFBSSxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQztRQUN2QixJQUFJLE1BQU0sR0FBRyxnQkFBZ0IsQ0FBQztRQUU5QixPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxDQUFDO0lBQ3hFLENBQUMsQ0FBQyxDQUFDO0lBRUgsT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQUVELHlCQUF5QjtBQUV6QixLQUFLLFVBQVUsUUFBUSxDQUFDLEdBQVc7SUFDL0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyx5Q0FBeUMsR0FBRyxHQUFHLENBQUMsQ0FBQztJQUU3RCxJQUFJLHVCQUF1QixHQUFHLEVBQUUsQ0FBQztJQUVqQyxnQkFBZ0I7SUFFaEIsSUFBSSxNQUFNLEdBQUcsTUFBTSxPQUFPLENBQUMsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztJQUN6RixNQUFNLEtBQUssQ0FBQyxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztJQUUzQyxzRUFBc0U7SUFFdEUsSUFBSSxHQUFHLEdBQUcsTUFBTSxLQUFLLENBQUMsV0FBVyxDQUFDLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQy9GLEtBQUssSUFBSSxTQUFTLEdBQUcsQ0FBQyxFQUFFLFNBQVMsR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLFNBQVMsRUFBRSxFQUFFO1FBQzNELE9BQU8sQ0FBQyxHQUFHLENBQUMsOENBQThDLFNBQVMsR0FBRyxDQUFDLE9BQU8sR0FBRyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7UUFDL0YsSUFBSSxJQUFJLEdBQUcsTUFBTSxHQUFHLENBQUMsT0FBTyxDQUFDLFNBQVMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUU1QyxzRkFBc0Y7UUFDdEYsbUJBQW1CO1FBRW5CLElBQUksS0FBSyxHQUFHLE1BQU0sVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBRW5DLHdEQUF3RDtRQUV4RCxJQUFJLFFBQVEsR0FBRyxNQUFNLGFBQWEsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUV6QyxnRkFBZ0Y7UUFDaEYsOEVBQThFO1FBRTlFLEtBQUssSUFBSSxJQUFJLElBQUksS0FBSztZQUNsQixJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUVyQyxLQUFLLElBQUksT0FBTyxJQUFJLFFBQVE7WUFDeEIsT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUM7UUFFOUMseUVBQXlFO1FBRXpFLElBQUksWUFBWSxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDN0gsS0FBSyxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQztRQUV6QixpRkFBaUY7UUFFakYsSUFBSSxlQUFlLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNoSSxRQUFRLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO1FBRS9CLDZDQUE2QztRQUU3QyxLQUFLLElBQUksT0FBTyxJQUFJLFFBQVEsRUFBRTtZQUMxQixJQUFJLFNBQVMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsNEJBQTRCLENBQUMsT0FBTyxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLENBQUUsNkVBQTZFO1lBQ3BLLElBQUksU0FBUyxLQUFLLFNBQVM7Z0JBQ3ZCLFNBQVMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1NBQ3hDO1FBRUQsNkJBQTZCO1FBRTdCLElBQUksSUFBSSxHQUFhLEVBQUUsQ0FBQztRQUV4QixLQUFLLElBQUksSUFBSSxJQUFJLEtBQUssRUFBRTtZQUNwQixJQUFJLEdBQUcsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFFLGtDQUFrQztZQUNoRyxJQUFJLEdBQUcsS0FBSyxTQUFTO2dCQUNqQixJQUFJLENBQUMsSUFBSSxDQUFDLENBQUUsSUFBSSxDQUFFLENBQUMsQ0FBQyxDQUFFLGtCQUFrQjs7Z0JBRXhDLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBRSx5QkFBeUI7U0FDakQ7UUFFRCw2RUFBNkU7UUFFN0UsSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUNuQixJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyw4SEFBOEgsY0FBYyxFQUFFLENBQUMsQ0FBQztZQUM1SixTQUFTO1NBQ1o7UUFFRCx3RkFBd0Y7UUFDeEYsd0ZBQXdGO1FBQ3hGLHlFQUF5RTtRQUV6RSxJQUFJLFdBQVcsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDakYsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQztRQUV2QixJQUFJLGVBQWUsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDekUsS0FBSyxJQUFJLEdBQUcsSUFBSSxJQUFJO1lBQ2hCLEdBQUcsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUM7UUFFOUIsMEJBQTBCO1FBRTFCLElBQUkscUJBQXFCLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLGFBQWEsQ0FBQyxDQUFDLENBQUM7UUFDakksSUFBSSxnQkFBZ0IsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQztRQUN4SCxJQUFJLGVBQWUsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssS0FBSyxDQUFDLENBQUM7UUFDM0gsSUFBSSxPQUFPLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDM0csSUFBSSxXQUFXLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLFVBQVUsQ0FBQyxDQUFDLENBQUM7UUFDcEgsSUFBSSxXQUFXLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLGlCQUFpQixDQUFDLENBQUMsQ0FBQztRQUMzSCxJQUFJLGVBQWUsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssYUFBYSxDQUFDLENBQUMsQ0FBQztRQUUzSCxJQUFJLHFCQUFxQixLQUFLLFNBQVMsRUFBRTtZQUNyQyxJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzSUFBc0ksY0FBYyxFQUFFLENBQUMsQ0FBQztZQUNwSyxTQUFTO1NBQ1o7UUFFRCxJQUFJLFdBQVcsS0FBSyxTQUFTLEVBQUU7WUFDM0IsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQzNFLE9BQU8sQ0FBQyxHQUFHLENBQUMsMklBQTJJLGNBQWMsRUFBRSxDQUFDLENBQUM7WUFDekssU0FBUztTQUNaO1FBRUQseUZBQXlGO1FBQ3pGLDZEQUE2RDtRQUU3RCxLQUFLLElBQUksR0FBRyxJQUFJLElBQUksRUFBRTtZQUNsQixJQUFJLHdCQUF3QixHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyw4QkFBOEIsQ0FBQyxJQUFJLEVBQUUscUJBQXFCLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQztZQUNsSCxJQUFJLG1CQUFtQixHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyw4QkFBOEIsQ0FBQyxJQUFJLEVBQUUsZ0JBQWdCLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQztZQUN4RyxJQUFJLGtCQUFrQixHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyw4QkFBOEIsQ0FBQyxJQUFJLEVBQUUsZUFBZSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUM7WUFDdEcsSUFBSSxVQUFVLEdBQUcsR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLDhCQUE4QixDQUFDLElBQUksRUFBRSxPQUFPLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQztZQUN0RixJQUFJLGNBQWMsR0FBRyxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsOEJBQThCLENBQUMsSUFBSSxFQUFFLFdBQVcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1lBQzlGLElBQUksY0FBYyxHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyw4QkFBOEIsQ0FBQyxJQUFJLEVBQUUsV0FBVyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUM7WUFDOUYsSUFBSSxrQkFBa0IsR0FBRyxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsOEJBQThCLENBQUMsSUFBSSxFQUFFLGVBQWUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1lBRXRHLG9DQUFvQztZQUVwQyxJQUFJLHdCQUF3QixLQUFLLFNBQVM7Z0JBQ3RDLFNBQVM7WUFDYixJQUFJLGlCQUFpQixHQUFHLHdCQUF3QixDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1lBQ3ZHLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsRUFBRywrREFBK0Q7Z0JBQzNHLFNBQVM7WUFFYix5QkFBeUI7WUFFekIsSUFBSSxjQUFjLEtBQUssU0FBUztnQkFDNUIsU0FBUztZQUViLElBQUksT0FBTyxHQUFHLEVBQUUsQ0FBQyxDQUFFLHNDQUFzQztZQUN6RCxJQUFJLGNBQWMsR0FBRyxjQUFjLENBQUMsUUFBUSxDQUFDLEdBQUcsRUFBRSxDQUFDO1lBQ25ELElBQUksY0FBYyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLElBQUksY0FBYyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxVQUFVLENBQUMsVUFBVSxDQUFDO2dCQUMvRyxPQUFPLEdBQUcsY0FBYyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxZQUFZLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBRSxpREFBaUQ7O2dCQUV0SSxjQUFjLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQztZQUVqRCxJQUFJLE9BQU8sR0FBRyxjQUFjLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUM1RyxPQUFPLEdBQUcsYUFBYSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQ2pDLElBQUksT0FBTyxLQUFLLEVBQUUsSUFBSSxPQUFPLENBQUMsSUFBSSxFQUFFLEtBQUssR0FBRyxFQUFHLDZCQUE2QjtnQkFDeEUsU0FBUztZQUViLElBQUksV0FBVyxHQUFHLEVBQUUsQ0FBQztZQUNyQixJQUFJLGtCQUFrQixLQUFLLFNBQVM7Z0JBQ2hDLFdBQVcsR0FBRyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDcEssT0FBTyxHQUFHLENBQUMsV0FBVyxHQUFHLEdBQUcsR0FBRyxPQUFPLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUUvQyw2QkFBNkI7WUFFN0IsSUFBSSxXQUFXLEdBQUcsRUFBRSxDQUFDO1lBQ3JCLElBQUksa0JBQWtCLEtBQUssU0FBUyxFQUFFO2dCQUNsQyxXQUFXLEdBQUcsa0JBQWtCLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFDL0csSUFBSSxvQkFBb0IsR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLDZCQUE2QixFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyx1QkFBdUIsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsdUJBQXVCLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7Z0JBQ25LLElBQUksb0JBQW9CLEtBQUssRUFBRTtvQkFDM0IsV0FBVyxHQUFHLG9CQUFvQixDQUFDO2dCQUN2QyxXQUFXLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFFLDRDQUE0QzthQUNsSDtZQUVELCtCQUErQjtZQUUvQixJQUFJLFlBQVksR0FBRyxNQUFNLENBQUMsT0FBTyxFQUFFLENBQUM7WUFDcEMsSUFBSSxtQkFBbUIsS0FBSyxTQUFTLElBQUksbUJBQW1CLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDO2dCQUM1RSxZQUFZLEdBQUcsTUFBTSxDQUFDLG1CQUFtQixDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEVBQUUsV0FBVyxFQUFFLElBQUksQ0FBQyxDQUFDO1lBRTFGLG1DQUFtQztZQUVuQyxJQUFJLGFBQWEsR0FBRyxFQUFFLENBQUM7WUFFdkIsSUFBSSxHQUFHLEdBQUcsRUFBRSxDQUFDO1lBQ2IsSUFBSSxVQUFVLEtBQUssU0FBUyxFQUFFO2dCQUMxQixHQUFHLEdBQUcsVUFBVSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFDaEosSUFBSSxHQUFHLEtBQUssRUFBRTtvQkFDVixhQUFhLENBQUMsSUFBSSxDQUFDLE9BQU8sR0FBRyxFQUFFLENBQUMsQ0FBQzthQUN4QztZQUVELElBQUksT0FBTyxHQUFHLEVBQUUsQ0FBQztZQUNqQixJQUFJLGNBQWMsS0FBSyxTQUFTLEVBQUU7Z0JBQzlCLE9BQU8sR0FBRyxjQUFjLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO2dCQUN4SixJQUFJLE9BQU8sS0FBSyxFQUFFO29CQUNkLGFBQWEsQ0FBQyxJQUFJLENBQUMsV0FBVyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2FBQ2hEO1lBRUQsSUFBSSxPQUFPLEtBQUssRUFBRSxFQUFHLHFDQUFxQztnQkFDdEQsYUFBYSxDQUFDLElBQUksQ0FBQyxXQUFXLE9BQU8sRUFBRSxDQUFDLENBQUM7WUFFN0MsSUFBSSxnQkFBZ0IsR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1lBRWhELHVCQUF1QixDQUFDLElBQUksQ0FBQztnQkFDekIsaUJBQWlCLEVBQUUsaUJBQWlCO2dCQUNwQyxPQUFPLEVBQUUsT0FBTztnQkFDaEIsV0FBVyxFQUFFLENBQUMsQ0FBQyxXQUFXLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLHlCQUF5QixDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUM7Z0JBQzdFLGNBQWMsRUFBRSxHQUFHO2dCQUNuQixVQUFVLEVBQUUsVUFBVTtnQkFDdEIsVUFBVSxFQUFFLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUM7Z0JBQ3pDLFlBQVksRUFBRSxZQUFZLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQzdFLGdCQUFnQixFQUFFLGdCQUFnQjthQUNyQyxDQUFDLENBQUM7U0FDTjtLQUNKO0lBRUQsT0FBTyx1QkFBdUIsQ0FBQztBQUNuQyxDQUFDO0FBRUQsb0VBQW9FO0FBRXBFLFNBQVMsU0FBUyxDQUFDLE9BQWUsRUFBRSxPQUFlO0lBQy9DLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7QUFDdkcsQ0FBQztBQUVELG1EQUFtRDtBQUVuRCxTQUFTLEtBQUssQ0FBQyxZQUFvQjtJQUMvQixPQUFPLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDO0FBQ3JFLENBQUM7QUFFRCx1Q0FBdUM7QUFFdkMsS0FBSyxVQUFVLElBQUk7SUFDZixtQ0FBbUM7SUFFbkMsSUFBSSxRQUFRLEdBQUcsTUFBTSxrQkFBa0IsRUFBRSxDQUFDO0lBRTFDLHlEQUF5RDtJQUV6RCxzQkFBc0IsRUFBRSxDQUFDO0lBRXpCLGtEQUFrRDtJQUVsRCxPQUFPLENBQUMsR0FBRyxDQUFDLG9CQUFvQiwwQkFBMEIsRUFBRSxDQUFDLENBQUM7SUFFOUQsSUFBSSxJQUFJLEdBQUcsTUFBTSxPQUFPLENBQUMsRUFBRSxHQUFHLEVBQUUsMEJBQTBCLEVBQUUsa0JBQWtCLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7SUFDekgsTUFBTSxLQUFLLENBQUMsSUFBSSxHQUFHLFNBQVMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7SUFDM0MsSUFBSSxDQUFDLEdBQUcsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUUzQixJQUFJLE9BQU8sR0FBYSxFQUFFLENBQUM7SUFDM0IsS0FBSyxJQUFJLE9BQU8sSUFBSSxDQUFDLENBQUMsMEJBQTBCLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRTtRQUNyRCxJQUFJLE1BQU0sR0FBRyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsMEJBQTBCLENBQUMsQ0FBQyxJQUFJLENBQUM7UUFDdEYsSUFBSSxNQUFNLENBQUMsV0FBVyxFQUFFLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQztZQUNyQyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsS0FBSyxNQUFNLENBQUMsRUFBRyxtQkFBbUI7Z0JBQzFELE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7S0FDaEM7SUFFRCx5RkFBeUY7SUFFekYsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUN0QixPQUFPLENBQUMsR0FBRyxDQUFDLHFDQUFxQyxDQUFDLENBQUM7UUFDbkQsT0FBTztLQUNWO0lBRUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLE9BQU8sQ0FBQyxNQUFNLHdDQUF3QyxDQUFDLENBQUM7SUFFN0UsNEZBQTRGO0lBQzVGLDhGQUE4RjtJQUM5RixZQUFZO0lBRVosSUFBSSxlQUFlLEdBQWEsRUFBRSxDQUFDO0lBQ25DLGVBQWUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUM7SUFDdEMsSUFBSSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUM7UUFDbEIsZUFBZSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2hFLElBQUksU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDO1FBQ3JCLGVBQWUsQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUU5QixLQUFLLElBQUksTUFBTSxJQUFJLGVBQWUsRUFBRTtRQUNoQyxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBQzNDLElBQUksdUJBQXVCLEdBQUcsTUFBTSxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDckQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLHVCQUF1QixDQUFDLE1BQU0sZ0JBQWdCLENBQUMsdUJBQXVCLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLGNBQWMsbUJBQW1CLE1BQU0sRUFBRSxDQUFDLENBQUM7UUFFdkssbUZBQW1GO1FBQ25GLGlEQUFpRDtRQUVqRCxJQUFJLE1BQU0sQ0FBQyxFQUFFO1lBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO1FBRWhCLE9BQU8sQ0FBQyxHQUFHLENBQUMsdURBQXVELENBQUMsQ0FBQztRQUNyRSxLQUFLLElBQUksc0JBQXNCLElBQUksdUJBQXVCO1lBQ3RELE1BQU0sU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDO0tBQ3pEO0FBQ0wsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDIn0=
+exports.crawl = crawl;
+// Run the scraper (unless this module has been loaded by another module, such as the regression
+// tests, in order to use the parser).  A failed run exits with a non-zero status.
+if (require.main === module)
+    main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsaUdBQWlHO0FBQ2pHLGlDQUFpQztBQUNqQyxFQUFFO0FBQ0YsZUFBZTtBQUNmLHFCQUFxQjtBQUVyQixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLGlDQUFpQztBQUNqQyxtQ0FBbUM7QUFDbkMsbUNBQW1DO0FBQ25DLGlDQUFpQztBQUNqQyxpQ0FBaUM7QUFDakMsb0NBQW9DO0FBQ3BDLHVDQUF5RTtBQUN6RSx5Q0FBNkM7QUFDN0MsaUNBQXFHO0FBQ3JHLHVDQUF3RTtBQUN4RSxpQ0FBNEU7QUFDNUUseUNBQWtGO0FBQ2xGLG1DQUE0QztBQUM1QyxpREFBa0g7QUFDbEgsNkRBQThEO0FBQzlELDZDQUE2RztBQUM3RyxxQ0FBbUg7QUFDbkgsMkNBQXdIO0FBQ3hILHFEQUF5RTtBQUN6RSx1Q0FBcUo7QUFDckosbUNBQW1SO0FBRW5SLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztBQUVsQixnR0FBZ0c7QUFDaEcsZ0dBQWdHO0FBQ2hHLG9DQUFvQztBQUVwQyxNQUFNLGlCQUFpQixHQUFHLEVBQUUsQ0FBQyxDQUFFLFVBQVU7QUFDekMsTUFBTSxtQkFBbUIsR0FBRyxHQUFHLENBQUMsQ0FBRSxZQUFZO0FBRTlDLDRGQUE0RjtBQUU1RixNQUFNLGlCQUFpQixHQUFHLGFBQWEsQ0FBQztBQUV4QyxpR0FBaUc7QUFDakcsd0RBQXdEO0FBRXhELE1BQU0scUJBQXFCLEdBQUcsT0FBTyxDQUFDO0FBSXRDLHNGQUFzRjtBQUV0RixNQUFNLGlCQUFpQixHQUFHLENBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFFLENBQUM7QUFFL0QsdUJBQXVCO0FBRXZCLElBQUksV0FBVyxHQUFHLElBQUksQ0FBQztBQUN2QixJQUFJLGNBQWMsR0FBSSxJQUFJLENBQUM7QUFDM0IsSUFBSSxXQUFXLEdBQUcsSUFBSSxDQUFDO0FBQ3ZCLElBQUksV0FBVyxHQUFHLElBQUksQ0FBQztBQUN2QixJQUFJLGNBQWMsR0FBRyxJQUFJLENBQUM7QUFDMUIsSUFBSSxZQUFZLEdBQUcsSUFBSSxDQUFDO0FBRXhCLCtGQUErRjtBQUMvRiw0RUFBNEU7QUFFNUUsSUFBSSxlQUFlLEdBQW1CLElBQUksQ0FBQztBQUMzQyxJQUFJLGVBQWUsR0FBbUIsSUFBSSxDQUFDO0FBQzNDLElBQUksZ0JBQWdCLEdBQW1CLElBQUksQ0FBQztBQUU1Qyx3RkFBd0Y7QUFDeEYsc0ZBQXNGO0FBQ3RGLCtGQUErRjtBQUMvRiwrRkFBK0Y7QUFDL0YsNEJBQTRCO0FBRTVCLE1BQU0saUJBQWlCLEdBQUcsQ0FBRSxjQUFjLEVBQUUsYUFBYSxFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsY0FBYyxFQUFFLHNCQUFzQixFQUFFLDRCQUE0QixDQUFFLENBQUM7QUFFaE8sNEZBQTRGO0FBQzVGLGdHQUFnRztBQUNoRyxrR0FBa0c7QUFDbEcsMEZBQTBGO0FBQzFGLDRDQUE0QztBQUVyQyxLQUFLLFVBQVUsa0JBQWtCLENBQUMsWUFBWSxHQUFHLGFBQWE7SUFDakUsSUFBSSxRQUFRLEdBQUcsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLFlBQVksQ0FBQyxDQUFDO0lBQ2xELE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsMFJBQTBSLENBQUMsQ0FBQztJQUNuVCxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLHFXQUFxVyxDQUFDLENBQUM7SUFDOVgsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxxSkFBcUosQ0FBQyxDQUFDO0lBQzlLLE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsaU1BQWlNLENBQUMsQ0FBQztJQUUxTiw4RkFBOEY7SUFDOUYscUJBQXFCO0lBRXJCLElBQUksT0FBTyxHQUFHLE1BQU0sa0JBQU8sQ0FBQyxRQUFRLEVBQUUsMkJBQTJCLENBQUMsQ0FBQztJQUNuRSxLQUFLLElBQUksZ0JBQWdCLElBQUksaUJBQWlCO1FBQzFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksS0FBSyxnQkFBZ0IsQ0FBQztZQUN6RCxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLGtDQUFrQyxnQkFBZ0IsUUFBUSxDQUFDLENBQUM7SUFFM0YsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUUsbUJBQW1CLENBQUUsQ0FBQyxDQUFDO0lBQ25FLE1BQU0saUJBQWlCLENBQUMsUUFBUSxFQUFFLFNBQVMsRUFBRSxDQUFFLG1CQUFtQixFQUFFLFNBQVMsQ0FBRSxDQUFDLENBQUM7SUFDakYsTUFBTSxzQkFBZSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ2hDLE1BQU0sNkJBQTZCLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDOUMsT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQXBCRCxnREFvQkM7QUFFRCxnR0FBZ0c7QUFDaEcsc0ZBQXNGO0FBRXRGLEtBQUssVUFBVSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsS0FBYSxFQUFFLFVBQW9CO0lBQzFFLElBQUksT0FBTyxHQUFHLENBQUMsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNwRyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsaUJBQWlCLENBQUM7UUFDbkMsT0FBTztJQUVYLE9BQU8sQ0FBQyxHQUFHLENBQUMsNENBQTRDLEtBQUssd0NBQXdDLG1CQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxLQUFLLENBQUMsQ0FBQztJQUM1SCxJQUFJLFVBQVUsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNqRSxJQUFJLFVBQVUsR0FBRyxDQUFFLGlCQUFpQixFQUFFLEdBQUcsVUFBVSxDQUFFLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUM5RixNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLG1CQUFtQixDQUFDLENBQUM7SUFDNUMsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxpQkFBaUIsS0FBSyx1Q0FBdUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLElBQUksTUFBTSxLQUFLLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxrQkFBa0IsVUFBVSxJQUFJLENBQUMsQ0FBQztJQUNwTixNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLGdCQUFnQixLQUFLLGtDQUFrQyxVQUFVLGVBQWUsVUFBVSxVQUFVLEtBQUssR0FBRyxFQUFFLENBQUUsbUJBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUUsQ0FBQyxDQUFDO0lBQzNKLE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsZUFBZSxLQUFLLEdBQUcsQ0FBQyxDQUFDO0lBQ2hELE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsZ0JBQWdCLEtBQUsseUJBQXlCLEtBQUssR0FBRyxDQUFDLENBQUM7SUFDL0UsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUMsQ0FBQztBQUNyQyxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLDZGQUE2RjtBQUM3Riw2RkFBNkY7QUFDN0YsbUdBQW1HO0FBQ25HLGlHQUFpRztBQUNqRyw0QkFBNEI7QUFFNUIsS0FBSyxVQUFVLDZCQUE2QixDQUFDLFFBQVE7SUFDakQsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxpSEFBaUgsQ0FBQyxDQUFDO0lBRTFJLElBQUksV0FBVyxHQUFHLEVBQUUsQ0FBQztJQUNyQixLQUFLLElBQUksR0FBRyxJQUFJLE1BQU0sa0JBQU8sQ0FBQyxRQUFRLEVBQUUsMkRBQTJELENBQUMsRUFBRTtRQUNsRyxJQUFJLHVCQUF1QixHQUFHLDJDQUFzQixDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1FBQzVFLElBQUksdUJBQXVCLEtBQUssU0FBUyxJQUFJLHVCQUF1QixDQUFDLFNBQVMsS0FBSyxHQUFHLENBQUMsaUJBQWlCO1lBQ3BHLFdBQVcsQ0FBQyxJQUFJLENBQUMsRUFBRSxjQUFjLEVBQUUsR0FBRyxDQUFDLGVBQWUsRUFBRSxnQkFBZ0IsRUFBRSxHQUFHLENBQUMsaUJBQWlCLEVBQUUsU0FBUyxFQUFFLHVCQUF1QixDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUM7S0FDeEo7SUFDRCxJQUFJLFdBQVcsQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUN4QixPQUFPO0lBRVgsT0FBTyxDQUFDLEdBQUcsQ0FBQyxjQUFjLFdBQVcsQ0FBQyxNQUFNLDhEQUE4RCxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsZ0JBQWdCLFNBQVMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsS0FBSyxDQUFDLENBQUM7SUFDakwsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxtQkFBbUIsQ0FBQyxDQUFDO0lBQzVDLEtBQUssSUFBSSxFQUFFLGNBQWMsRUFBRSxnQkFBZ0IsRUFBRSxTQUFTLEVBQUUsSUFBSSxXQUFXLEVBQUU7UUFDckUsSUFBSSxhQUFhLEdBQUcsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSxzSEFBc0gsRUFBRSxDQUFFLGNBQWMsRUFBRSxTQUFTLENBQUUsQ0FBQyxDQUFDO1FBQ25NLElBQUksYUFBYSxHQUFHLGFBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUM7UUFDN0MsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxpSUFBaUksRUFBRSxDQUFFLFNBQVMsRUFBRSxhQUFhLEVBQUUsY0FBYyxFQUFFLGdCQUFnQixDQUFFLENBQUMsQ0FBQztRQUMxTixJQUFJLENBQUMsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSw4RUFBOEUsRUFBRSxDQUFFLGNBQWMsRUFBRSxTQUFTLENBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUNySixJQUFJLFVBQVUsR0FBRyxDQUFDLE1BQU0sa0JBQU8sQ0FBQyxRQUFRLEVBQUUsOEVBQThFLEVBQUUsQ0FBRSxjQUFjLEVBQUUsZ0JBQWdCLENBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDcEssTUFBTSxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsY0FBYyxFQUFFLFNBQVMsb0JBQU8sVUFBVSxJQUFFLFVBQVUsRUFBRSxVQUFVLENBQUMsWUFBWSxLQUFJLENBQUUsZ0JBQWdCLGdCQUFnQixHQUFHLENBQUUsRUFBRSxVQUFVLENBQUMsZ0JBQWdCLENBQUMsQ0FBQztZQUMxTCxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLDRFQUE0RSxFQUFFLENBQUUsY0FBYyxFQUFFLGdCQUFnQixDQUFFLENBQUMsQ0FBQztZQUMzSSxPQUFPLENBQUMsR0FBRyxDQUFDLHVCQUF1QixnQkFBZ0IsdUJBQXVCLFNBQVMsbUJBQW1CLFVBQVUsQ0FBQyxPQUFPLG1CQUFtQixVQUFVLENBQUMsV0FBVyx3QkFBd0IsVUFBVSxDQUFDLGFBQWEsaUNBQWlDLFNBQVMsS0FBSyxDQUFDLENBQUM7U0FDclE7O1lBQ0csTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxtR0FBbUcsRUFBRSxDQUFFLFNBQVMsRUFBRSxjQUFjLEVBQUUsZ0JBQWdCLENBQUUsQ0FBQyxDQUFDO0tBQ3BMO0lBQ0QsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUMsQ0FBQztBQUNyQyxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLHVFQUF1RTtBQUV2RSxNQUFNLGFBQWEsR0FBRztJQUNsQixFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRTtJQUMxQyxFQUFFLE1BQU0sRUFBRSxhQUFhLEVBQUUsUUFBUSxFQUFFLGFBQWEsRUFBRTtJQUNsRCxFQUFFLE1BQU0sRUFBRSxlQUFlLEVBQUUsUUFBUSxFQUFFLGNBQWMsRUFBRTtJQUNyRCxFQUFFLE1BQU0sRUFBRSxtQkFBbUIsRUFBRSxRQUFRLEVBQUUsa0JBQWtCLEVBQUU7Q0FDaEUsQ0FBQztBQUVGLDZGQUE2RjtBQUM3RixTQUFTO0FBRVQsS0FBSyxVQUFVLGdCQUFnQixDQUFDLFFBQVEsRUFBRSxjQUFzQixFQUFFLGdCQUF3QixFQUFFLEdBQUcsRUFBRSxhQUF1QixFQUFFLEtBQWE7SUFDbkksTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSwyWEFBMlgsRUFBRTtRQUNoWixjQUFjO1FBQ2QsZ0JBQWdCO1FBQ2hCLGNBQWM7UUFDZCxnQkFBZ0I7UUFDaEIsR0FBRyxDQUFDLE9BQU87UUFDWCxHQUFHLENBQUMsV0FBVztRQUNmLEdBQUcsQ0FBQyxRQUFRO1FBQ1osR0FBRyxDQUFDLFdBQVc7UUFDZixHQUFHLENBQUMsWUFBWTtRQUNoQixHQUFHLENBQUMsYUFBYTtRQUNqQixHQUFHLENBQUMsaUJBQWlCO1FBQ3JCLEdBQUcsQ0FBQyxVQUFVO1FBQ2QsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUM7UUFDeEIsS0FBSztLQUNSLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsaUdBQWlHO0FBQ2pHLDBGQUEwRjtBQUMxRiw4RkFBOEY7QUFDOUYseUZBQXlGO0FBQ3pGLGVBQWU7QUFFZixLQUFLLFVBQVUsU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsRUFBRSxLQUFhO0lBQ3BFLElBQUksR0FBRyxHQUFHO1FBQ04sT0FBTyxFQUFFLHNCQUFzQixDQUFDLE9BQU87UUFDdkMsV0FBVyxFQUFFLHNCQUFzQixDQUFDLFdBQVc7UUFDL0MsUUFBUSxFQUFFLHNCQUFzQixDQUFDLGNBQWM7UUFDL0MsV0FBVyxFQUFFLHNCQUFzQixDQUFDLFVBQVU7UUFDOUMsWUFBWSxFQUFFLHNCQUFzQixDQUFDLFVBQVU7UUFDL0MsYUFBYSxFQUFFLHNCQUFzQixDQUFDLFlBQVk7UUFDbEQsaUJBQWlCLEVBQUUsc0JBQXNCLENBQUMsZ0JBQWdCO1FBQzFELFVBQVUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLEVBQUU7S0FDaEMsQ0FBQztJQUVGLElBQUksY0FBYyxHQUFHLHNCQUFzQixDQUFDLGNBQWMsQ0FBQztJQUMzRCxJQUFJLGdCQUFnQixHQUFHLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDO0lBQ2hFLElBQUksV0FBVyxHQUFHLENBQUMsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSw4RUFBOEUsRUFBRSxDQUFFLGNBQWMsRUFBRSxnQkFBZ0IsQ0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNySyxJQUFJLGFBQWEsR0FBRyxDQUFDLFdBQVcsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ2pLLElBQUksTUFBTSxHQUFlLENBQUMsV0FBVyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBRXRILElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtRQUN0Qix1RkFBdUY7UUFDdkYscUNBQXFDO1FBRXJDLElBQUksV0FBVyxHQUFHLE1BQU0sa0JBQU8sQ0FBQyxRQUFRLEVBQUUsaUdBQWlHLEVBQUUsQ0FBRSxjQUFjLEVBQUUsZ0JBQWdCLENBQUUsQ0FBQyxDQUFDO1FBQ25MLElBQUksV0FBVyxDQUFDLE1BQU0sS0FBSyxDQUFDO1lBQ3hCLE1BQU0sZ0JBQWdCLENBQUMsUUFBUSxFQUFFLGNBQWMsRUFBRSxnQkFBZ0Isb0JBQU8sV0FBVyxJQUFFLFVBQVUsRUFBRSxJQUFJLEtBQUksRUFBRSxFQUFFLFdBQVcsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO0tBQ2xKO0lBQ0QsSUFBSSxNQUFNLEtBQUssV0FBVztRQUN0QixNQUFNLGdCQUFnQixDQUFDLFFBQVEsRUFBRSxjQUFjLEVBQUUsZ0JBQWdCLEVBQUUsR0FBRyxFQUFFLGFBQWEsRUFBRSxLQUFLLENBQUMsQ0FBQztJQUVsRyxJQUFJLE1BQU0scUJBQVEsdUJBQWUsQ0FBQyxzQkFBc0IsQ0FBQyxFQUFLLHlCQUFrQixDQUFDLFdBQVcsRUFBRSxLQUFLLEVBQUUsTUFBTSxDQUFDLENBQUUsQ0FBQztJQUMvRyxJQUFJLE9BQU8sR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ2xDLE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsa0NBQWtDLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxhQUFhLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFbE0sT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQUVELDZGQUE2RjtBQUM3RixpRUFBaUU7QUFFakUsS0FBSyxVQUFVLG9CQUFvQixDQUFDLFFBQVEsRUFBRSxHQUFXLEVBQUUsVUFBdUI7SUFDOUUsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSwrQ0FBK0MsRUFBRSxDQUFFLEdBQUcsQ0FBRSxDQUFDLENBQUM7SUFDakYsS0FBSyxJQUFJLFNBQVMsSUFBSSxVQUFVO1FBQzVCLE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsb0RBQW9ELEVBQUUsQ0FBRSxHQUFHLEVBQUUsU0FBUyxDQUFDLFVBQVUsRUFBRSxTQUFTLENBQUMsS0FBSyxFQUFFLFNBQVMsQ0FBQyxNQUFNLEVBQUUsU0FBUyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUUsQ0FBQyxDQUFDO0lBQ3JNLElBQUksVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDO1FBQ3JCLE9BQU8sQ0FBQyxHQUFHLENBQUMsZUFBZSxVQUFVLENBQUMsTUFBTSwrQ0FBK0MsR0FBRyxFQUFFLENBQUMsQ0FBQztBQUMxRyxDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRixtQkFBbUI7QUFFbkIsU0FBZ0Isa0JBQWtCLENBQUMsUUFBUSxFQUFFLEtBQWE7SUFDdEQsT0FBTztRQUNILElBQUksRUFBRSxjQUFjO1FBQ3BCLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsRUFBRSxLQUFLLENBQUM7UUFDbkYsZUFBZSxFQUFFLENBQUMsR0FBRyxFQUFFLFVBQVUsRUFBRSxFQUFFLENBQUMsb0JBQW9CLENBQUMsUUFBUSxFQUFFLEdBQUcsRUFBRSxVQUFVLENBQUM7UUFDckYsS0FBSyxFQUFFLEtBQUssSUFBSSxFQUFFLEdBQUUsQ0FBQztLQUN4QixDQUFDO0FBQ04sQ0FBQztBQVBELGdEQU9DO0FBRUQsK0ZBQStGO0FBQy9GLFlBQVk7QUFFWixLQUFLLFVBQVUscUJBQXFCLENBQUMsUUFBUSxFQUFFLGNBQXNCLEVBQUUsZ0JBQXdCO0lBQzNGLElBQUksR0FBRyxHQUFHLENBQUMsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSw4RUFBOEUsRUFBRSxDQUFFLGNBQWMsRUFBRSxnQkFBZ0IsQ0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM3SixPQUFPLENBQUMsR0FBRyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLGlDQUF5QixDQUFDLEdBQUcsQ0FBQyxDQUFDO0FBQzVFLENBQUM7QUFFRCxpR0FBaUc7QUFFakcsS0FBSyxVQUFVLGFBQWEsQ0FBQyxRQUFRO0lBQ2pDLElBQUksU0FBUyxHQUFHLElBQUksR0FBRyxFQUFlLENBQUM7SUFDdkMsS0FBSyxJQUFJLEdBQUcsSUFBSSxNQUFNLGtCQUFPLENBQUMsUUFBUSxFQUFFLDJCQUEyQixDQUFDO1FBQ2hFLFNBQVMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQztJQUNoQyxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQscUVBQXFFO0FBRXJFLEtBQUssVUFBVSxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsR0FBVztJQUNuRCxJQUFJLEdBQUcsR0FBRyxNQUFNLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQztJQUM1QixNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLHVFQUF1RSxFQUFFLENBQUUsR0FBRyxFQUFFLEdBQUcsQ0FBRSxDQUFDLENBQUM7SUFDOUcsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSx3REFBd0QsRUFBRSxDQUFFLEdBQUcsRUFBRSxHQUFHLENBQUUsQ0FBQyxDQUFDO0FBQ25HLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsc0ZBQXNGO0FBRXRGLEtBQUssVUFBVSxxQkFBcUIsQ0FBQyxRQUFRLEVBQUUsR0FBVyxFQUFFLFdBQW1CLEVBQUUsZ0JBQXlCO0lBQ3RHLElBQUksR0FBRyxHQUFHLE1BQU0sRUFBRSxDQUFDLE1BQU0sRUFBRSxDQUFDO0lBQzVCLElBQUksZ0JBQWdCLEtBQUssU0FBUztRQUM5QixNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLCtFQUErRSxFQUFFLENBQUUsV0FBVyxFQUFFLEdBQUcsRUFBRSxHQUFHLENBQUUsQ0FBQyxDQUFDOztRQUVuSSxNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLDJIQUEySCxFQUFFLENBQUUsV0FBVyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsZ0JBQWdCLEVBQUUsR0FBRyxDQUFFLENBQUMsQ0FBQztBQUM5TSxDQUFDO0FBTUQsaUdBQWlHO0FBQ2pHLGlFQUFpRTtBQUVqRSxNQUFNLFVBQVUsR0FBUSxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUM7QUF3RHhELDRGQUE0RjtBQUM1Riw2RkFBNkY7QUFDN0YsZ0RBQWdEO0FBRWhELFNBQWdCLHNCQUFzQixDQUFDLFVBQTBCLHVCQUFZO0lBQ3pFLDhGQUE4RjtJQUM5RixnREFBZ0Q7SUFFaEQsSUFBSSxTQUFTLEdBQUcsOEJBQWEsQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDakQsSUFBSSxNQUFNLEdBQUcsU0FBUyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxLQUFLLE9BQU8sQ0FBQyxDQUFDO0lBQ2hGLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDO1FBQ2pCLE1BQU0sSUFBSSxLQUFLLENBQUMsOEJBQThCLE9BQU8sQ0FBQyxhQUFhLFlBQVksTUFBTSxDQUFDLE1BQU0sZUFBZSxNQUFNLENBQUMsR0FBRyxDQUFDLHVDQUFzQixDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUNoSyxJQUFJLFNBQVMsQ0FBQyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUM7UUFDN0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyw4QkFBOEIsT0FBTyxDQUFDLGFBQWEsWUFBWSxTQUFTLENBQUMsUUFBUSxDQUFDLE1BQU0sOERBQThELE9BQU8sQ0FBQyxJQUFJLGlCQUFpQixDQUFDLENBQUM7SUFFck0sMEJBQTBCO0lBRTFCLFdBQVcsR0FBRyxFQUFFLENBQUE7SUFDaEIsS0FBSyxJQUFJLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxJQUFJLFNBQVMsQ0FBQyxPQUFPO1FBQ3BELENBQUMsV0FBVyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLFVBQVUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUUscURBQXFEO0lBRXhJLDZCQUE2QjtJQUU3QixjQUFjLEdBQUcsRUFBRSxDQUFDO0lBQ3BCLEtBQUssSUFBSSxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsSUFBSSxTQUFTLENBQUMsY0FBYztRQUN0RCxjQUFjLENBQUMsTUFBTSxDQUFDLEdBQUcsU0FBUyxDQUFDO0lBRXZDLDBGQUEwRjtJQUMxRixnQ0FBZ0M7SUFFaEMsV0FBVyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsVUFBa0IsRUFBRSxLQUFLLEVBQUUsV0FBVyxFQUFFLEVBQUUsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUMsSUFBSSxXQUFXLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxLQUFLLEtBQUssQ0FBQyxDQUFDO0lBRXJMLDBCQUEwQjtJQUUxQixXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLGNBQWMsR0FBRyxFQUFFLENBQUM7SUFDcEIsWUFBWSxHQUFHLEVBQUUsQ0FBQztJQUNsQixLQUFLLElBQUksRUFBRSxVQUFVLEVBQUUsYUFBYSxFQUFFLFFBQVEsRUFBRSxJQUFJLFNBQVMsQ0FBQyxPQUFPLEVBQUU7UUFDbkUsV0FBVyxDQUFDLFVBQVUsQ0FBQyxHQUFHLGFBQWEsQ0FBQztRQUN4QyxjQUFjLENBQUMsVUFBVSxDQUFDLEdBQUcsUUFBUSxDQUFDO1FBQ3RDLElBQUksVUFBVSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsRUFBRTtZQUNqQyxXQUFXLENBQUMsS0FBSyxHQUFHLFVBQVUsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsYUFBYSxDQUFDO1lBQzNFLFdBQVcsQ0FBQyxLQUFLLEdBQUcsVUFBVSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUM7WUFDM0UsV0FBVyxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQztZQUM1RSxjQUFjLENBQUMsS0FBSyxHQUFHLFVBQVUsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDO1lBQ3pFLGNBQWMsQ0FBQyxLQUFLLEdBQUcsVUFBVSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUM7WUFDekUsY0FBYyxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQztTQUM3RTtRQUNELEtBQUssSUFBSSxPQUFPLElBQUksUUFBUTtZQUN4QixJQUFJLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUM7Z0JBQy9CLFlBQVksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7S0FDdEM7SUFFRCwyQ0FBMkM7SUFFM0MsZUFBZSxHQUFHLGdDQUFvQixDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQztJQUNqRSxlQUFlLEdBQUcsZ0NBQW9CLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDO0lBQ2pFLGdCQUFnQixHQUFHLGdDQUFvQixDQUFDLFlBQVksQ0FBQyxDQUFDO0FBQzFELENBQUM7QUF0REQsd0RBc0RDO0FBRUQsZ0dBQWdHO0FBQ2hHLG1EQUFtRDtBQUVuRCxTQUFTLGdCQUFnQixDQUFDLElBQVksRUFBRSxNQUFzQjtJQUMxRCxJQUFJLElBQUksS0FBSyxTQUFTO1FBQ2xCLE9BQU8sSUFBSSxDQUFDO0lBRWhCLElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7SUFFbEQsMEVBQTBFO0lBRTFFLElBQUksS0FBSyxHQUFHLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQztJQUN6QixJQUFJLFlBQVksR0FBRyxjQUFjLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDekMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLFlBQVksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUVqRSwwRkFBMEY7SUFDMUYsMEZBQTBGO0lBQzFGLDJGQUEyRjtJQUMzRixvQkFBb0I7SUFFcEIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUU7UUFDbkMsSUFBSSxXQUFXLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLFNBQVM7WUFDekQsT0FBTyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUUsbUZBQW1GO0lBRXJILDZGQUE2RjtJQUM3Riw2RkFBNkY7SUFDN0YseUNBQXlDO0lBRXpDLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDckMsSUFBSSxlQUFlLEdBQUcsMkJBQWUsQ0FBQyxlQUFlLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ3ZGLElBQUksZUFBZSxLQUFLLFNBQVMsRUFBRTtZQUMvQixNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsb0JBQW9CLEVBQUUsT0FBTyxFQUFFLFdBQVcsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMscUJBQXFCLGVBQWUsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUN4SixNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUUsNENBQTRDO1lBQzNFLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEdBQUcsR0FBRyxlQUFlLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFFLDZEQUE2RDtTQUMzSDtLQUNKO0lBRUQsMEZBQTBGO0lBQzFGLGdDQUFnQztJQUVoQyxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3JDLElBQUksU0FBUyxHQUFHLENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBRSxnRkFBZ0Y7UUFDNUcsSUFBSSxlQUFlLEdBQUcsMkJBQWUsQ0FBQyxlQUFlLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUNsRyxJQUFJLGVBQWUsS0FBSyxJQUFJLEVBQUU7WUFDMUIsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLG9CQUFvQixFQUFFLE9BQU8sRUFBRSxXQUFXLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLHFCQUFxQixlQUFlLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDeEosTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFFLHVEQUF1RDtZQUN0RixPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxHQUFHLEdBQUcsZUFBZSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBRSw2REFBNkQ7U0FDM0g7S0FDSjtJQUVELE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxrQkFBa0IsRUFBRSxPQUFPLEVBQUUsV0FBVyxJQUFJLENBQUMsSUFBSSxFQUFFLGlCQUFpQixFQUFFLENBQUMsQ0FBQztJQUM5RyxPQUFPLElBQUksQ0FBQztBQUNoQixDQUFDO0FBRUQsNkZBQTZGO0FBQzdGLHFFQUFxRTtBQUVyRSxTQUFTLGNBQWMsQ0FBQyxJQUFZO0lBQ2hDLElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDbEQsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUU7UUFDbkMsSUFBSSxXQUFXLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLFNBQVM7WUFDekQsT0FBTyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzlDLE9BQU8sU0FBUyxDQUFDO0FBQ3JCLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsNkRBQTZEO0FBRTdELFNBQVMsZUFBZSxDQUFDLE9BQWU7SUFDcEMsSUFBSSxPQUFPLEtBQUssU0FBUyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFO1FBQzlDLE9BQU8sU0FBUyxDQUFDO0lBQ3JCLElBQUksV0FBVyxHQUFHLDJCQUFlLENBQUMsZ0JBQWdCLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ2hFLE9BQU8sQ0FBQyxXQUFXLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDO0FBQzVELENBQUM7QUFFRCw4RkFBOEY7QUFDOUYsZ0dBQWdHO0FBQ2hHLDJGQUEyRjtBQUMzRiwrRkFBK0Y7QUFDL0Ysd0ZBQXdGO0FBRXhGLFNBQVMsZ0JBQWdCLENBQUMsSUFBWSxFQUFFLFdBQW1CLEVBQUUsVUFBa0IsRUFBRSxNQUFzQjtJQUNuRyxJQUFJLGlCQUFpQixHQUFHLDZCQUFpQixDQUFDLGVBQWUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQzdGLElBQUksaUJBQWlCLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDOUIsT0FBTyxJQUFJLENBQUM7SUFFaEIsSUFBSSxhQUFhLEdBQUcsQ0FBQyxVQUFVLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQ3pILElBQUksV0FBVyxHQUFHLENBQUMsVUFBa0IsRUFBRSxFQUFFLENBQUMsV0FBVyxLQUFLLFNBQVMsSUFBSSxjQUFjLENBQUMsVUFBVSxDQUFDLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBQ3hILElBQUksU0FBUyxHQUFHLENBQUMsVUFBa0IsRUFBRSxFQUFFLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQztJQUV4RiwwRkFBMEY7SUFDMUYsd0NBQXdDO0lBRXhDLElBQUksUUFBUSxHQUFHLENBQUMsVUFBa0IsRUFBRSxFQUFFLENBQUMsQ0FBQyxXQUFXLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDM0csSUFBSSxVQUFVLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLFVBQVUsRUFBRSxFQUFFLENBQUMsQ0FBQyxRQUFRLENBQUMsVUFBVSxDQUFDLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFbkosSUFBSSxVQUFVLEtBQUssaUJBQWlCLENBQUMsQ0FBQyxDQUFDLElBQUksVUFBVSxLQUFLLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUU7UUFDL0UsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLG9CQUFvQixFQUFFLE9BQU8sRUFBRSxXQUFXLElBQUksQ0FBQyxJQUFJLEVBQUUscUJBQXFCLFdBQVcsQ0FBQyxVQUFVLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztTQUM1SSxJQUFJLFVBQVUsS0FBSyxpQkFBaUIsQ0FBQyxDQUFDLENBQUM7UUFDeEMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLDRCQUE0QixFQUFFLE9BQU8sRUFBRSxXQUFXLElBQUksQ0FBQyxJQUFJLEVBQUUscUJBQXFCLFdBQVcsQ0FBQyxVQUFVLENBQUMsZ0JBQWdCLFdBQVcsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsQ0FBQyxvQ0FBb0MsRUFBRSxDQUFDLENBQUM7SUFDNU8sSUFBSSxXQUFXLEtBQUssU0FBUyxJQUFJLENBQUMsV0FBVyxDQUFDLFVBQVUsQ0FBQztRQUNyRCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUseUJBQXlCLEVBQUUsT0FBTyxFQUFFLFVBQVUsV0FBVyxDQUFDLFVBQVUsQ0FBQyx1Q0FBdUMsV0FBVyxvQkFBb0IsY0FBYyxDQUFDLFVBQVUsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQztJQUNqTyxJQUFJLFVBQVUsS0FBSyxTQUFTLElBQUksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDO1FBQ2xELE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSx3QkFBd0IsRUFBRSxPQUFPLEVBQUUsVUFBVSxVQUFVLDJCQUEyQixXQUFXLENBQUMsVUFBVSxDQUFDLG9CQUFvQixXQUFXLENBQUMsVUFBVSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDO0lBRWhOLE9BQU8sVUFBVSxDQUFDO0FBQ3RCLENBQUM7QUFFRCw4RkFBOEY7QUFDOUYsNkZBQTZGO0FBQzdGLCtFQUErRTtBQUUvRSxTQUFTLGFBQWEsQ0FBQyxPQUFlLEVBQUUsT0FBZSxFQUFFLE1BQXNCO0lBQzNFLDBEQUEwRDtJQUUxRCxPQUFPLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQyxPQUFPLENBQUMsV0FBVyxFQUFFLGdCQUFnQixDQUFDLENBQUMsT0FBTyxDQUFDLFlBQVksRUFBRSxlQUFlLENBQUMsQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLGVBQWUsQ0FBQyxDQUFDO0lBRTlLLDZGQUE2RjtJQUM3Rix3QkFBd0I7SUFFeEIsSUFBSSxVQUFVLEdBQUcsT0FBTyxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUMxQyxJQUFJLFVBQVUsR0FBRyxDQUFDLEVBQUU7UUFDaEIsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLGtCQUFrQixFQUFFLE9BQU8sRUFBRSxtQ0FBbUMsT0FBTyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1FBQ3BILE9BQU8sT0FBTyxDQUFDO0tBQ2xCO0lBQ0QsSUFBSSxVQUFVLEdBQUcsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsVUFBVSxDQUFDLENBQUM7SUFDbEQsSUFBSSxVQUFVLEdBQUcsT0FBTyxDQUFDLFNBQVMsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFFbkQsOEVBQThFO0lBRTlFLElBQUksV0FBVyxHQUFHLGVBQWUsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUMzQyxJQUFJLE9BQU8sS0FBSyxTQUFTLElBQUksT0FBTyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxXQUFXLEtBQUssU0FBUztRQUMzRSxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsaUJBQWlCLEVBQUUsT0FBTyxFQUFFLGtCQUFrQixPQUFPLENBQUMsSUFBSSxFQUFFLGVBQWUsRUFBRSxDQUFDLENBQUM7SUFFekgsSUFBSSxtQkFBbUIsR0FBRyxnQkFBZ0IsQ0FBQyxVQUFVLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFFL0Qsa0RBQWtEO0lBRWxELElBQUksVUFBVSxHQUFHLFVBQVUsQ0FBQztJQUM1QixVQUFVLEdBQUcsZ0JBQWdCLENBQUMsVUFBVSxFQUFFLFdBQVcsRUFBRSxjQUFjLENBQUMsbUJBQW1CLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUNwRyxJQUFJLFVBQVUsS0FBSyxJQUFJLEVBQUU7UUFDckIsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLGtCQUFrQixFQUFFLE9BQU8sRUFBRSxXQUFXLFVBQVUsQ0FBQyxJQUFJLEVBQUUsaUJBQWlCLEVBQUUsQ0FBQyxDQUFDO1FBQ3BILE9BQU8sT0FBTyxDQUFDO0tBQ2xCO0lBRUQsMkZBQTJGO0lBRTNGLE9BQU8sbUJBQW1CLEdBQUcsSUFBSSxHQUFHLFdBQVcsQ0FBQyxVQUFVLENBQUMsQ0FBQztBQUNoRSxDQUFDO0FBRUQsaUZBQWlGO0FBRWpGLFNBQVMsc0JBQXNCLENBQUMsV0FBbUIsRUFBRSxPQUFlO0lBQ2hFLElBQUksaUJBQWlCLEdBQUcsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxZQUFZLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLENBQUM7SUFFNUksb0ZBQW9GO0lBRXBGLElBQUksVUFBVSxHQUFHLE9BQU8sQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDMUMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsVUFBVSxDQUFDLENBQUM7SUFDM0UsSUFBSSxXQUFXLEdBQUcsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMscUNBQXFDLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsVUFBVSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7SUFDakksSUFBSSxXQUFXLEtBQUssSUFBSSxFQUFFO1FBQ3RCLGlCQUFpQixDQUFDLE1BQU0sR0FBRyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDMUMsaUJBQWlCLENBQUMsS0FBSyxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN6QyxpQkFBaUIsQ0FBQyxRQUFRLEdBQUcsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQy9DOztRQUNHLE1BQU0sR0FBRyxPQUFPLENBQUMsQ0FBRSxrRUFBa0U7SUFFekYsMkZBQTJGO0lBQzNGLDJGQUEyRjtJQUUzRixJQUFJLE1BQU0sR0FBRyxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsSUFBSSxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBQzlHLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksaUJBQWlCLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksV0FBVyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztRQUM3SCxpQkFBaUIsQ0FBQyxZQUFZLEdBQUcsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ2xELElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksV0FBVyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNwRSxpQkFBaUIsQ0FBQyxVQUFVLEdBQUcsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ2hELGlCQUFpQixDQUFDLFVBQVUsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBRWhELE9BQU8saUJBQWlCLENBQUM7QUFDN0IsQ0FBQztBQUVELDJGQUEyRjtBQUMzRiwwQ0FBMEM7QUFFMUMsU0FBUyxrQkFBa0IsQ0FBQyxJQUFZO0lBQ3BDLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyx3QkFBd0IsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssS0FBSyxFQUFFLElBQUksS0FBSyxLQUFLLEdBQUcsQ0FBQyxDQUFDO0FBQzFILENBQUM7QUFFRCw4RkFBOEY7QUFDOUYsNkZBQTZGO0FBQzdGLDZGQUE2RjtBQUM3Riw4RkFBOEY7QUFDOUYsOEVBQThFO0FBQzlFLGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0YsZ0dBQWdHO0FBQ2hHLFlBQVk7QUFFTCxLQUFLLFVBQVUsUUFBUSxDQUFDLE1BQWMsRUFBRSxHQUFXLEVBQUUsVUFBMEIsdUJBQVksRUFBRSxLQUFtQixFQUFFLE1BQVcsVUFBVTtJQUMxSSxHQUFHLENBQUMseUNBQXlDLEdBQUcsR0FBRyxDQUFDLENBQUM7SUFFckQsNEZBQTRGO0lBQzVGLCtGQUErRjtJQUMvRiw0RkFBNEY7SUFDNUYsd0RBQXdEO0lBRXhELElBQUksR0FBRyxHQUFHLE1BQU0sS0FBSyxDQUFDLFdBQVcsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLFVBQVUsQ0FBQyxNQUFNLENBQUMsRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQy9HLElBQUk7UUFDQSxPQUFPLE1BQU0sYUFBYSxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLHlCQUFnQixDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsRUFBRSxtQ0FBb0IsQ0FBQyxPQUFPLENBQUMsb0JBQW9CLENBQUMsRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLENBQUM7S0FDdko7WUFBUztRQUNOLE1BQU0sR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDO0tBQ3ZCO0FBQ0wsQ0FBQztBQWRELDRCQWNDO0FBRUQsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRixpR0FBaUc7QUFDakcsZ0dBQWdHO0FBQ2hHLDZFQUE2RTtBQUU3RSxLQUFLLFVBQVUsYUFBYSxDQUFDLE1BQWMsRUFBRSxHQUFXLEVBQUUsT0FBdUI7SUFDN0UseUJBQWdCLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ3JDLG1DQUFvQixDQUFDLE9BQU8sQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDO0lBQ25ELElBQUk7UUFDQSx5QkFBWSxDQUFDLE1BQU0sUUFBUSxDQUFDLE1BQU0sRUFBRSxHQUFHLEVBQUUsT0FBTyxDQUFDLENBQUMsSUFBRSxNQUFNLEVBQUUsSUFBSSxJQUFHO0tBQ3RFO0lBQUMsT0FBTyxLQUFLLEVBQUU7UUFDWixPQUFPLENBQUMsR0FBRyxDQUFDLHNEQUFzRCxLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUNuRixJQUFJLFNBQVMsR0FBYyxFQUFFLFVBQVUsRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUscUNBQXFDLEtBQUssQ0FBQyxPQUFPLEdBQUcsRUFBRSxPQUFPLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUMsUUFBUSxFQUFFLEVBQUUsQ0FBQyxDQUFFLHNFQUFzRTtRQUM3TyxPQUFPLEVBQUUsdUJBQXVCLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSw4QkFBb0IsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxDQUFFLFNBQVMsQ0FBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxDQUFDO0tBQ2xIO0FBQ0wsQ0FBQztBQUVELDJGQUEyRjtBQUUzRixLQUFLLFVBQVUsYUFBYSxDQUFDLEdBQUcsRUFBRSxHQUFXLEVBQUUsT0FBdUIsRUFBRSxNQUFvQixFQUFFLGdCQUFrQyxFQUFFLEtBQWtCLEVBQUUsR0FBUTtJQUMxSixJQUFJLHVCQUF1QixHQUFHLEVBQUUsQ0FBQztJQUNqQyxJQUFJLFVBQVUsR0FBZ0IsRUFBRSxDQUFDO0lBQ2pDLElBQUksb0JBQW9CLEdBQThCLFNBQVMsQ0FBQyxDQUFFLDJDQUEyQztJQUM3RyxJQUFJLGVBQWUsR0FBcUIsRUFBRSxDQUFDO0lBQzNDLElBQUksc0JBQXNCLEdBQW1CLFNBQVMsQ0FBQyxDQUFFLGdEQUFnRDtJQUV6RyxLQUFLLElBQUksU0FBUyxHQUFHLENBQUMsRUFBRSxTQUFTLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxTQUFTLEVBQUUsRUFBRTtRQUMzRCxHQUFHLENBQUMsOENBQThDLFNBQVMsR0FBRyxDQUFDLE9BQU8sR0FBRyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7UUFDdkYsSUFBSSxJQUFJLEdBQUcsTUFBTSxHQUFHLENBQUMsT0FBTyxDQUFDLFNBQVMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUU1Qyx3RkFBd0Y7UUFDeEYsdUVBQXVFO1FBRXZFLElBQUksU0FBUyxHQUFjLFNBQVMsQ0FBQztRQUNyQyxJQUFJLFNBQVMsR0FBYyxDQUFDLEtBQUssS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLFVBQVUsRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxXQUFXLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsQ0FBQztRQUM5SCxJQUFJLElBQUksR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDO1FBQ3JCLElBQUksRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxHQUFHLE1BQU0sZ0JBQVMsQ0FBQyxJQUFJLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDakUsSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFO1lBQ3JCLFNBQVMsR0FBRyxFQUFFLFVBQVUsRUFBRSxTQUFTLEdBQUcsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsa0JBQWtCLEVBQUUsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxpQkFBaUIsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxDQUFDO1lBQ2xSLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDekI7UUFFRCw2RUFBNkU7UUFFN0UsSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUNuQixJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDM0UsR0FBRyxDQUFDLDhIQUE4SCxjQUFjLEVBQUUsQ0FBQyxDQUFDO1lBQ3BKLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxVQUFVLEVBQUUsU0FBUyxHQUFHLENBQUMsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSx3Q0FBd0MsRUFBRSxPQUFPLEVBQUUsY0FBYyxFQUFFLENBQUMsQ0FBQztZQUN6SSxzQkFBc0IsR0FBRyxTQUFTLENBQUM7WUFDbkMsU0FBUztTQUNaO1FBRUQsd0ZBQXdGO1FBQ3hGLHNGQUFzRjtRQUN0RixxRkFBcUY7UUFDckYsdUZBQXVGO1FBQ3ZGLGlDQUFpQztRQUVqQyxJQUFJLFdBQVcsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDakYsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQztRQUV2QixJQUFJLGVBQWUsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNsSCxLQUFLLElBQUksR0FBRyxJQUFJLElBQUk7WUFDaEIsR0FBRyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztRQUU5Qix5RkFBeUY7UUFDekYseUZBQXlGO1FBQ3pGLHVGQUF1RjtRQUV2RixJQUFJLFlBQVksR0FBRyx5QkFBZ0IsQ0FBQyxLQUFLLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDbkQsSUFBSSxhQUFhLEdBQUcsaUNBQXdCLENBQUMsWUFBWSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBQ25FLElBQUksYUFBYSxDQUFDLE1BQU0sS0FBSyxDQUFDO1lBQzFCLG9CQUFvQixHQUFHLFlBQVksQ0FBQzthQUNuQyxJQUFJLG9CQUFvQixLQUFLLFNBQVMsRUFBRTtZQUN6QyxHQUFHLENBQUMsd0VBQXdFLGFBQWEsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLHlEQUF5RCxDQUFDLENBQUM7WUFDbkssWUFBWSxHQUFHLG9CQUFvQixDQUFDO1lBQ3BDLElBQUksU0FBUyxLQUFLLFNBQVM7Z0JBQ3ZCLFNBQVMsQ0FBQyxpQkFBaUIsR0FBRyxJQUFJLENBQUM7U0FDMUM7YUFBTTtZQUNILElBQUksY0FBYyxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUMzRSxHQUFHLENBQUMseUZBQXlGLGFBQWEsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLHdIQUF3SCxjQUFjLEVBQUUsQ0FBQyxDQUFDO1lBQ25RLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxVQUFVLEVBQUUsU0FBUyxHQUFHLENBQUMsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxpQkFBaUIsYUFBYSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsb0NBQW9DLEVBQUUsT0FBTyxFQUFFLGNBQWMsRUFBRSxDQUFDLENBQUM7WUFDbEwsc0JBQXNCLEdBQUcsU0FBUyxDQUFDO1lBQ25DLFNBQVM7U0FDWjtRQUVELHdGQUF3RjtRQUN4RiwwRkFBMEY7UUFDMUYsMEZBQTBGO1FBQzFGLCtCQUErQjtRQUUvQixJQUFJLFNBQVMsS0FBSyxTQUFTO1lBQ3ZCLFNBQVMsQ0FBQyxZQUFZLEdBQUcsWUFBWSxDQUFDO1FBRTFDLEtBQUssSUFBSSxHQUFHLElBQUksSUFBSSxFQUFFO1lBQ2xCLElBQUksUUFBUSxHQUFhLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsYUFBYSxFQUFFLENBQUM7WUFDaEUsSUFBSSxTQUFTLEtBQUssU0FBUztnQkFDdkIsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7WUFFbEMsSUFBSSxHQUFHLENBQUMsUUFBUSxDQUFDLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFO2dCQUM5QyxRQUFRLENBQUMsT0FBTyxHQUFHLFNBQVMsQ0FBQztnQkFDN0IsU0FBUyxDQUFFLHlCQUF5QjthQUN2QztZQUVELElBQUksY0FBYyxHQUFtQixFQUFFLFVBQVUsRUFBRSxTQUFTLEdBQUcsQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsU0FBUyxFQUFFLEdBQUcsQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDO1lBQ2hJLEtBQUssSUFBSSxLQUFLLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUM7Z0JBQ3ZDLGNBQWMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEdBQUcsb0JBQWEsQ0FBQyxHQUFHLEVBQUUsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7WUFFMUUsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLGlCQUFpQixLQUFLLFNBQVMsSUFBSSxjQUFjLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsS0FBSyxFQUFFLENBQUMsRUFBRTtnQkFDckgsUUFBUSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUM7Z0JBQzNCLFNBQVMsQ0FBRSx3QkFBd0I7YUFDdEM7WUFFRCxJQUFJLHNCQUFzQixLQUFLLFNBQVMsSUFBSSxpQkFBaUIsQ0FBQyxjQUFjLENBQUMsRUFBRTtnQkFDM0UsR0FBRyxDQUFDLHNDQUFzQyxTQUFTLEdBQUcsQ0FBQyxvQkFBb0IsV0FBVyxDQUFDLHNCQUFzQixDQUFDLEtBQUssQ0FBQyxpQkFBaUIsQ0FBQyxhQUFhLENBQUMsQ0FBQztnQkFDckosbUJBQW1CLENBQUMsc0JBQXNCLEVBQUUsY0FBYyxDQUFDLENBQUM7Z0JBQzVELFFBQVEsQ0FBQyxPQUFPLEdBQUcsY0FBYyxDQUFDO2dCQUNsQyxTQUFTO2FBQ1o7WUFFRCxlQUFlLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxDQUFDO1lBQ3JDLHNCQUFzQixHQUFHLGNBQWMsQ0FBQztTQUMzQztLQUNKO0lBRUQsMERBQTBEO0lBRTFELEtBQUssSUFBSSxjQUFjLElBQUksZUFBZSxFQUFFO1FBQ3hDLElBQUksc0JBQXNCLEdBQUcsbUJBQW1CLENBQUMsY0FBYyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLEVBQUUsVUFBVSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQ2xILElBQUksc0JBQXNCLEtBQUssU0FBUztZQUNwQyx1QkFBdUIsQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsQ0FBQzthQUNwRDtZQUNELGNBQWMsQ0FBQyxLQUFLLENBQUMsT0FBTyxHQUFHLFVBQVUsQ0FBQztZQUMxQyxjQUFjLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7U0FDMUU7UUFDRCxjQUFjLENBQUMsS0FBSyxDQUFDLHNCQUFzQixHQUFHLHNCQUFzQixDQUFDO0tBQ3hFO0lBRUQsT0FBTyxFQUFFLHVCQUF1QixFQUFFLHVCQUF1QixFQUFFLE1BQU0sRUFBRSw4QkFBb0IsQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLFFBQVEsRUFBRSx1QkFBdUIsRUFBRSxVQUFVLENBQUMsRUFBRSxDQUFDO0FBQ3RKLENBQUM7QUFFRCwrQ0FBK0M7QUFFL0MsU0FBUyxXQUFXLENBQUMsSUFBVTtJQUMzQixPQUFPLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0FBQzFILENBQUM7QUFFRCwyRkFBMkY7QUFDM0YsOEZBQThGO0FBQzlGLDZFQUE2RTtBQUU3RSxTQUFTLGlCQUFpQixDQUFDLGNBQThCO0lBQ3JELE9BQU8sV0FBVyxDQUFDLGNBQWMsQ0FBQyxLQUFLLENBQUMsaUJBQWlCLENBQUMsS0FBSyxFQUFFLElBQUksV0FBVyxDQUFDLGNBQWMsQ0FBQyxLQUFLLENBQUMsWUFBWSxDQUFDLEtBQUssRUFBRSxDQUFDO0FBQy9ILENBQUM7QUFFRCwyRkFBMkY7QUFDM0YsZ0VBQWdFO0FBRWhFLFNBQVMsbUJBQW1CLENBQUMsY0FBOEIsRUFBRSxlQUErQjtJQUN4RixLQUFLLElBQUksS0FBSyxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLEtBQUssQ0FBQyxFQUFFO1FBQ2xELElBQUksSUFBSSxHQUFHLGVBQWUsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDeEMsSUFBSSxJQUFJLEtBQUssU0FBUztZQUNsQixTQUFTO1FBQ2IsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxLQUFLLFNBQVM7WUFDekMsY0FBYyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsR0FBRyxJQUFJLENBQUM7O1lBRW5DLGNBQWMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztLQUNuRTtJQUNELGNBQWMsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsZUFBZSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0FBQ2hFLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcscUZBQXFGO0FBRXJGLFNBQVMsbUJBQW1CLENBQUMsR0FBbUIsRUFBRSxHQUFXLEVBQUUsT0FBdUIsRUFBRSxnQkFBa0MsRUFBRSxVQUF1QixFQUFFLEdBQVE7SUFDekosSUFBSSxNQUFNLEdBQUcsQ0FBQyxNQUFjLEVBQUUsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxVQUFVLEVBQUUsR0FBRyxDQUFDLFVBQVUsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUV2SiwwRkFBMEY7SUFDMUYsa0ZBQWtGO0lBRWxGLElBQUksdUJBQXVCLEdBQUcsMkNBQXNCLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxpQkFBaUIsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ2pJLElBQUksdUJBQXVCLEtBQUssU0FBUyxFQUFFLEVBQUcsd0NBQXdDO1FBQ2xGLE1BQU0sQ0FBQyxpQ0FBaUMsQ0FBQyxDQUFDO1FBQzFDLE9BQU8sU0FBUyxDQUFDO0tBQ3BCO0lBQ0QsSUFBSSxpQkFBaUIsR0FBRyx1QkFBdUIsQ0FBQyxTQUFTLENBQUM7SUFFMUQseUJBQXlCO0lBRXpCLElBQUksV0FBVyxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDO0lBQ3BDLElBQUksV0FBVyxLQUFLLFNBQVMsRUFBRTtRQUMzQixNQUFNLENBQUMsMkJBQTJCLENBQUMsQ0FBQztRQUNwQyxPQUFPLFNBQVMsQ0FBQztLQUNwQjtJQUVELElBQUksT0FBTyxHQUFHLEVBQUUsQ0FBQyxDQUFFLHNDQUFzQztJQUN6RCxJQUFJLGNBQWMsR0FBRyxXQUFXLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQzNFLElBQUksY0FBYyxLQUFLLFNBQVMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxJQUFJLGNBQWMsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxDQUFDLEVBQUU7UUFDbkosT0FBTyxHQUFHLGNBQWMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUUsaURBQWlEO1FBQ3RJLFdBQVcsQ0FBQyxRQUFRLENBQUMsR0FBRyxFQUFFLENBQUM7S0FDOUI7SUFFRCxJQUFJLE9BQU8sR0FBRyxXQUFXLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUN6RyxJQUFJLE9BQU8sS0FBSyxFQUFFLElBQUksT0FBTyxLQUFLLEdBQUcsRUFBRSxFQUFHLDZCQUE2QjtRQUNuRSxNQUFNLENBQUMsc0JBQXNCLENBQUMsQ0FBQztRQUMvQixPQUFPLFNBQVMsQ0FBQztLQUNwQjtJQUVELElBQUksTUFBTSxHQUFtQixFQUFFLENBQUM7SUFDaEMsT0FBTyxHQUFHLGFBQWEsQ0FBQyxPQUFPLEVBQUUsT0FBTyxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBRWxELElBQUksV0FBVyxHQUFHLEVBQUUsQ0FBQztJQUNyQixJQUFJLEdBQUcsQ0FBQyxLQUFLLENBQUMsV0FBVyxLQUFLLFNBQVM7UUFDbkMsV0FBVyxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUN2SyxJQUFJLGlCQUFpQixHQUFHLHNCQUFzQixDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUNyRSxPQUFPLEdBQUcsQ0FBQyxXQUFXLEdBQUcsR0FBRyxHQUFHLE9BQU8sQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0lBRS9DLDZCQUE2QjtJQUU3QixJQUFJLGVBQWUsR0FBRyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsV0FBVyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3pJLElBQUksRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLG1CQUFtQixFQUFFLFdBQVcsRUFBRSxHQUFHLG1DQUFvQixDQUFDLGVBQWUsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO0lBQzdILElBQUksV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDO1FBQ3RCLEdBQUcsQ0FBQyw2Q0FBNkMsaUJBQWlCLE1BQU0sV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7SUFFdkcsK0JBQStCO0lBRS9CLElBQUksaUJBQWlCLEdBQUcsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLFlBQVksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ25JLElBQUksRUFBRSxZQUFZLEVBQUUsTUFBTSxFQUFFLGtCQUFrQixFQUFFLEdBQUcseUJBQWlCLENBQUMsaUJBQWlCLEVBQUUsaUJBQWlCLENBQUMsQ0FBQztJQUMzRyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsa0JBQWtCLENBQUMsQ0FBQztJQUVuQyxtQ0FBbUM7SUFFbkMsSUFBSSxhQUFhLEdBQUcsRUFBRSxDQUFDO0lBRXZCLElBQUksR0FBRyxHQUFHLEVBQUUsQ0FBQztJQUNiLElBQUksR0FBRyxDQUFDLEtBQUssQ0FBQyxHQUFHLEtBQUssU0FBUyxFQUFFO1FBQzdCLEdBQUcsR0FBRyxHQUFHLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDbkosSUFBSSxHQUFHLEtBQUssRUFBRTtZQUNWLGFBQWEsQ0FBQyxJQUFJLENBQUMsT0FBTyxHQUFHLEVBQUUsQ0FBQyxDQUFDO0tBQ3hDO0lBRUQsSUFBSSxPQUFPLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLElBQUksR0FBRyxDQUFDLEtBQUssQ0FBQyxPQUFPLEtBQUssU0FBUyxFQUFFO1FBQ2pDLE9BQU8sR0FBRyxHQUFHLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDM0osSUFBSSxPQUFPLEtBQUssRUFBRTtZQUNkLGFBQWEsQ0FBQyxJQUFJLENBQUMsV0FBVyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0tBQ2hEO0lBRUQsSUFBSSxPQUFPLEtBQUssRUFBRSxFQUFHLHFDQUFxQztRQUN0RCxhQUFhLENBQUMsSUFBSSxDQUFDLFdBQVcsT0FBTyxFQUFFLENBQUMsQ0FBQztJQUU3QyxJQUFJLGdCQUFnQixHQUFHLGFBQWEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDaEQsSUFBSSxXQUFXLEdBQUcsZUFBZSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQzNDLElBQUksV0FBVyxHQUFHLEVBQUUsSUFBSSxFQUFFLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxFQUFFLFFBQVEsRUFBRSxrQkFBa0IsQ0FBQyxPQUFPLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxXQUFXLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7SUFFdksscURBQXFEO0lBRXJELElBQUksV0FBVyxLQUFLLEVBQUU7UUFDbEIsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLE9BQU8sRUFBRSwwQkFBMEIsRUFBRSxDQUFDLENBQUM7SUFDdkcsS0FBSyxJQUFJLEtBQUssSUFBSSxNQUFNO1FBQ3BCLEdBQUcsQ0FBQyw0QkFBNEIsaUJBQWlCLE1BQU0saUNBQXVCLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxzQkFBc0IsS0FBSyxDQUFDLEtBQUssTUFBTSxLQUFLLENBQUMsT0FBTyxHQUFHLENBQUMsQ0FBQztJQUV2SixPQUFPO1FBQ0gsY0FBYyxFQUFFLE9BQU8sQ0FBQyxJQUFJO1FBQzVCLGlCQUFpQixFQUFFLGlCQUFpQjtRQUNwQyx5QkFBeUIsRUFBRSx1QkFBdUIsQ0FBQyxRQUFRO1FBQzNELE9BQU8sRUFBRSxPQUFPO1FBQ2hCLFdBQVcsRUFBRSxDQUFDLENBQUMsV0FBVyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxpQ0FBa0IsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDO1FBQ3RFLFdBQVcsRUFBRSxXQUFXO1FBQ3hCLG1CQUFtQixFQUFFLG1CQUFtQjtRQUN4QyxjQUFjLEVBQUUsR0FBRztRQUNuQixVQUFVLEVBQUUsT0FBTyxDQUFDLFVBQVU7UUFDOUIsVUFBVSxFQUFFLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUM7UUFDekMsWUFBWSxFQUFFLFlBQVk7UUFDMUIsZ0JBQWdCLEVBQUUsZ0JBQWdCO1FBQ2xDLGlCQUFpQixFQUFFLGlCQUFpQjtRQUNwQyxXQUFXLEVBQUUsV0FBVztRQUN4QixPQUFPLEVBQUUsNkJBQW1CLENBQUMsTUFBTSxDQUFDO0tBQ3ZDLENBQUM7QUFDTixDQUFDO0FBRUQsbURBQW1EO0FBQ25ELEVBQUU7QUFDRixvQ0FBb0M7QUFDcEMsMkRBQTJEO0FBQzNELDJDQUEyQztBQUMzQyx3Q0FBd0M7QUFDeEMsdURBQXVEO0FBQ3ZELCtGQUErRjtBQUMvRixtR0FBbUc7QUFDbkcsa0hBQWtIO0FBQ2xILEVBQUU7QUFDRixrR0FBa0c7QUFDbEcsaUdBQWlHO0FBQ2pHLGlHQUFpRztBQUNqRyw2RkFBNkY7QUFDN0Ysd0ZBQXdGO0FBQ3hGLCtGQUErRjtBQUMvRiw4RkFBOEY7QUFDOUYsZ0dBQWdHO0FBQ2hHLGdHQUFnRztBQUNoRyxnR0FBZ0c7QUFDaEcsNEZBQTRGO0FBQzVGLDJGQUEyRjtBQUMzRixvQ0FBb0M7QUFFcEMsU0FBUyxjQUFjLENBQUMsSUFBYztJQUNsQyxJQUFJLE9BQU8sR0FBRyxFQUFFLGdCQUFnQixFQUFFLFNBQW1CLEVBQUUsV0FBVyxFQUFFLEVBQWMsRUFBRSxPQUFPLEVBQUUsRUFBMEMsRUFBRSxVQUFVLEVBQUUsaUJBQWlCLEVBQUUsWUFBWSxFQUFFLG1CQUFtQixFQUFFLFVBQVUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsRUFBc0IsRUFBRSxZQUFZLEVBQUUsa0JBQUssNkJBQW1CLElBQUUsY0FBYyxFQUFFLHFCQUFxQixFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsR0FBa0IsRUFBRSxDQUFDO0lBRTlZLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzlDLElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMzQixJQUFJLFFBQVEsS0FBSyxXQUFXLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUNuRCxPQUFPLENBQUMsZ0JBQWdCLEdBQUcsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7YUFDeEMsSUFBSSxRQUFRLEtBQUssV0FBVyxFQUFFO1lBQy9CLE9BQU8sS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDO2dCQUMvRCxPQUFPLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxHQUFHLHVCQUFZLENBQUMsQ0FBRSxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBRSxDQUFDLENBQUMsQ0FBQztTQUNqRTthQUFNLElBQUksUUFBUSxLQUFLLFVBQVUsRUFBRTtZQUNoQyxPQUFPLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQztnQkFDL0QsT0FBTyxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztTQUMvQzthQUFNLElBQUksUUFBUSxLQUFLLFVBQVUsRUFBRTtZQUNoQyxPQUFPLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFO2dCQUNqRSxJQUFJLE1BQU0sR0FBRyxnQ0FBd0IsQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO2dCQUNyRCxJQUFJLE1BQU0sS0FBSyxTQUFTO29CQUNwQixNQUFNLElBQUksS0FBSyxDQUFDLHdCQUF3QixJQUFJLENBQUMsS0FBSyxDQUFDLDRHQUE0RyxDQUFDLENBQUM7Z0JBQ3JLLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO2FBQ2hDO1NBQ0o7YUFBTSxJQUFJLFFBQVEsS0FBSyxlQUFlLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQztZQUM3RixPQUFPLENBQUMsVUFBVSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO2FBQzFDLElBQUksUUFBUSxLQUFLLGlCQUFpQixJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUM7WUFDN0YsT0FBTyxDQUFDLFlBQVksR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQzthQUM1QyxJQUFJLFFBQVEsS0FBSyxVQUFVLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUN2RCxPQUFPLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO2FBQ2xDLElBQUksUUFBUSxLQUFLLFdBQVcsSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLElBQUksTUFBTSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO1lBQ3JJLE9BQU8sQ0FBQyxZQUFZLENBQUMsVUFBVSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO2FBQ3ZELElBQUksUUFBUSxLQUFLLFdBQVcsSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDO1lBQ3ZGLE9BQU8sQ0FBQyxZQUFZLENBQUMsT0FBTyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQzthQUMzRCxJQUFJLFFBQVEsS0FBSyxTQUFTLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztZQUN0RixPQUFPLENBQUMsWUFBWSxDQUFDLEtBQUssR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUM7YUFDekQsSUFBSSxRQUFRLEtBQUssU0FBUyxJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU07WUFDdEQsT0FBTyxDQUFDLFlBQVksQ0FBQyxjQUFjLEdBQUcsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7YUFDbkQsSUFBSSxRQUFRLEtBQUssWUFBWTtZQUM5QixPQUFPLENBQUMsWUFBWSxDQUFDLGNBQWMsR0FBRyxTQUFTLENBQUM7YUFDL0MsSUFBSSxRQUFRLEtBQUssV0FBVyxJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU07WUFDeEQsT0FBTyxDQUFDLFlBQVksQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO2FBQ3hELElBQUksUUFBUSxLQUFLLFlBQVk7WUFDOUIsT0FBTyxDQUFDLFlBQVksQ0FBQyxrQkFBa0IsR0FBRyxLQUFLLENBQUM7O1lBRWhELE1BQU0sSUFBSSxLQUFLLENBQUMsdUNBQXVDLFFBQVEsNFlBQTRZLENBQUMsQ0FBQztLQUNwZDtJQUVELElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUMsSUFBSSxPQUFPLENBQUMsV0FBVyxDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQzdELE1BQU0sSUFBSSxLQUFLLENBQUMsc0VBQXNFLENBQUMsQ0FBQztJQUM1RixJQUFJLElBQUksQ0FBQyxRQUFRLENBQUMsVUFBVSxDQUFDLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUN6RCxNQUFNLElBQUksS0FBSyxDQUFDLDJEQUEyRCxDQUFDLENBQUM7SUFDakYsSUFBSSxPQUFPLENBQUMsT0FBTyxDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQzVCLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLENBQUMsQ0FBQztJQUNwRSxJQUFJLElBQUksQ0FBQyxRQUFRLENBQUMsV0FBVyxDQUFDLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUMzRCxNQUFNLElBQUksS0FBSyxDQUFDLDBFQUEwRSxDQUFDLENBQUM7SUFDaEcsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQzdCLE9BQU8sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLG1CQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN2QyxPQUFPLENBQUMsUUFBUSxHQUFHLE9BQU8sQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsT0FBTyxFQUFFLEtBQUssRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLEtBQUssS0FBSyxDQUFDLENBQUMsQ0FBRSxvQ0FBb0M7SUFFbEosT0FBTyxPQUFPLENBQUM7QUFDbkIsQ0FBQztBQUVELCtGQUErRjtBQUMvRixpRUFBaUU7QUFFakUsU0FBUyxnQ0FBZ0MsQ0FBQyxJQUFZLEVBQUUsT0FBZSxFQUFFLE9BQXVCO0lBQzVGLElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFFM0IsSUFBSSxPQUFPLEdBQWEsRUFBRSxDQUFDO0lBQzNCLEtBQUssSUFBSSxPQUFPLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRTtRQUMvQyxJQUFJLE1BQU0sR0FBRyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDO1FBQ25FLElBQUksTUFBTSxDQUFDLFdBQVcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUM7WUFDckMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssTUFBTSxDQUFDLEVBQUcsbUJBQW1CO2dCQUMxRCxPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ2hDO0lBRUQsT0FBTyxPQUFPLENBQUM7QUFDbkIsQ0FBQztBQUVELGlEQUFpRDtBQUVqRCxTQUFTLFdBQVcsQ0FBQyxRQUFRLEVBQUUsS0FBYSxFQUFFLE9BQTZDLEVBQUUsUUFBMEI7SUFDbkgsT0FBTyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1FBQ3hCLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxVQUFVO1lBQzFCLE9BQU8sa0JBQWtCLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxDQUFDO2FBQzFDLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxRQUFRO1lBQzdCLE9BQU8sZ0NBQXdCLEVBQUUsQ0FBQztRQUV0Qyx5RkFBeUY7UUFFekYsSUFBSSxJQUFnQixDQUFDO1FBQ3JCLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxLQUFLO1lBQ3JCLElBQUksR0FBRyxxQkFBYSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQzthQUNyQyxJQUFJLE1BQU0sQ0FBQyxJQUFJLEtBQUssUUFBUTtZQUM3QixJQUFJLEdBQUcsd0JBQWdCLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDOztZQUV6QyxJQUFJLEdBQUcsZ0NBQXdCLENBQUMsTUFBTSxDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUMsQ0FBQztRQUMvRCxPQUFPLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLDBCQUFrQixDQUFDLElBQUksRUFBRSxHQUFHLEVBQUUsQ0FBQyxzQkFBc0IsQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQztJQUN4SCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsc0JBQXNCO0FBRXRCLEtBQUssVUFBVSxzQkFBc0IsQ0FBQyxRQUFRLEVBQUUsUUFBMEI7SUFDdEUsSUFBSSxJQUFJLEdBQUcsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSxvREFBb0QsUUFBUSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLG9CQUFvQixFQUFFLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztJQUN0TCxPQUFPLElBQUksQ0FBQyxHQUFHLENBQUMsaUNBQXlCLENBQUMsQ0FBQztBQUMvQyxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLGlHQUFpRztBQUNqRyxtQkFBbUI7QUFFbkIsU0FBZ0IsbUJBQW1CLENBQUMsYUFBNkIsRUFBRSxPQUF1QixFQUFFLFFBQTBCO0lBQ2xILElBQUksUUFBUSxDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQ3JCLE9BQU8sYUFBYSxDQUFDO0lBQ3pCLElBQUksSUFBSSxHQUFHLElBQUksU0FBUyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQ3ZELE9BQU8sYUFBYSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLElBQUksU0FBUyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxDQUFDO0FBQ25HLENBQUM7QUFMRCxrREFLQztBQUVELCtGQUErRjtBQUMvRiwrRkFBK0Y7QUFDL0YscUNBQXFDO0FBRTlCLEtBQUssVUFBVSxNQUFNLENBQUMsT0FBdUIsRUFBRSxhQUE2QixFQUFFLFFBQVEsRUFBRSxLQUFhLEVBQUUsS0FBbUIsRUFBRSxRQUFrQixFQUFFLE9BQXlCLEVBQUUsT0FBeUI7SUFDdk0sSUFBSSxnQkFBZ0IsR0FBRyxhQUFhLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksS0FBSyxLQUFLLENBQUMsQ0FBQztJQUV6Riw4RkFBOEY7SUFDOUYsNEZBQTRGO0lBQzVGLDZGQUE2RjtJQUM3RixxQkFBcUI7SUFFckIsSUFBSSxnQkFBZ0IsR0FBRyxFQUFFLENBQUM7SUFDMUIsS0FBSyxJQUFJLFlBQVksSUFBSSxhQUFhLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksS0FBSyxNQUFNLENBQUMsRUFBRTtRQUN6RixPQUFPLENBQUMsR0FBRyxDQUFDLDBCQUEwQixZQUFZLENBQUMsSUFBSSxnQkFBZ0IsWUFBWSxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUM7UUFDNUYsSUFBSSxPQUFPLEdBQUcsZ0NBQWdDLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLENBQUMsUUFBUSxFQUFFLEVBQUUsWUFBWSxDQUFDLEdBQUcsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUN6SCxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsT0FBTyxDQUFDLE1BQU0sNkNBQTZDLENBQUMsQ0FBQztRQUNsRixLQUFLLElBQUksTUFBTSxJQUFJLE9BQU8sRUFBRTtZQUN4QixJQUFJLGVBQWUsR0FBRyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLEVBQUUsQ0FBQyxlQUFlLENBQUMsR0FBRyxLQUFLLE1BQU0sQ0FBQyxDQUFDO1lBQy9GLElBQUksZUFBZSxLQUFLLFNBQVM7Z0JBQzdCLE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxNQUFNLG9DQUFvQyxDQUFDLENBQUM7aUJBQ25FLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLENBQUMsZUFBZSxDQUFDO2dCQUNoRCxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUM7U0FDOUM7S0FDSjtJQUNELEtBQUssSUFBSSxlQUFlLElBQUksZ0JBQWdCO1FBQ3hDLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLENBQUMsZUFBZSxDQUFDO1lBQzNDLGdCQUFnQixDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztJQUUvQyxJQUFJLGdCQUFnQixDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7UUFDL0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyw0Q0FBNEMsT0FBTyxDQUFDLGFBQWEsR0FBRyxDQUFDLENBQUM7UUFDbEYsT0FBTztLQUNWO0lBRUQsS0FBSyxJQUFJLGVBQWUsSUFBSSxnQkFBZ0IsRUFBRTtRQUMxQyxPQUFPLENBQUMsR0FBRyxDQUFDLDhCQUE4QixlQUFlLENBQUMsSUFBSSxnQkFBZ0IsZUFBZSxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUM7UUFDdEcsSUFBSSxFQUFFLHVCQUF1QixFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsR0FBRyxNQUFNLGFBQWEsQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsRUFBRSxlQUFlLENBQUMsR0FBRyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQzNJLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDckIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLHVCQUF1QixDQUFDLE1BQU0sZ0JBQWdCLENBQUMsdUJBQXVCLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLGNBQWMsbUJBQW1CLGVBQWUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1FBRXBMLElBQUksTUFBTSxDQUFDLEVBQUU7WUFDVCxNQUFNLENBQUMsRUFBRSxFQUFFLENBQUM7UUFFaEIsTUFBTSw0QkFBZSxDQUFDLE9BQU8sRUFBRSx1QkFBdUIsRUFBRSxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDcEUsTUFBTSxtQkFBVyxDQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsR0FBRyxFQUFFLHVCQUF1QixFQUFFLE1BQU0sQ0FBQyxVQUFVLEVBQUUsUUFBUSxDQUFDLENBQUM7UUFDM0YsSUFBSSxRQUFRLEtBQUssU0FBUztZQUN0QixNQUFNLHdCQUFpQixDQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsZUFBZSxDQUFDLEdBQUcsRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLHVCQUF1QixDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQzdKO0FBQ0wsQ0FBQztBQTVDRCx3QkE0Q0M7QUFFRCx1Q0FBdUM7QUFFdkMsS0FBSyxVQUFVLElBQUk7SUFDZixJQUFJLE9BQU8sR0FBRyxjQUFjLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUVwRCwwRkFBMEY7SUFDMUYsZ0VBQWdFO0lBRWhFLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxLQUFLLFFBQVEsQ0FBQztRQUN4RCxPQUFPLENBQUMsR0FBRyxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUM7SUFFaEMsNEZBQTRGO0lBQzVGLFlBQVk7SUFFWixJQUFJLGFBQWEsR0FBRyxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQywyQkFBaUIsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztJQUUxRywyRkFBMkY7SUFDM0YsMkZBQTJGO0lBRTNGLElBQUksUUFBUSxHQUFHLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxLQUFLLFVBQVUsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxXQUFXLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLGtCQUFrQixFQUFFLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztJQUN6SixJQUFJLEtBQUssR0FBRyxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxNQUFNLGVBQVEsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ3JKLElBQUksS0FBSyxHQUFHLFdBQVcsQ0FBQyxRQUFRLEVBQUUsS0FBSyxFQUFFLE9BQU8sQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBRTVFLHdGQUF3RjtJQUN4Riw2RkFBNkY7SUFDN0YsNEZBQTRGO0lBQzVGLHdGQUF3RjtJQUN4RiwyRkFBMkY7SUFDM0YsNEZBQTRGO0lBQzVGLDZCQUE2QjtJQUU3QixJQUFJLFNBQVMsR0FBRyxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUM7SUFDM0IsSUFBSSxRQUFRLEdBQUcsc0JBQWMsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNyQyxJQUFJLE9BQU8sR0FBcUIsRUFBRSxDQUFDO0lBQ25DLElBQUksT0FBTyxHQUFHLG1DQUFzQixDQUFDLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsY0FBYyxFQUFFLGlCQUFpQixFQUFFLEVBQUUsQ0FBQyxxQkFBcUIsQ0FBQyxRQUFRLEVBQUUsY0FBYyxFQUFFLGlCQUFpQixDQUFDLENBQUMsQ0FBQztJQUV2TCxJQUFJLE1BQU0sR0FBMEIsUUFBUSxDQUFDO0lBQzdDLElBQUk7UUFDQSxLQUFLLElBQUksT0FBTyxJQUFJLE9BQU8sQ0FBQyxRQUFRLEVBQUU7WUFDbEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsT0FBTyxDQUFDLGFBQWEsR0FBRyxDQUFDLENBQUM7WUFDdEQsc0JBQXNCLENBQUMsT0FBTyxDQUFDLENBQUM7WUFDaEMsSUFBSSxhQUFhLEtBQUssU0FBUztnQkFDM0IsTUFBTSxNQUFNLENBQUMsT0FBTyxFQUFFLG1CQUFtQixDQUFDLGFBQWEsRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFDLFFBQVEsQ0FBQyxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFDLENBQUM7O2dCQUV6SSxNQUFNLEtBQUssQ0FBQyxPQUFPLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1NBQ3BHO1FBQ0QsTUFBTSxHQUFHLFVBQVUsQ0FBQztLQUN2QjtZQUFTO1FBQ04sTUFBTSxrQkFBVSxDQUFDLEtBQUssRUFBRSxRQUFRLENBQUMsQ0FBQztRQUNsQyxxQkFBVyxDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLCtCQUFrQixDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7UUFDdEUsSUFBSSxRQUFRLEtBQUssU0FBUztZQUN0QixNQUFNLGdCQUFTLENBQUMsUUFBUSxFQUFFLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQztLQUNoRDtBQUNMLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsaUdBQWlHO0FBQ2pHLHdEQUF3RDtBQUV4RCxTQUFTLHNCQUFzQixDQUFDLE9BQXVCLEVBQUUsWUFBMEI7SUFDL0UsSUFBSSxZQUFZLENBQUMsRUFBRSxLQUFLLFNBQVM7UUFDN0IsT0FBTyxZQUFZLENBQUM7SUFDeEIsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLFNBQVM7UUFDNUIseUJBQVksWUFBWSxJQUFFLEVBQUUsRUFBRSxFQUFFLENBQUMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBRztJQUNwRSxJQUFJLE9BQU8sQ0FBQyxRQUFRLElBQUksWUFBWSxDQUFDLGtCQUFrQixFQUFFO1FBQ3JELE9BQU8sQ0FBQyxHQUFHLENBQUMsMENBQTBDLE9BQU8sQ0FBQyxhQUFhLGtDQUFrQyxDQUFDLENBQUM7UUFDL0cseUJBQVksWUFBWSxJQUFFLGtCQUFrQixFQUFFLEtBQUssSUFBRztLQUN6RDtJQUNELE9BQU8sWUFBWSxDQUFDO0FBQ3hCLENBQUM7QUFFRCwwRkFBMEY7QUFDMUYsZ0ZBQWdGO0FBRXpFLEtBQUssVUFBVSxLQUFLLENBQUMsT0FBdUIsRUFBRSxRQUFRLEVBQUUsS0FBYSxFQUFFLE9BQU8sRUFBRSxTQUFpQixFQUFFLEtBQW1CLEVBQUUsUUFBa0IsRUFBRSxPQUF5QixFQUFFLE9BQXlCO0lBQ25NLGtEQUFrRDtJQUVsRCxPQUFPLENBQUMsR0FBRyxDQUFDLG9CQUFvQixPQUFPLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztJQUV2RCxJQUFJLFlBQVksR0FBRyxzQkFBc0IsQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDLFlBQVksQ0FBQyxDQUFDO0lBQ3pFLElBQUksSUFBSSxHQUFHLENBQUMsTUFBTSxrQkFBUSxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDL0UsSUFBSSxPQUFPLENBQUMsZ0JBQWdCLEtBQUssU0FBUztRQUN0QyxxQkFBVyxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsRUFBRSxPQUFPLENBQUMsV0FBVyxFQUFFLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQztJQUU3RSxJQUFJLE9BQU8sR0FBRyxnQ0FBZ0MsQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUNuRixJQUFJLE9BQU8sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO1FBQ3RCLE9BQU8sQ0FBQyxHQUFHLENBQUMscUNBQXFDLENBQUMsQ0FBQztRQUNuRCxPQUFPO0tBQ1Y7SUFFRCw2RkFBNkY7SUFDN0YseUZBQXlGO0lBQ3pGLDBGQUEwRjtJQUMxRixzRkFBc0Y7SUFDdEYsNkZBQTZGO0lBQzdGLDBGQUEwRjtJQUMxRixnQ0FBZ0M7SUFFaEMsS0FBSyxJQUFJLE1BQU0sSUFBSSxPQUFPO1FBQ3RCLE1BQU0sa0JBQWtCLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQy9DLElBQUksU0FBUyxHQUFHLE1BQU0sYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBRTlDLElBQUksZUFBZSxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFlBQVksS0FBSyxJQUFJLENBQUMsQ0FBQztJQUM1RixJQUFJLGFBQWEsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxZQUFZLEtBQUssSUFBSSxDQUFDLENBQUM7SUFDMUYsYUFBYSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLGFBQWEsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDekcsSUFBSSxlQUFlLEdBQUcsZUFBZSxDQUFDLE1BQU0sQ0FBQyxhQUFhLENBQUMsQ0FBQztJQUU1RCxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsT0FBTyxDQUFDLE1BQU0sMEJBQTBCLGVBQWUsQ0FBQyxNQUFNLDZEQUE2RCxPQUFPLENBQUMsVUFBVSxrQkFBa0IsT0FBTyxDQUFDLFlBQVksTUFBTSxDQUFDLENBQUM7SUFFaE4sSUFBSSxjQUFjLEdBQUcsQ0FBQyxDQUFDO0lBRXZCLEtBQUssSUFBSSxNQUFNLElBQUksZUFBZSxFQUFFO1FBQ2hDLDBGQUEwRjtRQUMxRiw4Q0FBOEM7UUFFOUMsSUFBSSxjQUFjLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLEdBQUcsU0FBUyxDQUFDLEdBQUcsQ0FBQyxFQUFFLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBRSxxRUFBcUU7UUFDbkksSUFBSSxXQUFXLEdBQUcsT0FBTyxDQUFDLFdBQVcsRUFBRSxDQUFDLEdBQUcsR0FBRyxDQUFDLElBQUksR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFFLG9IQUFvSDtRQUNsTCxJQUFJLGNBQWMsR0FBRyxDQUFDLElBQUksQ0FBQyxjQUFjLElBQUksT0FBTyxDQUFDLFVBQVUsSUFBSSxXQUFXLElBQUksT0FBTyxDQUFDLFlBQVksQ0FBQyxFQUFFO1lBQ3JHLE9BQU8sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLGNBQWMsT0FBTyxlQUFlLENBQUMsTUFBTSxxREFBcUQsSUFBSSxDQUFDLEtBQUssQ0FBQyxjQUFjLENBQUMsMEJBQTBCLElBQUksQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLDBFQUEwRSxDQUFDLENBQUM7WUFDclIsTUFBTTtTQUNUO1FBQ0QsY0FBYyxFQUFFLENBQUM7UUFFakIsT0FBTyxDQUFDLEdBQUcsQ0FBQyx3QkFBd0IsTUFBTSxFQUFFLENBQUMsQ0FBQztRQUU5QyxzRkFBc0Y7UUFDdEYscUZBQXFGO1FBRXJGLElBQUksTUFBYyxDQUFDO1FBQ25CLElBQUksU0FBa0IsQ0FBQztRQUN2QixJQUFJO1lBQ0EsQ0FBQyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLEdBQUcsTUFBTSxrQkFBUSxDQUFDLE1BQU0sRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDO1NBQ3hFO1FBQUMsT0FBTyxLQUFLLEVBQUU7WUFDWixPQUFPLENBQUMsR0FBRyxDQUFDLHdEQUF3RCxLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztZQUNyRixNQUFNLHdCQUFpQixDQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDO1lBQzNELFNBQVM7U0FDWjtRQUNELElBQUksU0FBUztZQUNULE9BQU8sQ0FBQyxHQUFHLENBQUMsbUZBQW1GLE1BQU0sRUFBRSxDQUFDLENBQUM7UUFDN0csSUFBSSxPQUFPLENBQUMsZ0JBQWdCLEtBQUssU0FBUztZQUN0QyxxQkFBVyxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBRWpFLHlGQUF5RjtRQUN6RixxREFBcUQ7UUFFckQsSUFBSSxXQUFXLEdBQUcsTUFBTSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQzNFLElBQUksUUFBUSxHQUFHLFNBQVMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDckMsSUFBSSxRQUFRLENBQUMsWUFBWSxLQUFLLFdBQVcsRUFBRTtZQUN2QyxJQUFJLFFBQVEsQ0FBQyxXQUFXLEtBQUssSUFBSTtnQkFDN0IsT0FBTyxDQUFDLEdBQUcsQ0FBQywyRUFBMkUsUUFBUSxDQUFDLFlBQVksK0JBQStCLE1BQU0sRUFBRSxDQUFDLENBQUM7O2dCQUVySixPQUFPLENBQUMsR0FBRyxDQUFDLHVFQUF1RSxRQUFRLENBQUMsV0FBVyxLQUFLLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDMUgsTUFBTSxxQkFBcUIsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLFdBQVcsQ0FBQyxDQUFDO1lBQzNELE1BQU0sd0JBQWlCLENBQUMsUUFBUSxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsV0FBVyxDQUFDLENBQUM7WUFDOUQsU0FBUztTQUNaO1FBRUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsTUFBTSxFQUFFLENBQUMsQ0FBQztRQUMzQyxJQUFJLEVBQUUsdUJBQXVCLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxHQUFHLE1BQU0sYUFBYSxDQUFDLE1BQU0sRUFBRSxNQUFNLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDL0YsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNyQixNQUFNLEdBQUcsU0FBUyxDQUFDO1FBQ25CLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSx1QkFBdUIsQ0FBQyxNQUFNLGdCQUFnQixDQUFDLHVCQUF1QixDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxjQUFjLG1CQUFtQixNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBRXZLLG1GQUFtRjtRQUNuRixpREFBaUQ7UUFFakQsSUFBSSxNQUFNLENBQUMsRUFBRTtZQUNULE1BQU0sQ0FBQyxFQUFFLEVBQUUsQ0FBQztRQUVoQixNQUFNLDRCQUFlLENBQUMsT0FBTyxFQUFFLHVCQUF1QixFQUFFLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNwRSxNQUFNLG1CQUFXLENBQUMsS0FBSyxFQUFFLE1BQU0sQ0FBQyxHQUFHLEVBQUUsdUJBQXVCLEVBQUUsTUFBTSxDQUFDLFVBQVUsRUFBRSxRQUFRLENBQUMsQ0FBQztRQUMzRixNQUFNLHFCQUFxQixDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsdUJBQXVCLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUNoSCxNQUFNLHdCQUFpQixDQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsdUJBQXVCLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUM7S0FDNUk7QUFDTCxDQUFDO0FBcEdELHNCQW9HQztBQUVELGdHQUFnRztBQUNoRyxrRkFBa0Y7QUFFbEYsSUFBSSxPQUFPLENBQUMsSUFBSSxLQUFLLE1BQU07SUFDdkIsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
@@ -7,177 +7,421 @@
 "use strict";
 
 import * as fs from "fs";
+import * as crypto from "crypto";
 import * as cheerio from "cheerio";
-import * as request from "request-promise-native";
 import * as sqlite3 from "sqlite3";
 import * as urlparser from "url";
 import * as moment from "moment";
 import * as pdfjs from "pdfjs-dist";
-import didYouMean, * as didyoumean from "didyoumean2";
+import { ArchivedFile, archiveFile, readArchivedFiles } from "./archive";
+import { runSql, getRows } from "./database";
+import { createRunTables, startRun, recordRunDocument, finishRun, getRunColumnValues } from "./runs";
+import { FetchOptions, DefaultFetchOptions, fetchUrl } from "./fetcher";
+import { Cell, Element, GridLines, parseGrid, getColumnCell } from "./grid";
+import { CouncilAdapter, Councils, GrantCouncil, findCouncils } from "./councils";
+import { parseReceivedDate } from "./dates";
+import { DescriptionRules, MissingDescription, readDescriptionRules, normaliseDescription } from "./descriptions";
+import { parseApplicationNumber } from "./applicationnumbers";
+import { DuplicateTracker, createDuplicateTracker, mergeDuplicates, getDuplicateReport } from "./duplicates";
+import { ColumnField, ColumnLayout, readColumnLayout, findHeadingCells, getMissingRequiredFields } from "./layout";
+import { GazetteerIndex, createGazetteerIndex, findCompactName, findClosestName, findMatchingNames } from "./gazetteer";
+import { readGazetteer, formatGazetteerProblem } from "./gazetteerfiles";
+import { QualityIssue, QualityIssueConfidences, Rejection, DocumentReport, createQualityRecord, createDocumentReport, writeReport } from "./quality";
+import { OutputSink, SaveStatus, Progress, getColumnValues, getDevelopmentApplication, createCsvSink, createNdjsonSink, createStandardOutputSink, createPlanningAlertsSink, createRegisterSink, parseOutputSpecification, createProgress, saveToSinks, closeSinks } from "./sinks";
 
 sqlite3.verbose();
 
-const DevelopmentApplicationsUrl = "https://www.dcgrant.sa.gov.au/services/planning-and-development/developmentregister";
-const CommentUrl = "mailto:info@dcgrant.sa.gov.au";
+// The default limits on the time taken and the memory used by a single run (morph.io terminates
+// any process that uses more than 512 MB).  Any PDF documents not processed within these limits
+// are processed in subsequent runs.
+
+const DefaultTimeBudget = 30;  // minutes
+const DefaultMemoryBudget = 400;  // megabytes
+
+// The default file to which the quality report of the documents parsed in a run is written.
+
+const DefaultReportPath = "report.json";
+
+// The default directory in which downloaded register pages and PDF documents are cached (so that
+// they are only downloaded again if they have changed).
+
+const DefaultCacheDirectory = "cache";
 
 declare const process: any;
 
+// The compass directions that may follow a street type (for example, "TERRACE EAST").
+
+const CompassDirections = [ "NORTH", "SOUTH", "EAST", "WEST" ];
+
 // Address information.
 
 let StreetNames = null;
 let StreetSuffixes  = null;
+let StreetTypes = null;
 let SuburbNames = null;
+let SuburbHundreds = null;
+let HundredNames = null;
+
+// Indexes of the street, suburb and hundred names (built once, when the address information is
+// read, so that each spelling correction does not have to scan every name).
+
+let StreetNameIndex: GazetteerIndex = null;
+let SuburbNameIndex: GazetteerIndex = null;
+let HundredNameIndex: GazetteerIndex = null;
+
+// The columns that hold the structured address, the legal parcel, the consent type, the
+// development category and the application number as it appeared in the register (the
+// "council_reference" column holds the canonical form) of each development application.  These
+// follow the PlanningAlerts compatible columns in the data table (and are added to an existing
+// data table if necessary).
+
+const StructuredColumns = [ "house_number", "street_name", "street_type", "street_suffix", "suburb", "state", "postcode", "lots", "sections", "hundred", "consent_type", "development_category", "original_council_reference" ];
+
+// Sets up an sqlite database.  The data and history tables of a database created before the
+// "authority_label" column was introduced (when only the District Council of Grant was scraped)
+// are rebuilt with that column as part of their primary keys, the tables that record each run are
+// added (see runs.ts) and the council references of a database created before application
+// numbers were canonicalised are converted.
+
+export async function initializeDatabase(databasePath = "data.sqlite") {
+    let database = new sqlite3.Database(databasePath);
+    await runSql(database, "create table if not exists [data] ([authority_label] text, [council_reference] text, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text, primary key ([authority_label], [council_reference]))");
+    await runSql(database, "create table if not exists [history] ([authority_label] text, [council_reference] text, [version] integer, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text, [scraped_at] text, [changed_fields] text, primary key ([authority_label], [council_reference], [version]))");
+    await runSql(database, "create table if not exists [quarantine] ([info_url] text, [page_number] integer, [scope] text, [reason] text, [raw_text] text, [date_scraped] text)");
+    await runSql(database, "create table if not exists [documents] ([url] text primary key, [content_hash] text, [first_seen] text, [last_seen] text, [last_checked] text, [last_parsed] text, [application_count] integer)");
+
+    // Add the structured address, legal parcel, consent type and development category columns (if
+    // they are missing).
+
+    let columns = await getRows(database, "pragma table_info([data])");
+    for (let structuredColumn of StructuredColumns)
+        if (!columns.some(column => column.name === structuredColumn))
+            await runSql(database, `alter table [data] add column [${structuredColumn}] text`);
+
+    await addAuthorityLabel(database, "data", [ "council_reference" ]);
+    await addAuthorityLabel(database, "history", [ "council_reference", "version" ]);
+    await createRunTables(database);
+    await canonicaliseCouncilReferences(database);
+    return database;
+}
 
-// Sets up an sqlite database.
+// Rebuilds a table without an "authority_label" column so that it has that column (as the first
+// part of its primary key).  Every existing row is labelled with the default council.
 
-async function initializeDatabase() {
-    return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
-        database.serialize(() => {
-            database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text)");
-            resolve(database);
-        });
-    });
-}
+async function addAuthorityLabel(database, table: string, keyColumns: string[]) {
+    let columns = (await getRows(database, `pragma table_info([${table}])`)).map(column => column.name);
+    if (columns.includes("authority_label"))
+        return;
 
-// Inserts a row in the database if the row does not already exist.
-
-async function insertRow(database, developmentApplication) {
-    return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?, ?)");
-        sqlStatement.run([
-            developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
-            developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
-            developmentApplication.scrapeDate,
-            developmentApplication.receivedDate,
-            developmentApplication.legalDescription
-        ], function(error, row) {
-            if (error) {
-                console.error(error);
-                reject(error);
-            } else {
-                console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\", legal description \"${developmentApplication.legalDescription}\" and received date \"${developmentApplication.receivedDate}\" to the database.`);
-                sqlStatement.finalize();  // releases any locks
-                resolve(row);
-            }
-        });
-    });
+    console.log(`Adding the authority_label column to the ${table} table (labelling the existing rows "${Councils[0].name}").`);
+    let columnList = columns.map(column => `[${column}]`).join(", ");
+    let primaryKey = [ "authority_label", ...keyColumns ].map(column => `[${column}]`).join(", ");
+    await runSql(database, "begin transaction");
+    await runSql(database, `create table [${table}_migrated] ([authority_label] text, ${columns.map(column => `[${column}] ${(column === "version") ? "integer" : "text"}`).join(", ")}, primary key (${primaryKey}))`);
+    await runSql(database, `insert into [${table}_migrated] ([authority_label], ${columnList}) select ?, ${columnList} from [${table}]`, [ Councils[0].name ]);
+    await runSql(database, `drop table [${table}]`);
+    await runSql(database, `alter table [${table}_migrated] rename to [${table}]`);
+    await runSql(database, "commit");
 }
 
-// A bounding rectangle.
+// Converts each council reference that is not in the canonical form (for example, "DA 141/2017")
+// to the canonical form ("141/17"), keeping the original in the "original_council_reference"
+// column.  When a row with the canonical council reference already exists the history of the
+// other row is appended to the history of that row, followed by the other row itself (as a version
+// whose changed fields name the merged council reference, so that its details are not lost), and
+// the other row is removed.
+
+async function canonicaliseCouncilReferences(database) {
+    await runSql(database, "update [data] set [original_council_reference] = [council_reference] where [original_council_reference] is null");
+
+    let variantRows = [];
+    for (let row of await getRows(database, "select [authority_label], [council_reference] from [data]")) {
+        let parsedApplicationNumber = parseApplicationNumber(row.council_reference);
+        if (parsedApplicationNumber !== undefined && parsedApplicationNumber.canonical !== row.council_reference)
+            variantRows.push({ authorityLabel: row.authority_label, councilReference: row.council_reference, canonical: parsedApplicationNumber.canonical });
+    }
+    if (variantRows.length === 0)
+        return;
+
+    console.log(`Converting ${variantRows.length} council reference(s) to the canonical form (for example, "${variantRows[0].councilReference}" to "${variantRows[0].canonical}").`);
+    await runSql(database, "begin transaction");
+    for (let { authorityLabel, councilReference, canonical } of variantRows) {
+        let canonicalRows = await getRows(database, "select ifnull(max([version]), 0) as [version] from [history] where [authority_label] = ? and [council_reference] = ?", [ authorityLabel, canonical ]);
+        let versionOffset = canonicalRows[0].version;
+        await runSql(database, "update [history] set [council_reference] = ?, [version] = [version] + ? where [authority_label] = ? and [council_reference] = ?", [ canonical, versionOffset, authorityLabel, councilReference ]);
+        if ((await getRows(database, "select 1 from [data] where [authority_label] = ? and [council_reference] = ?", [ authorityLabel, canonical ])).length > 0) {
+            let variantRow = (await getRows(database, "select * from [data] where [authority_label] = ? and [council_reference] = ?", [ authorityLabel, councilReference ]))[0];
+            await insertHistoryRow(database, authorityLabel, canonical, { ...variantRow, scraped_at: variantRow.date_scraped }, [ `merged from "${councilReference}"` ], variantRow.last_changed_run);
+            await runSql(database, "delete from [data] where [authority_label] = ? and [council_reference] = ?", [ authorityLabel, councilReference ]);
+            console.log(`Merged application "${councilReference}" into application "${canonical}" (its address "${variantRow.address}", description "${variantRow.description}" and received date "${variantRow.date_received}" are kept in the history of "${canonical}").`);
+        } else
+            await runSql(database, "update [data] set [council_reference] = ? where [authority_label] = ? and [council_reference] = ?", [ canonical, authorityLabel, councilReference ]);
+    }
+    await runSql(database, "commit");
+}
 
-interface Rectangle {
-    x: number,
-    y: number,
-    width: number,
-    height: number
+// The fields of a development application that are tracked in the history table (the database
+// column name and the corresponding development application property).
+
+const HistoryFields = [
+    { column: "address", property: "address" },
+    { column: "description", property: "description" },
+    { column: "date_received", property: "receivedDate" },
+    { column: "legal_description", property: "legalDescription" }
+];
+
+// Appends a version of a development application (saved in the specified run) to the history
+// table.
+
+async function insertHistoryRow(database, authorityLabel: string, councilReference: string, row, changedFields: string[], runId: number) {
+    await runSql(database, "insert into [history] ([authority_label], [council_reference], [version], [address], [description], [info_url], [comment_url], [date_scraped], [date_received], [legal_description], [scraped_at], [changed_fields], [run_id]) values (?, ?, (select ifnull(max([version]), 0) + 1 from [history] where [authority_label] = ? and [council_reference] = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+        authorityLabel,
+        councilReference,
+        authorityLabel,
+        councilReference,
+        row.address,
+        row.description,
+        row.info_url,
+        row.comment_url,
+        row.date_scraped,
+        row.date_received,
+        row.legal_description,
+        row.scraped_at,
+        changedFields.join(", "),
+        runId
+    ]);
 }
 
-// An element (consisting of text and intersecting cells) in a PDF document.
+// Inserts or updates a row in the database.  Each distinct version of a development application
+// is also recorded in the history table (along with the fields that changed), so that an earlier
+// address, description, received date or legal description is never lost when a later PDF
+// contains different details for the same application.  The runs in which the application was
+// first seen, last seen and last changed are also recorded.  Returns "new", "changed" or
+// "unchanged".
+
+async function insertRow(database, developmentApplication, runId: number) {
+    let row = {
+        address: developmentApplication.address,
+        description: developmentApplication.description,
+        info_url: developmentApplication.informationUrl,
+        comment_url: developmentApplication.commentUrl,
+        date_scraped: developmentApplication.scrapeDate,
+        date_received: developmentApplication.receivedDate,
+        legal_description: developmentApplication.legalDescription,
+        scraped_at: moment().format()
+    };
+
+    let authorityLabel = developmentApplication.authorityLabel;
+    let councilReference = developmentApplication.applicationNumber;
+    let existingRow = (await getRows(database, "select * from [data] where [authority_label] = ? and [council_reference] = ?", [ authorityLabel, councilReference ]))[0];
+    let changedFields = (existingRow === undefined) ? [] : HistoryFields.filter(field => existingRow[field.column] !== row[field.column]).map(field => field.column);
+    let status: SaveStatus = (existingRow === undefined) ? "new" : ((changedFields.length > 0) ? "changed" : "unchanged");
+
+    if (status === "changed") {
+        // Ensure that the previous version is in the history (it will not be if it was scraped
+        // before the history table existed).
+
+        let historyRows = await getRows(database, "select [version] from [history] where [authority_label] = ? and [council_reference] = ? limit 1", [ authorityLabel, councilReference ]);
+        if (historyRows.length === 0)
+            await insertHistoryRow(database, authorityLabel, councilReference, { ...existingRow, scraped_at: null }, [], existingRow.last_changed_run);
+    }
+    if (status !== "unchanged")
+        await insertHistoryRow(database, authorityLabel, councilReference, row, changedFields, runId);
+
+    let values = { ...getColumnValues(developmentApplication), ...getRunColumnValues(existingRow, runId, status) };
+    let columns = Object.keys(values);
+    await runSql(database, `insert or replace into [data] (${columns.map(column => `[${column}]`).join(", ")}) values (${columns.map(() => "?").join(", ")})`, columns.map(column => values[column]));
 
-interface Element extends Rectangle {
-    text: string
+    return status;
 }
 
-// A cell in a grid (owning zero, one or more elements).
+// Replaces any rows and pages previously quarantined from a document with the rows and pages
+// that were rejected when the document was most recently parsed.
 
-interface Cell extends Rectangle {
-    elements: Element[]
+async function insertQuarantineRows(database, url: string, rejections: Rejection[]) {
+    await runSql(database, "delete from [quarantine] where [info_url] = ?", [ url ]);
+    for (let rejection of rejections)
+        await runSql(database, "insert into [quarantine] values (?, ?, ?, ?, ?, ?)", [ url, rejection.pageNumber, rejection.scope, rejection.reason, rejection.rawText, moment().format("YYYY-MM-DD") ]);
+    if (rejections.length > 0)
+        console.log(`Quarantined ${rejections.length} rejected row(s) and page(s) from document: ${url}`);
 }
 
-// Reads all the address information into global objects.
+// Constructs a sink that saves development applications to the database (recording the history
+// of each development application, the run in which it was saved and quarantining any rejected
+// rows and pages).
+
+export function createDatabaseSink(database, runId: number): OutputSink {
+    return {
+        name: "the database",
+        write: developmentApplication => insertRow(database, developmentApplication, runId),
+        writeRejections: (url, rejections) => insertQuarantineRows(database, url, rejections),
+        close: async () => {}
+    };
+}
 
-function readAddressInformation() {
-    // Read the street names.
+// Finds a development application previously saved to the database (returns undefined if there
+// is none).
 
-    StreetNames = {}
-    for (let line of fs.readFileSync("streetnames.txt").toString().replace(/\r/g, "").trim().split("\n")) {
-        let streetNameTokens = line.toUpperCase().split(",");
-        let streetName = streetNameTokens[0].trim();
-        let suburbName = streetNameTokens[1].trim();
-        (StreetNames[streetName] || (StreetNames[streetName] = [])).push(suburbName);  // several suburbs may exist for the same street name
-    }
+async function findStoredApplication(database, authorityLabel: string, councilReference: string) {
+    let row = (await getRows(database, "select * from [data] where [authority_label] = ? and [council_reference] = ?", [ authorityLabel, councilReference ]))[0];
+    return (row === undefined) ? undefined : getDevelopmentApplication(row);
+}
 
-    // Read the street suffixes.
+// Reads the records of all the PDF documents that have been seen on the register (keyed by URL).
 
-    StreetSuffixes = {};
-    for (let line of fs.readFileSync("streetsuffixes.txt").toString().replace(/\r/g, "").trim().split("\n")) {
-        let streetSuffixTokens = line.toUpperCase().split(",");
-        StreetSuffixes[streetSuffixTokens[0].trim()] = streetSuffixTokens[1].trim();
-    }
+async function readDocuments(database) {
+    let documents = new Map<string, any>();
+    for (let row of await getRows(database, "select * from [documents]"))
+        documents.set(row.url, row);
+    return documents;
+}
 
-    // Read the suburb names.
+// Records that a PDF document is currently linked from the register.
 
-    SuburbNames = {};
-    for (let line of fs.readFileSync("suburbnames.txt").toString().replace(/\r/g, "").trim().split("\n")) {
-        let suburbTokens = line.toUpperCase().split(",");
-        
-        let suburbName = suburbTokens[0].trim();
-        SuburbNames[suburbName] = suburbTokens[1].trim();
-        if (suburbName.startsWith("MOUNT ")) {
-            SuburbNames["MT " + suburbName.substring("MOUNT ".length)] = suburbTokens[1].trim();
-            SuburbNames["MT." + suburbName.substring("MOUNT ".length)] = suburbTokens[1].trim();
-            SuburbNames["MT. " + suburbName.substring("MOUNT ".length)] = suburbTokens[1].trim();
-        }
-    }
+async function recordDocumentSeen(database, url: string) {
+    let now = moment().format();
+    await runSql(database, "insert or ignore into [documents] ([url], [first_seen]) values (?, ?)", [ url, now ]);
+    await runSql(database, "update [documents] set [last_seen] = ? where [url] = ?", [ now, url ]);
 }
 
-// Constructs a rectangle based on the intersection of the two specified rectangles.
+// Records that a PDF document was downloaded and checked for changes (along with the hash of its
+// content and, if it was parsed, the number of development applications found in it).
 
-function intersect(rectangle1: Rectangle, rectangle2: Rectangle): Rectangle {
-    let x1 = Math.max(rectangle1.x, rectangle2.x);
-    let y1 = Math.max(rectangle1.y, rectangle2.y);
-    let x2 = Math.min(rectangle1.x + rectangle1.width, rectangle2.x + rectangle2.width);
-    let y2 = Math.min(rectangle1.y + rectangle1.height, rectangle2.y + rectangle2.height);
-    if (x2 >= x1 && y2 >= y1)
-        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+async function recordDocumentChecked(database, url: string, contentHash: string, applicationCount?: number) {
+    let now = moment().format();
+    if (applicationCount === undefined)
+        await runSql(database, "update [documents] set [content_hash] = ?, [last_checked] = ? where [url] = ?", [ contentHash, now, url ]);
     else
-        return { x: 0, y: 0, width: 0, height: 0 };
+        await runSql(database, "update [documents] set [content_hash] = ?, [last_checked] = ?, [last_parsed] = ?, [application_count] = ? where [url] = ?", [ contentHash, now, now, applicationCount, url ]);
+}
+
+// Writes a progress or warning message while parsing (see parsePdf).
+
+export type Log = (message: string) => void;
+
+// Writes the messages to the console (whichever function console.log is at the time, so that the
+// messages follow any redirection of the log to standard error).
+
+const ConsoleLog: Log = message => console.log(message);
+
+// The components of an address.
+
+interface StructuredAddress {
+    houseNumber: string,  // a single house number or several (for example, "7 & 9" or "12-14")
+    streetName: string,  // excluding the street type (for example, "ADMELLA")
+    streetType: string,  // expanded (for example, "STREET" rather than "ST")
+    streetSuffix: string,  // a compass direction (for example, "NORTH")
+    suburb: string,
+    state: string,
+    postcode: string
 }
 
-// Calculates the fraction of an element that lies within a cell (as a percentage).  For example,
-// if a quarter of the specifed element lies within the specified cell then this would return 25.
+// The components of a legal description.
 
-function getPercentageOfElementInCell(element: Element, cell: Cell) {
-    let elementArea = getArea(element);
-    let intersectionArea = getArea(intersect(cell, element));
-    return (elementArea === 0) ? 0 : ((intersectionArea * 100) / elementArea);
+interface LegalParcel {
+    lots: string[],
+    sections: string[],
+    hundred: string
 }
 
-// Calculates the area of a rectangle.
+// The cells of a row that may contain a development application (one cell for each column) along
+// with the raw text of each cell of the row (which is recorded if the row is rejected).
 
-function getArea(rectangle: Rectangle) {
-    return rectangle.width * rectangle.height;
+interface ApplicationRow {
+    pageNumber: number,
+    cells: { [field in ColumnField]?: Cell },
+    cellTexts: string[],
+    trace?: RowTrace  // recorded only when tracing the parsing of a document
 }
 
-// Gets the percentage of horizontal overlap between two rectangles (0 means no overlap and 100
-// means 100% overlap).
+// The intermediate results of parsing a page of a document (recorded only on request, for example,
+// by the debug visualiser in visualise.ts).  The co-ordinates are those returned by parseGrid.
+
+export interface PageTrace {
+    pageNumber: number,
+    view: number[],  // the bounds of the page in PDF co-ordinates ([ left, bottom, right, top ])
+    gridLines: GridLines,
+    cells: Cell[],
+    elements: Element[],
+    elementCellIndexes: number[],  // the index of the cell that owns each element (-1 if none)
+    headingCells: { [field in ColumnField]?: Cell },  // undefined if the page was rejected
+    inheritedHeadings: boolean,  // the heading cells are those of a previous page
+    rows: RowTrace[]
+}
+
+// The outcome of parsing a row of the grid.
 
-function getHorizontalOverlapPercentage(rectangle1: Rectangle, rectangle2: Rectangle) {
-    if (rectangle1 === undefined || rectangle2 === undefined)
-        return 0;
+export interface RowTrace {
+    cells: Cell[],
+    outcome: string,  // for example, "heading", "empty", "continuation", "application" or "rejected"
+    reason?: string,  // why the row was rejected
+    developmentApplication?: any
+}
 
-    let startX1 = rectangle1.x;
-    let endX1 = rectangle1.x + rectangle1.width;
+// Reads all the address information of a council into global objects (replacing the address
+// information of any council that was read previously).  An error is thrown if the gazetteer
+// files contain errors (see gazetteerfiles.ts).
 
-    let startX2 = rectangle2.x;
-    let endX2 = rectangle2.x + rectangle2.width;
+export function readAddressInformation(council: CouncilAdapter = GrantCouncil) {
+    // Read and validate the gazetteer files (a file with errors cannot be used, whereas a warning
+    // only affects the matching of some addresses).
 
-    if (startX1 >= endX2 || endX1 <= startX2 || rectangle1.width === 0 || rectangle2.width === 0)
-        return 0;
+    let gazetteer = readGazetteer(council.gazetteer);
+    let errors = gazetteer.problems.filter(problem => problem.severity === "error");
+    if (errors.length > 0)
+        throw new Error(`The gazetteer files of the ${council.authorityName} contain ${errors.length} error(s):\n${errors.map(formatGazetteerProblem).join("\n")}`);
+    if (gazetteer.problems.length > 0)
+        console.log(`The gazetteer files of the ${council.authorityName} contain ${gazetteer.problems.length} warning(s) (run "node gazetteertool.js validate --council ${council.name}" for details).`);
+
+    // Index the street names.
+
+    StreetNames = {}
+    for (let { streetName, suburbName } of gazetteer.streets)
+        (StreetNames[streetName] || (StreetNames[streetName] = [])).push(suburbName);  // several suburbs may exist for the same street name
+
+    // Index the street suffixes.
+
+    StreetSuffixes = {};
+    for (let { suffix, expansion } of gazetteer.streetSuffixes)
+        StreetSuffixes[suffix] = expansion;
+
+    // Determine the street types (the expanded street suffixes other than compass directions,
+    // such as "ROAD" and "STREET").
+
+    StreetTypes = Object.values(StreetSuffixes).filter((streetType: string, index, streetTypes) => !CompassDirections.includes(streetType) && streetTypes.indexOf(streetType) === index);
+
+    // Index the suburb names.
+
+    SuburbNames = {};
+    SuburbHundreds = {};
+    HundredNames = [];
+    for (let { suburbName, formattedName, hundreds } of gazetteer.suburbs) {
+        SuburbNames[suburbName] = formattedName;
+        SuburbHundreds[suburbName] = hundreds;
+        if (suburbName.startsWith("MOUNT ")) {
+            SuburbNames["MT " + suburbName.substring("MOUNT ".length)] = formattedName;
+            SuburbNames["MT." + suburbName.substring("MOUNT ".length)] = formattedName;
+            SuburbNames["MT. " + suburbName.substring("MOUNT ".length)] = formattedName;
+            SuburbHundreds["MT " + suburbName.substring("MOUNT ".length)] = hundreds;
+            SuburbHundreds["MT." + suburbName.substring("MOUNT ".length)] = hundreds;
+            SuburbHundreds["MT. " + suburbName.substring("MOUNT ".length)] = hundreds;
+        }
+        for (let hundred of hundreds)
+            if (!HundredNames.includes(hundred))
+                HundredNames.push(hundred);
+    }
 
-    let intersectionWidth = Math.min(endX1, endX2) - Math.max(startX1, startX2);
-    let unionWidth = Math.max(endX1, endX2) - Math.min(startX1, startX2);
+    // Index the names for spelling correction.
 
-    return (intersectionWidth * 100) / unionWidth;
+    StreetNameIndex = createGazetteerIndex(Object.keys(StreetNames));
+    SuburbNameIndex = createGazetteerIndex(Object.keys(SuburbNames));
+    HundredNameIndex = createGazetteerIndex(HundredNames);
 }
 
-// Formats the text as a street.
+// Formats the text as a street.  Any spelling correction of the street name (or failure to find
+// the street name) is added to the quality issues.
 
-function formatStreetName(text: string) {
+function formatStreetName(text: string, issues: QualityIssue[]) {
     if (text === undefined)
         return text;
 
@@ -198,24 +442,95 @@ function formatStreetName(text: string) {
         if (StreetNames[tokens.slice(-index).join(" ")] !== undefined)
             return tokens.join(" ");  // reconstruct the street with the leading house number (and any other prefix text)
 
+    // Extract tokens from the end of the array until a valid street name is encountered when the
+    // spaces are ignored (this allows for errant spaces within words, such as "ADM ELLA STREET",
+    // and for missing spaces between words).
+
+    for (let index = 6; index >= 1; index--) {
+        let streetNameMatch = findCompactName(StreetNameIndex, tokens.slice(-index).join(" "));
+        if (streetNameMatch !== undefined) {
+            issues.push({ field: "address", code: "fuzzy-street-match", message: `street "${tokens.slice(-index).join(" ")}" was taken to be ${streetNameMatch}` });
+            tokens.splice(-index, index);  // remove elements from the end of the array
+            return (tokens.join(" ") + " " + streetNameMatch).trim();  // reconstruct the street with any other original prefix text
+        }
+    }
+
     // Extract tokens from the end of the array until a valid street name is encountered (this
     // allows for a spelling error).
 
     for (let index = 6; index >= 2; index--) {
         let threshold = 7 - index;  // set the number of allowed spelling errors proportional to the number of words
-        let streetNameMatch = <string>didYouMean(tokens.slice(-index).join(" "), Object.keys(StreetNames), { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: threshold, trimSpaces: true });
+        let streetNameMatch = findClosestName(StreetNameIndex, tokens.slice(-index).join(" "), threshold);
         if (streetNameMatch !== null) {
+            issues.push({ field: "address", code: "fuzzy-street-match", message: `street "${tokens.slice(-index).join(" ")}" was taken to be ${streetNameMatch}` });
             tokens.splice(-index, index);  // remove elements from the end of the array           
             return (tokens.join(" ") + " " + streetNameMatch).trim();  // reconstruct the street with any other original prefix text
         }
     }
 
+    issues.push({ field: "address", code: "street-not-found", message: `street "${text.trim()}" was not found` });
     return text;
 }
 
-// Formats the address, ensuring that it has a valid suburb, state and post code.
+// Finds the street name (as it appears in the street names file) at the end of the specified
+// text (which may have a leading house number or other prefix text).
+
+function findStreetName(text: string) {
+    let tokens = text.trim().toUpperCase().split(" ");
+    for (let index = 6; index >= 2; index--)
+        if (StreetNames[tokens.slice(-index).join(" ")] !== undefined)
+            return tokens.slice(-index).join(" ");
+    return undefined;
+}
+
+// Determines the hundred (as it appears in the suburb names file) from the hundred name that was
+// extracted from an address (allowing for a spelling error).
+
+function findHundredName(hundred: string) {
+    if (hundred === undefined || hundred.trim() === "")
+        return undefined;
+    let hundredName = findClosestName(HundredNameIndex, hundred, 2);
+    return (hundredName === null) ? undefined : hundredName;
+}
+
+// Selects the suburb name that best matches the specified text.  Every suburb name within the
+// allowed number of spelling errors is considered and preference is given to a suburb that lies
+// within the specified hundred and that contains the specified street (so that the closest
+// spelling does not always win when several suburbs are spelled similarly).  Any inconsistency
+// between the selected suburb and the hundred or street is added to the quality issues.
+
+function selectSuburbName(text: string, hundredName: string, streetName: string, issues: QualityIssue[]) {
+    let suburbNameMatches = findMatchingNames(SuburbNameIndex, text, 2).map(match => match.name);
+    if (suburbNameMatches.length === 0)
+        return null;
+
+    let streetSuburbs = (streetName === undefined) ? [] : StreetNames[streetName].map(suburbName => SuburbNames[suburbName]);
+    let isInHundred = (suburbName: string) => hundredName !== undefined && SuburbHundreds[suburbName].includes(hundredName);
+    let hasStreet = (suburbName: string) => streetSuburbs.includes(SuburbNames[suburbName]);
+
+    // The matches are sorted by edit distance, so the first of the most consistent matches is
+    // also the closest spelling among them.
+
+    let getScore = (suburbName: string) => (isInHundred(suburbName) ? 1 : 0) + (hasStreet(suburbName) ? 1 : 0);
+    let suburbName = suburbNameMatches.reduce((best, suburbName) => (getScore(suburbName) > getScore(best)) ? suburbName : best, suburbNameMatches[0]);
+
+    if (suburbName === suburbNameMatches[0] && suburbName !== text.trim().toUpperCase())
+        issues.push({ field: "address", code: "fuzzy-suburb-match", message: `suburb "${text.trim()}" was taken to be ${SuburbNames[suburbName]}` });
+    else if (suburbName !== suburbNameMatches[0])
+        issues.push({ field: "address", code: "suburb-selected-by-hundred", message: `suburb "${text.trim()}" was taken to be ${SuburbNames[suburbName]} rather than ${SuburbNames[suburbNameMatches[0]]} (based on the hundred and street)` });
+    if (hundredName !== undefined && !isInHundred(suburbName))
+        issues.push({ field: "address", code: "suburb-hundred-mismatch", message: `suburb ${SuburbNames[suburbName]} does not lie within the Hundred of ${hundredName} (it lies within ${SuburbHundreds[suburbName].join(", ")})` });
+    if (streetName !== undefined && !hasStreet(suburbName))
+        issues.push({ field: "address", code: "street-suburb-mismatch", message: `street ${streetName} is not known in suburb ${SuburbNames[suburbName]} (it is known in ${StreetNames[streetName].join(", ")})` });
+
+    return suburbName;
+}
+
+// Formats the address, ensuring that it has a valid suburb, state and post code.  The hundred
+// (if any) that was stated alongside the address is used to select between similarly spelled
+// suburbs.  Any problems found in the address are added to the quality issues.
 
-function formatAddress(address: string) {
+function formatAddress(address: string, hundred: string, issues: QualityIssue[]) {
     // Allow for a few special cases (eg. road type suffixes).
 
     address = address.replace(/ TCE NTH/g, " TERRACE NORTH").replace(/ TCE STH/g, " TERRACE SOUTH").replace(/ TCE EAST/g, " TERRACE EAST").replace(/ TCE WEST/g, " TERRACE WEST");
@@ -224,432 +539,750 @@ function formatAddress(address: string) {
     // separated by commas).
 
     let commaIndex = address.lastIndexOf(",");
-    if (commaIndex < 0)
+    if (commaIndex < 0) {
+        issues.push({ field: "address", code: "suburb-not-found", message: `no suburb was found in address "${address}"` });
         return address;
+    }
     let streetName = address.substring(0, commaIndex);
     let suburbName = address.substring(commaIndex + 1);
 
-    // Add the state and post code to the suburb name.
+    // Determine the hundred and the street (these are used to select the suburb).
 
-    suburbName = <string>didYouMean(suburbName, Object.keys(SuburbNames), { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: 2, trimSpaces: true });
-    if (suburbName === null)
-        return address;
+    let hundredName = findHundredName(hundred);
+    if (hundred !== undefined && hundred.trim() !== "" && hundredName === undefined)
+        issues.push({ field: "address", code: "unknown-hundred", message: `the Hundred of ${hundred.trim()} is not known` });
 
-    // Reconstruct the full address using the formatted street name and determined suburb name.
+    let formattedStreetName = formatStreetName(streetName, issues);
 
-    return formatStreetName(streetName) + ", " + SuburbNames[suburbName];
-}
-
-// Examines all the lines in a page of a PDF and constructs cells (ie. rectangles) based on those
-// lines.
-
-async function parseCells(page) {
-    let operators = await page.getOperatorList();
-
-    // Find the lines.  Each line is actually constructed using a rectangle with a very short
-    // height or a very narrow width.
-
-    let lines: Rectangle[] = [];
-
-    let previousRectangle = undefined;
-    let transformStack = [];
-    let transform = [ 1, 0, 0, 1, 0, 0 ];
-    transformStack.push(transform);
-
-    for (let index = 0; index < operators.fnArray.length; index++) {
-        let argsArray = operators.argsArray[index];
-
-        if (operators.fnArray[index] === pdfjs.OPS.restore)
-            transform = transformStack.pop();
-        else if (operators.fnArray[index] === pdfjs.OPS.save)
-            transformStack.push(transform);
-        else if (operators.fnArray[index] === pdfjs.OPS.transform)
-            transform = pdfjs.Util.transform(transform, argsArray);
-        else if (operators.fnArray[index] === pdfjs.OPS.constructPath) {
-            let argumentIndex = 0;
-            for (let operationIndex = 0; operationIndex < argsArray[0].length; operationIndex++) {
-                if (argsArray[0][operationIndex] === pdfjs.OPS.moveTo)
-                    argumentIndex += 2;
-                else if (argsArray[0][operationIndex] === pdfjs.OPS.lineTo)
-                    argumentIndex += 2;
-                else if (argsArray[0][operationIndex] === pdfjs.OPS.rectangle) {
-                    let x1 = argsArray[1][argumentIndex++];
-                    let y1 = argsArray[1][argumentIndex++];
-                    let width = argsArray[1][argumentIndex++];
-                    let height = argsArray[1][argumentIndex++];
-                    let x2 = x1 + width;
-                    let y2 = y1 + height;
-                    [x1, y1] = pdfjs.Util.applyTransform([x1, y1], transform);
-                    [x2, y2] = pdfjs.Util.applyTransform([x2, y2], transform);
-                    width = x2 - x1;
-                    height = y2 - y1;
-                    previousRectangle = { x: x1, y: y1, width: width, height: height };
-                }
-            }
-        } else if ((operators.fnArray[index] === pdfjs.OPS.fill || operators.fnArray[index] === pdfjs.OPS.eoFill) && previousRectangle !== undefined) {
-            lines.push(previousRectangle);
-            previousRectangle = undefined;
-        }
-    }
+    // Add the state and post code to the suburb name.
 
-    // Determine all the horizontal lines and vertical lines that make up the grid.  The following
-    // is careful to ignore the short lines and small rectangles that make up the logo at the top
-    // left of the page (otherwise these would cause problems due to the additional cells that
-    // they would cause to be constructed later).
+    let suburbText = suburbName;
+    suburbName = selectSuburbName(suburbName, hundredName, findStreetName(formattedStreetName), issues);
+    if (suburbName === null) {
+        issues.push({ field: "address", code: "suburb-not-found", message: `suburb "${suburbText.trim()}" was not found` });
+        return address;
+    }
 
-    let horizontalLines: Rectangle[] = [];
-    let verticalLines: Rectangle[] = [];
+    // Reconstruct the full address using the formatted street name and determined suburb name.
 
-    for (let line of lines) {
-        if (line.height <= 2 && line.width >= 200) {
-            // Identify a horizontal line (these typically extend across the width of the page).
+    return formattedStreetName + ", " + SuburbNames[suburbName];
+}
 
-            horizontalLines.push(line);
-        } else if (line.width <= 2 && line.height >= 10) {
-            // Identify a vertical line (note that these might not be very tall if there are not
-            // many development applications in the grid).
+// Splits a formatted address (as returned by formatAddress) into its components.
 
-            verticalLines.push(line);
-        } else if (line.height >= 5 && line.width >= 200) {
-            // Convert the header into two horizonal lines (the header is typically a rectangle
-            // that extends across the width of the page).
+function parseStructuredAddress(houseNumber: string, address: string): StructuredAddress {
+    let structuredAddress = { houseNumber: houseNumber, streetName: "", streetType: "", streetSuffix: "", suburb: "", state: "", postcode: "" };
 
-            horizontalLines.push({ x: line.x, y: line.y, width: line.width, height: 1 });
-            horizontalLines.push({ x: line.x, y: line.y + line.height, width: line.width, height: 1 });
-        }
-    }
+    // Extract the suburb, state and post code (for example, "PORT MACDONNELL SA 5291").
 
-    let verticalLineComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
-    verticalLines.sort(verticalLineComparer);
+    let commaIndex = address.lastIndexOf(",");
+    let street = (commaIndex < 0) ? address : address.substring(0, commaIndex);
+    let suburbMatch = (commaIndex < 0) ? null : /^(.*?)\s+([A-Z]{2,3})\s+([0-9]{4})$/.exec(address.substring(commaIndex + 1).trim());
+    if (suburbMatch !== null) {
+        structuredAddress.suburb = suburbMatch[1];
+        structuredAddress.state = suburbMatch[2];
+        structuredAddress.postcode = suburbMatch[3];
+    } else
+        street = address;  // the suburb was not found so the address was left as it appeared
+
+    // Extract the street type and any compass direction that follows it (preferring the street
+    // name as it appears in the street names file, so that any other leading text is ignored).
+
+    let tokens = (findStreetName(street) || street.trim().toUpperCase()).split(" ").filter(token => token !== "");
+    if (tokens.length > 1 && CompassDirections.includes(tokens[tokens.length - 1]) && StreetTypes.includes(tokens[tokens.length - 2]))
+        structuredAddress.streetSuffix = tokens.pop();
+    if (tokens.length > 1 && StreetTypes.includes(tokens[tokens.length - 1]))
+        structuredAddress.streetType = tokens.pop();
+    structuredAddress.streetName = tokens.join(" ");
+
+    return structuredAddress;
+}
 
-    let horizontalLineComparer = (a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : 0);
-    horizontalLines.sort(horizontalLineComparer);
-    
-    // Construct cells based on the grid of lines.
+// Splits the text of a lot or section cell into the individual lot or section numbers (for
+// example, "1 & 2" becomes [ "1", "2" ]).
 
-    let cells: Cell[] = [];
+function splitParcelNumbers(text: string) {
+    return text.split(/\s*(?:&|,|\bAND\b)\s*/i).map(token => token.trim()).filter(token => token !== "" && token !== "-");
+}
 
-    for (let horizontalLineIndex = 0; horizontalLineIndex < horizontalLines.length - 1; horizontalLineIndex++) {
-        for (let verticalLineIndex = 0; verticalLineIndex < verticalLines.length - 1; verticalLineIndex++) {
-            let horizontalLine = horizontalLines[horizontalLineIndex];
-            let nextHorizontalLine = horizontalLines[horizontalLineIndex + 1];
-            let verticalLine = verticalLines[verticalLineIndex];
-            let nextVerticalLine = verticalLines[verticalLineIndex + 1];
-            cells.push({ elements: [], x: verticalLine.x, y: horizontalLine.y, width: nextVerticalLine.x - verticalLine.x, height: nextHorizontalLine.y - horizontalLine.y });
-        }
+// Parses a PDF document.  The specified URL is the original location of the PDF document (and
+// is used as the information URL of each development application).  The column layout of the
+// council defines the headings used to identify each column and the description rules of the
+// council are used to normalise each description (the address information of the council must
+// already have been read).  Returns the development applications (each with a
+// quality record) and a quality report for the document (which includes any rows and pages that
+// were rejected).  The intermediate results of parsing each page are appended to the specified
+// trace (if any) and the progress and warnings are written to the specified log (the console by
+// default).
+
+export async function parsePdf(buffer: Buffer, url: string, council: CouncilAdapter = GrantCouncil, trace?: PageTrace[], log: Log = ConsoleLog) {
+    log(`Reading development applications from ${url}.`);
+
+    // Parse the PDF.  Note that the buffer is copied because pdf.js reads the entire underlying
+    // memory of the buffer (and a buffer read from a small file may be a slice of a larger, shared
+    // memory pool).  The document is always destroyed afterwards so that the memory used by its
+    // pages is released before the next document is parsed.
+
+    let pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer), disableFontFace: true, ignoreErrors: true });
+    try {
+        return await parsePdfPages(pdf, url, council, readColumnLayout(council.layoutPath), readDescriptionRules(council.descriptionRulesPath), trace, log);
+    } finally {
+        await pdf.destroy();
     }
+}
 
-    return cells;
+// Parses a retrieved or archived document (see parsePdf).  A document that cannot be parsed at
+// all (for example, an HTML error page returned in place of the PDF document) is reported as a
+// single rejected page instead of stopping the run.  The column layout and description rules are
+// read beforehand so that an error in those files still stops the run.  Returns the development
+// applications, the quality report and whether the document could be parsed.
+
+async function parseDocument(buffer: Buffer, url: string, council: CouncilAdapter) {
+    readColumnLayout(council.layoutPath);
+    readDescriptionRules(council.descriptionRulesPath);
+    try {
+        return { ...(await parsePdf(buffer, url, council)), parsed: true };
+    } catch (error) {
+        console.log(`Rejecting document because it could not be parsed: ${error.message}`);
+        let rejection: Rejection = { pageNumber: 0, scope: "page", reason: `the document could not be parsed (${error.message})`, rawText: buffer.slice(0, 200).toString() };  // no page could be read (so the raw text is the start of the content)
+        return { developmentApplications: [], report: createDocumentReport(url, 0, [], [ rejection ]), parsed: false };
+    }
 }
 
-// Parses the text elements from a page of a PDF.
+// Parses the pages of a PDF document.  Each page has the details of multiple applications.
 
-async function parseElements(page) {
-    let textContent = await page.getTextContent();
+async function parsePdfPages(pdf, url: string, council: CouncilAdapter, layout: ColumnLayout, descriptionRules: DescriptionRules, trace: PageTrace[], log: Log): Promise<{ developmentApplications: any[], report: DocumentReport }> {
+    let developmentApplications = [];
+    let rejections: Rejection[] = [];
+    let previousHeadingCells: { [field: string]: Cell } = undefined;  // the column geometry of the previous page
+    let applicationRows: ApplicationRow[] = [];
+    let previousApplicationRow: ApplicationRow = undefined;  // the row to which a continuation row is joined
 
-    // Find all the text elements.
+    for (let pageIndex = 0; pageIndex < pdf.numPages; pageIndex++) {
+        log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
+        let page = await pdf.getPage(pageIndex + 1);
 
-    let elements: Element[] = textContent.items.map(item => {
-        let transform = item.transform;
+        // Reconstruct the grid of cells (grouped into rows) and the text elements that they own
+        // (recording the intermediate results if the parsing is being traced).
 
-        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
-        // exaggerated).  The problem seems to be that the height value is too large in some
-        // PDFs.  Provide an alternative, more accurate height value by using a calculation
-        // based on the transform matrix.
+        let pageTrace: PageTrace = undefined;
+        let gridLines: GridLines = (trace === undefined) ? undefined : { horizontal: [], vertical: [], headerBands: [], ignored: [] };
+        let view = page.view;
+        let { cells, elements, rows } = await parseGrid(page, gridLines);
+        if (trace !== undefined) {
+            pageTrace = { pageNumber: pageIndex + 1, view: view, gridLines: gridLines, cells: cells, elements: elements, elementCellIndexes: elements.map(element => cells.findIndex(cell => cell.elements.includes(element))), headingCells: undefined, inheritedHeadings: false, rows: [] };
+            trace.push(pageTrace);
+        }
 
-        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+        // Check that there is at least one row (even if it is just the heading row).
 
-        let x = transform[4];
-        let y = transform[5];
-        let width = item.width;
-        let height = workaroundHeight;
+        if (rows.length === 0) {
+            let elementSummary = elements.map(element => `[${element.text}]`).join("");
+            log(`No development applications can be parsed from the current page because no rows were found (based on the grid).  Elements: ${elementSummary}`);
+            rejections.push({ pageNumber: pageIndex + 1, scope: "page", reason: "no rows were found (based on the grid)", rawText: elementSummary });
+            previousApplicationRow = undefined;
+            continue;
+        }
 
-        return { text: item.str, x: x, y: y, width: width, height: height };
-    });
+        // Ensure the rows are sorted by Y co-ordinate and that the cells in each row are sorted
+        // by X co-ordinate and then by Y co-ordinate (this is really just a safety precaution
+        // because the earlier sorting of cells in the parseGrid function should have already
+        // ensured that the rows are sorted; the cells of a row that contains a merged cell are
+        // sorted by X co-ordinate here).
 
-    return elements;
-}
+        let rowComparer = (a, b) => (a[0].y > b[0].y) ? 1 : ((a[0].y < b[0].y) ? -1 : 0);
+        rows.sort(rowComparer);
 
-// Parses a PDF document.
+        let rowCellComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : ((a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : 0)));
+        for (let row of rows)
+            row.sort(rowCellComparer);
 
-async function parsePdf(url: string) {
-    console.log(`Reading development applications from ${url}.`);
+        // Find the heading cells (as defined by the column layout).  A page without the required
+        // headings is assumed to be a continuation of the previous page of the same document and
+        // so the column geometry (ie. the heading cells) of the previous page is used instead.
+
+        let headingCells = findHeadingCells(cells, layout);
+        let missingFields = getMissingRequiredFields(headingCells, layout);
+        if (missingFields.length === 0)
+            previousHeadingCells = headingCells;
+        else if (previousHeadingCells !== undefined) {
+            log(`Using the column headings of the previous page because the required "${missingFields.join("\", \"")}" column heading(s) were not found on the current page.`);
+            headingCells = previousHeadingCells;
+            if (pageTrace !== undefined)
+                pageTrace.inheritedHeadings = true;
+        } else {
+            let elementSummary = elements.map(element => `[${element.text}]`).join("");
+            log(`No development applications can be parsed from the current page because the required "${missingFields.join("\", \"")}" column heading(s) were not found (and there is no previous page from which to use the column headings).  Elements: ${elementSummary}`);
+            rejections.push({ pageNumber: pageIndex + 1, scope: "page", reason: `the required "${missingFields.join("\", \"")}" column heading(s) were not found`, rawText: elementSummary });
+            previousApplicationRow = undefined;
+            continue;
+        }
 
-    let developmentApplications = [];
+        // Collect the cells of each row (one cell for each column, as identified by the heading
+        // cells).  Some rows, such as the heading row, will not contain a development application
+        // and a row that continues the development application above it (possibly on the previous
+        // page) is joined to that row.
 
-    // Read the PDF.
+        if (pageTrace !== undefined)
+            pageTrace.headingCells = headingCells;
 
-    let buffer = await request({ url: url, encoding: null, proxy: process.env.MORPH_PROXY });
-    await sleep(2000 + getRandom(0, 5) * 1000);
+        for (let row of rows) {
+            let rowTrace: RowTrace = { cells: row, outcome: "application" };
+            if (pageTrace !== undefined)
+                pageTrace.rows.push(rowTrace);
 
-    // Parse the PDF.  Each page has the details of multiple applications.
+            if (row.includes(headingCells.applicationNumber)) {
+                rowTrace.outcome = "heading";
+                continue;  // ignore the heading row
+            }
 
-    let pdf = await pdfjs.getDocument({ data: buffer, disableFontFace: true, ignoreErrors: true });
-    for (let pageIndex = 0; pageIndex < pdf.numPages; pageIndex++) {
-        console.log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
-        let page = await pdf.getPage(pageIndex + 1);
+            let applicationRow: ApplicationRow = { pageNumber: pageIndex + 1, cells: {}, cellTexts: row.map(getCellText), trace: rowTrace };
+            for (let field of Object.keys(headingCells))
+                applicationRow.cells[field] = getColumnCell(row, headingCells[field]);
 
-        // Construct cells (ie. rectangles) based on the horizontal and vertical line segments
-        // in the PDF page.
+            if (applicationRow.cells.applicationNumber === undefined || applicationRow.cellTexts.every(cellText => cellText === "")) {
+                rowTrace.outcome = "empty";
+                continue;  // ignore any empty rows
+            }
 
-        let cells = await parseCells(page);
+            if (previousApplicationRow !== undefined && isContinuationRow(applicationRow)) {
+                log(`Joining a continuation row on page ${pageIndex + 1} to application "${getCellText(previousApplicationRow.cells.applicationNumber)}" above it.`);
+                joinContinuationRow(previousApplicationRow, applicationRow);
+                rowTrace.outcome = "continuation";
+                continue;
+            }
 
-        // Construct elements based on the text in the PDF page.
+            applicationRows.push(applicationRow);
+            previousApplicationRow = applicationRow;
+        }
+    }
 
-        let elements = await parseElements(page);
+    // Try to extract a development application from each row.
 
-        // The co-ordinate system used in a PDF is typically "upside down" so invert the
-        // co-ordinates (and so this makes the subsequent logic easier to understand).
+    for (let applicationRow of applicationRows) {
+        let developmentApplication = parseApplicationRow(applicationRow, url, council, descriptionRules, rejections, log);
+        if (developmentApplication !== undefined)
+            developmentApplications.push(developmentApplication);
+        else {
+            applicationRow.trace.outcome = "rejected";
+            applicationRow.trace.reason = rejections[rejections.length - 1].reason;
+        }
+        applicationRow.trace.developmentApplication = developmentApplication;
+    }
 
-        for (let cell of cells)
-            cell.y = -(cell.y + cell.height);
+    return { developmentApplications: developmentApplications, report: createDocumentReport(url, pdf.numPages, developmentApplications, rejections) };
+}
 
-        for (let element of elements)
-            element.y = -(element.y + element.height);
+// Gets the text of all the elements in a cell.
 
-        // Sort the cells by approximate Y co-ordinate and then by X co-ordinate.
+function getCellText(cell: Cell) {
+    return (cell === undefined) ? "" : cell.elements.map(element => element.text).join(" ").replace(/\s\s+/g, " ").trim();
+}
 
-        let cellComparer = (a, b) => (Math.abs(a.y - b.y) < 2) ? ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)) : ((a.y > b.y) ? 1 : -1);
-        cells.sort(cellComparer);
+// Determines whether a row continues the development application in the row above it.  The
+// details of a development application sometimes wrap onto a second row of the grid, in which
+// case the second row has neither an application number nor a received date.
 
-        // Sort the text elements by approximate Y co-ordinate and then by X co-ordinate.
+function isContinuationRow(applicationRow: ApplicationRow) {
+    return getCellText(applicationRow.cells.applicationNumber) === "" && getCellText(applicationRow.cells.receivedDate) === "";
+}
 
-        let elementComparer = (a, b) => (Math.abs(a.y - b.y) < 1) ? ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)) : ((a.y > b.y) ? 1 : -1);
-        elements.sort(elementComparer);
+// Joins a continuation row to the row above it (appending the elements of each cell of the
+// continuation row to the corresponding cell of the row above).
 
-        // Allocate each element to an "owning" cell.
+function joinContinuationRow(applicationRow: ApplicationRow, continuationRow: ApplicationRow) {
+    for (let field of Object.keys(continuationRow.cells)) {
+        let cell = continuationRow.cells[field];
+        if (cell === undefined)
+            continue;
+        if (applicationRow.cells[field] === undefined)
+            applicationRow.cells[field] = cell;
+        else
+            applicationRow.cells[field].elements.push(...cell.elements);
+    }
+    applicationRow.cellTexts.push(...continuationRow.cellTexts);
+}
 
-        for (let element of elements) {
-            let ownerCell = cells.find(cell => getPercentageOfElementInCell(element, cell) > 50);  // at least 50% of the element must be within the cell deemed to be the owner
-            if (ownerCell !== undefined)
-                ownerCell.elements.push(element);
-        }
+// Parses a development application from the cells of a row.  Returns undefined (and records the
+// rejection of the row) if the row does not contain a valid development application.
 
-        // Group the cells into rows.
+function parseApplicationRow(row: ApplicationRow, url: string, council: CouncilAdapter, descriptionRules: DescriptionRules, rejections: Rejection[], log: Log) {
+    let reject = (reason: string) => rejections.push({ pageNumber: row.pageNumber, scope: "row", reason: reason, rawText: JSON.stringify(row.cellTexts) });
 
-        let rows: Cell[][] = [];
+    // Construct the application number (in its canonical form, for example, "141/17", so that
+    // variants such as "DA 141/2017" are stored as the same development application).
 
-        for (let cell of cells) {
-            let row = rows.find(row => Math.abs(row[0].y - cell.y) < 2);  // approximate Y co-ordinate match
-            if (row === undefined)
-                rows.push([ cell ]);  // start a new row
-            else
-                row.push(cell);  // add to an existing row
-        }
+    let parsedApplicationNumber = parseApplicationNumber(row.cells.applicationNumber.elements.map(element => element.text).join(""));
+    if (parsedApplicationNumber === undefined) {  // an application number must be present
+        reject("no application number was found");
+        return undefined;
+    }
+    let applicationNumber = parsedApplicationNumber.canonical;
 
-        // Check that there is at least one row (even if it is just the heading row).
+    // Construct the address.
 
-        if (rows.length === 0) {
-            let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because no rows were found (based on the grid).  Elements: ${elementSummary}`);
-            continue;
-        }
+    let addressCell = row.cells.address;
+    if (addressCell === undefined) {
+        reject("no address cell was found");
+        return undefined;
+    }
+    
+    let hundred = "";  // used in the legal description later
+    let hundredElement = addressCell.elements[addressCell.elements.length - 1];
+    if (hundredElement !== undefined && (hundredElement.text.trim().startsWith("HD ") || hundredElement.text.trim().toUpperCase().startsWith("HUNDRED "))) {
+        hundred = hundredElement.text.replace(/^HD /, "").replace(/^HUNDRED /i, "").trim();  // extract the hundred name from the last element
+        addressCell.elements.pop();
+    }
 
-        // Ensure the rows are sorted by Y co-ordinate and that the cells in each row are sorted
-        // by X co-ordinate (this is really just a safety precaution because the earlier sorting
-        // of cells in the parseCells function should have already ensured this).
+    let address = addressCell.elements.map(element => element.text).join(", ").replace(/\s\s+/g, " ").trim();
+    if (address === "" || address === "-") {  // an address must be present
+        reject("no address was found");
+        return undefined;
+    }
 
-        let rowComparer = (a, b) => (a[0].y > b[0].y) ? 1 : ((a[0].y < b[0].y) ? -1 : 0);
-        rows.sort(rowComparer);
+    let issues: QualityIssue[] = [];
+    address = formatAddress(address, hundred, issues);
 
-        let rowCellComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
-        for (let row of rows)
-            row.sort(rowCellComparer);
+    let houseNumber = "";
+    if (row.cells.houseNumber !== undefined)
+        houseNumber = row.cells.houseNumber.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
+    let structuredAddress = parseStructuredAddress(houseNumber, address);
+    address = (houseNumber + " " + address).trim();
 
-        // Find the heading cells.
+    // Construct the description.
 
-        let applicationNumberCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "APPLICATION"));
-        let receivedDateCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "RECEIPT"));
-        let houseNumberCell = cells.find(cell => cell.elements.map(element => element.text).join("").replace(/\s/g, "") === "NO.");
-        let lotCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "LOT"));
-        let sectionCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "SECTION/"));
-        let addressCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "PROPERTYADDRESS"));
-        let descriptionCell = cells.find(cell => cell.elements.some(element => element.text.replace(/\s/g, "") === "DESCRIPTION"));
+    let descriptionText = (row.cells.description === undefined) ? "" : row.cells.description.elements.map(element => element.text).join(" ");
+    let { description, consentType, developmentCategory, corrections } = normaliseDescription(descriptionText, descriptionRules);
+    if (corrections.length > 0)
+        log(`Corrected the description of application "${applicationNumber}": ${corrections.join(", ")}.`);
 
-        if (applicationNumberCell === undefined) {
-            let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the "APPLICATION" column heading was not found.  Elements: ${elementSummary}`);
-            continue;
-        }
+    // Construct the received date.
 
-        if (addressCell === undefined) {
-            let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`No development applications can be parsed from the current page because the "PROPERTY ADDRESS" column heading was not found.  Elements: ${elementSummary}`);
-            continue;
-        }
+    let receivedDateTexts = (row.cells.receivedDate === undefined) ? [] : row.cells.receivedDate.elements.map(element => element.text);
+    let { receivedDate, issues: receivedDateIssues } = parseReceivedDate(receivedDateTexts, applicationNumber);
+    issues.push(...receivedDateIssues);
 
-        // Try to extract a development application from each row (some rows, such as the heading
-        // row, will not actually contain a development application).
+    // Construct the legal description.
 
-        for (let row of rows) {
-            let rowApplicationNumberCell = row.find(cell => getHorizontalOverlapPercentage(cell, applicationNumberCell) > 90);
-            let rowReceivedDateCell = row.find(cell => getHorizontalOverlapPercentage(cell, receivedDateCell) > 90);
-            let rowHouseNumberCell = row.find(cell => getHorizontalOverlapPercentage(cell, houseNumberCell) > 90);
-            let rowLotCell = row.find(cell => getHorizontalOverlapPercentage(cell, lotCell) > 90);
-            let rowSectionCell = row.find(cell => getHorizontalOverlapPercentage(cell, sectionCell) > 90);
-            let rowAddressCell = row.find(cell => getHorizontalOverlapPercentage(cell, addressCell) > 90);
-            let rowDescriptionCell = row.find(cell => getHorizontalOverlapPercentage(cell, descriptionCell) > 90);
+    let legalElements = [];
 
-            // Construct the application number.
+    let lot = "";
+    if (row.cells.lot !== undefined) {
+        lot = row.cells.lot.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
+        if (lot !== "")
+            legalElements.push(`Lot ${lot}`);
+    }
 
-            if (rowApplicationNumberCell === undefined)
-                continue;
-            let applicationNumber = rowApplicationNumberCell.elements.map(element => element.text).join("").trim();
-            if (!/[0-9]+\/[0-9]+/.test(applicationNumber))  // an application number must be present, for example, "141/17"
-                continue;
+    let section = "";
+    if (row.cells.section !== undefined) {
+        section = row.cells.section.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
+        if (section !== "")
+            legalElements.push(`Section ${section}`);
+    }
 
-            // Construct the address.
+    if (hundred !== "")  // extracted from the address earlier
+        legalElements.push(`Hundred ${hundred}`);
+
+    let legalDescription = legalElements.join(", ");
+    let hundredName = findHundredName(hundred);
+    let legalParcel = { lots: splitParcelNumbers(lot), sections: splitParcelNumbers(section), hundred: (hundredName === undefined) ? hundred.toUpperCase() : hundredName };
+
+    // Record the quality of the development application.
+
+    if (description === "")
+        issues.push({ field: "description", code: "no-description", message: "no description was found" });
+    for (let issue of issues)
+        log(`Warning for application "${applicationNumber}" (${QualityIssueConfidences[issue.code]} confidence in the ${issue.field}): ${issue.message}.`);
+
+    return {
+        authorityLabel: council.name,
+        applicationNumber: applicationNumber,
+        originalApplicationNumber: parsedApplicationNumber.original,
+        address: address,
+        description: ((description === "") ? MissingDescription : description),
+        consentType: consentType,
+        developmentCategory: developmentCategory,
+        informationUrl: url,
+        commentUrl: council.commentUrl,
+        scrapeDate: moment().format("YYYY-MM-DD"),
+        receivedDate: receivedDate,
+        legalDescription: legalDescription,
+        structuredAddress: structuredAddress,
+        legalParcel: legalParcel,
+        quality: createQualityRecord(issues)
+    };
+}
 
-            if (rowAddressCell === undefined)
-                continue;
-            
-            let hundred = "";  // used in the legal description later
-            let hundredElement = rowAddressCell.elements.pop();
-            if (hundredElement.text.trim().startsWith("HD ") || hundredElement.text.trim().toUpperCase().startsWith("HUNDRED "))
-                hundred = hundredElement.text.replace(/^HD /, "").replace(/^HUNDRED /i, "").trim();  // extract the hundred name from the last element
-            else
-                rowAddressCell.elements.push(hundredElement);
+// Parses the command line arguments.  For example,
+//
+//     node scraper.js --council all
+//     node scraper.js --time-budget 20 --memory-budget 300
+//     node scraper.js --report report.json
+//     node scraper.js --archive archive
+//     node scraper.js --replay archive --output stdout
+//     node scraper.js --output database csv ndjson:applications.ndjson planningalerts:feed.xml
+//     node scraper.js --retries 6 --timeout 120 --delay 5 --cache cache --ca-file intermediate.pem
+//     node scraper.js --replay "archive/2019-02-16 developmentregister.html" "archive/2019-02-16 DA Register.pdf"
+//
+// where "--council" selects one or more councils to scrape (see councils.ts; the District Council
+// of Grant by default), "--archive" saves every downloaded register page and PDF document (along
+// with its original URL) to the specified directory, "--replay" parses previously archived files
+// (or directories of files) instead of accessing the network, "--output" selects one or more
+// sinks to which the development applications are written (the database by default; see
+// sinks.ts), each optionally followed by a colon and a file name, "--time-budget" (in minutes)
+// and "--memory-budget" (in megabytes) limit how many PDF documents are processed in a single
+// run, "--report" selects where the quality report is written and the remaining options control
+// the requests: "--retries" is the number of times a failed request is retried, "--timeout" (in
+// seconds) limits the wait for each response, "--delay" (in seconds) is the minimum pause after
+// each request, "--cache" selects the directory in which responses are cached ("--no-cache"
+// disables the cache), "--ca-file" adds trusted certificates and "--insecure" disables the
+// verification of TLS certificates.
+
+function parseArguments(argv: string[]) {
+    let options = { archiveDirectory: undefined as string, replayPaths: [] as string[], outputs: [] as { type: string, filePath: string }[], timeBudget: DefaultTimeBudget, memoryBudget: DefaultMemoryBudget, reportPath: DefaultReportPath, councils: [] as CouncilAdapter[], fetchOptions: { ...DefaultFetchOptions, cacheDirectory: DefaultCacheDirectory, proxy: process.env.MORPH_PROXY } as FetchOptions };
+
+    for (let index = 0; index < argv.length; index++) {
+        let argument = argv[index];
+        if (argument === "--archive" && index + 1 < argv.length)
+            options.archiveDirectory = argv[++index];
+        else if (argument === "--council") {
+            while (index + 1 < argv.length && !argv[index + 1].startsWith("--"))
+                options.councils.push(...findCouncils([ argv[++index] ]));
+        } else if (argument === "--replay") {
+            while (index + 1 < argv.length && !argv[index + 1].startsWith("--"))
+                options.replayPaths.push(argv[++index]);
+        } else if (argument === "--output") {
+            while (index + 1 < argv.length && !argv[index + 1].startsWith("--")) {
+                let output = parseOutputSpecification(argv[++index]);
+                if (output === undefined)
+                    throw new Error(`Unrecognised output "${argv[index]}".  Each output must be one of database, stdout, csv[:<file>], ndjson[:<file>] or planningalerts[:<file>].`);
+                options.outputs.push(output);
+            }
+        } else if (argument === "--time-budget" && index + 1 < argv.length && Number(argv[index + 1]) > 0)
+            options.timeBudget = Number(argv[++index]);
+        else if (argument === "--memory-budget" && index + 1 < argv.length && Number(argv[index + 1]) > 0)
+            options.memoryBudget = Number(argv[++index]);
+        else if (argument === "--report" && index + 1 < argv.length)
+            options.reportPath = argv[++index];
+        else if (argument === "--retries" && index + 1 < argv.length && Number.isInteger(Number(argv[index + 1])) && Number(argv[index + 1]) >= 0)
+            options.fetchOptions.retryCount = Number(argv[++index]);
+        else if (argument === "--timeout" && index + 1 < argv.length && Number(argv[index + 1]) > 0)
+            options.fetchOptions.timeout = Number(argv[++index]) * 1000;
+        else if (argument === "--delay" && index + 1 < argv.length && Number(argv[index + 1]) >= 0)
+            options.fetchOptions.delay = Number(argv[++index]) * 1000;
+        else if (argument === "--cache" && index + 1 < argv.length)
+            options.fetchOptions.cacheDirectory = argv[++index];
+        else if (argument === "--no-cache")
+            options.fetchOptions.cacheDirectory = undefined;
+        else if (argument === "--ca-file" && index + 1 < argv.length)
+            options.fetchOptions.ca = fs.readFileSync(argv[++index]);
+        else if (argument === "--insecure")
+            options.fetchOptions.rejectUnauthorized = false;
+        else
+            throw new Error(`Unrecognised command line argument "${argument}".  Usage: node scraper.js [--council <name>...|all] [--archive <directory>] [--replay <file or directory>...] [--output database|stdout|csv[:<file>]|ndjson[:<file>]|planningalerts[:<file>]...] [--time-budget <minutes>] [--memory-budget <megabytes>] [--report <file>] [--retries <count>] [--timeout <seconds>] [--delay <seconds>] [--cache <directory>|--no-cache] [--ca-file <file>] [--insecure]`);
+    }
 
-            let address = rowAddressCell.elements.map(element => element.text).join(", ").replace(/\s\s+/g, " ").trim();
-            address = formatAddress(address);
-            if (address === "" || address.trim() === "-")  // an address must be present
-                continue;
+    if (argv.includes("--replay") && options.replayPaths.length === 0)
+        throw new Error("At least one file or directory must be specified after \"--replay\".");
+    if (argv.includes("--output") && options.outputs.length === 0)
+        throw new Error("At least one output must be specified after \"--output\".");
+    if (options.outputs.length === 0)
+        options.outputs.push({ type: "database", filePath: undefined });
+    if (argv.includes("--council") && options.councils.length === 0)
+        throw new Error("At least one council (or \"all\") must be specified after \"--council\".");
+    if (options.councils.length === 0)
+        options.councils.push(Councils[0]);
+    options.councils = options.councils.filter((council, index) => options.councils.indexOf(council) === index);  // ignore any council selected twice
+
+    return options;
+}
 
-            let houseNumber = "";
-            if (rowHouseNumberCell !== undefined)
-                houseNumber = rowHouseNumberCell.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
-            address = (houseNumber + " " + address).trim();
+// Extracts the URLs of the PDF documents linked from the main page of development applications
+// of a council (the page URL is used to resolve relative links).
 
-            // Construct the description.
+function parseDevelopmentApplicationsPage(body: string, pageUrl: string, council: CouncilAdapter) {
+    let $ = cheerio.load(body);
 
-            let description = "";
-            if (rowDescriptionCell !== undefined) {
-                description = rowDescriptionCell.elements.map(element => element.text).join(" ").replace(/\s\s+/g, " ").trim();
-                let truncatedDescription = description.replace(/( - )?BUILDING RULES ONLY$/i, "").replace(/( - )?BUILDING ONLY$/i, "").replace(/( - )?PLANNING ONLY$/i, "").trim();
-                if (truncatedDescription !== "")
-                    description = truncatedDescription;
-                description = description.replace(/\bDW ELLING\b/gi, "DWELLING");  // correct a common problem (an extra space)
-            }
+    let pdfUrls: string[] = [];
+    for (let element of $(council.linkSelector).get()) {
+        let pdfUrl = new urlparser.URL(element.attribs.href, pageUrl).href;
+        if (pdfUrl.toLowerCase().includes(".pdf"))
+            if (!pdfUrls.some(url => url === pdfUrl))  // avoid duplicates
+                pdfUrls.push(pdfUrl);
+    }
 
-            // Construct the received date.
+    return pdfUrls;
+}
 
-            let receivedDate = moment.invalid();
-            if (rowReceivedDateCell !== undefined && rowReceivedDateCell.elements.length > 0)
-                receivedDate = moment(rowReceivedDateCell.elements[0].text.trim(), "D/MM/YYYY", true);
+// Constructs the sinks for the selected outputs.
+
+function createSinks(database, runId: number, outputs: { type: string, filePath: string }[], councils: CouncilAdapter[]) {
+    return outputs.map(output => {
+        if (output.type === "database")
+            return createDatabaseSink(database, runId);
+        else if (output.type === "stdout")
+            return createStandardOutputSink();
+
+        // Each file holds the full register of the selected councils (when there is a database).
+
+        let sink: OutputSink;
+        if (output.type === "csv")
+            sink = createCsvSink(output.filePath);
+        else if (output.type === "ndjson")
+            sink = createNdjsonSink(output.filePath);
+        else
+            sink = createPlanningAlertsSink(output.filePath, councils);
+        return (database === undefined) ? sink : createRegisterSink(sink, () => readStoredApplications(database, councils));
+    });
+}
 
-            // Construct the legal description.
+// Reads every development application stored for the specified councils (in the order that they
+// were first stored).
 
-            let legalElements = [];
+async function readStoredApplications(database, councils: CouncilAdapter[]) {
+    let rows = await getRows(database, `select * from [data] where [authority_label] in (${councils.map(() => "?").join(", ")}) order by [rowid]`, councils.map(council => council.name));
+    return rows.map(getDevelopmentApplication);
+}
 
-            let lot = "";
-            if (rowLotCell !== undefined) {
-                lot = rowLotCell.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
-                if (lot !== "")
-                    legalElements.push(`Lot ${lot}`);
-            }
+// Selects the archived files of a council (those retrieved from the same host as the register of
+// the council).  When only a single council is selected every archived file is assumed to belong
+// to that council.
 
-            let section = "";
-            if (rowSectionCell !== undefined) {
-                section = rowSectionCell.elements.filter(element => element.text.trim() !== "-").map(element => element.text).join(" & ").replace(/\s\s+/g, " ").trim();
-                if (section !== "")
-                    legalElements.push(`Section ${section}`);
-            }
+export function selectArchivedFiles(archivedFiles: ArchivedFile[], council: CouncilAdapter, councils: CouncilAdapter[]) {
+    if (councils.length === 1)
+        return archivedFiles;
+    let host = new urlparser.URL(council.registerUrl).host;
+    return archivedFiles.filter(archivedFile => new urlparser.URL(archivedFile.url).host === host);
+}
 
-            if (hundred !== "")  // extracted from the address earlier
-                legalElements.push(`Hundred ${hundred}`);
-
-            let legalDescription = legalElements.join(", ");
-
-            developmentApplications.push({
-                applicationNumber: applicationNumber,
-                address: address,
-                description: ((description === "") ? "NO DESCRIPTION PROVIDED" : description),
-                informationUrl: url,
-                commentUrl: CommentUrl,
-                scrapeDate: moment().format("YYYY-MM-DD"),
-                receivedDate: receivedDate.isValid() ? receivedDate.format("YYYY-MM-DD") : "",
-                legalDescription: legalDescription
-            });        
+// Parses the development applications of a council from previously archived register pages and
+// PDF documents (without accessing the network).  Each parsed document is recorded against the
+// run (unless there is no database).
+
+export async function replay(council: CouncilAdapter, archivedFiles: ArchivedFile[], database, runId: number, sinks: OutputSink[], progress: Progress, reports: DocumentReport[], tracker: DuplicateTracker) {
+    let archivedPdfFiles = archivedFiles.filter(archivedFile => archivedFile.type === "pdf");
+
+    // Extract the PDF links from any archived register pages and parse the corresponding archived
+    // PDF documents in the same order that they appear on the register page.  Any remaining PDF
+    // documents (that were specified explicitly or are not linked from a register page) are then
+    // parsed afterwards.
+
+    let selectedPdfFiles = [];
+    for (let archivedFile of archivedFiles.filter(archivedFile => archivedFile.type === "html")) {
+        console.log(`Reading archived page: ${archivedFile.path} (originally ${archivedFile.url})`);
+        let pdfUrls = parseDevelopmentApplicationsPage(fs.readFileSync(archivedFile.path).toString(), archivedFile.url, council);
+        console.log(`Found ${pdfUrls.length} PDF file(s) linked from the archived page.`);
+        for (let pdfUrl of pdfUrls) {
+            let archivedPdfFile = archivedPdfFiles.find(archivedPdfFile => archivedPdfFile.url === pdfUrl);
+            if (archivedPdfFile === undefined)
+                console.log(`Ignoring ${pdfUrl} because it has not been archived.`);
+            else if (!selectedPdfFiles.includes(archivedPdfFile))
+                selectedPdfFiles.push(archivedPdfFile);
         }
     }
+    for (let archivedPdfFile of archivedPdfFiles)
+        if (!selectedPdfFiles.includes(archivedPdfFile))
+            selectedPdfFiles.push(archivedPdfFile);
 
-    return developmentApplications;
-}
-
-// Gets a random integer in the specified range: [minimum, maximum).
+    if (selectedPdfFiles.length === 0) {
+        console.log(`No archived PDF files were found for the ${council.authorityName}.`);
+        return;
+    }
 
-function getRandom(minimum: number, maximum: number) {
-    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
-}
+    for (let archivedPdfFile of selectedPdfFiles) {
+        console.log(`Parsing archived document: ${archivedPdfFile.path} (originally ${archivedPdfFile.url})`);
+        let { developmentApplications, report, parsed } = await parseDocument(fs.readFileSync(archivedPdfFile.path), archivedPdfFile.url, council);
+        reports.push(report);
+        console.log(`Parsed ${developmentApplications.length} development ${(developmentApplications.length == 1) ? "application" : "applications"} from document: ${archivedPdfFile.url}`);
 
-// Pauses for the specified number of milliseconds.
+        if (global.gc)
+            global.gc();
 
-function sleep(milliseconds: number) {
-    return new Promise(resolve => setTimeout(resolve, milliseconds));
+        await mergeDuplicates(tracker, developmentApplications, report.url);
+        await saveToSinks(sinks, report.url, developmentApplications, report.rejections, progress);
+        if (database !== undefined)
+            await recordRunDocument(database, runId, archivedPdfFile.url, parsed ? "parsed" : "failed", developmentApplications.length, report.rejections.length);
+    }
 }
 
 // Parses the development applications.
 
 async function main() {
-    // Ensure that the database exists.
-
-    let database = await initializeDatabase();
+    let options = parseArguments(process.argv.slice(2));
+
+    // Log to standard error when the development applications themselves are being written to
+    // standard output (so that the two do not become intermingled).
+
+    if (options.outputs.some(output => output.type === "stdout"))
+        console.log = console.error;
+
+    // Read any archived files first (so that a missing archive is reported before any output is
+    // started).
+
+    let archivedFiles = (options.replayPaths.length > 0) ? readArchivedFiles(options.replayPaths) : undefined;
+
+    // Ensure that the database exists (this also records which PDF documents have been parsed,
+    // so it is only omitted when replaying archived files to outputs other than the database).
+
+    let database = (options.outputs.some(output => output.type === "database") || options.replayPaths.length === 0) ? await initializeDatabase() : undefined;
+    let runId = (database === undefined) ? undefined : await startRun(database, (options.replayPaths.length > 0) ? "replay" : "crawl", options.councils);
+    let sinks = createSinks(database, runId, options.outputs, options.councils);
+
+    // Scrape each selected council in turn (after reading all the street, street suffix and
+    // suburb information of the council).  Parse previously archived files if requested (instead
+    // of accessing the network).  Finish by closing the sinks (which completes the output files
+    // and logs a summary of the progress of each sink) and writing a quality report for the
+    // parsed documents.  The sinks are closed and the report is written even if an error stops
+    // the run (so that the applications saved before the error are not lost), in which case the
+    // run is recorded as failed.
+
+    let startTime = Date.now();
+    let progress = createProgress(sinks);
+    let reports: DocumentReport[] = [];
+    let tracker = createDuplicateTracker((database === undefined) ? undefined : (authorityLabel, applicationNumber) => findStoredApplication(database, authorityLabel, applicationNumber));
+
+    let status: "complete" | "failed" = "failed";
+    try {
+        for (let council of options.councils) {
+            console.log(`Scraping the ${council.authorityName}.`);
+            readAddressInformation(council);
+            if (archivedFiles !== undefined)
+                await replay(council, selectArchivedFiles(archivedFiles, council, options.councils), database, runId, sinks, progress, reports, tracker);
+            else
+                await crawl(council, database, runId, options, startTime, sinks, progress, reports, tracker);
+        }
+        status = "complete";
+    } finally {
+        await closeSinks(sinks, progress);
+        writeReport(options.reportPath, reports, getDuplicateReport(tracker));
+        if (database !== undefined)
+            await finishRun(database, runId, status);
+    }
+}
 
-    // Read all street, street suffix and suburb information.
+// Gets the options used to retrieve the register of a council.  The trusted certificates or the
+// disabled verification of TLS certificates configured for the council apply unless certificates
+// were supplied on the command line (with "--ca-file").
+
+function getCouncilFetchOptions(council: CouncilAdapter, fetchOptions: FetchOptions): FetchOptions {
+    if (fetchOptions.ca !== undefined)
+        return fetchOptions;
+    if (council.caPath !== undefined)
+        return { ...fetchOptions, ca: fs.readFileSync(council.caPath) };
+    if (council.insecure && fetchOptions.rejectUnauthorized) {
+        console.log(`Not verifying TLS certificates for the ${council.authorityName} (as configured in councils.ts).`);
+        return { ...fetchOptions, rejectUnauthorized: false };
+    }
+    return fetchOptions;
+}
 
-    readAddressInformation();
+// Parses the development applications from the PDF documents linked from the main page of
+// development applications (recording each document processed against the run).
 
+export async function crawl(council: CouncilAdapter, database, runId: number, options, startTime: number, sinks: OutputSink[], progress: Progress, reports: DocumentReport[], tracker: DuplicateTracker) {
     // Read the main page of development applications.
 
-    console.log(`Retrieving page: ${DevelopmentApplicationsUrl}`);
-
-    let body = await request({ url: DevelopmentApplicationsUrl, rejectUnauthorized: false, proxy: process.env.MORPH_PROXY });
-    await sleep(2000 + getRandom(0, 5) * 1000);
-    let $ = cheerio.load(body);
-    
-    let pdfUrls: string[] = [];
-    for (let element of $("h3.generic-list__title a").get()) {
-        let pdfUrl = new urlparser.URL(element.attribs.href, DevelopmentApplicationsUrl).href;
-        if (pdfUrl.toLowerCase().includes(".pdf"))
-            if (!pdfUrls.some(url => url === pdfUrl))  // avoid duplicates
-                pdfUrls.push(pdfUrl);
-    }
+    console.log(`Retrieving page: ${council.registerUrl}`);
 
-    // Always parse the most recent PDF file and randomly select one other PDF file to parse.
+    let fetchOptions = getCouncilFetchOptions(council, options.fetchOptions);
+    let body = (await fetchUrl(council.registerUrl, fetchOptions)).body.toString();
+    if (options.archiveDirectory !== undefined)
+        archiveFile(options.archiveDirectory, council.registerUrl, body, "html");
 
+    let pdfUrls = parseDevelopmentApplicationsPage(body, council.registerUrl, council);
     if (pdfUrls.length === 0) {
         console.log("No PDF URLs were found on the page.");
         return;
     }
 
-    console.log(`Found ${pdfUrls.length} PDF file(s).  Selecting two to parse.`);
+    // Determine the order in which to process the PDF documents.  Documents that have never been
+    // parsed are processed first (in the order that they appear on the register, so the most
+    // recent first).  Then previously parsed documents are checked for changes (those checked
+    // least recently first), along with any documents that could not be parsed (so that a
+    // corrupt document is not retried ahead of the others in every run).  Only as many documents
+    // as fit within the time and memory budgets are processed, so the remaining documents are
+    // processed in subsequent runs.
+
+    for (let pdfUrl of pdfUrls)
+        await recordDocumentSeen(database, pdfUrl);
+    let documents = await readDocuments(database);
 
-    // Select the most recent PDF.  And randomly select one other PDF (avoid processing all PDFs
-    // at once because this may use too much memory, resulting in morph.io terminating the current
-    // process).
+    let unparsedPdfUrls = pdfUrls.filter(pdfUrl => documents.get(pdfUrl).last_checked === null);
+    let parsedPdfUrls = pdfUrls.filter(pdfUrl => documents.get(pdfUrl).last_checked !== null);
+    parsedPdfUrls.sort((a, b) => documents.get(a).last_checked.localeCompare(documents.get(b).last_checked));
+    let selectedPdfUrls = unparsedPdfUrls.concat(parsedPdfUrls);
 
-    let selectedPdfUrls: string[] = [];
-    selectedPdfUrls.push(pdfUrls.shift());
-    if (pdfUrls.length > 0)
-        selectedPdfUrls.push(pdfUrls[getRandom(0, pdfUrls.length)]);
-    if (getRandom(0, 2) === 0)
-        selectedPdfUrls.reverse();
+    console.log(`Found ${pdfUrls.length} PDF file(s), of which ${unparsedPdfUrls.length} have not yet been parsed.  Processing within a budget of ${options.timeBudget} minute(s) and ${options.memoryBudget} MB.`);
+
+    let processedCount = 0;
 
     for (let pdfUrl of selectedPdfUrls) {
+        // Stop once the time or memory budget has been exhausted (but always process at least one
+        // document so that every run makes progress).
+
+        let elapsedMinutes = (Date.now() - startTime) / (60 * 1000);  // since the run started (the budgets are shared by all the councils)
+        let memoryUsage = process.memoryUsage().rss / (1024 * 1024);  // the resident set size (which, unlike the heap, includes the buffers of the documents and is what morph.io limits)
+        if (processedCount > 0 && (elapsedMinutes >= options.timeBudget || memoryUsage >= options.memoryBudget)) {
+            console.log(`Stopping after ${processedCount} of ${selectedPdfUrls.length} PDF file(s) because the budget has been reached (${Math.round(elapsedMinutes)} minute(s) elapsed and ${Math.round(memoryUsage)} MB in use).  The remaining files will be processed in a subsequent run.`);
+            break;
+        }
+        processedCount++;
+
+        console.log(`Retrieving document: ${pdfUrl}`);
+
+        // A document that cannot be retrieved (even after retrying) is skipped, so that it is
+        // retrieved again in a subsequent run (because it has not been recorded as checked).
+
+        let buffer: Buffer;
+        let fromCache: boolean;
+        try {
+            ({ body: buffer, fromCache } = await fetchUrl(pdfUrl, fetchOptions));
+        } catch (error) {
+            console.log(`Skipping document because it could not be retrieved: ${error.message}`);
+            await recordRunDocument(database, runId, pdfUrl, "failed");
+            continue;
+        }
+        if (fromCache)
+            console.log(`Using the cached copy of the document because it has not changed on the server: ${pdfUrl}`);
+        if (options.archiveDirectory !== undefined)
+            archiveFile(options.archiveDirectory, pdfUrl, buffer, "pdf");
+
+        // Avoid parsing a document again if its content has not changed since it was last parsed
+        // (or since it was found to be impossible to parse).
+
+        let contentHash = crypto.createHash("sha256").update(buffer).digest("hex");
+        let document = documents.get(pdfUrl);
+        if (document.content_hash === contentHash) {
+            if (document.last_parsed === null)
+                console.log(`Ignoring document because it could not be parsed when it was checked on ${document.last_checked} and has not changed since: ${pdfUrl}`);
+            else
+                console.log(`Ignoring document because it has not changed since it was parsed on ${document.last_parsed}: ${pdfUrl}`);
+            await recordDocumentChecked(database, pdfUrl, contentHash);
+            await recordRunDocument(database, runId, pdfUrl, "unchanged");
+            continue;
+        }
+
         console.log(`Parsing document: ${pdfUrl}`);
-        let developmentApplications = await parsePdf(pdfUrl);
+        let { developmentApplications, report, parsed } = await parseDocument(buffer, pdfUrl, council);
+        reports.push(report);
+        buffer = undefined;
         console.log(`Parsed ${developmentApplications.length} development ${(developmentApplications.length == 1) ? "application" : "applications"} from document: ${pdfUrl}`);
-        
+
         // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the
         // current process being terminated by morph.io).
 
         if (global.gc)
             global.gc();
 
-        console.log("Inserting development applications into the database.");
-        for (let developmentApplication of developmentApplications)
-            await insertRow(database, developmentApplication);
+        await mergeDuplicates(tracker, developmentApplications, report.url);
+        await saveToSinks(sinks, report.url, developmentApplications, report.rejections, progress);
+        await recordDocumentChecked(database, pdfUrl, contentHash, parsed ? developmentApplications.length : undefined);
+        await recordRunDocument(database, runId, pdfUrl, parsed ? "parsed" : "failed", developmentApplications.length, report.rejections.length);
     }
 }
 
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
+// Run the scraper (unless this module has been loaded by another module, such as the regression
+// tests, in order to use the parser).  A failed run exits with a non-zero status.
+
+if (require.main === module)
+    main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });
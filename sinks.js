@@ -0,0 +1,298 @@
+// Writes the parsed development applications to one or more outputs ("sinks") and reports the
+// progress of each sink.  The database is one sink (see createDatabaseSink in scraper.ts) and the
+// following file formats are also supported:
+//
+//     csv              a CSV file with the same columns as the database
+//     ndjson           newline-delimited JSON, one GeoJSON feature per development application (with
+//                      a null geometry, ready to be geocoded from the structured address)
+//     planningalerts   a feed in the PlanningAlerts API format (XML if the file name ends in ".xml"
+//                      and otherwise JSON)
+//     stdout           newline-delimited JSON, one parsed development application per line, written
+//                      to standard output
+//
+// The files are only written once the sink has been closed at the end of the run.  When there is a
+// database, each file holds the full register (see createRegisterSink) rather than only the
+// development applications parsed in the run (a document that has not changed since it was last
+// parsed is not parsed again, so a quiet run parses nothing).
+"use strict";
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) if (e.indexOf(p[i]) < 0)
+            t[p[i]] = s[p[i]];
+    return t;
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const quality_1 = require("./quality");
+// The output file types and the file to which each is written by default.
+exports.OutputFileTypes = {
+    csv: "data.csv",
+    ndjson: "data.ndjson",
+    planningalerts: "planningalerts.json"
+};
+// The columns of the CSV file (the same as the columns of the data table in the database).
+exports.CsvColumns = ["authority_label", "council_reference", "address", "description", "info_url", "comment_url", "date_scraped", "date_received", "legal_description", "house_number", "street_name", "street_type", "street_suffix", "suburb", "state", "postcode", "lots", "sections", "hundred", "consent_type", "development_category", "original_council_reference"];
+// Gets the values of the columns of the data table (and CSV file) for a development application.
+function getColumnValues(developmentApplication) {
+    let structuredAddress = developmentApplication.structuredAddress;
+    let legalParcel = developmentApplication.legalParcel;
+    return {
+        authority_label: developmentApplication.authorityLabel,
+        council_reference: developmentApplication.applicationNumber,
+        address: developmentApplication.address,
+        description: developmentApplication.description,
+        info_url: developmentApplication.informationUrl,
+        comment_url: developmentApplication.commentUrl,
+        date_scraped: developmentApplication.scrapeDate,
+        date_received: developmentApplication.receivedDate,
+        legal_description: developmentApplication.legalDescription,
+        house_number: structuredAddress.houseNumber,
+        street_name: structuredAddress.streetName,
+        street_type: structuredAddress.streetType,
+        street_suffix: structuredAddress.streetSuffix,
+        suburb: structuredAddress.suburb,
+        state: structuredAddress.state,
+        postcode: structuredAddress.postcode,
+        lots: legalParcel.lots.join(", "),
+        sections: legalParcel.sections.join(", "),
+        hundred: legalParcel.hundred,
+        consent_type: developmentApplication.consentType,
+        development_category: developmentApplication.developmentCategory,
+        original_council_reference: developmentApplication.originalApplicationNumber
+    };
+}
+exports.getColumnValues = getColumnValues;
+// Gets a development application from the values of the columns of the data table (the inverse of
+// getColumnValues, except that the quality of the development application is not recorded in the
+// data table).
+function getDevelopmentApplication(values) {
+    let getText = (column) => (values[column] === undefined || values[column] === null) ? "" : String(values[column]);
+    let splitText = (column) => (getText(column) === "") ? [] : getText(column).split(", ");
+    return {
+        authorityLabel: getText("authority_label"),
+        applicationNumber: getText("council_reference"),
+        originalApplicationNumber: getText("original_council_reference"),
+        address: getText("address"),
+        description: getText("description"),
+        consentType: getText("consent_type"),
+        developmentCategory: getText("development_category"),
+        informationUrl: getText("info_url"),
+        commentUrl: getText("comment_url"),
+        scrapeDate: getText("date_scraped"),
+        receivedDate: getText("date_received"),
+        legalDescription: getText("legal_description"),
+        structuredAddress: {
+            houseNumber: getText("house_number"),
+            streetName: getText("street_name"),
+            streetType: getText("street_type"),
+            streetSuffix: getText("street_suffix"),
+            suburb: getText("suburb"),
+            state: getText("state"),
+            postcode: getText("postcode")
+        },
+        legalParcel: { lots: splitText("lots"), sections: splitText("sections"), hundred: getText("hundred") },
+        quality: quality_1.createQualityRecord([])
+    };
+}
+exports.getDevelopmentApplication = getDevelopmentApplication;
+// Quotes a CSV value (if necessary).
+function quoteCsvValue(value) {
+    value = (value === undefined || value === null) ? "" : String(value);
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+}
+exports.quoteCsvValue = quoteCsvValue;
+// Escapes text for inclusion in XML (or HTML).
+function escapeXml(text) {
+    return ((text === undefined || text === null) ? "" : String(text)).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+exports.escapeXml = escapeXml;
+// Constructs a sink that writes lines of text to a file (the file is replaced, but only once the
+// first development application is written or the sink is closed).
+function createLineSink(name, filePath, headerLines, formatLine) {
+    let fileDescriptor = undefined;
+    let open = () => {
+        if (fileDescriptor === undefined) {
+            fileDescriptor = fs.openSync(filePath, "w");
+            for (let headerLine of headerLines)
+                fs.writeSync(fileDescriptor, headerLine + "\n");
+        }
+    };
+    return {
+        name: name,
+        write: async (developmentApplication) => {
+            open();
+            fs.writeSync(fileDescriptor, formatLine(developmentApplication) + "\n");
+            return "written";
+        },
+        close: async () => {
+            open();
+            fs.closeSync(fileDescriptor);
+        }
+    };
+}
+// Constructs a sink that writes a CSV file with the same columns as the database.
+function createCsvSink(filePath) {
+    return createLineSink(`CSV file ${filePath}`, filePath, [exports.CsvColumns.join(",")], developmentApplication => {
+        let values = getColumnValues(developmentApplication);
+        return exports.CsvColumns.map(column => quoteCsvValue(values[column])).join(",");
+    });
+}
+exports.createCsvSink = createCsvSink;
+// Constructs a sink that writes newline-delimited JSON, with each development application as a
+// GeoJSON feature.  The geometry is null (the register does not give coordinates) so that the
+// features can be geocoded later from the structured address.
+function createNdjsonSink(filePath) {
+    return createLineSink(`NDJSON file ${filePath}`, filePath, [], developmentApplication => JSON.stringify({
+        type: "Feature",
+        id: developmentApplication.applicationNumber,
+        geometry: null,
+        properties: Object.assign({}, getColumnValues(developmentApplication), { confidence: developmentApplication.quality.confidence })
+    }));
+}
+exports.createNdjsonSink = createNdjsonSink;
+// Constructs a sink that writes each parsed development application to standard output, as JSON
+// with one development application per line.
+function createStandardOutputSink() {
+    return {
+        name: "standard output",
+        write: async (developmentApplication) => {
+            process.stdout.write(JSON.stringify(developmentApplication) + "\n");
+            return "written";
+        },
+        close: async () => { }
+    };
+}
+exports.createStandardOutputSink = createStandardOutputSink;
+// Constructs a sink that writes a feed in the PlanningAlerts API format (as XML if the file name
+// ends in ".xml" and otherwise as JSON).  The feed is written when the sink is closed.  An XML
+// feed names the council once, unless the development applications of several councils are in
+// the feed (in which case each development application names its council).
+function createPlanningAlertsSink(filePath, councils) {
+    let applications = [];
+    let getAuthorityName = (authorityLabel) => councils.find(council => council.name === authorityLabel).authorityName;
+    return {
+        name: `PlanningAlerts feed ${filePath}`,
+        write: async (developmentApplication) => {
+            applications.push({
+                authority_label: developmentApplication.authorityLabel,
+                council_reference: developmentApplication.applicationNumber,
+                address: developmentApplication.address,
+                description: developmentApplication.description,
+                info_url: developmentApplication.informationUrl,
+                comment_url: developmentApplication.commentUrl,
+                date_scraped: developmentApplication.scrapeDate,
+                date_received: developmentApplication.receivedDate
+            });
+            return "written";
+        },
+        close: async () => {
+            if (filePath.toLowerCase().endsWith(".xml")) {
+                let authorityLabels = councils.map(council => council.name).filter(authorityLabel => applications.some(application => application.authority_label === authorityLabel));
+                let lines = ["<?xml version=\"1.0\" encoding=\"UTF-8\"?>", "<planning>"];
+                if (authorityLabels.length === 1)
+                    lines.push(`  <authority_name>${escapeXml(getAuthorityName(authorityLabels[0]))}</authority_name>`);
+                lines.push("  <applications>");
+                for (let _a of applications) {
+                    let { authority_label } = _a, application = __rest(_a, ["authority_label"]);
+                    lines.push("    <application>");
+                    if (authorityLabels.length > 1)
+                        lines.push(`      <authority_name>${escapeXml(getAuthorityName(authority_label))}</authority_name>`);
+                    for (let field of Object.keys(application))
+                        lines.push(`      <${field}>${escapeXml(application[field])}</${field}>`);
+                    lines.push("    </application>");
+                }
+                lines.push("  </applications>", "</planning>");
+                fs.writeFileSync(filePath, lines.join("\n") + "\n");
+            }
+            else
+                fs.writeFileSync(filePath, JSON.stringify(applications.map((_a) => {
+                    var { authority_label } = _a, application = __rest(_a, ["authority_label"]);
+                    return ({ application: Object.assign({}, application, { authority: { full_name: getAuthorityName(authority_label) } }) });
+                }), null, 4) + "\n");
+        }
+    };
+}
+exports.createPlanningAlertsSink = createPlanningAlertsSink;
+// Constructs a sink that writes the full register to another sink (such as a file sink) when it
+// is closed: every development application read from the database at that point (in the order
+// that they were first stored), except that a development application written during the run
+// replaces the stored version (and any not yet stored are added at the end).  This keeps the
+// quality record of each development application parsed in the run (the quality record is not
+// stored, so a stored development application is given that of an application without problems).
+function createRegisterSink(sink, readStoredApplications) {
+    let applications = new Map();
+    let getKey = developmentApplication => `${developmentApplication.authorityLabel}/${developmentApplication.applicationNumber}`;
+    return {
+        name: sink.name,
+        write: async (developmentApplication) => {
+            applications.set(getKey(developmentApplication), developmentApplication);
+            return "written";
+        },
+        close: async () => {
+            for (let storedApplication of await readStoredApplications()) {
+                let key = getKey(storedApplication);
+                await sink.write(applications.has(key) ? applications.get(key) : storedApplication);
+                applications.delete(key);
+            }
+            for (let developmentApplication of applications.values())
+                await sink.write(developmentApplication);
+            await sink.close();
+        }
+    };
+}
+exports.createRegisterSink = createRegisterSink;
+// Parses an output specification (as given on the command line), such as "database", "stdout",
+// "csv" or "csv:applications.csv".  Returns undefined if the specification is not recognised.
+function parseOutputSpecification(specification) {
+    let [type, ...filePathTokens] = specification.split(":");
+    let filePath = filePathTokens.join(":");
+    if (type === "database" || type === "stdout")
+        return (filePath === "") ? { type: type, filePath: undefined } : undefined;
+    if (exports.OutputFileTypes[type] === undefined)
+        return undefined;
+    return { type: type, filePath: (filePath === "") ? exports.OutputFileTypes[type] : filePath };
+}
+exports.parseOutputSpecification = parseOutputSpecification;
+// Constructs an empty progress report for the specified sinks.
+function createProgress(sinks) {
+    return { documentCount: 0, sinks: sinks.map(sink => ({ name: sink.name, counts: { new: 0, changed: 0, unchanged: 0, written: 0 } })) };
+}
+exports.createProgress = createProgress;
+// Describes the counts of development applications saved to a sink.
+function describeCounts(counts) {
+    let descriptions = [];
+    for (let status of ["new", "changed", "unchanged", "written"])
+        if (counts[status] > 0)
+            descriptions.push(`${counts[status]} ${status}`);
+    return (descriptions.length === 0) ? "nothing saved" : descriptions.join(", ");
+}
+// Saves the development applications parsed from a document (and the rows and pages rejected
+// from the document) to every sink and logs the progress of each sink.
+async function saveToSinks(sinks, url, developmentApplications, rejections, progress) {
+    progress.documentCount++;
+    let documentDescriptions = [];
+    for (let index = 0; index < sinks.length; index++) {
+        let counts = { new: 0, changed: 0, unchanged: 0, written: 0 };
+        for (let developmentApplication of developmentApplications)
+            counts[await sinks[index].write(developmentApplication)]++;
+        if (sinks[index].writeRejections !== undefined)
+            await sinks[index].writeRejections(url, rejections);
+        for (let status of Object.keys(counts))
+            progress.sinks[index].counts[status] += counts[status];
+        documentDescriptions.push(`${sinks[index].name} (${describeCounts(counts)})`);
+    }
+    console.log(`Saved ${developmentApplications.length} development ${(developmentApplications.length === 1) ? "application" : "applications"} from document ${progress.documentCount} to ${documentDescriptions.join(", ")}: ${url}`);
+}
+exports.saveToSinks = saveToSinks;
+// Closes every sink and logs the total counts of development applications saved to each sink.
+async function closeSinks(sinks, progress) {
+    for (let sink of sinks)
+        await sink.close();
+    let descriptions = progress.sinks.map(sinkProgress => `${sinkProgress.name} (${describeCounts(sinkProgress.counts)})`);
+    console.log(`Summary: saved the development applications from ${progress.documentCount} ${(progress.documentCount === 1) ? "document" : "documents"} to ${descriptions.join(", ")}.`);
+}
+exports.closeSinks = closeSinks;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2lua3MuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJzaW5rcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSw4RkFBOEY7QUFDOUYsa0dBQWtHO0FBQ2xHLDZDQUE2QztBQUM3QyxFQUFFO0FBQ0Ysd0VBQXdFO0FBQ3hFLHFHQUFxRztBQUNyRywwRkFBMEY7QUFDMUYsb0dBQW9HO0FBQ3BHLDJDQUEyQztBQUMzQyxvR0FBb0c7QUFDcEcsMENBQTBDO0FBQzFDLEVBQUU7QUFDRixtR0FBbUc7QUFDbkcsNEZBQTRGO0FBQzVGLGdHQUFnRztBQUNoRyw4REFBOEQ7QUFFOUQsWUFBWSxDQUFDOzs7Ozs7Ozs7OztBQUViLHlCQUF5QjtBQUN6Qix1Q0FBMkQ7QUEwQjNELDBFQUEwRTtBQUU3RCxRQUFBLGVBQWUsR0FBK0I7SUFDdkQsR0FBRyxFQUFFLFVBQVU7SUFDZixNQUFNLEVBQUUsYUFBYTtJQUNyQixjQUFjLEVBQUUscUJBQXFCO0NBQ3hDLENBQUM7QUFFRiwyRkFBMkY7QUFFOUUsUUFBQSxVQUFVLEdBQUcsQ0FBRSxpQkFBaUIsRUFBRSxtQkFBbUIsRUFBRSxTQUFTLEVBQUUsYUFBYSxFQUFFLFVBQVUsRUFBRSxhQUFhLEVBQUUsY0FBYyxFQUFFLGVBQWUsRUFBRSxtQkFBbUIsRUFBRSxjQUFjLEVBQUUsYUFBYSxFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsY0FBYyxFQUFFLHNCQUFzQixFQUFFLDRCQUE0QixDQUFFLENBQUM7QUFFblgsaUdBQWlHO0FBRWpHLFNBQWdCLGVBQWUsQ0FBQyxzQkFBc0I7SUFDbEQsSUFBSSxpQkFBaUIsR0FBRyxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBQztJQUNqRSxJQUFJLFdBQVcsR0FBRyxzQkFBc0IsQ0FBQyxXQUFXLENBQUM7SUFDckQsT0FBTztRQUNILGVBQWUsRUFBRSxzQkFBc0IsQ0FBQyxjQUFjO1FBQ3RELGlCQUFpQixFQUFFLHNCQUFzQixDQUFDLGlCQUFpQjtRQUMzRCxPQUFPLEVBQUUsc0JBQXNCLENBQUMsT0FBTztRQUN2QyxXQUFXLEVBQUUsc0JBQXNCLENBQUMsV0FBVztRQUMvQyxRQUFRLEVBQUUsc0JBQXNCLENBQUMsY0FBYztRQUMvQyxXQUFXLEVBQUUsc0JBQXNCLENBQUMsVUFBVTtRQUM5QyxZQUFZLEVBQUUsc0JBQXNCLENBQUMsVUFBVTtRQUMvQyxhQUFhLEVBQUUsc0JBQXNCLENBQUMsWUFBWTtRQUNsRCxpQkFBaUIsRUFBRSxzQkFBc0IsQ0FBQyxnQkFBZ0I7UUFDMUQsWUFBWSxFQUFFLGlCQUFpQixDQUFDLFdBQVc7UUFDM0MsV0FBVyxFQUFFLGlCQUFpQixDQUFDLFVBQVU7UUFDekMsV0FBVyxFQUFFLGlCQUFpQixDQUFDLFVBQVU7UUFDekMsYUFBYSxFQUFFLGlCQUFpQixDQUFDLFlBQVk7UUFDN0MsTUFBTSxFQUFFLGlCQUFpQixDQUFDLE1BQU07UUFDaEMsS0FBSyxFQUFFLGlCQUFpQixDQUFDLEtBQUs7UUFDOUIsUUFBUSxFQUFFLGlCQUFpQixDQUFDLFFBQVE7UUFDcEMsSUFBSSxFQUFFLFdBQVcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztRQUNqQyxRQUFRLEVBQUUsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO1FBQ3pDLE9BQU8sRUFBRSxXQUFXLENBQUMsT0FBTztRQUM1QixZQUFZLEVBQUUsc0JBQXNCLENBQUMsV0FBVztRQUNoRCxvQkFBb0IsRUFBRSxzQkFBc0IsQ0FBQyxtQkFBbUI7UUFDaEUsMEJBQTBCLEVBQUUsc0JBQXNCLENBQUMseUJBQXlCO0tBQy9FLENBQUM7QUFDTixDQUFDO0FBM0JELDBDQTJCQztBQUVELGtHQUFrRztBQUNsRyxpR0FBaUc7QUFDakcsZUFBZTtBQUVmLFNBQWdCLHlCQUF5QixDQUFDLE1BQW9DO0lBQzFFLElBQUksT0FBTyxHQUFHLENBQUMsTUFBYyxFQUFFLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxTQUFTLElBQUksTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztJQUMxSCxJQUFJLFNBQVMsR0FBRyxDQUFDLE1BQWMsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNoRyxPQUFPO1FBQ0gsY0FBYyxFQUFFLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQztRQUMxQyxpQkFBaUIsRUFBRSxPQUFPLENBQUMsbUJBQW1CLENBQUM7UUFDL0MseUJBQXlCLEVBQUUsT0FBTyxDQUFDLDRCQUE0QixDQUFDO1FBQ2hFLE9BQU8sRUFBRSxPQUFPLENBQUMsU0FBUyxDQUFDO1FBQzNCLFdBQVcsRUFBRSxPQUFPLENBQUMsYUFBYSxDQUFDO1FBQ25DLFdBQVcsRUFBRSxPQUFPLENBQUMsY0FBYyxDQUFDO1FBQ3BDLG1CQUFtQixFQUFFLE9BQU8sQ0FBQyxzQkFBc0IsQ0FBQztRQUNwRCxjQUFjLEVBQUUsT0FBTyxDQUFDLFVBQVUsQ0FBQztRQUNuQyxVQUFVLEVBQUUsT0FBTyxDQUFDLGFBQWEsQ0FBQztRQUNsQyxVQUFVLEVBQUUsT0FBTyxDQUFDLGNBQWMsQ0FBQztRQUNuQyxZQUFZLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQztRQUN0QyxnQkFBZ0IsRUFBRSxPQUFPLENBQUMsbUJBQW1CLENBQUM7UUFDOUMsaUJBQWlCLEVBQUU7WUFDZixXQUFXLEVBQUUsT0FBTyxDQUFDLGNBQWMsQ0FBQztZQUNwQyxVQUFVLEVBQUUsT0FBTyxDQUFDLGFBQWEsQ0FBQztZQUNsQyxVQUFVLEVBQUUsT0FBTyxDQUFDLGFBQWEsQ0FBQztZQUNsQyxZQUFZLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQztZQUN0QyxNQUFNLEVBQUUsT0FBTyxDQUFDLFFBQVEsQ0FBQztZQUN6QixLQUFLLEVBQUUsT0FBTyxDQUFDLE9BQU8sQ0FBQztZQUN2QixRQUFRLEVBQUUsT0FBTyxDQUFDLFVBQVUsQ0FBQztTQUNoQztRQUNELFdBQVcsRUFBRSxFQUFFLElBQUksRUFBRSxTQUFTLENBQUMsTUFBTSxDQUFDLEVBQUUsUUFBUSxFQUFFLFNBQVMsQ0FBQyxVQUFVLENBQUMsRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFDLFNBQVMsQ0FBQyxFQUFFO1FBQ3RHLE9BQU8sRUFBRSw2QkFBbUIsQ0FBQyxFQUFFLENBQUM7S0FDbkMsQ0FBQztBQUNOLENBQUM7QUE1QkQsOERBNEJDO0FBRUQscUNBQXFDO0FBRXJDLFNBQWdCLGFBQWEsQ0FBQyxLQUFhO0lBQ3ZDLEtBQUssR0FBRyxDQUFDLEtBQUssS0FBSyxTQUFTLElBQUksS0FBSyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNyRSxPQUFPLFVBQVUsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDO0FBQy9FLENBQUM7QUFIRCxzQ0FHQztBQUVELCtDQUErQztBQUUvQyxTQUFnQixTQUFTLENBQUMsSUFBWTtJQUNsQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEtBQUssU0FBUyxJQUFJLElBQUksS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxDQUFDO0FBQ2xLLENBQUM7QUFGRCw4QkFFQztBQUVELGlHQUFpRztBQUNqRyxtRUFBbUU7QUFFbkUsU0FBUyxjQUFjLENBQUMsSUFBWSxFQUFFLFFBQWdCLEVBQUUsV0FBcUIsRUFBRSxVQUE4QztJQUN6SCxJQUFJLGNBQWMsR0FBVyxTQUFTLENBQUM7SUFDdkMsSUFBSSxJQUFJLEdBQUcsR0FBRyxFQUFFO1FBQ1osSUFBSSxjQUFjLEtBQUssU0FBUyxFQUFFO1lBQzlCLGNBQWMsR0FBRyxFQUFFLENBQUMsUUFBUSxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQztZQUM1QyxLQUFLLElBQUksVUFBVSxJQUFJLFdBQVc7Z0JBQzlCLEVBQUUsQ0FBQyxTQUFTLENBQUMsY0FBYyxFQUFFLFVBQVUsR0FBRyxJQUFJLENBQUMsQ0FBQztTQUN2RDtJQUNMLENBQUMsQ0FBQztJQUNGLE9BQU87UUFDSCxJQUFJLEVBQUUsSUFBSTtRQUNWLEtBQUssRUFBRSxLQUFLLEVBQUMsc0JBQXNCLEVBQUMsRUFBRTtZQUNsQyxJQUFJLEVBQUUsQ0FBQztZQUNQLEVBQUUsQ0FBQyxTQUFTLENBQUMsY0FBYyxFQUFFLFVBQVUsQ0FBQyxzQkFBc0IsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO1lBQ3hFLE9BQU8sU0FBUyxDQUFDO1FBQ3JCLENBQUM7UUFDRCxLQUFLLEVBQUUsS0FBSyxJQUFJLEVBQUU7WUFDZCxJQUFJLEVBQUUsQ0FBQztZQUNQLEVBQUUsQ0FBQyxTQUFTLENBQUMsY0FBYyxDQUFDLENBQUM7UUFDakMsQ0FBQztLQUNKLENBQUM7QUFDTixDQUFDO0FBRUQsa0ZBQWtGO0FBRWxGLFNBQWdCLGFBQWEsQ0FBQyxRQUFnQjtJQUMxQyxPQUFPLGNBQWMsQ0FBQyxZQUFZLFFBQVEsRUFBRSxFQUFFLFFBQVEsRUFBRSxDQUFFLGtCQUFVLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFFLEVBQUUsc0JBQXNCLENBQUMsRUFBRTtRQUN2RyxJQUFJLE1BQU0sR0FBRyxlQUFlLENBQUMsc0JBQXNCLENBQUMsQ0FBQztRQUNyRCxPQUFPLGtCQUFVLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsYUFBYSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzdFLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUxELHNDQUtDO0FBRUQsK0ZBQStGO0FBQy9GLDhGQUE4RjtBQUM5Riw4REFBOEQ7QUFFOUQsU0FBZ0IsZ0JBQWdCLENBQUMsUUFBZ0I7SUFDN0MsT0FBTyxjQUFjLENBQUMsZUFBZSxRQUFRLEVBQUUsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLHNCQUFzQixDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDO1FBQ3BHLElBQUksRUFBRSxTQUFTO1FBQ2YsRUFBRSxFQUFFLHNCQUFzQixDQUFDLGlCQUFpQjtRQUM1QyxRQUFRLEVBQUUsSUFBSTtRQUNkLFVBQVUsb0JBQ0gsZUFBZSxDQUFDLHNCQUFzQixDQUFDLElBQzFDLFVBQVUsRUFBRSxzQkFBc0IsQ0FBQyxPQUFPLENBQUMsVUFBVSxHQUN4RDtLQUNKLENBQUMsQ0FBQyxDQUFDO0FBQ1IsQ0FBQztBQVZELDRDQVVDO0FBRUQsZ0dBQWdHO0FBQ2hHLDZDQUE2QztBQUU3QyxTQUFnQix3QkFBd0I7SUFDcEMsT0FBTztRQUNILElBQUksRUFBRSxpQkFBaUI7UUFDdkIsS0FBSyxFQUFFLEtBQUssRUFBQyxzQkFBc0IsRUFBQyxFQUFFO1lBQ2xDLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsc0JBQXNCLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztZQUNwRSxPQUFPLFNBQVMsQ0FBQztRQUNyQixDQUFDO1FBQ0QsS0FBSyxFQUFFLEtBQUssSUFBSSxFQUFFLEdBQUUsQ0FBQztLQUN4QixDQUFDO0FBQ04sQ0FBQztBQVRELDREQVNDO0FBRUQsaUdBQWlHO0FBQ2pHLCtGQUErRjtBQUMvRiw4RkFBOEY7QUFDOUYsMkVBQTJFO0FBRTNFLFNBQWdCLHdCQUF3QixDQUFDLFFBQWdCLEVBQUUsUUFBMEI7SUFDakYsSUFBSSxZQUFZLEdBQUcsRUFBRSxDQUFDO0lBQ3RCLElBQUksZ0JBQWdCLEdBQUcsQ0FBQyxjQUFzQixFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksS0FBSyxjQUFjLENBQUMsQ0FBQyxhQUFhLENBQUM7SUFDM0gsT0FBTztRQUNILElBQUksRUFBRSx1QkFBdUIsUUFBUSxFQUFFO1FBQ3ZDLEtBQUssRUFBRSxLQUFLLEVBQUMsc0JBQXNCLEVBQUMsRUFBRTtZQUNsQyxZQUFZLENBQUMsSUFBSSxDQUFDO2dCQUNkLGVBQWUsRUFBRSxzQkFBc0IsQ0FBQyxjQUFjO2dCQUN0RCxpQkFBaUIsRUFBRSxzQkFBc0IsQ0FBQyxpQkFBaUI7Z0JBQzNELE9BQU8sRUFBRSxzQkFBc0IsQ0FBQyxPQUFPO2dCQUN2QyxXQUFXLEVBQUUsc0JBQXNCLENBQUMsV0FBVztnQkFDL0MsUUFBUSxFQUFFLHNCQUFzQixDQUFDLGNBQWM7Z0JBQy9DLFdBQVcsRUFBRSxzQkFBc0IsQ0FBQyxVQUFVO2dCQUM5QyxZQUFZLEVBQUUsc0JBQXNCLENBQUMsVUFBVTtnQkFDL0MsYUFBYSxFQUFFLHNCQUFzQixDQUFDLFlBQVk7YUFDckQsQ0FBQyxDQUFDO1lBQ0gsT0FBTyxTQUFTLENBQUM7UUFDckIsQ0FBQztRQUNELEtBQUssRUFBRSxLQUFLLElBQUksRUFBRTtZQUNkLElBQUksUUFBUSxDQUFDLFdBQVcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsRUFBRTtnQkFDekMsSUFBSSxlQUFlLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLGVBQWUsS0FBSyxjQUFjLENBQUMsQ0FBQyxDQUFDO2dCQUN2SyxJQUFJLEtBQUssR0FBRyxDQUFFLDRDQUE0QyxFQUFFLFlBQVksQ0FBRSxDQUFDO2dCQUMzRSxJQUFJLGVBQWUsQ0FBQyxNQUFNLEtBQUssQ0FBQztvQkFDNUIsS0FBSyxDQUFDLElBQUksQ0FBQyxxQkFBcUIsU0FBUyxDQUFDLGdCQUFnQixDQUFDLGVBQWUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLG1CQUFtQixDQUFDLENBQUM7Z0JBQ3hHLEtBQUssQ0FBQyxJQUFJLENBQUMsa0JBQWtCLENBQUMsQ0FBQztnQkFDL0IsS0FBSyxJQUFBLEVBQXVDLElBQUksWUFBWSxFQUFFO29CQUF6RCxJQUFJLEVBQUUsZUFBZSxPQUFrQixFQUFoQiw2Q0FBZ0IsQ0FBQTtvQkFDeEMsS0FBSyxDQUFDLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO29CQUNoQyxJQUFJLGVBQWUsQ0FBQyxNQUFNLEdBQUcsQ0FBQzt3QkFDMUIsS0FBSyxDQUFDLElBQUksQ0FBQyx5QkFBeUIsU0FBUyxDQUFDLGdCQUFnQixDQUFDLGVBQWUsQ0FBQyxDQUFDLG1CQUFtQixDQUFDLENBQUM7b0JBQ3pHLEtBQUssSUFBSSxLQUFLLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUM7d0JBQ3RDLEtBQUssQ0FBQyxJQUFJLENBQUMsVUFBVSxLQUFLLElBQUksU0FBUyxDQUFDLFdBQVcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLEtBQUssR0FBRyxDQUFDLENBQUM7b0JBQzlFLEtBQUssQ0FBQyxJQUFJLENBQUMsb0JBQW9CLENBQUMsQ0FBQztpQkFDcEM7Z0JBQ0QsS0FBSyxDQUFDLElBQUksQ0FBQyxtQkFBbUIsRUFBRSxhQUFhLENBQUMsQ0FBQztnQkFDL0MsRUFBRSxDQUFDLGFBQWEsQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQzthQUN2RDs7Z0JBQ0csRUFBRSxDQUFDLGFBQWEsQ0FBQyxRQUFRLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBbUMsRUFBRSxFQUFFO3dCQUF2QyxFQUFFLGVBQWUsT0FBa0IsRUFBaEIsNkNBQWM7b0JBQU8sT0FBQSxDQUFDLEVBQUUsV0FBVyxvQkFBTyxXQUFXLElBQUUsU0FBUyxFQUFFLEVBQUUsU0FBUyxFQUFFLGdCQUFnQixDQUFDLGVBQWUsQ0FBQyxFQUFFLEdBQUUsRUFBRSxDQUFDLENBQUE7aUJBQUEsQ0FBQyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztRQUNsTyxDQUFDO0tBQ0osQ0FBQztBQUNOLENBQUM7QUF2Q0QsNERBdUNDO0FBRUQsZ0dBQWdHO0FBQ2hHLDhGQUE4RjtBQUM5Riw2RkFBNkY7QUFDN0YsNkZBQTZGO0FBQzdGLDhGQUE4RjtBQUM5RixpR0FBaUc7QUFFakcsU0FBZ0Isa0JBQWtCLENBQUMsSUFBZ0IsRUFBRSxzQkFBNEM7SUFDN0YsSUFBSSxZQUFZLEdBQUcsSUFBSSxHQUFHLEVBQWUsQ0FBQztJQUMxQyxJQUFJLE1BQU0sR0FBRyxzQkFBc0IsQ0FBQyxFQUFFLENBQUMsR0FBRyxzQkFBc0IsQ0FBQyxjQUFjLElBQUksc0JBQXNCLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztJQUM5SCxPQUFPO1FBQ0gsSUFBSSxFQUFFLElBQUksQ0FBQyxJQUFJO1FBQ2YsS0FBSyxFQUFFLEtBQUssRUFBQyxzQkFBc0IsRUFBQyxFQUFFO1lBQ2xDLFlBQVksQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLHNCQUFzQixDQUFDLEVBQUUsc0JBQXNCLENBQUMsQ0FBQztZQUN6RSxPQUFPLFNBQVMsQ0FBQztRQUNyQixDQUFDO1FBQ0QsS0FBSyxFQUFFLEtBQUssSUFBSSxFQUFFO1lBQ2QsS0FBSyxJQUFJLGlCQUFpQixJQUFJLE1BQU0sc0JBQXNCLEVBQUUsRUFBRTtnQkFDMUQsSUFBSSxHQUFHLEdBQUcsTUFBTSxDQUFDLGlCQUFpQixDQUFDLENBQUM7Z0JBQ3BDLE1BQU0sSUFBSSxDQUFDLEtBQUssQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO2dCQUNwRixZQUFZLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQzVCO1lBQ0QsS0FBSyxJQUFJLHNCQUFzQixJQUFJLFlBQVksQ0FBQyxNQUFNLEVBQUU7Z0JBQ3BELE1BQU0sSUFBSSxDQUFDLEtBQUssQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO1lBQzdDLE1BQU0sSUFBSSxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ3ZCLENBQUM7S0FDSixDQUFDO0FBQ04sQ0FBQztBQXBCRCxnREFvQkM7QUFFRCwrRkFBK0Y7QUFDL0YsOEZBQThGO0FBRTlGLFNBQWdCLHdCQUF3QixDQUFDLGFBQXFCO0lBQzFELElBQUksQ0FBRSxJQUFJLEVBQUUsR0FBRyxjQUFjLENBQUUsR0FBRyxhQUFhLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzNELElBQUksUUFBUSxHQUFHLGNBQWMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDeEMsSUFBSSxJQUFJLEtBQUssVUFBVSxJQUFJLElBQUksS0FBSyxRQUFRO1FBQ3hDLE9BQU8sQ0FBQyxRQUFRLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsU0FBbUIsRUFBRSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7SUFDekYsSUFBSSx1QkFBZSxDQUFDLElBQUksQ0FBQyxLQUFLLFNBQVM7UUFDbkMsT0FBTyxTQUFTLENBQUM7SUFDckIsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLENBQUMsUUFBUSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyx1QkFBZSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQztBQUMxRixDQUFDO0FBUkQsNERBUUM7QUFFRCwrREFBK0Q7QUFFL0QsU0FBZ0IsY0FBYyxDQUFDLEtBQW1CO0lBQzlDLE9BQU8sRUFBRSxhQUFhLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSSxFQUFFLE1BQU0sRUFBRSxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsT0FBTyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLE9BQU8sRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxDQUFDO0FBQzNJLENBQUM7QUFGRCx3Q0FFQztBQUVELG9FQUFvRTtBQUVwRSxTQUFTLGNBQWMsQ0FBQyxNQUEwQztJQUM5RCxJQUFJLFlBQVksR0FBRyxFQUFFLENBQUM7SUFDdEIsS0FBSyxJQUFJLE1BQU0sSUFBSSxDQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLFNBQVMsQ0FBRTtRQUMzRCxJQUFJLE1BQU0sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDO1lBQ2xCLFlBQVksQ0FBQyxJQUFJLENBQUMsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksTUFBTSxFQUFFLENBQUMsQ0FBQztJQUN6RCxPQUFPLENBQUMsWUFBWSxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBQ25GLENBQUM7QUFFRCw2RkFBNkY7QUFDN0YsdUVBQXVFO0FBRWhFLEtBQUssVUFBVSxXQUFXLENBQUMsS0FBbUIsRUFBRSxHQUFXLEVBQUUsdUJBQThCLEVBQUUsVUFBdUIsRUFBRSxRQUFrQjtJQUMzSSxRQUFRLENBQUMsYUFBYSxFQUFFLENBQUM7SUFDekIsSUFBSSxvQkFBb0IsR0FBRyxFQUFFLENBQUM7SUFDOUIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLEtBQUssQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDL0MsSUFBSSxNQUFNLEdBQUcsRUFBRSxHQUFHLEVBQUUsQ0FBQyxFQUFFLE9BQU8sRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFFLENBQUM7UUFDOUQsS0FBSyxJQUFJLHNCQUFzQixJQUFJLHVCQUF1QjtZQUN0RCxNQUFNLENBQUMsTUFBTSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxDQUFDLHNCQUFzQixDQUFDLENBQUMsRUFBRSxDQUFDO1FBQy9ELElBQUksS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLGVBQWUsS0FBSyxTQUFTO1lBQzFDLE1BQU0sS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLGVBQWUsQ0FBQyxHQUFHLEVBQUUsVUFBVSxDQUFDLENBQUM7UUFDeEQsS0FBSyxJQUFJLE1BQU0sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztZQUNsQyxRQUFRLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDM0Qsb0JBQW9CLENBQUMsSUFBSSxDQUFDLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksS0FBSyxjQUFjLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0tBQ2pGO0lBQ0QsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLHVCQUF1QixDQUFDLE1BQU0sZ0JBQWdCLENBQUMsdUJBQXVCLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLGNBQWMsa0JBQWtCLFFBQVEsQ0FBQyxhQUFhLE9BQU8sb0JBQW9CLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEdBQUcsRUFBRSxDQUFDLENBQUM7QUFDeE8sQ0FBQztBQWRELGtDQWNDO0FBRUQsOEZBQThGO0FBRXZGLEtBQUssVUFBVSxVQUFVLENBQUMsS0FBbUIsRUFBRSxRQUFrQjtJQUNwRSxLQUFLLElBQUksSUFBSSxJQUFJLEtBQUs7UUFDbEIsTUFBTSxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7SUFDdkIsSUFBSSxZQUFZLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLEVBQUUsQ0FBQyxHQUFHLFlBQVksQ0FBQyxJQUFJLEtBQUssY0FBYyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDdkgsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvREFBb0QsUUFBUSxDQUFDLGFBQWEsSUFBSSxDQUFDLFFBQVEsQ0FBQyxhQUFhLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsV0FBVyxPQUFPLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0FBQzFMLENBQUM7QUFMRCxnQ0FLQyJ9
\ No newline at end of file
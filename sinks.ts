@@ -0,0 +1,332 @@
+// Writes the parsed development applications to one or more outputs ("sinks") and reports the
+// progress of each sink.  The database is one sink (see createDatabaseSink in scraper.ts) and the
+// following file formats are also supported:
+//
+//     csv              a CSV file with the same columns as the database
+//     ndjson           newline-delimited JSON, one GeoJSON feature per development application (with
+//                      a null geometry, ready to be geocoded from the structured address)
+//     planningalerts   a feed in the PlanningAlerts API format (XML if the file name ends in ".xml"
+//                      and otherwise JSON)
+//     stdout           newline-delimited JSON, one parsed development application per line, written
+//                      to standard output
+//
+// The files are only written once the sink has been closed at the end of the run.  When there is a
+// database, each file holds the full register (see createRegisterSink) rather than only the
+// development applications parsed in the run (a document that has not changed since it was last
+// parsed is not parsed again, so a quiet run parses nothing).
+
+"use strict";
+
+import * as fs from "fs";
+import { Rejection, createQualityRecord } from "./quality";
+import { CouncilAdapter } from "./councils";
+
+declare const process: any;
+
+// The outcome of saving a development application to a sink.  Only the database can tell whether
+// a development application is new, changed or unchanged (every other sink simply writes it).
+
+export type SaveStatus = "new" | "changed" | "unchanged" | "written";
+
+// A destination for the parsed development applications.
+
+export interface OutputSink {
+    name: string,  // describes the sink in the progress report
+    write: (developmentApplication: any) => Promise<SaveStatus>,
+    writeRejections?: (url: string, rejections: Rejection[]) => Promise<void>,
+    close: () => Promise<void>
+}
+
+// The counts of the development applications saved to each sink.
+
+export interface Progress {
+    documentCount: number,
+    sinks: { name: string, counts: { [status in SaveStatus]: number } }[]
+}
+
+// The output file types and the file to which each is written by default.
+
+export const OutputFileTypes: { [type: string]: string } = {
+    csv: "data.csv",
+    ndjson: "data.ndjson",
+    planningalerts: "planningalerts.json"
+};
+
+// The columns of the CSV file (the same as the columns of the data table in the database).
+
+export const CsvColumns = [ "authority_label", "council_reference", "address", "description", "info_url", "comment_url", "date_scraped", "date_received", "legal_description", "house_number", "street_name", "street_type", "street_suffix", "suburb", "state", "postcode", "lots", "sections", "hundred", "consent_type", "development_category", "original_council_reference" ];
+
+// Gets the values of the columns of the data table (and CSV file) for a development application.
+
+export function getColumnValues(developmentApplication): { [column: string]: string } {
+    let structuredAddress = developmentApplication.structuredAddress;
+    let legalParcel = developmentApplication.legalParcel;
+    return {
+        authority_label: developmentApplication.authorityLabel,
+        council_reference: developmentApplication.applicationNumber,
+        address: developmentApplication.address,
+        description: developmentApplication.description,
+        info_url: developmentApplication.informationUrl,
+        comment_url: developmentApplication.commentUrl,
+        date_scraped: developmentApplication.scrapeDate,
+        date_received: developmentApplication.receivedDate,
+        legal_description: developmentApplication.legalDescription,
+        house_number: structuredAddress.houseNumber,
+        street_name: structuredAddress.streetName,
+        street_type: structuredAddress.streetType,
+        street_suffix: structuredAddress.streetSuffix,
+        suburb: structuredAddress.suburb,
+        state: structuredAddress.state,
+        postcode: structuredAddress.postcode,
+        lots: legalParcel.lots.join(", "),
+        sections: legalParcel.sections.join(", "),
+        hundred: legalParcel.hundred,
+        consent_type: developmentApplication.consentType,
+        development_category: developmentApplication.developmentCategory,
+        original_council_reference: developmentApplication.originalApplicationNumber
+    };
+}
+
+// Gets a development application from the values of the columns of the data table (the inverse of
+// getColumnValues, except that the quality of the development application is not recorded in the
+// data table).
+
+export function getDevelopmentApplication(values: { [column: string]: string }) {
+    let getText = (column: string) => (values[column] === undefined || values[column] === null) ? "" : String(values[column]);
+    let splitText = (column: string) => (getText(column) === "") ? [] : getText(column).split(", ");
+    return {
+        authorityLabel: getText("authority_label"),
+        applicationNumber: getText("council_reference"),
+        originalApplicationNumber: getText("original_council_reference"),
+        address: getText("address"),
+        description: getText("description"),
+        consentType: getText("consent_type"),
+        developmentCategory: getText("development_category"),
+        informationUrl: getText("info_url"),
+        commentUrl: getText("comment_url"),
+        scrapeDate: getText("date_scraped"),
+        receivedDate: getText("date_received"),
+        legalDescription: getText("legal_description"),
+        structuredAddress: {
+            houseNumber: getText("house_number"),
+            streetName: getText("street_name"),
+            streetType: getText("street_type"),
+            streetSuffix: getText("street_suffix"),
+            suburb: getText("suburb"),
+            state: getText("state"),
+            postcode: getText("postcode")
+        },
+        legalParcel: { lots: splitText("lots"), sections: splitText("sections"), hundred: getText("hundred") },
+        quality: createQualityRecord([])
+    };
+}
+
+// Quotes a CSV value (if necessary).
+
+export function quoteCsvValue(value: string) {
+    value = (value === undefined || value === null) ? "" : String(value);
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+}
+
+// Escapes text for inclusion in XML (or HTML).
+
+export function escapeXml(text: string) {
+    return ((text === undefined || text === null) ? "" : String(text)).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Constructs a sink that writes lines of text to a file (the file is replaced, but only once the
+// first development application is written or the sink is closed).
+
+function createLineSink(name: string, filePath: string, headerLines: string[], formatLine: (developmentApplication) => string): OutputSink {
+    let fileDescriptor: number = undefined;
+    let open = () => {
+        if (fileDescriptor === undefined) {
+            fileDescriptor = fs.openSync(filePath, "w");
+            for (let headerLine of headerLines)
+                fs.writeSync(fileDescriptor, headerLine + "\n");
+        }
+    };
+    return {
+        name: name,
+        write: async developmentApplication => {
+            open();
+            fs.writeSync(fileDescriptor, formatLine(developmentApplication) + "\n");
+            return "written";
+        },
+        close: async () => {
+            open();
+            fs.closeSync(fileDescriptor);
+        }
+    };
+}
+
+// Constructs a sink that writes a CSV file with the same columns as the database.
+
+export function createCsvSink(filePath: string) {
+    return createLineSink(`CSV file ${filePath}`, filePath, [ CsvColumns.join(",") ], developmentApplication => {
+        let values = getColumnValues(developmentApplication);
+        return CsvColumns.map(column => quoteCsvValue(values[column])).join(",");
+    });
+}
+
+// Constructs a sink that writes newline-delimited JSON, with each development application as a
+// GeoJSON feature.  The geometry is null (the register does not give coordinates) so that the
+// features can be geocoded later from the structured address.
+
+export function createNdjsonSink(filePath: string) {
+    return createLineSink(`NDJSON file ${filePath}`, filePath, [], developmentApplication => JSON.stringify({
+        type: "Feature",
+        id: developmentApplication.applicationNumber,
+        geometry: null,
+        properties: {
+            ...getColumnValues(developmentApplication),
+            confidence: developmentApplication.quality.confidence
+        }
+    }));
+}
+
+// Constructs a sink that writes each parsed development application to standard output, as JSON
+// with one development application per line.
+
+export function createStandardOutputSink(): OutputSink {
+    return {
+        name: "standard output",
+        write: async developmentApplication => {
+            process.stdout.write(JSON.stringify(developmentApplication) + "\n");
+            return "written";
+        },
+        close: async () => {}
+    };
+}
+
+// Constructs a sink that writes a feed in the PlanningAlerts API format (as XML if the file name
+// ends in ".xml" and otherwise as JSON).  The feed is written when the sink is closed.  An XML
+// feed names the council once, unless the development applications of several councils are in
+// the feed (in which case each development application names its council).
+
+export function createPlanningAlertsSink(filePath: string, councils: CouncilAdapter[]): OutputSink {
+    let applications = [];
+    let getAuthorityName = (authorityLabel: string) => councils.find(council => council.name === authorityLabel).authorityName;
+    return {
+        name: `PlanningAlerts feed ${filePath}`,
+        write: async developmentApplication => {
+            applications.push({
+                authority_label: developmentApplication.authorityLabel,
+                council_reference: developmentApplication.applicationNumber,
+                address: developmentApplication.address,
+                description: developmentApplication.description,
+                info_url: developmentApplication.informationUrl,
+                comment_url: developmentApplication.commentUrl,
+                date_scraped: developmentApplication.scrapeDate,
+                date_received: developmentApplication.receivedDate
+            });
+            return "written";
+        },
+        close: async () => {
+            if (filePath.toLowerCase().endsWith(".xml")) {
+                let authorityLabels = councils.map(council => council.name).filter(authorityLabel => applications.some(application => application.authority_label === authorityLabel));
+                let lines = [ "<?xml version=\"1.0\" encoding=\"UTF-8\"?>", "<planning>" ];
+                if (authorityLabels.length === 1)
+                    lines.push(`  <authority_name>${escapeXml(getAuthorityName(authorityLabels[0]))}</authority_name>`);
+                lines.push("  <applications>");
+                for (let { authority_label, ...application } of applications) {
+                    lines.push("    <application>");
+                    if (authorityLabels.length > 1)
+                        lines.push(`      <authority_name>${escapeXml(getAuthorityName(authority_label))}</authority_name>`);
+                    for (let field of Object.keys(application))
+                        lines.push(`      <${field}>${escapeXml(application[field])}</${field}>`);
+                    lines.push("    </application>");
+                }
+                lines.push("  </applications>", "</planning>");
+                fs.writeFileSync(filePath, lines.join("\n") + "\n");
+            } else
+                fs.writeFileSync(filePath, JSON.stringify(applications.map(({ authority_label, ...application }) => ({ application: { ...application, authority: { full_name: getAuthorityName(authority_label) } } })), null, 4) + "\n");
+        }
+    };
+}
+
+// Constructs a sink that writes the full register to another sink (such as a file sink) when it
+// is closed: every development application read from the database at that point (in the order
+// that they were first stored), except that a development application written during the run
+// replaces the stored version (and any not yet stored are added at the end).  This keeps the
+// quality record of each development application parsed in the run (the quality record is not
+// stored, so a stored development application is given that of an application without problems).
+
+export function createRegisterSink(sink: OutputSink, readStoredApplications: () => Promise<any[]>): OutputSink {
+    let applications = new Map<string, any>();
+    let getKey = developmentApplication => `${developmentApplication.authorityLabel}/${developmentApplication.applicationNumber}`;
+    return {
+        name: sink.name,
+        write: async developmentApplication => {
+            applications.set(getKey(developmentApplication), developmentApplication);
+            return "written";
+        },
+        close: async () => {
+            for (let storedApplication of await readStoredApplications()) {
+                let key = getKey(storedApplication);
+                await sink.write(applications.has(key) ? applications.get(key) : storedApplication);
+                applications.delete(key);
+            }
+            for (let developmentApplication of applications.values())
+                await sink.write(developmentApplication);
+            await sink.close();
+        }
+    };
+}
+
+// Parses an output specification (as given on the command line), such as "database", "stdout",
+// "csv" or "csv:applications.csv".  Returns undefined if the specification is not recognised.
+
+export function parseOutputSpecification(specification: string) {
+    let [ type, ...filePathTokens ] = specification.split(":");
+    let filePath = filePathTokens.join(":");
+    if (type === "database" || type === "stdout")
+        return (filePath === "") ? { type: type, filePath: undefined as string } : undefined;
+    if (OutputFileTypes[type] === undefined)
+        return undefined;
+    return { type: type, filePath: (filePath === "") ? OutputFileTypes[type] : filePath };
+}
+
+// Constructs an empty progress report for the specified sinks.
+
+export function createProgress(sinks: OutputSink[]): Progress {
+    return { documentCount: 0, sinks: sinks.map(sink => ({ name: sink.name, counts: { new: 0, changed: 0, unchanged: 0, written: 0 } })) };
+}
+
+// Describes the counts of development applications saved to a sink.
+
+function describeCounts(counts: { [status in SaveStatus]: number }) {
+    let descriptions = [];
+    for (let status of [ "new", "changed", "unchanged", "written" ])
+        if (counts[status] > 0)
+            descriptions.push(`${counts[status]} ${status}`);
+    return (descriptions.length === 0) ? "nothing saved" : descriptions.join(", ");
+}
+
+// Saves the development applications parsed from a document (and the rows and pages rejected
+// from the document) to every sink and logs the progress of each sink.
+
+export async function saveToSinks(sinks: OutputSink[], url: string, developmentApplications: any[], rejections: Rejection[], progress: Progress) {
+    progress.documentCount++;
+    let documentDescriptions = [];
+    for (let index = 0; index < sinks.length; index++) {
+        let counts = { new: 0, changed: 0, unchanged: 0, written: 0 };
+        for (let developmentApplication of developmentApplications)
+            counts[await sinks[index].write(developmentApplication)]++;
+        if (sinks[index].writeRejections !== undefined)
+            await sinks[index].writeRejections(url, rejections);
+        for (let status of Object.keys(counts))
+            progress.sinks[index].counts[status] += counts[status];
+        documentDescriptions.push(`${sinks[index].name} (${describeCounts(counts)})`);
+    }
+    console.log(`Saved ${developmentApplications.length} development ${(developmentApplications.length === 1) ? "application" : "applications"} from document ${progress.documentCount} to ${documentDescriptions.join(", ")}: ${url}`);
+}
+
+// Closes every sink and logs the total counts of development applications saved to each sink.
+
+export async function closeSinks(sinks: OutputSink[], progress: Progress) {
+    for (let sink of sinks)
+        await sink.close();
+    let descriptions = progress.sinks.map(sinkProgress => `${sinkProgress.name} (${describeCounts(sinkProgress.counts)})`);
+    console.log(`Summary: saved the development applications from ${progress.documentCount} ${(progress.documentCount === 1) ? "document" : "documents"} to ${descriptions.join(", ")}.`);
+}
@@ -0,0 +1,128 @@
+// Tests for the parsing of application numbers (the variants printed by the registers and the
+// canonical form) and for the merging of the same development application found in several
+// documents (missing fields are filled in and conflicting fields are reported).
+//
+// Usage:
+//
+//     node test/applicationnumbers.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const applicationnumbers_1 = require("../applicationnumbers");
+const duplicates_1 = require("../duplicates");
+const quality_1 = require("../quality");
+const ApplicationNumberCases = [
+    { text: "141/17", canonical: "141/17", year: 2017 },
+    { text: "141 / 17", canonical: "141/17" },
+    { text: "0141/17", canonical: "141/17" },
+    { text: "141/2017", canonical: "141/17" },
+    { text: "DA 141/17", canonical: "141/17" },
+    { text: "DA141/2017", canonical: "141/17" },
+    { text: "  141/\n17 ", canonical: "141/17" },
+    { text: "7/2007", canonical: "7/07", year: 2007 },
+    { text: "7/99", canonical: "7/99", year: 1999 },
+    { text: "7/1999", canonical: "7/99", year: 1999 },
+    { text: "12/00", canonical: "12/00", year: 2000 },
+    { text: "141/2117", canonical: undefined },
+    { text: "141/172", canonical: undefined },
+    { text: "LU141", canonical: undefined },
+    { text: "", canonical: undefined }
+];
+// Constructs a development application for a merge test case.
+function createApplication(originalApplicationNumber, fields) {
+    return Object.assign({ authorityLabel: "grant", applicationNumber: applicationnumbers_1.parseApplicationNumber(originalApplicationNumber).canonical, originalApplicationNumber: originalApplicationNumber, address: "ACI ROAD, WYE", description: "DWELLING", receivedDate: "2019-05-20", legalDescription: "", quality: quality_1.createQualityRecord((fields.receivedDate === "") ? [{ field: "receivedDate", code: "missing-received-date", message: "no received date was found" }] : []) }, fields);
+}
+const MergeCases = [
+    {
+        name: "fills-missing-fields",
+        documents: [
+            { url: "https://example/a.pdf", developmentApplications: [createApplication("270/19", { legalDescription: "Lot 1" })] },
+            { url: "https://example/b.pdf", developmentApplications: [createApplication("DA 270/2019", { receivedDate: "", description: "NO DESCRIPTION PROVIDED" })] }
+        ],
+        expected: [{ applicationNumber: "270/19", originalApplicationNumber: "DA 270/2019", description: "DWELLING", receivedDate: "2019-05-20", legalDescription: "Lot 1" }],
+        duplicateApplicationCount: 1,
+        conflictFields: []
+    },
+    {
+        name: "reports-conflicts",
+        documents: [
+            { url: "https://example/a.pdf", developmentApplications: [createApplication("271/19", {}), createApplication("272/19", {})] },
+            { url: "https://example/b.pdf", developmentApplications: [createApplication("0271/19", { description: "SHED", receivedDate: "2019-05-21" })] }
+        ],
+        expected: [{ applicationNumber: "271/19", description: "SHED", receivedDate: "2019-05-21" }],
+        duplicateApplicationCount: 1,
+        conflictFields: ["description", "receivedDate"]
+    },
+    {
+        name: "ignores-distinct-applications",
+        documents: [
+            { url: "https://example/a.pdf", developmentApplications: [createApplication("273/19", {})] },
+            { url: "https://example/b.pdf", developmentApplications: [createApplication("273/18", { receivedDate: "" })] }
+        ],
+        expected: [{ applicationNumber: "273/18", receivedDate: "" }],
+        duplicateApplicationCount: 0,
+        conflictFields: []
+    }
+];
+// Runs a merge test case.  Returns a description of the first difference (or undefined if there
+// are no differences).
+async function runMergeCase(mergeCase) {
+    let tracker = duplicates_1.createDuplicateTracker();
+    let developmentApplications = [];
+    for (let document of mergeCase.documents) {
+        await duplicates_1.mergeDuplicates(tracker, document.developmentApplications, document.url);
+        developmentApplications = document.developmentApplications;
+    }
+    for (let expected of mergeCase.expected) {
+        let developmentApplication = developmentApplications.find(developmentApplication => developmentApplication.applicationNumber === expected.applicationNumber);
+        if (developmentApplication === undefined)
+            return `application "${expected.applicationNumber}" is missing`;
+        for (let property of Object.keys(expected))
+            if (developmentApplication[property] !== expected[property])
+                return `expected ${property} "${expected[property]}" but found "${developmentApplication[property]}"`;
+    }
+    let report = duplicates_1.getDuplicateReport(tracker);
+    let conflictFields = report.conflicts.map(conflict => conflict.field);
+    if (report.duplicateApplicationCount !== mergeCase.duplicateApplicationCount)
+        return `expected ${mergeCase.duplicateApplicationCount} duplicate(s) but found ${report.duplicateApplicationCount}`;
+    if (conflictFields.join() !== mergeCase.conflictFields.join())
+        return `expected conflicts in (${mergeCase.conflictFields.join(", ")}) but found conflicts in (${conflictFields.join(", ")})`;
+    return undefined;
+}
+// Runs each test case.
+async function main() {
+    let failureCount = 0;
+    for (let applicationNumberCase of ApplicationNumberCases) {
+        let name = JSON.stringify(applicationNumberCase.text);
+        let parsedApplicationNumber = applicationnumbers_1.parseApplicationNumber(applicationNumberCase.text);
+        let canonical = (parsedApplicationNumber === undefined) ? undefined : parsedApplicationNumber.canonical;
+        let year = (parsedApplicationNumber === undefined) ? undefined : parsedApplicationNumber.year;
+        if (canonical !== applicationNumberCase.canonical) {
+            failureCount++;
+            console.log(`FAIL ${name}: expected ${JSON.stringify(applicationNumberCase.canonical)} but parsed ${JSON.stringify(canonical)}.`);
+        }
+        else if (applicationNumberCase.year !== undefined && year !== applicationNumberCase.year) {
+            failureCount++;
+            console.log(`FAIL ${name}: expected the year ${applicationNumberCase.year} but parsed ${year}.`);
+        }
+        else
+            console.log(`PASS ${name}.`);
+    }
+    // Suppress the log lines written while merging (so that only the results are shown).
+    let log = console.log;
+    for (let mergeCase of MergeCases) {
+        console.log = () => { };
+        let difference = await runMergeCase(mergeCase);
+        console.log = log;
+        if (difference === undefined)
+            console.log(`PASS ${mergeCase.name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${mergeCase.name}: ${difference}.`);
+        }
+    }
+    let caseCount = ApplicationNumberCases.length + MergeCases.length;
+    console.log(`${caseCount - failureCount} of ${caseCount} application number ${(caseCount === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYXBwbGljYXRpb25udW1iZXJzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiYXBwbGljYXRpb25udW1iZXJzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDhGQUE4RjtBQUM5RiwyRkFBMkY7QUFDM0YsZ0ZBQWdGO0FBQ2hGLEVBQUU7QUFDRixTQUFTO0FBQ1QsRUFBRTtBQUNGLHNDQUFzQztBQUV0QyxZQUFZLENBQUM7O0FBRWIsOERBQStEO0FBQy9ELDhDQUE0RjtBQUM1Rix3Q0FBaUQ7QUFhakQsTUFBTSxzQkFBc0IsR0FBNEI7SUFDcEQsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRTtJQUNuRCxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRTtJQUN6QyxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRTtJQUN4QyxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRTtJQUN6QyxFQUFFLElBQUksRUFBRSxXQUFXLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRTtJQUMxQyxFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRTtJQUMzQyxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRTtJQUM1QyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFO0lBQ2pELEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUU7SUFDL0MsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRTtJQUNqRCxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFO0lBQ2pELEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFO0lBQzFDLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFO0lBQ3pDLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFO0lBQ3ZDLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFO0NBQ3JDLENBQUM7QUFjRiw4REFBOEQ7QUFFOUQsU0FBUyxpQkFBaUIsQ0FBQyx5QkFBaUMsRUFBRSxNQUFzQztJQUNoRyx1QkFDSSxjQUFjLEVBQUUsT0FBTyxFQUN2QixpQkFBaUIsRUFBRSwyQ0FBc0IsQ0FBQyx5QkFBeUIsQ0FBQyxDQUFDLFNBQVMsRUFDOUUseUJBQXlCLEVBQUUseUJBQXlCLEVBQ3BELE9BQU8sRUFBRSxlQUFlLEVBQ3hCLFdBQVcsRUFBRSxVQUFVLEVBQ3ZCLFlBQVksRUFBRSxZQUFZLEVBQzFCLGdCQUFnQixFQUFFLEVBQUUsRUFDcEIsT0FBTyxFQUFFLDZCQUFtQixDQUFDLENBQUMsTUFBTSxDQUFDLFlBQVksS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBRSxFQUFFLEtBQUssRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLHVCQUF1QixFQUFFLE9BQU8sRUFBRSw0QkFBNEIsRUFBRSxDQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxJQUNsSyxNQUFNLEVBQ1g7QUFDTixDQUFDO0FBRUQsTUFBTSxVQUFVLEdBQWdCO0lBQzVCO1FBQ0ksSUFBSSxFQUFFLHNCQUFzQjtRQUM1QixTQUFTLEVBQUU7WUFDUCxFQUFFLEdBQUcsRUFBRSx1QkFBdUIsRUFBRSx1QkFBdUIsRUFBRSxDQUFFLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxFQUFFLGdCQUFnQixFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUUsRUFBRTtZQUN6SCxFQUFFLEdBQUcsRUFBRSx1QkFBdUIsRUFBRSx1QkFBdUIsRUFBRSxDQUFFLGlCQUFpQixDQUFDLGFBQWEsRUFBRSxFQUFFLFlBQVksRUFBRSxFQUFFLEVBQUUsV0FBVyxFQUFFLHlCQUF5QixFQUFFLENBQUMsQ0FBRSxFQUFFO1NBQ2hLO1FBQ0QsUUFBUSxFQUFFLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUseUJBQXlCLEVBQUUsYUFBYSxFQUFFLFdBQVcsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxnQkFBZ0IsRUFBRSxPQUFPLEVBQUUsQ0FBRTtRQUN2Syx5QkFBeUIsRUFBRSxDQUFDO1FBQzVCLGNBQWMsRUFBRSxFQUFFO0tBQ3JCO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsbUJBQW1CO1FBQ3pCLFNBQVMsRUFBRTtZQUNQLEVBQUUsR0FBRyxFQUFFLHVCQUF1QixFQUFFLHVCQUF1QixFQUFFLENBQUUsaUJBQWlCLENBQUMsUUFBUSxFQUFFLEVBQUUsQ0FBQyxFQUFFLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsQ0FBRSxFQUFFO1lBQy9ILEVBQUUsR0FBRyxFQUFFLHVCQUF1QixFQUFFLHVCQUF1QixFQUFFLENBQUUsaUJBQWlCLENBQUMsU0FBUyxFQUFFLEVBQUUsV0FBVyxFQUFFLE1BQU0sRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLENBQUMsQ0FBRSxFQUFFO1NBQ25KO1FBQ0QsUUFBUSxFQUFFLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsV0FBVyxFQUFFLE1BQU0sRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLENBQUU7UUFDOUYseUJBQXlCLEVBQUUsQ0FBQztRQUM1QixjQUFjLEVBQUUsQ0FBRSxhQUFhLEVBQUUsY0FBYyxDQUFFO0tBQ3BEO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsK0JBQStCO1FBQ3JDLFNBQVMsRUFBRTtZQUNQLEVBQUUsR0FBRyxFQUFFLHVCQUF1QixFQUFFLHVCQUF1QixFQUFFLENBQUUsaUJBQWlCLENBQUMsUUFBUSxFQUFFLEVBQUUsQ0FBQyxDQUFFLEVBQUU7WUFDOUYsRUFBRSxHQUFHLEVBQUUsdUJBQXVCLEVBQUUsdUJBQXVCLEVBQUUsQ0FBRSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsRUFBRSxZQUFZLEVBQUUsRUFBRSxFQUFFLENBQUMsQ0FBRSxFQUFFO1NBQ25IO1FBQ0QsUUFBUSxFQUFFLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxDQUFFO1FBQy9ELHlCQUF5QixFQUFFLENBQUM7UUFDNUIsY0FBYyxFQUFFLEVBQUU7S0FDckI7Q0FDSixDQUFDO0FBRUYsZ0dBQWdHO0FBQ2hHLHVCQUF1QjtBQUV2QixLQUFLLFVBQVUsWUFBWSxDQUFDLFNBQW9CO0lBQzVDLElBQUksT0FBTyxHQUFHLG1DQUFzQixFQUFFLENBQUM7SUFDdkMsSUFBSSx1QkFBdUIsR0FBRyxFQUFFLENBQUM7SUFDakMsS0FBSyxJQUFJLFFBQVEsSUFBSSxTQUFTLENBQUMsU0FBUyxFQUFFO1FBQ3RDLE1BQU0sNEJBQWUsQ0FBQyxPQUFPLEVBQUUsUUFBUSxDQUFDLHVCQUF1QixFQUFFLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUMvRSx1QkFBdUIsR0FBRyxRQUFRLENBQUMsdUJBQXVCLENBQUM7S0FDOUQ7SUFFRCxLQUFLLElBQUksUUFBUSxJQUFJLFNBQVMsQ0FBQyxRQUFRLEVBQUU7UUFDckMsSUFBSSxzQkFBc0IsR0FBRyx1QkFBdUIsQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLHNCQUFzQixDQUFDLGlCQUFpQixLQUFLLFFBQVEsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1FBQzdKLElBQUksc0JBQXNCLEtBQUssU0FBUztZQUNwQyxPQUFPLGdCQUFnQixRQUFRLENBQUMsaUJBQWlCLGNBQWMsQ0FBQztRQUNwRSxLQUFLLElBQUksUUFBUSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDO1lBQ3RDLElBQUksc0JBQXNCLENBQUMsUUFBUSxDQUFDLEtBQUssUUFBUSxDQUFDLFFBQVEsQ0FBQztnQkFDdkQsT0FBTyxZQUFZLFFBQVEsS0FBSyxRQUFRLENBQUMsUUFBUSxDQUFDLGdCQUFnQixzQkFBc0IsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDO0tBQ2pIO0lBRUQsSUFBSSxNQUFNLEdBQUcsK0JBQWtCLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDekMsSUFBSSxjQUFjLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDdEUsSUFBSSxNQUFNLENBQUMseUJBQXlCLEtBQUssU0FBUyxDQUFDLHlCQUF5QjtRQUN4RSxPQUFPLFlBQVksU0FBUyxDQUFDLHlCQUF5QiwyQkFBMkIsTUFBTSxDQUFDLHlCQUF5QixFQUFFLENBQUM7SUFDeEgsSUFBSSxjQUFjLENBQUMsSUFBSSxFQUFFLEtBQUssU0FBUyxDQUFDLGNBQWMsQ0FBQyxJQUFJLEVBQUU7UUFDekQsT0FBTywwQkFBMEIsU0FBUyxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLDZCQUE2QixjQUFjLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUM7SUFDbEksT0FBTyxTQUFTLENBQUM7QUFDckIsQ0FBQztBQUVELHVCQUF1QjtBQUV2QixLQUFLLFVBQVUsSUFBSTtJQUNmLElBQUksWUFBWSxHQUFHLENBQUMsQ0FBQztJQUNyQixLQUFLLElBQUkscUJBQXFCLElBQUksc0JBQXNCLEVBQUU7UUFDdEQsSUFBSSxJQUFJLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxxQkFBcUIsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN0RCxJQUFJLHVCQUF1QixHQUFHLDJDQUFzQixDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ2pGLElBQUksU0FBUyxHQUFHLENBQUMsdUJBQXVCLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsdUJBQXVCLENBQUMsU0FBUyxDQUFDO1FBQ3hHLElBQUksSUFBSSxHQUFHLENBQUMsdUJBQXVCLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsdUJBQXVCLENBQUMsSUFBSSxDQUFDO1FBQzlGLElBQUksU0FBUyxLQUFLLHFCQUFxQixDQUFDLFNBQVMsRUFBRTtZQUMvQyxZQUFZLEVBQUUsQ0FBQztZQUNmLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxJQUFJLGNBQWMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxxQkFBcUIsQ0FBQyxTQUFTLENBQUMsZUFBZSxJQUFJLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQztTQUNySTthQUFNLElBQUkscUJBQXFCLENBQUMsSUFBSSxLQUFLLFNBQVMsSUFBSSxJQUFJLEtBQUsscUJBQXFCLENBQUMsSUFBSSxFQUFFO1lBQ3hGLFlBQVksRUFBRSxDQUFDO1lBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLElBQUksdUJBQXVCLHFCQUFxQixDQUFDLElBQUksZUFBZSxJQUFJLEdBQUcsQ0FBQyxDQUFDO1NBQ3BHOztZQUNHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxJQUFJLEdBQUcsQ0FBQyxDQUFDO0tBQ3BDO0lBRUQscUZBQXFGO0lBRXJGLElBQUksR0FBRyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7SUFDdEIsS0FBSyxJQUFJLFNBQVMsSUFBSSxVQUFVLEVBQUU7UUFDOUIsT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLEVBQUUsR0FBRSxDQUFDLENBQUM7UUFDdkIsSUFBSSxVQUFVLEdBQUcsTUFBTSxZQUFZLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDL0MsT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLENBQUM7UUFDbEIsSUFBSSxVQUFVLEtBQUssU0FBUztZQUN4QixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsU0FBUyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUM7YUFDdEM7WUFDRCxZQUFZLEVBQUUsQ0FBQztZQUNmLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxTQUFTLENBQUMsSUFBSSxLQUFLLFVBQVUsR0FBRyxDQUFDLENBQUM7U0FDekQ7S0FDSjtJQUVELElBQUksU0FBUyxHQUFHLHNCQUFzQixDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDO0lBQ2xFLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxTQUFTLEdBQUcsWUFBWSxPQUFPLFNBQVMsdUJBQXVCLENBQUMsU0FBUyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLE9BQU8sVUFBVSxDQUFDLENBQUM7SUFDOUgsT0FBTyxZQUFZLENBQUM7QUFDeEIsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxZQUFZLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
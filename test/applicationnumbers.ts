@@ -0,0 +1,173 @@
+// Tests for the parsing of application numbers (the variants printed by the registers and the
+// canonical form) and for the merging of the same development application found in several
+// documents (missing fields are filled in and conflicting fields are reported).
+//
+// Usage:
+//
+//     node test/applicationnumbers.js
+
+"use strict";
+
+import { parseApplicationNumber } from "../applicationnumbers";
+import { createDuplicateTracker, mergeDuplicates, getDuplicateReport } from "../duplicates";
+import { createQualityRecord } from "../quality";
+
+declare const process: any;
+
+// A test case: the text of an application number cell and the expected canonical form (or
+// undefined if the text does not contain an application number) and, optionally, year.
+
+interface ApplicationNumberCase {
+    text: string,
+    canonical: string,
+    year?: number
+}
+
+const ApplicationNumberCases: ApplicationNumberCase[] = [
+    { text: "141/17", canonical: "141/17", year: 2017 },
+    { text: "141 / 17", canonical: "141/17" },
+    { text: "0141/17", canonical: "141/17" },
+    { text: "141/2017", canonical: "141/17" },
+    { text: "DA 141/17", canonical: "141/17" },
+    { text: "DA141/2017", canonical: "141/17" },
+    { text: "  141/\n17 ", canonical: "141/17" },
+    { text: "7/2007", canonical: "7/07", year: 2007 },
+    { text: "7/99", canonical: "7/99", year: 1999 },
+    { text: "7/1999", canonical: "7/99", year: 1999 },
+    { text: "12/00", canonical: "12/00", year: 2000 },
+    { text: "141/2117", canonical: undefined },
+    { text: "141/172", canonical: undefined },
+    { text: "LU141", canonical: undefined },
+    { text: "", canonical: undefined }
+];
+
+// A test case for the merging of duplicates: development applications parsed from several
+// documents (in the order that the documents are parsed) and the expected fields of the merged
+// development applications, the number of duplicates and the conflicting fields.
+
+interface MergeCase {
+    name: string,
+    documents: { url: string, developmentApplications: any[] }[],
+    expected: { [property: string]: string }[],
+    duplicateApplicationCount: number,
+    conflictFields: string[]
+}
+
+// Constructs a development application for a merge test case.
+
+function createApplication(originalApplicationNumber: string, fields: { [property: string]: string }) {
+    return {
+        authorityLabel: "grant",
+        applicationNumber: parseApplicationNumber(originalApplicationNumber).canonical,
+        originalApplicationNumber: originalApplicationNumber,
+        address: "ACI ROAD, WYE",
+        description: "DWELLING",
+        receivedDate: "2019-05-20",
+        legalDescription: "",
+        quality: createQualityRecord((fields.receivedDate === "") ? [ { field: "receivedDate", code: "missing-received-date", message: "no received date was found" } ] : []),
+        ...fields
+    };
+}
+
+const MergeCases: MergeCase[] = [
+    {
+        name: "fills-missing-fields",
+        documents: [
+            { url: "https://example/a.pdf", developmentApplications: [ createApplication("270/19", { legalDescription: "Lot 1" }) ] },
+            { url: "https://example/b.pdf", developmentApplications: [ createApplication("DA 270/2019", { receivedDate: "", description: "NO DESCRIPTION PROVIDED" }) ] }
+        ],
+        expected: [ { applicationNumber: "270/19", originalApplicationNumber: "DA 270/2019", description: "DWELLING", receivedDate: "2019-05-20", legalDescription: "Lot 1" } ],
+        duplicateApplicationCount: 1,
+        conflictFields: []
+    },
+    {
+        name: "reports-conflicts",
+        documents: [
+            { url: "https://example/a.pdf", developmentApplications: [ createApplication("271/19", {}), createApplication("272/19", {}) ] },
+            { url: "https://example/b.pdf", developmentApplications: [ createApplication("0271/19", { description: "SHED", receivedDate: "2019-05-21" }) ] }
+        ],
+        expected: [ { applicationNumber: "271/19", description: "SHED", receivedDate: "2019-05-21" } ],
+        duplicateApplicationCount: 1,
+        conflictFields: [ "description", "receivedDate" ]
+    },
+    {
+        name: "ignores-distinct-applications",
+        documents: [
+            { url: "https://example/a.pdf", developmentApplications: [ createApplication("273/19", {}) ] },
+            { url: "https://example/b.pdf", developmentApplications: [ createApplication("273/18", { receivedDate: "" }) ] }
+        ],
+        expected: [ { applicationNumber: "273/18", receivedDate: "" } ],
+        duplicateApplicationCount: 0,
+        conflictFields: []
+    }
+];
+
+// Runs a merge test case.  Returns a description of the first difference (or undefined if there
+// are no differences).
+
+async function runMergeCase(mergeCase: MergeCase) {
+    let tracker = createDuplicateTracker();
+    let developmentApplications = [];
+    for (let document of mergeCase.documents) {
+        await mergeDuplicates(tracker, document.developmentApplications, document.url);
+        developmentApplications = document.developmentApplications;
+    }
+
+    for (let expected of mergeCase.expected) {
+        let developmentApplication = developmentApplications.find(developmentApplication => developmentApplication.applicationNumber === expected.applicationNumber);
+        if (developmentApplication === undefined)
+            return `application "${expected.applicationNumber}" is missing`;
+        for (let property of Object.keys(expected))
+            if (developmentApplication[property] !== expected[property])
+                return `expected ${property} "${expected[property]}" but found "${developmentApplication[property]}"`;
+    }
+
+    let report = getDuplicateReport(tracker);
+    let conflictFields = report.conflicts.map(conflict => conflict.field);
+    if (report.duplicateApplicationCount !== mergeCase.duplicateApplicationCount)
+        return `expected ${mergeCase.duplicateApplicationCount} duplicate(s) but found ${report.duplicateApplicationCount}`;
+    if (conflictFields.join() !== mergeCase.conflictFields.join())
+        return `expected conflicts in (${mergeCase.conflictFields.join(", ")}) but found conflicts in (${conflictFields.join(", ")})`;
+    return undefined;
+}
+
+// Runs each test case.
+
+async function main() {
+    let failureCount = 0;
+    for (let applicationNumberCase of ApplicationNumberCases) {
+        let name = JSON.stringify(applicationNumberCase.text);
+        let parsedApplicationNumber = parseApplicationNumber(applicationNumberCase.text);
+        let canonical = (parsedApplicationNumber === undefined) ? undefined : parsedApplicationNumber.canonical;
+        let year = (parsedApplicationNumber === undefined) ? undefined : parsedApplicationNumber.year;
+        if (canonical !== applicationNumberCase.canonical) {
+            failureCount++;
+            console.log(`FAIL ${name}: expected ${JSON.stringify(applicationNumberCase.canonical)} but parsed ${JSON.stringify(canonical)}.`);
+        } else if (applicationNumberCase.year !== undefined && year !== applicationNumberCase.year) {
+            failureCount++;
+            console.log(`FAIL ${name}: expected the year ${applicationNumberCase.year} but parsed ${year}.`);
+        } else
+            console.log(`PASS ${name}.`);
+    }
+
+    // Suppress the log lines written while merging (so that only the results are shown).
+
+    let log = console.log;
+    for (let mergeCase of MergeCases) {
+        console.log = () => {};
+        let difference = await runMergeCase(mergeCase);
+        console.log = log;
+        if (difference === undefined)
+            console.log(`PASS ${mergeCase.name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${mergeCase.name}: ${difference}.`);
+        }
+    }
+
+    let caseCount = ApplicationNumberCases.length + MergeCases.length;
+    console.log(`${caseCount - failureCount} of ${caseCount} application number ${(caseCount === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
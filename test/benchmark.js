@@ -0,0 +1,160 @@
+// Benchmarks the indexed gazetteer matcher against the linear didYouMean scans that it replaced.
+// Each address in a corpus is split into its street and suburb, the spelling of each is corrected
+// using both approaches, and the time taken and any differences in the corrections are reported.
+//
+// The corpus is a text file with one address per line (for example, "12 ADMELA STREET, PORT
+// MACDONNELL"), each optionally followed by a tab and the expected street name and another tab and
+// the expected suburb name (the number of addresses corrected to the expected names is then also
+// reported).  By default, the corpus is "addresses.txt": a small synthetic corpus of gazetteer
+// entries written by hand with the kinds of errors found in text extracted from PDF documents (an
+// abbreviated suburb, split and joined words and missing letters), along with the expected names.
+// It is not taken from parsed registers, so a corpus of real addresses should be given with
+// "--corpus" where one is available.  Alternatively, a corpus can be generated from every street
+// and suburb pairing in the street names file, each as it appears, with a spelling error, with an
+// errant space and with a missing space.
+//
+// Usage:
+//
+//     node test/benchmark.js                      benchmarks the default corpus
+//     node test/benchmark.js --corpus <file>      benchmarks the addresses in the specified file
+//     node test/benchmark.js --generated          benchmarks the corpus generated from the street names
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const didyoumean2_1 = require("didyoumean2"), didyoumean = didyoumean2_1;
+const gazetteer_1 = require("../gazetteer");
+// The number of times that the corpus is corrected by each approach (the fastest time is reported).
+const RepetitionCount = 3;
+const DefaultCorpusPath = path.join(__dirname, "addresses.txt");
+// Reads the names (the first column) from one of the address information files.
+function readNames(fileName) {
+    let names = [];
+    for (let line of fs.readFileSync(fileName).toString().replace(/\r/g, "").trim().split("\n")) {
+        let name = line.toUpperCase().split(",")[0].trim();
+        if (!names.includes(name))
+            names.push(name);
+    }
+    return names;
+}
+// Introduces an error into a word using a seeded sequence (so that the default corpus is the same
+// in every run).
+function introduceError(text, seed, kind) {
+    let position = 1 + (seed % Math.max(1, text.length - 2));
+    if (kind === 0)
+        return text.substring(0, position) + text.substring(position + 1); // a missing letter
+    else if (kind === 1)
+        return text.substring(0, position) + " " + text.substring(position); // an errant space
+    else
+        return text.replace(" ", ""); // a missing space
+}
+// Reads a corpus file (each line being an address, optionally followed by the expected street and
+// suburb names, separated by tabs).
+function readCorpus(filePath) {
+    let addresses = [];
+    for (let line of fs.readFileSync(filePath).toString().replace(/\r/g, "").split("\n").filter(line => line.trim() !== "")) {
+        let [address, streetName, suburbName] = line.split("\t");
+        addresses.push({ address: address, streetName: streetName, suburbName: suburbName });
+    }
+    return addresses;
+}
+// Constructs a corpus from the street names file (without any expected names).
+function createGeneratedCorpus() {
+    let addresses = [];
+    let seed = 0;
+    for (let line of fs.readFileSync("streetnames.txt").toString().replace(/\r/g, "").trim().split("\n")) {
+        let [streetName, suburbName] = line.toUpperCase().split(",").map(token => token.trim());
+        seed = (seed * 31 + streetName.length + suburbName.length) % 9973;
+        addresses.push({ address: `${seed % 100} ${streetName}, ${suburbName}` });
+        addresses.push({ address: `${seed % 100} ${introduceError(streetName, seed, 0)}, ${introduceError(suburbName, seed + 1, 0)}` });
+        addresses.push({ address: `${seed % 100} ${introduceError(streetName, seed, 1)}, ${suburbName}` });
+        addresses.push({ address: `${seed % 100} ${introduceError(streetName, seed, 2)}, ${suburbName}` });
+    }
+    return addresses;
+}
+// Corrects the spelling of the street and suburb in an address using linear didYouMean scans (as
+// formatAddress did before the gazetteer index was introduced).
+function correctWithScans(streetNames, suburbNames, street, suburb) {
+    let tokens = street.trim().toUpperCase().split(" ");
+    let streetName = null;
+    for (let index = 6; index >= 2 && streetName === null; index--)
+        if (streetNames.includes(tokens.slice(-index).join(" ")))
+            streetName = tokens.slice(-index).join(" ");
+    for (let index = 6; index >= 2 && streetName === null; index--)
+        streetName = didyoumean2_1.default(tokens.slice(-index).join(" "), streetNames, { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: 7 - index, trimSpaces: true });
+    let suburbNameMatches = didyoumean2_1.default(suburb, suburbNames, { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.ALL_SORTED_MATCHES, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: 2, trimSpaces: true });
+    return { streetName: streetName, suburbName: (suburbNameMatches.length === 0) ? null : suburbNameMatches[0] };
+}
+// Corrects the spelling of the street and suburb in an address using the gazetteer indexes (as
+// formatAddress now does).
+function correctWithIndexes(streetNameIndex, suburbNameIndex, street, suburb) {
+    let tokens = street.trim().toUpperCase().split(" ");
+    let streetName = null;
+    for (let index = 6; index >= 2 && streetName === null; index--)
+        streetName = gazetteer_1.findExactName(streetNameIndex, tokens.slice(-index).join(" ")) || null;
+    for (let index = 6; index >= 1 && streetName === null; index--)
+        streetName = gazetteer_1.findCompactName(streetNameIndex, tokens.slice(-index).join(" ")) || null;
+    for (let index = 6; index >= 2 && streetName === null; index--)
+        streetName = gazetteer_1.findClosestName(streetNameIndex, tokens.slice(-index).join(" "), 7 - index);
+    let suburbNameMatches = gazetteer_1.findMatchingNames(suburbNameIndex, suburb, 2);
+    return { streetName: streetName, suburbName: (suburbNameMatches.length === 0) ? null : suburbNameMatches[0].name };
+}
+// Times a function (returning the fastest of several repetitions, in milliseconds).
+function time(action) {
+    let fastest = Number.MAX_VALUE;
+    for (let repetition = 0; repetition < RepetitionCount; repetition++) {
+        let start = process.hrtime();
+        action();
+        let [seconds, nanoseconds] = process.hrtime(start);
+        fastest = Math.min(fastest, seconds * 1000 + nanoseconds / 1000000);
+    }
+    return fastest;
+}
+// Benchmarks both approaches over the corpus and reports the results.
+function main() {
+    let argv = process.argv.slice(2);
+    let corpusIndex = argv.indexOf("--corpus");
+    let corpusPath = (corpusIndex >= 0) ? argv[corpusIndex + 1] : DefaultCorpusPath;
+    // The address information files are read relative to the current directory.
+    let addresses = argv.includes("--generated") ? undefined : readCorpus(corpusPath);
+    process.chdir(path.join(__dirname, ".."));
+    if (addresses === undefined)
+        addresses = createGeneratedCorpus();
+    let streetNames = readNames("streetnames.txt");
+    let suburbNames = readNames("suburbnames.txt");
+    let parts = addresses.map(({ address }) => {
+        let commaIndex = address.lastIndexOf(",");
+        return (commaIndex < 0) ? { street: address, suburb: "" } : { street: address.substring(0, commaIndex), suburb: address.substring(commaIndex + 1) };
+    });
+    let indexTime = time(() => { gazetteer_1.createGazetteerIndex(streetNames); gazetteer_1.createGazetteerIndex(suburbNames); });
+    let streetNameIndex = gazetteer_1.createGazetteerIndex(streetNames);
+    let suburbNameIndex = gazetteer_1.createGazetteerIndex(suburbNames);
+    let scanResults = [];
+    let indexResults = [];
+    let scanTime = time(() => scanResults = parts.map(part => correctWithScans(streetNames, suburbNames, part.street, part.suburb)));
+    let lookupTime = time(() => indexResults = parts.map(part => correctWithIndexes(streetNameIndex, suburbNameIndex, part.street, part.suburb)));
+    // Report every address for which the corrections differ.
+    let differenceCount = 0;
+    for (let index = 0; index < addresses.length; index++) {
+        let scanResult = scanResults[index];
+        let indexResult = indexResults[index];
+        if (scanResult.streetName !== indexResult.streetName || scanResult.suburbName !== indexResult.suburbName) {
+            differenceCount++;
+            console.log(`"${addresses[index].address}": the scans found ${scanResult.streetName}, ${scanResult.suburbName} but the indexes found ${indexResult.streetName}, ${indexResult.suburbName}.`);
+        }
+    }
+    console.log(`Corrected ${addresses.length} address(es) against ${streetNames.length} street name(s) and ${suburbNames.length} suburb name(s).`);
+    console.log(`The linear didYouMean scans took ${scanTime.toFixed(1)} ms.`);
+    console.log(`The gazetteer indexes took ${lookupTime.toFixed(1)} ms (plus ${indexTime.toFixed(1)} ms to build the indexes), ${(scanTime / lookupTime).toFixed(1)} times faster.`);
+    console.log(`The corrections differed for ${differenceCount} address(es).`);
+    // Report how many addresses each approach corrected to the expected names (if any are known).
+    let expectedIndexes = addresses.map((address, index) => index).filter(index => addresses[index].streetName !== undefined);
+    if (expectedIndexes.length > 0) {
+        let isExpected = (result, index) => result.streetName === addresses[index].streetName && result.suburbName === addresses[index].suburbName;
+        for (let index of expectedIndexes.filter(index => !isExpected(indexResults[index], index)))
+            console.log(`"${addresses[index].address}": expected ${addresses[index].streetName}, ${addresses[index].suburbName} but the indexes found ${indexResults[index].streetName}, ${indexResults[index].suburbName}.`);
+        console.log(`The scans corrected ${expectedIndexes.filter(index => isExpected(scanResults[index], index)).length} and the indexes corrected ${expectedIndexes.filter(index => isExpected(indexResults[index], index)).length} of ${expectedIndexes.length} address(es) to the expected names.`);
+    }
+}
+main();
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYmVuY2htYXJrLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiYmVuY2htYXJrLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGlHQUFpRztBQUNqRyxrR0FBa0c7QUFDbEcsaUdBQWlHO0FBQ2pHLEVBQUU7QUFDRiw0RkFBNEY7QUFDNUYsbUdBQW1HO0FBQ25HLGlHQUFpRztBQUNqRywrRkFBK0Y7QUFDL0Ysa0dBQWtHO0FBQ2xHLGtHQUFrRztBQUNsRyw0RkFBNEY7QUFDNUYsaUdBQWlHO0FBQ2pHLGtHQUFrRztBQUNsRyx5Q0FBeUM7QUFDekMsRUFBRTtBQUNGLFNBQVM7QUFDVCxFQUFFO0FBQ0YsZ0ZBQWdGO0FBQ2hGLGlHQUFpRztBQUNqRyx3R0FBd0c7QUFFeEcsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0IseUVBQXNEO0FBQ3RELDRDQUF3STtBQUl4SSxvR0FBb0c7QUFFcEcsTUFBTSxlQUFlLEdBQUcsQ0FBQyxDQUFDO0FBRTFCLE1BQU0saUJBQWlCLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsZUFBZSxDQUFDLENBQUM7QUFVaEUsZ0ZBQWdGO0FBRWhGLFNBQVMsU0FBUyxDQUFDLFFBQWdCO0lBQy9CLElBQUksS0FBSyxHQUFhLEVBQUUsQ0FBQztJQUN6QixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDekYsSUFBSSxJQUFJLEdBQUcsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUNuRCxJQUFJLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUM7WUFDckIsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztLQUN4QjtJQUNELE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUFFRCxrR0FBa0c7QUFDbEcsaUJBQWlCO0FBRWpCLFNBQVMsY0FBYyxDQUFDLElBQVksRUFBRSxJQUFZLEVBQUUsSUFBWTtJQUM1RCxJQUFJLFFBQVEsR0FBRyxDQUFDLEdBQUcsQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3pELElBQUksSUFBSSxLQUFLLENBQUM7UUFDVixPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUUsbUJBQW1CO1NBQ3RGLElBQUksSUFBSSxLQUFLLENBQUM7UUFDZixPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxHQUFHLEdBQUcsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUUsa0JBQWtCOztRQUV4RixPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUUsa0JBQWtCO0FBQ3pELENBQUM7QUFFRCxrR0FBa0c7QUFDbEcsb0NBQW9DO0FBRXBDLFNBQVMsVUFBVSxDQUFDLFFBQWdCO0lBQ2hDLElBQUksU0FBUyxHQUFvQixFQUFFLENBQUM7SUFDcEMsS0FBSyxJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRTtRQUNySCxJQUFJLENBQUUsT0FBTyxFQUFFLFVBQVUsRUFBRSxVQUFVLENBQUUsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQzNELFNBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxDQUFDLENBQUM7S0FDeEY7SUFDRCxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQsK0VBQStFO0FBRS9FLFNBQVMscUJBQXFCO0lBQzFCLElBQUksU0FBUyxHQUFvQixFQUFFLENBQUM7SUFDcEMsSUFBSSxJQUFJLEdBQUcsQ0FBQyxDQUFDO0lBQ2IsS0FBSyxJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsWUFBWSxDQUFDLGlCQUFpQixDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDbEcsSUFBSSxDQUFFLFVBQVUsRUFBRSxVQUFVLENBQUUsR0FBRyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQzFGLElBQUksR0FBRyxDQUFDLElBQUksR0FBRyxFQUFFLEdBQUcsVUFBVSxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLEdBQUcsSUFBSSxDQUFDO1FBQ2xFLFNBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRSxPQUFPLEVBQUUsR0FBRyxJQUFJLEdBQUcsR0FBRyxJQUFJLFVBQVUsS0FBSyxVQUFVLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDMUUsU0FBUyxDQUFDLElBQUksQ0FBQyxFQUFFLE9BQU8sRUFBRSxHQUFHLElBQUksR0FBRyxHQUFHLElBQUksY0FBYyxDQUFDLFVBQVUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEtBQUssY0FBYyxDQUFDLFVBQVUsRUFBRSxJQUFJLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ2hJLFNBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRSxPQUFPLEVBQUUsR0FBRyxJQUFJLEdBQUcsR0FBRyxJQUFJLGNBQWMsQ0FBQyxVQUFVLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxLQUFLLFVBQVUsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUNuRyxTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUUsT0FBTyxFQUFFLEdBQUcsSUFBSSxHQUFHLEdBQUcsSUFBSSxjQUFjLENBQUMsVUFBVSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsS0FBSyxVQUFVLEVBQUUsRUFBRSxDQUFDLENBQUM7S0FDdEc7SUFDRCxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLGdFQUFnRTtBQUVoRSxTQUFTLGdCQUFnQixDQUFDLFdBQXFCLEVBQUUsV0FBcUIsRUFBRSxNQUFjLEVBQUUsTUFBYztJQUNsRyxJQUFJLE1BQU0sR0FBRyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3BELElBQUksVUFBVSxHQUFXLElBQUksQ0FBQztJQUM5QixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksQ0FBQyxJQUFJLFVBQVUsS0FBSyxJQUFJLEVBQUUsS0FBSyxFQUFFO1FBQzFELElBQUksV0FBVyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ3BELFVBQVUsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3BELEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssSUFBSSxDQUFDLElBQUksVUFBVSxLQUFLLElBQUksRUFBRSxLQUFLLEVBQUU7UUFDMUQsVUFBVSxHQUFXLHFCQUFVLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxXQUFXLEVBQUUsRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLFVBQVUsRUFBRSxVQUFVLENBQUMsZUFBZSxDQUFDLG1CQUFtQixFQUFFLGFBQWEsRUFBRSxVQUFVLENBQUMsa0JBQWtCLENBQUMsYUFBYSxFQUFFLFNBQVMsRUFBRSxDQUFDLEdBQUcsS0FBSyxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQzNRLElBQUksaUJBQWlCLEdBQWEscUJBQVUsQ0FBQyxNQUFNLEVBQUUsV0FBVyxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUsVUFBVSxDQUFDLGVBQWUsQ0FBQyxrQkFBa0IsRUFBRSxhQUFhLEVBQUUsVUFBVSxDQUFDLGtCQUFrQixDQUFDLGFBQWEsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQ25QLE9BQU8sRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxDQUFDLGlCQUFpQixDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0FBQ2xILENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsMkJBQTJCO0FBRTNCLFNBQVMsa0JBQWtCLENBQUMsZUFBK0IsRUFBRSxlQUErQixFQUFFLE1BQWMsRUFBRSxNQUFjO0lBQ3hILElBQUksTUFBTSxHQUFHLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDcEQsSUFBSSxVQUFVLEdBQVcsSUFBSSxDQUFDO0lBQzlCLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssSUFBSSxDQUFDLElBQUksVUFBVSxLQUFLLElBQUksRUFBRSxLQUFLLEVBQUU7UUFDMUQsVUFBVSxHQUFHLHlCQUFhLENBQUMsZUFBZSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUM7SUFDeEYsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsSUFBSSxVQUFVLEtBQUssSUFBSSxFQUFFLEtBQUssRUFBRTtRQUMxRCxVQUFVLEdBQUcsMkJBQWUsQ0FBQyxlQUFlLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLElBQUksQ0FBQztJQUMxRixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksQ0FBQyxJQUFJLFVBQVUsS0FBSyxJQUFJLEVBQUUsS0FBSyxFQUFFO1FBQzFELFVBQVUsR0FBRywyQkFBZSxDQUFDLGVBQWUsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBQztJQUM3RixJQUFJLGlCQUFpQixHQUFHLDZCQUFpQixDQUFDLGVBQWUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDdEUsT0FBTyxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLENBQUMsaUJBQWlCLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0FBQ3ZILENBQUM7QUFFRCxvRkFBb0Y7QUFFcEYsU0FBUyxJQUFJLENBQUMsTUFBa0I7SUFDNUIsSUFBSSxPQUFPLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQztJQUMvQixLQUFLLElBQUksVUFBVSxHQUFHLENBQUMsRUFBRSxVQUFVLEdBQUcsZUFBZSxFQUFFLFVBQVUsRUFBRSxFQUFFO1FBQ2pFLElBQUksS0FBSyxHQUFHLE9BQU8sQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUM3QixNQUFNLEVBQUUsQ0FBQztRQUNULElBQUksQ0FBRSxPQUFPLEVBQUUsV0FBVyxDQUFFLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNyRCxPQUFPLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLEVBQUUsT0FBTyxHQUFHLElBQUksR0FBRyxXQUFXLEdBQUcsT0FBTyxDQUFDLENBQUM7S0FDdkU7SUFDRCxPQUFPLE9BQU8sQ0FBQztBQUNuQixDQUFDO0FBRUQsc0VBQXNFO0FBRXRFLFNBQVMsSUFBSTtJQUNULElBQUksSUFBSSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2pDLElBQUksV0FBVyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUM7SUFDM0MsSUFBSSxVQUFVLEdBQUcsQ0FBQyxXQUFXLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxXQUFXLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGlCQUFpQixDQUFDO0lBRWhGLDRFQUE0RTtJQUU1RSxJQUFJLFNBQVMsR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUNsRixPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUM7SUFDMUMsSUFBSSxTQUFTLEtBQUssU0FBUztRQUN2QixTQUFTLEdBQUcscUJBQXFCLEVBQUUsQ0FBQztJQUV4QyxJQUFJLFdBQVcsR0FBRyxTQUFTLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUMvQyxJQUFJLFdBQVcsR0FBRyxTQUFTLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUMvQyxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFO1FBQ3RDLElBQUksVUFBVSxHQUFHLE9BQU8sQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDMUMsT0FBTyxDQUFDLFVBQVUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxNQUFNLEVBQUUsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsVUFBVSxDQUFDLEVBQUUsTUFBTSxFQUFFLE9BQU8sQ0FBQyxTQUFTLENBQUMsVUFBVSxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUM7SUFDeEosQ0FBQyxDQUFDLENBQUM7SUFFSCxJQUFJLFNBQVMsR0FBRyxJQUFJLENBQUMsR0FBRyxFQUFFLEdBQUcsZ0NBQW9CLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxnQ0FBb0IsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3RHLElBQUksZUFBZSxHQUFHLGdDQUFvQixDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBQ3hELElBQUksZUFBZSxHQUFHLGdDQUFvQixDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBRXhELElBQUksV0FBVyxHQUFHLEVBQUUsQ0FBQztJQUNyQixJQUFJLFlBQVksR0FBRyxFQUFFLENBQUM7SUFDdEIsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLFdBQVcsR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsZ0JBQWdCLENBQUMsV0FBVyxFQUFFLFdBQVcsRUFBRSxJQUFJLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDakksSUFBSSxVQUFVLEdBQUcsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLFlBQVksR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsa0JBQWtCLENBQUMsZUFBZSxFQUFFLGVBQWUsRUFBRSxJQUFJLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFOUkseURBQXlEO0lBRXpELElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQztJQUN4QixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsU0FBUyxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUNuRCxJQUFJLFVBQVUsR0FBRyxXQUFXLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDcEMsSUFBSSxXQUFXLEdBQUcsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3RDLElBQUksVUFBVSxDQUFDLFVBQVUsS0FBSyxXQUFXLENBQUMsVUFBVSxJQUFJLFVBQVUsQ0FBQyxVQUFVLEtBQUssV0FBVyxDQUFDLFVBQVUsRUFBRTtZQUN0RyxlQUFlLEVBQUUsQ0FBQztZQUNsQixPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLE9BQU8sc0JBQXNCLFVBQVUsQ0FBQyxVQUFVLEtBQUssVUFBVSxDQUFDLFVBQVUsMEJBQTBCLFdBQVcsQ0FBQyxVQUFVLEtBQUssV0FBVyxDQUFDLFVBQVUsR0FBRyxDQUFDLENBQUM7U0FDaE07S0FDSjtJQUVELE9BQU8sQ0FBQyxHQUFHLENBQUMsYUFBYSxTQUFTLENBQUMsTUFBTSx3QkFBd0IsV0FBVyxDQUFDLE1BQU0sdUJBQXVCLFdBQVcsQ0FBQyxNQUFNLGtCQUFrQixDQUFDLENBQUM7SUFDaEosT0FBTyxDQUFDLEdBQUcsQ0FBQyxvQ0FBb0MsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyw4QkFBOEIsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsYUFBYSxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyw4QkFBOEIsQ0FBQyxRQUFRLEdBQUcsVUFBVSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO0lBQ2xMLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0NBQWdDLGVBQWUsZUFBZSxDQUFDLENBQUM7SUFFNUUsOEZBQThGO0lBRTlGLElBQUksZUFBZSxHQUFHLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxPQUFPLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsVUFBVSxLQUFLLFNBQVMsQ0FBQyxDQUFDO0lBQzFILElBQUksZUFBZSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7UUFDNUIsSUFBSSxVQUFVLEdBQUcsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsVUFBVSxLQUFLLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxVQUFVLElBQUksTUFBTSxDQUFDLFVBQVUsS0FBSyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsVUFBVSxDQUFDO1FBQzNJLEtBQUssSUFBSSxLQUFLLElBQUksZUFBZSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsVUFBVSxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQztZQUN0RixPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLE9BQU8sZUFBZSxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsVUFBVSxLQUFLLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxVQUFVLDBCQUEwQixZQUFZLENBQUMsS0FBSyxDQUFDLENBQUMsVUFBVSxLQUFLLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDO1FBQ3ROLE9BQU8sQ0FBQyxHQUFHLENBQUMsdUJBQXVCLGVBQWUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSw4QkFBOEIsZUFBZSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxNQUFNLE9BQU8sZUFBZSxDQUFDLE1BQU0scUNBQXFDLENBQUMsQ0FBQztLQUNuUztBQUNMLENBQUM7QUFFRCxJQUFJLEVBQUUsQ0FBQyJ9
\ No newline at end of file
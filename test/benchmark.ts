@@ -0,0 +1,200 @@
+// Benchmarks the indexed gazetteer matcher against the linear didYouMean scans that it replaced.
+// Each address in a corpus is split into its street and suburb, the spelling of each is corrected
+// using both approaches, and the time taken and any differences in the corrections are reported.
+//
+// The corpus is a text file with one address per line (for example, "12 ADMELA STREET, PORT
+// MACDONNELL"), each optionally followed by a tab and the expected street name and another tab and
+// the expected suburb name (the number of addresses corrected to the expected names is then also
+// reported).  By default, the corpus is "addresses.txt": a small synthetic corpus of gazetteer
+// entries written by hand with the kinds of errors found in text extracted from PDF documents (an
+// abbreviated suburb, split and joined words and missing letters), along with the expected names.
+// It is not taken from parsed registers, so a corpus of real addresses should be given with
+// "--corpus" where one is available.  Alternatively, a corpus can be generated from every street
+// and suburb pairing in the street names file, each as it appears, with a spelling error, with an
+// errant space and with a missing space.
+//
+// Usage:
+//
+//     node test/benchmark.js                      benchmarks the default corpus
+//     node test/benchmark.js --corpus <file>      benchmarks the addresses in the specified file
+//     node test/benchmark.js --generated          benchmarks the corpus generated from the street names
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import didYouMean, * as didyoumean from "didyoumean2";
+import { GazetteerIndex, createGazetteerIndex, findExactName, findCompactName, findClosestName, findMatchingNames } from "../gazetteer";
+
+declare const process: any;
+
+// The number of times that the corpus is corrected by each approach (the fastest time is reported).
+
+const RepetitionCount = 3;
+
+const DefaultCorpusPath = path.join(__dirname, "addresses.txt");
+
+// An address in the corpus, along with the expected street and suburb names (if known).
+
+interface CorpusAddress {
+    address: string,
+    streetName?: string,
+    suburbName?: string
+}
+
+// Reads the names (the first column) from one of the address information files.
+
+function readNames(fileName: string) {
+    let names: string[] = [];
+    for (let line of fs.readFileSync(fileName).toString().replace(/\r/g, "").trim().split("\n")) {
+        let name = line.toUpperCase().split(",")[0].trim();
+        if (!names.includes(name))
+            names.push(name);
+    }
+    return names;
+}
+
+// Introduces an error into a word using a seeded sequence (so that the default corpus is the same
+// in every run).
+
+function introduceError(text: string, seed: number, kind: number) {
+    let position = 1 + (seed % Math.max(1, text.length - 2));
+    if (kind === 0)
+        return text.substring(0, position) + text.substring(position + 1);  // a missing letter
+    else if (kind === 1)
+        return text.substring(0, position) + " " + text.substring(position);  // an errant space
+    else
+        return text.replace(" ", "");  // a missing space
+}
+
+// Reads a corpus file (each line being an address, optionally followed by the expected street and
+// suburb names, separated by tabs).
+
+function readCorpus(filePath: string) {
+    let addresses: CorpusAddress[] = [];
+    for (let line of fs.readFileSync(filePath).toString().replace(/\r/g, "").split("\n").filter(line => line.trim() !== "")) {
+        let [ address, streetName, suburbName ] = line.split("\t");
+        addresses.push({ address: address, streetName: streetName, suburbName: suburbName });
+    }
+    return addresses;
+}
+
+// Constructs a corpus from the street names file (without any expected names).
+
+function createGeneratedCorpus() {
+    let addresses: CorpusAddress[] = [];
+    let seed = 0;
+    for (let line of fs.readFileSync("streetnames.txt").toString().replace(/\r/g, "").trim().split("\n")) {
+        let [ streetName, suburbName ] = line.toUpperCase().split(",").map(token => token.trim());
+        seed = (seed * 31 + streetName.length + suburbName.length) % 9973;
+        addresses.push({ address: `${seed % 100} ${streetName}, ${suburbName}` });
+        addresses.push({ address: `${seed % 100} ${introduceError(streetName, seed, 0)}, ${introduceError(suburbName, seed + 1, 0)}` });
+        addresses.push({ address: `${seed % 100} ${introduceError(streetName, seed, 1)}, ${suburbName}` });
+        addresses.push({ address: `${seed % 100} ${introduceError(streetName, seed, 2)}, ${suburbName}` });
+    }
+    return addresses;
+}
+
+// Corrects the spelling of the street and suburb in an address using linear didYouMean scans (as
+// formatAddress did before the gazetteer index was introduced).
+
+function correctWithScans(streetNames: string[], suburbNames: string[], street: string, suburb: string) {
+    let tokens = street.trim().toUpperCase().split(" ");
+    let streetName: string = null;
+    for (let index = 6; index >= 2 && streetName === null; index--)
+        if (streetNames.includes(tokens.slice(-index).join(" ")))
+            streetName = tokens.slice(-index).join(" ");
+    for (let index = 6; index >= 2 && streetName === null; index--)
+        streetName = <string>didYouMean(tokens.slice(-index).join(" "), streetNames, { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: 7 - index, trimSpaces: true });
+    let suburbNameMatches = <string[]>didYouMean(suburb, suburbNames, { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.ALL_SORTED_MATCHES, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: 2, trimSpaces: true });
+    return { streetName: streetName, suburbName: (suburbNameMatches.length === 0) ? null : suburbNameMatches[0] };
+}
+
+// Corrects the spelling of the street and suburb in an address using the gazetteer indexes (as
+// formatAddress now does).
+
+function correctWithIndexes(streetNameIndex: GazetteerIndex, suburbNameIndex: GazetteerIndex, street: string, suburb: string) {
+    let tokens = street.trim().toUpperCase().split(" ");
+    let streetName: string = null;
+    for (let index = 6; index >= 2 && streetName === null; index--)
+        streetName = findExactName(streetNameIndex, tokens.slice(-index).join(" ")) || null;
+    for (let index = 6; index >= 1 && streetName === null; index--)
+        streetName = findCompactName(streetNameIndex, tokens.slice(-index).join(" ")) || null;
+    for (let index = 6; index >= 2 && streetName === null; index--)
+        streetName = findClosestName(streetNameIndex, tokens.slice(-index).join(" "), 7 - index);
+    let suburbNameMatches = findMatchingNames(suburbNameIndex, suburb, 2);
+    return { streetName: streetName, suburbName: (suburbNameMatches.length === 0) ? null : suburbNameMatches[0].name };
+}
+
+// Times a function (returning the fastest of several repetitions, in milliseconds).
+
+function time(action: () => void) {
+    let fastest = Number.MAX_VALUE;
+    for (let repetition = 0; repetition < RepetitionCount; repetition++) {
+        let start = process.hrtime();
+        action();
+        let [ seconds, nanoseconds ] = process.hrtime(start);
+        fastest = Math.min(fastest, seconds * 1000 + nanoseconds / 1000000);
+    }
+    return fastest;
+}
+
+// Benchmarks both approaches over the corpus and reports the results.
+
+function main() {
+    let argv = process.argv.slice(2);
+    let corpusIndex = argv.indexOf("--corpus");
+    let corpusPath = (corpusIndex >= 0) ? argv[corpusIndex + 1] : DefaultCorpusPath;
+
+    // The address information files are read relative to the current directory.
+
+    let addresses = argv.includes("--generated") ? undefined : readCorpus(corpusPath);
+    process.chdir(path.join(__dirname, ".."));
+    if (addresses === undefined)
+        addresses = createGeneratedCorpus();
+
+    let streetNames = readNames("streetnames.txt");
+    let suburbNames = readNames("suburbnames.txt");
+    let parts = addresses.map(({ address }) => {
+        let commaIndex = address.lastIndexOf(",");
+        return (commaIndex < 0) ? { street: address, suburb: "" } : { street: address.substring(0, commaIndex), suburb: address.substring(commaIndex + 1) };
+    });
+
+    let indexTime = time(() => { createGazetteerIndex(streetNames); createGazetteerIndex(suburbNames); });
+    let streetNameIndex = createGazetteerIndex(streetNames);
+    let suburbNameIndex = createGazetteerIndex(suburbNames);
+
+    let scanResults = [];
+    let indexResults = [];
+    let scanTime = time(() => scanResults = parts.map(part => correctWithScans(streetNames, suburbNames, part.street, part.suburb)));
+    let lookupTime = time(() => indexResults = parts.map(part => correctWithIndexes(streetNameIndex, suburbNameIndex, part.street, part.suburb)));
+
+    // Report every address for which the corrections differ.
+
+    let differenceCount = 0;
+    for (let index = 0; index < addresses.length; index++) {
+        let scanResult = scanResults[index];
+        let indexResult = indexResults[index];
+        if (scanResult.streetName !== indexResult.streetName || scanResult.suburbName !== indexResult.suburbName) {
+            differenceCount++;
+            console.log(`"${addresses[index].address}": the scans found ${scanResult.streetName}, ${scanResult.suburbName} but the indexes found ${indexResult.streetName}, ${indexResult.suburbName}.`);
+        }
+    }
+
+    console.log(`Corrected ${addresses.length} address(es) against ${streetNames.length} street name(s) and ${suburbNames.length} suburb name(s).`);
+    console.log(`The linear didYouMean scans took ${scanTime.toFixed(1)} ms.`);
+    console.log(`The gazetteer indexes took ${lookupTime.toFixed(1)} ms (plus ${indexTime.toFixed(1)} ms to build the indexes), ${(scanTime / lookupTime).toFixed(1)} times faster.`);
+    console.log(`The corrections differed for ${differenceCount} address(es).`);
+
+    // Report how many addresses each approach corrected to the expected names (if any are known).
+
+    let expectedIndexes = addresses.map((address, index) => index).filter(index => addresses[index].streetName !== undefined);
+    if (expectedIndexes.length > 0) {
+        let isExpected = (result, index) => result.streetName === addresses[index].streetName && result.suburbName === addresses[index].suburbName;
+        for (let index of expectedIndexes.filter(index => !isExpected(indexResults[index], index)))
+            console.log(`"${addresses[index].address}": expected ${addresses[index].streetName}, ${addresses[index].suburbName} but the indexes found ${indexResults[index].streetName}, ${indexResults[index].suburbName}.`);
+        console.log(`The scans corrected ${expectedIndexes.filter(index => isExpected(scanResults[index], index)).length} and the indexes corrected ${expectedIndexes.filter(index => isExpected(indexResults[index], index)).length} of ${expectedIndexes.length} address(es) to the expected names.`);
+    }
+}
+
+main();
@@ -0,0 +1,160 @@
+// Tests the crawl of a register (served by a local stub server) over several runs against the same
+// database: documents that have never been parsed are processed first (in the order of the
+// register), followed by the previously parsed documents (those checked least recently first), a
+// run stops once its time or memory budget is exhausted (after processing at least one document),
+// a document whose content has not changed since it was parsed is not parsed again and a corrupt
+// document (an error page served in place of the PDF) is rejected without stopping the run and is
+// not retried ahead of the other documents until its content changes.
+//
+// Usage:
+//
+//     node test/crawl.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const path = require("path");
+const http = require("http");
+const councils_1 = require("../councils");
+const fetcher_1 = require("../fetcher");
+const database_1 = require("../database");
+const sinks_1 = require("../sinks");
+const duplicates_1 = require("../duplicates");
+const runs_1 = require("../runs");
+const scraper_1 = require("../scraper");
+const syntheticpdf_1 = require("./syntheticpdf");
+// The documents linked from the register (in the order that they are linked) and the application
+// number and description of the single development application in each.
+const DocumentNames = ["a.pdf", "b.pdf", "c.pdf"];
+const Descriptions = new Map([["a.pdf", "DWELLING"], ["b.pdf", "SHED"], ["c.pdf", "CARPORT"]]);
+// The documents served as an HTML error page (with a successful status) instead of a PDF document.
+const CorruptDocumentNames = [];
+const CrawlCases = [
+    { name: "stops-at-time-budget", elapsedMinutes: 60, requested: ["a.pdf"], outcomes: ["a.pdf:parsed"] },
+    { name: "stops-at-memory-budget", memoryBudget: 1, requested: ["b.pdf"], outcomes: ["b.pdf:parsed"] },
+    {
+        name: "unparsed-documents-first",
+        lastChecked: { "a.pdf": "2019-01-02T00:00:00+10:30", "b.pdf": "2019-01-01T00:00:00+10:30" },
+        requested: ["c.pdf", "b.pdf", "a.pdf"],
+        outcomes: ["c.pdf:parsed", "b.pdf:unchanged", "a.pdf:unchanged"]
+    },
+    {
+        name: "least-recently-checked-first",
+        descriptions: { "b.pdf": "SHED AND CARPORT" },
+        lastChecked: { "a.pdf": "2019-01-03T00:00:00+10:30", "b.pdf": "2019-01-01T00:00:00+10:30", "c.pdf": "2019-01-02T00:00:00+10:30" },
+        requested: ["b.pdf", "c.pdf", "a.pdf"],
+        outcomes: ["b.pdf:parsed", "c.pdf:unchanged", "a.pdf:unchanged"]
+    },
+    {
+        name: "corrupt-document-rejected",
+        corrupt: ["d.pdf"],
+        lastChecked: { "a.pdf": "2019-01-03T00:00:00+10:30", "b.pdf": "2019-01-01T00:00:00+10:30", "c.pdf": "2019-01-02T00:00:00+10:30" },
+        requested: ["d.pdf", "b.pdf", "c.pdf", "a.pdf"],
+        outcomes: ["d.pdf:failed", "b.pdf:unchanged", "c.pdf:unchanged", "a.pdf:unchanged"],
+        rejected: ["d.pdf"]
+    },
+    {
+        name: "corrupt-document-not-retried",
+        lastChecked: { "a.pdf": "2019-01-01T00:00:00+10:30", "b.pdf": "2019-01-03T00:00:00+10:30", "c.pdf": "2019-01-04T00:00:00+10:30", "d.pdf": "2019-01-02T00:00:00+10:30" },
+        requested: ["a.pdf", "d.pdf", "b.pdf", "c.pdf"],
+        outcomes: ["a.pdf:unchanged", "d.pdf:unchanged", "b.pdf:unchanged", "c.pdf:unchanged"],
+        rejected: ["d.pdf"]
+    }
+];
+// Creates the contents of a document (containing a single development application).
+function createDocument(documentName) {
+    let applicationNumber = `${DocumentNames.indexOf(documentName) + 141}/17`;
+    return syntheticpdf_1.createPdf([{ rows: [[[applicationNumber], ["5/03/2017"], ["12"], ["3"], ["100"], ["ADMELLA ST, PORT MACDONNELL", "HD MACDONNELL"], [Descriptions.get(documentName)]]] }]);
+}
+// Starts the stub server (which serves the register page and each document, and records the
+// documents that were requested) on a free port.
+function startServer(requested) {
+    return new Promise(resolve => {
+        let server = http.createServer((request, response) => {
+            let name = request.url.substring(1);
+            if (request.url === "/register") {
+                response.writeHead(200, { "Content-Type": "text/html" });
+                response.end(`<html><body>${DocumentNames.map(documentName => `<h3 class="generic-list__title"><a href="/${documentName}">${documentName}</a></h3>`).join("")}</body></html>`);
+            }
+            else if (CorruptDocumentNames.includes(name)) {
+                requested.push(name);
+                response.writeHead(200, { "Content-Type": "text/html" });
+                response.end("<html><body><h1>Service Unavailable</h1></body></html>");
+            }
+            else if (Descriptions.has(name)) {
+                requested.push(name);
+                response.writeHead(200, { "Content-Type": "application/pdf" });
+                response.end(createDocument(name));
+            }
+            else {
+                response.writeHead(404);
+                response.end();
+            }
+        });
+        server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+// Runs a test case.  Returns a description of the difference from the expected results (or
+// undefined if there is no difference).
+async function runCrawlCase(crawlCase, council, database, requested) {
+    for (let documentName of Object.keys(crawlCase.descriptions || {}))
+        Descriptions.set(documentName, crawlCase.descriptions[documentName]);
+    for (let documentName of crawlCase.corrupt || []) {
+        DocumentNames.push(documentName);
+        CorruptDocumentNames.push(documentName);
+    }
+    for (let documentName of Object.keys(crawlCase.lastChecked || {}))
+        await database_1.runSql(database, "update [documents] set [last_checked] = ? where [url] = ?", [crawlCase.lastChecked[documentName], `${council.registerUrl.replace("/register", "")}/${documentName}`]);
+    let runId = await runs_1.startRun(database, "crawl", [council]);
+    let sinks = [scraper_1.createDatabaseSink(database, runId)];
+    let options = {
+        archiveDirectory: undefined,
+        timeBudget: 30,
+        memoryBudget: crawlCase.memoryBudget || 100000,
+        fetchOptions: Object.assign({}, fetcher_1.DefaultFetchOptions, { retryCount: 0, delay: 0, timeout: 5000 })
+    };
+    requested.length = 0;
+    await scraper_1.crawl(council, database, runId, options, Date.now() - (crawlCase.elapsedMinutes || 0) * 60 * 1000, sinks, sinks_1.createProgress(sinks), [], duplicates_1.createDuplicateTracker());
+    let outcomes = (await database_1.getRows(database, "select [url], [outcome] from [run_documents] where [run_id] = ? order by [rowid]", [runId])).map(row => `${path.basename(row.url)}:${row.outcome}`);
+    if (requested.join() !== crawlCase.requested.join())
+        return `expected the documents to be requested in the order (${crawlCase.requested.join(", ")}) but they were requested in the order (${requested.join(", ")})`;
+    if (outcomes.join() !== crawlCase.outcomes.join())
+        return `expected the outcomes (${crawlCase.outcomes.join(", ")}) but found (${outcomes.join(", ")})`;
+    let rejected = (await database_1.getRows(database, "select distinct [info_url] from [quarantine] where [scope] = 'page' order by [info_url]")).map(row => path.basename(row.info_url));
+    if (rejected.join() !== (crawlCase.rejected || []).join())
+        return `expected pages to be rejected from (${(crawlCase.rejected || []).join(", ")}) but they were rejected from (${rejected.join(", ")})`;
+    return undefined;
+}
+// Runs each test case in turn against the stub server (using an in-memory database).
+async function main() {
+    // The address information files are read relative to the current directory.
+    process.chdir(path.join(__dirname, ".."));
+    let requested = [];
+    let server = await startServer(requested);
+    let council = Object.assign({}, councils_1.GrantCouncil, { registerUrl: `http://127.0.0.1:${server.address().port}/register` });
+    let log = console.log;
+    let failureCount = 0;
+    try {
+        console.log = () => { }; // suppress the messages written while crawling
+        scraper_1.readAddressInformation(council);
+        let database = await scraper_1.initializeDatabase(":memory:");
+        for (let crawlCase of CrawlCases) {
+            console.log = () => { };
+            let difference = await runCrawlCase(crawlCase, council, database, requested);
+            console.log = log;
+            if (difference === undefined)
+                console.log(`PASS ${crawlCase.name}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${crawlCase.name}: ${difference}.`);
+            }
+        }
+        database.close();
+    }
+    finally {
+        console.log = log;
+        server.close();
+    }
+    console.log(`${CrawlCases.length - failureCount} of ${CrawlCases.length} crawl ${(CrawlCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY3Jhd2wuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJjcmF3bC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxtR0FBbUc7QUFDbkcsMkZBQTJGO0FBQzNGLGlHQUFpRztBQUNqRyxrR0FBa0c7QUFDbEcsaUdBQWlHO0FBQ2pHLGtHQUFrRztBQUNsRyxzRUFBc0U7QUFDdEUsRUFBRTtBQUNGLFNBQVM7QUFDVCxFQUFFO0FBQ0YseUJBQXlCO0FBRXpCLFlBQVksQ0FBQzs7QUFFYiw2QkFBNkI7QUFDN0IsNkJBQTZCO0FBQzdCLDBDQUEyRDtBQUMzRCx3Q0FBaUQ7QUFDakQsMENBQThDO0FBQzlDLG9DQUEwQztBQUMxQyw4Q0FBdUQ7QUFDdkQsa0NBQW1DO0FBQ25DLHdDQUFtRztBQUNuRyxpREFBMkM7QUFJM0MsaUdBQWlHO0FBQ2pHLHdFQUF3RTtBQUV4RSxNQUFNLGFBQWEsR0FBRyxDQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFFLENBQUM7QUFFcEQsTUFBTSxZQUFZLEdBQUcsSUFBSSxHQUFHLENBQWlCLENBQUUsQ0FBRSxPQUFPLEVBQUUsVUFBVSxDQUFFLEVBQUUsQ0FBRSxPQUFPLEVBQUUsTUFBTSxDQUFFLEVBQUUsQ0FBRSxPQUFPLEVBQUUsU0FBUyxDQUFFLENBQUUsQ0FBQyxDQUFDO0FBRXZILG1HQUFtRztBQUVuRyxNQUFNLG9CQUFvQixHQUFhLEVBQUUsQ0FBQztBQXFCMUMsTUFBTSxVQUFVLEdBQWdCO0lBQzVCLEVBQUUsSUFBSSxFQUFFLHNCQUFzQixFQUFFLGNBQWMsRUFBRSxFQUFFLEVBQUUsU0FBUyxFQUFFLENBQUUsT0FBTyxDQUFFLEVBQUUsUUFBUSxFQUFFLENBQUUsY0FBYyxDQUFFLEVBQUU7SUFDMUcsRUFBRSxJQUFJLEVBQUUsd0JBQXdCLEVBQUUsWUFBWSxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsQ0FBRSxPQUFPLENBQUUsRUFBRSxRQUFRLEVBQUUsQ0FBRSxjQUFjLENBQUUsRUFBRTtJQUN6RztRQUNJLElBQUksRUFBRSwwQkFBMEI7UUFDaEMsV0FBVyxFQUFFLEVBQUUsT0FBTyxFQUFFLDJCQUEyQixFQUFFLE9BQU8sRUFBRSwyQkFBMkIsRUFBRTtRQUMzRixTQUFTLEVBQUUsQ0FBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBRTtRQUN4QyxRQUFRLEVBQUUsQ0FBRSxjQUFjLEVBQUUsaUJBQWlCLEVBQUUsaUJBQWlCLENBQUU7S0FDckU7SUFDRDtRQUNJLElBQUksRUFBRSw4QkFBOEI7UUFDcEMsWUFBWSxFQUFFLEVBQUUsT0FBTyxFQUFFLGtCQUFrQixFQUFFO1FBQzdDLFdBQVcsRUFBRSxFQUFFLE9BQU8sRUFBRSwyQkFBMkIsRUFBRSxPQUFPLEVBQUUsMkJBQTJCLEVBQUUsT0FBTyxFQUFFLDJCQUEyQixFQUFFO1FBQ2pJLFNBQVMsRUFBRSxDQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFFO1FBQ3hDLFFBQVEsRUFBRSxDQUFFLGNBQWMsRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsQ0FBRTtLQUNyRTtJQUNEO1FBQ0ksSUFBSSxFQUFFLDJCQUEyQjtRQUNqQyxPQUFPLEVBQUUsQ0FBRSxPQUFPLENBQUU7UUFDcEIsV0FBVyxFQUFFLEVBQUUsT0FBTyxFQUFFLDJCQUEyQixFQUFFLE9BQU8sRUFBRSwyQkFBMkIsRUFBRSxPQUFPLEVBQUUsMkJBQTJCLEVBQUU7UUFDakksU0FBUyxFQUFFLENBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFFO1FBQ2pELFFBQVEsRUFBRSxDQUFFLGNBQWMsRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsQ0FBRTtRQUNyRixRQUFRLEVBQUUsQ0FBRSxPQUFPLENBQUU7S0FDeEI7SUFDRDtRQUNJLElBQUksRUFBRSw4QkFBOEI7UUFDcEMsV0FBVyxFQUFFLEVBQUUsT0FBTyxFQUFFLDJCQUEyQixFQUFFLE9BQU8sRUFBRSwyQkFBMkIsRUFBRSxPQUFPLEVBQUUsMkJBQTJCLEVBQUUsT0FBTyxFQUFFLDJCQUEyQixFQUFFO1FBQ3ZLLFNBQVMsRUFBRSxDQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBRTtRQUNqRCxRQUFRLEVBQUUsQ0FBRSxpQkFBaUIsRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsQ0FBRTtRQUN4RixRQUFRLEVBQUUsQ0FBRSxPQUFPLENBQUU7S0FDeEI7Q0FDSixDQUFDO0FBRUYsb0ZBQW9GO0FBRXBGLFNBQVMsY0FBYyxDQUFDLFlBQW9CO0lBQ3hDLElBQUksaUJBQWlCLEdBQUcsR0FBRyxhQUFhLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxHQUFHLEdBQUcsS0FBSyxDQUFDO0lBQzFFLE9BQU8sd0JBQVMsQ0FBQyxDQUFFLEVBQUUsSUFBSSxFQUFFLENBQUUsQ0FBRSxDQUFFLGlCQUFpQixDQUFFLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxDQUFFLElBQUksQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxLQUFLLENBQUUsRUFBRSxDQUFFLDZCQUE2QixFQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBRSxDQUFFLENBQUUsRUFBRSxDQUFFLENBQUMsQ0FBQztBQUN6TSxDQUFDO0FBRUQsNEZBQTRGO0FBQzVGLGlEQUFpRDtBQUVqRCxTQUFTLFdBQVcsQ0FBQyxTQUFtQjtJQUNwQyxPQUFPLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFO1FBQ3pCLElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxPQUFPLEVBQUUsUUFBUSxFQUFFLEVBQUU7WUFDakQsSUFBSSxJQUFJLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDcEMsSUFBSSxPQUFPLENBQUMsR0FBRyxLQUFLLFdBQVcsRUFBRTtnQkFDN0IsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxjQUFjLEVBQUUsV0FBVyxFQUFFLENBQUMsQ0FBQztnQkFDekQsUUFBUSxDQUFDLEdBQUcsQ0FBQyxlQUFlLGFBQWEsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLEVBQUUsQ0FBQyw2Q0FBNkMsWUFBWSxLQUFLLFlBQVksV0FBVyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO2FBQ2xMO2lCQUFNLElBQUksb0JBQW9CLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxFQUFFO2dCQUM1QyxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO2dCQUNyQixRQUFRLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRSxFQUFFLGNBQWMsRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDO2dCQUN6RCxRQUFRLENBQUMsR0FBRyxDQUFDLHdEQUF3RCxDQUFDLENBQUM7YUFDMUU7aUJBQU0sSUFBSSxZQUFZLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFO2dCQUMvQixTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO2dCQUNyQixRQUFRLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRSxFQUFFLGNBQWMsRUFBRSxpQkFBaUIsRUFBRSxDQUFDLENBQUM7Z0JBQy9ELFFBQVEsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7YUFDdEM7aUJBQU07Z0JBQ0gsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQztnQkFDeEIsUUFBUSxDQUFDLEdBQUcsRUFBRSxDQUFDO2FBQ2xCO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxXQUFXLEVBQUUsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDekQsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsMkZBQTJGO0FBQzNGLHdDQUF3QztBQUV4QyxLQUFLLFVBQVUsWUFBWSxDQUFDLFNBQW9CLEVBQUUsT0FBdUIsRUFBRSxRQUFRLEVBQUUsU0FBbUI7SUFDcEcsS0FBSyxJQUFJLFlBQVksSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxZQUFZLElBQUksRUFBRSxDQUFDO1FBQzlELFlBQVksQ0FBQyxHQUFHLENBQUMsWUFBWSxFQUFFLFNBQVMsQ0FBQyxZQUFZLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUN6RSxLQUFLLElBQUksWUFBWSxJQUFJLFNBQVMsQ0FBQyxPQUFPLElBQUksRUFBRSxFQUFFO1FBQzlDLGFBQWEsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUM7UUFDakMsb0JBQW9CLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDO0tBQzNDO0lBQ0QsS0FBSyxJQUFJLFlBQVksSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDO1FBQzdELE1BQU0saUJBQU0sQ0FBQyxRQUFRLEVBQUUsMkRBQTJELEVBQUUsQ0FBRSxTQUFTLENBQUMsV0FBVyxDQUFDLFlBQVksQ0FBQyxFQUFFLEdBQUcsT0FBTyxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsV0FBVyxFQUFFLEVBQUUsQ0FBQyxJQUFJLFlBQVksRUFBRSxDQUFFLENBQUMsQ0FBQztJQUVwTSxJQUFJLEtBQUssR0FBRyxNQUFNLGVBQVEsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLENBQUUsT0FBTyxDQUFFLENBQUMsQ0FBQztJQUMzRCxJQUFJLEtBQUssR0FBRyxDQUFFLDRCQUFrQixDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBRSxDQUFDO0lBQ3BELElBQUksT0FBTyxHQUFHO1FBQ1YsZ0JBQWdCLEVBQUUsU0FBUztRQUMzQixVQUFVLEVBQUUsRUFBRTtRQUNkLFlBQVksRUFBRSxTQUFTLENBQUMsWUFBWSxJQUFJLE1BQU07UUFDOUMsWUFBWSxvQkFBTyw2QkFBbUIsSUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsT0FBTyxFQUFFLElBQUksR0FBRTtLQUNuRixDQUFDO0lBQ0YsU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7SUFDckIsTUFBTSxlQUFLLENBQUMsT0FBTyxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyxjQUFjLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLElBQUksRUFBRSxLQUFLLEVBQUUsc0JBQWMsQ0FBQyxLQUFLLENBQUMsRUFBRSxFQUFFLEVBQUUsbUNBQXNCLEVBQUUsQ0FBQyxDQUFDO0lBRXJLLElBQUksUUFBUSxHQUFHLENBQUMsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSxrRkFBa0YsRUFBRSxDQUFFLEtBQUssQ0FBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBQy9MLElBQUksU0FBUyxDQUFDLElBQUksRUFBRSxLQUFLLFNBQVMsQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFO1FBQy9DLE9BQU8sd0RBQXdELFNBQVMsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQywyQ0FBMkMsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDO0lBQ3BLLElBQUksUUFBUSxDQUFDLElBQUksRUFBRSxLQUFLLFNBQVMsQ0FBQyxRQUFRLENBQUMsSUFBSSxFQUFFO1FBQzdDLE9BQU8sMEJBQTBCLFNBQVMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDO0lBQ3pHLElBQUksUUFBUSxHQUFHLENBQUMsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSx5RkFBeUYsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztJQUM1SyxJQUFJLFFBQVEsQ0FBQyxJQUFJLEVBQUUsS0FBSyxDQUFDLFNBQVMsQ0FBQyxRQUFRLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFO1FBQ3JELE9BQU8sdUNBQXVDLENBQUMsU0FBUyxDQUFDLFFBQVEsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGtDQUFrQyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUM7SUFDaEosT0FBTyxTQUFTLENBQUM7QUFDckIsQ0FBQztBQUVELHFGQUFxRjtBQUVyRixLQUFLLFVBQVUsSUFBSTtJQUNmLDRFQUE0RTtJQUU1RSxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUM7SUFFMUMsSUFBSSxTQUFTLEdBQWEsRUFBRSxDQUFDO0lBQzdCLElBQUksTUFBTSxHQUFHLE1BQU0sV0FBVyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQzFDLElBQUksT0FBTyxxQkFBd0IsdUJBQVksSUFBRSxXQUFXLEVBQUUsb0JBQXVDLE1BQU0sQ0FBQyxPQUFPLEVBQUcsQ0FBQyxJQUFJLFdBQVcsR0FBRSxDQUFDO0lBRXpJLElBQUksR0FBRyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7SUFDdEIsSUFBSSxZQUFZLEdBQUcsQ0FBQyxDQUFDO0lBQ3JCLElBQUk7UUFDQSxPQUFPLENBQUMsR0FBRyxHQUFHLEdBQUcsRUFBRSxHQUFFLENBQUMsQ0FBQyxDQUFFLCtDQUErQztRQUN4RSxnQ0FBc0IsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNoQyxJQUFJLFFBQVEsR0FBRyxNQUFNLDRCQUFrQixDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ3BELEtBQUssSUFBSSxTQUFTLElBQUksVUFBVSxFQUFFO1lBQzlCLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxFQUFFLEdBQUUsQ0FBQyxDQUFDO1lBQ3ZCLElBQUksVUFBVSxHQUFHLE1BQU0sWUFBWSxDQUFDLFNBQVMsRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLFNBQVMsQ0FBQyxDQUFDO1lBQzdFLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDO1lBQ2xCLElBQUksVUFBVSxLQUFLLFNBQVM7Z0JBQ3hCLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxTQUFTLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQztpQkFDdEM7Z0JBQ0QsWUFBWSxFQUFFLENBQUM7Z0JBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLFNBQVMsQ0FBQyxJQUFJLEtBQUssVUFBVSxHQUFHLENBQUMsQ0FBQzthQUN6RDtTQUNKO1FBQ0QsUUFBUSxDQUFDLEtBQUssRUFBRSxDQUFDO0tBQ3BCO1lBQVM7UUFDTixPQUFPLENBQUMsR0FBRyxHQUFHLEdBQUcsQ0FBQztRQUNsQixNQUFNLENBQUMsS0FBSyxFQUFFLENBQUM7S0FDbEI7SUFFRCxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsVUFBVSxDQUFDLE1BQU0sR0FBRyxZQUFZLE9BQU8sVUFBVSxDQUFDLE1BQU0sVUFBVSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsT0FBTyxVQUFVLENBQUMsQ0FBQztJQUN6SSxPQUFPLFlBQVksQ0FBQztBQUN4QixDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
@@ -0,0 +1,198 @@
+// Tests the crawl of a register (served by a local stub server) over several runs against the same
+// database: documents that have never been parsed are processed first (in the order of the
+// register), followed by the previously parsed documents (those checked least recently first), a
+// run stops once its time or memory budget is exhausted (after processing at least one document),
+// a document whose content has not changed since it was parsed is not parsed again and a corrupt
+// document (an error page served in place of the PDF) is rejected without stopping the run and is
+// not retried ahead of the other documents until its content changes.
+//
+// Usage:
+//
+//     node test/crawl.js
+
+"use strict";
+
+import * as path from "path";
+import * as http from "http";
+import { CouncilAdapter, GrantCouncil } from "../councils";
+import { DefaultFetchOptions } from "../fetcher";
+import { getRows, runSql } from "../database";
+import { createProgress } from "../sinks";
+import { createDuplicateTracker } from "../duplicates";
+import { startRun } from "../runs";
+import { initializeDatabase, createDatabaseSink, readAddressInformation, crawl } from "../scraper";
+import { createPdf } from "./syntheticpdf";
+
+declare const process: any;
+
+// The documents linked from the register (in the order that they are linked) and the application
+// number and description of the single development application in each.
+
+const DocumentNames = [ "a.pdf", "b.pdf", "c.pdf" ];
+
+const Descriptions = new Map<string, string>([ [ "a.pdf", "DWELLING" ], [ "b.pdf", "SHED" ], [ "c.pdf", "CARPORT" ] ]);
+
+// The documents served as an HTML error page (with a successful status) instead of a PDF document.
+
+const CorruptDocumentNames: string[] = [];
+
+// A test case: a run of the crawler (each run continues from the database left by the previous
+// run).  Before the run the contents of documents may be changed, corrupt documents may be added to
+// the register and the times at which documents were last checked may be set, and the run may be
+// given an exhausted time budget or a memory budget that is already exceeded.  The documents that
+// must be requested (in order) and the outcome recorded for each are then checked, along with the
+// documents from which a page has been rejected (in the quarantine table) by the end of the run.
+
+interface CrawlCase {
+    name: string,
+    descriptions?: { [documentName: string]: string },
+    corrupt?: string[],
+    lastChecked?: { [documentName: string]: string },
+    elapsedMinutes?: number,
+    memoryBudget?: number,
+    requested: string[],
+    outcomes: string[],
+    rejected?: string[]
+}
+
+const CrawlCases: CrawlCase[] = [
+    { name: "stops-at-time-budget", elapsedMinutes: 60, requested: [ "a.pdf" ], outcomes: [ "a.pdf:parsed" ] },
+    { name: "stops-at-memory-budget", memoryBudget: 1, requested: [ "b.pdf" ], outcomes: [ "b.pdf:parsed" ] },
+    {
+        name: "unparsed-documents-first",
+        lastChecked: { "a.pdf": "2019-01-02T00:00:00+10:30", "b.pdf": "2019-01-01T00:00:00+10:30" },
+        requested: [ "c.pdf", "b.pdf", "a.pdf" ],
+        outcomes: [ "c.pdf:parsed", "b.pdf:unchanged", "a.pdf:unchanged" ]
+    },
+    {
+        name: "least-recently-checked-first",
+        descriptions: { "b.pdf": "SHED AND CARPORT" },
+        lastChecked: { "a.pdf": "2019-01-03T00:00:00+10:30", "b.pdf": "2019-01-01T00:00:00+10:30", "c.pdf": "2019-01-02T00:00:00+10:30" },
+        requested: [ "b.pdf", "c.pdf", "a.pdf" ],
+        outcomes: [ "b.pdf:parsed", "c.pdf:unchanged", "a.pdf:unchanged" ]
+    },
+    {
+        name: "corrupt-document-rejected",
+        corrupt: [ "d.pdf" ],
+        lastChecked: { "a.pdf": "2019-01-03T00:00:00+10:30", "b.pdf": "2019-01-01T00:00:00+10:30", "c.pdf": "2019-01-02T00:00:00+10:30" },
+        requested: [ "d.pdf", "b.pdf", "c.pdf", "a.pdf" ],
+        outcomes: [ "d.pdf:failed", "b.pdf:unchanged", "c.pdf:unchanged", "a.pdf:unchanged" ],
+        rejected: [ "d.pdf" ]
+    },
+    {
+        name: "corrupt-document-not-retried",
+        lastChecked: { "a.pdf": "2019-01-01T00:00:00+10:30", "b.pdf": "2019-01-03T00:00:00+10:30", "c.pdf": "2019-01-04T00:00:00+10:30", "d.pdf": "2019-01-02T00:00:00+10:30" },
+        requested: [ "a.pdf", "d.pdf", "b.pdf", "c.pdf" ],
+        outcomes: [ "a.pdf:unchanged", "d.pdf:unchanged", "b.pdf:unchanged", "c.pdf:unchanged" ],
+        rejected: [ "d.pdf" ]
+    }
+];
+
+// Creates the contents of a document (containing a single development application).
+
+function createDocument(documentName: string) {
+    let applicationNumber = `${DocumentNames.indexOf(documentName) + 141}/17`;
+    return createPdf([ { rows: [ [ [ applicationNumber ], [ "5/03/2017" ], [ "12" ], [ "3" ], [ "100" ], [ "ADMELLA ST, PORT MACDONNELL", "HD MACDONNELL" ], [ Descriptions.get(documentName) ] ] ] } ]);
+}
+
+// Starts the stub server (which serves the register page and each document, and records the
+// documents that were requested) on a free port.
+
+function startServer(requested: string[]): Promise<http.Server> {
+    return new Promise(resolve => {
+        let server = http.createServer((request, response) => {
+            let name = request.url.substring(1);
+            if (request.url === "/register") {
+                response.writeHead(200, { "Content-Type": "text/html" });
+                response.end(`<html><body>${DocumentNames.map(documentName => `<h3 class="generic-list__title"><a href="/${documentName}">${documentName}</a></h3>`).join("")}</body></html>`);
+            } else if (CorruptDocumentNames.includes(name)) {
+                requested.push(name);
+                response.writeHead(200, { "Content-Type": "text/html" });
+                response.end("<html><body><h1>Service Unavailable</h1></body></html>");
+            } else if (Descriptions.has(name)) {
+                requested.push(name);
+                response.writeHead(200, { "Content-Type": "application/pdf" });
+                response.end(createDocument(name));
+            } else {
+                response.writeHead(404);
+                response.end();
+            }
+        });
+        server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+
+// Runs a test case.  Returns a description of the difference from the expected results (or
+// undefined if there is no difference).
+
+async function runCrawlCase(crawlCase: CrawlCase, council: CouncilAdapter, database, requested: string[]) {
+    for (let documentName of Object.keys(crawlCase.descriptions || {}))
+        Descriptions.set(documentName, crawlCase.descriptions[documentName]);
+    for (let documentName of crawlCase.corrupt || []) {
+        DocumentNames.push(documentName);
+        CorruptDocumentNames.push(documentName);
+    }
+    for (let documentName of Object.keys(crawlCase.lastChecked || {}))
+        await runSql(database, "update [documents] set [last_checked] = ? where [url] = ?", [ crawlCase.lastChecked[documentName], `${council.registerUrl.replace("/register", "")}/${documentName}` ]);
+
+    let runId = await startRun(database, "crawl", [ council ]);
+    let sinks = [ createDatabaseSink(database, runId) ];
+    let options = {
+        archiveDirectory: undefined,
+        timeBudget: 30,
+        memoryBudget: crawlCase.memoryBudget || 100000,
+        fetchOptions: { ...DefaultFetchOptions, retryCount: 0, delay: 0, timeout: 5000 }
+    };
+    requested.length = 0;
+    await crawl(council, database, runId, options, Date.now() - (crawlCase.elapsedMinutes || 0) * 60 * 1000, sinks, createProgress(sinks), [], createDuplicateTracker());
+
+    let outcomes = (await getRows(database, "select [url], [outcome] from [run_documents] where [run_id] = ? order by [rowid]", [ runId ])).map(row => `${path.basename(row.url)}:${row.outcome}`);
+    if (requested.join() !== crawlCase.requested.join())
+        return `expected the documents to be requested in the order (${crawlCase.requested.join(", ")}) but they were requested in the order (${requested.join(", ")})`;
+    if (outcomes.join() !== crawlCase.outcomes.join())
+        return `expected the outcomes (${crawlCase.outcomes.join(", ")}) but found (${outcomes.join(", ")})`;
+    let rejected = (await getRows(database, "select distinct [info_url] from [quarantine] where [scope] = 'page' order by [info_url]")).map(row => path.basename(row.info_url));
+    if (rejected.join() !== (crawlCase.rejected || []).join())
+        return `expected pages to be rejected from (${(crawlCase.rejected || []).join(", ")}) but they were rejected from (${rejected.join(", ")})`;
+    return undefined;
+}
+
+// Runs each test case in turn against the stub server (using an in-memory database).
+
+async function main() {
+    // The address information files are read relative to the current directory.
+
+    process.chdir(path.join(__dirname, ".."));
+
+    let requested: string[] = [];
+    let server = await startServer(requested);
+    let council: CouncilAdapter = { ...GrantCouncil, registerUrl: `http://127.0.0.1:${(<{ port: number }>server.address()).port}/register` };
+
+    let log = console.log;
+    let failureCount = 0;
+    try {
+        console.log = () => {};  // suppress the messages written while crawling
+        readAddressInformation(council);
+        let database = await initializeDatabase(":memory:");
+        for (let crawlCase of CrawlCases) {
+            console.log = () => {};
+            let difference = await runCrawlCase(crawlCase, council, database, requested);
+            console.log = log;
+            if (difference === undefined)
+                console.log(`PASS ${crawlCase.name}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${crawlCase.name}: ${difference}.`);
+            }
+        }
+        database.close();
+    } finally {
+        console.log = log;
+        server.close();
+    }
+
+    console.log(`${CrawlCases.length - failureCount} of ${CrawlCases.length} crawl ${(CrawlCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
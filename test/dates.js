@@ -0,0 +1,56 @@
+// Tests for the parsing of received dates (the formats used by the registers, dates split across
+// several text elements, stray characters, the range validation and the cross-check against the
+// year in the application number).
+//
+// Usage:
+//
+//     node test/dates.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const moment = require("moment");
+const dates_1 = require("../dates");
+// The current date used by every test case (so that the results do not change over time).
+const Today = moment("2019-06-30", "YYYY-MM-DD", true);
+const DateCases = [
+    { texts: ["5/03/2019"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["5/3/2019"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["05/03/19"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["5-03-2019"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["5.3.19"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["5 Mar 2019"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["5 MARCH 2019"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["5/03/", "2019"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["5", "/03/2019"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["5/03/2019*"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["'5 /03/2019"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["Rec 5/03/2019 (amended)"], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: ["31/02/2019"], applicationNumber: "141/19", receivedDate: "", codes: ["invalid-received-date"] },
+    { texts: ["SOON"], applicationNumber: "141/19", receivedDate: "", codes: ["invalid-received-date"] },
+    { texts: [], applicationNumber: "141/19", receivedDate: "", codes: ["missing-received-date"] },
+    { texts: ["-"], applicationNumber: "141/19", receivedDate: "", codes: ["missing-received-date"] },
+    { texts: ["1/07/2019"], applicationNumber: "141/19", receivedDate: "", codes: ["future-received-date"] },
+    { texts: ["30/06/2019"], applicationNumber: "141/19", receivedDate: "2019-06-30", codes: [] },
+    { texts: ["5/03/1919"], applicationNumber: "141/19", receivedDate: "", codes: ["implausible-received-date"] },
+    { texts: ["5/03/2018"], applicationNumber: "141/17", receivedDate: "2018-03-05", codes: ["received-date-year-mismatch"] },
+    { texts: ["5/03/2017"], applicationNumber: "141/2017", receivedDate: "2017-03-05", codes: [] },
+    { texts: ["5/03/2017"], applicationNumber: "LU141", receivedDate: "2017-03-05", codes: [] }
+];
+// Runs each test case.
+function main() {
+    let failureCount = 0;
+    for (let dateCase of DateCases) {
+        let name = `${JSON.stringify(dateCase.texts)} for "${dateCase.applicationNumber}"`;
+        let { receivedDate, issues } = dates_1.parseReceivedDate(dateCase.texts, dateCase.applicationNumber, Today);
+        let codes = issues.map(issue => issue.code);
+        if (receivedDate === dateCase.receivedDate && codes.join() === dateCase.codes.join())
+            console.log(`PASS ${name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${name}: expected "${dateCase.receivedDate}" (${dateCase.codes.join(", ") || "no problems"}) but parsed "${receivedDate}" (${codes.join(", ") || "no problems"}).`);
+        }
+    }
+    console.log(`${DateCases.length - failureCount} of ${DateCases.length} date ${(DateCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+process.exitCode = (main() === 0) ? 0 : 1;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGF0ZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJkYXRlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxpR0FBaUc7QUFDakcsZ0dBQWdHO0FBQ2hHLG1DQUFtQztBQUNuQyxFQUFFO0FBQ0YsU0FBUztBQUNULEVBQUU7QUFDRix5QkFBeUI7QUFFekIsWUFBWSxDQUFDOztBQUViLGlDQUFpQztBQUNqQyxvQ0FBNkM7QUFJN0MsMEZBQTBGO0FBRTFGLE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxZQUFZLEVBQUUsWUFBWSxFQUFFLElBQUksQ0FBQyxDQUFDO0FBWXZELE1BQU0sU0FBUyxHQUFlO0lBQzFCLEVBQUUsS0FBSyxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRTtJQUM5RixFQUFFLEtBQUssRUFBRSxDQUFFLFVBQVUsQ0FBRSxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUU7SUFDN0YsRUFBRSxLQUFLLEVBQUUsQ0FBRSxVQUFVLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFO0lBQzdGLEVBQUUsS0FBSyxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRTtJQUM5RixFQUFFLEtBQUssRUFBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUU7SUFDM0YsRUFBRSxLQUFLLEVBQUUsQ0FBRSxZQUFZLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFO0lBQy9GLEVBQUUsS0FBSyxFQUFFLENBQUUsY0FBYyxDQUFFLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRTtJQUNqRyxFQUFFLEtBQUssRUFBRSxDQUFFLE9BQU8sRUFBRSxNQUFNLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFO0lBQ2xHLEVBQUUsS0FBSyxFQUFFLENBQUUsR0FBRyxFQUFFLFVBQVUsQ0FBRSxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUU7SUFDbEcsRUFBRSxLQUFLLEVBQUUsQ0FBRSxZQUFZLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFO0lBQy9GLEVBQUUsS0FBSyxFQUFFLENBQUUsYUFBYSxDQUFFLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRTtJQUNoRyxFQUFFLEtBQUssRUFBRSxDQUFFLHlCQUF5QixDQUFFLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRTtJQUM1RyxFQUFFLEtBQUssRUFBRSxDQUFFLFlBQVksQ0FBRSxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxDQUFFLHVCQUF1QixDQUFFLEVBQUU7SUFDOUcsRUFBRSxLQUFLLEVBQUUsQ0FBRSxNQUFNLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsQ0FBRSx1QkFBdUIsQ0FBRSxFQUFFO0lBQ3hHLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsQ0FBRSx1QkFBdUIsQ0FBRSxFQUFFO0lBQ2hHLEVBQUUsS0FBSyxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLENBQUUsdUJBQXVCLENBQUUsRUFBRTtJQUNyRyxFQUFFLEtBQUssRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxDQUFFLHNCQUFzQixDQUFFLEVBQUU7SUFDNUcsRUFBRSxLQUFLLEVBQUUsQ0FBRSxZQUFZLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFO0lBQy9GLEVBQUUsS0FBSyxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLENBQUUsMkJBQTJCLENBQUUsRUFBRTtJQUNqSCxFQUFFLEtBQUssRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLEtBQUssRUFBRSxDQUFFLDZCQUE2QixDQUFFLEVBQUU7SUFDN0gsRUFBRSxLQUFLLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFO0lBQ2hHLEVBQUUsS0FBSyxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsaUJBQWlCLEVBQUUsT0FBTyxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRTtDQUNoRyxDQUFDO0FBRUYsdUJBQXVCO0FBRXZCLFNBQVMsSUFBSTtJQUNULElBQUksWUFBWSxHQUFHLENBQUMsQ0FBQztJQUNyQixLQUFLLElBQUksUUFBUSxJQUFJLFNBQVMsRUFBRTtRQUM1QixJQUFJLElBQUksR0FBRyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxTQUFTLFFBQVEsQ0FBQyxpQkFBaUIsR0FBRyxDQUFDO1FBQ25GLElBQUksRUFBRSxZQUFZLEVBQUUsTUFBTSxFQUFFLEdBQUcseUJBQWlCLENBQUMsUUFBUSxDQUFDLEtBQUssRUFBRSxRQUFRLENBQUMsaUJBQWlCLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDcEcsSUFBSSxLQUFLLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUM1QyxJQUFJLFlBQVksS0FBSyxRQUFRLENBQUMsWUFBWSxJQUFJLEtBQUssQ0FBQyxJQUFJLEVBQUUsS0FBSyxRQUFRLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRTtZQUNoRixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsSUFBSSxHQUFHLENBQUMsQ0FBQzthQUM1QjtZQUNELFlBQVksRUFBRSxDQUFDO1lBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLElBQUksZUFBZSxRQUFRLENBQUMsWUFBWSxNQUFNLFFBQVEsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLGFBQWEsaUJBQWlCLFlBQVksTUFBTSxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLGFBQWEsSUFBSSxDQUFDLENBQUM7U0FDekw7S0FDSjtJQUVELE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxTQUFTLENBQUMsTUFBTSxHQUFHLFlBQVksT0FBTyxTQUFTLENBQUMsTUFBTSxTQUFTLENBQUMsU0FBUyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxPQUFPLFVBQVUsQ0FBQyxDQUFDO0lBQ3JJLE9BQU8sWUFBWSxDQUFDO0FBQ3hCLENBQUM7QUFFRCxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDIn0=
\ No newline at end of file
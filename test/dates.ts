@@ -0,0 +1,75 @@
+// Tests for the parsing of received dates (the formats used by the registers, dates split across
+// several text elements, stray characters, the range validation and the cross-check against the
+// year in the application number).
+//
+// Usage:
+//
+//     node test/dates.js
+
+"use strict";
+
+import * as moment from "moment";
+import { parseReceivedDate } from "../dates";
+
+declare const process: any;
+
+// The current date used by every test case (so that the results do not change over time).
+
+const Today = moment("2019-06-30", "YYYY-MM-DD", true);
+
+// A test case: the text elements of a received date cell, the application number and the expected
+// date ("YYYY-MM-DD", or an empty string) and problem codes.
+
+interface DateCase {
+    texts: string[],
+    applicationNumber: string,
+    receivedDate: string,
+    codes: string[]
+}
+
+const DateCases: DateCase[] = [
+    { texts: [ "5/03/2019" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "5/3/2019" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "05/03/19" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "5-03-2019" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "5.3.19" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "5 Mar 2019" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "5 MARCH 2019" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "5/03/", "2019" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "5", "/03/2019" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "5/03/2019*" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "'5 /03/2019" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "Rec 5/03/2019 (amended)" ], applicationNumber: "141/19", receivedDate: "2019-03-05", codes: [] },
+    { texts: [ "31/02/2019" ], applicationNumber: "141/19", receivedDate: "", codes: [ "invalid-received-date" ] },
+    { texts: [ "SOON" ], applicationNumber: "141/19", receivedDate: "", codes: [ "invalid-received-date" ] },
+    { texts: [], applicationNumber: "141/19", receivedDate: "", codes: [ "missing-received-date" ] },
+    { texts: [ "-" ], applicationNumber: "141/19", receivedDate: "", codes: [ "missing-received-date" ] },
+    { texts: [ "1/07/2019" ], applicationNumber: "141/19", receivedDate: "", codes: [ "future-received-date" ] },
+    { texts: [ "30/06/2019" ], applicationNumber: "141/19", receivedDate: "2019-06-30", codes: [] },
+    { texts: [ "5/03/1919" ], applicationNumber: "141/19", receivedDate: "", codes: [ "implausible-received-date" ] },
+    { texts: [ "5/03/2018" ], applicationNumber: "141/17", receivedDate: "2018-03-05", codes: [ "received-date-year-mismatch" ] },
+    { texts: [ "5/03/2017" ], applicationNumber: "141/2017", receivedDate: "2017-03-05", codes: [] },
+    { texts: [ "5/03/2017" ], applicationNumber: "LU141", receivedDate: "2017-03-05", codes: [] }
+];
+
+// Runs each test case.
+
+function main() {
+    let failureCount = 0;
+    for (let dateCase of DateCases) {
+        let name = `${JSON.stringify(dateCase.texts)} for "${dateCase.applicationNumber}"`;
+        let { receivedDate, issues } = parseReceivedDate(dateCase.texts, dateCase.applicationNumber, Today);
+        let codes = issues.map(issue => issue.code);
+        if (receivedDate === dateCase.receivedDate && codes.join() === dateCase.codes.join())
+            console.log(`PASS ${name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${name}: expected "${dateCase.receivedDate}" (${dateCase.codes.join(", ") || "no problems"}) but parsed "${receivedDate}" (${codes.join(", ") || "no problems"}).`);
+        }
+    }
+
+    console.log(`${DateCases.length - failureCount} of ${DateCases.length} date ${(DateCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+process.exitCode = (main() === 0) ? 0 : 1;
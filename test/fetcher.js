@@ -0,0 +1,176 @@
+// Tests for the HTTP layer, run against a local stub server that fails, stalls and validates
+// conditional requests on demand.
+//
+// Usage:
+//
+//     node test/fetcher.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const fetcher_1 = require("../fetcher");
+// Throws an error if the condition is not met.
+function check(condition, message) {
+    if (!condition)
+        throw new Error(message);
+}
+// Determines whether an asynchronous action throws an error.
+async function throws(action) {
+    try {
+        await action();
+        return false;
+    }
+    catch (error) {
+        return true;
+    }
+}
+const FetcherCases = [
+    {
+        name: "retries-transient-failures",
+        path: "/flaky.pdf",
+        handler: (request, response, requestNumber) => {
+            response.writeHead((requestNumber <= 2) ? 503 : 200);
+            response.end((requestNumber <= 2) ? "unavailable" : "document");
+        },
+        run: async (url, options, getRequestCount) => {
+            let result = await fetcher_1.fetchUrl(url, options);
+            check(result.body.toString() === "document", `expected "document" but received "${result.body.toString()}"`);
+            check(getRequestCount() === 3, `expected 3 requests but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "gives-up-after-retries",
+        path: "/broken.pdf",
+        handler: (request, response) => { response.writeHead(500); response.end(); },
+        run: async (url, options, getRequestCount) => {
+            check(await throws(() => fetcher_1.fetchUrl(url, Object.assign({}, options, { retryCount: 2 }))), "expected an error");
+            check(getRequestCount() === 3, `expected 3 requests but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "does-not-retry-missing-documents",
+        path: "/missing.pdf",
+        handler: (request, response) => { response.writeHead(404); response.end(); },
+        run: async (url, options, getRequestCount) => {
+            check(await throws(() => fetcher_1.fetchUrl(url, options)), "expected an error");
+            check(getRequestCount() === 1, `expected 1 request but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "retries-timeouts",
+        path: "/slow.pdf",
+        handler: (request, response, requestNumber) => {
+            if (requestNumber === 1)
+                setTimeout(() => { response.writeHead(200); response.end("late"); }, 1000); // longer than the timeout
+            else {
+                response.writeHead(200);
+                response.end("prompt");
+            }
+        },
+        run: async (url, options, getRequestCount) => {
+            let result = await fetcher_1.fetchUrl(url, Object.assign({}, options, { timeout: 200 }));
+            check(result.body.toString() === "prompt", `expected "prompt" but received "${result.body.toString()}"`);
+            check(getRequestCount() === 2, `expected 2 requests but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "uses-cache-when-etag-matches",
+        path: "/etag.pdf",
+        handler: (request, response) => {
+            if (request.headers["if-none-match"] === "\"v1\"") {
+                response.writeHead(304);
+                response.end();
+            }
+            else {
+                response.writeHead(200, { "ETag": "\"v1\"" });
+                response.end("version 1");
+            }
+        },
+        run: async (url, options, getRequestCount) => {
+            let first = await fetcher_1.fetchUrl(url, options);
+            let second = await fetcher_1.fetchUrl(url, options);
+            check(!first.fromCache && second.fromCache, "expected only the second response to come from the cache");
+            check(second.body.toString() === "version 1", `expected "version 1" but received "${second.body.toString()}"`);
+            check(getRequestCount() === 2, `expected 2 requests but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "uses-cache-when-not-modified",
+        path: "/modified.html",
+        handler: (request, response, requestNumber) => {
+            let lastModified = (requestNumber <= 2) ? "Sat, 16 Feb 2019 00:00:00 GMT" : "Sun, 17 Feb 2019 00:00:00 GMT";
+            if (request.headers["if-modified-since"] === lastModified) {
+                response.writeHead(304);
+                response.end();
+            }
+            else {
+                response.writeHead(200, { "Last-Modified": lastModified });
+                response.end(`page ${requestNumber}`);
+            }
+        },
+        run: async (url, options) => {
+            let bodies = [];
+            for (let count = 0; count < 3; count++)
+                bodies.push((await fetcher_1.fetchUrl(url, options)).body.toString());
+            check(bodies.join() === "page 1,page 1,page 3", `expected "page 1,page 1,page 3" but received "${bodies.join()}"`);
+        }
+    }
+];
+// Starts the stub server on a free port.
+function startServer(handlers, requestCounts) {
+    return new Promise(resolve => {
+        let server = http.createServer((request, response) => {
+            let requestNumber = (requestCounts.get(request.url) || 0) + 1;
+            requestCounts.set(request.url, requestNumber);
+            let handler = handlers.get(request.url);
+            if (handler === undefined) {
+                response.writeHead(404);
+                response.end();
+            }
+            else
+                handler(request, response, requestNumber);
+        });
+        server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+// Runs each test case against the stub server.
+async function main() {
+    let handlers = new Map();
+    let requestCounts = new Map();
+    for (let fetcherCase of FetcherCases)
+        handlers.set(fetcherCase.path, fetcherCase.handler);
+    let server = await startServer(handlers, requestCounts);
+    let baseUrl = `http://127.0.0.1:${server.address().port}`;
+    let cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "fetcher-"));
+    let options = Object.assign({}, fetcher_1.DefaultFetchOptions, { retryDelay: 10, delay: 0, timeout: 5000, cacheDirectory: cacheDirectory });
+    let log = console.log;
+    let failureCount = 0;
+    try {
+        for (let fetcherCase of FetcherCases) {
+            console.log = () => { }; // suppress the retry messages
+            try {
+                await fetcherCase.run(baseUrl + fetcherCase.path, options, () => requestCounts.get(fetcherCase.path) || 0);
+                console.log = log;
+                console.log(`PASS ${fetcherCase.name}.`);
+            }
+            catch (error) {
+                console.log = log;
+                failureCount++;
+                console.log(`FAIL ${fetcherCase.name}: ${error.message}`);
+            }
+        }
+    }
+    finally {
+        console.log = log;
+        server.close();
+        for (let fileName of fs.readdirSync(cacheDirectory))
+            fs.unlinkSync(path.join(cacheDirectory, fileName));
+        fs.rmdirSync(cacheDirectory);
+    }
+    console.log(`${FetcherCases.length - failureCount} of ${FetcherCases.length} fetcher ${(FetcherCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmV0Y2hlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImZldGNoZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsNkZBQTZGO0FBQzdGLGtDQUFrQztBQUNsQyxFQUFFO0FBQ0YsU0FBUztBQUNULEVBQUU7QUFDRiwyQkFBMkI7QUFFM0IsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qix5QkFBeUI7QUFDekIsNkJBQTZCO0FBQzdCLDZCQUE2QjtBQUM3Qix3Q0FBeUU7QUFrQnpFLCtDQUErQztBQUUvQyxTQUFTLEtBQUssQ0FBQyxTQUFrQixFQUFFLE9BQWU7SUFDOUMsSUFBSSxDQUFDLFNBQVM7UUFDVixNQUFNLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0FBQ2pDLENBQUM7QUFFRCw2REFBNkQ7QUFFN0QsS0FBSyxVQUFVLE1BQU0sQ0FBQyxNQUEwQjtJQUM1QyxJQUFJO1FBQ0EsTUFBTSxNQUFNLEVBQUUsQ0FBQztRQUNmLE9BQU8sS0FBSyxDQUFDO0tBQ2hCO0lBQUMsT0FBTyxLQUFLLEVBQUU7UUFDWixPQUFPLElBQUksQ0FBQztLQUNmO0FBQ0wsQ0FBQztBQUVELE1BQU0sWUFBWSxHQUFrQjtJQUNoQztRQUNJLElBQUksRUFBRSw0QkFBNEI7UUFDbEMsSUFBSSxFQUFFLFlBQVk7UUFDbEIsT0FBTyxFQUFFLENBQUMsT0FBTyxFQUFFLFFBQVEsRUFBRSxhQUFhLEVBQUUsRUFBRTtZQUMxQyxRQUFRLENBQUMsU0FBUyxDQUFDLENBQUMsYUFBYSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ3JELFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxhQUFhLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDcEUsQ0FBQztRQUNELEdBQUcsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxlQUFlLEVBQUUsRUFBRTtZQUN6QyxJQUFJLE1BQU0sR0FBRyxNQUFNLGtCQUFRLENBQUMsR0FBRyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1lBQzFDLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxLQUFLLFVBQVUsRUFBRSxxQ0FBcUMsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDN0csS0FBSyxDQUFDLGVBQWUsRUFBRSxLQUFLLENBQUMsRUFBRSxzQ0FBc0MsZUFBZSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzlGLENBQUM7S0FDSjtJQUNEO1FBQ0ksSUFBSSxFQUFFLHdCQUF3QjtRQUM5QixJQUFJLEVBQUUsYUFBYTtRQUNuQixPQUFPLEVBQUUsQ0FBQyxPQUFPLEVBQUUsUUFBUSxFQUFFLEVBQUUsR0FBRyxRQUFRLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUM1RSxHQUFHLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsZUFBZSxFQUFFLEVBQUU7WUFDekMsS0FBSyxDQUFDLE1BQU0sTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDLGtCQUFRLENBQUMsR0FBRyxvQkFBTyxPQUFPLElBQUUsVUFBVSxFQUFFLENBQUMsSUFBRyxDQUFDLEVBQUUsbUJBQW1CLENBQUMsQ0FBQztZQUM3RixLQUFLLENBQUMsZUFBZSxFQUFFLEtBQUssQ0FBQyxFQUFFLHNDQUFzQyxlQUFlLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDOUYsQ0FBQztLQUNKO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsa0NBQWtDO1FBQ3hDLElBQUksRUFBRSxjQUFjO1FBQ3BCLE9BQU8sRUFBRSxDQUFDLE9BQU8sRUFBRSxRQUFRLEVBQUUsRUFBRSxHQUFHLFFBQVEsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQzVFLEdBQUcsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxlQUFlLEVBQUUsRUFBRTtZQUN6QyxLQUFLLENBQUMsTUFBTSxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUMsa0JBQVEsQ0FBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLENBQUMsRUFBRSxtQkFBbUIsQ0FBQyxDQUFDO1lBQ3ZFLEtBQUssQ0FBQyxlQUFlLEVBQUUsS0FBSyxDQUFDLEVBQUUscUNBQXFDLGVBQWUsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUM3RixDQUFDO0tBQ0o7SUFDRDtRQUNJLElBQUksRUFBRSxrQkFBa0I7UUFDeEIsSUFBSSxFQUFFLFdBQVc7UUFDakIsT0FBTyxFQUFFLENBQUMsT0FBTyxFQUFFLFFBQVEsRUFBRSxhQUFhLEVBQUUsRUFBRTtZQUMxQyxJQUFJLGFBQWEsS0FBSyxDQUFDO2dCQUNuQixVQUFVLENBQUMsR0FBRyxFQUFFLEdBQUcsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBRSwwQkFBMEI7aUJBQ3RHO2dCQUNELFFBQVEsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUM7Z0JBQ3hCLFFBQVEsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUM7YUFDMUI7UUFDTCxDQUFDO1FBQ0QsR0FBRyxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLGVBQWUsRUFBRSxFQUFFO1lBQ3pDLElBQUksTUFBTSxHQUFHLE1BQU0sa0JBQVEsQ0FBQyxHQUFHLG9CQUFPLE9BQU8sSUFBRSxPQUFPLEVBQUUsR0FBRyxJQUFHLENBQUM7WUFDL0QsS0FBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLEtBQUssUUFBUSxFQUFFLG1DQUFtQyxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQztZQUN6RyxLQUFLLENBQUMsZUFBZSxFQUFFLEtBQUssQ0FBQyxFQUFFLHNDQUFzQyxlQUFlLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDOUYsQ0FBQztLQUNKO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsOEJBQThCO1FBQ3BDLElBQUksRUFBRSxXQUFXO1FBQ2pCLE9BQU8sRUFBRSxDQUFDLE9BQU8sRUFBRSxRQUFRLEVBQUUsRUFBRTtZQUMzQixJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDLEtBQUssUUFBUSxFQUFFO2dCQUMvQyxRQUFRLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUN4QixRQUFRLENBQUMsR0FBRyxFQUFFLENBQUM7YUFDbEI7aUJBQU07Z0JBQ0gsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLENBQUMsQ0FBQztnQkFDOUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsQ0FBQzthQUM3QjtRQUNMLENBQUM7UUFDRCxHQUFHLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsZUFBZSxFQUFFLEVBQUU7WUFDekMsSUFBSSxLQUFLLEdBQUcsTUFBTSxrQkFBUSxDQUFDLEdBQUcsRUFBRSxPQUFPLENBQUMsQ0FBQztZQUN6QyxJQUFJLE1BQU0sR0FBRyxNQUFNLGtCQUFRLENBQUMsR0FBRyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1lBQzFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxTQUFTLElBQUksTUFBTSxDQUFDLFNBQVMsRUFBRSwwREFBMEQsQ0FBQyxDQUFDO1lBQ3hHLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxLQUFLLFdBQVcsRUFBRSxzQ0FBc0MsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDL0csS0FBSyxDQUFDLGVBQWUsRUFBRSxLQUFLLENBQUMsRUFBRSxzQ0FBc0MsZUFBZSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzlGLENBQUM7S0FDSjtJQUNEO1FBQ0ksSUFBSSxFQUFFLDhCQUE4QjtRQUNwQyxJQUFJLEVBQUUsZ0JBQWdCO1FBQ3RCLE9BQU8sRUFBRSxDQUFDLE9BQU8sRUFBRSxRQUFRLEVBQUUsYUFBYSxFQUFFLEVBQUU7WUFDMUMsSUFBSSxZQUFZLEdBQUcsQ0FBQyxhQUFhLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLCtCQUErQixDQUFDLENBQUMsQ0FBQywrQkFBK0IsQ0FBQztZQUM1RyxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsbUJBQW1CLENBQUMsS0FBSyxZQUFZLEVBQUU7Z0JBQ3ZELFFBQVEsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUM7Z0JBQ3hCLFFBQVEsQ0FBQyxHQUFHLEVBQUUsQ0FBQzthQUNsQjtpQkFBTTtnQkFDSCxRQUFRLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRSxFQUFFLGVBQWUsRUFBRSxZQUFZLEVBQUUsQ0FBQyxDQUFDO2dCQUMzRCxRQUFRLENBQUMsR0FBRyxDQUFDLFFBQVEsYUFBYSxFQUFFLENBQUMsQ0FBQzthQUN6QztRQUNMLENBQUM7UUFDRCxHQUFHLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsRUFBRTtZQUN4QixJQUFJLE1BQU0sR0FBRyxFQUFFLENBQUM7WUFDaEIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEVBQUU7Z0JBQ2xDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLGtCQUFRLENBQUMsR0FBRyxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7WUFDaEUsS0FBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsS0FBSyxzQkFBc0IsRUFBRSxpREFBaUQsTUFBTSxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQztRQUN2SCxDQUFDO0tBQ0o7Q0FDSixDQUFDO0FBRUYseUNBQXlDO0FBRXpDLFNBQVMsV0FBVyxDQUFDLFFBQWtDLEVBQUUsYUFBa0M7SUFDdkYsT0FBTyxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRTtRQUN6QixJQUFJLE1BQU0sR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsT0FBTyxFQUFFLFFBQVEsRUFBRSxFQUFFO1lBQ2pELElBQUksYUFBYSxHQUFHLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQzlELGFBQWEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxhQUFhLENBQUMsQ0FBQztZQUM5QyxJQUFJLE9BQU8sR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUN4QyxJQUFJLE9BQU8sS0FBSyxTQUFTLEVBQUU7Z0JBQ3ZCLFFBQVEsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUM7Z0JBQ3hCLFFBQVEsQ0FBQyxHQUFHLEVBQUUsQ0FBQzthQUNsQjs7Z0JBQ0csT0FBTyxDQUFDLE9BQU8sRUFBRSxRQUFRLEVBQUUsYUFBYSxDQUFDLENBQUM7UUFDbEQsQ0FBQyxDQUFDLENBQUM7UUFDSCxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxXQUFXLEVBQUUsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDekQsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsK0NBQStDO0FBRS9DLEtBQUssVUFBVSxJQUFJO0lBQ2YsSUFBSSxRQUFRLEdBQUcsSUFBSSxHQUFHLEVBQXVCLENBQUM7SUFDOUMsSUFBSSxhQUFhLEdBQUcsSUFBSSxHQUFHLEVBQWtCLENBQUM7SUFDOUMsS0FBSyxJQUFJLFdBQVcsSUFBSSxZQUFZO1FBQ2hDLFFBQVEsQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLElBQUksRUFBRSxXQUFXLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDeEQsSUFBSSxNQUFNLEdBQUcsTUFBTSxXQUFXLENBQUMsUUFBUSxFQUFFLGFBQWEsQ0FBQyxDQUFDO0lBQ3hELElBQUksT0FBTyxHQUFHLG9CQUF1QyxNQUFNLENBQUMsT0FBTyxFQUFHLENBQUMsSUFBSSxFQUFFLENBQUM7SUFFOUUsSUFBSSxjQUFjLEdBQUcsRUFBRSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxNQUFNLEVBQUUsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQ3hFLElBQUksT0FBTyxxQkFBc0IsNkJBQW1CLElBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsY0FBYyxFQUFFLGNBQWMsR0FBRSxDQUFDO0lBRWhJLElBQUksR0FBRyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7SUFDdEIsSUFBSSxZQUFZLEdBQUcsQ0FBQyxDQUFDO0lBQ3JCLElBQUk7UUFDQSxLQUFLLElBQUksV0FBVyxJQUFJLFlBQVksRUFBRTtZQUNsQyxPQUFPLENBQUMsR0FBRyxHQUFHLEdBQUcsRUFBRSxHQUFFLENBQUMsQ0FBQyxDQUFFLDhCQUE4QjtZQUN2RCxJQUFJO2dCQUNBLE1BQU0sV0FBVyxDQUFDLEdBQUcsQ0FBQyxPQUFPLEdBQUcsV0FBVyxDQUFDLElBQUksRUFBRSxPQUFPLEVBQUUsR0FBRyxFQUFFLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7Z0JBQzNHLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDO2dCQUNsQixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsV0FBVyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUM7YUFDNUM7WUFBQyxPQUFPLEtBQUssRUFBRTtnQkFDWixPQUFPLENBQUMsR0FBRyxHQUFHLEdBQUcsQ0FBQztnQkFDbEIsWUFBWSxFQUFFLENBQUM7Z0JBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLFdBQVcsQ0FBQyxJQUFJLEtBQUssS0FBSyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7YUFDN0Q7U0FDSjtLQUNKO1lBQVM7UUFDTixPQUFPLENBQUMsR0FBRyxHQUFHLEdBQUcsQ0FBQztRQUNsQixNQUFNLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDZixLQUFLLElBQUksUUFBUSxJQUFJLEVBQUUsQ0FBQyxXQUFXLENBQUMsY0FBYyxDQUFDO1lBQy9DLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxjQUFjLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQztRQUN2RCxFQUFFLENBQUMsU0FBUyxDQUFDLGNBQWMsQ0FBQyxDQUFDO0tBQ2hDO0lBRUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLFlBQVksQ0FBQyxNQUFNLEdBQUcsWUFBWSxPQUFPLFlBQVksQ0FBQyxNQUFNLFlBQVksQ0FBQyxZQUFZLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLE9BQU8sVUFBVSxDQUFDLENBQUM7SUFDakosT0FBTyxZQUFZLENBQUM7QUFDeEIsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxZQUFZLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
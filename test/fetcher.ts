@@ -0,0 +1,199 @@
+// Tests for the HTTP layer, run against a local stub server that fails, stalls and validates
+// conditional requests on demand.
+//
+// Usage:
+//
+//     node test/fetcher.js
+
+"use strict";
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as http from "http";
+import { FetchOptions, DefaultFetchOptions, fetchUrl } from "../fetcher";
+
+declare const process: any;
+
+// The responses of the stub server (keyed by path).  Each handler is given the number of the
+// request to that path (starting at one).
+
+type StubHandler = (request: http.IncomingMessage, response: http.ServerResponse, requestNumber: number) => void;
+
+// A test case (given the base URL of the stub server and the options to use for each request).
+
+interface FetcherCase {
+    name: string,
+    path: string,
+    handler: StubHandler,
+    run: (url: string, options: FetchOptions, getRequestCount: () => number) => Promise<void>
+}
+
+// Throws an error if the condition is not met.
+
+function check(condition: boolean, message: string) {
+    if (!condition)
+        throw new Error(message);
+}
+
+// Determines whether an asynchronous action throws an error.
+
+async function throws(action: () => Promise<any>) {
+    try {
+        await action();
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+const FetcherCases: FetcherCase[] = [
+    {
+        name: "retries-transient-failures",
+        path: "/flaky.pdf",
+        handler: (request, response, requestNumber) => {
+            response.writeHead((requestNumber <= 2) ? 503 : 200);
+            response.end((requestNumber <= 2) ? "unavailable" : "document");
+        },
+        run: async (url, options, getRequestCount) => {
+            let result = await fetchUrl(url, options);
+            check(result.body.toString() === "document", `expected "document" but received "${result.body.toString()}"`);
+            check(getRequestCount() === 3, `expected 3 requests but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "gives-up-after-retries",
+        path: "/broken.pdf",
+        handler: (request, response) => { response.writeHead(500); response.end(); },
+        run: async (url, options, getRequestCount) => {
+            check(await throws(() => fetchUrl(url, { ...options, retryCount: 2 })), "expected an error");
+            check(getRequestCount() === 3, `expected 3 requests but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "does-not-retry-missing-documents",
+        path: "/missing.pdf",
+        handler: (request, response) => { response.writeHead(404); response.end(); },
+        run: async (url, options, getRequestCount) => {
+            check(await throws(() => fetchUrl(url, options)), "expected an error");
+            check(getRequestCount() === 1, `expected 1 request but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "retries-timeouts",
+        path: "/slow.pdf",
+        handler: (request, response, requestNumber) => {
+            if (requestNumber === 1)
+                setTimeout(() => { response.writeHead(200); response.end("late"); }, 1000);  // longer than the timeout
+            else {
+                response.writeHead(200);
+                response.end("prompt");
+            }
+        },
+        run: async (url, options, getRequestCount) => {
+            let result = await fetchUrl(url, { ...options, timeout: 200 });
+            check(result.body.toString() === "prompt", `expected "prompt" but received "${result.body.toString()}"`);
+            check(getRequestCount() === 2, `expected 2 requests but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "uses-cache-when-etag-matches",
+        path: "/etag.pdf",
+        handler: (request, response) => {
+            if (request.headers["if-none-match"] === "\"v1\"") {
+                response.writeHead(304);
+                response.end();
+            } else {
+                response.writeHead(200, { "ETag": "\"v1\"" });
+                response.end("version 1");
+            }
+        },
+        run: async (url, options, getRequestCount) => {
+            let first = await fetchUrl(url, options);
+            let second = await fetchUrl(url, options);
+            check(!first.fromCache && second.fromCache, "expected only the second response to come from the cache");
+            check(second.body.toString() === "version 1", `expected "version 1" but received "${second.body.toString()}"`);
+            check(getRequestCount() === 2, `expected 2 requests but there were ${getRequestCount()}`);
+        }
+    },
+    {
+        name: "uses-cache-when-not-modified",
+        path: "/modified.html",
+        handler: (request, response, requestNumber) => {
+            let lastModified = (requestNumber <= 2) ? "Sat, 16 Feb 2019 00:00:00 GMT" : "Sun, 17 Feb 2019 00:00:00 GMT";
+            if (request.headers["if-modified-since"] === lastModified) {
+                response.writeHead(304);
+                response.end();
+            } else {
+                response.writeHead(200, { "Last-Modified": lastModified });
+                response.end(`page ${requestNumber}`);
+            }
+        },
+        run: async (url, options) => {
+            let bodies = [];
+            for (let count = 0; count < 3; count++)
+                bodies.push((await fetchUrl(url, options)).body.toString());
+            check(bodies.join() === "page 1,page 1,page 3", `expected "page 1,page 1,page 3" but received "${bodies.join()}"`);
+        }
+    }
+];
+
+// Starts the stub server on a free port.
+
+function startServer(handlers: Map<string, StubHandler>, requestCounts: Map<string, number>): Promise<http.Server> {
+    return new Promise(resolve => {
+        let server = http.createServer((request, response) => {
+            let requestNumber = (requestCounts.get(request.url) || 0) + 1;
+            requestCounts.set(request.url, requestNumber);
+            let handler = handlers.get(request.url);
+            if (handler === undefined) {
+                response.writeHead(404);
+                response.end();
+            } else
+                handler(request, response, requestNumber);
+        });
+        server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+
+// Runs each test case against the stub server.
+
+async function main() {
+    let handlers = new Map<string, StubHandler>();
+    let requestCounts = new Map<string, number>();
+    for (let fetcherCase of FetcherCases)
+        handlers.set(fetcherCase.path, fetcherCase.handler);
+    let server = await startServer(handlers, requestCounts);
+    let baseUrl = `http://127.0.0.1:${(<{ port: number }>server.address()).port}`;
+
+    let cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "fetcher-"));
+    let options: FetchOptions = { ...DefaultFetchOptions, retryDelay: 10, delay: 0, timeout: 5000, cacheDirectory: cacheDirectory };
+
+    let log = console.log;
+    let failureCount = 0;
+    try {
+        for (let fetcherCase of FetcherCases) {
+            console.log = () => {};  // suppress the retry messages
+            try {
+                await fetcherCase.run(baseUrl + fetcherCase.path, options, () => requestCounts.get(fetcherCase.path) || 0);
+                console.log = log;
+                console.log(`PASS ${fetcherCase.name}.`);
+            } catch (error) {
+                console.log = log;
+                failureCount++;
+                console.log(`FAIL ${fetcherCase.name}: ${error.message}`);
+            }
+        }
+    } finally {
+        console.log = log;
+        server.close();
+        for (let fileName of fs.readdirSync(cacheDirectory))
+            fs.unlinkSync(path.join(cacheDirectory, fileName));
+        fs.rmdirSync(cacheDirectory);
+    }
+
+    console.log(`${FetcherCases.length - failureCount} of ${FetcherCases.length} fetcher ${(FetcherCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
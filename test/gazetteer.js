@@ -0,0 +1,56 @@
+// Tests for the gazetteer index: the exact lookups (ignoring case and redundant whitespace), the
+// compact lookups (ignoring spaces), the bounded edit distance, the closest name lookups and the
+// lookups of every matching name (each ordered by edit distance and then by the order of the
+// names).
+//
+// Usage:
+//
+//     node test/gazetteer.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const gazetteer_1 = require("../gazetteer");
+// The names looked up by the test cases (including a duplicate, which must be ignored, and names
+// that are equally close to some of the texts).
+const Names = ["ADMELLA STREET", "ADAMS ROAD", "ACI ROAD", "PORT MACDONNELL", "MOUNT SCHANK", "O B FLAT", "OB FLAT", "WYE", "YAHL", "admella street"];
+const Index = gazetteer_1.createGazetteerIndex(Names);
+const GazetteerCases = [
+    { name: "index-ignores-duplicates", lookup: () => Index.names, expected: ["ADMELLA STREET", "ADAMS ROAD", "ACI ROAD", "PORT MACDONNELL", "MOUNT SCHANK", "O B FLAT", "OB FLAT", "WYE", "YAHL"] },
+    { name: "exact", lookup: () => gazetteer_1.findExactName(Index, "ACI ROAD"), expected: "ACI ROAD" },
+    { name: "exact-ignores-case-and-whitespace", lookup: () => gazetteer_1.findExactName(Index, "  port   macdonnell "), expected: "PORT MACDONNELL" },
+    { name: "exact-not-found", lookup: () => gazetteer_1.findExactName(Index, "ADMELA STREET"), expected: undefined },
+    { name: "compact-errant-space", lookup: () => gazetteer_1.findCompactName(Index, "ADM ELLA STREET"), expected: "ADMELLA STREET" },
+    { name: "compact-missing-space", lookup: () => gazetteer_1.findCompactName(Index, "portmacdonnell"), expected: "PORT MACDONNELL" },
+    { name: "compact-first-name-wins", lookup: () => gazetteer_1.findCompactName(Index, "OBFLAT"), expected: "O B FLAT" },
+    { name: "compact-not-found", lookup: () => gazetteer_1.findCompactName(Index, "PORT MACDONELL"), expected: undefined },
+    { name: "edit-distance", lookup: () => gazetteer_1.getBoundedEditDistance("KITTEN", "SITTING", 5), expected: 3 },
+    { name: "edit-distance-identical", lookup: () => gazetteer_1.getBoundedEditDistance("WYE", "WYE", 0), expected: 0 },
+    { name: "edit-distance-exceeds-maximum", lookup: () => gazetteer_1.getBoundedEditDistance("KITTEN", "SITTING", 2), expected: 3 },
+    { name: "edit-distance-length-difference", lookup: () => gazetteer_1.getBoundedEditDistance("WYE", "PORT MACDONNELL", 3), expected: 4 },
+    { name: "closest-exact", lookup: () => gazetteer_1.findClosestName(Index, "yahl", 2), expected: "YAHL" },
+    { name: "closest-missing-letter", lookup: () => gazetteer_1.findClosestName(Index, "ADMELA STREET", 2), expected: "ADMELLA STREET" },
+    { name: "closest-wrong-letter", lookup: () => gazetteer_1.findClosestName(Index, "MOUNT SCHANX", 1), expected: "MOUNT SCHANK" },
+    { name: "closest-first-of-equally-close", lookup: () => gazetteer_1.findClosestName(Index, "OBB FLAT", 2), expected: "O B FLAT" },
+    { name: "closest-beyond-maximum", lookup: () => gazetteer_1.findClosestName(Index, "MOUNT SHNK", 1), expected: null },
+    { name: "matching-sorted-by-distance", lookup: () => gazetteer_1.findMatchingNames(Index, "WYAHL", 3), expected: [{ name: "YAHL", distance: 1 }, { name: "WYE", distance: 3 }] },
+    { name: "matching-includes-exact", lookup: () => gazetteer_1.findMatchingNames(Index, "ob  flat", 1), expected: [{ name: "OB FLAT", distance: 0 }, { name: "O B FLAT", distance: 1 }] },
+    { name: "matching-equally-close-in-order", lookup: () => gazetteer_1.findMatchingNames(Index, "OBB FLAT", 1), expected: [{ name: "O B FLAT", distance: 1 }, { name: "OB FLAT", distance: 1 }] },
+    { name: "matching-none", lookup: () => gazetteer_1.findMatchingNames(Index, "TARPEENA", 2), expected: [] }
+];
+// Runs each test case.
+async function main() {
+    let failureCount = 0;
+    for (let gazetteerCase of GazetteerCases) {
+        let actual = JSON.stringify(gazetteerCase.lookup());
+        let expected = JSON.stringify(gazetteerCase.expected);
+        if (actual === expected)
+            console.log(`PASS ${gazetteerCase.name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${gazetteerCase.name}: expected ${expected} but found ${actual}.`);
+        }
+    }
+    console.log(`${GazetteerCases.length - failureCount} of ${GazetteerCases.length} gazetteer index ${(GazetteerCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ2F6ZXR0ZWVyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZ2F6ZXR0ZWVyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGlHQUFpRztBQUNqRyxpR0FBaUc7QUFDakcsNkZBQTZGO0FBQzdGLFVBQVU7QUFDVixFQUFFO0FBQ0YsU0FBUztBQUNULEVBQUU7QUFDRiw2QkFBNkI7QUFFN0IsWUFBWSxDQUFDOztBQUViLDRDQUFnSjtBQUloSixpR0FBaUc7QUFDakcsZ0RBQWdEO0FBRWhELE1BQU0sS0FBSyxHQUFHLENBQUUsZ0JBQWdCLEVBQUUsWUFBWSxFQUFFLFVBQVUsRUFBRSxpQkFBaUIsRUFBRSxjQUFjLEVBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLGdCQUFnQixDQUFFLENBQUM7QUFFeEosTUFBTSxLQUFLLEdBQUcsZ0NBQW9CLENBQUMsS0FBSyxDQUFDLENBQUM7QUFVMUMsTUFBTSxjQUFjLEdBQW9CO0lBQ3BDLEVBQUUsSUFBSSxFQUFFLDBCQUEwQixFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQyxLQUFLLENBQUMsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFFLGdCQUFnQixFQUFFLFlBQVksRUFBRSxVQUFVLEVBQUUsaUJBQWlCLEVBQUUsY0FBYyxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBRSxFQUFFO0lBRWxNLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMseUJBQWEsQ0FBQyxLQUFLLEVBQUUsVUFBVSxDQUFDLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRTtJQUN2RixFQUFFLElBQUksRUFBRSxtQ0FBbUMsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMseUJBQWEsQ0FBQyxLQUFLLEVBQUUsc0JBQXNCLENBQUMsRUFBRSxRQUFRLEVBQUUsaUJBQWlCLEVBQUU7SUFDdEksRUFBRSxJQUFJLEVBQUUsaUJBQWlCLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLHlCQUFhLENBQUMsS0FBSyxFQUFFLGVBQWUsQ0FBQyxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUU7SUFFckcsRUFBRSxJQUFJLEVBQUUsc0JBQXNCLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLDJCQUFlLENBQUMsS0FBSyxFQUFFLGlCQUFpQixDQUFDLEVBQUUsUUFBUSxFQUFFLGdCQUFnQixFQUFFO0lBQ3JILEVBQUUsSUFBSSxFQUFFLHVCQUF1QixFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQywyQkFBZSxDQUFDLEtBQUssRUFBRSxnQkFBZ0IsQ0FBQyxFQUFFLFFBQVEsRUFBRSxpQkFBaUIsRUFBRTtJQUN0SCxFQUFFLElBQUksRUFBRSx5QkFBeUIsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsMkJBQWUsQ0FBQyxLQUFLLEVBQUUsUUFBUSxDQUFDLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRTtJQUN6RyxFQUFFLElBQUksRUFBRSxtQkFBbUIsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsMkJBQWUsQ0FBQyxLQUFLLEVBQUUsZ0JBQWdCLENBQUMsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFO0lBRTFHLEVBQUUsSUFBSSxFQUFFLGVBQWUsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsa0NBQXNCLENBQUMsUUFBUSxFQUFFLFNBQVMsRUFBRSxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFO0lBQ3BHLEVBQUUsSUFBSSxFQUFFLHlCQUF5QixFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQyxrQ0FBc0IsQ0FBQyxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUU7SUFDdkcsRUFBRSxJQUFJLEVBQUUsK0JBQStCLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLGtDQUFzQixDQUFDLFFBQVEsRUFBRSxTQUFTLEVBQUUsQ0FBQyxDQUFDLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRTtJQUNwSCxFQUFFLElBQUksRUFBRSxpQ0FBaUMsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsa0NBQXNCLENBQUMsS0FBSyxFQUFFLGlCQUFpQixFQUFFLENBQUMsQ0FBQyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUU7SUFFM0gsRUFBRSxJQUFJLEVBQUUsZUFBZSxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQywyQkFBZSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRTtJQUM1RixFQUFFLElBQUksRUFBRSx3QkFBd0IsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsMkJBQWUsQ0FBQyxLQUFLLEVBQUUsZUFBZSxFQUFFLENBQUMsQ0FBQyxFQUFFLFFBQVEsRUFBRSxnQkFBZ0IsRUFBRTtJQUN4SCxFQUFFLElBQUksRUFBRSxzQkFBc0IsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsMkJBQWUsQ0FBQyxLQUFLLEVBQUUsY0FBYyxFQUFFLENBQUMsQ0FBQyxFQUFFLFFBQVEsRUFBRSxjQUFjLEVBQUU7SUFDbkgsRUFBRSxJQUFJLEVBQUUsZ0NBQWdDLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLDJCQUFlLENBQUMsS0FBSyxFQUFFLFVBQVUsRUFBRSxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsVUFBVSxFQUFFO0lBQ3JILEVBQUUsSUFBSSxFQUFFLHdCQUF3QixFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQywyQkFBZSxDQUFDLEtBQUssRUFBRSxZQUFZLEVBQUUsQ0FBQyxDQUFDLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRTtJQUV6RyxFQUFFLElBQUksRUFBRSw2QkFBNkIsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsNkJBQWlCLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsQ0FBRSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLENBQUUsRUFBRTtJQUN0SyxFQUFFLElBQUksRUFBRSx5QkFBeUIsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsNkJBQWlCLENBQUMsS0FBSyxFQUFFLFVBQVUsRUFBRSxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsQ0FBRSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLENBQUUsRUFBRTtJQUM3SyxFQUFFLElBQUksRUFBRSxpQ0FBaUMsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsNkJBQWlCLENBQUMsS0FBSyxFQUFFLFVBQVUsRUFBRSxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsQ0FBRSxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLENBQUUsRUFBRTtJQUNyTCxFQUFFLElBQUksRUFBRSxlQUFlLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLDZCQUFpQixDQUFDLEtBQUssRUFBRSxVQUFVLEVBQUUsQ0FBQyxDQUFDLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRTtDQUNqRyxDQUFDO0FBRUYsdUJBQXVCO0FBRXZCLEtBQUssVUFBVSxJQUFJO0lBQ2YsSUFBSSxZQUFZLEdBQUcsQ0FBQyxDQUFDO0lBQ3JCLEtBQUssSUFBSSxhQUFhLElBQUksY0FBYyxFQUFFO1FBQ3RDLElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsYUFBYSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUM7UUFDcEQsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDdEQsSUFBSSxNQUFNLEtBQUssUUFBUTtZQUNuQixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsYUFBYSxDQUFDLElBQUksR0FBRyxDQUFDLENBQUM7YUFDMUM7WUFDRCxZQUFZLEVBQUUsQ0FBQztZQUNmLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxhQUFhLENBQUMsSUFBSSxjQUFjLFFBQVEsY0FBYyxNQUFNLEdBQUcsQ0FBQyxDQUFDO1NBQ3hGO0tBQ0o7SUFFRCxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsY0FBYyxDQUFDLE1BQU0sR0FBRyxZQUFZLE9BQU8sY0FBYyxDQUFDLE1BQU0sb0JBQW9CLENBQUMsY0FBYyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxPQUFPLFVBQVUsQ0FBQyxDQUFDO0lBQy9KLE9BQU8sWUFBWSxDQUFDO0FBQ3hCLENBQUM7QUFFRCxJQUFJLEVBQUUsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsWUFBWSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsRUFBRSxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDIn0=
\ No newline at end of file
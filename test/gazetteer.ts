@@ -0,0 +1,79 @@
+// Tests for the gazetteer index: the exact lookups (ignoring case and redundant whitespace), the
+// compact lookups (ignoring spaces), the bounded edit distance, the closest name lookups and the
+// lookups of every matching name (each ordered by edit distance and then by the order of the
+// names).
+//
+// Usage:
+//
+//     node test/gazetteer.js
+
+"use strict";
+
+import { createGazetteerIndex, findExactName, findCompactName, getBoundedEditDistance, findClosestName, findMatchingNames } from "../gazetteer";
+
+declare const process: any;
+
+// The names looked up by the test cases (including a duplicate, which must be ignored, and names
+// that are equally close to some of the texts).
+
+const Names = [ "ADMELLA STREET", "ADAMS ROAD", "ACI ROAD", "PORT MACDONNELL", "MOUNT SCHANK", "O B FLAT", "OB FLAT", "WYE", "YAHL", "admella street" ];
+
+const Index = createGazetteerIndex(Names);
+
+// A test case: a description of the lookup (or calculation) and its expected result.
+
+interface GazetteerCase {
+    name: string,
+    lookup: () => any,
+    expected: any
+}
+
+const GazetteerCases: GazetteerCase[] = [
+    { name: "index-ignores-duplicates", lookup: () => Index.names, expected: [ "ADMELLA STREET", "ADAMS ROAD", "ACI ROAD", "PORT MACDONNELL", "MOUNT SCHANK", "O B FLAT", "OB FLAT", "WYE", "YAHL" ] },
+
+    { name: "exact", lookup: () => findExactName(Index, "ACI ROAD"), expected: "ACI ROAD" },
+    { name: "exact-ignores-case-and-whitespace", lookup: () => findExactName(Index, "  port   macdonnell "), expected: "PORT MACDONNELL" },
+    { name: "exact-not-found", lookup: () => findExactName(Index, "ADMELA STREET"), expected: undefined },
+
+    { name: "compact-errant-space", lookup: () => findCompactName(Index, "ADM ELLA STREET"), expected: "ADMELLA STREET" },
+    { name: "compact-missing-space", lookup: () => findCompactName(Index, "portmacdonnell"), expected: "PORT MACDONNELL" },
+    { name: "compact-first-name-wins", lookup: () => findCompactName(Index, "OBFLAT"), expected: "O B FLAT" },
+    { name: "compact-not-found", lookup: () => findCompactName(Index, "PORT MACDONELL"), expected: undefined },
+
+    { name: "edit-distance", lookup: () => getBoundedEditDistance("KITTEN", "SITTING", 5), expected: 3 },
+    { name: "edit-distance-identical", lookup: () => getBoundedEditDistance("WYE", "WYE", 0), expected: 0 },
+    { name: "edit-distance-exceeds-maximum", lookup: () => getBoundedEditDistance("KITTEN", "SITTING", 2), expected: 3 },
+    { name: "edit-distance-length-difference", lookup: () => getBoundedEditDistance("WYE", "PORT MACDONNELL", 3), expected: 4 },
+
+    { name: "closest-exact", lookup: () => findClosestName(Index, "yahl", 2), expected: "YAHL" },
+    { name: "closest-missing-letter", lookup: () => findClosestName(Index, "ADMELA STREET", 2), expected: "ADMELLA STREET" },
+    { name: "closest-wrong-letter", lookup: () => findClosestName(Index, "MOUNT SCHANX", 1), expected: "MOUNT SCHANK" },
+    { name: "closest-first-of-equally-close", lookup: () => findClosestName(Index, "OBB FLAT", 2), expected: "O B FLAT" },
+    { name: "closest-beyond-maximum", lookup: () => findClosestName(Index, "MOUNT SHNK", 1), expected: null },
+
+    { name: "matching-sorted-by-distance", lookup: () => findMatchingNames(Index, "WYAHL", 3), expected: [ { name: "YAHL", distance: 1 }, { name: "WYE", distance: 3 } ] },
+    { name: "matching-includes-exact", lookup: () => findMatchingNames(Index, "ob  flat", 1), expected: [ { name: "OB FLAT", distance: 0 }, { name: "O B FLAT", distance: 1 } ] },
+    { name: "matching-equally-close-in-order", lookup: () => findMatchingNames(Index, "OBB FLAT", 1), expected: [ { name: "O B FLAT", distance: 1 }, { name: "OB FLAT", distance: 1 } ] },
+    { name: "matching-none", lookup: () => findMatchingNames(Index, "TARPEENA", 2), expected: [] }
+];
+
+// Runs each test case.
+
+async function main() {
+    let failureCount = 0;
+    for (let gazetteerCase of GazetteerCases) {
+        let actual = JSON.stringify(gazetteerCase.lookup());
+        let expected = JSON.stringify(gazetteerCase.expected);
+        if (actual === expected)
+            console.log(`PASS ${gazetteerCase.name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${gazetteerCase.name}: expected ${expected} but found ${actual}.`);
+        }
+    }
+
+    console.log(`${GazetteerCases.length - failureCount} of ${GazetteerCases.length} gazetteer index ${(GazetteerCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
@@ -0,0 +1,88 @@
+// Tests for the validation of the gazetteer files (each problem is reported with the line on which
+// it occurs) and for the import of the streets and localities of an address extract.
+//
+// Usage:
+//
+//     node test/gazetteerfiles.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const gazetteerfiles_1 = require("../gazetteerfiles");
+// Valid gazetteer files (used by the cases that only vary one file).
+const StreetNames = "ACI ROAD,WYE\nADMELLA STREET,PORT MACDONNELL\n";
+const StreetSuffixes = "Rd,Road\nSt,Street\nTce,Terrace\n";
+const SuburbNames = "Port MacDonnell,Port MacDonnell SA 5291,MacDonnell\nWye,Wye SA 5291,Kongorong\n";
+const GazetteerCases = [
+    { name: "valid-files", streetNames: StreetNames, streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: [] },
+    { name: "missing-comma", streetNames: "ACI ROAD,WYE\nADMELLA STREET PORT MACDONNELL\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: ["streetnames.txt:2:error"] },
+    { name: "extra-comma", streetNames: StreetNames, streetSuffixes: StreetSuffixes, suburbNames: "Wye,Wye SA 5291,Kongorong,Extra\n", problems: ["streetnames.txt:1:warning", "streetnames.txt:2:warning", "suburbnames.txt:1:error"] },
+    { name: "empty-value", streetNames: "ACI ROAD,\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: ["streetnames.txt:1:error"] },
+    { name: "blank-line", streetNames: "ACI ROAD,WYE\n\nADMELLA STREET,PORT MACDONNELL\n\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: ["streetnames.txt:2:warning"] },
+    { name: "stray-spaces", streetNames: "ACI ROAD,WYE \nADMELLA  STREET,PORT MACDONNELL\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: ["streetnames.txt:1:warning", "streetnames.txt:2:warning"] },
+    { name: "duplicate-street", streetNames: "ACI ROAD,WYE\naci road,Wye\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: ["streetnames.txt:2:warning"] },
+    { name: "unknown-suburb", streetNames: "ACI ROAD,WHY\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: ["streetnames.txt:1:warning"] },
+    { name: "conflicting-suffix", streetNames: StreetNames, streetSuffixes: "Rd,Road\nSt,Street\nSt,Saint\nRd,Road\n", suburbNames: SuburbNames, problems: ["streetsuffixes.txt:3:error", "streetsuffixes.txt:4:warning"] },
+    { name: "suburb-format", streetNames: "ACI ROAD,WYE\n", streetSuffixes: StreetSuffixes, suburbNames: "Wye,Wye 5291,Kongorong\nO B Flat,OB Flat SA 5291\nMil-Lel,Millel SA 5291,;Young\n", problems: ["suburbnames.txt:1:warning", "suburbnames.txt:3:warning", "suburbnames.txt:3:warning"] },
+    {
+        name: "import-csv",
+        streetNames: StreetNames, streetSuffixes: StreetSuffixes, suburbNames: SuburbNames,
+        extract: { fileName: "extract.csv", contents: "STREET_NAME,STREET_TYPE_CODE,STREET_SUFFIX_CODE,LOCALITY_NAME,STATE_ABBREVIATION,POSTCODE\nACI,ROAD,,WYE,SA,5291\nCENTRAL,TCE,N,NEWTOWN,SA,5290\n\"HARBOUR, OLD\",RD,,WYE,SA,5291\nMOON,RD,,NOPOST,,\n" },
+        additions: ["Newtown,Newtown SA 5290", "CENTRAL TERRACE NORTH,NEWTOWN", "HARBOUR OLD ROAD,WYE"]
+    },
+    {
+        name: "import-geojson",
+        streetNames: StreetNames, streetSuffixes: StreetSuffixes, suburbNames: SuburbNames,
+        extract: { fileName: "extract.geojson", contents: JSON.stringify({ type: "FeatureCollection", features: [{ type: "Feature", geometry: null, properties: { street_name: "Admella", street_type: "St", locality: "Port MacDonnell", state: "SA", postcode: "5291" } }, { type: "Feature", geometry: null, properties: { street_name: "Zebra", street_type: "Crescent", locality: "Wye", state: "SA", postcode: "5291" } }] }) },
+        additions: ["ZEBRA CRESCENT,WYE"]
+    }
+];
+// Runs a test case (in the specified directory).  Returns a description of the difference from
+// the expected results (or undefined if there is no difference).
+function runGazetteerCase(gazetteerCase, directory) {
+    let gazetteerPaths = { streetNamesPath: path.join(directory, "streetnames.txt"), streetSuffixesPath: path.join(directory, "streetsuffixes.txt"), suburbNamesPath: path.join(directory, "suburbnames.txt") };
+    fs.writeFileSync(gazetteerPaths.streetNamesPath, gazetteerCase.streetNames);
+    fs.writeFileSync(gazetteerPaths.streetSuffixesPath, gazetteerCase.streetSuffixes);
+    fs.writeFileSync(gazetteerPaths.suburbNamesPath, gazetteerCase.suburbNames);
+    let gazetteer = gazetteerfiles_1.readGazetteer(gazetteerPaths);
+    if (gazetteerCase.problems !== undefined) {
+        let problems = gazetteer.problems.map(problem => `${path.basename(problem.filePath)}:${problem.lineNumber}:${problem.severity}`);
+        if (problems.join() !== gazetteerCase.problems.join())
+            return `expected (${gazetteerCase.problems.join(", ") || "no problems"}) but found (${problems.join(", ") || "no problems"})`;
+    }
+    if (gazetteerCase.extract !== undefined) {
+        let extractPath = path.join(directory, gazetteerCase.extract.fileName);
+        fs.writeFileSync(extractPath, gazetteerCase.extract.contents);
+        let { streetLines, suburbLines } = gazetteerfiles_1.getGazetteerAdditions(gazetteer, gazetteerfiles_1.readAddressExtract(extractPath, gazetteer));
+        let additions = suburbLines.concat(streetLines);
+        if (additions.join("; ") !== gazetteerCase.additions.join("; "))
+            return `expected to add (${gazetteerCase.additions.join("; ")}) but would add (${additions.join("; ")})`;
+    }
+    return undefined;
+}
+// Runs each test case.
+function main() {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "gazetteer-"));
+    let failureCount = 0;
+    try {
+        for (let gazetteerCase of GazetteerCases) {
+            let difference = runGazetteerCase(gazetteerCase, directory);
+            if (difference === undefined)
+                console.log(`PASS ${gazetteerCase.name}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${gazetteerCase.name}: ${difference}.`);
+            }
+        }
+    }
+    finally {
+        for (let fileName of fs.readdirSync(directory))
+            fs.unlinkSync(path.join(directory, fileName));
+        fs.rmdirSync(directory);
+    }
+    console.log(`${GazetteerCases.length - failureCount} of ${GazetteerCases.length} gazetteer ${(GazetteerCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+process.exitCode = (main() === 0) ? 0 : 1;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ2F6ZXR0ZWVyZmlsZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJnYXpldHRlZXJmaWxlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxtR0FBbUc7QUFDbkcscUZBQXFGO0FBQ3JGLEVBQUU7QUFDRixTQUFTO0FBQ1QsRUFBRTtBQUNGLGtDQUFrQztBQUVsQyxZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0Isc0RBQTZGO0FBaUI3RixxRUFBcUU7QUFFckUsTUFBTSxXQUFXLEdBQUcsZ0RBQWdELENBQUM7QUFDckUsTUFBTSxjQUFjLEdBQUcsbUNBQW1DLENBQUM7QUFDM0QsTUFBTSxXQUFXLEdBQUcsaUZBQWlGLENBQUM7QUFFdEcsTUFBTSxjQUFjLEdBQW9CO0lBQ3BDLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLGNBQWMsRUFBRSxjQUFjLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFO0lBQ3pILEVBQUUsSUFBSSxFQUFFLGVBQWUsRUFBRSxXQUFXLEVBQUUsZ0RBQWdELEVBQUUsY0FBYyxFQUFFLGNBQWMsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLFFBQVEsRUFBRSxDQUFFLHlCQUF5QixDQUFFLEVBQUU7SUFDM0wsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsY0FBYyxFQUFFLGNBQWMsRUFBRSxXQUFXLEVBQUUsbUNBQW1DLEVBQUUsUUFBUSxFQUFFLENBQUUsMkJBQTJCLEVBQUUsMkJBQTJCLEVBQUUseUJBQXlCLENBQUUsRUFBRTtJQUN0TyxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsV0FBVyxFQUFFLGFBQWEsRUFBRSxjQUFjLEVBQUUsY0FBYyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsUUFBUSxFQUFFLENBQUUseUJBQXlCLENBQUUsRUFBRTtJQUN0SixFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsV0FBVyxFQUFFLG9EQUFvRCxFQUFFLGNBQWMsRUFBRSxjQUFjLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxRQUFRLEVBQUUsQ0FBRSwyQkFBMkIsQ0FBRSxFQUFFO0lBQzlMLEVBQUUsSUFBSSxFQUFFLGNBQWMsRUFBRSxXQUFXLEVBQUUsa0RBQWtELEVBQUUsY0FBYyxFQUFFLGNBQWMsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLFFBQVEsRUFBRSxDQUFFLDJCQUEyQixFQUFFLDJCQUEyQixDQUFFLEVBQUU7SUFDM04sRUFBRSxJQUFJLEVBQUUsa0JBQWtCLEVBQUUsV0FBVyxFQUFFLDhCQUE4QixFQUFFLGNBQWMsRUFBRSxjQUFjLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxRQUFRLEVBQUUsQ0FBRSwyQkFBMkIsQ0FBRSxFQUFFO0lBQzlLLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLFdBQVcsRUFBRSxnQkFBZ0IsRUFBRSxjQUFjLEVBQUUsY0FBYyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsUUFBUSxFQUFFLENBQUUsMkJBQTJCLENBQUUsRUFBRTtJQUM5SixFQUFFLElBQUksRUFBRSxvQkFBb0IsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLGNBQWMsRUFBRSx5Q0FBeUMsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLFFBQVEsRUFBRSxDQUFFLDRCQUE0QixFQUFFLDhCQUE4QixDQUFFLEVBQUU7SUFDek4sRUFBRSxJQUFJLEVBQUUsZUFBZSxFQUFFLFdBQVcsRUFBRSxnQkFBZ0IsRUFBRSxjQUFjLEVBQUUsY0FBYyxFQUFFLFdBQVcsRUFBRSxtRkFBbUYsRUFBRSxRQUFRLEVBQUUsQ0FBRSwyQkFBMkIsRUFBRSwyQkFBMkIsRUFBRSwyQkFBMkIsQ0FBRSxFQUFFO0lBQy9SO1FBQ0ksSUFBSSxFQUFFLFlBQVk7UUFDbEIsV0FBVyxFQUFFLFdBQVcsRUFBRSxjQUFjLEVBQUUsY0FBYyxFQUFFLFdBQVcsRUFBRSxXQUFXO1FBQ2xGLE9BQU8sRUFBRSxFQUFFLFFBQVEsRUFBRSxhQUFhLEVBQUUsUUFBUSxFQUFFLHdNQUF3TSxFQUFFO1FBQ3hQLFNBQVMsRUFBRSxDQUFFLHlCQUF5QixFQUFFLCtCQUErQixFQUFFLHNCQUFzQixDQUFFO0tBQ3BHO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsZ0JBQWdCO1FBQ3RCLFdBQVcsRUFBRSxXQUFXLEVBQUUsY0FBYyxFQUFFLGNBQWMsRUFBRSxXQUFXLEVBQUUsV0FBVztRQUNsRixPQUFPLEVBQUUsRUFBRSxRQUFRLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxJQUFJLEVBQUUsbUJBQW1CLEVBQUUsUUFBUSxFQUFFLENBQUUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLEVBQUUsV0FBVyxFQUFFLFNBQVMsRUFBRSxXQUFXLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxpQkFBaUIsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxFQUFFLFdBQVcsRUFBRSxPQUFPLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUUsRUFBRSxDQUFDLEVBQUU7UUFDL1osU0FBUyxFQUFFLENBQUUsb0JBQW9CLENBQUU7S0FDdEM7Q0FDSixDQUFDO0FBRUYsK0ZBQStGO0FBQy9GLGlFQUFpRTtBQUVqRSxTQUFTLGdCQUFnQixDQUFDLGFBQTRCLEVBQUUsU0FBaUI7SUFDckUsSUFBSSxjQUFjLEdBQUcsRUFBRSxlQUFlLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsaUJBQWlCLENBQUMsRUFBRSxrQkFBa0IsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxvQkFBb0IsQ0FBQyxFQUFFLGVBQWUsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxpQkFBaUIsQ0FBQyxFQUFFLENBQUM7SUFDNU0sRUFBRSxDQUFDLGFBQWEsQ0FBQyxjQUFjLENBQUMsZUFBZSxFQUFFLGFBQWEsQ0FBQyxXQUFXLENBQUMsQ0FBQztJQUM1RSxFQUFFLENBQUMsYUFBYSxDQUFDLGNBQWMsQ0FBQyxrQkFBa0IsRUFBRSxhQUFhLENBQUMsY0FBYyxDQUFDLENBQUM7SUFDbEYsRUFBRSxDQUFDLGFBQWEsQ0FBQyxjQUFjLENBQUMsZUFBZSxFQUFFLGFBQWEsQ0FBQyxXQUFXLENBQUMsQ0FBQztJQUM1RSxJQUFJLFNBQVMsR0FBRyw4QkFBYSxDQUFDLGNBQWMsQ0FBQyxDQUFDO0lBRTlDLElBQUksYUFBYSxDQUFDLFFBQVEsS0FBSyxTQUFTLEVBQUU7UUFDdEMsSUFBSSxRQUFRLEdBQUcsU0FBUyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxVQUFVLElBQUksT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7UUFDakksSUFBSSxRQUFRLENBQUMsSUFBSSxFQUFFLEtBQUssYUFBYSxDQUFDLFFBQVEsQ0FBQyxJQUFJLEVBQUU7WUFDakQsT0FBTyxhQUFhLGFBQWEsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLGFBQWEsZ0JBQWdCLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksYUFBYSxHQUFHLENBQUM7S0FDckk7SUFFRCxJQUFJLGFBQWEsQ0FBQyxPQUFPLEtBQUssU0FBUyxFQUFFO1FBQ3JDLElBQUksV0FBVyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLGFBQWEsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDdkUsRUFBRSxDQUFDLGFBQWEsQ0FBQyxXQUFXLEVBQUUsYUFBYSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUM5RCxJQUFJLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxHQUFHLHNDQUFxQixDQUFDLFNBQVMsRUFBRSxtQ0FBa0IsQ0FBQyxXQUFXLEVBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQztRQUNoSCxJQUFJLFNBQVMsR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBQ2hELElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxhQUFhLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUM7WUFDM0QsT0FBTyxvQkFBb0IsYUFBYSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLG9CQUFvQixTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUM7S0FDaEg7SUFFRCxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQsdUJBQXVCO0FBRXZCLFNBQVMsSUFBSTtJQUNULElBQUksU0FBUyxHQUFHLEVBQUUsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUNyRSxJQUFJLFlBQVksR0FBRyxDQUFDLENBQUM7SUFDckIsSUFBSTtRQUNBLEtBQUssSUFBSSxhQUFhLElBQUksY0FBYyxFQUFFO1lBQ3RDLElBQUksVUFBVSxHQUFHLGdCQUFnQixDQUFDLGFBQWEsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUM1RCxJQUFJLFVBQVUsS0FBSyxTQUFTO2dCQUN4QixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsYUFBYSxDQUFDLElBQUksR0FBRyxDQUFDLENBQUM7aUJBQzFDO2dCQUNELFlBQVksRUFBRSxDQUFDO2dCQUNmLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxhQUFhLENBQUMsSUFBSSxLQUFLLFVBQVUsR0FBRyxDQUFDLENBQUM7YUFDN0Q7U0FDSjtLQUNKO1lBQVM7UUFDTixLQUFLLElBQUksUUFBUSxJQUFJLEVBQUUsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDO1lBQzFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQztRQUNsRCxFQUFFLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0tBQzNCO0lBRUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLGNBQWMsQ0FBQyxNQUFNLEdBQUcsWUFBWSxPQUFPLGNBQWMsQ0FBQyxNQUFNLGNBQWMsQ0FBQyxjQUFjLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLE9BQU8sVUFBVSxDQUFDLENBQUM7SUFDekosT0FBTyxZQUFZLENBQUM7QUFDeEIsQ0FBQztBQUVELE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxJQUFJLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
@@ -0,0 +1,114 @@
+// Tests for the validation of the gazetteer files (each problem is reported with the line on which
+// it occurs) and for the import of the streets and localities of an address extract.
+//
+// Usage:
+//
+//     node test/gazetteerfiles.js
+
+"use strict";
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { readGazetteer, readAddressExtract, getGazetteerAdditions } from "../gazetteerfiles";
+
+declare const process: any;
+
+// A test case: the contents of the gazetteer files (and, optionally, of an address extract) and
+// the expected problems (in the form "file:line:severity") or lines to be added.
+
+interface GazetteerCase {
+    name: string,
+    streetNames: string,
+    streetSuffixes: string,
+    suburbNames: string,
+    extract?: { fileName: string, contents: string },
+    problems?: string[],
+    additions?: string[]
+}
+
+// Valid gazetteer files (used by the cases that only vary one file).
+
+const StreetNames = "ACI ROAD,WYE\nADMELLA STREET,PORT MACDONNELL\n";
+const StreetSuffixes = "Rd,Road\nSt,Street\nTce,Terrace\n";
+const SuburbNames = "Port MacDonnell,Port MacDonnell SA 5291,MacDonnell\nWye,Wye SA 5291,Kongorong\n";
+
+const GazetteerCases: GazetteerCase[] = [
+    { name: "valid-files", streetNames: StreetNames, streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: [] },
+    { name: "missing-comma", streetNames: "ACI ROAD,WYE\nADMELLA STREET PORT MACDONNELL\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: [ "streetnames.txt:2:error" ] },
+    { name: "extra-comma", streetNames: StreetNames, streetSuffixes: StreetSuffixes, suburbNames: "Wye,Wye SA 5291,Kongorong,Extra\n", problems: [ "streetnames.txt:1:warning", "streetnames.txt:2:warning", "suburbnames.txt:1:error" ] },
+    { name: "empty-value", streetNames: "ACI ROAD,\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: [ "streetnames.txt:1:error" ] },
+    { name: "blank-line", streetNames: "ACI ROAD,WYE\n\nADMELLA STREET,PORT MACDONNELL\n\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: [ "streetnames.txt:2:warning" ] },
+    { name: "stray-spaces", streetNames: "ACI ROAD,WYE \nADMELLA  STREET,PORT MACDONNELL\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: [ "streetnames.txt:1:warning", "streetnames.txt:2:warning" ] },
+    { name: "duplicate-street", streetNames: "ACI ROAD,WYE\naci road,Wye\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: [ "streetnames.txt:2:warning" ] },
+    { name: "unknown-suburb", streetNames: "ACI ROAD,WHY\n", streetSuffixes: StreetSuffixes, suburbNames: SuburbNames, problems: [ "streetnames.txt:1:warning" ] },
+    { name: "conflicting-suffix", streetNames: StreetNames, streetSuffixes: "Rd,Road\nSt,Street\nSt,Saint\nRd,Road\n", suburbNames: SuburbNames, problems: [ "streetsuffixes.txt:3:error", "streetsuffixes.txt:4:warning" ] },
+    { name: "suburb-format", streetNames: "ACI ROAD,WYE\n", streetSuffixes: StreetSuffixes, suburbNames: "Wye,Wye 5291,Kongorong\nO B Flat,OB Flat SA 5291\nMil-Lel,Millel SA 5291,;Young\n", problems: [ "suburbnames.txt:1:warning", "suburbnames.txt:3:warning", "suburbnames.txt:3:warning" ] },
+    {
+        name: "import-csv",
+        streetNames: StreetNames, streetSuffixes: StreetSuffixes, suburbNames: SuburbNames,
+        extract: { fileName: "extract.csv", contents: "STREET_NAME,STREET_TYPE_CODE,STREET_SUFFIX_CODE,LOCALITY_NAME,STATE_ABBREVIATION,POSTCODE\nACI,ROAD,,WYE,SA,5291\nCENTRAL,TCE,N,NEWTOWN,SA,5290\n\"HARBOUR, OLD\",RD,,WYE,SA,5291\nMOON,RD,,NOPOST,,\n" },
+        additions: [ "Newtown,Newtown SA 5290", "CENTRAL TERRACE NORTH,NEWTOWN", "HARBOUR OLD ROAD,WYE" ]
+    },
+    {
+        name: "import-geojson",
+        streetNames: StreetNames, streetSuffixes: StreetSuffixes, suburbNames: SuburbNames,
+        extract: { fileName: "extract.geojson", contents: JSON.stringify({ type: "FeatureCollection", features: [ { type: "Feature", geometry: null, properties: { street_name: "Admella", street_type: "St", locality: "Port MacDonnell", state: "SA", postcode: "5291" } }, { type: "Feature", geometry: null, properties: { street_name: "Zebra", street_type: "Crescent", locality: "Wye", state: "SA", postcode: "5291" } } ] }) },
+        additions: [ "ZEBRA CRESCENT,WYE" ]
+    }
+];
+
+// Runs a test case (in the specified directory).  Returns a description of the difference from
+// the expected results (or undefined if there is no difference).
+
+function runGazetteerCase(gazetteerCase: GazetteerCase, directory: string) {
+    let gazetteerPaths = { streetNamesPath: path.join(directory, "streetnames.txt"), streetSuffixesPath: path.join(directory, "streetsuffixes.txt"), suburbNamesPath: path.join(directory, "suburbnames.txt") };
+    fs.writeFileSync(gazetteerPaths.streetNamesPath, gazetteerCase.streetNames);
+    fs.writeFileSync(gazetteerPaths.streetSuffixesPath, gazetteerCase.streetSuffixes);
+    fs.writeFileSync(gazetteerPaths.suburbNamesPath, gazetteerCase.suburbNames);
+    let gazetteer = readGazetteer(gazetteerPaths);
+
+    if (gazetteerCase.problems !== undefined) {
+        let problems = gazetteer.problems.map(problem => `${path.basename(problem.filePath)}:${problem.lineNumber}:${problem.severity}`);
+        if (problems.join() !== gazetteerCase.problems.join())
+            return `expected (${gazetteerCase.problems.join(", ") || "no problems"}) but found (${problems.join(", ") || "no problems"})`;
+    }
+
+    if (gazetteerCase.extract !== undefined) {
+        let extractPath = path.join(directory, gazetteerCase.extract.fileName);
+        fs.writeFileSync(extractPath, gazetteerCase.extract.contents);
+        let { streetLines, suburbLines } = getGazetteerAdditions(gazetteer, readAddressExtract(extractPath, gazetteer));
+        let additions = suburbLines.concat(streetLines);
+        if (additions.join("; ") !== gazetteerCase.additions.join("; "))
+            return `expected to add (${gazetteerCase.additions.join("; ")}) but would add (${additions.join("; ")})`;
+    }
+
+    return undefined;
+}
+
+// Runs each test case.
+
+function main() {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "gazetteer-"));
+    let failureCount = 0;
+    try {
+        for (let gazetteerCase of GazetteerCases) {
+            let difference = runGazetteerCase(gazetteerCase, directory);
+            if (difference === undefined)
+                console.log(`PASS ${gazetteerCase.name}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${gazetteerCase.name}: ${difference}.`);
+            }
+        }
+    } finally {
+        for (let fileName of fs.readdirSync(directory))
+            fs.unlinkSync(path.join(directory, fileName));
+        fs.rmdirSync(directory);
+    }
+
+    console.log(`${GazetteerCases.length - failureCount} of ${GazetteerCases.length} gazetteer ${(GazetteerCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+process.exitCode = (main() === 0) ? 0 : 1;
@@ -0,0 +1,83 @@
+// Tests the conversion of a database created by the original scraper (a data table keyed by the
+// council reference alone, with no history, run or authority label columns) that holds the same
+// application under both a variant council reference ("DA 141/2017") and the canonical council
+// reference ("141/17").  The canonical row must be kept, the variant row must be removed and the
+// details of the variant row must be kept as a version in the history of the canonical row (with
+// changed fields that name the merged council reference).
+//
+// Usage:
+//
+//     node test/migration.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const database_1 = require("../database");
+const scraper_1 = require("../scraper");
+// The rows of the data table of the original database.
+const BaselineRows = [
+    { council_reference: "DA 141/2017", address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED", date_scraped: "2018-02-01", date_received: "2017-03-05" },
+    { council_reference: "141/17", address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED AND CARPORT", date_scraped: "2019-02-01", date_received: "2017-03-05" },
+    { council_reference: "DA 142/2017", address: "ACI ROAD, WYE SA 5291", description: "DWELLING", date_scraped: "2018-02-01", date_received: "2017-03-06" }
+];
+const MigrationCases = [
+    {
+        name: "data",
+        sql: "select [authority_label], [council_reference], [original_council_reference], [description] from [data] order by [council_reference]",
+        expected: [
+            { authority_label: "grant", council_reference: "141/17", original_council_reference: "141/17", description: "SHED AND CARPORT" },
+            { authority_label: "grant", council_reference: "142/17", original_council_reference: "DA 142/2017", description: "DWELLING" }
+        ]
+    },
+    {
+        name: "history",
+        sql: "select [council_reference], [version], [address], [description], [date_received], [scraped_at], [changed_fields] from [history] order by [council_reference], [version]",
+        expected: [
+            { council_reference: "141/17", version: 1, address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED", date_received: "2017-03-05", scraped_at: "2018-02-01", changed_fields: "merged from \"DA 141/2017\"" }
+        ]
+    }
+];
+// Creates a database with the schema of the original scraper.
+async function createBaselineDatabase(databasePath) {
+    let database = new sqlite3.Database(databasePath);
+    await database_1.runSql(database, "create table [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text)");
+    for (let row of BaselineRows)
+        await database_1.runSql(database, "insert into [data] ([council_reference], [address], [description], [info_url], [comment_url], [date_scraped], [date_received], [legal_description]) values (?, ?, ?, ?, ?, ?, ?, ?)", [row.council_reference, row.address, row.description, "https://example/register.pdf", "mailto:info@dcgrant.sa.gov.au", row.date_scraped, row.date_received, ""]);
+    await new Promise(resolve => database.close(resolve));
+}
+// Converts a database created by the original scraper and runs each test case against it.
+async function main() {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "migration-"));
+    let databasePath = path.join(directory, "data.sqlite");
+    let log = console.log;
+    let failureCount = 0;
+    try {
+        await createBaselineDatabase(databasePath);
+        console.log = () => { }; // suppress the messages written while converting the database
+        let database = await scraper_1.initializeDatabase(databasePath);
+        console.log = log;
+        for (let migrationCase of MigrationCases) {
+            let expected = JSON.stringify(migrationCase.expected);
+            let actual = JSON.stringify(await database_1.getRows(database, migrationCase.sql));
+            if (actual === expected)
+                console.log(`PASS ${migrationCase.name}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${migrationCase.name}: expected ${expected} but found ${actual}.`);
+            }
+        }
+        await new Promise(resolve => database.close(resolve));
+    }
+    finally {
+        console.log = log;
+        for (let fileName of fs.readdirSync(directory))
+            fs.unlinkSync(path.join(directory, fileName));
+        fs.rmdirSync(directory);
+    }
+    console.log(`${MigrationCases.length - failureCount} of ${MigrationCases.length} migration ${(MigrationCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWlncmF0aW9uLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsibWlncmF0aW9uLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGdHQUFnRztBQUNoRyxnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLGlHQUFpRztBQUNqRyxpR0FBaUc7QUFDakcsMERBQTBEO0FBQzFELEVBQUU7QUFDRixTQUFTO0FBQ1QsRUFBRTtBQUNGLDZCQUE2QjtBQUU3QixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0IsbUNBQW1DO0FBQ25DLDBDQUE4QztBQUM5Qyx3Q0FBZ0Q7QUFJaEQsdURBQXVEO0FBRXZELE1BQU0sWUFBWSxHQUFHO0lBQ2pCLEVBQUUsaUJBQWlCLEVBQUUsYUFBYSxFQUFFLE9BQU8sRUFBRSw0Q0FBNEMsRUFBRSxXQUFXLEVBQUUsTUFBTSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsYUFBYSxFQUFFLFlBQVksRUFBRTtJQUN6SyxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsNENBQTRDLEVBQUUsV0FBVyxFQUFFLGtCQUFrQixFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsYUFBYSxFQUFFLFlBQVksRUFBRTtJQUNoTCxFQUFFLGlCQUFpQixFQUFFLGFBQWEsRUFBRSxPQUFPLEVBQUUsdUJBQXVCLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLGFBQWEsRUFBRSxZQUFZLEVBQUU7Q0FDM0osQ0FBQztBQVVGLE1BQU0sY0FBYyxHQUFvQjtJQUNwQztRQUNJLElBQUksRUFBRSxNQUFNO1FBQ1osR0FBRyxFQUFFLHFJQUFxSTtRQUMxSSxRQUFRLEVBQUU7WUFDTixFQUFFLGVBQWUsRUFBRSxPQUFPLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLDBCQUEwQixFQUFFLFFBQVEsRUFBRSxXQUFXLEVBQUUsa0JBQWtCLEVBQUU7WUFDaEksRUFBRSxlQUFlLEVBQUUsT0FBTyxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSwwQkFBMEIsRUFBRSxhQUFhLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRTtTQUNoSTtLQUNKO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsU0FBUztRQUNmLEdBQUcsRUFBRSx5S0FBeUs7UUFDOUssUUFBUSxFQUFFO1lBQ04sRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsNENBQTRDLEVBQUUsV0FBVyxFQUFFLE1BQU0sRUFBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsY0FBYyxFQUFFLDZCQUE2QixFQUFFO1NBQ2hPO0tBQ0o7Q0FDSixDQUFDO0FBRUYsOERBQThEO0FBRTlELEtBQUssVUFBVSxzQkFBc0IsQ0FBQyxZQUFvQjtJQUN0RCxJQUFJLFFBQVEsR0FBRyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsWUFBWSxDQUFDLENBQUM7SUFDbEQsTUFBTSxpQkFBTSxDQUFDLFFBQVEsRUFBRSwwTUFBME0sQ0FBQyxDQUFDO0lBQ25PLEtBQUssSUFBSSxHQUFHLElBQUksWUFBWTtRQUN4QixNQUFNLGlCQUFNLENBQUMsUUFBUSxFQUFFLHFMQUFxTCxFQUFFLENBQUUsR0FBRyxDQUFDLGlCQUFpQixFQUFFLEdBQUcsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLFdBQVcsRUFBRSw4QkFBOEIsRUFBRSwrQkFBK0IsRUFBRSxHQUFHLENBQUMsWUFBWSxFQUFFLEdBQUcsQ0FBQyxhQUFhLEVBQUUsRUFBRSxDQUFFLENBQUMsQ0FBQztJQUNyWCxNQUFNLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO0FBQzFELENBQUM7QUFFRCwwRkFBMEY7QUFFMUYsS0FBSyxVQUFVLElBQUk7SUFDZixJQUFJLFNBQVMsR0FBRyxFQUFFLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxFQUFFLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDckUsSUFBSSxZQUFZLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsYUFBYSxDQUFDLENBQUM7SUFDdkQsSUFBSSxHQUFHLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQztJQUN0QixJQUFJLFlBQVksR0FBRyxDQUFDLENBQUM7SUFDckIsSUFBSTtRQUNBLE1BQU0sc0JBQXNCLENBQUMsWUFBWSxDQUFDLENBQUM7UUFDM0MsT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLEVBQUUsR0FBRSxDQUFDLENBQUMsQ0FBRSw4REFBOEQ7UUFDdkYsSUFBSSxRQUFRLEdBQUcsTUFBTSw0QkFBa0IsQ0FBQyxZQUFZLENBQUMsQ0FBQztRQUN0RCxPQUFPLENBQUMsR0FBRyxHQUFHLEdBQUcsQ0FBQztRQUVsQixLQUFLLElBQUksYUFBYSxJQUFJLGNBQWMsRUFBRTtZQUN0QyxJQUFJLFFBQVEsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUN0RCxJQUFJLE1BQU0sR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sa0JBQU8sQ0FBQyxRQUFRLEVBQUUsYUFBYSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDeEUsSUFBSSxNQUFNLEtBQUssUUFBUTtnQkFDbkIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLGFBQWEsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDO2lCQUMxQztnQkFDRCxZQUFZLEVBQUUsQ0FBQztnQkFDZixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsYUFBYSxDQUFDLElBQUksY0FBYyxRQUFRLGNBQWMsTUFBTSxHQUFHLENBQUMsQ0FBQzthQUN4RjtTQUNKO1FBQ0QsTUFBTSxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztLQUN6RDtZQUFTO1FBQ04sT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLENBQUM7UUFDbEIsS0FBSyxJQUFJLFFBQVEsSUFBSSxFQUFFLENBQUMsV0FBVyxDQUFDLFNBQVMsQ0FBQztZQUMxQyxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFDbEQsRUFBRSxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQztLQUMzQjtJQUVELE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxjQUFjLENBQUMsTUFBTSxHQUFHLFlBQVksT0FBTyxjQUFjLENBQUMsTUFBTSxjQUFjLENBQUMsY0FBYyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxPQUFPLFVBQVUsQ0FBQyxDQUFDO0lBQ3pKLE9BQU8sWUFBWSxDQUFDO0FBQ3hCLENBQUM7QUFFRCxJQUFJLEVBQUUsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsWUFBWSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsRUFBRSxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDIn0=
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Tests the conversion of a database created by the original scraper (a data table keyed by the
+// council reference alone, with no history, run or authority label columns) that holds the same
+// application under both a variant council reference ("DA 141/2017") and the canonical council
+// reference ("141/17").  The canonical row must be kept, the variant row must be removed and the
+// details of the variant row must be kept as a version in the history of the canonical row (with
+// changed fields that name the merged council reference).
+//
+// Usage:
+//
+//     node test/migration.js
+
+"use strict";
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as sqlite3 from "sqlite3";
+import { runSql, getRows } from "../database";
+import { initializeDatabase } from "../scraper";
+
+declare const process: any;
+
+// The rows of the data table of the original database.
+
+const BaselineRows = [
+    { council_reference: "DA 141/2017", address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED", date_scraped: "2018-02-01", date_received: "2017-03-05" },
+    { council_reference: "141/17", address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED AND CARPORT", date_scraped: "2019-02-01", date_received: "2017-03-05" },
+    { council_reference: "DA 142/2017", address: "ACI ROAD, WYE SA 5291", description: "DWELLING", date_scraped: "2018-02-01", date_received: "2017-03-06" }
+];
+
+// A test case: a query of the converted database and its expected rows.
+
+interface MigrationCase {
+    name: string,
+    sql: string,
+    expected: any[]
+}
+
+const MigrationCases: MigrationCase[] = [
+    {
+        name: "data",
+        sql: "select [authority_label], [council_reference], [original_council_reference], [description] from [data] order by [council_reference]",
+        expected: [
+            { authority_label: "grant", council_reference: "141/17", original_council_reference: "141/17", description: "SHED AND CARPORT" },
+            { authority_label: "grant", council_reference: "142/17", original_council_reference: "DA 142/2017", description: "DWELLING" }
+        ]
+    },
+    {
+        name: "history",
+        sql: "select [council_reference], [version], [address], [description], [date_received], [scraped_at], [changed_fields] from [history] order by [council_reference], [version]",
+        expected: [
+            { council_reference: "141/17", version: 1, address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED", date_received: "2017-03-05", scraped_at: "2018-02-01", changed_fields: "merged from \"DA 141/2017\"" }
+        ]
+    }
+];
+
+// Creates a database with the schema of the original scraper.
+
+async function createBaselineDatabase(databasePath: string) {
+    let database = new sqlite3.Database(databasePath);
+    await runSql(database, "create table [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text)");
+    for (let row of BaselineRows)
+        await runSql(database, "insert into [data] ([council_reference], [address], [description], [info_url], [comment_url], [date_scraped], [date_received], [legal_description]) values (?, ?, ?, ?, ?, ?, ?, ?)", [ row.council_reference, row.address, row.description, "https://example/register.pdf", "mailto:info@dcgrant.sa.gov.au", row.date_scraped, row.date_received, "" ]);
+    await new Promise(resolve => database.close(resolve));
+}
+
+// Converts a database created by the original scraper and runs each test case against it.
+
+async function main() {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "migration-"));
+    let databasePath = path.join(directory, "data.sqlite");
+    let log = console.log;
+    let failureCount = 0;
+    try {
+        await createBaselineDatabase(databasePath);
+        console.log = () => {};  // suppress the messages written while converting the database
+        let database = await initializeDatabase(databasePath);
+        console.log = log;
+
+        for (let migrationCase of MigrationCases) {
+            let expected = JSON.stringify(migrationCase.expected);
+            let actual = JSON.stringify(await getRows(database, migrationCase.sql));
+            if (actual === expected)
+                console.log(`PASS ${migrationCase.name}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${migrationCase.name}: expected ${expected} but found ${actual}.`);
+            }
+        }
+        await new Promise(resolve => database.close(resolve));
+    } finally {
+        console.log = log;
+        for (let fileName of fs.readdirSync(directory))
+            fs.unlinkSync(path.join(directory, fileName));
+        fs.rmdirSync(directory);
+    }
+
+    console.log(`${MigrationCases.length - failureCount} of ${MigrationCases.length} migration ${(MigrationCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
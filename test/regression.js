@@ -0,0 +1,355 @@
+// Regression tests for the PDF grid parser.  Archived register documents (in the "fixtures"
+// directory, each with a ".url" file recording its original URL, as written by the "--archive"
+// option of the scraper) and a set of synthetic PDF documents (generated below) are parsed and
+// the resulting development applications are compared, field by field, against the expected
+// JSON in the "expected" directory (the run fails if the "fixtures" directory is missing).  The
+// synthetic documents are parsed using the adapter of the District Council of Grant unless another
+// council adapter is specified (such as the example council below, whose column layout and
+// gazetteer are in the "councils/example" directory).
+//
+// Usage:
+//
+//     node test/regression.js             compares against the expected JSON
+//     node test/regression.js --update    rewrites the expected JSON (after an intentional change)
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const scraper_1 = require("../scraper");
+const councils_1 = require("../councils");
+const archive_1 = require("../archive");
+const syntheticpdf_1 = require("./syntheticpdf");
+const FixturesDirectory = path.join(__dirname, "fixtures");
+const ExpectedDirectory = path.join(__dirname, "expected");
+const SyntheticPath = "/synthetic/"; // the path (on the web site of the council) of the synthetic documents
+// A council that publishes a register with different column headings (and in a different area)
+// to the District Council of Grant.  The paths are relative to the root of the repository.
+const ExampleCouncil = {
+    name: "example",
+    authorityName: "Example Council",
+    registerUrl: "https://council.example/development-register",
+    linkSelector: "a.register-document",
+    commentUrl: "mailto:planning@council.example",
+    layoutPath: "test/councils/example/layout.json",
+    descriptionRulesPath: "descriptionrules.txt",
+    gazetteer: {
+        streetNamesPath: "test/councils/example/streetnames.txt",
+        streetSuffixesPath: "streetsuffixes.txt",
+        suburbNamesPath: "test/councils/example/suburbnames.txt"
+    }
+};
+// Synthetic documents that exercise the thresholds used when reconstructing the grid (the line
+// widths and heights, the 50% cell ownership of each element, the 90% horizontal overlap with
+// the heading cells and the tolerance used to group cells into rows), merged cells and the
+// joining of continuation rows.
+const SyntheticDocuments = [
+    {
+        name: "synthetic-basic-grid",
+        pages: [{
+                rows: [
+                    [["141/17"], ["5/03/2017"], ["12"], ["3"], ["100"], ["ADMELLA ST, PORT MACDONNELL", "HD MACDONNELL"], ["DWELLING"]],
+                    [["142/17"], ["6/03/2017"], ["-"], ["4"], ["-"], ["ADAMS RD, CARPENTER ROCKS", "HD BLANCHE"], ["SHED"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-multi-line-cells",
+        pages: [{
+                rows: [
+                    [["150/18"], ["14/06/2018"], ["7", "9"], ["1", "2"], ["55"], ["ACI RD, WYE", "HUNDRED KONGORONG"], ["DETACHED DW ELLING AND", "GARAGE - BUILDING RULES ONLY"]],
+                    [["151/18"], ["15/06/2018"], ["-"], ["8"], ["-"], ["ADMELLA STREET,", "PT MACDONNELL"], ["PLANNING ONLY"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-logo-and-transform",
+        pages: [{
+                logo: true,
+                scale: 0.5,
+                rows: [
+                    [["160/18"], ["1/07/2018"], ["3"], ["5"], ["-"], ["ADAMS ST, DONOVANS", "HD CAROLINE"], ["VERANDAH"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-straddling-text",
+        pages: [{
+                rows: [
+                    [["170/18"], ["2/08/2018"], [""], [""], [""], ["ACI ROAD, WYE"], ["CARPORT"]]
+                ],
+                texts: [
+                    { x: 201, y: 513, text: "6" },
+                    { x: 238, y: 513, text: "77" } // mostly within the "SECTION/" column
+                ]
+            }]
+    },
+    {
+        name: "synthetic-continuation-page",
+        pages: [{
+                rows: [
+                    [["180/18"], ["3/09/2018"], ["1"], ["2"], ["-"], ["ADAMS RD, CARPENTER ROCKS"], ["SWIMMING POOL"]]
+                ]
+            }, {
+                headings: null,
+                rows: [
+                    [["181/18"], ["4/09/2018"], ["2"], ["3"], ["-"], ["ADAMS RD, CARPENTER ROCKS"], ["DEMOLITION"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-alternative-headings",
+        pages: [{
+                headings: [["APP NO."], ["DATE", "RECEIVED"], ["HOUSE NO."], ["LOT"], ["SECTION"], ["ADDRESS"], ["DESCRIPTON"]],
+                rows: [
+                    [["210/19"], ["10/04/2019"], ["15"], ["6"], ["12"], ["ADAMS RD, CARPENTER ROCKS"], ["DWELLING ADDITIONS"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-headingless-first-page",
+        pages: [{
+                headings: null,
+                rows: [
+                    [["220/19"], ["11/04/2019"], ["1"], ["-"], ["-"], ["ACI ROAD, WYE"], ["SHED"]]
+                ]
+            }, {
+                rows: [
+                    [["221/19"], ["12/04/2019"], ["2"], ["-"], ["-"], ["ACI ROAD, WYE"], ["CARPORT"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-hundred-disambiguation",
+        pages: [{
+                rows: [
+                    [["200/19"], ["8/03/2019"], ["2"], ["1"], ["-"], ["BELLS LANE, COVETON", "HD BLANCHE"], ["SHED"]],
+                    [["201/19"], ["9/03/2019"], ["3"], ["2"], ["-"], ["BONES RD, COVETON", "HD CAROLINE"], ["SHED"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-rejected-rows",
+        pages: [{
+                rows: [
+                    [["190/19"], ["31/02/19"], ["4"], ["-"], ["-"], ["ACI ROAD, WYE"], [""]],
+                    [[""], ["6/03/2019"], ["5"], ["-"], ["-"], ["ACI ROAD, WYE"], ["SHED"]],
+                    [["191/19"], ["7/03/2019"], ["6"], ["-"], ["-"], ["-"], ["SHED"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-merged-cells",
+        pages: [{
+                rows: [
+                    [["230/19"], ["9/05/2019"], ["5"], ["1", "2"], ["-"], ["ADAMS RD, CARPENTER ROCKS", "HD BENARA"], ["DWELLING AND"]],
+                    [[], [], [], ["3"], [], [], ["FARM SHED"]],
+                    [["231/19"], ["10/05/2019"], ["8"], ["4"], ["17"], ["ACI ROAD, WYE"], ["CARPORT AND"]],
+                    [[""], [""], [""], ["5"], ["-"], [""], ["VERANDAH"]]
+                ],
+                spans: [
+                    { row: 0, column: 0, rowSpan: 2 },
+                    { row: 0, column: 1, rowSpan: 2 },
+                    { row: 0, column: 2, rowSpan: 2 },
+                    { row: 0, column: 4, rowSpan: 2 },
+                    { row: 0, column: 5, rowSpan: 2 },
+                    { row: 2, column: 3, columnSpan: 2 } // a partial vertical rule between the "LOT" and "SECTION/" columns
+                ]
+            }]
+    },
+    {
+        name: "synthetic-continuation-rows",
+        pages: [{
+                rows: [
+                    [["240/19"], ["11/05/2019"], ["3"], ["6"], ["-"], ["ADAMS RD, CARPENTER ROCKS"], ["SWIMMING POOL AND"]]
+                ]
+            }, {
+                headings: null,
+                rows: [
+                    [[""], [""], [""], ["7"], [""], ["HD BENARA"], ["SAFETY FENCE - BUILDING RULES ONLY"]],
+                    [["241/19"], ["12/05/2019"], ["4"], ["8"], ["-"], ["ADAMS RD, CARPENTER ROCKS"], ["SHED"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-received-dates",
+        pages: [{
+                rows: [
+                    [["250/19"], ["5/3/2019"], ["1"], ["-"], ["-"], ["ACI ROAD, WYE"], ["SHED"]],
+                    [["251/19"], ["6/03/", "2019"], ["2"], ["-"], ["-"], ["ACI ROAD, WYE"], ["CARPORT"]],
+                    [["252/19"], ["07/03/19*"], ["3"], ["-"], ["-"], ["ACI ROAD, WYE"], ["VERANDAH"]],
+                    [["253/19"], ["8/03/2018"], ["4"], ["-"], ["-"], ["ACI ROAD, WYE"], ["DWELLING"]],
+                    [["254/19"], ["9/03/1919"], ["5"], ["-"], ["-"], ["ACI ROAD, WYE"], ["GARAGE"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-description-rules",
+        pages: [{
+                rows: [
+                    [["260/19"], ["13/05/2019"], ["1"], ["-"], ["-"], ["ACI ROAD, WYE"], ["ALTS & ADDNS TO DWG - PLANNING ONLY"]],
+                    [["261/19"], ["14/05/2019"], ["2"], ["-"], ["-"], ["ACI ROAD, WYE"], ["VERAN-", "DAH AND C/PORT"]],
+                    [["262/19"], ["15/05/2019"], ["3"], ["-"], ["-"], ["ACI ROAD, WYE"], ["LAND DIV ISION (1 INTO 2)"]],
+                    [["263/19"], ["16/05/2019"], ["4"], ["-"], ["-"], ["ACI ROAD, WYE"], ["DEMOLITION OF SH ED (BUILDING RULES ONLY)"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-application-numbers",
+        pages: [{
+                rows: [
+                    [["DA 270/19"], ["20/05/2019"], ["1"], ["-"], ["-"], ["ACI ROAD, WYE"], ["DWELLING"]],
+                    [["0271/2019"], ["21/05/2019"], ["2"], ["-"], ["-"], ["ACI ROAD, WYE"], ["SHED"]],
+                    [["272 / 19"], ["22/05/2019"], ["3"], ["-"], ["-"], ["ACI ROAD, WYE"], ["CARPORT"]]
+                ]
+            }]
+    },
+    {
+        name: "synthetic-register-two-pages",
+        pages: [
+            {
+                logo: true,
+                rows: [
+                    [["345/19"], ["2/07/2019"], ["17"], ["12"], ["-"], ["ADMELLA STREET, PORT MACDONNELL", "HD MACDONNELL"], ["DWELLING ADDITIONS - VERANDAH"]],
+                    [["346/19"], ["2/07/2019"], ["-"], ["1"], ["423"], ["ACI ROAD, WYE", "HD CAROLINE"], ["FARM BUILDING (HAY SHED)"]],
+                    [["347/19"], ["3/07/2019"], ["9"], ["105"], ["-"], ["ALBATROSS TERRACE, WORROLONG", "HD GAMBIER"], ["DETACHED DWELLING AND", "GARAGE UNDER MAIN ROOF"]],
+                    [["348/19"], ["4/07/2019"], ["23"], ["6"], ["-"], ["ANNE STREET, TARPEENA", "HD YOUNG"], ["CARPORT"]],
+                    [["349/19"], ["5/07/2019"], ["-"], ["2"], ["88"], ["ADAMS ROAD, CARPENTER ROCKS", "HD BENARA"], ["DEMOLITION OF EXISTING DWELLING"]]
+                ]
+            },
+            {
+                headings: null,
+                logo: true,
+                rows: [
+                    [["350/19"], ["8/07/2019"], ["4"], ["31"], ["-"], ["AMBROSE COURT, WORROLONG", "HD GAMBIER"], ["SWIMMING POOL AND SAFETY", "FENCE"]],
+                    [["351/19"], ["9/07/2019"], ["-"], ["7"], ["215"], ["ATKIN ROAD, KONGORONG", "HD KONGORONG"], ["LAND DIVISION - BOUNDARY", "REALIGNMENT"]],
+                    [["352/19"], ["10/07/2019"], ["11"], ["54"], ["-"], ["ASCOTT WAY, SUTTONTOWN", "HD BLANCHE"], ["OUTBUILDING (GARAGE)"]]
+                ]
+            }
+        ]
+    },
+    {
+        name: "synthetic-example-council",
+        council: ExampleCouncil,
+        pages: [{
+                headings: [["DA NUMBER"], ["LODGEMENT DATE"], ["STREET NO."], ["ALLOT."], ["SECT."], ["SITE ADDRESS"], ["PROPOSAL"]],
+                rows: [
+                    [["12/20"], ["3/02/2020"], ["4"], ["7"], ["-"], ["MAIN ST, NORTHVALE", "HD BETA"], ["DWELLING"]],
+                    [["13/20"], ["4/02/2020"], ["-"], ["8"], ["21"], ["HARBOR RD, EASTON BAY", "HD ALPHA"], ["JETTY"]]
+                ]
+            }]
+    }
+];
+// Gets the regression cases (the archived fixture documents followed by the synthetic documents).
+function getRegressionCases() {
+    let regressionCases = [];
+    // A missing fixtures directory fails the run (rather than silently testing only the synthetic
+    // documents).  No archived register documents are checked in yet, so an empty directory is
+    // reported instead.
+    if (!fs.existsSync(FixturesDirectory))
+        throw new Error(`The fixtures directory ${FixturesDirectory} is missing.`);
+    let archivedFiles = archive_1.readArchivedFiles([FixturesDirectory]).filter(archivedFile => archivedFile.type === "pdf");
+    if (archivedFiles.length === 0)
+        console.log(`There are no archived register documents (each with a ".url" file) in ${FixturesDirectory}, so only the synthetic documents are parsed.`);
+    for (let archivedFile of archivedFiles)
+        regressionCases.push({ name: path.basename(archivedFile.path, path.extname(archivedFile.path)), url: archivedFile.url, council: councils_1.GrantCouncil, read: () => fs.readFileSync(archivedFile.path) });
+    for (let syntheticDocument of SyntheticDocuments) {
+        let council = syntheticDocument.council || councils_1.GrantCouncil;
+        let url = new URL(council.registerUrl).origin + SyntheticPath + syntheticDocument.name + ".pdf";
+        regressionCases.push({ name: syntheticDocument.name, url: url, council: council, read: () => syntheticpdf_1.createPdf(syntheticDocument.pages) });
+    }
+    return regressionCases;
+}
+// Parses a document (using the address information of the specified council) without logging
+// progress to the console.  The scrape date is removed from each development application because
+// it changes every day.
+async function parseQuietly(buffer, url, council) {
+    let log = console.log;
+    console.log = () => { };
+    try {
+        scraper_1.readAddressInformation(council);
+        let { developmentApplications } = await scraper_1.parsePdf(buffer, url, council);
+        for (let developmentApplication of developmentApplications)
+            delete developmentApplication.scrapeDate;
+        return developmentApplications;
+    }
+    finally {
+        console.log = log;
+    }
+}
+// Keys the development applications by application number (numbering any repeated application
+// numbers so that every development application can still be compared).
+function keyDevelopmentApplications(developmentApplications) {
+    let keyedDevelopmentApplications = new Map();
+    for (let developmentApplication of developmentApplications) {
+        let key = developmentApplication.applicationNumber;
+        for (let count = 2; keyedDevelopmentApplications.has(key); count++)
+            key = `${developmentApplication.applicationNumber} (#${count})`;
+        keyedDevelopmentApplications.set(key, developmentApplication);
+    }
+    return keyedDevelopmentApplications;
+}
+// Compares the parsed development applications against the expected development applications,
+// field by field, and returns a description of each difference.
+function compareDevelopmentApplications(expected, actual) {
+    let differences = [];
+    let expectedByKey = keyDevelopmentApplications(expected);
+    let actualByKey = keyDevelopmentApplications(actual);
+    for (let [key, expectedDevelopmentApplication] of expectedByKey) {
+        let actualDevelopmentApplication = actualByKey.get(key);
+        if (actualDevelopmentApplication === undefined) {
+            differences.push(`Application "${key}" was expected but was not parsed.`);
+            continue;
+        }
+        let fields = new Set([...Object.keys(expectedDevelopmentApplication), ...Object.keys(actualDevelopmentApplication)]);
+        for (let field of fields) {
+            let expectedValue = JSON.stringify(expectedDevelopmentApplication[field]);
+            let actualValue = JSON.stringify(actualDevelopmentApplication[field]);
+            if (expectedValue !== actualValue)
+                differences.push(`Application "${key}" field "${field}": expected ${expectedValue} but parsed ${actualValue}.`);
+        }
+    }
+    for (let key of actualByKey.keys())
+        if (!expectedByKey.has(key))
+            differences.push(`Application "${key}" was parsed but was not expected.`);
+    if (differences.length === 0 && expected.map(item => item.applicationNumber).join() !== actual.map(item => item.applicationNumber).join())
+        differences.push(`Applications were parsed in a different order: expected ${expected.map(item => item.applicationNumber).join(", ")} but parsed ${actual.map(item => item.applicationNumber).join(", ")}.`);
+    return differences;
+}
+// Runs each regression case, either comparing against or updating the expected JSON.
+async function main() {
+    let update = process.argv.slice(2).includes("--update");
+    // The address information files are read relative to the current directory.
+    process.chdir(path.join(__dirname, ".."));
+    let failureCount = 0;
+    let regressionCases = getRegressionCases();
+    for (let regressionCase of regressionCases) {
+        let expectedPath = path.join(ExpectedDirectory, regressionCase.name + ".json");
+        let actual = await parseQuietly(regressionCase.read(), regressionCase.url, regressionCase.council);
+        if (update) {
+            fs.mkdirSync(ExpectedDirectory, { recursive: true });
+            fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 4) + "\n");
+            console.log(`Updated ${regressionCase.name} (${actual.length} ${(actual.length === 1) ? "application" : "applications"}).`);
+            continue;
+        }
+        if (!fs.existsSync(expectedPath)) {
+            failureCount++;
+            console.log(`FAIL ${regressionCase.name}: there is no expected JSON at ${expectedPath} (run with "--update" to create it).`);
+            continue;
+        }
+        let expected = JSON.parse(fs.readFileSync(expectedPath).toString());
+        let differences = compareDevelopmentApplications(expected, actual);
+        if (differences.length === 0)
+            console.log(`PASS ${regressionCase.name} (${actual.length} ${(actual.length === 1) ? "application" : "applications"}).`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${regressionCase.name}:`);
+            for (let difference of differences)
+                console.log(`    ${difference}`);
+        }
+    }
+    if (!update)
+        console.log(`${regressionCases.length - failureCount} of ${regressionCases.length} regression ${(regressionCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVncmVzc2lvbi5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInJlZ3Jlc3Npb24udHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsNEZBQTRGO0FBQzVGLCtGQUErRjtBQUMvRiwrRkFBK0Y7QUFDL0YsNEZBQTRGO0FBQzVGLGdHQUFnRztBQUNoRyxtR0FBbUc7QUFDbkcsMkZBQTJGO0FBQzNGLHNEQUFzRDtBQUN0RCxFQUFFO0FBQ0YsU0FBUztBQUNULEVBQUU7QUFDRiw2RUFBNkU7QUFDN0UsbUdBQW1HO0FBRW5HLFlBQVksQ0FBQzs7QUFFYix5QkFBeUI7QUFDekIsNkJBQTZCO0FBQzdCLHdDQUE4RDtBQUM5RCwwQ0FBMkQ7QUFDM0Qsd0NBQStDO0FBQy9DLGlEQUEwRDtBQUkxRCxNQUFNLGlCQUFpQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFVBQVUsQ0FBQyxDQUFDO0FBQzNELE1BQU0saUJBQWlCLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsVUFBVSxDQUFDLENBQUM7QUFDM0QsTUFBTSxhQUFhLEdBQUcsYUFBYSxDQUFDLENBQUUsdUVBQXVFO0FBRTdHLCtGQUErRjtBQUMvRiwyRkFBMkY7QUFFM0YsTUFBTSxjQUFjLEdBQW1CO0lBQ25DLElBQUksRUFBRSxTQUFTO0lBQ2YsYUFBYSxFQUFFLGlCQUFpQjtJQUNoQyxXQUFXLEVBQUUsOENBQThDO0lBQzNELFlBQVksRUFBRSxxQkFBcUI7SUFDbkMsVUFBVSxFQUFFLGlDQUFpQztJQUM3QyxVQUFVLEVBQUUsbUNBQW1DO0lBQy9DLG9CQUFvQixFQUFFLHNCQUFzQjtJQUM1QyxTQUFTLEVBQUU7UUFDUCxlQUFlLEVBQUUsdUNBQXVDO1FBQ3hELGtCQUFrQixFQUFFLG9CQUFvQjtRQUN4QyxlQUFlLEVBQUUsdUNBQXVDO0tBQzNEO0NBQ0osQ0FBQztBQVdGLCtGQUErRjtBQUMvRiw4RkFBOEY7QUFDOUYsMkZBQTJGO0FBQzNGLGdDQUFnQztBQUVoQyxNQUFNLGtCQUFrQixHQUF5RTtJQUM3RjtRQUNJLElBQUksRUFBRSxzQkFBc0I7UUFDNUIsS0FBSyxFQUFFLENBQUU7Z0JBQ0wsSUFBSSxFQUFFO29CQUNGLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEtBQUssQ0FBRSxFQUFFLENBQUUsNkJBQTZCLEVBQUUsZUFBZSxDQUFFLEVBQUUsQ0FBRSxVQUFVLENBQUUsQ0FBRTtvQkFDbkksQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSwyQkFBMkIsRUFBRSxZQUFZLENBQUUsRUFBRSxDQUFFLE1BQU0sQ0FBRSxDQUFFO2lCQUMxSDthQUNKLENBQUU7S0FDTjtJQUNEO1FBQ0ksSUFBSSxFQUFFLDRCQUE0QjtRQUNsQyxLQUFLLEVBQUUsQ0FBRTtnQkFDTCxJQUFJLEVBQUU7b0JBQ0YsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxHQUFHLEVBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLEVBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxJQUFJLENBQUUsRUFBRSxDQUFFLGFBQWEsRUFBRSxtQkFBbUIsQ0FBRSxFQUFFLENBQUUsd0JBQXdCLEVBQUUsOEJBQThCLENBQUUsQ0FBRTtvQkFDOUssQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxpQkFBaUIsRUFBRSxlQUFlLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxDQUFFO2lCQUM3SDthQUNKLENBQUU7S0FDTjtJQUNEO1FBQ0ksSUFBSSxFQUFFLDhCQUE4QjtRQUNwQyxLQUFLLEVBQUUsQ0FBRTtnQkFDTCxJQUFJLEVBQUUsSUFBSTtnQkFDVixLQUFLLEVBQUUsR0FBRztnQkFDVixJQUFJLEVBQUU7b0JBQ0YsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxvQkFBb0IsRUFBRSxhQUFhLENBQUUsRUFBRSxDQUFFLFVBQVUsQ0FBRSxDQUFFO2lCQUN4SDthQUNKLENBQUU7S0FDTjtJQUNEO1FBQ0ksSUFBSSxFQUFFLDJCQUEyQjtRQUNqQyxLQUFLLEVBQUUsQ0FBRTtnQkFDTCxJQUFJLEVBQUU7b0JBQ0YsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxFQUFFLENBQUUsRUFBRSxDQUFFLEVBQUUsQ0FBRSxFQUFFLENBQUUsRUFBRSxDQUFFLEVBQUUsQ0FBRSxlQUFlLENBQUUsRUFBRSxDQUFFLFNBQVMsQ0FBRSxDQUFFO2lCQUNoRztnQkFDRCxLQUFLLEVBQUU7b0JBQ0gsRUFBRSxDQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLEdBQUcsRUFBRTtvQkFDN0IsRUFBRSxDQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxDQUFFLHNDQUFzQztpQkFDekU7YUFDSixDQUFFO0tBQ047SUFDRDtRQUNJLElBQUksRUFBRSw2QkFBNkI7UUFDbkMsS0FBSyxFQUFFLENBQUU7Z0JBQ0wsSUFBSSxFQUFFO29CQUNGLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsMkJBQTJCLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxDQUFFO2lCQUNySDthQUNKLEVBQUU7Z0JBQ0MsUUFBUSxFQUFFLElBQUk7Z0JBQ2QsSUFBSSxFQUFFO29CQUNGLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsMkJBQTJCLENBQUUsRUFBRSxDQUFFLFlBQVksQ0FBRSxDQUFFO2lCQUNsSDthQUNKLENBQUU7S0FDTjtJQUNEO1FBQ0ksSUFBSSxFQUFFLGdDQUFnQztRQUN0QyxLQUFLLEVBQUUsQ0FBRTtnQkFDTCxRQUFRLEVBQUUsQ0FBRSxDQUFFLFNBQVMsQ0FBRSxFQUFFLENBQUUsTUFBTSxFQUFFLFVBQVUsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxLQUFLLENBQUUsRUFBRSxDQUFFLFNBQVMsQ0FBRSxFQUFFLENBQUUsU0FBUyxDQUFFLEVBQUUsQ0FBRSxZQUFZLENBQUUsQ0FBRTtnQkFDL0gsSUFBSSxFQUFFO29CQUNGLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLFlBQVksQ0FBRSxFQUFFLENBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLElBQUksQ0FBRSxFQUFFLENBQUUsMkJBQTJCLENBQUUsRUFBRSxDQUFFLG9CQUFvQixDQUFFLENBQUU7aUJBQzdIO2FBQ0osQ0FBRTtLQUNOO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsa0NBQWtDO1FBQ3hDLEtBQUssRUFBRSxDQUFFO2dCQUNMLFFBQVEsRUFBRSxJQUFJO2dCQUNkLElBQUksRUFBRTtvQkFDRixDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxZQUFZLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUsTUFBTSxDQUFFLENBQUU7aUJBQ2pHO2FBQ0osRUFBRTtnQkFDQyxJQUFJLEVBQUU7b0JBQ0YsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxlQUFlLENBQUUsRUFBRSxDQUFFLFNBQVMsQ0FBRSxDQUFFO2lCQUNwRzthQUNKLENBQUU7S0FDTjtJQUNEO1FBQ0ksSUFBSSxFQUFFLGtDQUFrQztRQUN4QyxLQUFLLEVBQUUsQ0FBRTtnQkFDTCxJQUFJLEVBQUU7b0JBQ0YsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxxQkFBcUIsRUFBRSxZQUFZLENBQUUsRUFBRSxDQUFFLE1BQU0sQ0FBRSxDQUFFO29CQUNqSCxDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLG1CQUFtQixFQUFFLGFBQWEsQ0FBRSxFQUFFLENBQUUsTUFBTSxDQUFFLENBQUU7aUJBQ25IO2FBQ0osQ0FBRTtLQUNOO0lBQ0Q7UUFDSSxJQUFJLEVBQUUseUJBQXlCO1FBQy9CLEtBQUssRUFBRSxDQUFFO2dCQUNMLElBQUksRUFBRTtvQkFDRixDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxVQUFVLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUsRUFBRSxDQUFFLENBQUU7b0JBQ3hGLENBQUUsQ0FBRSxFQUFFLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsZUFBZSxDQUFFLEVBQUUsQ0FBRSxNQUFNLENBQUUsQ0FBRTtvQkFDdkYsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLE1BQU0sQ0FBRSxDQUFFO2lCQUNwRjthQUNKLENBQUU7S0FDTjtJQUNEO1FBQ0ksSUFBSSxFQUFFLHdCQUF3QjtRQUM5QixLQUFLLEVBQUUsQ0FBRTtnQkFDTCxJQUFJLEVBQUU7b0JBQ0YsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsRUFBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsMkJBQTJCLEVBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxjQUFjLENBQUUsQ0FBRTtvQkFDbkksQ0FBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBRSxXQUFXLENBQUUsQ0FBRTtvQkFDaEQsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxlQUFlLENBQUUsRUFBRSxDQUFFLGFBQWEsQ0FBRSxDQUFFO29CQUN0RyxDQUFFLENBQUUsRUFBRSxDQUFFLEVBQUUsQ0FBRSxFQUFFLENBQUUsRUFBRSxDQUFFLEVBQUUsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEVBQUUsQ0FBRSxFQUFFLENBQUUsVUFBVSxDQUFFLENBQUU7aUJBQ3ZFO2dCQUNELEtBQUssRUFBRTtvQkFDSCxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFFO29CQUNqQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFFO29CQUNqQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFFO29CQUNqQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFFO29CQUNqQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFFO29CQUNqQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLENBQUUsbUVBQW1FO2lCQUM1RzthQUNKLENBQUU7S0FDTjtJQUNEO1FBQ0ksSUFBSSxFQUFFLDZCQUE2QjtRQUNuQyxLQUFLLEVBQUUsQ0FBRTtnQkFDTCxJQUFJLEVBQUU7b0JBQ0YsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSwyQkFBMkIsQ0FBRSxFQUFFLENBQUUsbUJBQW1CLENBQUUsQ0FBRTtpQkFDMUg7YUFDSixFQUFFO2dCQUNDLFFBQVEsRUFBRSxJQUFJO2dCQUNkLElBQUksRUFBRTtvQkFDRixDQUFFLENBQUUsRUFBRSxDQUFFLEVBQUUsQ0FBRSxFQUFFLENBQUUsRUFBRSxDQUFFLEVBQUUsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxFQUFFLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsb0NBQW9DLENBQUUsQ0FBRTtvQkFDdEcsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSwyQkFBMkIsQ0FBRSxFQUFFLENBQUUsTUFBTSxDQUFFLENBQUU7aUJBQzdHO2FBQ0osQ0FBRTtLQUNOO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsMEJBQTBCO1FBQ2hDLEtBQUssRUFBRSxDQUFFO2dCQUNMLElBQUksRUFBRTtvQkFDRixDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxVQUFVLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUsTUFBTSxDQUFFLENBQUU7b0JBQzVGLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLE9BQU8sRUFBRSxNQUFNLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUsU0FBUyxDQUFFLENBQUU7b0JBQ3BHLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsZUFBZSxDQUFFLEVBQUUsQ0FBRSxVQUFVLENBQUUsQ0FBRTtvQkFDakcsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxlQUFlLENBQUUsRUFBRSxDQUFFLFVBQVUsQ0FBRSxDQUFFO29CQUNqRyxDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUsUUFBUSxDQUFFLENBQUU7aUJBQ2xHO2FBQ0osQ0FBRTtLQUNOO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsNkJBQTZCO1FBQ25DLEtBQUssRUFBRSxDQUFFO2dCQUNMLElBQUksRUFBRTtvQkFDRixDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxZQUFZLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUscUNBQXFDLENBQUUsQ0FBRTtvQkFDN0gsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxlQUFlLENBQUUsRUFBRSxDQUFFLFFBQVEsRUFBRSxnQkFBZ0IsQ0FBRSxDQUFFO29CQUNsSCxDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxZQUFZLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUsMkJBQTJCLENBQUUsQ0FBRTtvQkFDbkgsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxlQUFlLENBQUUsRUFBRSxDQUFFLDJDQUEyQyxDQUFFLENBQUU7aUJBQ3RJO2FBQ0osQ0FBRTtLQUNOO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsK0JBQStCO1FBQ3JDLEtBQUssRUFBRSxDQUFFO2dCQUNMLElBQUksRUFBRTtvQkFDRixDQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxZQUFZLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUsVUFBVSxDQUFFLENBQUU7b0JBQ3JHLENBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxDQUFFLFlBQVksQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsZUFBZSxDQUFFLEVBQUUsQ0FBRSxNQUFNLENBQUUsQ0FBRTtvQkFDakcsQ0FBRSxDQUFFLFVBQVUsQ0FBRSxFQUFFLENBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxlQUFlLENBQUUsRUFBRSxDQUFFLFNBQVMsQ0FBRSxDQUFFO2lCQUN0RzthQUNKLENBQUU7S0FDTjtJQUNEO1FBQ0ksSUFBSSxFQUFFLDhCQUE4QjtRQUNwQyxLQUFLLEVBQUU7WUFDSDtnQkFDSSxJQUFJLEVBQUUsSUFBSTtnQkFDVixJQUFJLEVBQUU7b0JBQ0YsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxJQUFJLENBQUUsRUFBRSxDQUFFLElBQUksQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxpQ0FBaUMsRUFBRSxlQUFlLENBQUUsRUFBRSxDQUFFLCtCQUErQixDQUFFLENBQUU7b0JBQzNKLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEtBQUssQ0FBRSxFQUFFLENBQUUsZUFBZSxFQUFFLGFBQWEsQ0FBRSxFQUFFLENBQUUsMEJBQTBCLENBQUUsQ0FBRTtvQkFDbEksQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEtBQUssQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSw4QkFBOEIsRUFBRSxZQUFZLENBQUUsRUFBRSxDQUFFLHVCQUF1QixFQUFFLHdCQUF3QixDQUFFLENBQUU7b0JBQ3ZLLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsdUJBQXVCLEVBQUUsVUFBVSxDQUFFLEVBQUUsQ0FBRSxTQUFTLENBQUUsQ0FBRTtvQkFDckgsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSw2QkFBNkIsRUFBRSxXQUFXLENBQUUsRUFBRSxDQUFFLGlDQUFpQyxDQUFFLENBQUU7aUJBQ3ZKO2FBQ0o7WUFDRDtnQkFDSSxRQUFRLEVBQUUsSUFBSTtnQkFDZCxJQUFJLEVBQUUsSUFBSTtnQkFDVixJQUFJLEVBQUU7b0JBQ0YsQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLElBQUksQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSwwQkFBMEIsRUFBRSxZQUFZLENBQUUsRUFBRSxDQUFFLDBCQUEwQixFQUFFLE9BQU8sQ0FBRSxDQUFFO29CQUNwSixDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxLQUFLLENBQUUsRUFBRSxDQUFFLHVCQUF1QixFQUFFLGNBQWMsQ0FBRSxFQUFFLENBQUUsMEJBQTBCLEVBQUUsYUFBYSxDQUFFLENBQUU7b0JBQzFKLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLFlBQVksQ0FBRSxFQUFFLENBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxJQUFJLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsd0JBQXdCLEVBQUUsWUFBWSxDQUFFLEVBQUUsQ0FBRSxzQkFBc0IsQ0FBRSxDQUFFO2lCQUMxSTthQUNKO1NBQ0o7S0FDSjtJQUNEO1FBQ0ksSUFBSSxFQUFFLDJCQUEyQjtRQUNqQyxPQUFPLEVBQUUsY0FBYztRQUN2QixLQUFLLEVBQUUsQ0FBRTtnQkFDTCxRQUFRLEVBQUUsQ0FBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsZ0JBQWdCLENBQUUsRUFBRSxDQUFFLFlBQVksQ0FBRSxFQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxPQUFPLENBQUUsRUFBRSxDQUFFLGNBQWMsQ0FBRSxFQUFFLENBQUUsVUFBVSxDQUFFLENBQUU7Z0JBQ3BJLElBQUksRUFBRTtvQkFDRixDQUFFLENBQUUsT0FBTyxDQUFFLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLG9CQUFvQixFQUFFLFNBQVMsQ0FBRSxFQUFFLENBQUUsVUFBVSxDQUFFLENBQUU7b0JBQ2hILENBQUUsQ0FBRSxPQUFPLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLElBQUksQ0FBRSxFQUFFLENBQUUsdUJBQXVCLEVBQUUsVUFBVSxDQUFFLEVBQUUsQ0FBRSxPQUFPLENBQUUsQ0FBRTtpQkFDckg7YUFDSixDQUFFO0tBQ047Q0FDSixDQUFDO0FBRUYsa0dBQWtHO0FBRWxHLFNBQVMsa0JBQWtCO0lBQ3ZCLElBQUksZUFBZSxHQUFxQixFQUFFLENBQUM7SUFFM0MsOEZBQThGO0lBQzlGLDJGQUEyRjtJQUMzRixvQkFBb0I7SUFFcEIsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsaUJBQWlCLENBQUM7UUFDakMsTUFBTSxJQUFJLEtBQUssQ0FBQywwQkFBMEIsaUJBQWlCLGNBQWMsQ0FBQyxDQUFDO0lBQy9FLElBQUksYUFBYSxHQUFHLDJCQUFpQixDQUFDLENBQUUsaUJBQWlCLENBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLEtBQUssS0FBSyxDQUFDLENBQUM7SUFDakgsSUFBSSxhQUFhLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDMUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyx5RUFBeUUsaUJBQWlCLCtDQUErQyxDQUFDLENBQUM7SUFDM0osS0FBSyxJQUFJLFlBQVksSUFBSSxhQUFhO1FBQ2xDLGVBQWUsQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxZQUFZLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxDQUFDLEVBQUUsR0FBRyxFQUFFLFlBQVksQ0FBQyxHQUFHLEVBQUUsT0FBTyxFQUFFLHVCQUFZLEVBQUUsSUFBSSxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUVwTSxLQUFLLElBQUksaUJBQWlCLElBQUksa0JBQWtCLEVBQUU7UUFDOUMsSUFBSSxPQUFPLEdBQUcsaUJBQWlCLENBQUMsT0FBTyxJQUFJLHVCQUFZLENBQUM7UUFDeEQsSUFBSSxHQUFHLEdBQUcsSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLE1BQU0sR0FBRyxhQUFhLEdBQUcsaUJBQWlCLENBQUMsSUFBSSxHQUFHLE1BQU0sQ0FBQztRQUNoRyxlQUFlLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLGlCQUFpQixDQUFDLElBQUksRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLEdBQUcsRUFBRSxDQUFDLHdCQUFTLENBQUMsaUJBQWlCLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDO0tBQ3RJO0lBRUQsT0FBTyxlQUFlLENBQUM7QUFDM0IsQ0FBQztBQUVELDZGQUE2RjtBQUM3RixpR0FBaUc7QUFDakcsd0JBQXdCO0FBRXhCLEtBQUssVUFBVSxZQUFZLENBQUMsTUFBYyxFQUFFLEdBQVcsRUFBRSxPQUF1QjtJQUM1RSxJQUFJLEdBQUcsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDO0lBQ3RCLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxFQUFFLEdBQUUsQ0FBQyxDQUFDO0lBQ3ZCLElBQUk7UUFDQSxnQ0FBc0IsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNoQyxJQUFJLEVBQUUsdUJBQXVCLEVBQUUsR0FBRyxNQUFNLGtCQUFRLENBQUMsTUFBTSxFQUFFLEdBQUcsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUN2RSxLQUFLLElBQUksc0JBQXNCLElBQUksdUJBQXVCO1lBQ3RELE9BQU8sc0JBQXNCLENBQUMsVUFBVSxDQUFDO1FBQzdDLE9BQU8sdUJBQXVCLENBQUM7S0FDbEM7WUFBUztRQUNOLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDO0tBQ3JCO0FBQ0wsQ0FBQztBQUVELDhGQUE4RjtBQUM5Rix3RUFBd0U7QUFFeEUsU0FBUywwQkFBMEIsQ0FBQyx1QkFBOEI7SUFDOUQsSUFBSSw0QkFBNEIsR0FBRyxJQUFJLEdBQUcsRUFBZSxDQUFDO0lBQzFELEtBQUssSUFBSSxzQkFBc0IsSUFBSSx1QkFBdUIsRUFBRTtRQUN4RCxJQUFJLEdBQUcsR0FBRyxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBQztRQUNuRCxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSw0QkFBNEIsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsS0FBSyxFQUFFO1lBQzlELEdBQUcsR0FBRyxHQUFHLHNCQUFzQixDQUFDLGlCQUFpQixNQUFNLEtBQUssR0FBRyxDQUFDO1FBQ3BFLDRCQUE0QixDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsc0JBQXNCLENBQUMsQ0FBQztLQUNqRTtJQUNELE9BQU8sNEJBQTRCLENBQUM7QUFDeEMsQ0FBQztBQUVELDhGQUE4RjtBQUM5RixnRUFBZ0U7QUFFaEUsU0FBUyw4QkFBOEIsQ0FBQyxRQUFlLEVBQUUsTUFBYTtJQUNsRSxJQUFJLFdBQVcsR0FBYSxFQUFFLENBQUM7SUFDL0IsSUFBSSxhQUFhLEdBQUcsMEJBQTBCLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDekQsSUFBSSxXQUFXLEdBQUcsMEJBQTBCLENBQUMsTUFBTSxDQUFDLENBQUM7SUFFckQsS0FBSyxJQUFJLENBQUUsR0FBRyxFQUFFLDhCQUE4QixDQUFFLElBQUksYUFBYSxFQUFFO1FBQy9ELElBQUksNEJBQTRCLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN4RCxJQUFJLDRCQUE0QixLQUFLLFNBQVMsRUFBRTtZQUM1QyxXQUFXLENBQUMsSUFBSSxDQUFDLGdCQUFnQixHQUFHLG9DQUFvQyxDQUFDLENBQUM7WUFDMUUsU0FBUztTQUNaO1FBQ0QsSUFBSSxNQUFNLEdBQUcsSUFBSSxHQUFHLENBQUMsQ0FBRSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsOEJBQThCLENBQUMsRUFBRSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsNEJBQTRCLENBQUMsQ0FBRSxDQUFDLENBQUM7UUFDdkgsS0FBSyxJQUFJLEtBQUssSUFBSSxNQUFNLEVBQUU7WUFDdEIsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyw4QkFBOEIsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQzFFLElBQUksV0FBVyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsNEJBQTRCLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUN0RSxJQUFJLGFBQWEsS0FBSyxXQUFXO2dCQUM3QixXQUFXLENBQUMsSUFBSSxDQUFDLGdCQUFnQixHQUFHLFlBQVksS0FBSyxlQUFlLGFBQWEsZUFBZSxXQUFXLEdBQUcsQ0FBQyxDQUFDO1NBQ3ZIO0tBQ0o7SUFFRCxLQUFLLElBQUksR0FBRyxJQUFJLFdBQVcsQ0FBQyxJQUFJLEVBQUU7UUFDOUIsSUFBSSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDO1lBQ3ZCLFdBQVcsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLEdBQUcsb0NBQW9DLENBQUMsQ0FBQztJQUVsRixJQUFJLFdBQVcsQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxJQUFJLEVBQUUsS0FBSyxNQUFNLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLGlCQUFpQixDQUFDLENBQUMsSUFBSSxFQUFFO1FBQ3JJLFdBQVcsQ0FBQyxJQUFJLENBQUMsMkRBQTJELFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsTUFBTSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7SUFFaE4sT0FBTyxXQUFXLENBQUM7QUFDdkIsQ0FBQztBQUVELHFGQUFxRjtBQUVyRixLQUFLLFVBQVUsSUFBSTtJQUNmLElBQUksTUFBTSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUV4RCw0RUFBNEU7SUFFNUUsT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBRTFDLElBQUksWUFBWSxHQUFHLENBQUMsQ0FBQztJQUNyQixJQUFJLGVBQWUsR0FBRyxrQkFBa0IsRUFBRSxDQUFDO0lBRTNDLEtBQUssSUFBSSxjQUFjLElBQUksZUFBZSxFQUFFO1FBQ3hDLElBQUksWUFBWSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsY0FBYyxDQUFDLElBQUksR0FBRyxPQUFPLENBQUMsQ0FBQztRQUMvRSxJQUFJLE1BQU0sR0FBRyxNQUFNLFlBQVksQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLEVBQUUsY0FBYyxDQUFDLEdBQUcsRUFBRSxjQUFjLENBQUMsT0FBTyxDQUFDLENBQUM7UUFFbkcsSUFBSSxNQUFNLEVBQUU7WUFDUixFQUFFLENBQUMsU0FBUyxDQUFDLGlCQUFpQixFQUFFLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7WUFDckQsRUFBRSxDQUFDLGFBQWEsQ0FBQyxZQUFZLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO1lBQ3ZFLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxjQUFjLENBQUMsSUFBSSxLQUFLLE1BQU0sQ0FBQyxNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLGNBQWMsSUFBSSxDQUFDLENBQUM7WUFDNUgsU0FBUztTQUNaO1FBRUQsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsWUFBWSxDQUFDLEVBQUU7WUFDOUIsWUFBWSxFQUFFLENBQUM7WUFDZixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsY0FBYyxDQUFDLElBQUksa0NBQWtDLFlBQVksc0NBQXNDLENBQUMsQ0FBQztZQUM3SCxTQUFTO1NBQ1o7UUFFRCxJQUFJLFFBQVEsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsWUFBWSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztRQUNwRSxJQUFJLFdBQVcsR0FBRyw4QkFBOEIsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDbkUsSUFBSSxXQUFXLENBQUMsTUFBTSxLQUFLLENBQUM7WUFDeEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLGNBQWMsQ0FBQyxJQUFJLEtBQUssTUFBTSxDQUFDLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsY0FBYyxJQUFJLENBQUMsQ0FBQzthQUN4SDtZQUNELFlBQVksRUFBRSxDQUFDO1lBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLGNBQWMsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDO1lBQzVDLEtBQUssSUFBSSxVQUFVLElBQUksV0FBVztnQkFDOUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLFVBQVUsRUFBRSxDQUFDLENBQUM7U0FDeEM7S0FDSjtJQUVELElBQUksQ0FBQyxNQUFNO1FBQ1AsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxNQUFNLEdBQUcsWUFBWSxPQUFPLGVBQWUsQ0FBQyxNQUFNLGVBQWUsQ0FBQyxlQUFlLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLE9BQU8sVUFBVSxDQUFDLENBQUM7SUFDakssT0FBTyxZQUFZLENBQUM7QUFDeEIsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxZQUFZLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
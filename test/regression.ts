@@ -0,0 +1,397 @@
+// Regression tests for the PDF grid parser.  Archived register documents (in the "fixtures"
+// directory, each with a ".url" file recording its original URL, as written by the "--archive"
+// option of the scraper) and a set of synthetic PDF documents (generated below) are parsed and
+// the resulting development applications are compared, field by field, against the expected
+// JSON in the "expected" directory (the run fails if the "fixtures" directory is missing).  The
+// synthetic documents are parsed using the adapter of the District Council of Grant unless another
+// council adapter is specified (such as the example council below, whose column layout and
+// gazetteer are in the "councils/example" directory).
+//
+// Usage:
+//
+//     node test/regression.js             compares against the expected JSON
+//     node test/regression.js --update    rewrites the expected JSON (after an intentional change)
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import { parsePdf, readAddressInformation } from "../scraper";
+import { CouncilAdapter, GrantCouncil } from "../councils";
+import { readArchivedFiles } from "../archive";
+import { createPdf, SyntheticPage } from "./syntheticpdf";
+
+declare const process: any;
+
+const FixturesDirectory = path.join(__dirname, "fixtures");
+const ExpectedDirectory = path.join(__dirname, "expected");
+const SyntheticPath = "/synthetic/";  // the path (on the web site of the council) of the synthetic documents
+
+// A council that publishes a register with different column headings (and in a different area)
+// to the District Council of Grant.  The paths are relative to the root of the repository.
+
+const ExampleCouncil: CouncilAdapter = {
+    name: "example",
+    authorityName: "Example Council",
+    registerUrl: "https://council.example/development-register",
+    linkSelector: "a.register-document",
+    commentUrl: "mailto:planning@council.example",
+    layoutPath: "test/councils/example/layout.json",
+    descriptionRulesPath: "descriptionrules.txt",
+    gazetteer: {
+        streetNamesPath: "test/councils/example/streetnames.txt",
+        streetSuffixesPath: "streetsuffixes.txt",
+        suburbNamesPath: "test/councils/example/suburbnames.txt"
+    }
+};
+
+// A document to be parsed and compared against the expected JSON.
+
+interface RegressionCase {
+    name: string,
+    url: string,
+    council: CouncilAdapter,
+    read: () => Buffer
+}
+
+// Synthetic documents that exercise the thresholds used when reconstructing the grid (the line
+// widths and heights, the 50% cell ownership of each element, the 90% horizontal overlap with
+// the heading cells and the tolerance used to group cells into rows), merged cells and the
+// joining of continuation rows.
+
+const SyntheticDocuments: { name: string, council?: CouncilAdapter, pages: SyntheticPage[] }[] = [
+    {
+        name: "synthetic-basic-grid",
+        pages: [ {
+            rows: [
+                [ [ "141/17" ], [ "5/03/2017" ], [ "12" ], [ "3" ], [ "100" ], [ "ADMELLA ST, PORT MACDONNELL", "HD MACDONNELL" ], [ "DWELLING" ] ],
+                [ [ "142/17" ], [ "6/03/2017" ], [ "-" ], [ "4" ], [ "-" ], [ "ADAMS RD, CARPENTER ROCKS", "HD BLANCHE" ], [ "SHED" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-multi-line-cells",
+        pages: [ {
+            rows: [
+                [ [ "150/18" ], [ "14/06/2018" ], [ "7", "9" ], [ "1", "2" ], [ "55" ], [ "ACI RD, WYE", "HUNDRED KONGORONG" ], [ "DETACHED DW ELLING AND", "GARAGE - BUILDING RULES ONLY" ] ],
+                [ [ "151/18" ], [ "15/06/2018" ], [ "-" ], [ "8" ], [ "-" ], [ "ADMELLA STREET,", "PT MACDONNELL" ], [ "PLANNING ONLY" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-logo-and-transform",
+        pages: [ {
+            logo: true,
+            scale: 0.5,
+            rows: [
+                [ [ "160/18" ], [ "1/07/2018" ], [ "3" ], [ "5" ], [ "-" ], [ "ADAMS ST, DONOVANS", "HD CAROLINE" ], [ "VERANDAH" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-straddling-text",
+        pages: [ {
+            rows: [
+                [ [ "170/18" ], [ "2/08/2018" ], [ "" ], [ "" ], [ "" ], [ "ACI ROAD, WYE" ], [ "CARPORT" ] ]
+            ],
+            texts: [
+                { x: 201, y: 513, text: "6" },  // entirely within the "LOT" column
+                { x: 238, y: 513, text: "77" }  // mostly within the "SECTION/" column
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-continuation-page",
+        pages: [ {
+            rows: [
+                [ [ "180/18" ], [ "3/09/2018" ], [ "1" ], [ "2" ], [ "-" ], [ "ADAMS RD, CARPENTER ROCKS" ], [ "SWIMMING POOL" ] ]
+            ]
+        }, {
+            headings: null,
+            rows: [
+                [ [ "181/18" ], [ "4/09/2018" ], [ "2" ], [ "3" ], [ "-" ], [ "ADAMS RD, CARPENTER ROCKS" ], [ "DEMOLITION" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-alternative-headings",
+        pages: [ {
+            headings: [ [ "APP NO." ], [ "DATE", "RECEIVED" ], [ "HOUSE NO." ], [ "LOT" ], [ "SECTION" ], [ "ADDRESS" ], [ "DESCRIPTON" ] ],
+            rows: [
+                [ [ "210/19" ], [ "10/04/2019" ], [ "15" ], [ "6" ], [ "12" ], [ "ADAMS RD, CARPENTER ROCKS" ], [ "DWELLING ADDITIONS" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-headingless-first-page",
+        pages: [ {
+            headings: null,
+            rows: [
+                [ [ "220/19" ], [ "11/04/2019" ], [ "1" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "SHED" ] ]
+            ]
+        }, {
+            rows: [
+                [ [ "221/19" ], [ "12/04/2019" ], [ "2" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "CARPORT" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-hundred-disambiguation",
+        pages: [ {
+            rows: [
+                [ [ "200/19" ], [ "8/03/2019" ], [ "2" ], [ "1" ], [ "-" ], [ "BELLS LANE, COVETON", "HD BLANCHE" ], [ "SHED" ] ],
+                [ [ "201/19" ], [ "9/03/2019" ], [ "3" ], [ "2" ], [ "-" ], [ "BONES RD, COVETON", "HD CAROLINE" ], [ "SHED" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-rejected-rows",
+        pages: [ {
+            rows: [
+                [ [ "190/19" ], [ "31/02/19" ], [ "4" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "" ] ],
+                [ [ "" ], [ "6/03/2019" ], [ "5" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "SHED" ] ],
+                [ [ "191/19" ], [ "7/03/2019" ], [ "6" ], [ "-" ], [ "-" ], [ "-" ], [ "SHED" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-merged-cells",
+        pages: [ {
+            rows: [
+                [ [ "230/19" ], [ "9/05/2019" ], [ "5" ], [ "1", "2" ], [ "-" ], [ "ADAMS RD, CARPENTER ROCKS", "HD BENARA" ], [ "DWELLING AND" ] ],
+                [ [], [], [], [ "3" ], [], [], [ "FARM SHED" ] ],
+                [ [ "231/19" ], [ "10/05/2019" ], [ "8" ], [ "4" ], [ "17" ], [ "ACI ROAD, WYE" ], [ "CARPORT AND" ] ],
+                [ [ "" ], [ "" ], [ "" ], [ "5" ], [ "-" ], [ "" ], [ "VERANDAH" ] ]
+            ],
+            spans: [
+                { row: 0, column: 0, rowSpan: 2 },  // the application wraps across two rows of the grid
+                { row: 0, column: 1, rowSpan: 2 },
+                { row: 0, column: 2, rowSpan: 2 },
+                { row: 0, column: 4, rowSpan: 2 },
+                { row: 0, column: 5, rowSpan: 2 },
+                { row: 2, column: 3, columnSpan: 2 }  // a partial vertical rule between the "LOT" and "SECTION/" columns
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-continuation-rows",
+        pages: [ {
+            rows: [
+                [ [ "240/19" ], [ "11/05/2019" ], [ "3" ], [ "6" ], [ "-" ], [ "ADAMS RD, CARPENTER ROCKS" ], [ "SWIMMING POOL AND" ] ]
+            ]
+        }, {
+            headings: null,
+            rows: [
+                [ [ "" ], [ "" ], [ "" ], [ "7" ], [ "" ], [ "HD BENARA" ], [ "SAFETY FENCE - BUILDING RULES ONLY" ] ],
+                [ [ "241/19" ], [ "12/05/2019" ], [ "4" ], [ "8" ], [ "-" ], [ "ADAMS RD, CARPENTER ROCKS" ], [ "SHED" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-received-dates",
+        pages: [ {
+            rows: [
+                [ [ "250/19" ], [ "5/3/2019" ], [ "1" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "SHED" ] ],
+                [ [ "251/19" ], [ "6/03/", "2019" ], [ "2" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "CARPORT" ] ],
+                [ [ "252/19" ], [ "07/03/19*" ], [ "3" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "VERANDAH" ] ],
+                [ [ "253/19" ], [ "8/03/2018" ], [ "4" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "DWELLING" ] ],
+                [ [ "254/19" ], [ "9/03/1919" ], [ "5" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "GARAGE" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-description-rules",
+        pages: [ {
+            rows: [
+                [ [ "260/19" ], [ "13/05/2019" ], [ "1" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "ALTS & ADDNS TO DWG - PLANNING ONLY" ] ],
+                [ [ "261/19" ], [ "14/05/2019" ], [ "2" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "VERAN-", "DAH AND C/PORT" ] ],
+                [ [ "262/19" ], [ "15/05/2019" ], [ "3" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "LAND DIV ISION (1 INTO 2)" ] ],
+                [ [ "263/19" ], [ "16/05/2019" ], [ "4" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "DEMOLITION OF SH ED (BUILDING RULES ONLY)" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-application-numbers",
+        pages: [ {
+            rows: [
+                [ [ "DA 270/19" ], [ "20/05/2019" ], [ "1" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "DWELLING" ] ],
+                [ [ "0271/2019" ], [ "21/05/2019" ], [ "2" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "SHED" ] ],
+                [ [ "272 / 19" ], [ "22/05/2019" ], [ "3" ], [ "-" ], [ "-" ], [ "ACI ROAD, WYE" ], [ "CARPORT" ] ]
+            ]
+        } ]
+    },
+    {
+        name: "synthetic-register-two-pages",
+        pages: [
+            {
+                logo: true,
+                rows: [
+                    [ [ "345/19" ], [ "2/07/2019" ], [ "17" ], [ "12" ], [ "-" ], [ "ADMELLA STREET, PORT MACDONNELL", "HD MACDONNELL" ], [ "DWELLING ADDITIONS - VERANDAH" ] ],
+                    [ [ "346/19" ], [ "2/07/2019" ], [ "-" ], [ "1" ], [ "423" ], [ "ACI ROAD, WYE", "HD CAROLINE" ], [ "FARM BUILDING (HAY SHED)" ] ],
+                    [ [ "347/19" ], [ "3/07/2019" ], [ "9" ], [ "105" ], [ "-" ], [ "ALBATROSS TERRACE, WORROLONG", "HD GAMBIER" ], [ "DETACHED DWELLING AND", "GARAGE UNDER MAIN ROOF" ] ],
+                    [ [ "348/19" ], [ "4/07/2019" ], [ "23" ], [ "6" ], [ "-" ], [ "ANNE STREET, TARPEENA", "HD YOUNG" ], [ "CARPORT" ] ],
+                    [ [ "349/19" ], [ "5/07/2019" ], [ "-" ], [ "2" ], [ "88" ], [ "ADAMS ROAD, CARPENTER ROCKS", "HD BENARA" ], [ "DEMOLITION OF EXISTING DWELLING" ] ]
+                ]
+            },
+            {
+                headings: null,
+                logo: true,
+                rows: [
+                    [ [ "350/19" ], [ "8/07/2019" ], [ "4" ], [ "31" ], [ "-" ], [ "AMBROSE COURT, WORROLONG", "HD GAMBIER" ], [ "SWIMMING POOL AND SAFETY", "FENCE" ] ],
+                    [ [ "351/19" ], [ "9/07/2019" ], [ "-" ], [ "7" ], [ "215" ], [ "ATKIN ROAD, KONGORONG", "HD KONGORONG" ], [ "LAND DIVISION - BOUNDARY", "REALIGNMENT" ] ],
+                    [ [ "352/19" ], [ "10/07/2019" ], [ "11" ], [ "54" ], [ "-" ], [ "ASCOTT WAY, SUTTONTOWN", "HD BLANCHE" ], [ "OUTBUILDING (GARAGE)" ] ]
+                ]
+            }
+        ]
+    },
+    {
+        name: "synthetic-example-council",
+        council: ExampleCouncil,
+        pages: [ {
+            headings: [ [ "DA NUMBER" ], [ "LODGEMENT DATE" ], [ "STREET NO." ], [ "ALLOT." ], [ "SECT." ], [ "SITE ADDRESS" ], [ "PROPOSAL" ] ],
+            rows: [
+                [ [ "12/20" ], [ "3/02/2020" ], [ "4" ], [ "7" ], [ "-" ], [ "MAIN ST, NORTHVALE", "HD BETA" ], [ "DWELLING" ] ],
+                [ [ "13/20" ], [ "4/02/2020" ], [ "-" ], [ "8" ], [ "21" ], [ "HARBOR RD, EASTON BAY", "HD ALPHA" ], [ "JETTY" ] ]
+            ]
+        } ]
+    }
+];
+
+// Gets the regression cases (the archived fixture documents followed by the synthetic documents).
+
+function getRegressionCases() {
+    let regressionCases: RegressionCase[] = [];
+
+    // A missing fixtures directory fails the run (rather than silently testing only the synthetic
+    // documents).  No archived register documents are checked in yet, so an empty directory is
+    // reported instead.
+
+    if (!fs.existsSync(FixturesDirectory))
+        throw new Error(`The fixtures directory ${FixturesDirectory} is missing.`);
+    let archivedFiles = readArchivedFiles([ FixturesDirectory ]).filter(archivedFile => archivedFile.type === "pdf");
+    if (archivedFiles.length === 0)
+        console.log(`There are no archived register documents (each with a ".url" file) in ${FixturesDirectory}, so only the synthetic documents are parsed.`);
+    for (let archivedFile of archivedFiles)
+        regressionCases.push({ name: path.basename(archivedFile.path, path.extname(archivedFile.path)), url: archivedFile.url, council: GrantCouncil, read: () => fs.readFileSync(archivedFile.path) });
+
+    for (let syntheticDocument of SyntheticDocuments) {
+        let council = syntheticDocument.council || GrantCouncil;
+        let url = new URL(council.registerUrl).origin + SyntheticPath + syntheticDocument.name + ".pdf";
+        regressionCases.push({ name: syntheticDocument.name, url: url, council: council, read: () => createPdf(syntheticDocument.pages) });
+    }
+
+    return regressionCases;
+}
+
+// Parses a document (using the address information of the specified council) without logging
+// progress to the console.  The scrape date is removed from each development application because
+// it changes every day.
+
+async function parseQuietly(buffer: Buffer, url: string, council: CouncilAdapter) {
+    let log = console.log;
+    console.log = () => {};
+    try {
+        readAddressInformation(council);
+        let { developmentApplications } = await parsePdf(buffer, url, council);
+        for (let developmentApplication of developmentApplications)
+            delete developmentApplication.scrapeDate;
+        return developmentApplications;
+    } finally {
+        console.log = log;
+    }
+}
+
+// Keys the development applications by application number (numbering any repeated application
+// numbers so that every development application can still be compared).
+
+function keyDevelopmentApplications(developmentApplications: any[]) {
+    let keyedDevelopmentApplications = new Map<string, any>();
+    for (let developmentApplication of developmentApplications) {
+        let key = developmentApplication.applicationNumber;
+        for (let count = 2; keyedDevelopmentApplications.has(key); count++)
+            key = `${developmentApplication.applicationNumber} (#${count})`;
+        keyedDevelopmentApplications.set(key, developmentApplication);
+    }
+    return keyedDevelopmentApplications;
+}
+
+// Compares the parsed development applications against the expected development applications,
+// field by field, and returns a description of each difference.
+
+function compareDevelopmentApplications(expected: any[], actual: any[]) {
+    let differences: string[] = [];
+    let expectedByKey = keyDevelopmentApplications(expected);
+    let actualByKey = keyDevelopmentApplications(actual);
+
+    for (let [ key, expectedDevelopmentApplication ] of expectedByKey) {
+        let actualDevelopmentApplication = actualByKey.get(key);
+        if (actualDevelopmentApplication === undefined) {
+            differences.push(`Application "${key}" was expected but was not parsed.`);
+            continue;
+        }
+        let fields = new Set([ ...Object.keys(expectedDevelopmentApplication), ...Object.keys(actualDevelopmentApplication) ]);
+        for (let field of fields) {
+            let expectedValue = JSON.stringify(expectedDevelopmentApplication[field]);
+            let actualValue = JSON.stringify(actualDevelopmentApplication[field]);
+            if (expectedValue !== actualValue)
+                differences.push(`Application "${key}" field "${field}": expected ${expectedValue} but parsed ${actualValue}.`);
+        }
+    }
+
+    for (let key of actualByKey.keys())
+        if (!expectedByKey.has(key))
+            differences.push(`Application "${key}" was parsed but was not expected.`);
+
+    if (differences.length === 0 && expected.map(item => item.applicationNumber).join() !== actual.map(item => item.applicationNumber).join())
+        differences.push(`Applications were parsed in a different order: expected ${expected.map(item => item.applicationNumber).join(", ")} but parsed ${actual.map(item => item.applicationNumber).join(", ")}.`);
+
+    return differences;
+}
+
+// Runs each regression case, either comparing against or updating the expected JSON.
+
+async function main() {
+    let update = process.argv.slice(2).includes("--update");
+
+    // The address information files are read relative to the current directory.
+
+    process.chdir(path.join(__dirname, ".."));
+
+    let failureCount = 0;
+    let regressionCases = getRegressionCases();
+
+    for (let regressionCase of regressionCases) {
+        let expectedPath = path.join(ExpectedDirectory, regressionCase.name + ".json");
+        let actual = await parseQuietly(regressionCase.read(), regressionCase.url, regressionCase.council);
+
+        if (update) {
+            fs.mkdirSync(ExpectedDirectory, { recursive: true });
+            fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 4) + "\n");
+            console.log(`Updated ${regressionCase.name} (${actual.length} ${(actual.length === 1) ? "application" : "applications"}).`);
+            continue;
+        }
+
+        if (!fs.existsSync(expectedPath)) {
+            failureCount++;
+            console.log(`FAIL ${regressionCase.name}: there is no expected JSON at ${expectedPath} (run with "--update" to create it).`);
+            continue;
+        }
+
+        let expected = JSON.parse(fs.readFileSync(expectedPath).toString());
+        let differences = compareDevelopmentApplications(expected, actual);
+        if (differences.length === 0)
+            console.log(`PASS ${regressionCase.name} (${actual.length} ${(actual.length === 1) ? "application" : "applications"}).`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${regressionCase.name}:`);
+            for (let difference of differences)
+                console.log(`    ${difference}`);
+        }
+    }
+
+    if (!update)
+        console.log(`${regressionCases.length - failureCount} of ${regressionCases.length} regression ${(regressionCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
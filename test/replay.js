@@ -0,0 +1,117 @@
+// Tests the replay of an archive: a register page and a synthetic PDF document are archived (each
+// with a ".url" file recording its original URL) and the archive directory is replayed, so the
+// development applications must match the expected JSON of the same synthetic document.  A file
+// without a ".url" file must be ignored, a corrupt document (an error page archived in place of a
+// PDF document) must be rejected without stopping the replay and, when several councils are
+// replayed, each council must only be given the files retrieved from the host of its register.
+//
+// Usage:
+//
+//     node test/replay.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const url_1 = require("url");
+const councils_1 = require("../councils");
+const archive_1 = require("../archive");
+const sinks_1 = require("../sinks");
+const duplicates_1 = require("../duplicates");
+const scraper_1 = require("../scraper");
+const syntheticpdf_1 = require("./syntheticpdf");
+// The synthetic document (the same as the "synthetic-basic-grid" regression case, so that the
+// replayed development applications can be compared against its expected JSON).
+const DocumentName = "synthetic-basic-grid";
+const DocumentUrl = new url_1.URL(councils_1.GrantCouncil.registerUrl).origin + "/synthetic/" + DocumentName + ".pdf";
+const DocumentPages = [{
+        rows: [
+            [["141/17"], ["5/03/2017"], ["12"], ["3"], ["100"], ["ADMELLA ST, PORT MACDONNELL", "HD MACDONNELL"], ["DWELLING"]],
+            [["142/17"], ["6/03/2017"], ["-"], ["4"], ["-"], ["ADAMS RD, CARPENTER ROCKS", "HD BLANCHE"], ["SHED"]]
+        ]
+    }];
+// A council on another host (whose archived files must not be given to the District Council of
+// Grant when both councils are replayed).
+const CorruptDocumentUrl = new url_1.URL(councils_1.GrantCouncil.registerUrl).origin + "/synthetic/corrupt.pdf";
+const OtherCouncil = Object.assign({}, councils_1.GrantCouncil, { name: "other", authorityName: "Other Council", registerUrl: "https://council.example/development-register" });
+// Constructs a sink that collects the development applications written to it.
+function createCollectingSink(developmentApplications) {
+    return {
+        name: "the test",
+        write: async (developmentApplication) => {
+            developmentApplications.push(developmentApplication);
+            return "written";
+        },
+        close: async () => { }
+    };
+}
+// Removes a directory and everything in it.
+function removeDirectory(directory) {
+    for (let name of fs.readdirSync(directory))
+        fs.unlinkSync(path.join(directory, name));
+    fs.rmdirSync(directory);
+}
+// Archives the register page and synthetic document (along with a file from another council and
+// a file that has no ".url" file) and replays the archive.  Returns a description of each
+// difference from the expected results.
+async function runReplay(directory) {
+    let differences = [];
+    let registerPage = `<html><body><h3 class="generic-list__title"><a href="/synthetic/${DocumentName}.pdf">Register</a></h3></body></html>`;
+    archive_1.archiveFile(directory, councils_1.GrantCouncil.registerUrl, registerPage, "html");
+    archive_1.archiveFile(directory, DocumentUrl, syntheticpdf_1.createPdf(DocumentPages), "pdf");
+    archive_1.archiveFile(directory, CorruptDocumentUrl, "<html><body><h1>Service Unavailable</h1></body></html>", "pdf");
+    archive_1.archiveFile(directory, "https://council.example/documents/other.pdf", syntheticpdf_1.createPdf(DocumentPages), "pdf");
+    fs.writeFileSync(path.join(directory, "unrecorded.pdf"), syntheticpdf_1.createPdf(DocumentPages));
+    let archivedFiles = archive_1.readArchivedFiles([directory]);
+    let archivedUrls = archivedFiles.map(archivedFile => archivedFile.url).sort();
+    let expectedUrls = [councils_1.GrantCouncil.registerUrl, DocumentUrl, CorruptDocumentUrl, "https://council.example/documents/other.pdf"].sort();
+    if (archivedUrls.join() !== expectedUrls.join())
+        differences.push(`expected the archived files (${expectedUrls.join(", ")}) but read (${archivedUrls.join(", ")})`);
+    let selectedUrls = scraper_1.selectArchivedFiles(archivedFiles, councils_1.GrantCouncil, [councils_1.GrantCouncil, OtherCouncil]).map(archivedFile => archivedFile.url).sort();
+    if (selectedUrls.join() !== [councils_1.GrantCouncil.registerUrl, DocumentUrl, CorruptDocumentUrl].sort().join())
+        differences.push(`expected only the files of the District Council of Grant to be selected but selected (${selectedUrls.join(", ")})`);
+    if (scraper_1.selectArchivedFiles(archivedFiles, councils_1.GrantCouncil, [councils_1.GrantCouncil]).length !== archivedFiles.length)
+        differences.push("expected every archived file to be selected when only one council is replayed");
+    let developmentApplications = [];
+    let sinks = [createCollectingSink(developmentApplications)];
+    let reports = [];
+    scraper_1.readAddressInformation(councils_1.GrantCouncil);
+    await scraper_1.replay(councils_1.GrantCouncil, scraper_1.selectArchivedFiles(archivedFiles, councils_1.GrantCouncil, [councils_1.GrantCouncil, OtherCouncil]), undefined, undefined, sinks, sinks_1.createProgress(sinks), reports, duplicates_1.createDuplicateTracker());
+    let corruptReport = reports.find(report => report.url === CorruptDocumentUrl);
+    if (corruptReport === undefined || corruptReport.rejectedPageCount !== 1)
+        differences.push(`expected a page to be rejected from the corrupt document but found ${JSON.stringify(corruptReport)}`);
+    for (let developmentApplication of developmentApplications)
+        delete developmentApplication.scrapeDate; // changes every day (so is not in the expected JSON)
+    let expected = fs.readFileSync(path.join(__dirname, "expected", DocumentName + ".json")).toString();
+    let actual = JSON.stringify(developmentApplications, null, 4) + "\n";
+    if (actual !== expected)
+        differences.push(`the replayed development applications differ from the expected JSON of ${DocumentName}: ${actual}`);
+    return differences;
+}
+// Runs the test.
+async function main() {
+    // The address information files are read relative to the current directory.
+    process.chdir(path.join(__dirname, ".."));
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+    let log = console.log;
+    let differences;
+    try {
+        console.log = () => { }; // suppress the messages written while archiving and replaying
+        differences = await runReplay(directory);
+    }
+    finally {
+        console.log = log;
+        removeDirectory(directory);
+    }
+    if (differences.length === 0)
+        console.log("PASS archive-round-trip.");
+    else {
+        console.log("FAIL archive-round-trip:");
+        for (let difference of differences)
+            console.log(`    ${difference}.`);
+    }
+    console.log(`${(differences.length === 0) ? 1 : 0} of 1 replay case passed.`);
+    return differences.length;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVwbGF5LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsicmVwbGF5LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGtHQUFrRztBQUNsRywrRkFBK0Y7QUFDL0YsZ0dBQWdHO0FBQ2hHLGtHQUFrRztBQUNsRyw0RkFBNEY7QUFDNUYsK0ZBQStGO0FBQy9GLEVBQUU7QUFDRixTQUFTO0FBQ1QsRUFBRTtBQUNGLDBCQUEwQjtBQUUxQixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0IsNkJBQTBCO0FBQzFCLDBDQUEyRDtBQUMzRCx3Q0FBNEQ7QUFDNUQsb0NBQXNEO0FBRXRELDhDQUF1RDtBQUN2RCx3Q0FBaUY7QUFDakYsaURBQTJDO0FBSTNDLDhGQUE4RjtBQUM5RixnRkFBZ0Y7QUFFaEYsTUFBTSxZQUFZLEdBQUcsc0JBQXNCLENBQUM7QUFDNUMsTUFBTSxXQUFXLEdBQUcsSUFBSSxTQUFHLENBQUMsdUJBQVksQ0FBQyxXQUFXLENBQUMsQ0FBQyxNQUFNLEdBQUcsYUFBYSxHQUFHLFlBQVksR0FBRyxNQUFNLENBQUM7QUFDckcsTUFBTSxhQUFhLEdBQUcsQ0FBRTtRQUNwQixJQUFJLEVBQUU7WUFDRixDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxDQUFFLElBQUksQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxLQUFLLENBQUUsRUFBRSxDQUFFLDZCQUE2QixFQUFFLGVBQWUsQ0FBRSxFQUFFLENBQUUsVUFBVSxDQUFFLENBQUU7WUFDbkksQ0FBRSxDQUFFLFFBQVEsQ0FBRSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSwyQkFBMkIsRUFBRSxZQUFZLENBQUUsRUFBRSxDQUFFLE1BQU0sQ0FBRSxDQUFFO1NBQzFIO0tBQ0osQ0FBRSxDQUFDO0FBRUosK0ZBQStGO0FBQy9GLDBDQUEwQztBQUUxQyxNQUFNLGtCQUFrQixHQUFHLElBQUksU0FBRyxDQUFDLHVCQUFZLENBQUMsV0FBVyxDQUFDLENBQUMsTUFBTSxHQUFHLHdCQUF3QixDQUFDO0FBRS9GLE1BQU0sWUFBWSxxQkFBd0IsdUJBQVksSUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsV0FBVyxFQUFFLDhDQUE4QyxHQUFFLENBQUM7QUFFckssOEVBQThFO0FBRTlFLFNBQVMsb0JBQW9CLENBQUMsdUJBQThCO0lBQ3hELE9BQU87UUFDSCxJQUFJLEVBQUUsVUFBVTtRQUNoQixLQUFLLEVBQUUsS0FBSyxFQUFDLHNCQUFzQixFQUFDLEVBQUU7WUFDbEMsdUJBQXVCLENBQUMsSUFBSSxDQUFDLHNCQUFzQixDQUFDLENBQUM7WUFDckQsT0FBTyxTQUFTLENBQUM7UUFDckIsQ0FBQztRQUNELEtBQUssRUFBRSxLQUFLLElBQUksRUFBRSxHQUFFLENBQUM7S0FDeEIsQ0FBQztBQUNOLENBQUM7QUFFRCw0Q0FBNEM7QUFFNUMsU0FBUyxlQUFlLENBQUMsU0FBaUI7SUFDdEMsS0FBSyxJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxDQUFDLFNBQVMsQ0FBQztRQUN0QyxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUM7SUFDOUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQztBQUM1QixDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLDBGQUEwRjtBQUMxRix3Q0FBd0M7QUFFeEMsS0FBSyxVQUFVLFNBQVMsQ0FBQyxTQUFpQjtJQUN0QyxJQUFJLFdBQVcsR0FBYSxFQUFFLENBQUM7SUFDL0IsSUFBSSxZQUFZLEdBQUcsbUVBQW1FLFlBQVksdUNBQXVDLENBQUM7SUFDMUkscUJBQVcsQ0FBQyxTQUFTLEVBQUUsdUJBQVksQ0FBQyxXQUFXLEVBQUUsWUFBWSxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQ3ZFLHFCQUFXLENBQUMsU0FBUyxFQUFFLFdBQVcsRUFBRSx3QkFBUyxDQUFDLGFBQWEsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQ3JFLHFCQUFXLENBQUMsU0FBUyxFQUFFLGtCQUFrQixFQUFFLHdEQUF3RCxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQzVHLHFCQUFXLENBQUMsU0FBUyxFQUFFLDZDQUE2QyxFQUFFLHdCQUFTLENBQUMsYUFBYSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFDdkcsRUFBRSxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxnQkFBZ0IsQ0FBQyxFQUFFLHdCQUFTLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQztJQUVuRixJQUFJLGFBQWEsR0FBRywyQkFBaUIsQ0FBQyxDQUFFLFNBQVMsQ0FBRSxDQUFDLENBQUM7SUFDckQsSUFBSSxZQUFZLEdBQUcsYUFBYSxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUM5RSxJQUFJLFlBQVksR0FBRyxDQUFFLHVCQUFZLENBQUMsV0FBVyxFQUFFLFdBQVcsRUFBRSxrQkFBa0IsRUFBRSw2Q0FBNkMsQ0FBRSxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ3ZJLElBQUksWUFBWSxDQUFDLElBQUksRUFBRSxLQUFLLFlBQVksQ0FBQyxJQUFJLEVBQUU7UUFDM0MsV0FBVyxDQUFDLElBQUksQ0FBQyxnQ0FBZ0MsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxZQUFZLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUV2SCxJQUFJLFlBQVksR0FBRyw2QkFBbUIsQ0FBQyxhQUFhLEVBQUUsdUJBQVksRUFBRSxDQUFFLHVCQUFZLEVBQUUsWUFBWSxDQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDakosSUFBSSxZQUFZLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBRSx1QkFBWSxDQUFDLFdBQVcsRUFBRSxXQUFXLEVBQUUsa0JBQWtCLENBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxJQUFJLEVBQUU7UUFDbkcsV0FBVyxDQUFDLElBQUksQ0FBQyx5RkFBeUYsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDMUksSUFBSSw2QkFBbUIsQ0FBQyxhQUFhLEVBQUUsdUJBQVksRUFBRSxDQUFFLHVCQUFZLENBQUUsQ0FBQyxDQUFDLE1BQU0sS0FBSyxhQUFhLENBQUMsTUFBTTtRQUNsRyxXQUFXLENBQUMsSUFBSSxDQUFDLCtFQUErRSxDQUFDLENBQUM7SUFFdEcsSUFBSSx1QkFBdUIsR0FBRyxFQUFFLENBQUM7SUFDakMsSUFBSSxLQUFLLEdBQUcsQ0FBRSxvQkFBb0IsQ0FBQyx1QkFBdUIsQ0FBQyxDQUFFLENBQUM7SUFDOUQsSUFBSSxPQUFPLEdBQXFCLEVBQUUsQ0FBQztJQUNuQyxnQ0FBc0IsQ0FBQyx1QkFBWSxDQUFDLENBQUM7SUFDckMsTUFBTSxnQkFBTSxDQUFDLHVCQUFZLEVBQUUsNkJBQW1CLENBQUMsYUFBYSxFQUFFLHVCQUFZLEVBQUUsQ0FBRSx1QkFBWSxFQUFFLFlBQVksQ0FBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsc0JBQWMsQ0FBQyxLQUFLLENBQUMsRUFBRSxPQUFPLEVBQUUsbUNBQXNCLEVBQUUsQ0FBQyxDQUFDO0lBRXBNLElBQUksYUFBYSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsR0FBRyxLQUFLLGtCQUFrQixDQUFDLENBQUM7SUFDOUUsSUFBSSxhQUFhLEtBQUssU0FBUyxJQUFJLGFBQWEsQ0FBQyxpQkFBaUIsS0FBSyxDQUFDO1FBQ3BFLFdBQVcsQ0FBQyxJQUFJLENBQUMsc0VBQXNFLElBQUksQ0FBQyxTQUFTLENBQUMsYUFBYSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0lBRTVILEtBQUssSUFBSSxzQkFBc0IsSUFBSSx1QkFBdUI7UUFDdEQsT0FBTyxzQkFBc0IsQ0FBQyxVQUFVLENBQUMsQ0FBRSxxREFBcUQ7SUFDcEcsSUFBSSxRQUFRLEdBQUcsRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxVQUFVLEVBQUUsWUFBWSxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDcEcsSUFBSSxNQUFNLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyx1QkFBdUIsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDO0lBQ3JFLElBQUksTUFBTSxLQUFLLFFBQVE7UUFDbkIsV0FBVyxDQUFDLElBQUksQ0FBQywwRUFBMEUsWUFBWSxLQUFLLE1BQU0sRUFBRSxDQUFDLENBQUM7SUFDMUgsT0FBTyxXQUFXLENBQUM7QUFDdkIsQ0FBQztBQUVELGlCQUFpQjtBQUVqQixLQUFLLFVBQVUsSUFBSTtJQUNmLDRFQUE0RTtJQUU1RSxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUM7SUFFMUMsSUFBSSxTQUFTLEdBQUcsRUFBRSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxNQUFNLEVBQUUsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQ2xFLElBQUksR0FBRyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7SUFDdEIsSUFBSSxXQUFxQixDQUFDO0lBQzFCLElBQUk7UUFDQSxPQUFPLENBQUMsR0FBRyxHQUFHLEdBQUcsRUFBRSxHQUFFLENBQUMsQ0FBQyxDQUFFLDhEQUE4RDtRQUN2RixXQUFXLEdBQUcsTUFBTSxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7S0FDNUM7WUFBUztRQUNOLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDO1FBQ2xCLGVBQWUsQ0FBQyxTQUFTLENBQUMsQ0FBQztLQUM5QjtJQUVELElBQUksV0FBVyxDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQ3hCLE9BQU8sQ0FBQyxHQUFHLENBQUMsMEJBQTBCLENBQUMsQ0FBQztTQUN2QztRQUNELE9BQU8sQ0FBQyxHQUFHLENBQUMsMEJBQTBCLENBQUMsQ0FBQztRQUN4QyxLQUFLLElBQUksVUFBVSxJQUFJLFdBQVc7WUFDOUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLFVBQVUsR0FBRyxDQUFDLENBQUM7S0FDekM7SUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsMkJBQTJCLENBQUMsQ0FBQztJQUM5RSxPQUFPLFdBQVcsQ0FBQyxNQUFNLENBQUM7QUFDOUIsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxZQUFZLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
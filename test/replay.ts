@@ -0,0 +1,141 @@
+// Tests the replay of an archive: a register page and a synthetic PDF document are archived (each
+// with a ".url" file recording its original URL) and the archive directory is replayed, so the
+// development applications must match the expected JSON of the same synthetic document.  A file
+// without a ".url" file must be ignored, a corrupt document (an error page archived in place of a
+// PDF document) must be rejected without stopping the replay and, when several councils are
+// replayed, each council must only be given the files retrieved from the host of its register.
+//
+// Usage:
+//
+//     node test/replay.js
+
+"use strict";
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { URL } from "url";
+import { CouncilAdapter, GrantCouncil } from "../councils";
+import { archiveFile, readArchivedFiles } from "../archive";
+import { OutputSink, createProgress } from "../sinks";
+import { DocumentReport } from "../quality";
+import { createDuplicateTracker } from "../duplicates";
+import { readAddressInformation, replay, selectArchivedFiles } from "../scraper";
+import { createPdf } from "./syntheticpdf";
+
+declare const process: any;
+
+// The synthetic document (the same as the "synthetic-basic-grid" regression case, so that the
+// replayed development applications can be compared against its expected JSON).
+
+const DocumentName = "synthetic-basic-grid";
+const DocumentUrl = new URL(GrantCouncil.registerUrl).origin + "/synthetic/" + DocumentName + ".pdf";
+const DocumentPages = [ {
+    rows: [
+        [ [ "141/17" ], [ "5/03/2017" ], [ "12" ], [ "3" ], [ "100" ], [ "ADMELLA ST, PORT MACDONNELL", "HD MACDONNELL" ], [ "DWELLING" ] ],
+        [ [ "142/17" ], [ "6/03/2017" ], [ "-" ], [ "4" ], [ "-" ], [ "ADAMS RD, CARPENTER ROCKS", "HD BLANCHE" ], [ "SHED" ] ]
+    ]
+} ];
+
+// A council on another host (whose archived files must not be given to the District Council of
+// Grant when both councils are replayed).
+
+const CorruptDocumentUrl = new URL(GrantCouncil.registerUrl).origin + "/synthetic/corrupt.pdf";
+
+const OtherCouncil: CouncilAdapter = { ...GrantCouncil, name: "other", authorityName: "Other Council", registerUrl: "https://council.example/development-register" };
+
+// Constructs a sink that collects the development applications written to it.
+
+function createCollectingSink(developmentApplications: any[]): OutputSink {
+    return {
+        name: "the test",
+        write: async developmentApplication => {
+            developmentApplications.push(developmentApplication);
+            return "written";
+        },
+        close: async () => {}
+    };
+}
+
+// Removes a directory and everything in it.
+
+function removeDirectory(directory: string) {
+    for (let name of fs.readdirSync(directory))
+        fs.unlinkSync(path.join(directory, name));
+    fs.rmdirSync(directory);
+}
+
+// Archives the register page and synthetic document (along with a file from another council and
+// a file that has no ".url" file) and replays the archive.  Returns a description of each
+// difference from the expected results.
+
+async function runReplay(directory: string) {
+    let differences: string[] = [];
+    let registerPage = `<html><body><h3 class="generic-list__title"><a href="/synthetic/${DocumentName}.pdf">Register</a></h3></body></html>`;
+    archiveFile(directory, GrantCouncil.registerUrl, registerPage, "html");
+    archiveFile(directory, DocumentUrl, createPdf(DocumentPages), "pdf");
+    archiveFile(directory, CorruptDocumentUrl, "<html><body><h1>Service Unavailable</h1></body></html>", "pdf");
+    archiveFile(directory, "https://council.example/documents/other.pdf", createPdf(DocumentPages), "pdf");
+    fs.writeFileSync(path.join(directory, "unrecorded.pdf"), createPdf(DocumentPages));
+
+    let archivedFiles = readArchivedFiles([ directory ]);
+    let archivedUrls = archivedFiles.map(archivedFile => archivedFile.url).sort();
+    let expectedUrls = [ GrantCouncil.registerUrl, DocumentUrl, CorruptDocumentUrl, "https://council.example/documents/other.pdf" ].sort();
+    if (archivedUrls.join() !== expectedUrls.join())
+        differences.push(`expected the archived files (${expectedUrls.join(", ")}) but read (${archivedUrls.join(", ")})`);
+
+    let selectedUrls = selectArchivedFiles(archivedFiles, GrantCouncil, [ GrantCouncil, OtherCouncil ]).map(archivedFile => archivedFile.url).sort();
+    if (selectedUrls.join() !== [ GrantCouncil.registerUrl, DocumentUrl, CorruptDocumentUrl ].sort().join())
+        differences.push(`expected only the files of the District Council of Grant to be selected but selected (${selectedUrls.join(", ")})`);
+    if (selectArchivedFiles(archivedFiles, GrantCouncil, [ GrantCouncil ]).length !== archivedFiles.length)
+        differences.push("expected every archived file to be selected when only one council is replayed");
+
+    let developmentApplications = [];
+    let sinks = [ createCollectingSink(developmentApplications) ];
+    let reports: DocumentReport[] = [];
+    readAddressInformation(GrantCouncil);
+    await replay(GrantCouncil, selectArchivedFiles(archivedFiles, GrantCouncil, [ GrantCouncil, OtherCouncil ]), undefined, undefined, sinks, createProgress(sinks), reports, createDuplicateTracker());
+
+    let corruptReport = reports.find(report => report.url === CorruptDocumentUrl);
+    if (corruptReport === undefined || corruptReport.rejectedPageCount !== 1)
+        differences.push(`expected a page to be rejected from the corrupt document but found ${JSON.stringify(corruptReport)}`);
+
+    for (let developmentApplication of developmentApplications)
+        delete developmentApplication.scrapeDate;  // changes every day (so is not in the expected JSON)
+    let expected = fs.readFileSync(path.join(__dirname, "expected", DocumentName + ".json")).toString();
+    let actual = JSON.stringify(developmentApplications, null, 4) + "\n";
+    if (actual !== expected)
+        differences.push(`the replayed development applications differ from the expected JSON of ${DocumentName}: ${actual}`);
+    return differences;
+}
+
+// Runs the test.
+
+async function main() {
+    // The address information files are read relative to the current directory.
+
+    process.chdir(path.join(__dirname, ".."));
+
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+    let log = console.log;
+    let differences: string[];
+    try {
+        console.log = () => {};  // suppress the messages written while archiving and replaying
+        differences = await runReplay(directory);
+    } finally {
+        console.log = log;
+        removeDirectory(directory);
+    }
+
+    if (differences.length === 0)
+        console.log("PASS archive-round-trip.");
+    else {
+        console.log("FAIL archive-round-trip:");
+        for (let difference of differences)
+            console.log(`    ${difference}.`);
+    }
+    console.log(`${(differences.length === 0) ? 1 : 0} of 1 replay case passed.`);
+    return differences.length;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
@@ -0,0 +1,114 @@
+// Tests for the recording of runs (the runs in which each development application was first seen,
+// last seen and last changed, and the counts of each run), for the history of each development
+// application (the old and new values of a changed field and the run in which each version was
+// saved) and for the export of the development applications that are new or changed since a given
+// run or date.
+//
+// Usage:
+//
+//     node test/runs.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const database_1 = require("../database");
+const sinks_1 = require("../sinks");
+const runs_1 = require("../runs");
+const scraper_1 = require("../scraper");
+// The development applications saved in each run of a test database (the last run is left in
+// progress, so its changes are not yet exported).
+const Runs = [
+    [
+        { council_reference: "100/19", description: "DWELLING" },
+        { council_reference: "101/19", description: "SHED" }
+    ],
+    [
+        { council_reference: "100/19", description: "DWELLING" },
+        { council_reference: "101/19", description: "VERANDAH" },
+        { council_reference: "102/19", description: "DEMOLITION" }
+    ],
+    [
+        { council_reference: "103/19", description: "CARPORT" }
+    ]
+];
+const ExportCases = [
+    { since: "0", changes: ["100/19:new", "101/19:new", "102/19:new"], untilRunId: 2 },
+    { since: "1", changes: ["101/19:changed", "102/19:new"], untilRunId: 2 },
+    { since: "2", changes: [], untilRunId: 2 },
+    { since: "2000-01-01", changes: ["100/19:new", "101/19:new", "102/19:new"], untilRunId: 2 },
+    { since: "2100-01-01T12:00", changes: [], untilRunId: 3 }
+];
+// The expected counts recorded for each finished run.
+const RunCounts = [
+    { run_id: 1, status: "complete", application_count: 2, new_count: 2, changed_count: 0 },
+    { run_id: 2, status: "complete", application_count: 3, new_count: 1, changed_count: 1 },
+    { run_id: 3, status: "running", application_count: null, new_count: null, changed_count: null }
+];
+// The expected history of some of the development applications: each version (in order) with its
+// description, the fields that changed and the run in which it was saved.
+const HistoryCases = [
+    { councilReference: "100/19", versions: [{ description: "DWELLING", changed_fields: "", run_id: 1 }] },
+    { councilReference: "101/19", versions: [{ description: "SHED", changed_fields: "", run_id: 1 }, { description: "VERANDAH", changed_fields: "description", run_id: 2 }] },
+    { councilReference: "103/19", versions: [{ description: "CARPORT", changed_fields: "", run_id: 3 }] }
+];
+// Saves the development applications of each run to an in-memory database.
+async function createTestDatabase() {
+    let database = await scraper_1.initializeDatabase(":memory:");
+    for (let index = 0; index < Runs.length; index++) {
+        let runId = await runs_1.startRun(database, "replay", []);
+        let sink = scraper_1.createDatabaseSink(database, runId);
+        for (let values of Runs[index])
+            await sink.write(sinks_1.getDevelopmentApplication(Object.assign({ authority_label: "grant", address: "ACI ROAD, WYE", date_received: "2019-05-20" }, values)));
+        if (index < Runs.length - 1)
+            await runs_1.finishRun(database, runId, "complete");
+    }
+    return database;
+}
+// Runs each test case.
+async function main() {
+    // Suppress the log lines written while saving (so that only the results are shown).
+    let log = console.log;
+    console.log = () => { };
+    let database = await createTestDatabase();
+    console.log = log;
+    let failureCount = 0;
+    for (let exportCase of ExportCases) {
+        let name = `since-${exportCase.since}`;
+        let { untilRunId, changes } = await runs_1.readChanges(database, await runs_1.resolveSinceRun(database, exportCase.since));
+        let descriptions = changes.map(change => `${change.council_reference}:${change.change}`).sort();
+        if (descriptions.join() === exportCase.changes.join() && untilRunId === exportCase.untilRunId)
+            console.log(`PASS ${name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${name}: expected (${exportCase.changes.join(", ")}) up to run ${exportCase.untilRunId} but found (${descriptions.join(", ")}) up to run ${untilRunId}.`);
+        }
+    }
+    let runRows = await database_1.getRows(database, "select [run_id], [status], [application_count], [new_count], [changed_count] from [runs] order by [run_id]");
+    for (let index = 0; index < RunCounts.length; index++) {
+        let name = `run-${RunCounts[index].run_id}-counts`;
+        let expected = JSON.stringify(RunCounts[index]);
+        let actual = JSON.stringify(runRows[index]);
+        if (actual === expected)
+            console.log(`PASS ${name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${name}: expected ${expected} but found ${actual}.`);
+        }
+    }
+    for (let historyCase of HistoryCases) {
+        let name = `history-${historyCase.councilReference}`;
+        let historyRows = await database_1.getRows(database, "select [description], [changed_fields], [run_id] from [history] where [authority_label] = ? and [council_reference] = ? order by [version]", ["grant", historyCase.councilReference]);
+        let expected = JSON.stringify(historyCase.versions);
+        let actual = JSON.stringify(historyRows);
+        if (actual === expected)
+            console.log(`PASS ${name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${name}: expected ${expected} but found ${actual}.`);
+        }
+    }
+    database.close();
+    let caseCount = ExportCases.length + RunCounts.length + HistoryCases.length;
+    console.log(`${caseCount - failureCount} of ${caseCount} run ${(caseCount === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicnVucy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInJ1bnMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsa0dBQWtHO0FBQ2xHLCtGQUErRjtBQUMvRiwrRkFBK0Y7QUFDL0Ysa0dBQWtHO0FBQ2xHLGVBQWU7QUFDZixFQUFFO0FBQ0YsU0FBUztBQUNULEVBQUU7QUFDRix3QkFBd0I7QUFFeEIsWUFBWSxDQUFDOztBQUViLDBDQUFzQztBQUN0QyxvQ0FBcUQ7QUFDckQsa0NBQTRFO0FBQzVFLHdDQUFvRTtBQUlwRSw2RkFBNkY7QUFDN0Ysa0RBQWtEO0FBRWxELE1BQU0sSUFBSSxHQUFxQztJQUMzQztRQUNJLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFdBQVcsRUFBRSxVQUFVLEVBQUU7UUFDeEQsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsV0FBVyxFQUFFLE1BQU0sRUFBRTtLQUN2RDtJQUNEO1FBQ0ksRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRTtRQUN4RCxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxXQUFXLEVBQUUsVUFBVSxFQUFFO1FBQ3hELEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFdBQVcsRUFBRSxZQUFZLEVBQUU7S0FDN0Q7SUFDRDtRQUNJLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLFdBQVcsRUFBRSxTQUFTLEVBQUU7S0FDMUQ7Q0FDSixDQUFDO0FBV0YsTUFBTSxXQUFXLEdBQWlCO0lBQzlCLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsQ0FBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLFlBQVksQ0FBRSxFQUFFLFVBQVUsRUFBRSxDQUFDLEVBQUU7SUFDcEYsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxDQUFFLGdCQUFnQixFQUFFLFlBQVksQ0FBRSxFQUFFLFVBQVUsRUFBRSxDQUFDLEVBQUU7SUFDMUUsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLENBQUMsRUFBRTtJQUMxQyxFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUUsT0FBTyxFQUFFLENBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxZQUFZLENBQUUsRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFO0lBQzdGLEVBQUUsS0FBSyxFQUFFLGtCQUFrQixFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLENBQUMsRUFBRTtDQUM1RCxDQUFDO0FBRUYsc0RBQXNEO0FBRXRELE1BQU0sU0FBUyxHQUFHO0lBQ2QsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsaUJBQWlCLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsYUFBYSxFQUFFLENBQUMsRUFBRTtJQUN2RixFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxpQkFBaUIsRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxhQUFhLEVBQUUsQ0FBQyxFQUFFO0lBQ3ZGLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLGlCQUFpQixFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxJQUFJLEVBQUU7Q0FDbEcsQ0FBQztBQUVGLGlHQUFpRztBQUNqRywwRUFBMEU7QUFFMUUsTUFBTSxZQUFZLEdBQWdIO0lBQzlILEVBQUUsZ0JBQWdCLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxDQUFFLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRSxjQUFjLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsQ0FBRSxFQUFFO0lBQ3hHLEVBQUUsZ0JBQWdCLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxDQUFFLEVBQUUsV0FBVyxFQUFFLE1BQU0sRUFBRSxjQUFjLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLFdBQVcsRUFBRSxVQUFVLEVBQUUsY0FBYyxFQUFFLGFBQWEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLENBQUUsRUFBRTtJQUMzSyxFQUFFLGdCQUFnQixFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsQ0FBRSxFQUFFLFdBQVcsRUFBRSxTQUFTLEVBQUUsY0FBYyxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLENBQUUsRUFBRTtDQUMxRyxDQUFDO0FBRUYsMkVBQTJFO0FBRTNFLEtBQUssVUFBVSxrQkFBa0I7SUFDN0IsSUFBSSxRQUFRLEdBQUcsTUFBTSw0QkFBa0IsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUNwRCxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsSUFBSSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUM5QyxJQUFJLEtBQUssR0FBRyxNQUFNLGVBQVEsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ25ELElBQUksSUFBSSxHQUFHLDRCQUFrQixDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUMvQyxLQUFLLElBQUksTUFBTSxJQUFJLElBQUksQ0FBQyxLQUFLLENBQUM7WUFDMUIsTUFBTSxJQUFJLENBQUMsS0FBSyxDQUFDLGlDQUF5QixpQkFBRyxlQUFlLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxlQUFlLEVBQUUsYUFBYSxFQUFFLFlBQVksSUFBSyxNQUFNLEVBQUcsQ0FBQyxDQUFDO1FBQ2hKLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQyxNQUFNLEdBQUcsQ0FBQztZQUN2QixNQUFNLGdCQUFTLENBQUMsUUFBUSxFQUFFLEtBQUssRUFBRSxVQUFVLENBQUMsQ0FBQztLQUNwRDtJQUNELE9BQU8sUUFBUSxDQUFDO0FBQ3BCLENBQUM7QUFFRCx1QkFBdUI7QUFFdkIsS0FBSyxVQUFVLElBQUk7SUFDZixvRkFBb0Y7SUFFcEYsSUFBSSxHQUFHLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQztJQUN0QixPQUFPLENBQUMsR0FBRyxHQUFHLEdBQUcsRUFBRSxHQUFFLENBQUMsQ0FBQztJQUN2QixJQUFJLFFBQVEsR0FBRyxNQUFNLGtCQUFrQixFQUFFLENBQUM7SUFDMUMsT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLENBQUM7SUFFbEIsSUFBSSxZQUFZLEdBQUcsQ0FBQyxDQUFDO0lBQ3JCLEtBQUssSUFBSSxVQUFVLElBQUksV0FBVyxFQUFFO1FBQ2hDLElBQUksSUFBSSxHQUFHLFNBQVMsVUFBVSxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ3ZDLElBQUksRUFBRSxVQUFVLEVBQUUsT0FBTyxFQUFFLEdBQUcsTUFBTSxrQkFBVyxDQUFDLFFBQVEsRUFBRSxNQUFNLHNCQUFlLENBQUMsUUFBUSxFQUFFLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQzdHLElBQUksWUFBWSxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxpQkFBaUIsSUFBSSxNQUFNLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUNoRyxJQUFJLFlBQVksQ0FBQyxJQUFJLEVBQUUsS0FBSyxVQUFVLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxJQUFJLFVBQVUsS0FBSyxVQUFVLENBQUMsVUFBVTtZQUN6RixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsSUFBSSxHQUFHLENBQUMsQ0FBQzthQUM1QjtZQUNELFlBQVksRUFBRSxDQUFDO1lBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLElBQUksZUFBZSxVQUFVLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxVQUFVLENBQUMsVUFBVSxlQUFlLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsVUFBVSxHQUFHLENBQUMsQ0FBQztTQUMvSztLQUNKO0lBRUQsSUFBSSxPQUFPLEdBQUcsTUFBTSxrQkFBTyxDQUFDLFFBQVEsRUFBRSw0R0FBNEcsQ0FBQyxDQUFDO0lBQ3BKLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ25ELElBQUksSUFBSSxHQUFHLE9BQU8sU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLE1BQU0sU0FBUyxDQUFDO1FBQ25ELElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDaEQsSUFBSSxNQUFNLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUM1QyxJQUFJLE1BQU0sS0FBSyxRQUFRO1lBQ25CLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxJQUFJLEdBQUcsQ0FBQyxDQUFDO2FBQzVCO1lBQ0QsWUFBWSxFQUFFLENBQUM7WUFDZixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsSUFBSSxjQUFjLFFBQVEsY0FBYyxNQUFNLEdBQUcsQ0FBQyxDQUFDO1NBQzFFO0tBQ0o7SUFFRCxLQUFLLElBQUksV0FBVyxJQUFJLFlBQVksRUFBRTtRQUNsQyxJQUFJLElBQUksR0FBRyxXQUFXLFdBQVcsQ0FBQyxnQkFBZ0IsRUFBRSxDQUFDO1FBQ3JELElBQUksV0FBVyxHQUFHLE1BQU0sa0JBQU8sQ0FBQyxRQUFRLEVBQUUsNElBQTRJLEVBQUUsQ0FBRSxPQUFPLEVBQUUsV0FBVyxDQUFDLGdCQUFnQixDQUFFLENBQUMsQ0FBQztRQUNuTyxJQUFJLFFBQVEsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLFdBQVcsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUNwRCxJQUFJLE1BQU0sR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBQ3pDLElBQUksTUFBTSxLQUFLLFFBQVE7WUFDbkIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLElBQUksR0FBRyxDQUFDLENBQUM7YUFDNUI7WUFDRCxZQUFZLEVBQUUsQ0FBQztZQUNmLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxJQUFJLGNBQWMsUUFBUSxjQUFjLE1BQU0sR0FBRyxDQUFDLENBQUM7U0FDMUU7S0FDSjtJQUNELFFBQVEsQ0FBQyxLQUFLLEVBQUUsQ0FBQztJQUVqQixJQUFJLFNBQVMsR0FBRyxXQUFXLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxNQUFNLEdBQUcsWUFBWSxDQUFDLE1BQU0sQ0FBQztJQUM1RSxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsU0FBUyxHQUFHLFlBQVksT0FBTyxTQUFTLFFBQVEsQ0FBQyxTQUFTLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsT0FBTyxVQUFVLENBQUMsQ0FBQztJQUMvRyxPQUFPLFlBQVksQ0FBQztBQUN4QixDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
@@ -0,0 +1,142 @@
+// Tests for the recording of runs (the runs in which each development application was first seen,
+// last seen and last changed, and the counts of each run), for the history of each development
+// application (the old and new values of a changed field and the run in which each version was
+// saved) and for the export of the development applications that are new or changed since a given
+// run or date.
+//
+// Usage:
+//
+//     node test/runs.js
+
+"use strict";
+
+import { getRows } from "../database";
+import { getDevelopmentApplication } from "../sinks";
+import { startRun, finishRun, resolveSinceRun, readChanges } from "../runs";
+import { initializeDatabase, createDatabaseSink } from "../scraper";
+
+declare const process: any;
+
+// The development applications saved in each run of a test database (the last run is left in
+// progress, so its changes are not yet exported).
+
+const Runs: { [column: string]: string }[][] = [
+    [
+        { council_reference: "100/19", description: "DWELLING" },
+        { council_reference: "101/19", description: "SHED" }
+    ],
+    [
+        { council_reference: "100/19", description: "DWELLING" },
+        { council_reference: "101/19", description: "VERANDAH" },
+        { council_reference: "102/19", description: "DEMOLITION" }
+    ],
+    [
+        { council_reference: "103/19", description: "CARPORT" }
+    ]
+];
+
+// A test case: the "--since" value and the expected changes (in the form "council
+// reference:change") and last run included in the export.
+
+interface ExportCase {
+    since: string,
+    changes: string[],
+    untilRunId: number
+}
+
+const ExportCases: ExportCase[] = [
+    { since: "0", changes: [ "100/19:new", "101/19:new", "102/19:new" ], untilRunId: 2 },
+    { since: "1", changes: [ "101/19:changed", "102/19:new" ], untilRunId: 2 },
+    { since: "2", changes: [], untilRunId: 2 },
+    { since: "2000-01-01", changes: [ "100/19:new", "101/19:new", "102/19:new" ], untilRunId: 2 },
+    { since: "2100-01-01T12:00", changes: [], untilRunId: 3 }
+];
+
+// The expected counts recorded for each finished run.
+
+const RunCounts = [
+    { run_id: 1, status: "complete", application_count: 2, new_count: 2, changed_count: 0 },
+    { run_id: 2, status: "complete", application_count: 3, new_count: 1, changed_count: 1 },
+    { run_id: 3, status: "running", application_count: null, new_count: null, changed_count: null }
+];
+
+// The expected history of some of the development applications: each version (in order) with its
+// description, the fields that changed and the run in which it was saved.
+
+const HistoryCases: { councilReference: string, versions: { description: string, changed_fields: string, run_id: number }[] }[] = [
+    { councilReference: "100/19", versions: [ { description: "DWELLING", changed_fields: "", run_id: 1 } ] },
+    { councilReference: "101/19", versions: [ { description: "SHED", changed_fields: "", run_id: 1 }, { description: "VERANDAH", changed_fields: "description", run_id: 2 } ] },
+    { councilReference: "103/19", versions: [ { description: "CARPORT", changed_fields: "", run_id: 3 } ] }
+];
+
+// Saves the development applications of each run to an in-memory database.
+
+async function createTestDatabase() {
+    let database = await initializeDatabase(":memory:");
+    for (let index = 0; index < Runs.length; index++) {
+        let runId = await startRun(database, "replay", []);
+        let sink = createDatabaseSink(database, runId);
+        for (let values of Runs[index])
+            await sink.write(getDevelopmentApplication({ authority_label: "grant", address: "ACI ROAD, WYE", date_received: "2019-05-20", ...values }));
+        if (index < Runs.length - 1)
+            await finishRun(database, runId, "complete");
+    }
+    return database;
+}
+
+// Runs each test case.
+
+async function main() {
+    // Suppress the log lines written while saving (so that only the results are shown).
+
+    let log = console.log;
+    console.log = () => {};
+    let database = await createTestDatabase();
+    console.log = log;
+
+    let failureCount = 0;
+    for (let exportCase of ExportCases) {
+        let name = `since-${exportCase.since}`;
+        let { untilRunId, changes } = await readChanges(database, await resolveSinceRun(database, exportCase.since));
+        let descriptions = changes.map(change => `${change.council_reference}:${change.change}`).sort();
+        if (descriptions.join() === exportCase.changes.join() && untilRunId === exportCase.untilRunId)
+            console.log(`PASS ${name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${name}: expected (${exportCase.changes.join(", ")}) up to run ${exportCase.untilRunId} but found (${descriptions.join(", ")}) up to run ${untilRunId}.`);
+        }
+    }
+
+    let runRows = await getRows(database, "select [run_id], [status], [application_count], [new_count], [changed_count] from [runs] order by [run_id]");
+    for (let index = 0; index < RunCounts.length; index++) {
+        let name = `run-${RunCounts[index].run_id}-counts`;
+        let expected = JSON.stringify(RunCounts[index]);
+        let actual = JSON.stringify(runRows[index]);
+        if (actual === expected)
+            console.log(`PASS ${name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${name}: expected ${expected} but found ${actual}.`);
+        }
+    }
+
+    for (let historyCase of HistoryCases) {
+        let name = `history-${historyCase.councilReference}`;
+        let historyRows = await getRows(database, "select [description], [changed_fields], [run_id] from [history] where [authority_label] = ? and [council_reference] = ? order by [version]", [ "grant", historyCase.councilReference ]);
+        let expected = JSON.stringify(historyCase.versions);
+        let actual = JSON.stringify(historyRows);
+        if (actual === expected)
+            console.log(`PASS ${name}.`);
+        else {
+            failureCount++;
+            console.log(`FAIL ${name}: expected ${expected} but found ${actual}.`);
+        }
+    }
+    database.close();
+
+    let caseCount = ExportCases.length + RunCounts.length + HistoryCases.length;
+    console.log(`${caseCount - failureCount} of ${caseCount} run ${(caseCount === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
@@ -0,0 +1,199 @@
+// Tests for the output sinks: the quoting of CSV values and escaping of XML, the parsing of output
+// specifications and the exact contents of the files written by the CSV, NDJSON and PlanningAlerts
+// (XML and JSON, for one council and for several councils) sinks, including when the full register
+// (the stored development applications along with those written in the run) is written to a file.
+//
+// Usage:
+//
+//     node test/sinks.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const councils_1 = require("../councils");
+const sinks_1 = require("../sinks");
+// A second council (so that a feed containing the development applications of several councils
+// can be tested).
+const OtherCouncil = Object.assign({}, councils_1.GrantCouncil, { name: "other", authorityName: "Other Council" });
+// The development applications written by the sink test cases.
+const Applications = [
+    sinks_1.getDevelopmentApplication({ authority_label: "grant", council_reference: "141/17", original_council_reference: "DA 141/2017", address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED & \"CARPORT\"", info_url: "https://example/register.pdf", comment_url: "mailto:info@dcgrant.sa.gov.au", date_scraped: "2019-03-01", date_received: "2017-03-05", house_number: "12", street_name: "ADMELLA", street_type: "STREET", suburb: "PORT MACDONNELL", state: "SA", postcode: "5291", lots: "3, 4", hundred: "MACDONNELL", development_category: "shed" }),
+    sinks_1.getDevelopmentApplication({ authority_label: "other", council_reference: "7/19", original_council_reference: "7/19", address: "ACI ROAD, WYE SA 5291", description: "DWELLING", info_url: "https://example/other.pdf", comment_url: "mailto:info@example", date_scraped: "2019-03-01", date_received: "2019-01-02" })
+];
+// The CSV file of the development applications above.
+const CsvLines = [
+    "authority_label,council_reference,address,description,info_url,comment_url,date_scraped,date_received,legal_description,house_number,street_name,street_type,street_suffix,suburb,state,postcode,lots,sections,hundred,consent_type,development_category,original_council_reference",
+    "grant,141/17,\"12 ADMELLA STREET, PORT MACDONNELL SA 5291\",\"SHED & \"\"CARPORT\"\"\",https://example/register.pdf,mailto:info@dcgrant.sa.gov.au,2019-03-01,2017-03-05,,12,ADMELLA,STREET,,PORT MACDONNELL,SA,5291,\"3, 4\",,MACDONNELL,,shed,DA 141/2017",
+    "other,7/19,\"ACI ROAD, WYE SA 5291\",DWELLING,https://example/other.pdf,mailto:info@example,2019-03-01,2019-01-02,,,,,,,,,,,,,,7/19",
+    ""
+].join("\n");
+// Writes development applications to a sink (in a file in the specified directory) and returns
+// the contents of the file once the sink has been closed.
+async function writeSink(directory, fileName, createSink, applications) {
+    let filePath = path.join(directory, fileName);
+    let sink = createSink(filePath);
+    for (let application of applications)
+        await sink.write(application);
+    await sink.close();
+    return fs.readFileSync(filePath).toString();
+}
+const SinkCases = [
+    {
+        name: "quote-csv-values",
+        run: async () => ({
+            actual: JSON.stringify(["plain", "a,b", "say \"hi\"", "two\nlines", "cr\r", "", undefined, null, 5].map(sinks_1.quoteCsvValue)),
+            expected: JSON.stringify(["plain", "\"a,b\"", "\"say \"\"hi\"\"\"", "\"two\nlines\"", "\"cr\r\"", "", "", "", "5"])
+        })
+    },
+    {
+        name: "escape-xml",
+        run: async () => ({
+            actual: JSON.stringify(["<a href=\"x\">B & C</a>", "it's", "", undefined, null].map(sinks_1.escapeXml)),
+            expected: JSON.stringify(["&lt;a href=&quot;x&quot;&gt;B &amp; C&lt;/a&gt;", "it's", "", "", ""])
+        })
+    },
+    {
+        name: "parse-output-specifications",
+        run: async () => ({
+            actual: JSON.stringify(["database", "database:foo", "stdout", "stdout:out.txt", "csv", "csv:C:\\x.csv", "ndjson:a:b.ndjson", "planningalerts", "planningalerts:feed.xml", "xml", ""].map(specification => sinks_1.parseOutputSpecification(specification) || null)),
+            expected: JSON.stringify([
+                { type: "database" }, null, { type: "stdout" }, null,
+                { type: "csv", filePath: "data.csv" }, { type: "csv", filePath: "C:\\x.csv" }, { type: "ndjson", filePath: "a:b.ndjson" },
+                { type: "planningalerts", filePath: "planningalerts.json" }, { type: "planningalerts", filePath: "feed.xml" }, null, null
+            ])
+        })
+    },
+    {
+        name: "csv-file",
+        run: async (directory) => ({
+            actual: await writeSink(directory, "data.csv", sinks_1.createCsvSink, Applications),
+            expected: CsvLines
+        })
+    },
+    {
+        name: "register-csv-file",
+        run: async (directory) => ({
+            actual: await writeSink(directory, "register.csv", filePath => sinks_1.createRegisterSink(sinks_1.createCsvSink(filePath), async () => [Object.assign({}, Applications[0], { description: "SHED" })]), [Applications[1], Applications[0]]),
+            expected: CsvLines
+        })
+    },
+    {
+        name: "register-csv-file-quiet-run",
+        run: async (directory) => ({
+            actual: await writeSink(directory, "quiet.csv", filePath => sinks_1.createRegisterSink(sinks_1.createCsvSink(filePath), async () => Applications), []),
+            expected: CsvLines
+        })
+    },
+    {
+        name: "file-kept-until-closed",
+        run: async (directory) => {
+            let filePath = path.join(directory, "kept.csv");
+            fs.writeFileSync(filePath, "previous\n");
+            let sink = sinks_1.createRegisterSink(sinks_1.createCsvSink(filePath), async () => Applications);
+            let contents = fs.readFileSync(filePath).toString();
+            await sink.close();
+            return { actual: contents, expected: "previous\n" };
+        }
+    },
+    {
+        name: "ndjson-file",
+        run: async (directory) => ({
+            actual: await writeSink(directory, "data.ndjson", sinks_1.createNdjsonSink, Applications.slice(0, 1)),
+            expected: "{\"type\":\"Feature\",\"id\":\"141/17\",\"geometry\":null,\"properties\":{\"authority_label\":\"grant\",\"council_reference\":\"141/17\",\"address\":\"12 ADMELLA STREET, PORT MACDONNELL SA 5291\",\"description\":\"SHED & \\\"CARPORT\\\"\",\"info_url\":\"https://example/register.pdf\",\"comment_url\":\"mailto:info@dcgrant.sa.gov.au\",\"date_scraped\":\"2019-03-01\",\"date_received\":\"2017-03-05\",\"legal_description\":\"\",\"house_number\":\"12\",\"street_name\":\"ADMELLA\",\"street_type\":\"STREET\",\"street_suffix\":\"\",\"suburb\":\"PORT MACDONNELL\",\"state\":\"SA\",\"postcode\":\"5291\",\"lots\":\"3, 4\",\"sections\":\"\",\"hundred\":\"MACDONNELL\",\"consent_type\":\"\",\"development_category\":\"shed\",\"original_council_reference\":\"DA 141/2017\",\"confidence\":{\"address\":\"high\",\"description\":\"high\",\"receivedDate\":\"high\",\"legalDescription\":\"high\"}}}\n"
+        })
+    },
+    {
+        name: "planningalerts-xml-one-council",
+        run: async (directory) => ({
+            actual: await writeSink(directory, "feed.xml", filePath => sinks_1.createPlanningAlertsSink(filePath, [councils_1.GrantCouncil, OtherCouncil]), Applications.slice(0, 1)),
+            expected: [
+                "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+                "<planning>",
+                "  <authority_name>District Council of Grant</authority_name>",
+                "  <applications>",
+                "    <application>",
+                "      <council_reference>141/17</council_reference>",
+                "      <address>12 ADMELLA STREET, PORT MACDONNELL SA 5291</address>",
+                "      <description>SHED &amp; &quot;CARPORT&quot;</description>",
+                "      <info_url>https://example/register.pdf</info_url>",
+                "      <comment_url>mailto:info@dcgrant.sa.gov.au</comment_url>",
+                "      <date_scraped>2019-03-01</date_scraped>",
+                "      <date_received>2017-03-05</date_received>",
+                "    </application>",
+                "  </applications>",
+                "</planning>",
+                ""
+            ].join("\n")
+        })
+    },
+    {
+        name: "planningalerts-xml-several-councils",
+        run: async (directory) => ({
+            actual: await writeSink(directory, "feed.XML", filePath => sinks_1.createPlanningAlertsSink(filePath, [councils_1.GrantCouncil, OtherCouncil]), Applications),
+            expected: [
+                "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+                "<planning>",
+                "  <applications>",
+                "    <application>",
+                "      <authority_name>District Council of Grant</authority_name>",
+                "      <council_reference>141/17</council_reference>",
+                "      <address>12 ADMELLA STREET, PORT MACDONNELL SA 5291</address>",
+                "      <description>SHED &amp; &quot;CARPORT&quot;</description>",
+                "      <info_url>https://example/register.pdf</info_url>",
+                "      <comment_url>mailto:info@dcgrant.sa.gov.au</comment_url>",
+                "      <date_scraped>2019-03-01</date_scraped>",
+                "      <date_received>2017-03-05</date_received>",
+                "    </application>",
+                "    <application>",
+                "      <authority_name>Other Council</authority_name>",
+                "      <council_reference>7/19</council_reference>",
+                "      <address>ACI ROAD, WYE SA 5291</address>",
+                "      <description>DWELLING</description>",
+                "      <info_url>https://example/other.pdf</info_url>",
+                "      <comment_url>mailto:info@example</comment_url>",
+                "      <date_scraped>2019-03-01</date_scraped>",
+                "      <date_received>2019-01-02</date_received>",
+                "    </application>",
+                "  </applications>",
+                "</planning>",
+                ""
+            ].join("\n")
+        })
+    },
+    {
+        name: "planningalerts-json",
+        run: async (directory) => ({
+            actual: await writeSink(directory, "planningalerts.json", filePath => sinks_1.createPlanningAlertsSink(filePath, [councils_1.GrantCouncil, OtherCouncil]), Applications),
+            expected: JSON.stringify([
+                { application: { council_reference: "141/17", address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED & \"CARPORT\"", info_url: "https://example/register.pdf", comment_url: "mailto:info@dcgrant.sa.gov.au", date_scraped: "2019-03-01", date_received: "2017-03-05", authority: { full_name: "District Council of Grant" } } },
+                { application: { council_reference: "7/19", address: "ACI ROAD, WYE SA 5291", description: "DWELLING", info_url: "https://example/other.pdf", comment_url: "mailto:info@example", date_scraped: "2019-03-01", date_received: "2019-01-02", authority: { full_name: "Other Council" } } }
+            ], null, 4) + "\n"
+        })
+    }
+];
+// Runs each test case (writing any files to a temporary directory).
+async function main() {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "sinks-"));
+    let failureCount = 0;
+    try {
+        for (let sinkCase of SinkCases) {
+            let { actual, expected } = await sinkCase.run(directory);
+            if (actual === expected)
+                console.log(`PASS ${sinkCase.name}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${sinkCase.name}: expected ${JSON.stringify(expected)} but found ${JSON.stringify(actual)}.`);
+            }
+        }
+    }
+    finally {
+        for (let fileName of fs.readdirSync(directory))
+            fs.unlinkSync(path.join(directory, fileName));
+        fs.rmdirSync(directory);
+    }
+    console.log(`${SinkCases.length - failureCount} of ${SinkCases.length} sink ${(SinkCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2lua3MuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJzaW5rcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxtR0FBbUc7QUFDbkcsbUdBQW1HO0FBQ25HLG1HQUFtRztBQUNuRyxrR0FBa0c7QUFDbEcsRUFBRTtBQUNGLFNBQVM7QUFDVCxFQUFFO0FBQ0YseUJBQXlCO0FBRXpCLFlBQVksQ0FBQzs7QUFFYix5QkFBeUI7QUFDekIseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3QiwwQ0FBMkQ7QUFDM0Qsb0NBQW9NO0FBV3BNLCtGQUErRjtBQUMvRixrQkFBa0I7QUFFbEIsTUFBTSxZQUFZLHFCQUF3Qix1QkFBWSxJQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsYUFBYSxFQUFFLGVBQWUsR0FBRSxDQUFDO0FBRXhHLCtEQUErRDtBQUUvRCxNQUFNLFlBQVksR0FBRztJQUNqQixpQ0FBeUIsQ0FBQyxFQUFFLGVBQWUsRUFBRSxPQUFPLEVBQUUsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLDBCQUEwQixFQUFFLGFBQWEsRUFBRSxPQUFPLEVBQUUsNENBQTRDLEVBQUUsV0FBVyxFQUFFLG9CQUFvQixFQUFFLFFBQVEsRUFBRSw4QkFBOEIsRUFBRSxXQUFXLEVBQUUsK0JBQStCLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLFNBQVMsRUFBRSxXQUFXLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxpQkFBaUIsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsWUFBWSxFQUFFLG9CQUFvQixFQUFFLE1BQU0sRUFBRSxDQUFDO0lBQzFpQixpQ0FBeUIsQ0FBQyxFQUFFLGVBQWUsRUFBRSxPQUFPLEVBQUUsaUJBQWlCLEVBQUUsTUFBTSxFQUFFLDBCQUEwQixFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsdUJBQXVCLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsMkJBQTJCLEVBQUUsV0FBVyxFQUFFLHFCQUFxQixFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsYUFBYSxFQUFFLFlBQVksRUFBRSxDQUFDO0NBQ3hULENBQUM7QUFFRixzREFBc0Q7QUFFdEQsTUFBTSxRQUFRLEdBQUc7SUFDYixxUkFBcVI7SUFDclIsNFBBQTRQO0lBQzVQLHFJQUFxSTtJQUNySSxFQUFFO0NBQ0wsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7QUFFYiwrRkFBK0Y7QUFDL0YsMERBQTBEO0FBRTFELEtBQUssVUFBVSxTQUFTLENBQUMsU0FBaUIsRUFBRSxRQUFnQixFQUFFLFVBQTRDLEVBQUUsWUFBbUI7SUFDM0gsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsUUFBUSxDQUFDLENBQUM7SUFDOUMsSUFBSSxJQUFJLEdBQUcsVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ2hDLEtBQUssSUFBSSxXQUFXLElBQUksWUFBWTtRQUNoQyxNQUFNLElBQUksQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLENBQUM7SUFDbEMsTUFBTSxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7SUFDbkIsT0FBTyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDO0FBQ2hELENBQUM7QUFFRCxNQUFNLFNBQVMsR0FBZTtJQUMxQjtRQUNJLElBQUksRUFBRSxrQkFBa0I7UUFDeEIsR0FBRyxFQUFFLEtBQUssSUFBSSxFQUFFLENBQUMsQ0FBQztZQUNkLE1BQU0sRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFRLENBQUUsQ0FBQyxHQUFHLENBQUMscUJBQWEsQ0FBQyxDQUFDO1lBQ2hJLFFBQVEsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxvQkFBb0IsRUFBRSxnQkFBZ0IsRUFBRSxVQUFVLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsR0FBRyxDQUFFLENBQUM7U0FDeEgsQ0FBQztLQUNMO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsWUFBWTtRQUNsQixHQUFHLEVBQUUsS0FBSyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1lBQ2QsTUFBTSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBRSx5QkFBeUIsRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLFNBQVMsRUFBRSxJQUFJLENBQUUsQ0FBQyxHQUFHLENBQUMsaUJBQVMsQ0FBQyxDQUFDO1lBQ2pHLFFBQVEsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUUsaURBQWlELEVBQUUsTUFBTSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFFLENBQUM7U0FDdEcsQ0FBQztLQUNMO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsNkJBQTZCO1FBQ25DLEdBQUcsRUFBRSxLQUFLLElBQUksRUFBRSxDQUFDLENBQUM7WUFDZCxNQUFNLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFFLFVBQVUsRUFBRSxjQUFjLEVBQUUsUUFBUSxFQUFFLGdCQUFnQixFQUFFLEtBQUssRUFBRSxlQUFlLEVBQUUsbUJBQW1CLEVBQUUsZ0JBQWdCLEVBQUUseUJBQXlCLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBRSxDQUFDLEdBQUcsQ0FBQyxhQUFhLENBQUMsRUFBRSxDQUFDLGdDQUF3QixDQUFDLGFBQWEsQ0FBQyxJQUFJLElBQUksQ0FBQyxDQUFDO1lBQzdQLFFBQVEsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDO2dCQUNyQixFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsRUFBRSxJQUFJLEVBQUUsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEVBQUUsSUFBSTtnQkFDcEQsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLFdBQVcsRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFO2dCQUN6SCxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxRQUFRLEVBQUUscUJBQXFCLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxRQUFRLEVBQUUsVUFBVSxFQUFFLEVBQUUsSUFBSSxFQUFFLElBQUk7YUFDNUgsQ0FBQztTQUNMLENBQUM7S0FDTDtJQUNEO1FBQ0ksSUFBSSxFQUFFLFVBQVU7UUFDaEIsR0FBRyxFQUFFLEtBQUssRUFBQyxTQUFTLEVBQUMsRUFBRSxDQUFDLENBQUM7WUFDckIsTUFBTSxFQUFFLE1BQU0sU0FBUyxDQUFDLFNBQVMsRUFBRSxVQUFVLEVBQUUscUJBQWEsRUFBRSxZQUFZLENBQUM7WUFDM0UsUUFBUSxFQUFFLFFBQVE7U0FDckIsQ0FBQztLQUNMO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsbUJBQW1CO1FBQ3pCLEdBQUcsRUFBRSxLQUFLLEVBQUMsU0FBUyxFQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ3JCLE1BQU0sRUFBRSxNQUFNLFNBQVMsQ0FBQyxTQUFTLEVBQUUsY0FBYyxFQUFFLFFBQVEsQ0FBQyxFQUFFLENBQUMsMEJBQWtCLENBQUMscUJBQWEsQ0FBQyxRQUFRLENBQUMsRUFBRSxLQUFLLElBQUksRUFBRSxDQUFDLG1CQUFPLFlBQVksQ0FBQyxDQUFDLENBQUMsSUFBRSxXQUFXLEVBQUUsTUFBTSxJQUFJLENBQUMsRUFBRSxDQUFFLFlBQVksQ0FBQyxDQUFDLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUUsQ0FBQztZQUM5TSxRQUFRLEVBQUUsUUFBUTtTQUNyQixDQUFDO0tBQ0w7SUFDRDtRQUNJLElBQUksRUFBRSw2QkFBNkI7UUFDbkMsR0FBRyxFQUFFLEtBQUssRUFBQyxTQUFTLEVBQUMsRUFBRSxDQUFDLENBQUM7WUFDckIsTUFBTSxFQUFFLE1BQU0sU0FBUyxDQUFDLFNBQVMsRUFBRSxXQUFXLEVBQUUsUUFBUSxDQUFDLEVBQUUsQ0FBQywwQkFBa0IsQ0FBQyxxQkFBYSxDQUFDLFFBQVEsQ0FBQyxFQUFFLEtBQUssSUFBSSxFQUFFLENBQUMsWUFBWSxDQUFDLEVBQUUsRUFBRSxDQUFDO1lBQ3RJLFFBQVEsRUFBRSxRQUFRO1NBQ3JCLENBQUM7S0FDTDtJQUNEO1FBQ0ksSUFBSSxFQUFFLHdCQUF3QjtRQUM5QixHQUFHLEVBQUUsS0FBSyxFQUFDLFNBQVMsRUFBQyxFQUFFO1lBQ25CLElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLFVBQVUsQ0FBQyxDQUFDO1lBQ2hELEVBQUUsQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLFlBQVksQ0FBQyxDQUFDO1lBQ3pDLElBQUksSUFBSSxHQUFHLDBCQUFrQixDQUFDLHFCQUFhLENBQUMsUUFBUSxDQUFDLEVBQUUsS0FBSyxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsQ0FBQztZQUNqRixJQUFJLFFBQVEsR0FBRyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ3BELE1BQU0sSUFBSSxDQUFDLEtBQUssRUFBRSxDQUFDO1lBQ25CLE9BQU8sRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsQ0FBQztRQUN4RCxDQUFDO0tBQ0o7SUFDRDtRQUNJLElBQUksRUFBRSxhQUFhO1FBQ25CLEdBQUcsRUFBRSxLQUFLLEVBQUMsU0FBUyxFQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ3JCLE1BQU0sRUFBRSxNQUFNLFNBQVMsQ0FBQyxTQUFTLEVBQUUsYUFBYSxFQUFFLHdCQUFnQixFQUFFLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO1lBQzdGLFFBQVEsRUFBRSx5M0JBQXkzQjtTQUN0NEIsQ0FBQztLQUNMO0lBQ0Q7UUFDSSxJQUFJLEVBQUUsZ0NBQWdDO1FBQ3RDLEdBQUcsRUFBRSxLQUFLLEVBQUMsU0FBUyxFQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ3JCLE1BQU0sRUFBRSxNQUFNLFNBQVMsQ0FBQyxTQUFTLEVBQUUsVUFBVSxFQUFFLFFBQVEsQ0FBQyxFQUFFLENBQUMsZ0NBQXdCLENBQUMsUUFBUSxFQUFFLENBQUUsdUJBQVksRUFBRSxZQUFZLENBQUUsQ0FBQyxFQUFFLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO1lBQ3hKLFFBQVEsRUFBRTtnQkFDTiw0Q0FBNEM7Z0JBQzVDLFlBQVk7Z0JBQ1osOERBQThEO2dCQUM5RCxrQkFBa0I7Z0JBQ2xCLG1CQUFtQjtnQkFDbkIscURBQXFEO2dCQUNyRCxxRUFBcUU7Z0JBQ3JFLGlFQUFpRTtnQkFDakUseURBQXlEO2dCQUN6RCxnRUFBZ0U7Z0JBQ2hFLCtDQUErQztnQkFDL0MsaURBQWlEO2dCQUNqRCxvQkFBb0I7Z0JBQ3BCLG1CQUFtQjtnQkFDbkIsYUFBYTtnQkFDYixFQUFFO2FBQ0wsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO1NBQ2YsQ0FBQztLQUNMO0lBQ0Q7UUFDSSxJQUFJLEVBQUUscUNBQXFDO1FBQzNDLEdBQUcsRUFBRSxLQUFLLEVBQUMsU0FBUyxFQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ3JCLE1BQU0sRUFBRSxNQUFNLFNBQVMsQ0FBQyxTQUFTLEVBQUUsVUFBVSxFQUFFLFFBQVEsQ0FBQyxFQUFFLENBQUMsZ0NBQXdCLENBQUMsUUFBUSxFQUFFLENBQUUsdUJBQVksRUFBRSxZQUFZLENBQUUsQ0FBQyxFQUFFLFlBQVksQ0FBQztZQUM1SSxRQUFRLEVBQUU7Z0JBQ04sNENBQTRDO2dCQUM1QyxZQUFZO2dCQUNaLGtCQUFrQjtnQkFDbEIsbUJBQW1CO2dCQUNuQixrRUFBa0U7Z0JBQ2xFLHFEQUFxRDtnQkFDckQscUVBQXFFO2dCQUNyRSxpRUFBaUU7Z0JBQ2pFLHlEQUF5RDtnQkFDekQsZ0VBQWdFO2dCQUNoRSwrQ0FBK0M7Z0JBQy9DLGlEQUFpRDtnQkFDakQsb0JBQW9CO2dCQUNwQixtQkFBbUI7Z0JBQ25CLHNEQUFzRDtnQkFDdEQsbURBQW1EO2dCQUNuRCxnREFBZ0Q7Z0JBQ2hELDJDQUEyQztnQkFDM0Msc0RBQXNEO2dCQUN0RCxzREFBc0Q7Z0JBQ3RELCtDQUErQztnQkFDL0MsaURBQWlEO2dCQUNqRCxvQkFBb0I7Z0JBQ3BCLG1CQUFtQjtnQkFDbkIsYUFBYTtnQkFDYixFQUFFO2FBQ0wsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO1NBQ2YsQ0FBQztLQUNMO0lBQ0Q7UUFDSSxJQUFJLEVBQUUscUJBQXFCO1FBQzNCLEdBQUcsRUFBRSxLQUFLLEVBQUMsU0FBUyxFQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ3JCLE1BQU0sRUFBRSxNQUFNLFNBQVMsQ0FBQyxTQUFTLEVBQUUscUJBQXFCLEVBQUUsUUFBUSxDQUFDLEVBQUUsQ0FBQyxnQ0FBd0IsQ0FBQyxRQUFRLEVBQUUsQ0FBRSx1QkFBWSxFQUFFLFlBQVksQ0FBRSxDQUFDLEVBQUUsWUFBWSxDQUFDO1lBQ3ZKLFFBQVEsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDO2dCQUNyQixFQUFFLFdBQVcsRUFBRSxFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsNENBQTRDLEVBQUUsV0FBVyxFQUFFLG9CQUFvQixFQUFFLFFBQVEsRUFBRSw4QkFBOEIsRUFBRSxXQUFXLEVBQUUsK0JBQStCLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxFQUFFLFNBQVMsRUFBRSwyQkFBMkIsRUFBRSxFQUFFLEVBQUU7Z0JBQ2xWLEVBQUUsV0FBVyxFQUFFLEVBQUUsaUJBQWlCLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSx1QkFBdUIsRUFBRSxXQUFXLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSwyQkFBMkIsRUFBRSxXQUFXLEVBQUUscUJBQXFCLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxFQUFFLFNBQVMsRUFBRSxlQUFlLEVBQUUsRUFBRSxFQUFFO2FBQzNSLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUk7U0FDckIsQ0FBQztLQUNMO0NBQ0osQ0FBQztBQUVGLG9FQUFvRTtBQUVwRSxLQUFLLFVBQVUsSUFBSTtJQUNmLElBQUksU0FBUyxHQUFHLEVBQUUsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQztJQUNqRSxJQUFJLFlBQVksR0FBRyxDQUFDLENBQUM7SUFDckIsSUFBSTtRQUNBLEtBQUssSUFBSSxRQUFRLElBQUksU0FBUyxFQUFFO1lBQzVCLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLEdBQUcsTUFBTSxRQUFRLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBQ3pELElBQUksTUFBTSxLQUFLLFFBQVE7Z0JBQ25CLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxRQUFRLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQztpQkFDckM7Z0JBQ0QsWUFBWSxFQUFFLENBQUM7Z0JBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLFFBQVEsQ0FBQyxJQUFJLGNBQWMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsY0FBYyxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNuSDtTQUNKO0tBQ0o7WUFBUztRQUNOLEtBQUssSUFBSSxRQUFRLElBQUksRUFBRSxDQUFDLFdBQVcsQ0FBQyxTQUFTLENBQUM7WUFDMUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQ2xELEVBQUUsQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7S0FDM0I7SUFFRCxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsU0FBUyxDQUFDLE1BQU0sR0FBRyxZQUFZLE9BQU8sU0FBUyxDQUFDLE1BQU0sU0FBUyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsT0FBTyxVQUFVLENBQUMsQ0FBQztJQUNySSxPQUFPLFlBQVksQ0FBQztBQUN4QixDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
@@ -0,0 +1,220 @@
+// Tests for the output sinks: the quoting of CSV values and escaping of XML, the parsing of output
+// specifications and the exact contents of the files written by the CSV, NDJSON and PlanningAlerts
+// (XML and JSON, for one council and for several councils) sinks, including when the full register
+// (the stored development applications along with those written in the run) is written to a file.
+//
+// Usage:
+//
+//     node test/sinks.js
+
+"use strict";
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { CouncilAdapter, GrantCouncil } from "../councils";
+import { OutputSink, quoteCsvValue, escapeXml, parseOutputSpecification, getDevelopmentApplication, createCsvSink, createNdjsonSink, createPlanningAlertsSink, createRegisterSink } from "../sinks";
+
+declare const process: any;
+
+// A test case: the name of the case and a function that returns the actual and expected results.
+
+interface SinkCase {
+    name: string,
+    run: (directory: string) => Promise<{ actual: string, expected: string }>
+}
+
+// A second council (so that a feed containing the development applications of several councils
+// can be tested).
+
+const OtherCouncil: CouncilAdapter = { ...GrantCouncil, name: "other", authorityName: "Other Council" };
+
+// The development applications written by the sink test cases.
+
+const Applications = [
+    getDevelopmentApplication({ authority_label: "grant", council_reference: "141/17", original_council_reference: "DA 141/2017", address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED & \"CARPORT\"", info_url: "https://example/register.pdf", comment_url: "mailto:info@dcgrant.sa.gov.au", date_scraped: "2019-03-01", date_received: "2017-03-05", house_number: "12", street_name: "ADMELLA", street_type: "STREET", suburb: "PORT MACDONNELL", state: "SA", postcode: "5291", lots: "3, 4", hundred: "MACDONNELL", development_category: "shed" }),
+    getDevelopmentApplication({ authority_label: "other", council_reference: "7/19", original_council_reference: "7/19", address: "ACI ROAD, WYE SA 5291", description: "DWELLING", info_url: "https://example/other.pdf", comment_url: "mailto:info@example", date_scraped: "2019-03-01", date_received: "2019-01-02" })
+];
+
+// The CSV file of the development applications above.
+
+const CsvLines = [
+    "authority_label,council_reference,address,description,info_url,comment_url,date_scraped,date_received,legal_description,house_number,street_name,street_type,street_suffix,suburb,state,postcode,lots,sections,hundred,consent_type,development_category,original_council_reference",
+    "grant,141/17,\"12 ADMELLA STREET, PORT MACDONNELL SA 5291\",\"SHED & \"\"CARPORT\"\"\",https://example/register.pdf,mailto:info@dcgrant.sa.gov.au,2019-03-01,2017-03-05,,12,ADMELLA,STREET,,PORT MACDONNELL,SA,5291,\"3, 4\",,MACDONNELL,,shed,DA 141/2017",
+    "other,7/19,\"ACI ROAD, WYE SA 5291\",DWELLING,https://example/other.pdf,mailto:info@example,2019-03-01,2019-01-02,,,,,,,,,,,,,,7/19",
+    ""
+].join("\n");
+
+// Writes development applications to a sink (in a file in the specified directory) and returns
+// the contents of the file once the sink has been closed.
+
+async function writeSink(directory: string, fileName: string, createSink: (filePath: string) => OutputSink, applications: any[]) {
+    let filePath = path.join(directory, fileName);
+    let sink = createSink(filePath);
+    for (let application of applications)
+        await sink.write(application);
+    await sink.close();
+    return fs.readFileSync(filePath).toString();
+}
+
+const SinkCases: SinkCase[] = [
+    {
+        name: "quote-csv-values",
+        run: async () => ({
+            actual: JSON.stringify([ "plain", "a,b", "say \"hi\"", "two\nlines", "cr\r", "", undefined, null, 5 as any ].map(quoteCsvValue)),
+            expected: JSON.stringify([ "plain", "\"a,b\"", "\"say \"\"hi\"\"\"", "\"two\nlines\"", "\"cr\r\"", "", "", "", "5" ])
+        })
+    },
+    {
+        name: "escape-xml",
+        run: async () => ({
+            actual: JSON.stringify([ "<a href=\"x\">B & C</a>", "it's", "", undefined, null ].map(escapeXml)),
+            expected: JSON.stringify([ "&lt;a href=&quot;x&quot;&gt;B &amp; C&lt;/a&gt;", "it's", "", "", "" ])
+        })
+    },
+    {
+        name: "parse-output-specifications",
+        run: async () => ({
+            actual: JSON.stringify([ "database", "database:foo", "stdout", "stdout:out.txt", "csv", "csv:C:\\x.csv", "ndjson:a:b.ndjson", "planningalerts", "planningalerts:feed.xml", "xml", "" ].map(specification => parseOutputSpecification(specification) || null)),
+            expected: JSON.stringify([
+                { type: "database" }, null, { type: "stdout" }, null,
+                { type: "csv", filePath: "data.csv" }, { type: "csv", filePath: "C:\\x.csv" }, { type: "ndjson", filePath: "a:b.ndjson" },
+                { type: "planningalerts", filePath: "planningalerts.json" }, { type: "planningalerts", filePath: "feed.xml" }, null, null
+            ])
+        })
+    },
+    {
+        name: "csv-file",
+        run: async directory => ({
+            actual: await writeSink(directory, "data.csv", createCsvSink, Applications),
+            expected: CsvLines
+        })
+    },
+    {
+        name: "register-csv-file",
+        run: async directory => ({
+            actual: await writeSink(directory, "register.csv", filePath => createRegisterSink(createCsvSink(filePath), async () => [ { ...Applications[0], description: "SHED" } ]), [ Applications[1], Applications[0] ]),
+            expected: CsvLines
+        })
+    },
+    {
+        name: "register-csv-file-quiet-run",
+        run: async directory => ({
+            actual: await writeSink(directory, "quiet.csv", filePath => createRegisterSink(createCsvSink(filePath), async () => Applications), []),
+            expected: CsvLines
+        })
+    },
+    {
+        name: "file-kept-until-closed",
+        run: async directory => {
+            let filePath = path.join(directory, "kept.csv");
+            fs.writeFileSync(filePath, "previous\n");
+            let sink = createRegisterSink(createCsvSink(filePath), async () => Applications);
+            let contents = fs.readFileSync(filePath).toString();
+            await sink.close();
+            return { actual: contents, expected: "previous\n" };
+        }
+    },
+    {
+        name: "ndjson-file",
+        run: async directory => ({
+            actual: await writeSink(directory, "data.ndjson", createNdjsonSink, Applications.slice(0, 1)),
+            expected: "{\"type\":\"Feature\",\"id\":\"141/17\",\"geometry\":null,\"properties\":{\"authority_label\":\"grant\",\"council_reference\":\"141/17\",\"address\":\"12 ADMELLA STREET, PORT MACDONNELL SA 5291\",\"description\":\"SHED & \\\"CARPORT\\\"\",\"info_url\":\"https://example/register.pdf\",\"comment_url\":\"mailto:info@dcgrant.sa.gov.au\",\"date_scraped\":\"2019-03-01\",\"date_received\":\"2017-03-05\",\"legal_description\":\"\",\"house_number\":\"12\",\"street_name\":\"ADMELLA\",\"street_type\":\"STREET\",\"street_suffix\":\"\",\"suburb\":\"PORT MACDONNELL\",\"state\":\"SA\",\"postcode\":\"5291\",\"lots\":\"3, 4\",\"sections\":\"\",\"hundred\":\"MACDONNELL\",\"consent_type\":\"\",\"development_category\":\"shed\",\"original_council_reference\":\"DA 141/2017\",\"confidence\":{\"address\":\"high\",\"description\":\"high\",\"receivedDate\":\"high\",\"legalDescription\":\"high\"}}}\n"
+        })
+    },
+    {
+        name: "planningalerts-xml-one-council",
+        run: async directory => ({
+            actual: await writeSink(directory, "feed.xml", filePath => createPlanningAlertsSink(filePath, [ GrantCouncil, OtherCouncil ]), Applications.slice(0, 1)),
+            expected: [
+                "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+                "<planning>",
+                "  <authority_name>District Council of Grant</authority_name>",
+                "  <applications>",
+                "    <application>",
+                "      <council_reference>141/17</council_reference>",
+                "      <address>12 ADMELLA STREET, PORT MACDONNELL SA 5291</address>",
+                "      <description>SHED &amp; &quot;CARPORT&quot;</description>",
+                "      <info_url>https://example/register.pdf</info_url>",
+                "      <comment_url>mailto:info@dcgrant.sa.gov.au</comment_url>",
+                "      <date_scraped>2019-03-01</date_scraped>",
+                "      <date_received>2017-03-05</date_received>",
+                "    </application>",
+                "  </applications>",
+                "</planning>",
+                ""
+            ].join("\n")
+        })
+    },
+    {
+        name: "planningalerts-xml-several-councils",
+        run: async directory => ({
+            actual: await writeSink(directory, "feed.XML", filePath => createPlanningAlertsSink(filePath, [ GrantCouncil, OtherCouncil ]), Applications),
+            expected: [
+                "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+                "<planning>",
+                "  <applications>",
+                "    <application>",
+                "      <authority_name>District Council of Grant</authority_name>",
+                "      <council_reference>141/17</council_reference>",
+                "      <address>12 ADMELLA STREET, PORT MACDONNELL SA 5291</address>",
+                "      <description>SHED &amp; &quot;CARPORT&quot;</description>",
+                "      <info_url>https://example/register.pdf</info_url>",
+                "      <comment_url>mailto:info@dcgrant.sa.gov.au</comment_url>",
+                "      <date_scraped>2019-03-01</date_scraped>",
+                "      <date_received>2017-03-05</date_received>",
+                "    </application>",
+                "    <application>",
+                "      <authority_name>Other Council</authority_name>",
+                "      <council_reference>7/19</council_reference>",
+                "      <address>ACI ROAD, WYE SA 5291</address>",
+                "      <description>DWELLING</description>",
+                "      <info_url>https://example/other.pdf</info_url>",
+                "      <comment_url>mailto:info@example</comment_url>",
+                "      <date_scraped>2019-03-01</date_scraped>",
+                "      <date_received>2019-01-02</date_received>",
+                "    </application>",
+                "  </applications>",
+                "</planning>",
+                ""
+            ].join("\n")
+        })
+    },
+    {
+        name: "planningalerts-json",
+        run: async directory => ({
+            actual: await writeSink(directory, "planningalerts.json", filePath => createPlanningAlertsSink(filePath, [ GrantCouncil, OtherCouncil ]), Applications),
+            expected: JSON.stringify([
+                { application: { council_reference: "141/17", address: "12 ADMELLA STREET, PORT MACDONNELL SA 5291", description: "SHED & \"CARPORT\"", info_url: "https://example/register.pdf", comment_url: "mailto:info@dcgrant.sa.gov.au", date_scraped: "2019-03-01", date_received: "2017-03-05", authority: { full_name: "District Council of Grant" } } },
+                { application: { council_reference: "7/19", address: "ACI ROAD, WYE SA 5291", description: "DWELLING", info_url: "https://example/other.pdf", comment_url: "mailto:info@example", date_scraped: "2019-03-01", date_received: "2019-01-02", authority: { full_name: "Other Council" } } }
+            ], null, 4) + "\n"
+        })
+    }
+];
+
+// Runs each test case (writing any files to a temporary directory).
+
+async function main() {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "sinks-"));
+    let failureCount = 0;
+    try {
+        for (let sinkCase of SinkCases) {
+            let { actual, expected } = await sinkCase.run(directory);
+            if (actual === expected)
+                console.log(`PASS ${sinkCase.name}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${sinkCase.name}: expected ${JSON.stringify(expected)} but found ${JSON.stringify(actual)}.`);
+            }
+        }
+    } finally {
+        for (let fileName of fs.readdirSync(directory))
+            fs.unlinkSync(path.join(directory, fileName));
+        fs.rmdirSync(directory);
+    }
+
+    console.log(`${SinkCases.length - failureCount} of ${SinkCases.length} sink ${(SinkCases.length === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
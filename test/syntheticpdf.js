@@ -0,0 +1,123 @@
+// Generates small synthetic PDF documents that mimic the layout of the development application
+// registers (a grid of thin filled rectangles with text in each cell) so that the grid parser can
+// be exercised without depending on real council documents.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// The default X co-ordinates of the vertical lines (and so the column boundaries) of the grid.
+exports.DefaultColumns = [20, 100, 160, 200, 240, 290, 480, 820];
+// The default column headings (each heading may consist of several lines of text).
+exports.DefaultHeadings = [["APPLICATION", "NUMBER"], ["RECEIPT", "DATE"], ["NO."], ["LOT"], ["SECTION/", "PIECE"], ["PROPERTY ADDRESS"], ["DESCRIPTION"]];
+const PageWidth = 842;
+const PageHeight = 595;
+const FontSize = 8;
+const LineSpacing = 10;
+const HeadingHeight = 30;
+// Escapes text for inclusion in a PDF string.
+function escapeText(text) {
+    return text.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
+}
+// Determines whether two adjacent cells (identified by their row and column) are merged.
+function isMerged(spans, row, column, nextRow, nextColumn) {
+    return spans.some(span => row >= span.row && nextRow < span.row + (span.rowSpan || 1) && column >= span.column && nextColumn < span.column + (span.columnSpan || 1));
+}
+// Joins the consecutive drawn pieces of a line into runs (returning the start and end of each
+// run).
+function getRuns(pieces) {
+    let runs = [];
+    let previousPiece = undefined;
+    for (let piece of pieces) {
+        if (piece.drawn && previousPiece !== undefined && previousPiece.drawn)
+            runs[runs.length - 1].end = piece.end;
+        else if (piece.drawn)
+            runs.push({ start: piece.start, end: piece.end });
+        previousPiece = piece;
+    }
+    return runs;
+}
+// Constructs the content stream for a single page.
+function createPageContent(page) {
+    let columns = page.columns || exports.DefaultColumns;
+    let headings = (page.headings === undefined) ? exports.DefaultHeadings : page.headings;
+    let spans = page.spans || [];
+    let scale = page.scale || 1;
+    let left = columns[0];
+    let width = columns[columns.length - 1] - columns[0];
+    let top = PageHeight - 40;
+    let operators = [];
+    let texts = (page.texts || []).slice();
+    // Draw the logo (short lines and small rectangles that must be ignored by the grid parser).
+    if (page.logo) {
+        operators.push(`${left} ${top + 5} 30 20 re f`);
+        operators.push(`${left + 35} ${top + 5} 40 1 re f`);
+        operators.push(`${left + 35} ${top + 10} 1 8 re f`);
+    }
+    // Determine the Y co-ordinates of the horizontal lines.  The heading is drawn as a single
+    // filled rectangle (as in the council documents).
+    let lineYs = [];
+    let rowTops = [];
+    let y = top;
+    if (headings !== null) {
+        operators.push(`${left / scale} ${(top - HeadingHeight) / scale} ${width / scale} ${HeadingHeight / scale} re f`);
+        headings.forEach((heading, columnIndex) => heading.forEach((text, lineIndex) => texts.push({ x: columns[columnIndex] + 2, y: top - 12 - lineIndex * LineSpacing, text: text })));
+        y = top - HeadingHeight;
+    }
+    else
+        lineYs.push(y);
+    for (let row of page.rows) {
+        let lineCount = Math.max(1, ...row.map(lines => lines.length));
+        row.forEach((lines, columnIndex) => lines.forEach((text, lineIndex) => texts.push({ x: columns[columnIndex] + 2, y: y - 12 - lineIndex * LineSpacing, text: text })));
+        rowTops.push(y);
+        y -= lineCount * LineSpacing + 8;
+        lineYs.push(y);
+    }
+    // Draw the horizontal and vertical lines (as thin filled rectangles), leaving gaps between
+    // the cells of any merged cells.
+    lineYs.forEach((lineY, lineIndex) => {
+        let row = lineIndex - ((headings === null) ? 1 : 0); // the row above the line
+        let pieces = columns.slice(1).map((columnX, column) => ({ start: columns[column], end: columnX, drawn: row < 0 || row + 1 >= page.rows.length || !isMerged(spans, row, column, row + 1, column) }));
+        for (let run of getRuns(pieces))
+            operators.push(`${run.start / scale} ${lineY / scale} ${(run.end - run.start) / scale} ${0.5 / scale} re f`);
+    });
+    columns.forEach((columnX, column) => {
+        let pieces = rowTops.map((rowTop, row) => ({ start: lineYs[lineYs.length - page.rows.length + row], end: rowTop, drawn: column === 0 || column + 1 >= columns.length || !isMerged(spans, row, column - 1, row, column) })).reverse();
+        if (headings !== null)
+            pieces.push({ start: top - HeadingHeight, end: top, drawn: true });
+        for (let run of getRuns(pieces))
+            operators.push(`${columnX / scale} ${run.start / scale} ${0.5 / scale} ${(run.end - run.start) / scale} re f`);
+    });
+    if (scale !== 1) {
+        operators.unshift(`q ${scale} 0 0 ${scale} 0 0 cm`);
+        operators.push("Q");
+    }
+    // Draw the text.
+    for (let text of texts)
+        operators.push(`BT /F1 ${FontSize} Tf ${text.x} ${text.y} Td (${escapeText(text.text)}) Tj ET`);
+    return operators.join("\n");
+}
+// Creates a PDF document containing the specified pages.
+function createPdf(pages) {
+    let objects = [];
+    let fontObjectNumber = 3 + pages.length * 2;
+    let pageObjectNumbers = pages.map((page, index) => 3 + index * 2);
+    objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+    objects.push(`<< /Type /Pages /Kids [${pageObjectNumbers.map(number => `${number} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+    for (let page of pages) {
+        let content = createPageContent(page);
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PageWidth} ${PageHeight}] /Contents ${objects.length + 2} 0 R /Resources << /Font << /F1 ${fontObjectNumber} 0 R >> >> >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`);
+    }
+    objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>");
+    let pdf = "%PDF-1.4\n";
+    let offsets = [];
+    objects.forEach((object, index) => {
+        offsets.push(Buffer.byteLength(pdf, "latin1"));
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+    let xrefOffset = Buffer.byteLength(pdf, "latin1");
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${offset.toString().padStart(10, "0")} 00000 n \n`).join("");
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, "latin1");
+}
+exports.createPdf = createPdf;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3ludGhldGljcGRmLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsic3ludGhldGljcGRmLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLCtGQUErRjtBQUMvRixrR0FBa0c7QUFDbEcsNERBQTREO0FBRTVELFlBQVksQ0FBQzs7QUFFYiwrRkFBK0Y7QUFFbEYsUUFBQSxjQUFjLEdBQUcsQ0FBRSxFQUFFLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxDQUFFLENBQUM7QUFFeEUsbUZBQW1GO0FBRXRFLFFBQUEsZUFBZSxHQUFHLENBQUUsQ0FBRSxhQUFhLEVBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxTQUFTLEVBQUUsTUFBTSxDQUFFLEVBQUUsQ0FBRSxLQUFLLENBQUUsRUFBRSxDQUFFLEtBQUssQ0FBRSxFQUFFLENBQUUsVUFBVSxFQUFFLE9BQU8sQ0FBRSxFQUFFLENBQUUsa0JBQWtCLENBQUUsRUFBRSxDQUFFLGFBQWEsQ0FBRSxDQUFFLENBQUM7QUFpQ2hMLE1BQU0sU0FBUyxHQUFHLEdBQUcsQ0FBQztBQUN0QixNQUFNLFVBQVUsR0FBRyxHQUFHLENBQUM7QUFDdkIsTUFBTSxRQUFRLEdBQUcsQ0FBQyxDQUFDO0FBQ25CLE1BQU0sV0FBVyxHQUFHLEVBQUUsQ0FBQztBQUN2QixNQUFNLGFBQWEsR0FBRyxFQUFFLENBQUM7QUFFekIsOENBQThDO0FBRTlDLFNBQVMsVUFBVSxDQUFDLElBQVk7SUFDNUIsT0FBTyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUM7QUFDbkYsQ0FBQztBQUVELHlGQUF5RjtBQUV6RixTQUFTLFFBQVEsQ0FBQyxLQUFzQixFQUFFLEdBQVcsRUFBRSxNQUFjLEVBQUUsT0FBZSxFQUFFLFVBQWtCO0lBQ3RHLE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEdBQUcsSUFBSSxJQUFJLENBQUMsR0FBRyxJQUFJLE9BQU8sR0FBRyxJQUFJLENBQUMsR0FBRyxHQUFHLENBQUMsSUFBSSxDQUFDLE9BQU8sSUFBSSxDQUFDLENBQUMsSUFBSSxNQUFNLElBQUksSUFBSSxDQUFDLE1BQU0sSUFBSSxVQUFVLEdBQUcsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksQ0FBQyxVQUFVLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUN6SyxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLFFBQVE7QUFFUixTQUFTLE9BQU8sQ0FBQyxNQUF3RDtJQUNyRSxJQUFJLElBQUksR0FBcUMsRUFBRSxDQUFDO0lBQ2hELElBQUksYUFBYSxHQUFHLFNBQVMsQ0FBQztJQUM5QixLQUFLLElBQUksS0FBSyxJQUFJLE1BQU0sRUFBRTtRQUN0QixJQUFJLEtBQUssQ0FBQyxLQUFLLElBQUksYUFBYSxLQUFLLFNBQVMsSUFBSSxhQUFhLENBQUMsS0FBSztZQUNqRSxJQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLEdBQUcsS0FBSyxDQUFDLEdBQUcsQ0FBQzthQUNyQyxJQUFJLEtBQUssQ0FBQyxLQUFLO1lBQ2hCLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUUsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUM7UUFDdEQsYUFBYSxHQUFHLEtBQUssQ0FBQztLQUN6QjtJQUNELE9BQU8sSUFBSSxDQUFDO0FBQ2hCLENBQUM7QUFFRCxtREFBbUQ7QUFFbkQsU0FBUyxpQkFBaUIsQ0FBQyxJQUFtQjtJQUMxQyxJQUFJLE9BQU8sR0FBRyxJQUFJLENBQUMsT0FBTyxJQUFJLHNCQUFjLENBQUM7SUFDN0MsSUFBSSxRQUFRLEdBQUcsQ0FBQyxJQUFJLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyx1QkFBZSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDO0lBQy9FLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLLElBQUksRUFBRSxDQUFDO0lBQzdCLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDO0lBQzVCLElBQUksSUFBSSxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN0QixJQUFJLEtBQUssR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDckQsSUFBSSxHQUFHLEdBQUcsVUFBVSxHQUFHLEVBQUUsQ0FBQztJQUUxQixJQUFJLFNBQVMsR0FBYSxFQUFFLENBQUM7SUFDN0IsSUFBSSxLQUFLLEdBQW9CLENBQUMsSUFBSSxDQUFDLEtBQUssSUFBSSxFQUFFLENBQUMsQ0FBQyxLQUFLLEVBQUUsQ0FBQztJQUV4RCw0RkFBNEY7SUFFNUYsSUFBSSxJQUFJLENBQUMsSUFBSSxFQUFFO1FBQ1gsU0FBUyxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksSUFBSSxHQUFHLEdBQUcsQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUNoRCxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxHQUFHLEVBQUUsSUFBSSxHQUFHLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQztRQUNwRCxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxHQUFHLEVBQUUsSUFBSSxHQUFHLEdBQUcsRUFBRSxXQUFXLENBQUMsQ0FBQztLQUN2RDtJQUVELDBGQUEwRjtJQUMxRixrREFBa0Q7SUFFbEQsSUFBSSxNQUFNLEdBQWEsRUFBRSxDQUFDO0lBQzFCLElBQUksT0FBTyxHQUFhLEVBQUUsQ0FBQztJQUMzQixJQUFJLENBQUMsR0FBRyxHQUFHLENBQUM7SUFDWixJQUFJLFFBQVEsS0FBSyxJQUFJLEVBQUU7UUFDbkIsU0FBUyxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksR0FBRyxLQUFLLElBQUksQ0FBQyxHQUFHLEdBQUcsYUFBYSxDQUFDLEdBQUcsS0FBSyxJQUFJLEtBQUssR0FBRyxLQUFLLElBQUksYUFBYSxHQUFHLEtBQUssT0FBTyxDQUFDLENBQUM7UUFDbEgsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxXQUFXLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEVBQUUsU0FBUyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEdBQUcsR0FBRyxFQUFFLEdBQUcsU0FBUyxHQUFHLFdBQVcsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDakwsQ0FBQyxHQUFHLEdBQUcsR0FBRyxhQUFhLENBQUM7S0FDM0I7O1FBQ0csTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUVuQixLQUFLLElBQUksR0FBRyxJQUFJLElBQUksQ0FBQyxJQUFJLEVBQUU7UUFDdkIsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsR0FBRyxHQUFHLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7UUFDL0QsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEtBQUssRUFBRSxXQUFXLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEVBQUUsU0FBUyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLEdBQUcsU0FBUyxHQUFHLFdBQVcsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdEssT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNoQixDQUFDLElBQUksU0FBUyxHQUFHLFdBQVcsR0FBRyxDQUFDLENBQUM7UUFDakMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztLQUNsQjtJQUVELDJGQUEyRjtJQUMzRixpQ0FBaUM7SUFFakMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEtBQUssRUFBRSxTQUFTLEVBQUUsRUFBRTtRQUNoQyxJQUFJLEdBQUcsR0FBRyxTQUFTLEdBQUcsQ0FBQyxDQUFDLFFBQVEsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFFLHlCQUF5QjtRQUMvRSxJQUFJLE1BQU0sR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLEdBQUcsR0FBRyxDQUFDLElBQUksR0FBRyxHQUFHLENBQUMsSUFBSSxJQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLFFBQVEsQ0FBQyxLQUFLLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxHQUFHLEdBQUcsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQ3BNLEtBQUssSUFBSSxHQUFHLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQztZQUMzQixTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsR0FBRyxDQUFDLEtBQUssR0FBRyxLQUFLLElBQUksS0FBSyxHQUFHLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDLEtBQUssQ0FBQyxHQUFHLEtBQUssSUFBSSxHQUFHLEdBQUcsS0FBSyxPQUFPLENBQUMsQ0FBQztJQUNySCxDQUFDLENBQUMsQ0FBQztJQUNILE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDaEMsSUFBSSxNQUFNLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEdBQUcsR0FBRyxDQUFDLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsTUFBTSxLQUFLLENBQUMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxNQUFNLElBQUksQ0FBQyxRQUFRLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxNQUFNLEdBQUcsQ0FBQyxFQUFFLEdBQUcsRUFBRSxNQUFNLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUNyTyxJQUFJLFFBQVEsS0FBSyxJQUFJO1lBQ2pCLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsR0FBRyxHQUFHLGFBQWEsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZFLEtBQUssSUFBSSxHQUFHLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQztZQUMzQixTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsT0FBTyxHQUFHLEtBQUssSUFBSSxHQUFHLENBQUMsS0FBSyxHQUFHLEtBQUssSUFBSSxHQUFHLEdBQUcsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsR0FBRyxHQUFHLENBQUMsS0FBSyxDQUFDLEdBQUcsS0FBSyxPQUFPLENBQUMsQ0FBQztJQUN2SCxDQUFDLENBQUMsQ0FBQztJQUVILElBQUksS0FBSyxLQUFLLENBQUMsRUFBRTtRQUNiLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxLQUFLLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQztRQUNwRCxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0tBQ3ZCO0lBRUQsaUJBQWlCO0lBRWpCLEtBQUssSUFBSSxJQUFJLElBQUksS0FBSztRQUNsQixTQUFTLENBQUMsSUFBSSxDQUFDLFVBQVUsUUFBUSxPQUFPLElBQUksQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDLENBQUMsUUFBUSxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUVwRyxPQUFPLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7QUFDaEMsQ0FBQztBQUVELHlEQUF5RDtBQUV6RCxTQUFnQixTQUFTLENBQUMsS0FBc0I7SUFDNUMsSUFBSSxPQUFPLEdBQWEsRUFBRSxDQUFDO0lBQzNCLElBQUksZ0JBQWdCLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0lBQzVDLElBQUksaUJBQWlCLEdBQUcsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFFbEUsT0FBTyxDQUFDLElBQUksQ0FBQyxtQ0FBbUMsQ0FBQyxDQUFDO0lBQ2xELE9BQU8sQ0FBQyxJQUFJLENBQUMsMEJBQTBCLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEdBQUcsTUFBTSxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLFlBQVksS0FBSyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUM7SUFDaEksS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLLEVBQUU7UUFDcEIsSUFBSSxPQUFPLEdBQUcsaUJBQWlCLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdEMsT0FBTyxDQUFDLElBQUksQ0FBQywrQ0FBK0MsU0FBUyxJQUFJLFVBQVUsZUFBZSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsbUNBQW1DLGdCQUFnQixlQUFlLENBQUMsQ0FBQztRQUN4TCxPQUFPLENBQUMsSUFBSSxDQUFDLGNBQWMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUUsUUFBUSxDQUFDLGdCQUFnQixPQUFPLGFBQWEsQ0FBQyxDQUFDO0tBQ3hHO0lBQ0QsT0FBTyxDQUFDLElBQUksQ0FBQyx3REFBd0QsQ0FBQyxDQUFDO0lBRXZFLElBQUksR0FBRyxHQUFHLFlBQVksQ0FBQztJQUN2QixJQUFJLE9BQU8sR0FBYSxFQUFFLENBQUM7SUFDM0IsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUM5QixPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsR0FBRyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFDL0MsR0FBRyxJQUFJLEdBQUcsS0FBSyxHQUFHLENBQUMsV0FBVyxNQUFNLFlBQVksQ0FBQztJQUNyRCxDQUFDLENBQUMsQ0FBQztJQUVILElBQUksVUFBVSxHQUFHLE1BQU0sQ0FBQyxVQUFVLENBQUMsR0FBRyxFQUFFLFFBQVEsQ0FBQyxDQUFDO0lBQ2xELEdBQUcsSUFBSSxXQUFXLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyx5QkFBeUIsQ0FBQztJQUM5RCxHQUFHLElBQUksT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEdBQUcsTUFBTSxDQUFDLFFBQVEsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLEVBQUUsR0FBRyxDQUFDLGFBQWEsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUMzRixHQUFHLElBQUkscUJBQXFCLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQywrQkFBK0IsVUFBVSxXQUFXLENBQUM7SUFFbkcsT0FBTyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxRQUFRLENBQUMsQ0FBQztBQUN0QyxDQUFDO0FBM0JELDhCQTJCQyJ9
\ No newline at end of file
@@ -0,0 +1,182 @@
+// Generates small synthetic PDF documents that mimic the layout of the development application
+// registers (a grid of thin filled rectangles with text in each cell) so that the grid parser can
+// be exercised without depending on real council documents.
+
+"use strict";
+
+// The default X co-ordinates of the vertical lines (and so the column boundaries) of the grid.
+
+export const DefaultColumns = [ 20, 100, 160, 200, 240, 290, 480, 820 ];
+
+// The default column headings (each heading may consist of several lines of text).
+
+export const DefaultHeadings = [ [ "APPLICATION", "NUMBER" ], [ "RECEIPT", "DATE" ], [ "NO." ], [ "LOT" ], [ "SECTION/", "PIECE" ], [ "PROPERTY ADDRESS" ], [ "DESCRIPTION" ] ];
+
+// A piece of text placed at an absolute position on the page.
+
+export interface SyntheticText {
+    x: number,
+    y: number,
+    text: string
+}
+
+// A merged cell that spans several rows and/or columns (the lines of text of the merged cell are
+// given in its first row and column).  No lines are drawn between the cells that are merged.
+
+export interface SyntheticSpan {
+    row: number,
+    column: number,
+    rowSpan?: number,
+    columnSpan?: number
+}
+
+// A page of a synthetic register.  Each row contains the lines of text for each column.  The
+// headings may be omitted (null) to simulate a continuation page that has no heading row.
+
+export interface SyntheticPage {
+    rows: string[][][],
+    headings?: string[][] | null,
+    columns?: number[],
+    spans?: SyntheticSpan[],
+    texts?: SyntheticText[],
+    logo?: boolean,  // draws small rectangles at the top left of the page (as in the council logo)
+    scale?: number  // draws the grid through a transform matrix (instead of in page co-ordinates)
+}
+
+const PageWidth = 842;
+const PageHeight = 595;
+const FontSize = 8;
+const LineSpacing = 10;
+const HeadingHeight = 30;
+
+// Escapes text for inclusion in a PDF string.
+
+function escapeText(text: string) {
+    return text.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
+}
+
+// Determines whether two adjacent cells (identified by their row and column) are merged.
+
+function isMerged(spans: SyntheticSpan[], row: number, column: number, nextRow: number, nextColumn: number) {
+    return spans.some(span => row >= span.row && nextRow < span.row + (span.rowSpan || 1) && column >= span.column && nextColumn < span.column + (span.columnSpan || 1));
+}
+
+// Joins the consecutive drawn pieces of a line into runs (returning the start and end of each
+// run).
+
+function getRuns(pieces: { start: number, end: number, drawn: boolean }[]) {
+    let runs: { start: number, end: number }[] = [];
+    let previousPiece = undefined;
+    for (let piece of pieces) {
+        if (piece.drawn && previousPiece !== undefined && previousPiece.drawn)
+            runs[runs.length - 1].end = piece.end;
+        else if (piece.drawn)
+            runs.push({ start: piece.start, end: piece.end });
+        previousPiece = piece;
+    }
+    return runs;
+}
+
+// Constructs the content stream for a single page.
+
+function createPageContent(page: SyntheticPage) {
+    let columns = page.columns || DefaultColumns;
+    let headings = (page.headings === undefined) ? DefaultHeadings : page.headings;
+    let spans = page.spans || [];
+    let scale = page.scale || 1;
+    let left = columns[0];
+    let width = columns[columns.length - 1] - columns[0];
+    let top = PageHeight - 40;
+
+    let operators: string[] = [];
+    let texts: SyntheticText[] = (page.texts || []).slice();
+
+    // Draw the logo (short lines and small rectangles that must be ignored by the grid parser).
+
+    if (page.logo) {
+        operators.push(`${left} ${top + 5} 30 20 re f`);
+        operators.push(`${left + 35} ${top + 5} 40 1 re f`);
+        operators.push(`${left + 35} ${top + 10} 1 8 re f`);
+    }
+
+    // Determine the Y co-ordinates of the horizontal lines.  The heading is drawn as a single
+    // filled rectangle (as in the council documents).
+
+    let lineYs: number[] = [];
+    let rowTops: number[] = [];
+    let y = top;
+    if (headings !== null) {
+        operators.push(`${left / scale} ${(top - HeadingHeight) / scale} ${width / scale} ${HeadingHeight / scale} re f`);
+        headings.forEach((heading, columnIndex) => heading.forEach((text, lineIndex) => texts.push({ x: columns[columnIndex] + 2, y: top - 12 - lineIndex * LineSpacing, text: text })));
+        y = top - HeadingHeight;
+    } else
+        lineYs.push(y);
+
+    for (let row of page.rows) {
+        let lineCount = Math.max(1, ...row.map(lines => lines.length));
+        row.forEach((lines, columnIndex) => lines.forEach((text, lineIndex) => texts.push({ x: columns[columnIndex] + 2, y: y - 12 - lineIndex * LineSpacing, text: text })));
+        rowTops.push(y);
+        y -= lineCount * LineSpacing + 8;
+        lineYs.push(y);
+    }
+
+    // Draw the horizontal and vertical lines (as thin filled rectangles), leaving gaps between
+    // the cells of any merged cells.
+
+    lineYs.forEach((lineY, lineIndex) => {
+        let row = lineIndex - ((headings === null) ? 1 : 0);  // the row above the line
+        let pieces = columns.slice(1).map((columnX, column) => ({ start: columns[column], end: columnX, drawn: row < 0 || row + 1 >= page.rows.length || !isMerged(spans, row, column, row + 1, column) }));
+        for (let run of getRuns(pieces))
+            operators.push(`${run.start / scale} ${lineY / scale} ${(run.end - run.start) / scale} ${0.5 / scale} re f`);
+    });
+    columns.forEach((columnX, column) => {
+        let pieces = rowTops.map((rowTop, row) => ({ start: lineYs[lineYs.length - page.rows.length + row], end: rowTop, drawn: column === 0 || column + 1 >= columns.length || !isMerged(spans, row, column - 1, row, column) })).reverse();
+        if (headings !== null)
+            pieces.push({ start: top - HeadingHeight, end: top, drawn: true });
+        for (let run of getRuns(pieces))
+            operators.push(`${columnX / scale} ${run.start / scale} ${0.5 / scale} ${(run.end - run.start) / scale} re f`);
+    });
+
+    if (scale !== 1) {
+        operators.unshift(`q ${scale} 0 0 ${scale} 0 0 cm`);
+        operators.push("Q");
+    }
+
+    // Draw the text.
+
+    for (let text of texts)
+        operators.push(`BT /F1 ${FontSize} Tf ${text.x} ${text.y} Td (${escapeText(text.text)}) Tj ET`);
+
+    return operators.join("\n");
+}
+
+// Creates a PDF document containing the specified pages.
+
+export function createPdf(pages: SyntheticPage[]) {
+    let objects: string[] = [];
+    let fontObjectNumber = 3 + pages.length * 2;
+    let pageObjectNumbers = pages.map((page, index) => 3 + index * 2);
+
+    objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+    objects.push(`<< /Type /Pages /Kids [${pageObjectNumbers.map(number => `${number} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+    for (let page of pages) {
+        let content = createPageContent(page);
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PageWidth} ${PageHeight}] /Contents ${objects.length + 2} 0 R /Resources << /Font << /F1 ${fontObjectNumber} 0 R >> >> >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`);
+    }
+    objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>");
+
+    let pdf = "%PDF-1.4\n";
+    let offsets: number[] = [];
+    objects.forEach((object, index) => {
+        offsets.push(Buffer.byteLength(pdf, "latin1"));
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    let xrefOffset = Buffer.byteLength(pdf, "latin1");
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${offset.toString().padStart(10, "0")} 00000 n \n`).join("");
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, "latin1");
+}
@@ -0,0 +1,75 @@
+// A smoke test for the debug visualiser: a two page synthetic register is rendered and the
+// overlay of each page and the index page are checked (each overlay must be an SVG document
+// showing the text of the page, and the index must link to every overlay and list the
+// development applications).
+//
+// Usage:
+//
+//     node test/visualise.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const councils_1 = require("../councils");
+const scraper_1 = require("../scraper");
+const visualise_1 = require("../visualise");
+const syntheticpdf_1 = require("./syntheticpdf");
+// The synthetic register that is rendered.
+const Pages = [
+    { rows: [[["141/17"], ["5/03/2017"], ["12"], ["3"], ["100"], ["ADMELLA ST, PORT MACDONNELL", "HD MACDONNELL"], ["DWELLING"]]] },
+    { rows: [[["142/17"], ["6/03/2017"], ["-"], ["4"], ["-"], ["ADAMS RD, CARPENTER ROCKS", "HD BLANCHE"], ["SHED & CARPORT"]]] }
+];
+const OutputCases = [
+    { fileName: "page-1.svg", texts: ["<svg", "141/17", "</svg>"] },
+    { fileName: "page-2.svg", texts: ["<svg", "142/17", "SHED &amp; CARPORT", "</svg>"] },
+    { fileName: "index.html", texts: ["page-1.svg", "page-2.svg", "141/17", "142/17"] }
+];
+// Removes a directory and everything in it.
+function removeDirectory(directory) {
+    for (let name of fs.readdirSync(directory)) {
+        let entryPath = path.join(directory, name);
+        if (fs.statSync(entryPath).isDirectory())
+            removeDirectory(entryPath);
+        else
+            fs.unlinkSync(entryPath);
+    }
+    fs.rmdirSync(directory);
+}
+// Renders the synthetic register and checks each file.
+async function main() {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "visualise-"));
+    let failureCount = 0;
+    try {
+        let pdfPath = path.join(directory, "register.pdf");
+        fs.writeFileSync(pdfPath, syntheticpdf_1.createPdf(Pages));
+        scraper_1.readAddressInformation(councils_1.GrantCouncil);
+        let outputDirectory = path.join(directory, "debug");
+        let { pageCount, applicationCount } = await visualise_1.writeOverlays(pdfPath, councils_1.GrantCouncil, outputDirectory, () => { });
+        if (pageCount === Pages.length && applicationCount === Pages.length)
+            console.log("PASS rendering.");
+        else {
+            failureCount++;
+            console.log(`FAIL rendering: expected ${Pages.length} page(s) and ${Pages.length} application(s) but rendered ${pageCount} page(s) and ${applicationCount} application(s).`);
+        }
+        for (let outputCase of OutputCases) {
+            let filePath = path.join(outputDirectory, outputCase.fileName);
+            let text = fs.existsSync(filePath) ? fs.readFileSync(filePath).toString() : undefined;
+            let missingTexts = (text === undefined) ? [] : outputCase.texts.filter(expectedText => !text.includes(expectedText));
+            if (text !== undefined && missingTexts.length === 0)
+                console.log(`PASS ${outputCase.fileName}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${outputCase.fileName}: ${(text === undefined) ? "the file was not written" : `the file does not contain ${missingTexts.map(missingText => JSON.stringify(missingText)).join(", ")}`}.`);
+            }
+        }
+    }
+    finally {
+        removeDirectory(directory);
+    }
+    let caseCount = OutputCases.length + 1;
+    console.log(`${caseCount - failureCount} of ${caseCount} visualiser ${(caseCount === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidmlzdWFsaXNlLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsidmlzdWFsaXNlLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDJGQUEyRjtBQUMzRiw0RkFBNEY7QUFDNUYsc0ZBQXNGO0FBQ3RGLDZCQUE2QjtBQUM3QixFQUFFO0FBQ0YsU0FBUztBQUNULEVBQUU7QUFDRiw2QkFBNkI7QUFFN0IsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qix5QkFBeUI7QUFDekIsNkJBQTZCO0FBQzdCLDBDQUEyQztBQUMzQyx3Q0FBb0Q7QUFDcEQsNENBQTZDO0FBQzdDLGlEQUEyQztBQUkzQywyQ0FBMkM7QUFFM0MsTUFBTSxLQUFLLEdBQUc7SUFDVixFQUFFLElBQUksRUFBRSxDQUFFLENBQUUsQ0FBRSxRQUFRLENBQUUsRUFBRSxDQUFFLFdBQVcsQ0FBRSxFQUFFLENBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLEtBQUssQ0FBRSxFQUFFLENBQUUsNkJBQTZCLEVBQUUsZUFBZSxDQUFFLEVBQUUsQ0FBRSxVQUFVLENBQUUsQ0FBRSxDQUFFLEVBQUU7SUFDakosRUFBRSxJQUFJLEVBQUUsQ0FBRSxDQUFFLENBQUUsUUFBUSxDQUFFLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxDQUFFLEdBQUcsQ0FBRSxFQUFFLENBQUUsR0FBRyxDQUFFLEVBQUUsQ0FBRSxHQUFHLENBQUUsRUFBRSxDQUFFLDJCQUEyQixFQUFFLFlBQVksQ0FBRSxFQUFFLENBQUUsZ0JBQWdCLENBQUUsQ0FBRSxDQUFFLEVBQUU7Q0FDbEosQ0FBQztBQVNGLE1BQU0sV0FBVyxHQUFpQjtJQUM5QixFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLENBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxRQUFRLENBQUUsRUFBRTtJQUNqRSxFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLENBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxvQkFBb0IsRUFBRSxRQUFRLENBQUUsRUFBRTtJQUN2RixFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLENBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxRQUFRLEVBQUUsUUFBUSxDQUFFLEVBQUU7Q0FDeEYsQ0FBQztBQUVGLDRDQUE0QztBQUU1QyxTQUFTLGVBQWUsQ0FBQyxTQUFpQjtJQUN0QyxLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLEVBQUU7UUFDeEMsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLENBQUM7UUFDM0MsSUFBSSxFQUFFLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxDQUFDLFdBQVcsRUFBRTtZQUNwQyxlQUFlLENBQUMsU0FBUyxDQUFDLENBQUM7O1lBRTNCLEVBQUUsQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLENBQUM7S0FDaEM7SUFDRCxFQUFFLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0FBQzVCLENBQUM7QUFFRCx1REFBdUQ7QUFFdkQsS0FBSyxVQUFVLElBQUk7SUFDZixJQUFJLFNBQVMsR0FBRyxFQUFFLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxFQUFFLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDckUsSUFBSSxZQUFZLEdBQUcsQ0FBQyxDQUFDO0lBQ3JCLElBQUk7UUFDQSxJQUFJLE9BQU8sR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxjQUFjLENBQUMsQ0FBQztRQUNuRCxFQUFFLENBQUMsYUFBYSxDQUFDLE9BQU8sRUFBRSx3QkFBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDNUMsZ0NBQXNCLENBQUMsdUJBQVksQ0FBQyxDQUFDO1FBQ3JDLElBQUksZUFBZSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQ3BELElBQUksRUFBRSxTQUFTLEVBQUUsZ0JBQWdCLEVBQUUsR0FBRyxNQUFNLHlCQUFhLENBQUMsT0FBTyxFQUFFLHVCQUFZLEVBQUUsZUFBZSxFQUFFLEdBQUcsRUFBRSxHQUFFLENBQUMsQ0FBQyxDQUFDO1FBQzVHLElBQUksU0FBUyxLQUFLLEtBQUssQ0FBQyxNQUFNLElBQUksZ0JBQWdCLEtBQUssS0FBSyxDQUFDLE1BQU07WUFDL0QsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO2FBQzlCO1lBQ0QsWUFBWSxFQUFFLENBQUM7WUFDZixPQUFPLENBQUMsR0FBRyxDQUFDLDRCQUE0QixLQUFLLENBQUMsTUFBTSxnQkFBZ0IsS0FBSyxDQUFDLE1BQU0sZ0NBQWdDLFNBQVMsZ0JBQWdCLGdCQUFnQixrQkFBa0IsQ0FBQyxDQUFDO1NBQ2hMO1FBRUQsS0FBSyxJQUFJLFVBQVUsSUFBSSxXQUFXLEVBQUU7WUFDaEMsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxlQUFlLEVBQUUsVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBQy9ELElBQUksSUFBSSxHQUFHLEVBQUUsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztZQUN0RixJQUFJLFlBQVksR0FBRyxDQUFDLElBQUksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDO1lBQ3JILElBQUksSUFBSSxLQUFLLFNBQVMsSUFBSSxZQUFZLENBQUMsTUFBTSxLQUFLLENBQUM7Z0JBQy9DLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxVQUFVLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztpQkFDM0M7Z0JBQ0QsWUFBWSxFQUFFLENBQUM7Z0JBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLFVBQVUsQ0FBQyxRQUFRLEtBQUssQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLDBCQUEwQixDQUFDLENBQUMsQ0FBQyw2QkFBNkIsWUFBWSxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUM7YUFDOU07U0FDSjtLQUNKO1lBQVM7UUFDTixlQUFlLENBQUMsU0FBUyxDQUFDLENBQUM7S0FDOUI7SUFFRCxJQUFJLFNBQVMsR0FBRyxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztJQUN2QyxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsU0FBUyxHQUFHLFlBQVksT0FBTyxTQUFTLGVBQWUsQ0FBQyxTQUFTLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsT0FBTyxVQUFVLENBQUMsQ0FBQztJQUN0SCxPQUFPLFlBQVksQ0FBQztBQUN4QixDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
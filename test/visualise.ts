@@ -0,0 +1,93 @@
+// A smoke test for the debug visualiser: a two page synthetic register is rendered and the
+// overlay of each page and the index page are checked (each overlay must be an SVG document
+// showing the text of the page, and the index must link to every overlay and list the
+// development applications).
+//
+// Usage:
+//
+//     node test/visualise.js
+
+"use strict";
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { GrantCouncil } from "../councils";
+import { readAddressInformation } from "../scraper";
+import { writeOverlays } from "../visualise";
+import { createPdf } from "./syntheticpdf";
+
+declare const process: any;
+
+// The synthetic register that is rendered.
+
+const Pages = [
+    { rows: [ [ [ "141/17" ], [ "5/03/2017" ], [ "12" ], [ "3" ], [ "100" ], [ "ADMELLA ST, PORT MACDONNELL", "HD MACDONNELL" ], [ "DWELLING" ] ] ] },
+    { rows: [ [ [ "142/17" ], [ "6/03/2017" ], [ "-" ], [ "4" ], [ "-" ], [ "ADAMS RD, CARPENTER ROCKS", "HD BLANCHE" ], [ "SHED & CARPORT" ] ] ] }
+];
+
+// A test case: a file that must be written and the text that it must contain.
+
+interface OutputCase {
+    fileName: string,
+    texts: string[]
+}
+
+const OutputCases: OutputCase[] = [
+    { fileName: "page-1.svg", texts: [ "<svg", "141/17", "</svg>" ] },
+    { fileName: "page-2.svg", texts: [ "<svg", "142/17", "SHED &amp; CARPORT", "</svg>" ] },
+    { fileName: "index.html", texts: [ "page-1.svg", "page-2.svg", "141/17", "142/17" ] }
+];
+
+// Removes a directory and everything in it.
+
+function removeDirectory(directory: string) {
+    for (let name of fs.readdirSync(directory)) {
+        let entryPath = path.join(directory, name);
+        if (fs.statSync(entryPath).isDirectory())
+            removeDirectory(entryPath);
+        else
+            fs.unlinkSync(entryPath);
+    }
+    fs.rmdirSync(directory);
+}
+
+// Renders the synthetic register and checks each file.
+
+async function main() {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "visualise-"));
+    let failureCount = 0;
+    try {
+        let pdfPath = path.join(directory, "register.pdf");
+        fs.writeFileSync(pdfPath, createPdf(Pages));
+        readAddressInformation(GrantCouncil);
+        let outputDirectory = path.join(directory, "debug");
+        let { pageCount, applicationCount } = await writeOverlays(pdfPath, GrantCouncil, outputDirectory, () => {});
+        if (pageCount === Pages.length && applicationCount === Pages.length)
+            console.log("PASS rendering.");
+        else {
+            failureCount++;
+            console.log(`FAIL rendering: expected ${Pages.length} page(s) and ${Pages.length} application(s) but rendered ${pageCount} page(s) and ${applicationCount} application(s).`);
+        }
+
+        for (let outputCase of OutputCases) {
+            let filePath = path.join(outputDirectory, outputCase.fileName);
+            let text = fs.existsSync(filePath) ? fs.readFileSync(filePath).toString() : undefined;
+            let missingTexts = (text === undefined) ? [] : outputCase.texts.filter(expectedText => !text.includes(expectedText));
+            if (text !== undefined && missingTexts.length === 0)
+                console.log(`PASS ${outputCase.fileName}.`);
+            else {
+                failureCount++;
+                console.log(`FAIL ${outputCase.fileName}: ${(text === undefined) ? "the file was not written" : `the file does not contain ${missingTexts.map(missingText => JSON.stringify(missingText)).join(", ")}`}.`);
+            }
+        }
+    } finally {
+        removeDirectory(directory);
+    }
+
+    let caseCount = OutputCases.length + 1;
+    console.log(`${caseCount - failureCount} of ${caseCount} visualiser ${(caseCount === 1) ? "case" : "cases"} passed.`);
+    return failureCount;
+}
+
+main().then(failureCount => process.exitCode = (failureCount === 0) ? 0 : 1).catch(error => { console.error(error); process.exitCode = 1; });
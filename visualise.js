@@ -0,0 +1,189 @@
+// Renders what the parser detected on each page of a PDF register as an SVG overlay: the lines
+// classified when reconstructing the grid (horizontal, vertical, header bands and ignored lines),
+// the resulting cells, each text element (coloured by the cell that owns it), the heading cells
+// and the outcome of each row.  An index.html file shows every page alongside a table of the
+// development applications extracted from its rows, so that a page that was skipped or a row that
+// came out wrong can be diagnosed without stepping through co-ordinates.
+//
+// Usage:
+//
+//     node visualise.js <pdf file> [--council <name>] [--output <directory>]
+//
+// where "--council" selects the council whose column layout, description rules and address
+// information are used (the District Council of Grant by default) and "--output" selects the
+// directory to which the files are written ("debug" by default).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const councils_1 = require("./councils");
+const scraper_1 = require("./scraper");
+const sinks_1 = require("./sinks");
+// The directory to which the overlays are written by default.
+const DefaultOutputDirectory = "debug";
+// The scale at which each page is drawn (so that small text remains legible).
+const Scale = 2;
+// The colours of the cells that own the text elements (adjacent cells are given different colours).
+const CellColours = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#17becf"];
+// The colour used to shade a row with each outcome.
+const OutcomeColours = {
+    heading: "#9467bd",
+    empty: "#7f7f7f",
+    continuation: "#bcbd22",
+    application: "#2ca02c",
+    rejected: "#d62728"
+};
+// Formats a number for an SVG attribute (without excessive decimal places).
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+// Constructs an SVG rectangle (with an optional tooltip).
+function createRectangle(rectangle, style, title) {
+    let attributes = `x="${formatNumber(rectangle.x)}" y="${formatNumber(rectangle.y)}" width="${formatNumber(Math.max(rectangle.width, 0.5))}" height="${formatNumber(Math.max(rectangle.height, 0.5))}" style="${style}"`;
+    return (title === undefined) ? `<rect ${attributes}/>` : `<rect ${attributes}><title>${sinks_1.escapeXml(title)}</title></rect>`;
+}
+// Constructs an SVG text label at the top left corner of a rectangle.
+function createLabel(rectangle, text, colour) {
+    return `<text x="${formatNumber(rectangle.x + 1)}" y="${formatNumber(rectangle.y + 4)}" style="font: 3.5px sans-serif; fill: ${colour};">${sinks_1.escapeXml(text)}</text>`;
+}
+// Gets the bounding rectangle of several rectangles.
+function getBounds(rectangles) {
+    let x = Math.min(...rectangles.map(rectangle => rectangle.x));
+    let y = Math.min(...rectangles.map(rectangle => rectangle.y));
+    return { x: x, y: y, width: Math.max(...rectangles.map(rectangle => rectangle.x + rectangle.width)) - x, height: Math.max(...rectangles.map(rectangle => rectangle.y + rectangle.height)) - y };
+}
+// Describes the outcome of a row (for tooltips and the table of rows).
+function describeRow(rowTrace) {
+    if (rowTrace.outcome === "rejected")
+        return `rejected: ${rowTrace.reason}`;
+    else if (rowTrace.outcome === "application" && rowTrace.developmentApplication !== undefined)
+        return `application "${rowTrace.developmentApplication.applicationNumber}"`;
+    else if (rowTrace.outcome === "continuation")
+        return "continuation (joined to the row above)";
+    else
+        return rowTrace.outcome;
+}
+// Renders the overlay of a page as SVG.  The Y co-ordinates of the trace are inverted (so that Y
+// increases down the page), which is also the direction of the Y axis in SVG.
+function renderPage(pageTrace) {
+    let [left, bottom, right, top] = pageTrace.view;
+    let width = right - left;
+    let height = top - bottom;
+    let parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width * Scale)}" height="${formatNumber(height * Scale)}" viewBox="${formatNumber(left)} ${formatNumber(-top)} ${formatNumber(width)} ${formatNumber(height)}">`);
+    parts.push(createRectangle({ x: left, y: -top, width: width, height: height }, "fill: white; stroke: none;"));
+    // The rows (shaded by outcome), the header bands and the cells.
+    pageTrace.rows.forEach((rowTrace, rowIndex) => {
+        let bounds = getBounds(rowTrace.cells);
+        parts.push(createRectangle(bounds, `fill: ${OutcomeColours[rowTrace.outcome]}; fill-opacity: 0.12; stroke: none;`, `Row R${rowIndex + 1}: ${describeRow(rowTrace)}`));
+    });
+    for (let headerBand of pageTrace.gridLines.headerBands)
+        parts.push(createRectangle(headerBand, "fill: #ff7f0e; fill-opacity: 0.15; stroke: none;", "Header band"));
+    pageTrace.cells.forEach((cell, cellIndex) => {
+        parts.push(createRectangle(cell, "fill: none; stroke: #7f7f7f; stroke-width: 0.3; stroke-dasharray: 1 1;", `Cell C${cellIndex + 1} (${cell.elements.length} element(s))`));
+        parts.push(createLabel(cell, `C${cellIndex + 1}`, "#7f7f7f"));
+    });
+    // The heading cells.
+    if (pageTrace.headingCells !== undefined) {
+        for (let field of Object.keys(pageTrace.headingCells)) {
+            let headingCell = pageTrace.headingCells[field];
+            parts.push(createRectangle(headingCell, "fill: none; stroke: #9467bd; stroke-width: 1.2;", `Heading of the "${field}" column${pageTrace.inheritedHeadings ? " (from a previous page)" : ""}`));
+            parts.push(createLabel(Object.assign({}, headingCell, { y: headingCell.y + headingCell.height - 5 }), field, "#9467bd"));
+        }
+    }
+    // The classified lines.
+    for (let line of pageTrace.gridLines.ignored)
+        parts.push(createRectangle(line, "fill: #bbbbbb; stroke: none;", "Ignored (not part of the grid)"));
+    for (let line of pageTrace.gridLines.horizontal)
+        parts.push(createRectangle(line, "fill: #d62728; stroke: none;", "Horizontal line"));
+    for (let line of pageTrace.gridLines.vertical)
+        parts.push(createRectangle(line, "fill: #1f77b4; stroke: none;", "Vertical line"));
+    // The text elements (coloured by the cell that owns each element, or outlined in red if no
+    // cell owns the element) and the row labels.
+    pageTrace.elements.forEach((element, elementIndex) => {
+        let cellIndex = pageTrace.elementCellIndexes[elementIndex];
+        let style = (cellIndex < 0) ? "fill: none; stroke: #d62728; stroke-width: 0.5;" : `fill: ${CellColours[cellIndex % CellColours.length]}; fill-opacity: 0.25; stroke: none;`;
+        parts.push(createRectangle(element, style, `"${element.text}" owned by ${(cellIndex < 0) ? "no cell" : `cell C${cellIndex + 1}`}`));
+        if (element.text.trim() !== "" && element.width > 0)
+            parts.push(`<text x="${formatNumber(element.x)}" y="${formatNumber(element.y + element.height * 0.8)}" textLength="${formatNumber(element.width)}" lengthAdjust="spacingAndGlyphs" style="font: ${formatNumber(Math.max(element.height * 0.8, 1))}px sans-serif; fill: black;">${sinks_1.escapeXml(element.text)}</text>`);
+    });
+    pageTrace.rows.forEach((rowTrace, rowIndex) => {
+        let bounds = getBounds(rowTrace.cells);
+        parts.push(`<text x="${formatNumber(bounds.x - 1)}" y="${formatNumber(bounds.y + 4)}" style="font: bold 4px sans-serif; fill: ${OutcomeColours[rowTrace.outcome]}; text-anchor: end;">R${rowIndex + 1}</text>`);
+    });
+    parts.push("</svg>");
+    return parts.join("\n") + "\n";
+}
+// Renders the index page: a legend followed by each page overlay and a table of its rows.
+function renderIndex(pdfPath, pageTraces, rejections) {
+    let parts = [];
+    parts.push("<!DOCTYPE html>");
+    parts.push(`<html><head><meta charset="utf-8"><title>${sinks_1.escapeXml(path.basename(pdfPath))}</title>`);
+    parts.push("<style>body { font: 13px sans-serif; } table { border-collapse: collapse; margin-bottom: 2em; } td, th { border: 1px solid #ccc; padding: 2px 6px; text-align: left; vertical-align: top; } object { border: 1px solid #ccc; }</style></head><body>");
+    parts.push(`<h1>${sinks_1.escapeXml(path.basename(pdfPath))}</h1>`);
+    parts.push("<p>Lines: <span style=\"color: #d62728\">horizontal</span>, <span style=\"color: #1f77b4\">vertical</span>, <span style=\"color: #ff7f0e\">header bands</span> and <span style=\"color: #999\">ignored</span>.  Cells are dashed (C1, C2, ...), heading cells are outlined in <span style=\"color: #9467bd\">purple</span> and each text element is shaded in the colour of the cell that owns it (or outlined in red if no cell owns it).  " +
+        `Rows (R1, R2, ...) are shaded by outcome: ${Object.keys(OutcomeColours).map(outcome => `<span style="color: ${OutcomeColours[outcome]}">${outcome}</span>`).join(", ")}.  Hover over any shape for details.</p>`);
+    for (let pageTrace of pageTraces) {
+        parts.push(`<h2>Page ${pageTrace.pageNumber}</h2>`);
+        for (let rejection of rejections.filter(rejection => rejection.scope === "page" && rejection.pageNumber === pageTrace.pageNumber))
+            parts.push(`<p style="color: #d62728">The page was rejected because ${sinks_1.escapeXml(rejection.reason)}.</p>`);
+        if (pageTrace.inheritedHeadings)
+            parts.push("<p>The column headings of a previous page were used.</p>");
+        parts.push(`<p><object type="image/svg+xml" data="page-${pageTrace.pageNumber}.svg"></object></p>`);
+        if (pageTrace.rows.length > 0) {
+            parts.push("<table><tr><th>Row</th><th>Outcome</th><th>Application</th><th>Received</th><th>Address</th><th>Description</th><th>Legal description</th></tr>");
+            pageTrace.rows.forEach((rowTrace, rowIndex) => {
+                let developmentApplication = rowTrace.developmentApplication || {};
+                let values = [`R${rowIndex + 1}`, describeRow(rowTrace), developmentApplication.originalApplicationNumber, developmentApplication.receivedDate, developmentApplication.address, developmentApplication.description, developmentApplication.legalDescription];
+                parts.push(`<tr style="color: ${OutcomeColours[rowTrace.outcome]}">${values.map(value => `<td>${sinks_1.escapeXml(value)}</td>`).join("")}</tr>`);
+            });
+            parts.push("</table>");
+        }
+    }
+    parts.push("</body></html>");
+    return parts.join("\n") + "\n";
+}
+// Parses the command line arguments.
+function parseArguments(argv) {
+    let options = { pdfPath: undefined, council: councils_1.Councils[0], outputDirectory: DefaultOutputDirectory };
+    for (let index = 0; index < argv.length; index++) {
+        let argument = argv[index];
+        if (argument === "--council" && index + 1 < argv.length)
+            options.council = councils_1.findCouncils([argv[++index]])[0];
+        else if (argument === "--output" && index + 1 < argv.length)
+            options.outputDirectory = argv[++index];
+        else if (!argument.startsWith("--") && options.pdfPath === undefined)
+            options.pdfPath = argument;
+        else
+            throw new Error(`Unrecognised command line argument "${argument}".  Usage: node visualise.js <pdf file> [--council <name>] [--output <directory>]`);
+    }
+    if (options.pdfPath === undefined)
+        throw new Error("A PDF file must be specified.  Usage: node visualise.js <pdf file> [--council <name>] [--output <directory>]");
+    return options;
+}
+// Parses a PDF file (using the address information of the specified council, which must already
+// have been read) and writes the overlay of each page along with the index page to the specified
+// directory.  The messages written while parsing go to the specified log (the console by default).
+async function writeOverlays(pdfPath, council, outputDirectory, log) {
+    let trace = [];
+    let url = "file://" + path.resolve(pdfPath);
+    let { developmentApplications, report } = await scraper_1.parsePdf(fs.readFileSync(pdfPath), url, council, trace, log);
+    if (!fs.existsSync(outputDirectory))
+        fs.mkdirSync(outputDirectory, { recursive: true });
+    for (let pageTrace of trace)
+        fs.writeFileSync(path.join(outputDirectory, `page-${pageTrace.pageNumber}.svg`), renderPage(pageTrace));
+    fs.writeFileSync(path.join(outputDirectory, "index.html"), renderIndex(pdfPath, trace, report.rejections));
+    return { pageCount: trace.length, applicationCount: developmentApplications.length, rejectionCount: report.rejections.length };
+}
+exports.writeOverlays = writeOverlays;
+// Parses a PDF file and writes the overlay of each page along with the index page.
+async function main() {
+    let options = parseArguments(process.argv.slice(2));
+    scraper_1.readAddressInformation(options.council);
+    let { pageCount, applicationCount, rejectionCount } = await writeOverlays(options.pdfPath, options.council, options.outputDirectory);
+    console.log(`Wrote the overlays of ${pageCount} page(s) (with ${applicationCount} development application(s) and ${rejectionCount} rejected row(s) and page(s)) to ${path.join(options.outputDirectory, "index.html")}.`);
+}
+// Run the visualiser (unless this module has been loaded by another module, such as the tests).
+if (require.main === module)
+    main().catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidmlzdWFsaXNlLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsidmlzdWFsaXNlLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLCtGQUErRjtBQUMvRixrR0FBa0c7QUFDbEcsZ0dBQWdHO0FBQ2hHLDZGQUE2RjtBQUM3RixrR0FBa0c7QUFDbEcseUVBQXlFO0FBQ3pFLEVBQUU7QUFDRixTQUFTO0FBQ1QsRUFBRTtBQUNGLDZFQUE2RTtBQUM3RSxFQUFFO0FBQ0YsMkZBQTJGO0FBQzNGLDZGQUE2RjtBQUM3RixpRUFBaUU7QUFFakUsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFFN0IseUNBQW9FO0FBQ3BFLHVDQUF1RjtBQUV2RixtQ0FBb0M7QUFJcEMsOERBQThEO0FBRTlELE1BQU0sc0JBQXNCLEdBQUcsT0FBTyxDQUFDO0FBRXZDLDhFQUE4RTtBQUU5RSxNQUFNLEtBQUssR0FBRyxDQUFDLENBQUM7QUFFaEIsb0dBQW9HO0FBRXBHLE1BQU0sV0FBVyxHQUFHLENBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLFNBQVMsQ0FBRSxDQUFDO0FBRS9HLG9EQUFvRDtBQUVwRCxNQUFNLGNBQWMsR0FBa0M7SUFDbEQsT0FBTyxFQUFFLFNBQVM7SUFDbEIsS0FBSyxFQUFFLFNBQVM7SUFDaEIsWUFBWSxFQUFFLFNBQVM7SUFDdkIsV0FBVyxFQUFFLFNBQVM7SUFDdEIsUUFBUSxFQUFFLFNBQVM7Q0FDdEIsQ0FBQztBQUVGLDRFQUE0RTtBQUU1RSxTQUFTLFlBQVksQ0FBQyxLQUFhO0lBQy9CLE9BQU8sTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLEdBQUcsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO0FBQ2pELENBQUM7QUFFRCwwREFBMEQ7QUFFMUQsU0FBUyxlQUFlLENBQUMsU0FBb0IsRUFBRSxLQUFhLEVBQUUsS0FBYztJQUN4RSxJQUFJLFVBQVUsR0FBRyxNQUFNLFlBQVksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFFBQVEsWUFBWSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsWUFBWSxZQUFZLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDLGFBQWEsWUFBWSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQyxZQUFZLEtBQUssR0FBRyxDQUFDO0lBQ3hOLE9BQU8sQ0FBQyxLQUFLLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsVUFBVSxJQUFJLENBQUMsQ0FBQyxDQUFDLFNBQVMsVUFBVSxXQUFXLGlCQUFTLENBQUMsS0FBSyxDQUFDLGlCQUFpQixDQUFDO0FBQzdILENBQUM7QUFFRCxzRUFBc0U7QUFFdEUsU0FBUyxXQUFXLENBQUMsU0FBb0IsRUFBRSxJQUFZLEVBQUUsTUFBYztJQUNuRSxPQUFPLFlBQVksWUFBWSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsWUFBWSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLDBDQUEwQyxNQUFNLE1BQU0saUJBQVMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDO0FBQ3hLLENBQUM7QUFFRCxxREFBcUQ7QUFFckQsU0FBUyxTQUFTLENBQUMsVUFBdUI7SUFDdEMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM5RCxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsVUFBVSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzlELE9BQU8sRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxVQUFVLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsTUFBTSxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxVQUFVLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQztBQUNwTSxDQUFDO0FBRUQsdUVBQXVFO0FBRXZFLFNBQVMsV0FBVyxDQUFDLFFBQWtCO0lBQ25DLElBQUksUUFBUSxDQUFDLE9BQU8sS0FBSyxVQUFVO1FBQy9CLE9BQU8sYUFBYSxRQUFRLENBQUMsTUFBTSxFQUFFLENBQUM7U0FDckMsSUFBSSxRQUFRLENBQUMsT0FBTyxLQUFLLGFBQWEsSUFBSSxRQUFRLENBQUMsc0JBQXNCLEtBQUssU0FBUztRQUN4RixPQUFPLGdCQUFnQixRQUFRLENBQUMsc0JBQXNCLENBQUMsaUJBQWlCLEdBQUcsQ0FBQztTQUMzRSxJQUFJLFFBQVEsQ0FBQyxPQUFPLEtBQUssY0FBYztRQUN4QyxPQUFPLHdDQUF3QyxDQUFDOztRQUVoRCxPQUFPLFFBQVEsQ0FBQyxPQUFPLENBQUM7QUFDaEMsQ0FBQztBQUVELGlHQUFpRztBQUNqRyw4RUFBOEU7QUFFOUUsU0FBUyxVQUFVLENBQUMsU0FBb0I7SUFDcEMsSUFBSSxDQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLEdBQUcsQ0FBRSxHQUFHLFNBQVMsQ0FBQyxJQUFJLENBQUM7SUFDbEQsSUFBSSxLQUFLLEdBQUcsS0FBSyxHQUFHLElBQUksQ0FBQztJQUN6QixJQUFJLE1BQU0sR0FBRyxHQUFHLEdBQUcsTUFBTSxDQUFDO0lBQzFCLElBQUksS0FBSyxHQUFhLEVBQUUsQ0FBQztJQUV6QixLQUFLLENBQUMsSUFBSSxDQUFDLGtEQUFrRCxZQUFZLENBQUMsS0FBSyxHQUFHLEtBQUssQ0FBQyxhQUFhLFlBQVksQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDLGNBQWMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLFlBQVksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLFlBQVksQ0FBQyxLQUFLLENBQUMsSUFBSSxZQUFZLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQzVPLEtBQUssQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEVBQUUsNEJBQTRCLENBQUMsQ0FBQyxDQUFDO0lBRTlHLGdFQUFnRTtJQUVoRSxTQUFTLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsRUFBRTtRQUMxQyxJQUFJLE1BQU0sR0FBRyxTQUFTLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3ZDLEtBQUssQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLE1BQU0sRUFBRSxTQUFTLGNBQWMsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLHFDQUFxQyxFQUFFLFFBQVEsUUFBUSxHQUFHLENBQUMsS0FBSyxXQUFXLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDMUssQ0FBQyxDQUFDLENBQUM7SUFDSCxLQUFLLElBQUksVUFBVSxJQUFJLFNBQVMsQ0FBQyxTQUFTLENBQUMsV0FBVztRQUNsRCxLQUFLLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxVQUFVLEVBQUUsa0RBQWtELEVBQUUsYUFBYSxDQUFDLENBQUMsQ0FBQztJQUMvRyxTQUFTLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksRUFBRSxTQUFTLEVBQUUsRUFBRTtRQUN4QyxLQUFLLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxJQUFJLEVBQUUsd0VBQXdFLEVBQUUsU0FBUyxTQUFTLEdBQUcsQ0FBQyxLQUFLLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxjQUFjLENBQUMsQ0FBQyxDQUFDO1FBQzNLLEtBQUssQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLElBQUksRUFBRSxJQUFJLFNBQVMsR0FBRyxDQUFDLEVBQUUsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQ2xFLENBQUMsQ0FBQyxDQUFDO0lBRUgscUJBQXFCO0lBRXJCLElBQUksU0FBUyxDQUFDLFlBQVksS0FBSyxTQUFTLEVBQUU7UUFDdEMsS0FBSyxJQUFJLEtBQUssSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsRUFBRTtZQUNuRCxJQUFJLFdBQVcsR0FBRyxTQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ2hELEtBQUssQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLFdBQVcsRUFBRSxpREFBaUQsRUFBRSxtQkFBbUIsS0FBSyxXQUFXLFNBQVMsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUMseUJBQXlCLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUMvTCxLQUFLLENBQUMsSUFBSSxDQUFDLFdBQVcsbUJBQU0sV0FBVyxJQUFFLENBQUMsRUFBRSxXQUFXLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxLQUFJLEtBQUssRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO1NBQzVHO0tBQ0o7SUFFRCx3QkFBd0I7SUFFeEIsS0FBSyxJQUFJLElBQUksSUFBSSxTQUFTLENBQUMsU0FBUyxDQUFDLE9BQU87UUFDeEMsS0FBSyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsSUFBSSxFQUFFLDhCQUE4QixFQUFFLGdDQUFnQyxDQUFDLENBQUMsQ0FBQztJQUN4RyxLQUFLLElBQUksSUFBSSxJQUFJLFNBQVMsQ0FBQyxTQUFTLENBQUMsVUFBVTtRQUMzQyxLQUFLLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxJQUFJLEVBQUUsOEJBQThCLEVBQUUsaUJBQWlCLENBQUMsQ0FBQyxDQUFDO0lBQ3pGLEtBQUssSUFBSSxJQUFJLElBQUksU0FBUyxDQUFDLFNBQVMsQ0FBQyxRQUFRO1FBQ3pDLEtBQUssQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLElBQUksRUFBRSw4QkFBOEIsRUFBRSxlQUFlLENBQUMsQ0FBQyxDQUFDO0lBRXZGLDJGQUEyRjtJQUMzRiw2Q0FBNkM7SUFFN0MsU0FBUyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsWUFBWSxFQUFFLEVBQUU7UUFDakQsSUFBSSxTQUFTLEdBQUcsU0FBUyxDQUFDLGtCQUFrQixDQUFDLFlBQVksQ0FBQyxDQUFDO1FBQzNELElBQUksS0FBSyxHQUFHLENBQUMsU0FBUyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxpREFBaUQsQ0FBQyxDQUFDLENBQUMsU0FBUyxXQUFXLENBQUMsU0FBUyxHQUFHLFdBQVcsQ0FBQyxNQUFNLENBQUMscUNBQXFDLENBQUM7UUFDNUssS0FBSyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsT0FBTyxFQUFFLEtBQUssRUFBRSxJQUFJLE9BQU8sQ0FBQyxJQUFJLGNBQWMsQ0FBQyxTQUFTLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsU0FBUyxTQUFTLEdBQUcsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDcEksSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxPQUFPLENBQUMsS0FBSyxHQUFHLENBQUM7WUFDL0MsS0FBSyxDQUFDLElBQUksQ0FBQyxZQUFZLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sR0FBRyxHQUFHLENBQUMsaUJBQWlCLFlBQVksQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLGtEQUFrRCxZQUFZLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsTUFBTSxHQUFHLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxnQ0FBZ0MsaUJBQVMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQzNULENBQUMsQ0FBQyxDQUFDO0lBQ0gsU0FBUyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLEVBQUU7UUFDMUMsSUFBSSxNQUFNLEdBQUcsU0FBUyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN2QyxLQUFLLENBQUMsSUFBSSxDQUFDLFlBQVksWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLDZDQUE2QyxjQUFjLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyx5QkFBeUIsUUFBUSxHQUFHLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDcE4sQ0FBQyxDQUFDLENBQUM7SUFFSCxLQUFLLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ3JCLE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUM7QUFDbkMsQ0FBQztBQUVELDBGQUEwRjtBQUUxRixTQUFTLFdBQVcsQ0FBQyxPQUFlLEVBQUUsVUFBdUIsRUFBRSxVQUF1QjtJQUNsRixJQUFJLEtBQUssR0FBYSxFQUFFLENBQUM7SUFDekIsS0FBSyxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO0lBQzlCLEtBQUssQ0FBQyxJQUFJLENBQUMsNENBQTRDLGlCQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUNwRyxLQUFLLENBQUMsSUFBSSxDQUFDLHFQQUFxUCxDQUFDLENBQUM7SUFDbFEsS0FBSyxDQUFDLElBQUksQ0FBQyxPQUFPLGlCQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUM1RCxLQUFLLENBQUMsSUFBSSxDQUFDLDhhQUE4YTtRQUNyYiw2Q0FBNkMsTUFBTSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyx1QkFBdUIsY0FBYyxDQUFDLE9BQU8sQ0FBQyxLQUFLLE9BQU8sU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQywwQ0FBMEMsQ0FBQyxDQUFDO0lBRXZOLEtBQUssSUFBSSxTQUFTLElBQUksVUFBVSxFQUFFO1FBQzlCLEtBQUssQ0FBQyxJQUFJLENBQUMsWUFBWSxTQUFTLENBQUMsVUFBVSxPQUFPLENBQUMsQ0FBQztRQUNwRCxLQUFLLElBQUksU0FBUyxJQUFJLFVBQVUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsS0FBSyxLQUFLLE1BQU0sSUFBSSxTQUFTLENBQUMsVUFBVSxLQUFLLFNBQVMsQ0FBQyxVQUFVLENBQUM7WUFDN0gsS0FBSyxDQUFDLElBQUksQ0FBQywyREFBMkQsaUJBQVMsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzlHLElBQUksU0FBUyxDQUFDLGlCQUFpQjtZQUMzQixLQUFLLENBQUMsSUFBSSxDQUFDLDBEQUEwRCxDQUFDLENBQUM7UUFDM0UsS0FBSyxDQUFDLElBQUksQ0FBQyw4Q0FBOEMsU0FBUyxDQUFDLFVBQVUscUJBQXFCLENBQUMsQ0FBQztRQUVwRyxJQUFJLFNBQVMsQ0FBQyxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUMzQixLQUFLLENBQUMsSUFBSSxDQUFDLGlKQUFpSixDQUFDLENBQUM7WUFDOUosU0FBUyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLEVBQUU7Z0JBQzFDLElBQUksc0JBQXNCLEdBQUcsUUFBUSxDQUFDLHNCQUFzQixJQUFJLEVBQUUsQ0FBQztnQkFDbkUsSUFBSSxNQUFNLEdBQUcsQ0FBRSxJQUFJLFFBQVEsR0FBRyxDQUFDLEVBQUUsRUFBRSxXQUFXLENBQUMsUUFBUSxDQUFDLEVBQUUsc0JBQXNCLENBQUMseUJBQXlCLEVBQUUsc0JBQXNCLENBQUMsWUFBWSxFQUFFLHNCQUFzQixDQUFDLE9BQU8sRUFBRSxzQkFBc0IsQ0FBQyxXQUFXLEVBQUUsc0JBQXNCLENBQUMsZ0JBQWdCLENBQUUsQ0FBQztnQkFDL1AsS0FBSyxDQUFDLElBQUksQ0FBQyxxQkFBcUIsY0FBYyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsS0FBSyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsT0FBTyxpQkFBUyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQzlJLENBQUMsQ0FBQyxDQUFDO1lBQ0gsS0FBSyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztTQUMxQjtLQUNKO0lBRUQsS0FBSyxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO0lBQzdCLE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUM7QUFDbkMsQ0FBQztBQUVELHFDQUFxQztBQUVyQyxTQUFTLGNBQWMsQ0FBQyxJQUFjO0lBQ2xDLElBQUksT0FBTyxHQUFHLEVBQUUsT0FBTyxFQUFFLFNBQW1CLEVBQUUsT0FBTyxFQUFFLG1CQUFRLENBQUMsQ0FBQyxDQUFtQixFQUFFLGVBQWUsRUFBRSxzQkFBc0IsRUFBRSxDQUFDO0lBQ2hJLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzlDLElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMzQixJQUFJLFFBQVEsS0FBSyxXQUFXLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUNuRCxPQUFPLENBQUMsT0FBTyxHQUFHLHVCQUFZLENBQUMsQ0FBRSxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDcEQsSUFBSSxRQUFRLEtBQUssVUFBVSxJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU07WUFDdkQsT0FBTyxDQUFDLGVBQWUsR0FBRyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQzthQUN2QyxJQUFJLENBQUMsUUFBUSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxPQUFPLENBQUMsT0FBTyxLQUFLLFNBQVM7WUFDaEUsT0FBTyxDQUFDLE9BQU8sR0FBRyxRQUFRLENBQUM7O1lBRTNCLE1BQU0sSUFBSSxLQUFLLENBQUMsdUNBQXVDLFFBQVEsbUZBQW1GLENBQUMsQ0FBQztLQUMzSjtJQUNELElBQUksT0FBTyxDQUFDLE9BQU8sS0FBSyxTQUFTO1FBQzdCLE1BQU0sSUFBSSxLQUFLLENBQUMsOEdBQThHLENBQUMsQ0FBQztJQUNwSSxPQUFPLE9BQU8sQ0FBQztBQUNuQixDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLGlHQUFpRztBQUNqRyxtR0FBbUc7QUFFNUYsS0FBSyxVQUFVLGFBQWEsQ0FBQyxPQUFlLEVBQUUsT0FBdUIsRUFBRSxlQUF1QixFQUFFLEdBQVM7SUFDNUcsSUFBSSxLQUFLLEdBQWdCLEVBQUUsQ0FBQztJQUM1QixJQUFJLEdBQUcsR0FBRyxTQUFTLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUM1QyxJQUFJLEVBQUUsdUJBQXVCLEVBQUUsTUFBTSxFQUFFLEdBQUcsTUFBTSxrQkFBUSxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFFN0csSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsZUFBZSxDQUFDO1FBQy9CLEVBQUUsQ0FBQyxTQUFTLENBQUMsZUFBZSxFQUFFLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7SUFDdkQsS0FBSyxJQUFJLFNBQVMsSUFBSSxLQUFLO1FBQ3ZCLEVBQUUsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxlQUFlLEVBQUUsUUFBUSxTQUFTLENBQUMsVUFBVSxNQUFNLENBQUMsRUFBRSxVQUFVLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztJQUM1RyxFQUFFLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxFQUFFLFlBQVksQ0FBQyxFQUFFLFdBQVcsQ0FBQyxPQUFPLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQzNHLE9BQU8sRUFBRSxTQUFTLEVBQUUsS0FBSyxDQUFDLE1BQU0sRUFBRSxnQkFBZ0IsRUFBRSx1QkFBdUIsQ0FBQyxNQUFNLEVBQUUsY0FBYyxFQUFFLE1BQU0sQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLENBQUM7QUFDbkksQ0FBQztBQVhELHNDQVdDO0FBRUQsbUZBQW1GO0FBRW5GLEtBQUssVUFBVSxJQUFJO0lBQ2YsSUFBSSxPQUFPLEdBQUcsY0FBYyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDcEQsZ0NBQXNCLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ3hDLElBQUksRUFBRSxTQUFTLEVBQUUsZ0JBQWdCLEVBQUUsY0FBYyxFQUFFLEdBQUcsTUFBTSxhQUFhLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQztJQUNySSxPQUFPLENBQUMsR0FBRyxDQUFDLHlCQUF5QixTQUFTLGtCQUFrQixnQkFBZ0IsbUNBQW1DLGNBQWMsb0NBQW9DLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLGVBQWUsRUFBRSxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUM7QUFDOU4sQ0FBQztBQUVELGdHQUFnRztBQUVoRyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEtBQUssTUFBTTtJQUN2QixJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
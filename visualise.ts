@@ -0,0 +1,236 @@
+// Renders what the parser detected on each page of a PDF register as an SVG overlay: the lines
+// classified when reconstructing the grid (horizontal, vertical, header bands and ignored lines),
+// the resulting cells, each text element (coloured by the cell that owns it), the heading cells
+// and the outcome of each row.  An index.html file shows every page alongside a table of the
+// development applications extracted from its rows, so that a page that was skipped or a row that
+// came out wrong can be diagnosed without stepping through co-ordinates.
+//
+// Usage:
+//
+//     node visualise.js <pdf file> [--council <name>] [--output <directory>]
+//
+// where "--council" selects the council whose column layout, description rules and address
+// information are used (the District Council of Grant by default) and "--output" selects the
+// directory to which the files are written ("debug" by default).
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import { Rectangle } from "./grid";
+import { CouncilAdapter, Councils, findCouncils } from "./councils";
+import { Log, PageTrace, RowTrace, parsePdf, readAddressInformation } from "./scraper";
+import { Rejection } from "./quality";
+import { escapeXml } from "./sinks";
+
+declare const process: any;
+
+// The directory to which the overlays are written by default.
+
+const DefaultOutputDirectory = "debug";
+
+// The scale at which each page is drawn (so that small text remains legible).
+
+const Scale = 2;
+
+// The colours of the cells that own the text elements (adjacent cells are given different colours).
+
+const CellColours = [ "#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#17becf" ];
+
+// The colour used to shade a row with each outcome.
+
+const OutcomeColours: { [outcome: string]: string } = {
+    heading: "#9467bd",
+    empty: "#7f7f7f",
+    continuation: "#bcbd22",
+    application: "#2ca02c",
+    rejected: "#d62728"
+};
+
+// Formats a number for an SVG attribute (without excessive decimal places).
+
+function formatNumber(value: number) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// Constructs an SVG rectangle (with an optional tooltip).
+
+function createRectangle(rectangle: Rectangle, style: string, title?: string) {
+    let attributes = `x="${formatNumber(rectangle.x)}" y="${formatNumber(rectangle.y)}" width="${formatNumber(Math.max(rectangle.width, 0.5))}" height="${formatNumber(Math.max(rectangle.height, 0.5))}" style="${style}"`;
+    return (title === undefined) ? `<rect ${attributes}/>` : `<rect ${attributes}><title>${escapeXml(title)}</title></rect>`;
+}
+
+// Constructs an SVG text label at the top left corner of a rectangle.
+
+function createLabel(rectangle: Rectangle, text: string, colour: string) {
+    return `<text x="${formatNumber(rectangle.x + 1)}" y="${formatNumber(rectangle.y + 4)}" style="font: 3.5px sans-serif; fill: ${colour};">${escapeXml(text)}</text>`;
+}
+
+// Gets the bounding rectangle of several rectangles.
+
+function getBounds(rectangles: Rectangle[]): Rectangle {
+    let x = Math.min(...rectangles.map(rectangle => rectangle.x));
+    let y = Math.min(...rectangles.map(rectangle => rectangle.y));
+    return { x: x, y: y, width: Math.max(...rectangles.map(rectangle => rectangle.x + rectangle.width)) - x, height: Math.max(...rectangles.map(rectangle => rectangle.y + rectangle.height)) - y };
+}
+
+// Describes the outcome of a row (for tooltips and the table of rows).
+
+function describeRow(rowTrace: RowTrace) {
+    if (rowTrace.outcome === "rejected")
+        return `rejected: ${rowTrace.reason}`;
+    else if (rowTrace.outcome === "application" && rowTrace.developmentApplication !== undefined)
+        return `application "${rowTrace.developmentApplication.applicationNumber}"`;
+    else if (rowTrace.outcome === "continuation")
+        return "continuation (joined to the row above)";
+    else
+        return rowTrace.outcome;
+}
+
+// Renders the overlay of a page as SVG.  The Y co-ordinates of the trace are inverted (so that Y
+// increases down the page), which is also the direction of the Y axis in SVG.
+
+function renderPage(pageTrace: PageTrace) {
+    let [ left, bottom, right, top ] = pageTrace.view;
+    let width = right - left;
+    let height = top - bottom;
+    let parts: string[] = [];
+
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width * Scale)}" height="${formatNumber(height * Scale)}" viewBox="${formatNumber(left)} ${formatNumber(-top)} ${formatNumber(width)} ${formatNumber(height)}">`);
+    parts.push(createRectangle({ x: left, y: -top, width: width, height: height }, "fill: white; stroke: none;"));
+
+    // The rows (shaded by outcome), the header bands and the cells.
+
+    pageTrace.rows.forEach((rowTrace, rowIndex) => {
+        let bounds = getBounds(rowTrace.cells);
+        parts.push(createRectangle(bounds, `fill: ${OutcomeColours[rowTrace.outcome]}; fill-opacity: 0.12; stroke: none;`, `Row R${rowIndex + 1}: ${describeRow(rowTrace)}`));
+    });
+    for (let headerBand of pageTrace.gridLines.headerBands)
+        parts.push(createRectangle(headerBand, "fill: #ff7f0e; fill-opacity: 0.15; stroke: none;", "Header band"));
+    pageTrace.cells.forEach((cell, cellIndex) => {
+        parts.push(createRectangle(cell, "fill: none; stroke: #7f7f7f; stroke-width: 0.3; stroke-dasharray: 1 1;", `Cell C${cellIndex + 1} (${cell.elements.length} element(s))`));
+        parts.push(createLabel(cell, `C${cellIndex + 1}`, "#7f7f7f"));
+    });
+
+    // The heading cells.
+
+    if (pageTrace.headingCells !== undefined) {
+        for (let field of Object.keys(pageTrace.headingCells)) {
+            let headingCell = pageTrace.headingCells[field];
+            parts.push(createRectangle(headingCell, "fill: none; stroke: #9467bd; stroke-width: 1.2;", `Heading of the "${field}" column${pageTrace.inheritedHeadings ? " (from a previous page)" : ""}`));
+            parts.push(createLabel({ ...headingCell, y: headingCell.y + headingCell.height - 5 }, field, "#9467bd"));
+        }
+    }
+
+    // The classified lines.
+
+    for (let line of pageTrace.gridLines.ignored)
+        parts.push(createRectangle(line, "fill: #bbbbbb; stroke: none;", "Ignored (not part of the grid)"));
+    for (let line of pageTrace.gridLines.horizontal)
+        parts.push(createRectangle(line, "fill: #d62728; stroke: none;", "Horizontal line"));
+    for (let line of pageTrace.gridLines.vertical)
+        parts.push(createRectangle(line, "fill: #1f77b4; stroke: none;", "Vertical line"));
+
+    // The text elements (coloured by the cell that owns each element, or outlined in red if no
+    // cell owns the element) and the row labels.
+
+    pageTrace.elements.forEach((element, elementIndex) => {
+        let cellIndex = pageTrace.elementCellIndexes[elementIndex];
+        let style = (cellIndex < 0) ? "fill: none; stroke: #d62728; stroke-width: 0.5;" : `fill: ${CellColours[cellIndex % CellColours.length]}; fill-opacity: 0.25; stroke: none;`;
+        parts.push(createRectangle(element, style, `"${element.text}" owned by ${(cellIndex < 0) ? "no cell" : `cell C${cellIndex + 1}`}`));
+        if (element.text.trim() !== "" && element.width > 0)
+            parts.push(`<text x="${formatNumber(element.x)}" y="${formatNumber(element.y + element.height * 0.8)}" textLength="${formatNumber(element.width)}" lengthAdjust="spacingAndGlyphs" style="font: ${formatNumber(Math.max(element.height * 0.8, 1))}px sans-serif; fill: black;">${escapeXml(element.text)}</text>`);
+    });
+    pageTrace.rows.forEach((rowTrace, rowIndex) => {
+        let bounds = getBounds(rowTrace.cells);
+        parts.push(`<text x="${formatNumber(bounds.x - 1)}" y="${formatNumber(bounds.y + 4)}" style="font: bold 4px sans-serif; fill: ${OutcomeColours[rowTrace.outcome]}; text-anchor: end;">R${rowIndex + 1}</text>`);
+    });
+
+    parts.push("</svg>");
+    return parts.join("\n") + "\n";
+}
+
+// Renders the index page: a legend followed by each page overlay and a table of its rows.
+
+function renderIndex(pdfPath: string, pageTraces: PageTrace[], rejections: Rejection[]) {
+    let parts: string[] = [];
+    parts.push("<!DOCTYPE html>");
+    parts.push(`<html><head><meta charset="utf-8"><title>${escapeXml(path.basename(pdfPath))}</title>`);
+    parts.push("<style>body { font: 13px sans-serif; } table { border-collapse: collapse; margin-bottom: 2em; } td, th { border: 1px solid #ccc; padding: 2px 6px; text-align: left; vertical-align: top; } object { border: 1px solid #ccc; }</style></head><body>");
+    parts.push(`<h1>${escapeXml(path.basename(pdfPath))}</h1>`);
+    parts.push("<p>Lines: <span style=\"color: #d62728\">horizontal</span>, <span style=\"color: #1f77b4\">vertical</span>, <span style=\"color: #ff7f0e\">header bands</span> and <span style=\"color: #999\">ignored</span>.  Cells are dashed (C1, C2, ...), heading cells are outlined in <span style=\"color: #9467bd\">purple</span> and each text element is shaded in the colour of the cell that owns it (or outlined in red if no cell owns it).  " +
+        `Rows (R1, R2, ...) are shaded by outcome: ${Object.keys(OutcomeColours).map(outcome => `<span style="color: ${OutcomeColours[outcome]}">${outcome}</span>`).join(", ")}.  Hover over any shape for details.</p>`);
+
+    for (let pageTrace of pageTraces) {
+        parts.push(`<h2>Page ${pageTrace.pageNumber}</h2>`);
+        for (let rejection of rejections.filter(rejection => rejection.scope === "page" && rejection.pageNumber === pageTrace.pageNumber))
+            parts.push(`<p style="color: #d62728">The page was rejected because ${escapeXml(rejection.reason)}.</p>`);
+        if (pageTrace.inheritedHeadings)
+            parts.push("<p>The column headings of a previous page were used.</p>");
+        parts.push(`<p><object type="image/svg+xml" data="page-${pageTrace.pageNumber}.svg"></object></p>`);
+
+        if (pageTrace.rows.length > 0) {
+            parts.push("<table><tr><th>Row</th><th>Outcome</th><th>Application</th><th>Received</th><th>Address</th><th>Description</th><th>Legal description</th></tr>");
+            pageTrace.rows.forEach((rowTrace, rowIndex) => {
+                let developmentApplication = rowTrace.developmentApplication || {};
+                let values = [ `R${rowIndex + 1}`, describeRow(rowTrace), developmentApplication.originalApplicationNumber, developmentApplication.receivedDate, developmentApplication.address, developmentApplication.description, developmentApplication.legalDescription ];
+                parts.push(`<tr style="color: ${OutcomeColours[rowTrace.outcome]}">${values.map(value => `<td>${escapeXml(value)}</td>`).join("")}</tr>`);
+            });
+            parts.push("</table>");
+        }
+    }
+
+    parts.push("</body></html>");
+    return parts.join("\n") + "\n";
+}
+
+// Parses the command line arguments.
+
+function parseArguments(argv: string[]) {
+    let options = { pdfPath: undefined as string, council: Councils[0] as CouncilAdapter, outputDirectory: DefaultOutputDirectory };
+    for (let index = 0; index < argv.length; index++) {
+        let argument = argv[index];
+        if (argument === "--council" && index + 1 < argv.length)
+            options.council = findCouncils([ argv[++index] ])[0];
+        else if (argument === "--output" && index + 1 < argv.length)
+            options.outputDirectory = argv[++index];
+        else if (!argument.startsWith("--") && options.pdfPath === undefined)
+            options.pdfPath = argument;
+        else
+            throw new Error(`Unrecognised command line argument "${argument}".  Usage: node visualise.js <pdf file> [--council <name>] [--output <directory>]`);
+    }
+    if (options.pdfPath === undefined)
+        throw new Error("A PDF file must be specified.  Usage: node visualise.js <pdf file> [--council <name>] [--output <directory>]");
+    return options;
+}
+
+// Parses a PDF file (using the address information of the specified council, which must already
+// have been read) and writes the overlay of each page along with the index page to the specified
+// directory.  The messages written while parsing go to the specified log (the console by default).
+
+export async function writeOverlays(pdfPath: string, council: CouncilAdapter, outputDirectory: string, log?: Log) {
+    let trace: PageTrace[] = [];
+    let url = "file://" + path.resolve(pdfPath);
+    let { developmentApplications, report } = await parsePdf(fs.readFileSync(pdfPath), url, council, trace, log);
+
+    if (!fs.existsSync(outputDirectory))
+        fs.mkdirSync(outputDirectory, { recursive: true });
+    for (let pageTrace of trace)
+        fs.writeFileSync(path.join(outputDirectory, `page-${pageTrace.pageNumber}.svg`), renderPage(pageTrace));
+    fs.writeFileSync(path.join(outputDirectory, "index.html"), renderIndex(pdfPath, trace, report.rejections));
+    return { pageCount: trace.length, applicationCount: developmentApplications.length, rejectionCount: report.rejections.length };
+}
+
+// Parses a PDF file and writes the overlay of each page along with the index page.
+
+async function main() {
+    let options = parseArguments(process.argv.slice(2));
+    readAddressInformation(options.council);
+    let { pageCount, applicationCount, rejectionCount } = await writeOverlays(options.pdfPath, options.council, options.outputDirectory);
+    console.log(`Wrote the overlays of ${pageCount} page(s) (with ${applicationCount} development application(s) and ${rejectionCount} rejected row(s) and page(s)) to ${path.join(options.outputDirectory, "index.html")}.`);
+}
+
+// Run the visualiser (unless this module has been loaded by another module, such as the tests).
+
+if (require.main === module)
+    main().catch(error => { console.error(error); process.exitCode = 1; });